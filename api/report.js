@@ -0,0 +1,14 @@
+// /api/report.js
+// Report service: POST /api/report?kind=lab|formula|energy|calibration with the JSON payload described in
+// src/lib/report/schema.js. Invalid payloads get 400 { error, details }.
+import PDFDocument from "pdfkit";
+import { createReportHandler } from "../src/lib/report/service.js";
+
+// base64 images (logo, chart, circuit) make lab payloads large
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: "50mb" },
+  },
+};
+
+export default createReportHandler({ PDFDocument });
@@ -0,0 +1,420 @@
+// src/components/CalibrationRunCard.jsx
+import React, { useMemo, useState } from "react";
+import { ListChecks, Play, Square, Download, FileText, Wand2, ShieldCheck, ShieldAlert } from "lucide-react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Scatter,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as ReTooltip,
+  Legend,
+} from "recharts";
+import { toast } from "sonner";
+import { saveAs } from "file-saver";
+import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import { CORRECTION_ORDERS, SEQUENCE_PATTERNS, analyseCalibration, calibrationSequence } from "@/lib/stats";
+import { generateReportPdf, reportFileName } from "@/lib/report";
+
+const itemClass = "text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md";
+const inputClass = "bg-zinc-900/60 border border-zinc-800 text-white placeholder:text-zinc-500 focus:ring-1 focus:ring-[#ff7a2d]";
+
+const DEVICE_NAMES = {
+  multimeter: "Multimeter (DC voltage)",
+  oscilloscope: "Oscilloscope (amplitude)",
+  functionGenerator: "Function generator (amplitude)",
+};
+
+// error model fields of the instrument under calibration (see instrumentError in CalibrationSimPage)
+const INSTRUMENT_FIELDS = [
+  { key: "offset", label: "Offset", unit: "V" },
+  { key: "gainError", label: "Gain error", unit: "%" },
+  { key: "nonlinearity", label: "Non-linearity", unit: "% FS" },
+  { key: "hysteresis", label: "Hysteresis", unit: "% FS" },
+  { key: "noise", label: "Noise (σ)", unit: "% FS" },
+  { key: "fullScale", label: "Full scale", unit: "V" },
+];
+
+const fmt = (x, digits = 4) => (Number.isFinite(x) ? String(Number(x.toPrecision(digits))) : "—");
+const signed = (x) => (Number.isFinite(x) ? `${x >= 0 ? "+" : ""}${fmt(x)}` : "—");
+const figure = (m, unit) => (m ? `${fmt(m.value)} ${unit} (${fmt(m.percent, 3)} %)` : "—");
+
+function Verdict({ label, pass }) {
+  return (
+    <Badge className={`px-3 py-1 rounded-full border ${pass ? "bg-emerald-900/40 border-emerald-500/60 text-emerald-300" : "bg-red-900/40 border-red-500/60 text-red-300"}`}>
+      {pass ? <ShieldCheck className="w-3.5 h-3.5 mr-1" /> : <ShieldAlert className="w-3.5 h-3.5 mr-1" />}
+      {label}: {pass ? "PASS" : "FAIL"}
+    </Badge>
+  );
+}
+
+/**
+ * Multi-point calibration run: sequence set-up, the error model of the instrument under
+ * calibration, live evaluation of the recorded points and the PDF certificate.
+ * Props:
+ * - device: multimeter | oscilloscope | functionGenerator
+ * - instrument: { offset, gainError, nonlinearity, hysteresis, noise, fullScale } as typed (strings)
+ * - onInstrumentChange(key, value)
+ * - run: { steps, index, records, active } | null (useCalibrationSim)
+ * - onStart(steps, { settle, average }), onStop()
+ * - onApply(correction): correction = { order, coeffs, offset, gain }
+ * - running: whether the simulation is running (the run only advances while it is)
+ */
+export default function CalibrationRunCard({ device, instrument, onInstrumentChange, run, onStart, onStop, onApply, running = true }) {
+  const [from, setFrom] = useState("0");
+  const [to, setTo] = useState("10");
+  const [points, setPoints] = useState("5");
+  const [pattern, setPattern] = useState("up-down");
+  const [cycles, setCycles] = useState("2");
+  const [settle, setSettle] = useState("4");
+  const [average, setAverage] = useState("25"); // 2 s at the 80 ms step: one period of the meter ripple
+  const [order, setOrder] = useState("1");
+  const [specReading, setSpecReading] = useState("0.1");
+  const [specSpan, setSpecSpan] = useState("0.1");
+  const [operator, setOperator] = useState("");
+
+  const sequence = useMemo(
+    () => ({
+      from: Number(from) || 0,
+      to: Number.isFinite(Number(to)) ? Number(to) : 10,
+      points: Math.min(50, Math.max(2, Math.floor(Number(points)) || 2)),
+      pattern,
+      cycles: Math.min(10, Math.max(1, Math.floor(Number(cycles)) || 1)),
+    }),
+    [from, to, points, pattern, cycles]
+  );
+  const steps = useMemo(() => calibrationSequence(sequence), [sequence]);
+  const spec = useMemo(() => ({ reading: Math.max(0, Number(specReading) || 0), span: Math.max(0, Number(specSpan) || 0) }), [specReading, specSpan]);
+
+  const records = useMemo(() => run?.records ?? [], [run]);
+  const result = useMemo(() => analyseCalibration(records, { order: Number(order), spec }), [records, order, spec]);
+
+  const chart = useMemo(() => {
+    if (!result) return null;
+    return {
+      found: result.points.map((p) => ({ x: p.ref, y: p.errorFound })),
+      left: result.points.map((p) => ({ x: p.ref, y: p.errorLeft })),
+      upper: result.points.map((p) => ({ x: p.ref, y: p.tolerance })),
+      lower: result.points.map((p) => ({ x: p.ref, y: -p.tolerance })),
+    };
+  }, [result]);
+
+  const start = () => {
+    if (sequence.from === sequence.to) {
+      toast.error("The sequence needs a range: set different From and To values");
+      return;
+    }
+    onStart(steps, { settle: Math.max(0, Math.floor(Number(settle)) || 0), average: Math.max(1, Math.floor(Number(average)) || 1) });
+    toast(`Calibration run started: ${steps.length} steps`);
+  };
+
+  const exportRecords = () => {
+    if (!records.length) {
+      toast.error("No calibration readings yet");
+      return;
+    }
+    const rows = [["step", "cycle", "direction", "reference", "reading", "sd", "samples"], ...records.map((r) => [r.step, r.cycle, r.dir, r.ref, r.reading, r.sd ?? "", r.n])];
+    const blob = new Blob([rows.map((r) => r.join(",")).join("\n")], { type: "text/csv" });
+    saveAs(blob, `calibration-run-${Date.now()}.csv`);
+    toast.success("Exported CSV");
+  };
+
+  const downloadCertificate = async () => {
+    const payload = {
+      title: "Calibration Certificate",
+      certificateNo: `CAL-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}-${String(Date.now()).slice(-4)}`,
+      generatedAt: new Date().toISOString(),
+      theme: "print",
+      instrument: DEVICE_NAMES[device] ?? device,
+      unit: "V",
+      operator: operator.trim(),
+      order: Number(order),
+      spec,
+      sequence,
+      records,
+    };
+    try {
+      toast.loading("Generating certificate...");
+      const { blob } = await generateReportPdf("calibration", payload);
+      toast.dismiss();
+      saveAs(blob, reportFileName(`calibration-certificate-${Date.now()}`));
+      toast.success("Certificate exported");
+    } catch (err) {
+      toast.dismiss();
+      toast.error("Failed to generate the certificate.", { description: err.details?.join("\n") ?? String(err.message || err) });
+    }
+  };
+
+  const progress = run ? Math.round((run.index / run.steps.length) * 100) : 0;
+  const current = run?.active ? run.steps[run.index] : null;
+
+  return (
+    <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between flex-wrap gap-2">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 rounded-md bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] flex items-center justify-center">
+              <ListChecks className="w-5 h-5 text-black" />
+            </div>
+            <div>
+              <div className="text-lg font-semibold text-[#ffd24a]">Calibration Run</div>
+              <div className="text-xs text-zinc-400">Multi-point sequence • linearity • hysteresis • repeatability</div>
+            </div>
+          </div>
+          <div className="flex items-center gap-2 flex-wrap">
+            {result && <Verdict label="As found" pass={result.asFound.pass} />}
+            {result && <Verdict label="As left" pass={result.asLeft.pass} />}
+          </div>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {/* sequence */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          <div>
+            <label className="text-xs text-zinc-400">From (V)</label>
+            <Input value={from} onChange={(e) => setFrom(e.target.value)} type="number" disabled={run?.active} className={inputClass} />
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">To (V)</label>
+            <Input value={to} onChange={(e) => setTo(e.target.value)} type="number" disabled={run?.active} className={inputClass} />
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Points</label>
+            <Input value={points} onChange={(e) => setPoints(e.target.value)} type="number" min={2} max={50} disabled={run?.active} className={inputClass} />
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Cycles</label>
+            <Input value={cycles} onChange={(e) => setCycles(e.target.value)} type="number" min={1} max={10} disabled={run?.active} className={inputClass} />
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-zinc-400">Sequence</label>
+            <Select value={pattern} onValueChange={setPattern} disabled={run?.active}>
+              <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                {Object.entries(SEQUENCE_PATTERNS).map(([id, label]) => (
+                  <SelectItem key={id} value={id} className={itemClass}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Settle (samples)</label>
+            <Input value={settle} onChange={(e) => setSettle(e.target.value)} type="number" min={0} disabled={run?.active} className={inputClass} />
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Average (samples)</label>
+            <Input value={average} onChange={(e) => setAverage(e.target.value)} type="number" min={1} disabled={run?.active} className={inputClass} />
+          </div>
+        </div>
+
+        {/* instrument under calibration */}
+        <div className="border border-zinc-800 rounded-lg p-3">
+          <div className="text-xs text-zinc-400 mb-2">Instrument errors (simulated device under calibration)</div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            {INSTRUMENT_FIELDS.map(({ key, label, unit }) => (
+              <div key={key}>
+                <label className="text-xs text-zinc-500">
+                  {label} ({unit})
+                </label>
+                <Input value={instrument[key]} onChange={(e) => onInstrumentChange(key, e.target.value)} type="number" className={inputClass} />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* correction + spec */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <div>
+            <label className="text-xs text-zinc-400">Correction fit</label>
+            <Select value={order} onValueChange={setOrder}>
+              <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                {Object.entries(CORRECTION_ORDERS).map(([id, label]) => (
+                  <SelectItem key={id} value={id} className={itemClass}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Spec ± % of reading</label>
+            <Input value={specReading} onChange={(e) => setSpecReading(e.target.value)} type="number" min={0} className={inputClass} />
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Spec ± % of span</label>
+            <Input value={specSpan} onChange={(e) => setSpecSpan(e.target.value)} type="number" min={0} className={inputClass} />
+          </div>
+        </div>
+
+        {/* run controls */}
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 flex-wrap">
+            {run?.active ? (
+              <Button variant="outline" className="border border-zinc-700 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500 bg-black cursor-pointer" onClick={onStop}>
+                <Square className="w-4 h-4 mr-2" /> Stop run
+              </Button>
+            ) : (
+              <Button className="bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black hover:opacity-90 cursor-pointer" onClick={start}>
+                <Play className="w-4 h-4 mr-2" /> Start run ({steps.length} steps)
+              </Button>
+            )}
+            <Button
+              variant="ghost"
+              disabled={!result || run?.active}
+              className="border border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500 cursor-pointer"
+              onClick={() => onApply(result.correction)}
+            >
+              <Wand2 className="w-4 h-4 mr-2" /> Apply correction
+            </Button>
+            <Button
+              variant="ghost"
+              disabled={!result || run?.active}
+              className="border border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500 cursor-pointer"
+              onClick={downloadCertificate}
+            >
+              <FileText className="w-4 h-4 mr-2" /> Certificate
+            </Button>
+            <Button variant="ghost" className="border border-zinc-800 p-2 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500 cursor-pointer" onClick={exportRecords} title="Export readings (CSV)">
+              <Download className="w-4 h-4" />
+            </Button>
+          </div>
+          {run && (
+            <div>
+              <div className="h-1.5 w-full bg-zinc-800 rounded-full overflow-hidden">
+                <div className="h-full bg-gradient-to-r from-[#ff7a2d] to-[#ffd24a] transition-all" style={{ width: `${progress}%` }} />
+              </div>
+              <div className="text-xs text-zinc-400 mt-1">
+                {current
+                  ? `Step ${run.index + 1} / ${run.steps.length}: ${fmt(current.ref)} V ${current.dir === "up" ? "↑" : "↓"} (cycle ${current.cycle})${running ? "" : " — paused with the simulation"}`
+                  : `${records.length} of ${run.steps.length} points recorded${run.index < run.steps.length ? " (stopped)" : ""}`}
+              </div>
+            </div>
+          )}
+          <div className="flex items-center gap-2">
+            <label className="text-xs text-zinc-400 whitespace-nowrap">Calibrated by</label>
+            <Input value={operator} onChange={(e) => setOperator(e.target.value)} placeholder="Name on the certificate (optional)" className={inputClass} />
+          </div>
+        </div>
+
+        {/* results */}
+        {result ? (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
+                <div className="text-xs text-zinc-400">Non-linearity</div>
+                <div className="text-sm font-semibold text-[#ffd24a]">{figure(result.nonlinearity, "V")}</div>
+              </div>
+              <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
+                <div className="text-xs text-zinc-400">Hysteresis</div>
+                <div className="text-sm font-semibold text-[#ff9a4a]">{result.hysteresis ? figure(result.hysteresis, "V") : "needs up & down"}</div>
+              </div>
+              <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
+                <div className="text-xs text-zinc-400">Repeatability</div>
+                <div className="text-sm font-semibold text-[#9ee6ff]">{result.repeatability ? figure(result.repeatability, "V") : "needs 2+ cycles"}</div>
+              </div>
+              <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800 sm:col-span-2">
+                <div className="text-xs text-zinc-400">Correction (x = reading)</div>
+                <div className="text-sm font-semibold text-[#00ffbf] break-words">
+                  ref = {result.correction.coeffs.map((c, i) => `${i ? (c < 0 ? " − " : " + ") : c < 0 ? "−" : ""}${fmt(Math.abs(c), 6)}${i ? `·x${i > 1 ? (i === 2 ? "²" : "³") : ""}` : ""}`).join("")}
+                </div>
+              </div>
+              <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
+                <div className="text-xs text-zinc-400">Worst error found / left</div>
+                <div className="text-sm font-semibold text-white">
+                  {signed(result.asFound.maxError)} / {signed(result.asLeft.maxError)} V
+                </div>
+              </div>
+            </div>
+
+            <div className="relative w-full" style={{ height: 220 }}>
+              <div className="absolute inset-0 bg-gradient-to-b from-[#0c0c0c] via-[#0a0a0a] to-[#050505] rounded-xl" />
+              <div className="absolute inset-0 border border-zinc-800 rounded-xl shadow-[0_0_25px_-8px_#00ffbf30]" />
+              <ResponsiveContainer width="100%" height={220}>
+                <ComposedChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                  <XAxis
+                    type="number"
+                    dataKey="x"
+                    domain={["auto", "auto"]}
+                    tick={{ fill: "#bdbdbd", fontSize: 11 }}
+                    tickLine={false}
+                    axisLine={{ stroke: "#222" }}
+                    label={{ value: "Reference (V)", position: "insideBottomRight", offset: -5, fill: "#777", fontSize: 10 }}
+                  />
+                  <YAxis
+                    type="number"
+                    dataKey="y"
+                    domain={["auto", "auto"]}
+                    tick={{ fill: "#bdbdbd", fontSize: 11 }}
+                    tickLine={false}
+                    axisLine={{ stroke: "#222" }}
+                    label={{ value: "Error (V)", angle: -90, position: "insideLeft", fill: "#777", fontSize: 10 }}
+                  />
+                  <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
+                  <Legend wrapperStyle={{ color: "#aaa", fontSize: "12px", paddingTop: "6px" }} iconType="circle" />
+                  <Line name="Tolerance" data={chart.upper} dataKey="y" stroke="#ef4444" strokeDasharray="4 4" strokeWidth={1.5} dot={false} activeDot={false} isAnimationActive={false} />
+                  <Line name="Tolerance (−)" legendType="none" data={chart.lower} dataKey="y" stroke="#ef4444" strokeDasharray="4 4" strokeWidth={1.5} dot={false} activeDot={false} isAnimationActive={false} />
+                  <Scatter name="As found" data={chart.found} fill="#ff9a4a" line={{ stroke: "#ff9a4a", strokeWidth: 1 }} />
+                  <Scatter name="As left" data={chart.left} fill="#00ffbf" line={{ stroke: "#00ffbf", strokeWidth: 1 }} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="rounded-lg border border-zinc-800 overflow-auto max-h-56">
+              <table className="w-full text-xs">
+                <thead className="bg-[#0e0e0e]/80 text-zinc-400 uppercase tracking-wider">
+                  <tr>
+                    <th className="p-2 text-left">Ref (V)</th>
+                    <th className="p-2">Mean</th>
+                    <th className="p-2">As found</th>
+                    <th className="p-2">As left</th>
+                    <th className="p-2">± Tol</th>
+                    <th className="p-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.points.map((p) => (
+                    <tr key={p.ref} className="border-t border-zinc-800 text-zinc-300">
+                      <td className="p-2">{fmt(p.ref)}</td>
+                      <td className="p-2 text-center">{fmt(p.mean, 6)}</td>
+                      <td className={`p-2 text-center ${p.passFound ? "" : "text-red-300"}`}>{signed(p.errorFound)}</td>
+                      <td className={`p-2 text-center ${p.passLeft ? "" : "text-red-300"}`}>{signed(p.errorLeft)}</td>
+                      <td className="p-2 text-center">{fmt(p.tolerance)}</td>
+                      <td className={`p-2 text-center font-semibold ${p.passLeft ? "text-emerald-300" : "text-red-300"}`}>{p.passLeft ? "PASS" : "FAIL"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : (
+          <div className="text-xs text-zinc-500">
+            {records.length
+              ? `${records.length} readings so far; the evaluation starts once ${Math.max(2, Number(order) + 1)} reference points are recorded.`
+              : "Start a run to step the reference through the range. Each point is settled, averaged and recorded; errors are checked against ±(% of reading + % of span)."}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,373 @@
+// src/components/CurveTracerFitCard.jsx
+import React, { useMemo, useState } from "react";
+import { FileUp, TrendingUp, X } from "lucide-react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Scatter,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as ReTooltip,
+  Legend,
+} from "recharts";
+import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import { parseDelimited, parseXlsx } from "@/lib/report";
+import { DEVICE_COLUMNS, extractParameters, guessDeviceColumns, measuredCurves, thermalVoltage } from "@/lib/circuit";
+import { formatQuantity } from "@/lib/units";
+
+const NONE = "none";
+const itemClass = "text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md";
+
+// extracted parameters per device: key in the model / fit result, label, unit for formatQuantity
+const PARAMETERS = {
+  diode: [
+    { key: "Is", label: "Saturation current Is", unit: "A" },
+    { key: "n", label: "Ideality factor n", unit: "" },
+  ],
+  bjt: [
+    { key: "beta", label: "Current gain β", unit: "" },
+    { key: "VA", label: "Early voltage VA", unit: "V" },
+  ],
+  mosfet: [
+    { key: "Vth", label: "Threshold Vth", unit: "V" },
+    { key: "k", label: "Transconductance k", unit: "A/V²" },
+  ],
+};
+
+const EXPECTED = {
+  diode: "columns Vd and Id, e.g. \"Vd (V), Id (mA)\"",
+  bjt: "columns Vce, Ic and Ib (one family per Ib), e.g. \"Vce (V), Ic (mA), Ib (µA)\"",
+  mosfet: "columns Vds, Id and Vgs (one family per Vgs), or only Vgs and Id for a transfer curve",
+};
+
+const show = (value, unit) => (value === Infinity ? "∞" : formatQuantity(value, unit));
+
+function deviation(value, reference) {
+  if (!Number.isFinite(value) || !Number.isFinite(reference) || reference === 0) return null;
+  const d = ((value - reference) / Math.abs(reference)) * 100;
+  if (Math.abs(d) < 0.005) return "0.00 %";
+  return `${d >= 0 ? "+" : ""}${Math.abs(d) < 10 ? d.toFixed(2) : d.toFixed(1)} %`;
+}
+
+// every n-th point so long sweeps stay light in the chart
+const thin = (points, max = 80) => (points.length <= max ? points : points.filter((_, i) => i % Math.ceil(points.length / max) === 0));
+
+/* ============================
+   Linearised plot of a curve set and its fit:
+     diode  log₁₀ Id against Vd with the Shockley line
+     bjt    Ic against Vce with each family's active-region line
+     mosfet √Id against Vgs (saturation points) with the square-law line
+   -> { xLabel, yLabel, points, lines: [[{x, y}]] } or null
+   ============================ */
+function fitPlot(device, curves, fit) {
+  if (!curves || !fit) return null;
+  if (device === "diode") {
+    const points = thin(curves.points.filter((p) => p.V > 0 && p.I > 0)).map((p) => ({ x: p.V, y: Math.log10(p.I) }));
+    const at = (V) => ({ x: V, y: Math.log10(fit.Is) + V / (fit.n * thermalVoltage() * Math.LN10) });
+    return { xLabel: "Vd (V)", yLabel: "log₁₀ Id (A)", points, lines: [[at(fit.range[0]), at(fit.range[1])]] };
+  }
+  if (device === "bjt") {
+    const points = curves.families.flatMap((f) => thin(f.points, 40).map((p) => ({ x: p.V, y: p.I * 1e3 })));
+    const Vmax = Math.max(...points.map((p) => p.x));
+    const lines = fit.families.map((f) => [0, Vmax].map((V) => ({ x: V, y: (f.a + f.b * V) * 1e3 })));
+    return { xLabel: "Vce (V)", yLabel: "Ic (mA)", points, lines };
+  }
+  const points = fit.satPoints.filter((p) => p.I > 0).map((p) => ({ x: p.V, y: Math.sqrt(p.I * 1e3) }));
+  const Vmax = Math.max(...points.map((p) => p.x));
+  const slope = Math.sqrt((fit.k * 1e3) / 2);
+  return { xLabel: "Vgs (V)", yLabel: "√Id (√mA)", points, lines: [[{ x: fit.Vth, y: 0 }, { x: Vmax, y: slope * (Vmax - fit.Vth) }]] };
+}
+
+/**
+ * Parameter extraction for the curve tracer: fits the model sweep of TesterPage and,
+ * when loaded, a measured CSV / XLSX table, and compares both with the model parameters.
+ * Props:
+ * - device: "diode" | "bjt" | "mosfet"
+ * - trace: curves of one model sweep (useTesterSim)
+ * - model: the parameters the sweep was simulated with ({ Is, n } | { beta, VA } | { Vth, k })
+ */
+export default function CurveTracerFitCard({ device, trace, model = {} }) {
+  const [table, setTable] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  // column choices made by hand, kept per device; the guess is used until then
+  const [chosen, setChosen] = useState({});
+  const [source, setSource] = useState("sweep"); // sweep | measured
+
+  const guessed = useMemo(() => (table ? guessDeviceColumns(device, table.headers, table.rows) : null), [device, table]);
+  const mapping = chosen[device] ?? guessed;
+
+  const measured = useMemo(() => {
+    if (!table || !mapping) return { curves: null, error: "" };
+    try {
+      return { curves: measuredCurves(device, table, mapping), error: "" };
+    } catch (err) {
+      return { curves: null, error: err.message };
+    }
+  }, [device, table, mapping]);
+
+  const modelFit = useMemo(() => extractParameters(device, trace), [device, trace]);
+  const measuredFit = useMemo(() => extractParameters(device, measured.curves), [device, measured.curves]);
+
+  const plotSource = source === "measured" && measuredFit ? "measured" : "sweep";
+  const plot = useMemo(
+    () => (plotSource === "measured" ? fitPlot(device, measured.curves, measuredFit) : fitPlot(device, trace, modelFit)),
+    [plotSource, device, measured.curves, measuredFit, trace, modelFit]
+  );
+
+  const loadFile = (file) => {
+    const name = file.name || "file";
+    if (/\.xls$/i.test(name)) {
+      setError("Legacy .xls workbooks are not supported; save the sheet as .xlsx or CSV.");
+      return;
+    }
+    const isXlsx = /\.xlsx$/i.test(name);
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const next = isXlsx ? parseXlsx(reader.result) : parseDelimited(String(reader.result || ""));
+        if (!next.rows.length) throw new Error("No rows found in the file.");
+        setTable(next);
+        setFileName(name);
+        setChosen({});
+        setError("");
+        setSource("measured");
+      } catch (err) {
+        setTable(null);
+        setError(err.message || "Could not read the file.");
+      }
+    };
+    reader.onerror = () => setError("Could not read the file.");
+    if (isXlsx) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  };
+
+  const clearTable = () => {
+    setTable(null);
+    setFileName("");
+    setChosen({});
+    setError("");
+    setSource("sweep");
+  };
+
+  const setColumn = (field, value) =>
+    setChosen((c) => ({ ...c, [device]: { ...mapping, columns: { ...mapping.columns, [field]: value === NONE ? null : Number(value) } } }));
+  const setUnit = (field, value) => setChosen((c) => ({ ...c, [device]: { ...mapping, units: { ...mapping.units, [field]: value } } }));
+
+  const warnings = [...(modelFit?.warnings ?? []).map((w) => `Sweep: ${w}`), ...(measuredFit?.warnings ?? []).map((w) => `Measured: ${w}`)];
+
+  return (
+    <Card className="bg-gradient-to-br from-black/80 via-zinc-900/60 to-black/80 border border-zinc-800 rounded-2xl shadow-md">
+      <CardHeader>
+        <CardTitle className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <div className="flex items-center gap-2 text-[#ffd24a]">
+            <TrendingUp className="w-5 h-5" />
+            Parameter Extraction
+          </div>
+          <div className="flex items-center gap-2">
+            <Button
+              variant="ghost"
+              className={`border cursor-pointer text-xs px-3 py-1 rounded-md ${plotSource === "sweep" ? "border-orange-500 text-orange-300 bg-orange-900/30" : "border-zinc-800 text-zinc-400 hover:text-orange-400"}`}
+              onClick={() => setSource("sweep")}
+            >
+              Model sweep
+            </Button>
+            <Button
+              variant="ghost"
+              disabled={!measuredFit}
+              className={`border cursor-pointer text-xs px-3 py-1 rounded-md ${plotSource === "measured" ? "border-orange-500 text-orange-300 bg-orange-900/30" : "border-zinc-800 text-zinc-400 hover:text-orange-400"}`}
+              onClick={() => setSource("measured")}
+            >
+              Measured
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div className="rounded-lg border border-zinc-800 overflow-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-[#0e0e0e]/80 text-zinc-400 uppercase tracking-wider">
+              <tr>
+                <th className="p-2 text-left">Parameter</th>
+                <th className="p-2">Model set</th>
+                <th className="p-2">From sweep</th>
+                <th className="p-2">From measured</th>
+              </tr>
+            </thead>
+            <tbody>
+              {PARAMETERS[device].map(({ key, label, unit }) => (
+                <tr key={key} className="border-t border-zinc-800 text-zinc-300">
+                  <td className="p-2">{label}</td>
+                  <td className="p-2 text-center text-[#ffd24a]">{show(model[key], unit)}</td>
+                  <td className="p-2 text-center">
+                    <span className="text-[#00ffbf]">{modelFit ? show(modelFit[key], unit) : "—"}</span>
+                    {modelFit && deviation(modelFit[key], model[key]) && <span className="text-zinc-500 ml-1">({deviation(modelFit[key], model[key])})</span>}
+                  </td>
+                  <td className="p-2 text-center">
+                    <span className="text-[#ff9a4a]">{measuredFit ? show(measuredFit[key], unit) : "—"}</span>
+                    {measuredFit && deviation(measuredFit[key], model[key]) && <span className="text-zinc-500 ml-1">({deviation(measuredFit[key], model[key])})</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-xs">
+          {modelFit ? (
+            <Badge className="bg-black/80 border border-zinc-700 text-zinc-300 px-3 py-1 rounded-full">
+              Sweep fit: {device === "bjt" ? `${modelFit.families.length} families` : `${modelFit.used} points, r² = ${modelFit.r2.toFixed(5)}`}
+            </Badge>
+          ) : (
+            <Badge className="bg-black/80 border border-zinc-700 text-zinc-400 px-3 py-1 rounded-full">Sweep too short to fit — widen the sweep range</Badge>
+          )}
+          {measuredFit && (
+            <Badge className="bg-black/80 border border-orange-500/60 text-orange-300 px-3 py-1 rounded-full">
+              Measured fit: {device === "bjt" ? `${measuredFit.families.length} families` : `${measuredFit.used} points, r² = ${measuredFit.r2.toFixed(5)}`}
+            </Badge>
+          )}
+        </div>
+
+        {warnings.length > 0 && (
+          <ul className="text-xs text-amber-300 space-y-1">
+            {warnings.map((w) => (
+              <li key={w}>⚠ {w}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="relative w-full" style={{ height: 240 }}>
+          <div className="absolute inset-0 bg-gradient-to-b from-[#0c0c0c] via-[#0a0a0a] to-[#050505] rounded-xl" />
+          <div className="absolute inset-0 border border-zinc-800 rounded-xl shadow-[0_0_25px_-8px_#00ffbf30]" />
+          {plot && plot.points.length > 0 ? (
+            <ResponsiveContainer width="100%" height={240}>
+              <ComposedChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                <XAxis
+                  type="number"
+                  dataKey="x"
+                  domain={["auto", "auto"]}
+                  tick={{ fill: "#bdbdbd", fontSize: 11 }}
+                  tickLine={false}
+                  axisLine={{ stroke: "#222" }}
+                  label={{ value: plot.xLabel, position: "insideBottomRight", offset: -5, fill: "#777", fontSize: 10 }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="y"
+                  domain={["auto", "auto"]}
+                  tick={{ fill: "#bdbdbd", fontSize: 11 }}
+                  tickLine={false}
+                  axisLine={{ stroke: "#222" }}
+                  label={{ value: plot.yLabel, angle: -90, position: "insideLeft", fill: "#777", fontSize: 10 }}
+                />
+                <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
+                <Legend wrapperStyle={{ color: "#aaa", fontSize: "12px", paddingTop: "6px" }} iconType="circle" />
+                <Scatter name={plotSource === "measured" ? "Measured" : "Model sweep"} data={plot.points} fill={plotSource === "measured" ? "#ff9a4a" : "#00ffbf"} />
+                {plot.lines.map((line, i) => (
+                  <Line
+                    key={i}
+                    name="Fit"
+                    legendType={i === 0 ? "line" : "none"}
+                    data={line}
+                    dataKey="y"
+                    stroke="#ffd24a"
+                    strokeWidth={2}
+                    dot={false}
+                    activeDot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="absolute inset-0 flex flex-col items-center justify-center text-zinc-500">
+              <TrendingUp className="w-6 h-6 text-[#00ffbf] mb-2" />
+              <p className="text-sm text-zinc-400">No curve to fit yet</p>
+            </div>
+          )}
+        </div>
+
+        <div className="border border-zinc-800 rounded-lg p-3 space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+            <div className="text-xs text-zinc-400">
+              {table ? `${fileName} • ${table.rows.length} rows` : `Measured data: CSV, TSV or Excel (.xlsx) with ${EXPECTED[device]}.`}
+            </div>
+            <div className="flex gap-2">
+              <label className="cursor-pointer">
+                <input
+                  type="file"
+                  accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                  className="hidden"
+                  onChange={(e) => {
+                    const f = e.target.files?.[0];
+                    if (f) loadFile(f);
+                    e.target.value = "";
+                  }}
+                />
+                <Button variant="ghost" className="border border-zinc-700 text-zinc-300 hover:text-orange-400 text-xs" asChild>
+                  <div>
+                    <FileUp className="w-4 h-4 mr-1" /> Load measured
+                  </div>
+                </Button>
+              </label>
+              {table && (
+                <Button variant="ghost" className="border border-zinc-700 text-zinc-300 hover:text-orange-400 cursor-pointer p-2" onClick={clearTable} aria-label="Remove measured data">
+                  <X className="w-4 h-4" />
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {table && mapping && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              {DEVICE_COLUMNS[device].map(({ field, label, optional }) => (
+                <div key={field} className="flex items-end gap-2">
+                  <div className="flex-1 min-w-0">
+                    <label className="text-xs text-zinc-400">{label}</label>
+                    <Select value={mapping.columns[field] == null ? NONE : String(mapping.columns[field])} onValueChange={(v) => setColumn(field, v)}>
+                      <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                        <SelectItem value={NONE} className={itemClass}>
+                          {optional ? "— none (transfer curve) —" : "— none —"}
+                        </SelectItem>
+                        {table.headers.map((h, i) => (
+                          <SelectItem key={i} value={String(i)} className={itemClass}>
+                            {h}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="w-16">
+                    <Input value={mapping.units[field]} onChange={(e) => setUnit(field, e.target.value)} aria-label={`${label} unit`} className="bg-zinc-900/60 border border-zinc-800 text-white text-sm" />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {(error || measured.error) && <div className="text-xs text-red-300">{error || measured.error}</div>}
+          {table && !measured.error && !measuredFit && (
+            <div className="text-xs text-zinc-500">Assign the columns above; the measured curves do not give a fit yet.</div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
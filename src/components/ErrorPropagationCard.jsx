@@ -0,0 +1,199 @@
+// src/components/ErrorPropagationCard.jsx
+import React, { useMemo, useState } from "react";
+import { Sigma, FunctionSquare, ArrowDownToLine } from "lucide-react";
+import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { FORMULAS } from "@/data/formulas";
+import { propagate, coverageFactor, welchSatterthwaite } from "@/lib/stats";
+
+// formulas with inputs whose compute() gives a number (first non-unit key of the result)
+const PROPAGATABLE = FORMULAS.filter((f) => f.inputs.length > 0);
+const CATEGORIES = Array.from(new Set(PROPAGATABLE.map((f) => f.category)));
+
+function formulaOutput(result) {
+  const key = Object.keys(result ?? {}).find((k) => !/unit$/i.test(k) && typeof result[k] === "number");
+  if (!key) return null;
+  const unitKey = Object.keys(result).find((k) => k === `${key}_unit`) ?? Object.keys(result).find((k) => /unit$/i.test(k));
+  return { key, value: result[key], unit: unitKey ? result[unitKey] : "" };
+}
+
+const defaultsOf = (formula) =>
+  Object.fromEntries(formula.inputs.map((inp) => [inp.key, { value: String(inp.default ?? 0), u: "0", dof: Infinity }]));
+
+const fmt = (x, digits = 4) => (Number.isFinite(x) ? String(Number(x.toPrecision(digits))) : "—");
+
+const itemClass = "text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md";
+
+/**
+ * ErrorPropagationCard — first-order propagation of input uncertainties through a formula
+ * from src/data/formulas.js (central-difference sensitivities, independent inputs)
+ * props:
+ * - confidence: coverage probability for the expanded uncertainty; k is Student's t at the
+ *   Welch–Satterthwaite degrees of freedom (typed uncertainties count as exact)
+ * - reading: { mean, uc, dof, unit } of the repeated readings, offered as the value ± u of an
+ *   input together with their effective degrees of freedom
+ */
+export default function ErrorPropagationCard({ confidence = 0.95, reading }) {
+  const [formulaId, setFormulaId] = useState("ohm");
+  const formula = PROPAGATABLE.find((f) => f.id === formulaId) ?? PROPAGATABLE[0];
+  const [inputs, setInputs] = useState(() => defaultsOf(formula));
+
+  const selectFormula = (id) => {
+    const next = PROPAGATABLE.find((f) => f.id === id);
+    setFormulaId(id);
+    setInputs(defaultsOf(next));
+  };
+  const setInput = (key, patch) => setInputs((prev) => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+
+  const result = useMemo(() => {
+    const keys = formula.inputs.map((inp) => inp.key);
+    const values = keys.map((k) => Number(inputs[k]?.value));
+    const us = keys.map((k) => Math.abs(Number(inputs[k]?.u)) || 0);
+    if (values.some((v) => !Number.isFinite(v))) return null;
+    const evaluate = (...xs) => formulaOutput(formula.compute(Object.fromEntries(keys.map((k, i) => [k, xs[i]]))))?.value ?? NaN;
+    const out = formulaOutput(formula.compute(Object.fromEntries(keys.map((k, i) => [k, values[i]]))));
+    if (!out || !Number.isFinite(out.value)) return null;
+    const { u, sensitivities } = propagate(evaluate, values, us);
+    const budget = formula.inputs.map((inp, i) => {
+      const contribution = Math.abs(sensitivities[i] * us[i]);
+      return { ...inp, value: values[i], u: us[i], dof: inputs[inp.key]?.dof ?? Infinity, c: sensitivities[i], contribution, share: u > 0 ? (contribution / u) ** 2 * 100 : 0 };
+    });
+    const dof = welchSatterthwaite(
+      u,
+      budget.map((b) => ({ u: b.contribution, dof: b.dof }))
+    );
+    const k = coverageFactor(confidence, dof);
+    return { ...out, u, dof, k, U: k * u, budget };
+  }, [formula, inputs, confidence]);
+
+  return (
+    <Card className="bg-black/70 border border-zinc-800 rounded-2xl overflow-hidden w-full max-w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between flex-wrap gap-2">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 rounded-md bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black flex items-center justify-center">
+              <FunctionSquare className="w-5 h-5" />
+            </div>
+            <div>
+              <div className="text-lg font-semibold text-[#ffd24a]">Error Propagation</div>
+              <div className="text-xs text-zinc-400">u_c² = Σ (∂f/∂xᵢ · uᵢ)² over a formula from the formula sheet</div>
+            </div>
+          </div>
+          <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full">
+            <span className="text-[#ffd24a]">{formula.formula}</span>
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <Select value={formula.id} onValueChange={selectFormula}>
+          <SelectTrigger className="w-full bg-zinc-900/60 border cursor-pointer border-zinc-800 text-orange-100 text-sm rounded-md">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg max-h-72">
+            {CATEGORIES.map((cat) => (
+              <SelectGroup key={cat}>
+                <SelectLabel className="text-xs text-zinc-500">{cat}</SelectLabel>
+                {PROPAGATABLE.filter((f) => f.category === cat).map((f) => (
+                  <SelectItem key={f.id} value={f.id} className={itemClass}>
+                    {f.title}
+                  </SelectItem>
+                ))}
+              </SelectGroup>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <div className="space-y-2">
+          <div className="grid grid-cols-[1fr_7rem_7rem_2.25rem] gap-2 text-[11px] text-zinc-500 uppercase tracking-wider">
+            <span>Input</span>
+            <span>Value</span>
+            <span>Std. uncertainty u</span>
+            <span />
+          </div>
+          {formula.inputs.map((inp) => (
+            <div key={inp.key} className="grid grid-cols-[1fr_7rem_7rem_2.25rem] gap-2 items-center">
+              <div className="text-sm text-zinc-300 truncate">
+                {inp.label} <span className="text-zinc-500">({inp.unit || "—"})</span>
+              </div>
+              <Input value={inputs[inp.key]?.value ?? ""} onChange={(e) => setInput(inp.key, { value: e.target.value })} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+              <Input value={inputs[inp.key]?.u ?? ""} onChange={(e) => setInput(inp.key, { u: e.target.value, dof: Infinity })} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+              <Button
+                variant="ghost"
+                size="sm"
+                disabled={!reading}
+                className="border cursor-pointer border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:text-orange-500 h-9 px-2"
+                title={reading ? `Use the repeated readings: ${fmt(reading.mean, 6)} ± ${fmt(reading.uc, 2)} ${reading.unit}` : "Enter repeated readings first"}
+                onClick={() => setInput(inp.key, { value: String(Number(reading.mean.toPrecision(8))), u: String(Number(reading.uc.toPrecision(3))), dof: reading.dof })}
+              >
+                <ArrowDownToLine className="w-3.5 h-3.5" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        {!result && <div className="text-sm text-red-300">The formula has no numeric result for these inputs.</div>}
+
+        {result && (
+          <>
+            <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800 text-sm space-y-1">
+              <div className="text-zinc-200 flex items-center gap-2 flex-wrap">
+                <Sigma className="w-4 h-4 text-[#ffd24a]" />
+                {result.key} = <span className="text-[#00ffbf] font-semibold">{fmt(result.value, 6)} {result.unit}</span>
+              </div>
+              <div className="text-xs text-zinc-400">
+                u_c = {fmt(result.u)} {result.unit}
+                {result.value !== 0 && ` (${fmt((result.u / Math.abs(result.value)) * 100, 3)} %)`} • U = {fmt(result.U)} {result.unit} (k = {fmt(result.k, 3)}, ν_eff = {Number.isFinite(result.dof) ? fmt(result.dof, 3) : "∞"}, {fmt(confidence * 100, 4)} %)
+              </div>
+            </div>
+
+            <div className="rounded-lg border border-zinc-800 overflow-auto">
+              <table className="w-full text-xs">
+                <thead className="bg-[#0e0e0e]/80 text-zinc-400 uppercase tracking-wider">
+                  <tr>
+                    <th className="p-2 text-left">Input</th>
+                    <th className="p-2">Value</th>
+                    <th className="p-2">u</th>
+                    <th className="p-2">∂f/∂x</th>
+                    <th className="p-2">|∂f/∂x|·u</th>
+                    <th className="p-2">Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.budget.map((b) => (
+                    <tr key={b.key} className="border-t border-zinc-800 text-zinc-300">
+                      <td className="p-2">{b.label}</td>
+                      <td className="p-2 text-center">{fmt(b.value)}</td>
+                      <td className="p-2 text-center">{fmt(b.u)}</td>
+                      <td className="p-2 text-center">{fmt(b.c)}</td>
+                      <td className="p-2 text-center">{fmt(b.contribution)}</td>
+                      <td className="p-2">
+                        <div className="flex items-center gap-2">
+                          <div className="h-1.5 flex-1 rounded bg-zinc-800 overflow-hidden">
+                            <div className="h-full bg-gradient-to-r from-[#ff7a2d] to-[#ffd24a]" style={{ width: `${Math.min(100, b.share)}%` }} />
+                          </div>
+                          <span className="w-10 text-right">{fmt(b.share, 3)}%</span>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -3,24 +3,41 @@ import { motion } from "framer-motion";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
-import { Upload, Trash2, FileDown, Image as ImageIcon } from "lucide-react";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import { Upload, Trash2, FileDown, Image as ImageIcon, School } from "lucide-react";
+import { REPORT_SECTIONS, REPORT_TEMPLATES } from "@/lib/report";
 
 export default function LabReportControl({
   title, setTitle,
   author, setAuthor,
   college, setCollege,
+  roll, setRoll,
+  courseCode, setCourseCode,
   date, setDate,
+  template, setTemplate,
+  logoBase64, setLogoBase64,
   circuitImageBase64, setCircuitImageBase64,
   onGeneratePDF,
+  onExport,
 }) {
   const [errorMsg, setErrorMsg] = useState("");
+  const selectedTemplate = REPORT_TEMPLATES[template];
 
-  const handleUpload = (e) => {
+  // image file -> data URL for the given setter (circuit diagram or institution logo)
+  const handleUpload = (setImage) => (e) => {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
 
-    if (!file.type.startsWith("image/")) {
-      setErrorMsg("Please upload an image file.");
+    // the PDF engine (and the report schema) only embed PNG and JPEG
+    if (!/^image\/(png|jpeg)$/.test(file.type)) {
+      setErrorMsg("Please upload a PNG or JPEG image.");
       return;
     }
     if (file.size > 4 * 1024 * 1024) {
@@ -30,7 +47,7 @@ export default function LabReportControl({
 
     const reader = new FileReader();
     reader.onload = () => {
-      setCircuitImageBase64(reader.result);
+      setImage(reader.result);
       setErrorMsg("");
     };
     reader.readAsDataURL(file);
@@ -76,6 +93,47 @@ export default function LabReportControl({
               type="date"
               className="bg-[#0b0b0c] border border-zinc-800 text-white focus:border-[#ffd24a]/60"
             />
+            <Input
+              value={roll}
+              onChange={(e) => setRoll(e.target.value)}
+              placeholder="Roll Number"
+              className="bg-[#0b0b0c] border border-zinc-800 text-white focus:border-[#ffd24a]/60"
+            />
+            <Input
+              value={courseCode}
+              onChange={(e) => setCourseCode(e.target.value)}
+              placeholder="Course Code"
+              className="bg-[#0b0b0c] border border-zinc-800 text-white focus:border-[#ffd24a]/60"
+            />
+          </div>
+
+          {/* Report Template */}
+          <div className="mt-4 space-y-2">
+            <div className="text-xs text-zinc-400">Report template</div>
+            <Select value={template} onValueChange={setTemplate}>
+              <SelectTrigger className="w-full bg-[#0f0f0f] border border-zinc-800/70 text-white rounded-lg focus:ring-2 focus:ring-[#ffb84a]/50 hover:border-[#ffb84a]/40 transition-all duration-200 cursor-pointer px-3 py-2 text-sm">
+                <SelectValue placeholder="Select a template" />
+              </SelectTrigger>
+              <SelectContent className="bg-[#0b0b0c] border border-zinc-800 text-white shadow-xl rounded-lg">
+                {Object.entries(REPORT_TEMPLATES).map(([id, t]) => (
+                  <SelectItem
+                    key={id}
+                    value={id}
+                    className="text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md"
+                  >
+                    {t.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {selectedTemplate && (
+              <div className="text-[11px] text-zinc-500 leading-relaxed">
+                {selectedTemplate.description}
+                <br />
+                <span className="text-zinc-400">Sections:</span>{" "}
+                {selectedTemplate.sections.map((sec) => REPORT_SECTIONS[sec.id]).join(" → ")}
+              </div>
+            )}
           </div>
 
           {/* Upload Section */}
@@ -85,12 +143,34 @@ export default function LabReportControl({
               <span className="text-sm text-zinc-300">Upload Circuit</span>
               <input
                 type="file"
-                accept="image/*"
-                onChange={handleUpload}
+                accept="image/png,image/jpeg"
+                onChange={handleUpload(setCircuitImageBase64)}
                 className="hidden"
               />
             </label>
 
+            <label className="flex items-center gap-2 cursor-pointer bg-zinc-900 px-4 py-2 rounded-md border border-zinc-800 hover:border-[#ffd24a]/40 hover:bg-[#111] transition">
+              <School className="w-4 h-4 text-[#ffd24a]" />
+              <span className="text-sm text-zinc-300">{logoBase64 ? "Change Logo" : "Institution Logo"}</span>
+              <input
+                type="file"
+                accept="image/png,image/jpeg"
+                onChange={handleUpload(setLogoBase64)}
+                className="hidden"
+              />
+            </label>
+
+            {logoBase64 && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setLogoBase64(null)}
+                className="flex items-center gap-2 border-zinc-800 text-red-500 cursor-pointer hover:border-red-500 hover:text-red-400 transition"
+              >
+                <Trash2 className="w-4 h-4" /> Logo
+              </Button>
+            )}
+
             {circuitImageBase64 && (
               <Button
                 variant="outline"
@@ -111,6 +191,29 @@ export default function LabReportControl({
             </Button>
           </div>
 
+          {onExport && (
+            <div className="flex items-center justify-end gap-2 text-xs text-zinc-400">
+              <span>Also as</span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onExport("docx")}
+                className="bg-zinc-900 border-zinc-800 text-[#ffd24a] cursor-pointer hover:border-[#ffd24a]/40 hover:bg-[#111] hover:text-[#ffd24a] transition"
+              >
+                Word (.docx)
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onExport("latex")}
+                title="main.tex and images/ — upload the zip to Overleaf as a new project"
+                className="bg-zinc-900 border-zinc-800 text-[#ffd24a] cursor-pointer hover:border-[#ffd24a]/40 hover:bg-[#111] hover:text-[#ffd24a] transition"
+              >
+                LaTeX (.zip)
+              </Button>
+            </div>
+          )}
+
           {/* Error Message */}
           {errorMsg && (
             <div className="text-red-400 text-sm mt-2 flex items-center gap-2">
@@ -0,0 +1,81 @@
+import React from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Scatter,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as ReTooltip,
+  Legend,
+} from "recharts";
+import { TrendingUp } from "lucide-react";
+
+/**
+ * LabReportFitChart — measured points with the least-squares line of the experiment analysis
+ * props: plot = { xLabel, yLabel, points: [{x, y}], line: [{x, y}] | null, connect }, height = 240
+ */
+export default function LabReportFitChart({ plot, height = 240, id = "lab-fit-chart" }) {
+  const hasData = plot && plot.points.length > 0;
+
+  return (
+    <div id={id} className="relative w-full" style={{ height }}>
+      <div className="absolute inset-0 bg-gradient-to-b from-[#0c0c0c] via-[#0a0a0a] to-[#050505] rounded-xl" />
+      <div className="absolute inset-0 border border-zinc-800 rounded-xl shadow-[0_0_25px_-8px_#00ffbf30]" />
+
+      {hasData && (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+            <XAxis
+              type="number"
+              dataKey="x"
+              domain={["auto", "auto"]}
+              tick={{ fill: "#bdbdbd", fontSize: 11 }}
+              tickLine={false}
+              axisLine={{ stroke: "#222" }}
+              label={{ value: plot.xLabel, position: "insideBottomRight", offset: -5, fill: "#777", fontSize: 10 }}
+            />
+            <YAxis
+              type="number"
+              dataKey="y"
+              domain={["auto", "auto"]}
+              tick={{ fill: "#bdbdbd", fontSize: 11 }}
+              tickLine={false}
+              axisLine={{ stroke: "#222" }}
+              label={{ value: plot.yLabel, angle: -90, position: "insideLeft", fill: "#777", fontSize: 10 }}
+            />
+            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
+            <Legend wrapperStyle={{ color: "#aaa", fontSize: "12px", paddingTop: "6px" }} iconType="circle" />
+            <Scatter
+              name="Readings"
+              data={plot.points}
+              fill="#00ffbf"
+              line={plot.connect ? { stroke: "#00ffbf", strokeWidth: 1.5 } : false}
+            />
+            {plot.line && (
+              <Line
+                name="Least-squares fit"
+                data={plot.line}
+                dataKey="y"
+                stroke="#ffb84a"
+                strokeWidth={2}
+                dot={false}
+                activeDot={false}
+                isAnimationActive={false}
+              />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+
+      {!hasData && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center text-zinc-500">
+          <TrendingUp className="w-6 h-6 text-[#00ffbf] mb-2" />
+          <p className="text-sm text-zinc-400">Enter readings to see the fitted graph</p>
+        </div>
+      )}
+    </div>
+  );
+}
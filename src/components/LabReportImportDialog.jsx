@@ -0,0 +1,268 @@
+// src/components/LabReportImportDialog.jsx
+import React, { useMemo, useState } from "react";
+import { FileUp, FileSpreadsheet } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+  DialogClose,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  COLUMN_UNITS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseDelimited,
+  parseXlsx,
+  guessColumnMapping,
+  rowsToObservations,
+} from "@/lib/report";
+
+const FIELD_LABELS = { t: "t / frequency", V: "Voltage", I: "Current", remark: "Remark" };
+const NONE = "none";
+
+const itemClass = "text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md";
+
+/**
+ * Load a CSV / TSV / XLSX file (or pasted spreadsheet cells), map its columns onto the
+ * observation table and hand the rows back.
+ * Props:
+ * - open, onOpenChange
+ * - onImport(observations, { replace }): observations = [{ id, t, V, I, remark }]
+ */
+export default function LabReportImportDialog({ open, onOpenChange, onImport }) {
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  const [pasted, setPasted] = useState("");
+
+  const applyTable = (next, name) => {
+    setFileName(name);
+    if (!next.rows.length) {
+      setTable(null);
+      setMapping(null);
+      setError("No rows found in the file.");
+      return;
+    }
+    setError("");
+    setTable(next);
+    setMapping(guessColumnMapping(next.headers, next.rows));
+  };
+
+  const loadFile = (file) => {
+    const name = file.name || "file";
+    if (/\.xls$/i.test(name)) {
+      setError("Legacy .xls workbooks are not supported; save the sheet as .xlsx or CSV.");
+      return;
+    }
+    const isXlsx = /\.xlsx$/i.test(name);
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        applyTable(isXlsx ? parseXlsx(reader.result) : parseDelimited(String(reader.result || "")), name);
+      } catch (err) {
+        setTable(null);
+        setError(err.message || "Could not read the file.");
+      }
+    };
+    reader.onerror = () => setError("Could not read the file.");
+    if (isXlsx) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  };
+
+  const result = useMemo(() => (table && mapping ? rowsToObservations(table, mapping) : null), [table, mapping]);
+
+  const setColumn = (field, value) =>
+    setMapping((m) => ({ ...m, columns: { ...m.columns, [field]: value === NONE ? null : Number(value) } }));
+  const setUnit = (field, value) => setMapping((m) => ({ ...m, units: { ...m.units, [field]: value } }));
+
+  const finish = (replace) => {
+    onImport(result.observations, { replace });
+    setTable(null);
+    setMapping(null);
+    setPasted("");
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl w-full bg-zinc-950/90 border border-zinc-800 backdrop-blur-lg rounded-2xl p-4 shadow-lg">
+        <DialogHeader>
+          <DialogTitle className="text-orange-400 flex items-center gap-2">
+            <FileSpreadsheet className="w-4 h-4" /> Import observations
+          </DialogTitle>
+          <DialogDescription className="text-zinc-400">
+            CSV, TSV or Excel (.xlsx, first sheet). Pick which column holds each reading and its unit; values are converted to V and A.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!table && (
+          <Textarea
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+            placeholder={"…or paste cells copied from a spreadsheet\nV (V)\tI (mA)\n1.0\t0.98\n2.0\t2.01"}
+            spellCheck={false}
+            className="min-h-[140px] font-mono text-xs bg-black/60 border border-zinc-800 text-zinc-100"
+          />
+        )}
+
+        {error && <div className="text-xs text-red-300">{error}</div>}
+
+        {table && mapping && (
+          <div className="space-y-3">
+            <div className="text-xs text-zinc-400">
+              {fileName} • {table.rows.length} rows • {table.headers.length} columns
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              {IMPORT_FIELDS.map((field) => (
+                <div key={field} className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <label className="text-xs text-zinc-400">{FIELD_LABELS[field]}</label>
+                    <Select value={mapping.columns[field] == null ? NONE : String(mapping.columns[field])} onValueChange={(v) => setColumn(field, v)}>
+                      <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                        <SelectItem value={NONE} className={itemClass}>
+                          {field === "t" ? "Row number" : "— none —"}
+                        </SelectItem>
+                        {table.headers.map((h, i) => (
+                          <SelectItem key={i} value={String(i)} className={itemClass}>
+                            {h}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  {COLUMN_UNITS[field] && (
+                    <div className="w-20">
+                      <Select value={mapping.units[field]} onValueChange={(v) => setUnit(field, v)}>
+                        <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                          {Object.keys(COLUMN_UNITS[field]).map((u) => (
+                            <SelectItem key={u} value={u} className={itemClass}>
+                              {u}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="rounded-lg border border-zinc-800 overflow-auto max-h-40">
+              <table className="w-full text-xs">
+                <thead className="bg-[#0e0e0e]/80 text-zinc-400 uppercase tracking-wider">
+                  <tr>
+                    <th className="p-2 text-left">t</th>
+                    <th className="p-2">V (Volt)</th>
+                    <th className="p-2">I (Amp)</th>
+                    <th className="p-2">Remark</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.observations.slice(0, 6).map((r) => (
+                    <tr key={r.id} className="border-t border-zinc-800 text-zinc-300">
+                      <td className="p-2">{r.t}</td>
+                      <td className="p-2 text-center">{r.V || "—"}</td>
+                      <td className="p-2 text-center">{r.I || "—"}</td>
+                      <td className="p-2 text-center truncate max-w-[160px]">{r.remark || "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-zinc-500">
+              {result.observations.length} observations
+              {result.skipped ? ` • ${result.skipped} empty rows skipped` : ""}
+              {result.truncated ? ` • ${result.truncated} rows beyond ${MAX_IMPORT_ROWS} dropped` : ""}
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="flex flex-col sm:flex-row justify-between gap-2 mt-2">
+          <div className="flex gap-2">
+            <label className="cursor-pointer">
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) loadFile(f);
+                  e.target.value = "";
+                }}
+              />
+              <Button variant="ghost" className="border border-zinc-700 text-zinc-300 hover:text-orange-400" asChild>
+                <div>
+                  <FileUp className="w-4 h-4 mr-1" /> Load file
+                </div>
+              </Button>
+            </label>
+            {!table && (
+              <Button
+                variant="ghost"
+                disabled={!pasted.trim()}
+                className="border border-zinc-700 text-zinc-300 hover:text-orange-400 cursor-pointer"
+                onClick={() => applyTable(parseDelimited(pasted), "Pasted cells")}
+              >
+                Use pasted
+              </Button>
+            )}
+            {table && (
+              <Button
+                variant="ghost"
+                className="border border-zinc-700 text-zinc-300 hover:text-orange-400 cursor-pointer"
+                onClick={() => {
+                  setTable(null);
+                  setMapping(null);
+                }}
+              >
+                Start over
+              </Button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <DialogClose asChild>
+              <Button variant="outline" className="text-black cursor-pointer border-zinc-700">
+                Cancel
+              </Button>
+            </DialogClose>
+            <Button
+              variant="outline"
+              disabled={!result?.observations.length}
+              className="text-black cursor-pointer border-zinc-700"
+              onClick={() => finish(false)}
+            >
+              Append
+            </Button>
+            <Button
+              disabled={!result?.observations.length}
+              className="cursor-pointer bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black"
+              onClick={() => finish(true)}
+            >
+              Replace rows
+            </Button>
+          </div>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -9,6 +9,7 @@ import {
   CheckCircle2,
   Eye,
   Pencil,
+  Calculator,
 } from "lucide-react";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
 import { Textarea } from "@/components/ui/textarea";
@@ -63,7 +64,7 @@ const SectionBlock = React.memo(function SectionBlock({
             >
               <Square className="w-3.5 h-3.5 mr-1" /> Stop
             </Button>
-          ) : (
+          ) : generateFor ? (
             <Button
               size="sm"
               variant="ghost"
@@ -74,7 +75,7 @@ const SectionBlock = React.memo(function SectionBlock({
               <Sparkles className="w-4 h-4 mr-1 text-[#ffd24a]" />
               Auto Generate
             </Button>
-          )}
+          ) : null}
         </div>
       </div>
 
@@ -103,9 +104,9 @@ const SectionBlock = React.memo(function SectionBlock({
         <TabsContent value="edit" className="p-4">
           <Textarea
             value={value}
-            onChange={(e) => setValue(e.target.value)}
+            onChange={(e) => setter(e.target.value)}
             rows={field === "procedure" ? 7 : 5}
-            placeholder={`Write ${label.toLowerCase()} here or click "Auto Generate"...`}
+            placeholder={generateFor ? `Write ${label.toLowerCase()} here or click "Auto Generate"...` : `Write ${label.toLowerCase()} here...`}
             className="bg-[#0a0a0a]/95 border border-zinc-800 text-white placeholder:text-zinc-500 
                        focus:border-[#ff9a3c]/70 focus:ring-1 focus:ring-[#ff9a3c]/50 
                        min-h-[120px] rounded-xl shadow-inner shadow-black/40 w-full"
@@ -141,6 +142,8 @@ export default function LabReportSections({
   setProcedure,
   conclusion,
   setConclusion,
+  calculations,
+  setCalculations,
   observations = [],
 }) {
   const { generateText, loading, error } = useGemini();
@@ -290,6 +293,14 @@ ${baseContext || "N/A"}`;
           generateFor={generateFor}
           stopGeneration={stopGeneration}
         />
+        {/* typed notes, printed below the automatic calculations; not generated */}
+        <SectionBlock
+          label="Calculations"
+          field="calculations"
+          value={calculations}
+          setter={setCalculations}
+          Icon={Calculator}
+        />
         <SectionBlock
           label="Conclusion"
           field="conclusion"
@@ -8,8 +8,11 @@ import {
   Download,
   Table2,
   Info,
+  FileSpreadsheet,
 } from "lucide-react";
 import { saveAs } from "file-saver";
+import { toast } from "sonner";
+import LabReportImportDialog from "@/components/LabReportImportDialog";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
 import { motion, AnimatePresence } from "framer-motion";
 
@@ -24,6 +27,7 @@ const defaultRow = (i) => ({
 export default function LabReportTable({ observations, setObservations }) {
   const [isMobile, setIsMobile] = useState(false);
   const [activeRow, setActiveRow] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
 
   // Responsive checker
   useEffect(() => {
@@ -48,6 +52,12 @@ export default function LabReportTable({ observations, setObservations }) {
     saveAs(blob, `observations-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.csv`);
   };
 
+  // imported rows replace the table, or follow the typed rows (blank rows are dropped first)
+  const importRows = (rows, { replace }) => {
+    setObservations((prev) => (replace ? rows : [...prev.filter((r) => r.V !== "" || r.I !== "" || r.remark), ...rows]));
+    toast.success(`Imported ${rows.length} observation${rows.length === 1 ? "" : "s"}`);
+  };
+
   if (!observations) return null;
 
   return (
@@ -57,7 +67,14 @@ export default function LabReportTable({ observations, setObservations }) {
           <Table2 className="w-5 h-5 text-[#ff9a3c]" />
           Observation Table
         </CardTitle>
-        <div className="flex gap-2">
+        <div className="flex flex-wrap gap-2">
+          <Button
+            variant="ghost"
+            onClick={() => setImportOpen(true)}
+            className="border hover:text-[#ff7a2d] cursor-pointer border-[#ff9a3c]/30 hover:bg-[#ff9a3c]/10 text-[#ffb84a] flex items-center gap-1"
+          >
+            <FileSpreadsheet className="w-4 h-4" /> Import
+          </Button>
           <Button
             variant="ghost"
             onClick={exportCSV}
@@ -230,6 +247,8 @@ export default function LabReportTable({ observations, setObservations }) {
           )}
         </AnimatePresence>
       </CardContent>
+
+      <LabReportImportDialog open={importOpen} onOpenChange={setImportOpen} onImport={importRows} />
     </Card>
   );
 }
@@ -8,18 +8,22 @@ import {
   BarChart3,
 } from "lucide-react";
 import LabReportChart from "./LabReportChart";
+import LabReportFitChart from "./LabReportFitChart";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { formatMeasurement, formatQuantity } from "@/lib/report";
 
 /**
  * Enhanced Visualizer — futuristic, interactive, and professional.
  */
 export default function LabReportVisualizer({
   chartData = [],
-  calculations = "",
+  analysis = null,
   observationsCount = 0,
   analysisSummary = "",
 }) {
-  const calcLine = String(calculations).split("\n")[0] || "—";
+  // analysis: analyseObservations() result (src/lib/report/analysis.js)
+  const ok = Boolean(analysis?.ok);
+  const calcLine = ok ? formatQuantity(analysis.quantities[0]) : analysis?.reason || "—";
 
   const statCards = [
     {
@@ -35,8 +39,8 @@ export default function LabReportVisualizer({
       icon: Database,
     },
     {
-      label: "Result",
-      value: "Auto",
+      label: ok && analysis.fit ? "Fit R²" : "Result",
+      value: ok && analysis.fit ? analysis.fit.r2.toFixed(4) : ok ? "Auto" : "—",
       color: "text-[#ffd24a]",
       icon: Award,
     },
@@ -84,6 +88,38 @@ export default function LabReportVisualizer({
             ))}
           </div>
 
+          {/* Fitted graph + worked calculations (also written into the PDF) */}
+          {ok && (
+            <div className="mt-4 space-y-3">
+              {analysis.plot && (
+                <div className="rounded-xl overflow-hidden bg-[#0b0b0c]/60 border border-zinc-800 p-3">
+                  <div className="text-xs text-zinc-500 mb-2">{analysis.label}</div>
+                  <LabReportFitChart plot={analysis.plot} />
+                </div>
+              )}
+              <div className="bg-[#0c0c0c]/70 border border-zinc-800 rounded-xl p-3">
+                <div className="text-xs text-zinc-500 mb-2">Derived quantities</div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {analysis.quantities.map((q) => (
+                    <div key={q.symbol} className="flex items-baseline justify-between gap-2 rounded-lg bg-black/40 border border-zinc-800/60 px-3 py-2">
+                      <span className="text-xs text-zinc-400 truncate" title={q.label}>
+                        {q.symbol}
+                      </span>
+                      <span className="text-sm font-mono text-[#ffd24a] text-right">{formatMeasurement(q.value, q.u, q.unit)}</span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-sm text-zinc-300 leading-relaxed mt-3">{analysis.result}</p>
+                <details className="mt-2">
+                  <summary className="text-xs text-[#ffb84a] cursor-pointer select-none">Worked calculations</summary>
+                  <pre className="mt-2 text-[11px] leading-relaxed text-zinc-400 whitespace-pre-wrap font-mono max-h-64 overflow-auto">
+                    {[...analysis.steps, ...analysis.notes.map((n) => `Note: ${n}`)].join("\n")}
+                  </pre>
+                </details>
+              </div>
+            </div>
+          )}
+
           {/* Optional Smart Summary Section */}
           {analysisSummary && (
             <motion.div
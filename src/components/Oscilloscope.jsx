@@ -1,31 +1,374 @@
 // src/components/Oscilloscope.jsx
-import React from "react";
-import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip as ReTooltip, Legend } from "recharts";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Pause, Play, ZoomIn, ZoomOut, Maximize2, Crosshair, Download, ImageDown } from "lucide-react";
+import { toast } from "sonner";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as ReTooltip,
+  Legend,
+  ReferenceLine,
+} from "recharts";
+
+import { Button } from "@/components/ui/button";
+import { Slider } from "@/components/ui/slider";
+
+/* ============================
+   Shared live oscilloscope for simulation histories
+   - rows of `data` are recorded (after each render, by identity) as the page appends them, so up to
+     `recordLimit` samples stay available for pause / rewind even when the page trims
+     its own history; an array that does not continue the previous one starts a new record
+   - positions are absolute sample numbers (count of rows recorded since the record started)
+   - the view follows the newest sample until paused or panned; zoom changes the span
+   - clicking the plot places cursor A, then B; readouts give Δx and each trace's ΔY
+   ============================ */
+const MAX_PLOT_POINTS = 800;
+const MIN_SPAN = 16;
+const CURSOR_COLORS = { a: "#ff7a2d", b: "#7ef0ff" };
+
+const fmt = (v) => (Number.isFinite(v) ? Number(v.toPrecision(6)) : "—");
+
+const traceValue = (trace, row) => {
+  const v = trace.value ? trace.value(row) : row?.[trace.key];
+  const n = Number(v);
+  return v === null || v === undefined || !Number.isFinite(n) ? null : n;
+};
+
+const EMPTY_RECORD = { rows: [], base: 0, last: null };
+
+// the record with the rows of `data` that follow the last recorded one appended (see header);
+// returns `rec` itself when nothing is new
+function record(rec, data, limit) {
+  if (!data.length) return rec.rows.length ? EMPTY_RECORD : rec;
+  const at = rec.last ? data.lastIndexOf(rec.last) : -1;
+  let rows;
+  let base = rec.base;
+  if (at >= 0) {
+    if (at === data.length - 1 && rec.rows.length <= limit) return rec;
+    rows = rec.rows.concat(data.slice(at + 1));
+  } else {
+    rows = data.slice();
+    base = 0;
+  }
+  const drop = rows.length - limit;
+  if (drop > 0) {
+    rows = rows.slice(drop);
+    base += drop;
+  }
+  return { rows, base, last: data[data.length - 1] };
+}
 
 /**
- * history: [{ t, watts }]
+ * Props:
+ * - data: rows appended over time (usually the page's history)
+ * - traces: [{ key, name, color, value?: (row) => number, axis?: "left" | "right", width?, dashed?, step? }]
+ *   value defaults to row[key]; traces on the right axis get their own Y axis; step draws digital levels
+ * - x: optional (row, sample) => number for the X axis (e.g. time), xLabel: its unit (default "sample")
+ * - yDomain: fixed left-axis domain (e.g. [0, 1]), auto-scaled when omitted
+ * - title, running, window (visible samples, default 360), recordLimit (default 5000)
+ * - height: tailwind height classes of the plot, exportName: file name prefix
+ * - badge: node shown in the header, children: rendered under the plot
  */
-export default function Oscilloscope({ history = [] }) {
-  const data = history.slice(-360).map((d, i) => ({ t: i, watts: Math.round(d.watts) }));
+export default function Oscilloscope({
+  data = [],
+  traces = [],
+  x = null,
+  xLabel = "sample",
+  yDomain = null,
+  title = "Oscilloscope",
+  running = true,
+  window: initialSpan = 360,
+  recordLimit = 5000,
+  height = "h-44 sm:h-56",
+  exportName = "oscilloscope",
+  badge = null,
+  children = null,
+}) {
+  const [rec, setRec] = useState(EMPTY_RECORD);
+  const plotRef = useRef(null);
+  const [frozen, setFrozen] = useState(false);
+  const [viewEnd, setViewEnd] = useState(null); // absolute sample at the right edge; null follows live
+  const [span, setSpan] = useState(initialSpan);
+  const [hidden, setHidden] = useState([]);
+  const [cursors, setCursors] = useState({ enabled: false, a: null, b: null, next: "a" });
+
+  useEffect(() => {
+    setRec((r) => record(r, data, recordLimit));
+  }, [data, recordLimit]);
+
+  const total = rec.base + rec.rows.length;
+  const paused = frozen || !running;
+  const shownSpan = Math.max(1, Math.min(span, rec.rows.length || 1));
+  const end = viewEnd === null ? total : Math.min(Math.max(viewEnd, rec.base + shownSpan), total);
+  const start = Math.max(rec.base, end - shownSpan);
+  const xOf = useCallback((row, n) => (x ? x(row, n) : n), [x]);
+  const rowAt = useCallback((n) => rec.rows[n - rec.base], [rec]);
+
+  const plot = useMemo(() => {
+    const stride = Math.max(1, Math.ceil((end - start) / MAX_PLOT_POINTS));
+    const out = [];
+    for (let n = start; n < end; n += stride) {
+      const row = rowAt(n);
+      const point = { n, x: xOf(row, n) };
+      traces.forEach((tr) => {
+        point[tr.key] = traceValue(tr, row);
+      });
+      out.push(point);
+    }
+    return out;
+  }, [start, end, traces, rowAt, xOf]);
+
+  const hasRight = traces.some((tr) => tr.axis === "right");
+  const visible = useMemo(() => traces.filter((tr) => !hidden.includes(tr.key)), [traces, hidden]);
+
+  const pause = () => {
+    setFrozen(true);
+    setViewEnd(end);
+  };
+  const resume = () => {
+    setFrozen(false);
+    setViewEnd(null);
+  };
+  const zoom = (factor) => setSpan((s) => Math.round(Math.min(recordLimit, Math.max(MIN_SPAN, s * factor))));
+  const fit = () => {
+    setSpan(Math.max(MIN_SPAN, rec.rows.length));
+    setViewEnd(paused ? total : null);
+  };
+  const pan = (v) => {
+    setFrozen(true);
+    setViewEnd(v);
+  };
+
+  const onPlotClick = (state) => {
+    if (!cursors.enabled) return;
+    const point = plot[Number(state?.activeTooltipIndex)];
+    if (!point) return;
+    setCursors((c) => ({ ...c, [c.next]: point.n, next: c.next === "a" ? "b" : "a" }));
+  };
+
+  const cursorReadout = useMemo(() => {
+    const { a, b } = cursors;
+    const rowA = a !== null ? rowAt(a) : undefined;
+    const rowB = b !== null ? rowAt(b) : undefined;
+    if (!rowA && !rowB) return null;
+    const xa = rowA ? xOf(rowA, a) : null;
+    const xb = rowB ? xOf(rowB, b) : null;
+    return {
+      xa,
+      xb,
+      dx: xa !== null && xb !== null ? xb - xa : null,
+      rows: visible.map((tr) => {
+        const va = rowA ? traceValue(tr, rowA) : null;
+        const vb = rowB ? traceValue(tr, rowB) : null;
+        return { tr, va, vb, dv: va !== null && vb !== null ? vb - va : null };
+      }),
+    };
+  }, [cursors, visible, rowAt, xOf]);
+
+  const exportCSV = () => {
+    const rows = [[x ? xLabel : "sample", ...traces.map((tr) => tr.name ?? tr.key)]];
+    rec.rows.forEach((row, i) => {
+      const n = rec.base + i;
+      rows.push([xOf(row, n), ...traces.map((tr) => traceValue(tr, row) ?? "")]);
+    });
+    const csv = rows.map((r) => r.join(",")).join("\n");
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${exportName}-${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    toast.success(`Exported ${rec.rows.length} samples`);
+  };
+
+  const exportPNG = () => {
+    const svg = plotRef.current?.querySelector("svg.recharts-surface");
+    if (!svg) {
+      toast.error("Nothing to export yet");
+      return;
+    }
+    const { width, height: h } = svg.getBoundingClientRect();
+    const scale = 2;
+    const src = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([src], { type: "image/svg+xml" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(h * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#05060a";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      const a = document.createElement("a");
+      a.href = canvas.toDataURL("image/png");
+      a.download = `${exportName}-${Date.now()}.png`;
+      a.click();
+      toast.success("Snapshot saved");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      toast.error("Snapshot failed");
+    };
+    img.src = url;
+  };
+
+  const toolBtn = "h-7 px-2 cursor-pointer border border-zinc-800 text-zinc-300 hover:text-orange-400 hover:bg-zinc-900";
+  const canPan = rec.rows.length > shownSpan;
 
   return (
     <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Live Power (W)</div>
-        <div className="text-xs text-zinc-400">Live</div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2">
+          <div className={`w-2.5 h-2.5 rounded-full ${paused ? "bg-zinc-600" : "bg-[#ff7a2d] animate-pulse"}`} />
+          <div className="text-sm font-medium text-orange-400">{title}</div>
+        </div>
+        <div className="flex items-center gap-2">
+          {badge}
+          <div className="text-xs text-zinc-400">{!running ? "Stopped" : frozen ? "Paused" : "Live"}</div>
+        </div>
       </div>
-      <div className="h-44 sm:h-56">
+
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        <Button size="sm" variant="ghost" className={toolBtn} onClick={frozen ? resume : pause} title={frozen ? "Resume live view" : "Pause view"}>
+          {frozen ? <Play className="w-3.5 h-3.5" /> : <Pause className="w-3.5 h-3.5" />}
+        </Button>
+        <Button size="sm" variant="ghost" className={toolBtn} onClick={() => zoom(0.5)} title="Zoom in">
+          <ZoomIn className="w-3.5 h-3.5" />
+        </Button>
+        <Button size="sm" variant="ghost" className={toolBtn} onClick={() => zoom(2)} title="Zoom out">
+          <ZoomOut className="w-3.5 h-3.5" />
+        </Button>
+        <Button size="sm" variant="ghost" className={toolBtn} onClick={fit} title="Show whole record">
+          <Maximize2 className="w-3.5 h-3.5" />
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          className={`${toolBtn} ${cursors.enabled ? "text-orange-400 border-orange-500/40" : ""}`}
+          onClick={() => setCursors((c) => ({ enabled: !c.enabled, a: null, b: null, next: "a" }))}
+          title="Cursors: click the plot to place A, then B"
+        >
+          <Crosshair className="w-3.5 h-3.5" />
+        </Button>
+        <Button size="sm" variant="ghost" className={toolBtn} onClick={exportCSV} title="Export recorded samples (CSV)">
+          <Download className="w-3.5 h-3.5" />
+        </Button>
+        <Button size="sm" variant="ghost" className={toolBtn} onClick={exportPNG} title="Save plot (PNG)">
+          <ImageDown className="w-3.5 h-3.5" />
+        </Button>
+        <div className="ml-auto text-[11px] text-zinc-500">
+          {Math.round(end - start)} / {rec.rows.length} samples
+        </div>
+      </div>
+
+      <div className={height} ref={plotRef}>
         <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
+          <LineChart data={plot} onClick={onPlotClick}>
             <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="watts" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Power (W)" />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fill: "#888" }} tickFormatter={fmt} allowDataOverflow />
+            <YAxis yAxisId="left" tick={{ fill: "#888" }} tickFormatter={fmt} domain={yDomain ?? ["auto", "auto"]} />
+            {hasRight && <YAxis yAxisId="right" orientation="right" tick={{ fill: "#888" }} tickFormatter={fmt} />}
+            <ReTooltip
+              contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }}
+              labelFormatter={(v) => `${xLabel} ${fmt(v)}`}
+              formatter={(v, name) => [fmt(v), name]}
+            />
+            <Legend
+              wrapperStyle={{ color: "#aaa", cursor: "pointer" }}
+              onClick={(entry) =>
+                setHidden((h) => (h.includes(entry.dataKey) ? h.filter((k) => k !== entry.dataKey) : [...h, entry.dataKey]))
+              }
+            />
+            {traces.map((tr) => (
+              <Line
+                key={tr.key}
+                yAxisId={tr.axis === "right" ? "right" : "left"}
+                type={tr.step ? "stepAfter" : "monotone"}
+                dataKey={tr.key}
+                name={tr.name ?? tr.key}
+                stroke={tr.color}
+                strokeWidth={tr.width ?? 2}
+                strokeDasharray={tr.dashed ? "4 3" : undefined}
+                hide={hidden.includes(tr.key)}
+                dot={false}
+                isAnimationActive={false}
+                connectNulls
+              />
+            ))}
+            {cursors.enabled &&
+              ["a", "b"].map((k) =>
+                cursors[k] !== null && cursors[k] >= start && cursors[k] < end ? (
+                  <ReferenceLine
+                    key={k}
+                    yAxisId="left"
+                    x={xOf(rowAt(cursors[k]), cursors[k])}
+                    stroke={CURSOR_COLORS[k]}
+                    strokeDasharray="4 3"
+                    label={{ value: k.toUpperCase(), fill: CURSOR_COLORS[k], fontSize: 10, position: "top" }}
+                  />
+                ) : null
+              )}
           </LineChart>
         </ResponsiveContainer>
       </div>
+
+      {canPan && (
+        <div className="mt-2 flex items-center gap-3">
+          <span className="text-[11px] text-zinc-500">History</span>
+          <Slider
+            min={rec.base + shownSpan}
+            max={total}
+            step={1}
+            value={[end]}
+            onValueChange={(v) => pan(v[0])}
+            className="flex-1 cursor-pointer"
+          />
+        </div>
+      )}
+
+      {cursors.enabled && (
+        <div className="mt-2 text-[11px] text-zinc-400">
+          {cursorReadout ? (
+            <table className="w-full">
+              <thead>
+                <tr className="text-zinc-500">
+                  <th className="text-left font-normal"></th>
+                  <th className="text-right font-normal" style={{ color: CURSOR_COLORS.a }}>A</th>
+                  <th className="text-right font-normal" style={{ color: CURSOR_COLORS.b }}>B</th>
+                  <th className="text-right font-normal">Δ (B − A)</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>{xLabel}</td>
+                  <td className="text-right">{fmt(cursorReadout.xa)}</td>
+                  <td className="text-right">{fmt(cursorReadout.xb)}</td>
+                  <td className="text-right text-orange-300">{fmt(cursorReadout.dx)}</td>
+                </tr>
+                {cursorReadout.rows.map(({ tr, va, vb, dv }) => (
+                  <tr key={tr.key}>
+                    <td style={{ color: tr.color }}>{tr.name ?? tr.key}</td>
+                    <td className="text-right">{fmt(va)}</td>
+                    <td className="text-right">{fmt(vb)}</td>
+                    <td className="text-right text-orange-300">{fmt(dv)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            "Click the plot to place cursor A, then B."
+          )}
+        </div>
+      )}
+
+      {children}
     </div>
   );
 }
@@ -0,0 +1,247 @@
+// src/components/RepeatedReadingsCard.jsx
+import React from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip as ReTooltip,
+  Legend,
+} from "recharts";
+import { Sigma, Plus, Trash2, BarChart3 } from "lucide-react";
+import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { TYPE_B_DISTRIBUTIONS, OUTLIER_METHODS } from "@/lib/stats";
+
+const CONFIDENCE_LEVELS = [
+  { value: "0.6827", label: "68.27 % (1σ)" },
+  { value: "0.95", label: "95 %" },
+  { value: "0.9545", label: "95.45 % (2σ)" },
+  { value: "0.99", label: "99 %" },
+];
+
+const itemClass = "text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md";
+const triggerClass = "w-full bg-zinc-900/60 border cursor-pointer border-zinc-800 text-orange-100 text-sm rounded-md";
+
+// 4 significant figures, "—" for missing values
+const fmt = (x, digits = 4) => (Number.isFinite(x) ? String(Number(x.toPrecision(digits))) : "—");
+
+function Stat({ label, value, hint, accent = "text-[#ffd24a]" }) {
+  return (
+    <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800 min-w-0">
+      <div className="text-xs text-zinc-400">{label}</div>
+      <div className={`text-base font-semibold truncate ${accent}`}>{value}</div>
+      {hint && <div className="text-[11px] text-zinc-500 mt-0.5 truncate">{hint}</div>}
+    </div>
+  );
+}
+
+/**
+ * RepeatedReadingsCard — N readings of one quantity, evaluated by useErrorSim
+ * props:
+ * - readingsText / setReadingsText: readings separated by spaces, ";" or new lines (decimal commas allowed)
+ * - outliers / setOutliers: key of OUTLIER_METHODS
+ * - confidence / setConfidence: coverage probability (number)
+ * - typeB / setTypeB: [{ id, kind, value }] instrument contributions (value in `unit`)
+ * - stats: analyseReadings() result or null; bins: histogram bins { mid, kept, rejected, expected }
+ * - theoretical: reference value; onUseMean(mean): copy the mean to the practical value
+ */
+export default function RepeatedReadingsCard({
+  readingsText,
+  setReadingsText,
+  outliers,
+  setOutliers,
+  confidence,
+  setConfidence,
+  typeB,
+  setTypeB,
+  stats,
+  bins = [],
+  unit,
+  theoretical,
+  onUseMean,
+}) {
+  const updateTypeB = (id, patch) => setTypeB((list) => list.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  const addTypeB = () => setTypeB((list) => [...list, { id: String(Date.now()), kind: "rectangular", value: "" }]);
+  const removeTypeB = (id) => setTypeB((list) => list.filter((c) => c.id !== id));
+
+  const s = stats?.stats;
+  const deviation = s && Number.isFinite(theoretical) ? s.mean - theoretical : NaN;
+  const consistent = stats && Number.isFinite(deviation) ? Math.abs(deviation) <= stats.U : null;
+
+  return (
+    <Card className="bg-black/70 border border-zinc-800 rounded-2xl overflow-hidden w-full max-w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between flex-wrap gap-2">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 rounded-md bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black flex items-center justify-center">
+              <Sigma className="w-5 h-5" />
+            </div>
+            <div>
+              <div className="text-lg font-semibold text-[#ffd24a]">Repeated Readings</div>
+              <div className="text-xs text-zinc-400">Mean • SD • standard error • Type A/B • coverage</div>
+            </div>
+          </div>
+          <Badge className="bg-black/80 border border-orange-500 text-orange-300 px-3 py-1 rounded-full">
+            N = {stats ? `${s.n}/${stats.all.n}` : "—"}
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3 min-w-0">
+          <div>
+            <label className="text-xs text-zinc-400">Readings ({unit})</label>
+            <Textarea
+              value={readingsText}
+              onChange={(e) => setReadingsText(e.target.value)}
+              placeholder={"4.98 5.01 5.02\n4.99 5.00 …"}
+              spellCheck={false}
+              className="mt-1 min-h-[96px] font-mono text-xs bg-zinc-900/60 border border-zinc-800 text-zinc-100"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-xs text-zinc-400">Outlier rejection</label>
+              <Select value={outliers} onValueChange={setOutliers}>
+                <SelectTrigger className={`${triggerClass} mt-1`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                  {Object.entries(OUTLIER_METHODS).map(([key, label]) => (
+                    <SelectItem key={key} value={key} className={itemClass}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="text-xs text-zinc-400">Confidence</label>
+              <Select value={String(confidence)} onValueChange={(v) => setConfidence(Number(v))}>
+                <SelectTrigger className={`${triggerClass} mt-1`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                  {CONFIDENCE_LEVELS.map((c) => (
+                    <SelectItem key={c.value} value={c.value} className={itemClass}>
+                      {c.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <label className="text-xs text-zinc-400">Type B (instrument) contributions</label>
+              <Button variant="ghost" size="sm" className="border cursor-pointer border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:text-orange-500 h-7 px-2" onClick={addTypeB}>
+                <Plus className="w-3.5 h-3.5" />
+              </Button>
+            </div>
+            {typeB.map((c) => (
+              <div key={c.id} className="flex items-center gap-2">
+                <div className="flex-1 min-w-0">
+                  <Select value={c.kind} onValueChange={(kind) => updateTypeB(c.id, { kind })}>
+                    <SelectTrigger className={triggerClass}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                      {Object.entries(TYPE_B_DISTRIBUTIONS).map(([key, d]) => (
+                        <SelectItem key={key} value={key} className={itemClass}>
+                          {d.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Input
+                  value={c.value}
+                  onChange={(e) => updateTypeB(c.id, { value: e.target.value })}
+                  type="number"
+                  placeholder={unit}
+                  className="w-24 bg-zinc-900/60 border border-zinc-800 text-white"
+                />
+                <Button variant="ghost" size="sm" className="border cursor-pointer border-zinc-800 text-red-400 hover:text-red-300 hover:bg-red-900/30 h-9 px-2" onClick={() => removeTypeB(c.id)} title="Remove">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </Button>
+              </div>
+            ))}
+            {!typeB.length && <div className="text-[11px] text-zinc-500">Only the scatter of the readings (Type A) is counted.</div>}
+          </div>
+        </div>
+
+        <div className="space-y-3 min-w-0">
+          {!stats && <div className="text-sm text-zinc-400">Enter at least two readings to evaluate them.</div>}
+
+          {stats && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                <Stat label="Mean" value={`${fmt(s.mean, 6)} ${unit}`} hint={`median ${fmt(s.median)}`} accent="text-[#00ffbf]" />
+                <Stat label="Std deviation s" value={fmt(s.sd)} hint={`range ${fmt(s.min)} … ${fmt(s.max)}`} />
+                <Stat label="Std error s/√n" value={fmt(s.sem)} hint="Type A, u_A" />
+                <Stat label="Type B u_B" value={fmt(stats.uB)} hint={stats.typeB.map((c) => fmt(c.u, 2)).join(" ⊕ ") || "none"} />
+                <Stat label="Combined u_c" value={fmt(stats.uc)} hint={`ν_eff = ${Number.isFinite(stats.dof) ? fmt(stats.dof, 3) : "∞"}`} />
+                <Stat label={`Expanded U (k = ${fmt(stats.k, 3)})`} value={fmt(stats.U)} hint={`${fmt(stats.confidence * 100, 4)} % coverage`} accent="text-[#ff9a4a]" />
+              </div>
+
+              <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800 text-sm">
+                <div className="text-zinc-200">
+                  Result: <span className="text-[#00ffbf] font-semibold">{fmt(s.mean, 6)} ± {fmt(stats.U, 2)} {unit}</span>
+                </div>
+                {consistent != null && (
+                  <div className={`text-xs mt-1 ${consistent ? "text-emerald-300" : "text-red-300"}`}>
+                    Theoretical {fmt(theoretical)} {unit} is {consistent ? "inside" : "outside"} the interval (deviation {fmt(deviation, 3)} {unit}).
+                  </div>
+                )}
+                {stats.rejected.length > 0 && (
+                  <div className="text-xs text-orange-300 mt-1">
+                    Rejected: {stats.rejected.map((r) => `${fmt(r.value, 6)} (${fmt(r.score, 3)} > ${fmt(r.limit, 3)})`).join(", ")}
+                  </div>
+                )}
+                <Button variant="ghost" size="sm" className="mt-2 border cursor-pointer border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:text-orange-500" onClick={() => onUseMean?.(s.mean)}>
+                  Use mean as practical value
+                </Button>
+              </div>
+
+              <div>
+                <div className="flex items-center gap-2 text-xs text-zinc-400 mb-1">
+                  <BarChart3 className="w-3.5 h-3.5 text-[#ffd24a]" /> Histogram
+                </div>
+                <div className="h-44 rounded-lg border border-zinc-800 bg-[#0a0a0a]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={bins.map((b) => ({ ...b, label: fmt(b.mid) }))} margin={{ top: 8, right: 12, left: -20, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                      <XAxis dataKey="label" tick={{ fill: "#bdbdbd", fontSize: 10 }} tickLine={false} axisLine={{ stroke: "#222" }} />
+                      <YAxis allowDecimals={false} tick={{ fill: "#bdbdbd", fontSize: 10 }} tickLine={false} axisLine={{ stroke: "#222" }} />
+                      <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} formatter={(v) => fmt(v, 3)} />
+                      <Legend wrapperStyle={{ color: "#aaa", fontSize: "11px" }} iconType="circle" />
+                      <Bar dataKey="kept" name="Readings" stackId="n" fill="#00ffbf" isAnimationActive={false} />
+                      <Bar dataKey="rejected" name="Rejected" stackId="n" fill="#ff6b4a" isAnimationActive={false} />
+                      <Line dataKey="expected" name="Normal fit" type="monotone" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
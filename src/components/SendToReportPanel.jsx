@@ -0,0 +1,162 @@
+// src/components/SendToReportPanel.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "sonner";
+import { toPng } from "html-to-image";
+import { FileText, ListPlus, Trash2, Send } from "lucide-react";
+import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { LAB_REPORT_ROUTE, MAX_IMPORT_ROWS, saveReportDraft } from "@/lib/report";
+
+const fmt = (x) => (typeof x === "number" ? (Number.isFinite(x) ? String(Number(x.toPrecision(6))) : "") : String(x ?? ""));
+
+/**
+ * SendToReportPanel — record simulator readings and open them in the lab report generator
+ * props:
+ * - source: simulator name printed in the report ("Digital Multimeter Simulator")
+ * - titleID / title: lab report template the readings belong to (titleID null: custom report)
+ * - parameters: { name: value } setup of the simulator, printed above the observation table
+ * - getReading(): { key, t?, V?, I?, remark? } for "Record reading"; readings with the same
+ *   key fill the same row (e.g. V and I measured one after the other at one setting)
+ * - getRows(): rows sent when nothing was recorded (e.g. the captured scope window)
+ * - orderRows(rows): row order the template expects
+ * - snapshotSelector: element captured as the report chart (default ".snapshot")
+ * - resetKey: recorded readings are cleared when it changes (e.g. the experiment id)
+ * - hint: one line on what a reading is
+ */
+export default function SendToReportPanel({
+  source,
+  titleID = null,
+  title,
+  parameters = {},
+  getReading,
+  getRows,
+  orderRows = (rows) => rows,
+  snapshotSelector = ".snapshot",
+  resetKey,
+  hint,
+}) {
+  const navigate = useNavigate();
+  const [readings, setReadings] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => setReadings([]), [resetKey]);
+
+  const record = () => {
+    const reading = getReading?.();
+    if (!reading) return;
+    setReadings((prev) => {
+      const idx = prev.findIndex((r) => r.key === reading.key);
+      if (idx < 0) return [...prev, reading];
+      const merged = { ...prev[idx] };
+      Object.entries(reading).forEach(([k, v]) => {
+        if (v !== undefined) merged[k] = v;
+      });
+      return prev.map((r, i) => (i === idx ? merged : r));
+    });
+  };
+
+  const capture = async () => {
+    const node = document.querySelector(snapshotSelector);
+    if (!node) return null;
+    try {
+      return await toPng(node, { cacheBust: true, pixelRatio: 1, backgroundColor: "#05060a" });
+    } catch (err) {
+      console.error("Snapshot failed:", err);
+      return null;
+    }
+  };
+
+  const send = async () => {
+    const rows = orderRows(readings.length ? readings : getRows?.() ?? [getReading?.()].filter(Boolean));
+    if (!rows.length) {
+      toast.error("Nothing to send yet — record a reading first");
+      return;
+    }
+    setSending(true);
+    const chartImageBase64 = await capture();
+    const stamp = String(Date.now());
+    const observations = rows.slice(0, MAX_IMPORT_ROWS).map((r, i) => ({
+      id: `${stamp}-${i}`,
+      t: r.t ?? i + 1,
+      V: fmt(r.V),
+      I: fmt(r.I),
+      remark: r.remark ?? "",
+    }));
+    const { saved, droppedImage } = saveReportDraft({ titleID, title, source, parameters, observations, chartImageBase64 });
+    setSending(false);
+    if (!saved) {
+      toast.error("Could not hand the readings to the report generator");
+      return;
+    }
+    if (!chartImageBase64 || droppedImage) toast.warning("Snapshot not included; the report will use its own chart");
+    navigate(LAB_REPORT_ROUTE);
+  };
+
+  return (
+    <Card className="bg-black/70 border border-zinc-800 rounded-2xl overflow-hidden">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 rounded-md bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black flex items-center justify-center">
+              <FileText className="w-5 h-5" />
+            </div>
+            <div>
+              <div className="text-lg font-semibold text-[#ffd24a]">Lab Report</div>
+              <div className="text-xs text-zinc-400">{titleID ? `Template: ${title}` : "Custom report"}</div>
+            </div>
+          </div>
+          <Badge className="bg-black/80 border border-orange-500 text-orange-300 px-3 py-1 rounded-full">
+            {readings.length} {readings.length === 1 ? "row" : "rows"}
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-3">
+        {hint && <div className="text-xs text-zinc-400">{hint}</div>}
+
+        {readings.length > 0 && (
+          <div className="rounded-lg border border-zinc-800 overflow-auto max-h-40">
+            <table className="w-full text-xs">
+              <thead className="bg-[#0e0e0e]/80 text-zinc-400 uppercase tracking-wider">
+                <tr>
+                  <th className="p-2 text-left">t</th>
+                  <th className="p-2">V</th>
+                  <th className="p-2">I</th>
+                  <th className="p-2">Remark</th>
+                </tr>
+              </thead>
+              <tbody>
+                {readings.map((r, i) => (
+                  <tr key={r.key} className="border-t border-zinc-800 text-zinc-300">
+                    <td className="p-2">{fmt(r.t ?? i + 1)}</td>
+                    <td className="p-2 text-center">{fmt(r.V) || "—"}</td>
+                    <td className="p-2 text-center">{fmt(r.I) || "—"}</td>
+                    <td className="p-2 text-center truncate max-w-[120px]">{r.remark || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          {getReading && (
+            <Button variant="ghost" className="border cursor-pointer border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500" onClick={record}>
+              <ListPlus className="w-4 h-4 mr-1" /> Record reading
+            </Button>
+          )}
+          {readings.length > 0 && (
+            <Button variant="ghost" className="border cursor-pointer border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500" onClick={() => setReadings([])} title="Clear recorded readings">
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          )}
+          <Button disabled={sending} className="flex-1 cursor-pointer bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black" onClick={send}>
+            <Send className="w-4 h-4 mr-1" /> {sending ? "Preparing…" : "Send to report"}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,114 @@
+// src/components/SpiceImportDialog.jsx
+import React, { useState } from "react";
+import { FileUp, FileCode } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+  DialogClose,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { parseSpice } from "@/lib/circuit";
+
+const SAMPLE_DECK = `RC low-pass filter
+V1 in 0 DC 0 AC 1 SIN(0 5 1k)
+R1 in out 1k
+C1 out 0 100n
+.tran 5u 5m
+.end`;
+
+/**
+ * Paste or load a SPICE deck (.cir / .sp / .net) and hand the parsed netlist back.
+ * Props:
+ * - open, onOpenChange
+ * - onImport(parsed): parsed = { title, elements, analyses, errors } from parseSpice
+ * - note: optional text describing what the host page supports
+ */
+export default function SpiceImportDialog({ open, onOpenChange, onImport, note }) {
+  const [text, setText] = useState("");
+  const parsed = text.trim() ? parseSpice(text) : null;
+
+  const loadFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result || ""));
+    reader.readAsText(file);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl w-full bg-zinc-950/90 border border-zinc-800 backdrop-blur-lg rounded-2xl p-4 shadow-lg">
+        <DialogHeader>
+          <DialogTitle className="text-orange-400 flex items-center gap-2">
+            <FileCode className="w-4 h-4" /> Import SPICE netlist
+          </DialogTitle>
+          <DialogDescription className="text-zinc-400">
+            R, L, C, V, I, D and controlled-source (E, F, G, H) cards with DC / AC / SIN / PULSE sources and .op, .ac, .tran lines.
+            {note ? ` ${note}` : ""}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={SAMPLE_DECK}
+          spellCheck={false}
+          className="min-h-[220px] font-mono text-xs bg-black/60 border border-zinc-800 text-zinc-100"
+        />
+
+        {parsed && (
+          <div className="text-xs space-y-1 max-h-28 overflow-auto">
+            <div className="text-zinc-400">
+              {parsed.elements.length} elements • {parsed.analyses.length} analyses
+              {parsed.title ? ` • “${parsed.title}”` : ""}
+            </div>
+            {parsed.errors.map((e, i) => (
+              <div key={i} className="text-red-300">
+                line {e.line}: {e.message}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <DialogFooter className="flex flex-col sm:flex-row justify-between gap-2 mt-2">
+          <label className="cursor-pointer">
+            <input
+              type="file"
+              accept=".cir,.sp,.spice,.net,.txt"
+              className="hidden"
+              onChange={(e) => {
+                const f = e.target.files?.[0];
+                if (f) loadFile(f);
+              }}
+            />
+            <Button variant="ghost" className="border border-zinc-700 text-zinc-300 hover:text-orange-400" asChild>
+              <div>
+                <FileUp className="w-4 h-4 mr-1" /> Load file
+              </div>
+            </Button>
+          </label>
+          <div className="flex gap-2">
+            <DialogClose asChild>
+              <Button variant="outline" className="text-black cursor-pointer border-zinc-700">
+                Cancel
+              </Button>
+            </DialogClose>
+            <Button
+              disabled={!parsed || parsed.elements.length === 0}
+              className="cursor-pointer bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black"
+              onClick={() => {
+                onImport(parsed);
+                onOpenChange(false);
+              }}
+            >
+              Import
+            </Button>
+          </div>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,41 @@
+// src/lib/circuit/complex.js
+
+/* ===========================
+   Complex arithmetic (small library)
+   Represents complex numbers as plain objects { re, im } so they
+   survive JSON round-trips and React state without a class wrapper.
+   =========================== */
+export const C = {
+  add: (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
+  sub: (a, b) => ({ re: a.re - b.re, im: a.im - b.im }),
+  mul: (a, b) => ({
+    re: a.re * b.re - a.im * b.im,
+    im: a.re * b.im + a.im * b.re,
+  }),
+  div: (a, b) => {
+    // an exactly zero divisor leaves both numerator terms at 0, so the result is 0 instead of NaN
+    const denom = b.re * b.re + b.im * b.im || 1e-30;
+    return {
+      re: (a.re * b.re + a.im * b.im) / denom,
+      im: (a.im * b.re - a.re * b.im) / denom,
+    };
+  },
+  inv: (a) => {
+    const d = a.re * a.re + a.im * a.im;
+    return { re: a.re / d, im: -a.im / d };
+  },
+  neg: (a) => ({ re: -a.re, im: -a.im }),
+  scale: (a, s) => ({ re: a.re * s, im: a.im * s }),
+  conj: (a) => ({ re: a.re, im: -a.im }),
+  abs: (a) => Math.hypot(a.re || 0, a.im || 0),
+  // argument in radians
+  arg: (a) => Math.atan2(a.im || 0, a.re || 0),
+  // argument in degrees
+  argDeg: (a) => (Math.atan2(a.im || 0, a.re || 0) * 180) / Math.PI,
+  zero: () => ({ re: 0, im: 0 }),
+  one: () => ({ re: 1, im: 0 }),
+  real: (x) => ({ re: x, im: 0 }),
+  isZero: (a, eps = 0) => Math.abs(a.re) <= eps && Math.abs(a.im) <= eps,
+  fromPolar: (mag, angleRad) => ({ re: mag * Math.cos(angleRad), im: mag * Math.sin(angleRad) }),
+  fromPolarDeg: (mag, angleDeg) => C.fromPolar(mag, (angleDeg * Math.PI) / 180),
+};
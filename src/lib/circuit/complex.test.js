@@ -0,0 +1,64 @@
+// src/lib/circuit/complex.test.js
+import { describe, expect, it } from "vitest";
+import { C } from "./complex";
+import { impedance, parallelImpedance, seriesImpedance } from "./mna";
+
+const close = (z, re, im, digits = 9) => {
+  expect(z.re).toBeCloseTo(re, digits);
+  expect(z.im).toBeCloseTo(im, digits);
+};
+
+describe("complex arithmetic", () => {
+  const a = { re: 1, im: 2 };
+  const b = { re: 3, im: -1 };
+
+  it("adds, subtracts and multiplies", () => {
+    close(C.add(a, b), 4, 1);
+    close(C.sub(a, b), -2, 3);
+    // (1 + 2j)(3 − j) = 3 − j + 6j + 2 = 5 + 5j
+    close(C.mul(a, b), 5, 5);
+  });
+
+  it("divides and inverts", () => {
+    // (5 + 5j) / (3 − j) = 1 + 2j
+    close(C.div({ re: 5, im: 5 }, b), 1, 2);
+    // 1 / j = −j
+    close(C.inv({ re: 0, im: 1 }), 0, -1);
+  });
+
+  it("gives 0 for a division by zero", () => {
+    const q = C.div({ re: 1, im: 1 }, C.zero());
+    expect(q.re).toBe(0);
+    expect(q.im).toBe(0);
+    // a tiny but non-zero divisor still divides
+    close(C.div({ re: 1, im: 0 }, { re: 1e-20, im: 0 }), 1e20, 0, -10);
+  });
+
+  it("converts between rectangular and polar form", () => {
+    expect(C.abs({ re: 3, im: 4 })).toBe(5);
+    expect(C.argDeg({ re: 0, im: 2 })).toBeCloseTo(90, 12);
+    expect(C.arg({ re: -1, im: 0 })).toBeCloseTo(Math.PI, 12);
+    close(C.fromPolarDeg(2, 90), 0, 2);
+    close(C.fromPolarDeg(Math.SQRT2, -45), 1, -1);
+    close(C.conj(a), 1, -2);
+  });
+});
+
+describe("element impedances", () => {
+  const omega = 1000;
+
+  it("gives R, jωL and 1/jωC", () => {
+    close(impedance("R", 100, omega), 100, 0);
+    close(impedance("L", 0.1, omega), 0, 100);
+    close(impedance("C", 10e-6, omega), 0, -100);
+  });
+
+  it("combines in series and parallel", () => {
+    // 100 Ω + j100 Ω − j100 Ω: series resonance leaves the resistance
+    close(seriesImpedance([impedance("R", 100, omega), impedance("L", 0.1, omega), impedance("C", 10e-6, omega)]), 100, 0);
+    close(parallelImpedance([C.real(100), C.real(100)]), 50, 0);
+    // 100 ∥ j100 = j100·100 / (100 + j100) = 50 + j50
+    close(parallelImpedance([C.real(100), { re: 0, im: 100 }]), 50, 50);
+    close(parallelImpedance([C.real(100), C.zero()]), 0, 0);
+  });
+});
@@ -0,0 +1,10 @@
+// src/lib/circuit/constants.js
+
+/* ===========================
+   Physical constants shared by the device models (exact SI values)
+   =========================== */
+export const BOLTZMANN = 1.380649e-23; // J/K
+export const ELEMENTARY_CHARGE = 1.602176634e-19; // C
+
+// kT/q in volts, about 25.85 mV at 300 K
+export const thermalVoltage = (T = 300) => (BOLTZMANN * T) / ELEMENTARY_CHARGE;
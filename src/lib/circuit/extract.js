@@ -0,0 +1,207 @@
+// src/lib/circuit/extract.js
+import { linearFit } from "../stats/regression";
+import { headerUnit, parseCell, parseUnit } from "../units/quantity";
+import { sameDim } from "../units/units";
+import { thermalVoltage } from "./constants";
+
+/* ===========================
+   Device parameter extraction from curve-tracer data
+   Curves come from the tester's model sweep or from a measured table, in one shape:
+     diode:  { points: [{ V, I }] }                        V = Vd, I = Id
+     bjt:    { families: [{ level, points: [{ V, I }] }] } level = Ib, V = Vce, I = Ic
+     mosfet: { families: [{ level, points }] }             level = Vgs, V = Vds, I = Id
+             or { transfer: [{ V, I }] }                   V = Vgs, I = Id in saturation
+   Models (the ones TesterPage simulates):
+     diode   Id = Is (exp(Vd / n·Vt) − 1)        -> ln Id against Vd is a line, slope 1 / n·Vt
+     bjt     Ic = β·Ib (1 + Vce / VA) (active)   -> each family is a line meeting the axis at −VA
+     mosfet  Id = ½k (Vgs − Vth)² (saturation)   -> √Id against Vgs is a line, slope √(k/2)
+   =========================== */
+
+const finitePoints = (points = []) => points.filter((p) => Number.isFinite(p.V) && Number.isFinite(p.I)).sort((a, b) => a.V - b.V);
+
+/* ===========================
+   Diode: fit over the forward points above 50 mV whose current lies between 1e-7 and
+   0.3 of the largest one, so leakage below and series resistance at the top do not
+   bend the line; falls back to every forward point when fewer than three remain.
+   A second pass drops the points below 4·n·Vt of the first estimate.
+   -> { Is, n, r2, used, range: [Vmin, Vmax] } or null
+   =========================== */
+export function fitDiode(points, { T = 300 } = {}) {
+  const forward = finitePoints(points).filter((p) => p.V > 0.05 && p.I > 0);
+  if (forward.length < 3) return null;
+  const Imax = Math.max(...forward.map((p) => p.I));
+  let used = forward.filter((p) => p.I >= Imax * 1e-7 && p.I <= Imax * 0.3);
+  if (used.length < 3) used = forward;
+  const lnFit = (pts) =>
+    linearFit(
+      pts.map((p) => p.V),
+      pts.map((p) => Math.log(p.I))
+    );
+  let fit = lnFit(used);
+  if (!fit || !(fit.slope > 0)) return null;
+  // second pass above 4·n·Vt, where the "− 1" of the Shockley equation is below 2 %
+  const knee = 4 / fit.slope;
+  const above = used.filter((p) => p.V >= knee);
+  if (above.length >= 3 && above.length < used.length) {
+    used = above;
+    fit = lnFit(used);
+  }
+  return {
+    Is: Math.exp(fit.intercept),
+    n: 1 / (fit.slope * thermalVoltage(T)),
+    r2: fit.r2,
+    used: used.length,
+    range: [used[0].V, used[used.length - 1].V],
+  };
+}
+
+/* ===========================
+   BJT: in each family the active region (Vce ≥ minVce, default the larger of 0.5 V
+   and a fifth of the sweep) is fitted with Ic = a + b·Vce; a = β·Ib and VA = a / b.
+   β over all families is the least-squares slope of a against Ib through the origin,
+   VA comes from the mean Early slope b / a (flat curves give VA = ∞).
+   -> { beta, VA, families: [{ level, beta, VA, a, b, r2, used }] } or null
+   =========================== */
+export function fitBjt(families = [], { minVce } = {}) {
+  const fits = families
+    .map(({ level, points }) => {
+      const pts = finitePoints(points);
+      if (!(level > 0) || pts.length < 3) return null;
+      const threshold = minVce ?? Math.max(0.5, 0.2 * pts[pts.length - 1].V);
+      const active = pts.filter((p) => p.V >= threshold);
+      const fit = active.length >= 3 ? linearFit(active.map((p) => p.V), active.map((p) => p.I)) : null;
+      if (!fit || !(fit.intercept > 0)) return null;
+      const { intercept: a, slope: b } = fit;
+      return { level, beta: a / level, VA: b > 0 ? a / b : Infinity, a, b, r2: fit.r2, used: active.length };
+    })
+    .filter(Boolean);
+  if (!fits.length) return null;
+  const beta = fits.reduce((s, f) => s + f.a * f.level, 0) / fits.reduce((s, f) => s + f.level * f.level, 0);
+  const earlySlope = fits.reduce((s, f) => s + Math.max(0, f.b) / f.a, 0) / fits.length;
+  return { beta, VA: earlySlope > 0 ? 1 / earlySlope : Infinity, families: fits };
+}
+
+/* ===========================
+   MOSFET: each output family contributes its saturation current (mean Id over the
+   top fifth of its Vds sweep); those (or a measured transfer curve) are fitted with
+   √Id = √(k/2)·(Vgs − Vth) over the points above 5 % of the largest current, which
+   drops cut-off and most of the subthreshold tail. Families whose sweep stops
+   below Vgs − Vth never saturate and are reported in `warnings`.
+   -> { Vth, k, r2, used, satPoints: [{ V, I }], warnings } or null
+   =========================== */
+export function fitMosfet({ families, transfer } = {}) {
+  const satPoints = transfer
+    ? finitePoints(transfer)
+    : (families ?? [])
+        .map(({ level, points }) => {
+          const pts = finitePoints(points);
+          if (!Number.isFinite(level) || !pts.length) return null;
+          const top = pts.filter((p) => p.V >= 0.8 * pts[pts.length - 1].V);
+          return { V: level, I: top.reduce((s, p) => s + p.I, 0) / top.length, Vds: pts[pts.length - 1].V };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.V - b.V);
+  const on = satPoints.filter((p) => p.I > 0);
+  if (on.length < 2) return null;
+  const Imax = Math.max(...on.map((p) => p.I));
+  const used = on.filter((p) => p.I >= 0.05 * Imax);
+  const fit = used.length >= 2 ? linearFit(used.map((p) => p.V), used.map((p) => Math.sqrt(p.I))) : null;
+  if (!fit || !(fit.slope > 0)) return null;
+  const Vth = -fit.intercept / fit.slope;
+  const warnings = satPoints
+    .filter((p) => p.Vds != null && p.V > Vth && p.Vds < p.V - Vth)
+    .map((p) => `Vgs = ${p.V} V does not reach saturation (Vds ≤ ${Number(p.Vds.toPrecision(3))} V < Vgs − Vth)`);
+  return { Vth, k: 2 * fit.slope * fit.slope, r2: fit.r2, used: used.length, satPoints, warnings };
+}
+
+export function extractParameters(device, curves, options) {
+  if (!curves) return null;
+  if (device === "diode") return fitDiode(curves.points, options);
+  if (device === "bjt") return fitBjt(curves.families, options);
+  if (device === "mosfet") return fitMosfet(curves);
+  return null;
+}
+
+/* ===========================
+   Measured tables ({ headers, rows } from parseDelimited / parseXlsx)
+   DEVICE_COLUMNS lists the columns each device needs; `family` is the stepped
+   quantity (Ib, Vgs). A MOSFET table without a Vds column is read as a transfer
+   curve. Column units are unit-engine text ("mA", "µA", "mV"), guessed from the
+   header ("Ic (mA)", "Vgs/V", "Ib [µA]") and converted to V / A.
+   =========================== */
+export const DEVICE_COLUMNS = {
+  diode: [
+    { field: "V", label: "Vd", unit: "V", pattern: /^(v_?[df]?\b|vd|vf|volt)/i },
+    { field: "I", label: "Id", unit: "A", pattern: /^(i_?[df]?\b|id|if|curr)/i },
+  ],
+  bjt: [
+    { field: "V", label: "Vce", unit: "V", pattern: /v_?ce|collector.*volt/i },
+    { field: "I", label: "Ic", unit: "A", pattern: /^i_?c\b|collector.*curr/i },
+    { field: "family", label: "Ib", unit: "A", pattern: /^i_?b\b|base/i },
+  ],
+  mosfet: [
+    { field: "V", label: "Vds", unit: "V", pattern: /v_?ds|drain.*volt/i, optional: true },
+    { field: "I", label: "Id", unit: "A", pattern: /^i_?d\b|drain.*curr/i },
+    { field: "family", label: "Vgs", unit: "V", pattern: /v_?gs|gate/i },
+  ],
+};
+
+// factor from `written` to `unit`, NaN when it is not a unit of the same kind
+export function columnScale(written, unit) {
+  try {
+    const from = parseUnit(written || unit);
+    const to = parseUnit(unit);
+    return sameDim(from.dim, to.dim) ? from.factor / to.factor : NaN;
+  } catch {
+    return NaN;
+  }
+}
+
+const isNumericColumn = (rows, i) => rows.length > 0 && rows.slice(0, 20).every((r) => r[i] === "" || Number.isFinite(parseCell(r[i])));
+
+// -> { columns: { V, I, family } (index or null), units: { V, I, family } }
+export function guessDeviceColumns(device, headers = [], rows = []) {
+  const spec = DEVICE_COLUMNS[device] ?? [];
+  const columns = {};
+  const taken = new Set();
+  spec.forEach(({ field, pattern }) => {
+    const idx = headers.findIndex((h, i) => !taken.has(i) && pattern.test(String(h).trim()));
+    columns[field] = idx >= 0 ? idx : null;
+    if (idx >= 0) taken.add(idx);
+  });
+  const spare = headers.map((_, i) => i).filter((i) => !taken.has(i) && isNumericColumn(rows, i));
+  spec.forEach(({ field, optional }) => {
+    if (columns[field] == null && !optional && spare.length) columns[field] = spare.shift();
+  });
+  const units = Object.fromEntries(spec.map(({ field, unit }) => [field, (columns[field] != null && headerUnit(headers[columns[field]], (u) => Number.isFinite(columnScale(u, unit)))) || unit]));
+  return { columns, units };
+}
+
+// table + mapping -> curves in the shape described at the top; null while a column is unassigned
+export function measuredCurves(device, table, { columns, units = {} }) {
+  const spec = DEVICE_COLUMNS[device];
+  if (!spec || !table) return null;
+  if (spec.some(({ field, optional }) => !optional && columns[field] == null)) return null;
+  const scales = {};
+  spec.forEach(({ field, label, unit }) => {
+    scales[field] = columnScale(units[field], unit);
+    if (!Number.isFinite(scales[field])) throw new Error(`${label}: "${units[field]}" is not a unit of ${unit === "A" ? "current" : "voltage"}`);
+  });
+  const read = (row, field) => (columns[field] == null ? NaN : parseCell(row[columns[field]]) * scales[field]);
+  const rows = table.rows
+    .map((row) => ({ V: read(row, "V"), I: read(row, "I"), level: read(row, "family") }))
+    .filter((r) => Number.isFinite(r.I));
+
+  if (device === "diode") return { points: rows.filter((r) => Number.isFinite(r.V)) };
+  if (device === "mosfet" && columns.V == null) return { transfer: rows.filter((r) => Number.isFinite(r.level)).map((r) => ({ V: r.level, I: r.I })) };
+
+  const groups = new Map();
+  rows
+    .filter((r) => Number.isFinite(r.V) && Number.isFinite(r.level))
+    .forEach((r) => {
+      const key = Number(r.level.toPrecision(6));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ V: r.V, I: r.I });
+    });
+  return { families: [...groups].map(([level, points]) => ({ level, points })).sort((a, b) => a.level - b.level) };
+}
@@ -0,0 +1,59 @@
+// src/lib/circuit/index.js
+// Shared circuit-solver library used by the visualization and tool pages, plus device parameter
+// extraction from curve-tracer sweeps (TesterPage) and the digital multimeter model (SimulatorPage).
+
+export { C } from "./complex";
+export { solveLinearSystem, solveComplexLinear } from "./linear";
+export { GROUND_NAMES, ELEMENT_TYPES, collectNodes, pickGround, UnionFind, buildNets } from "./netlist";
+export {
+  REAL,
+  COMPLEX,
+  DEPENDENT_TYPES,
+  createSystem,
+  branchElementIds,
+  stampElements,
+  elementCurrents,
+  DIODE_DEFAULTS,
+  NEWTON_DEFAULTS,
+  diodeCurrent,
+  solveNewton,
+  impedance,
+  seriesImpedance,
+  parallelImpedance,
+  solveDC,
+  solveAC,
+  theveninEquivalent,
+} from "./mna";
+export { MESH_TYPES, fundamentalLoops, solveMesh } from "./mesh";
+export { WAVE_SHAPES, MAX_TRANSIENT_STEPS, waveformAt, solveTransient } from "./transient";
+export { MAX_SWEEP_POINTS, sweepFrequencies, transferSweep, bodeMarkers } from "./sweep";
+export { parseSpice, parseSpiceValue, formatSpiceValue, toSpice } from "./spice";
+export { BOLTZMANN, ELEMENTARY_CHARGE, thermalVoltage } from "./constants";
+export {
+  fitDiode,
+  fitBjt,
+  fitMosfet,
+  extractParameters,
+  DEVICE_COLUMNS,
+  columnScale,
+  guessDeviceColumns,
+  measuredCurves,
+} from "./extract";
+export {
+  DISPLAY_COUNTS,
+  DMM_FUNCTIONS,
+  AC_CONVERTERS,
+  SOURCE_SHAPES,
+  DIODE_PARTS,
+  CONTINUITY_THRESHOLD,
+  DIODE_TEST_CURRENT,
+  DIODE_OPEN_VOLTAGE,
+  CAP_THRESHOLD_V,
+  meterRanges,
+  autoRange,
+  settledRange,
+  formatReading,
+  sourceWave,
+  acReadings,
+  measureDMM,
+} from "./meter";
@@ -0,0 +1,111 @@
+// src/lib/circuit/linear.js
+import { C } from "./complex";
+
+const EPS = 1e-12;
+
+/* ============================
+   Linear algebra: Gaussian elimination with partial pivoting
+   - Solves Ax = b for real A (n x n) and b (n)
+   - Returns null when the system is singular or nearly singular
+   ============================ */
+export function solveLinearSystem(A, b) {
+  const n = A.length;
+  // create augmented matrix
+  const M = new Array(n);
+  for (let i = 0; i < n; i++) {
+    M[i] = new Array(n + 1);
+    for (let j = 0; j < n; j++) M[i][j] = Number(A[i][j]) || 0;
+    M[i][n] = Number(b[i]) || 0;
+  }
+
+  for (let k = 0; k < n; k++) {
+    // partial pivot
+    let maxRow = k;
+    let maxVal = Math.abs(M[k][k]);
+    for (let r = k + 1; r < n; r++) {
+      const val = Math.abs(M[r][k]);
+      if (val > maxVal) {
+        maxVal = val;
+        maxRow = r;
+      }
+    }
+    if (maxVal < EPS) return null;
+    if (maxRow !== k) {
+      const tmp = M[k];
+      M[k] = M[maxRow];
+      M[maxRow] = tmp;
+    }
+
+    // elimination
+    for (let i = k + 1; i < n; i++) {
+      const f = M[i][k] / M[k][k];
+      M[i][k] = 0;
+      for (let j = k + 1; j <= n; j++) {
+        M[i][j] -= f * M[k][j];
+      }
+    }
+  }
+
+  // back substitution
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = M[i][n];
+    for (let j = i + 1; j < n; j++) s -= M[i][j] * x[j];
+    x[i] = s / M[i][i];
+    if (!Number.isFinite(x[i])) return null;
+  }
+  return x;
+}
+
+/* ============================
+   Gauss-Jordan elimination for complex linear systems
+   - A is n x n array of { re, im }; b is length n complex vector
+   - Returns x (complex vector) or null when singular
+   ============================ */
+export function solveComplexLinear(A_in, b_in) {
+  const n = A_in.length;
+  // deep copies so callers can keep their matrices for display
+  const A = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => ({ re: A_in[i][j].re, im: A_in[i][j].im }))
+  );
+  const b = b_in.map((v) => ({ re: v.re, im: v.im }));
+
+  for (let k = 0; k < n; k++) {
+    // pivot: find row with max magnitude in column k
+    let piv = k;
+    let maxMag = C.abs(A[k][k]);
+    for (let r = k + 1; r < n; r++) {
+      const mag = C.abs(A[r][k]);
+      if (mag > maxMag) {
+        maxMag = mag;
+        piv = r;
+      }
+    }
+    if (maxMag < EPS) return null;
+    if (piv !== k) {
+      [A[k], A[piv]] = [A[piv], A[k]];
+      [b[k], b[piv]] = [b[piv], b[k]];
+    }
+
+    // normalize row k
+    const invDiag = C.inv(A[k][k]);
+    for (let j = k; j < n; j++) {
+      A[k][j] = C.mul(A[k][j], invDiag);
+    }
+    b[k] = C.mul(b[k], invDiag);
+
+    // eliminate rows below and above
+    for (let i = 0; i < n; i++) {
+      if (i === k) continue;
+      const factor = A[i][k];
+      if (C.isZero(factor, 1e-15)) continue;
+      for (let j = k; j < n; j++) {
+        A[i][j] = C.sub(A[i][j], C.mul(factor, A[k][j]));
+      }
+      b[i] = C.sub(b[i], C.mul(factor, b[k]));
+    }
+  }
+
+  if (b.some((v) => !Number.isFinite(v.re) || !Number.isFinite(v.im))) return null;
+  return b;
+}
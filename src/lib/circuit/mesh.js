@@ -0,0 +1,147 @@
+// src/lib/circuit/mesh.js
+import { solveLinearSystem } from "./linear";
+import { UnionFind, collectNodes } from "./netlist";
+
+/* ============================
+   Loop (mesh) analysis for linear resistive circuits
+   - R, V and I elements (netlist model, see netlist.js)
+   - loops come from a spanning forest: every branch left out of the tree (a link)
+     closes exactly one loop, and the loop current flows in the direction of its link
+   - current sources are always links, so their loop current is known and the
+     loop needs no KVL equation (this replaces the usual supermesh)
+   ============================ */
+export const MESH_TYPES = ["R", "V", "I"];
+
+const num = (v, d = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+// tree preference: voltage sources first, current sources never
+const TREE_RANK = { V: 0, R: 1, I: 2 };
+
+/* ============================
+   fundamentalLoops(nodes, elements)
+   Returns [{ link, branches: [{ id, sign }] }] where sign is +1 when the loop
+   traverses the element from -> to. The loop direction follows its link.
+   ============================ */
+export function fundamentalLoops(nodes, elements) {
+  const uf = UnionFind();
+  collectNodes(nodes, elements).forEach((n) => uf.find(n));
+
+  const order = [...elements].sort((a, b) => (TREE_RANK[a.type] ?? 1) - (TREE_RANK[b.type] ?? 1));
+  const tree = [];
+  const links = [];
+  order.forEach((el) => {
+    const a = uf.find(String(el.from));
+    const b = uf.find(String(el.to));
+    if (el.type !== "I" && a !== b) {
+      uf.union(a, b);
+      tree.push(el);
+    } else {
+      links.push(el);
+    }
+  });
+
+  const adj = {};
+  tree.forEach((el) => {
+    const from = String(el.from);
+    const to = String(el.to);
+    (adj[from] ??= []).push({ to, id: el.id, sign: 1 });
+    (adj[to] ??= []).push({ to: from, id: el.id, sign: -1 });
+  });
+
+  // tree path start -> goal as [{ id, sign }], or null if they are not connected
+  const treePath = (start, goal) => {
+    const prev = { [start]: null };
+    const queue = [start];
+    while (queue.length) {
+      const cur = queue.shift();
+      if (cur === goal) break;
+      (adj[cur] ?? []).forEach((e) => {
+        if (!(e.to in prev)) {
+          prev[e.to] = { node: cur, id: e.id, sign: e.sign };
+          queue.push(e.to);
+        }
+      });
+    }
+    if (!(goal in prev)) return null;
+    const path = [];
+    for (let n = goal; prev[n]; n = prev[n].node) path.unshift({ id: prev[n].id, sign: prev[n].sign });
+    return path;
+  };
+
+  return links
+    .map((link) => {
+      // link goes from -> to; the tree closes the loop from 'to' back to 'from'
+      const back = treePath(String(link.to), String(link.from));
+      return back ? { link: link.id, branches: [{ id: link.id, sign: 1 }, ...back] } : null;
+    })
+    .filter(Boolean);
+}
+
+/* ============================
+   solveMesh(nodes, elements)
+   Returns { error } when the circuit has unsupported elements or a current source
+   that does not close a loop, null when the loop equations are singular, or:
+     {
+       loops:   [{ link, branches, current: "I1", fixed: number | null }],
+       Z, E:    loop equations Z · I = E (a fixed loop's row is simply I_k = fixed)
+       I:       loop currents,
+       branchCurrents: { elementId: A } (from -> to)
+     }
+   KVL rows: the resistor drops around a loop equal the source rises met along it.
+   ============================ */
+export function solveMesh(nodes, elements) {
+  const unsupported = elements.filter((el) => !MESH_TYPES.includes(el.type));
+  if (unsupported.length) {
+    return { error: `Loop analysis supports R, V and I only (found ${unsupported.map((el) => el.id).join(", ")})` };
+  }
+
+  const byId = new Map(elements.map((el) => [el.id, el]));
+  const loops = fundamentalLoops(nodes, elements);
+  const stray = elements.filter((el) => el.type === "I" && !loops.some((l) => l.link === el.id));
+  if (stray.length) return { error: `Current source ${stray[0].id} is not part of a closed loop` };
+
+  const K = loops.length;
+  // incidence[k][id] = +1 / -1 when loop k runs along / against element id
+  const incidence = loops.map((loop) => Object.fromEntries(loop.branches.map((b) => [b.id, b.sign])));
+  const Z = Array.from({ length: K }, () => Array(K).fill(0));
+  const E = Array(K).fill(0);
+
+  loops.forEach((loop, k) => {
+    const linkEl = byId.get(loop.link);
+    if (linkEl.type === "I") {
+      loop.fixed = num(linkEl.value);
+      Z[k][k] = 1;
+      E[k] = loop.fixed;
+      return;
+    }
+    loop.fixed = null;
+    loop.branches.forEach(({ id, sign }) => {
+      const el = byId.get(id);
+      if (el.type === "V") {
+        // V(from) - V(to) = value: walking from -> to drops the source voltage
+        E[k] -= sign * num(el.value);
+      } else if (el.type === "R") {
+        const R = num(el.value);
+        incidence.forEach((inc, j) => {
+          if (inc[id]) Z[k][j] += sign * inc[id] * R;
+        });
+      }
+    });
+  });
+  loops.forEach((loop, k) => {
+    loop.current = `I${k + 1}`;
+  });
+
+  const I = K ? solveLinearSystem(Z, E) : [];
+  if (!I) return null;
+
+  const branchCurrents = {};
+  elements.forEach((el) => {
+    branchCurrents[el.id] = incidence.reduce((acc, inc, k) => acc + (inc[el.id] ?? 0) * I[k], 0);
+  });
+
+  return { loops, Z, E, I, branchCurrents };
+}
@@ -0,0 +1,242 @@
+// src/lib/circuit/meter.js
+import { thermalVoltage } from "./constants";
+
+/* ============================
+   Digital multimeter model (SimulatorPage)
+   The meter is wired into the page's circuit, Vsup -> seriesR -> loadR -> GND, and
+   disturbs it the way a real one does:
+     voltage      input impedance Rin in parallel with the load
+     current      range shunt in series (burden voltage = I · Rshunt)
+     resistance   the load out of circuit (supply disconnected)
+     continuity   resistance on the lowest range, beeping below CONTINUITY_THRESHOLD
+     diode        DIODE_TEST_CURRENT into the part, open-circuit voltage DIODE_OPEN_VOLTAGE
+     capacitance  constant-current charge to CAP_THRESHOLD_V; a leakage resistance
+                  across the capacitor slows the ramp and reads high (or never ends: OL)
+   AC functions are AC-coupled and read either the true RMS or, average-responding,
+   the rectified mean scaled by the sine form factor π / 2√2, which is only right for
+   sines. The converter clips at `crestFactor` × full scale.
+   Ranges: full scale = leading digit of the display counts × decade (a 6000-count
+   meter has 600 mV, 6 V, 60 V …), capped at the input rating, resolution = full scale /
+   counts of the uncapped range.
+   ============================ */
+
+export const DISPLAY_COUNTS = {
+  2000: "3½ digit (2000 counts)",
+  4000: "3¾ digit (4000 counts)",
+  6000: "3⅚ digit (6000 counts)",
+  20000: "4½ digit (20000 counts)",
+  60000: "4⅚ digit (60000 counts)",
+};
+
+const V_UNITS = [[1e-3, "mV"], [1, "V"]];
+const A_UNITS = [[1e-6, "µA"], [1e-3, "mA"], [1, "A"]];
+const OHM_UNITS = [[1, "Ω"], [1e3, "kΩ"], [1e6, "MΩ"]];
+const F_UNITS = [[1e-9, "nF"], [1e-6, "µF"], [1e-3, "mF"]];
+
+// function key -> { label, dial, quantity, decades, units, rating?, ac? }
+export const DMM_FUNCTIONS = {
+  VOLTAGE: { label: "DC Voltage (V⎓)", dial: "DCV", quantity: "V", decades: [0.1, 1, 10, 100, 1000], units: V_UNITS, rating: 1000 },
+  AC_VOLTAGE: { label: "AC Voltage (V~)", dial: "ACV", quantity: "V", decades: [0.1, 1, 10, 100, 1000], units: V_UNITS, rating: 750, ac: true },
+  CURRENT: { label: "DC Current (A⎓)", dial: "DCA", quantity: "I", decades: [1e-4, 1e-3, 1e-2, 0.1, 10], units: A_UNITS, rating: 10 },
+  AC_CURRENT: { label: "AC Current (A~)", dial: "ACA", quantity: "I", decades: [1e-4, 1e-3, 1e-2, 0.1, 10], units: A_UNITS, rating: 10, ac: true },
+  RESISTANCE: { label: "Resistance (Ω)", dial: "Ω", quantity: "R", decades: [100, 1e3, 1e4, 1e5, 1e6, 1e7], units: OHM_UNITS },
+  CONTINUITY: { label: "Continuity (•)))", dial: "•))", quantity: "R", decades: [100], units: OHM_UNITS },
+  DIODE: { label: "Diode test (→|)", dial: "→|", quantity: "V", decades: [1], units: V_UNITS },
+  CAPACITANCE: { label: "Capacitance (F)", dial: "CAP", quantity: "C", decades: [1e-9, 1e-8, 1e-7, 1e-6, 1e-5, 1e-4, 1e-3, 1e-2], units: F_UNITS },
+};
+
+export const AC_CONVERTERS = { TRUE_RMS: "True RMS", AVERAGE: "Average-responding" };
+
+export const SOURCE_SHAPES = {
+  dc: "DC",
+  sine: "Sine",
+  square: "Square",
+  triangle: "Triangle",
+  sawtooth: "Sawtooth",
+  pulse: "Pulse (duty)",
+  halfwave: "Half-wave rectified sine",
+};
+
+// parts for the diode test: Id = Is (exp(V / n·Vt) − 1), plus the bulk resistance rs
+export const DIODE_PARTS = {
+  silicon: { label: "Silicon (1N4148)", is: 1e-14, n: 1, rs: 0.5 },
+  schottky: { label: "Schottky (BAT85)", is: 5e-8, n: 1.05, rs: 1 },
+  germanium: { label: "Germanium (OA91)", is: 1e-6, n: 1.1, rs: 2 },
+  redLed: { label: "Red LED", is: 1e-18, n: 2, rs: 5 },
+  greenLed: { label: "Green LED", is: 1e-20, n: 2, rs: 5 },
+  blueLed: { label: "Blue LED", is: 7e-22, n: 2.5, rs: 8 },
+};
+
+export const CONTINUITY_THRESHOLD = 50; // Ω
+export const DIODE_TEST_CURRENT = 1e-3; // A
+export const DIODE_OPEN_VOLTAGE = 3; // V
+export const CAP_THRESHOLD_V = 1; // V, charge ramp end point
+const CAP_FULL_SCALE_TIME = 1; // s, ramp time of a full-scale capacitor
+const SHUNT_BURDEN = 0.1; // V per decade of the current range (shunt = 0.1 V / decade)
+const FORM_FACTOR = Math.PI / (2 * Math.SQRT2); // sine RMS / rectified mean
+const WAVE_SAMPLES = 1000;
+
+const leadingDigit = (counts) => counts / 10 ** Math.floor(Math.log10(counts));
+
+/* ============================
+   meterRanges(fn, counts) -> [{ index, decade, fullScale, resolution, unit, scale, decimals, label }]
+   unit / scale: the display unit of the range ("mV", 1e-3); decimals: digits after the point
+   ============================ */
+export function meterRanges(fn, counts = 2000) {
+  const spec = DMM_FUNCTIONS[fn] ?? DMM_FUNCTIONS.VOLTAGE;
+  const lead = leadingDigit(counts);
+  return spec.decades.map((decade, index) => {
+    const span = lead * decade;
+    const fullScale = spec.rating ? Math.min(span, spec.rating) : span;
+    const resolution = span / counts;
+    const [scale, unit] = spec.units.filter(([s]) => s <= decade * 1.0001).pop() ?? spec.units[0];
+    const decimals = Math.max(0, Math.round(Math.log10(scale / resolution)));
+    return { index, decade, fullScale, resolution, unit, scale, decimals, label: `${Number((fullScale / scale).toPrecision(6))} ${unit}` };
+  });
+}
+
+/* ============================
+   Auto-ranging, one step per conversion like a real meter: up when the reading
+   does not fit, down when it would fit the lower range with 10 % to spare.
+   ============================ */
+export function autoRange(index, value, ranges) {
+  const mag = Math.abs(value);
+  if (!(mag < ranges[index].fullScale) && index < ranges.length - 1) return index + 1;
+  if (index > 0 && mag < 0.9 * ranges[index - 1].fullScale) return index - 1;
+  return index;
+}
+
+// the range an auto-ranging meter settles on for `value`
+export function settledRange(value, ranges) {
+  const i = ranges.findIndex((r) => Math.abs(value) < r.fullScale);
+  return i < 0 ? ranges.length - 1 : i;
+}
+
+/* ============================
+   formatReading(value, range) -> { overload, value, text, unit }
+   value is quantised to the range resolution; an overload reads "OL" ("-OL" below zero)
+   ============================ */
+export function formatReading(value, range) {
+  if (!Number.isFinite(value) || Math.abs(value) >= range.fullScale) {
+    return { overload: true, value: NaN, text: value < 0 ? "-OL" : "OL", unit: range.unit };
+  }
+  const quantised = Number((Math.round(value / range.resolution) * range.resolution).toPrecision(12));
+  const text = (quantised / range.scale).toFixed(range.decimals);
+  return { overload: false, value: quantised, text: /^-0(\.0*)?$/.test(text) ? text.slice(1) : text, unit: range.unit };
+}
+
+/* ============================
+   One period of the source, peak 1
+   ============================ */
+export function sourceWave(shape = "dc", duty = 0.5) {
+  if (shape === "dc") return [1];
+  const d = Math.min(0.99, Math.max(0.01, Number(duty) || 0.5));
+  return Array.from({ length: WAVE_SAMPLES }, (_, k) => {
+    const p = k / WAVE_SAMPLES;
+    switch (shape) {
+      case "square":
+        return p < 0.5 ? 1 : -1;
+      case "triangle":
+        return 1 - 4 * Math.abs(((p + 0.25) % 1) - 0.5);
+      case "sawtooth":
+        return 2 * p - 1;
+      case "pulse":
+        return p < d ? 1 : 0;
+      case "halfwave":
+        return Math.max(0, Math.sin(2 * Math.PI * p));
+      case "sine":
+      default:
+        return Math.sin(2 * Math.PI * p);
+    }
+  });
+}
+
+/* ============================
+   AC-coupled readings of sampled `wave` scaled by `gain`; the converter clips at `limit`
+   -> { mean, trueRms, average, crest, clipped }
+   average is what an average-responding meter shows (form factor of a sine)
+   ============================ */
+export function acReadings(wave, gain = 1, limit = Infinity) {
+  const mean = (gain * wave.reduce((a, b) => a + b, 0)) / wave.length;
+  const ac = wave.map((x) => gain * x - mean);
+  const peak = ac.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+  const seen = ac.map((x) => Math.max(-limit, Math.min(limit, x)));
+  const trueRms = Math.sqrt(seen.reduce((a, x) => a + x * x, 0) / seen.length);
+  const average = (FORM_FACTOR * seen.reduce((a, x) => a + Math.abs(x), 0)) / seen.length;
+  const rms = Math.sqrt(ac.reduce((a, x) => a + x * x, 0) / ac.length);
+  return { mean, trueRms, average, crest: rms > 0 ? peak / rms : null, clipped: peak > limit };
+}
+
+const parallel = (a, b) => (Number.isFinite(a) ? (Number.isFinite(b) ? (a * b) / (a + b) : a) : b);
+
+/* ============================
+   measureDMM(circuit, fn, range, meter) ->
+     { value, ideal, burden, shunt, meterCurrent, ac, beep }
+   circuit: { Vsup, seriesR, loadR, shape, duty, capacitance, leakage, diode, reversed, connected }
+            (capacitance in F, leakage in Ω, Infinity / null = none; diode: DIODE_PARTS key)
+   meter:   { inputR (Ω), converter: TRUE_RMS | AVERAGE, crestFactor }
+   value is what the meter reads on `range` before noise and quantisation (Infinity = open),
+   ideal what a meter that does not load the circuit would read.
+   ============================ */
+export function measureDMM(circuit, fn, range, { inputR = 10e6, converter = "TRUE_RMS", crestFactor = 3 } = {}) {
+  const { Vsup = 0, seriesR = 0, loadR = 1000, shape = "dc", duty = 0.5, capacitance = 0, leakage = null, diode = "silicon", reversed = false, connected = true } = circuit;
+  const Rs = Math.max(1e-6, Number(seriesR) || 0);
+  const Rl = Math.max(1e-9, Number(loadR) || 0);
+  const spec = DMM_FUNCTIONS[fn] ?? DMM_FUNCTIONS.VOLTAGE;
+  const out = { value: 0, ideal: 0, burden: null, shunt: null, meterCurrent: null, ac: null, beep: false };
+
+  if (fn === "RESISTANCE" || fn === "CONTINUITY") {
+    out.value = out.ideal = connected ? Rl : Infinity;
+    out.beep = fn === "CONTINUITY" && out.value < Math.min(CONTINUITY_THRESHOLD, range.fullScale);
+    return out;
+  }
+
+  if (fn === "DIODE") {
+    const part = DIODE_PARTS[diode] ?? DIODE_PARTS.silicon;
+    const Vf = part.n * thermalVoltage() * Math.log1p(DIODE_TEST_CURRENT / part.is) + DIODE_TEST_CURRENT * part.rs;
+    // reversed or open: no current flows and the terminals sit at the open-circuit voltage
+    out.value = out.ideal = connected && !reversed && Vf < DIODE_OPEN_VOLTAGE ? Vf : Infinity;
+    return out;
+  }
+
+  if (fn === "CAPACITANCE") {
+    const C = connected ? Math.max(0, Number(capacitance) || 0) : 0;
+    const I = (range.fullScale * CAP_THRESHOLD_V) / CAP_FULL_SCALE_TIME;
+    const Rp = Number(leakage) > 0 ? Number(leakage) : Infinity;
+    out.ideal = C;
+    if (!Number.isFinite(Rp)) out.value = C;
+    else if (I * Rp <= CAP_THRESHOLD_V) out.value = Infinity; // the ramp never reaches the threshold
+    else out.value = (I * -Rp * C * Math.log(1 - CAP_THRESHOLD_V / (I * Rp))) / CAP_THRESHOLD_V;
+    out.meterCurrent = I;
+    return out;
+  }
+
+  if (!connected) return out;
+
+  const wave = sourceWave(shape, duty);
+  const Rin = Math.max(1, Number(inputR) || 10e6);
+  let gain;
+  if (spec.quantity === "V") {
+    const Rp = parallel(Rl, Rin);
+    gain = (Vsup * Rp) / (Rs + Rp);
+    out.ideal = (Vsup * Rl) / (Rs + Rl);
+  } else {
+    out.shunt = SHUNT_BURDEN / range.decade;
+    gain = Vsup / (Rs + Rl + out.shunt);
+    out.ideal = Vsup / (Rs + Rl);
+  }
+
+  const readings = acReadings(wave, gain, crestFactor * range.fullScale);
+  if (spec.ac) {
+    out.value = converter === "AVERAGE" ? readings.average : readings.trueRms;
+    out.ideal = acReadings(wave, out.ideal).trueRms;
+    out.ac = readings;
+  } else {
+    // the integrating converter averages the waveform
+    out.value = readings.mean;
+    out.ideal = acReadings(wave, out.ideal).mean;
+  }
+  if (spec.quantity === "V") out.meterCurrent = Math.abs(out.value) / Rin;
+  else out.burden = out.value * out.shunt;
+  return out;
+}
@@ -0,0 +1,431 @@
+// src/lib/circuit/mna.js
+import { C } from "./complex";
+import { solveLinearSystem, solveComplexLinear } from "./linear";
+import { collectNodes, pickGround } from "./netlist";
+
+/* ============================
+   Scalar "fields" the MNA assembler works over.
+   DC and transient analysis use plain numbers, AC analysis uses { re, im }.
+   ============================ */
+export const REAL = {
+  zero: () => 0,
+  one: () => 1,
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  neg: (a) => -a,
+  fromReal: (x) => x,
+  solve: solveLinearSystem,
+};
+
+export const COMPLEX = {
+  zero: C.zero,
+  one: C.one,
+  add: C.add,
+  sub: C.sub,
+  mul: C.mul,
+  neg: C.neg,
+  fromReal: C.real,
+  solve: solveComplexLinear,
+};
+
+/* ============================
+   MNA system builder
+   Unknown layout: [ V(non-reference nodes) ..., I(branch elements) ... ]
+   Branch elements are the ones whose current must be an explicit unknown
+   (voltage sources, shorts). Stamp helpers ignore the reference node.
+   ============================ */
+export function createSystem(nodes, elements, { ground, field = REAL, branchIds = [] } = {}) {
+  const nodeIds = collectNodes(nodes, elements);
+  const refNode = ground != null ? String(ground) : pickGround(nodeIds);
+  const nonRefNodes = nodeIds.filter((n) => n !== refNode);
+  const nodeIndex = new Map(nonRefNodes.map((n, i) => [n, i]));
+  const branchIndex = new Map(branchIds.map((id, k) => [id, nonRefNodes.length + k]));
+  const size = nonRefNodes.length + branchIds.length;
+
+  const A = Array.from({ length: size }, () => Array.from({ length: size }, field.zero));
+  const b = Array.from({ length: size }, field.zero);
+
+  const idx = (nid) => {
+    const i = nodeIndex.get(String(nid));
+    return i == null ? -1 : i;
+  };
+  const branch = (id) => {
+    const k = branchIndex.get(id);
+    return k == null ? -1 : k;
+  };
+  const add = (i, j, v) => {
+    if (i >= 0 && j >= 0) A[i][j] = field.add(A[i][j], v);
+  };
+  const inject = (i, v) => {
+    if (i >= 0) b[i] = field.add(b[i], v);
+  };
+
+  return {
+    field,
+    refNode,
+    nodes: nonRefNodes,
+    size,
+    A,
+    b,
+    idx,
+    branch,
+    add,
+    inject,
+    unknowns: [...nonRefNodes.map((n) => `V(${n})`), ...branchIds.map((id) => `I(${id})`)],
+    // admittance y between two nodes
+    stampAdmittance(from, to, y) {
+      const p = idx(from);
+      const q = idx(to);
+      add(p, p, y);
+      add(q, q, y);
+      add(p, q, field.neg(y));
+      add(q, p, field.neg(y));
+    },
+    // current i flowing from 'from' to 'to' through the element (leaves 'from', enters 'to')
+    stampCurrent(from, to, i) {
+      inject(idx(from), field.neg(i));
+      inject(idx(to), i);
+    },
+    // ideal voltage source V(from) - V(to) = v, using the branch unknown registered for id
+    stampVoltage(id, from, to, v) {
+      const k = branch(id);
+      const p = idx(from);
+      const q = idx(to);
+      add(p, k, field.one());
+      add(k, p, field.one());
+      add(q, k, field.neg(field.one()));
+      add(k, q, field.neg(field.one()));
+      inject(k, v);
+    },
+    // node voltages (reference = 0) from a solution vector
+    readVoltages(x) {
+      const out = { [refNode]: field.zero() };
+      nonRefNodes.forEach((n, i) => {
+        out[n] = x[i];
+      });
+      return out;
+    },
+  };
+}
+
+/* ============================
+   Per-element helpers
+   ============================ */
+const num = (v, d = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+// Impedance of a passive element at angular frequency omega (complex).
+// An open circuit (capacitor at DC) has infinite reactance.
+export function impedance(type, value, omega) {
+  const v = num(value);
+  if (type === "R") return C.real(v);
+  if (type === "L") return { re: 0, im: omega * v };
+  if (type === "C") return { re: 0, im: -1 / (omega * v) };
+  return C.zero();
+}
+
+export function seriesImpedance(zs) {
+  return zs.reduce((acc, z) => C.add(acc, z), C.zero());
+}
+
+// Any zero-impedance branch shorts the whole parallel group.
+export function parallelImpedance(zs) {
+  if (zs.length === 0 || zs.some((z) => C.isZero(z))) return C.zero();
+  const y = zs.reduce((acc, z) => C.add(acc, C.inv(z)), C.zero());
+  return C.inv(y);
+}
+
+/* ============================
+   Element models
+   Every analysis describes each independent element with one of:
+     { kind: "vsrc", value }   ideal voltage (sources, shorts): V(from) - V(to) = value
+     { kind: "isrc", value }   ideal current from -> to
+     { kind: "y", y, ieq? }    i = y * (V(from) - V(to)) + ieq
+     { kind: "open" }          no current
+   Controlled sources (E, F, G, H) are stamped from these by stampElements.
+   ============================ */
+export const DEPENDENT_TYPES = ["E", "F", "G", "H"];
+
+// Elements whose current is an explicit unknown
+export function branchElementIds(elements, model) {
+  return elements
+    .filter((el) => el.type === "E" || el.type === "H" || (!DEPENDENT_TYPES.includes(el.type) && model(el).kind === "vsrc"))
+    .map((el) => el.id);
+}
+
+// Current through el (from -> to) as an affine expression of the unknowns:
+// { terms: [[unknownIndex, coef]], c } with i = sum(coef * x[unknownIndex]) + c
+function currentExpression(sys, el, byId, model, depth = 0) {
+  const F = sys.field;
+  const none = { terms: [], c: F.zero() };
+  if (!el || depth > 16) return none;
+  const k = sys.branch(el.id);
+  if (k >= 0) return { terms: [[k, F.one()]], c: F.zero() };
+  const gain = F.fromReal(num(el.gain));
+  if (el.type === "G") {
+    return { terms: [[sys.idx(el.ctrlFrom), gain], [sys.idx(el.ctrlTo), F.neg(gain)]], c: F.zero() };
+  }
+  if (el.type === "F") {
+    const ctrl = currentExpression(sys, byId.get(el.ctrl), byId, model, depth + 1);
+    return { terms: ctrl.terms.map(([i, coef]) => [i, F.mul(gain, coef)]), c: F.mul(gain, ctrl.c) };
+  }
+  const m = model(el);
+  if (m.kind === "isrc") return { terms: [], c: m.value };
+  if (m.kind === "y") {
+    return { terms: [[sys.idx(el.from), m.y], [sys.idx(el.to), F.neg(m.y)]], c: m.ieq ?? F.zero() };
+  }
+  return none;
+}
+
+/* ============================
+   Stamp a netlist into an MNA system
+   - sys: from createSystem, with branchIds = branchElementIds(elements, model)
+   - model(el): element model for the current analysis (see above)
+   ============================ */
+export function stampElements(sys, elements, model) {
+  const F = sys.field;
+  const byId = new Map(elements.map((el) => [el.id, el]));
+  const one = F.one();
+  const minusOne = F.neg(one);
+
+  elements.forEach((el) => {
+    const p = sys.idx(el.from);
+    const q = sys.idx(el.to);
+    const gain = F.fromReal(num(el.gain));
+
+    if (el.type === "E" || el.type === "H") {
+      // branch current leaves 'from', enters 'to'; row: V(from) - V(to) - gain * control = 0
+      const k = sys.branch(el.id);
+      sys.add(p, k, one);
+      sys.add(q, k, minusOne);
+      sys.add(k, p, one);
+      sys.add(k, q, minusOne);
+      if (el.type === "E") {
+        sys.add(k, sys.idx(el.ctrlFrom), F.neg(gain));
+        sys.add(k, sys.idx(el.ctrlTo), gain);
+      } else {
+        const ctrl = currentExpression(sys, byId.get(el.ctrl), byId, model);
+        ctrl.terms.forEach(([i, coef]) => sys.add(k, i, F.neg(F.mul(gain, coef))));
+        sys.inject(k, F.mul(gain, ctrl.c));
+      }
+      return;
+    }
+
+    if (el.type === "G" || el.type === "F") {
+      // KCL: the controlled current leaves 'from' and enters 'to'
+      const expr = currentExpression(sys, el, byId, model);
+      expr.terms.forEach(([i, coef]) => {
+        sys.add(p, i, coef);
+        sys.add(q, i, F.neg(coef));
+      });
+      sys.inject(p, F.neg(expr.c));
+      sys.inject(q, expr.c);
+      return;
+    }
+
+    const m = model(el);
+    if (m.kind === "vsrc") sys.stampVoltage(el.id, el.from, el.to, m.value);
+    else if (m.kind === "isrc") sys.stampCurrent(el.from, el.to, m.value);
+    else if (m.kind === "y") {
+      sys.stampAdmittance(el.from, el.to, m.y);
+      if (m.ieq != null) sys.stampCurrent(el.from, el.to, m.ieq);
+    }
+  });
+}
+
+// Current through every element (from -> to) for a solution vector x
+export function elementCurrents(sys, elements, model, x) {
+  const F = sys.field;
+  const byId = new Map(elements.map((el) => [el.id, el]));
+  const out = {};
+  elements.forEach((el) => {
+    const expr = currentExpression(sys, el, byId, model);
+    out[el.id] = expr.terms.reduce((acc, [i, coef]) => (i >= 0 ? F.add(acc, F.mul(coef, x[i])) : acc), expr.c);
+  });
+  return out;
+}
+
+/* ============================
+   Diodes (Shockley): i = Is * (exp(v / (n Vt)) - 1), from = anode, to = cathode
+   Newton-Raphson replaces each diode with its linearisation at the previous
+   iterate: a conductance G in parallel with a current ieq.
+   ============================ */
+export const DIODE_DEFAULTS = { is: 1e-14, n: 1 };
+
+const VT = 0.025852; // thermal voltage at 300 K
+const GMIN = 1e-12; // keeps a reverse-biased diode from floating its node
+
+function diodeParams(el) {
+  const is = num(el.is, DIODE_DEFAULTS.is);
+  const n = num(el.n, DIODE_DEFAULTS.n);
+  return { is: is > 0 ? is : DIODE_DEFAULTS.is, nvt: (n > 0 ? n : DIODE_DEFAULTS.n) * VT };
+}
+
+export function diodeCurrent(el, v) {
+  const { is, nvt } = diodeParams(el);
+  return is * (Math.exp(v / nvt) - 1) + GMIN * v;
+}
+
+function diodeCompanion(el, v) {
+  const { is, nvt } = diodeParams(el);
+  const e = Math.exp(v / nvt);
+  const G = (is * e) / nvt + GMIN;
+  return { kind: "y", y: G, ieq: is * (e - 1) + GMIN * v - G * v };
+}
+
+// SPICE-style junction limiting so one Newton step cannot overshoot the exponential
+function limitJunction(el, vnew, vold) {
+  const { is, nvt } = diodeParams(el);
+  const vcrit = nvt * Math.log(nvt / (Math.SQRT2 * is));
+  if (vnew <= vcrit || Math.abs(vnew - vold) <= 2 * nvt) return vnew;
+  if (vold > 0) {
+    const arg = 1 + (vnew - vold) / nvt;
+    return arg > 0 ? vold + nvt * Math.log(arg) : vcrit;
+  }
+  return nvt * Math.log(vnew / nvt);
+}
+
+/* ============================
+   Newton-Raphson driver for DC and transient analysis (real field)
+   - model(el): element model for everything except diodes
+   - guess: { diodeId: V } starting junction voltages (default 0)
+   - returns null when a linearised system is singular, else
+       { sys, x, model, junctions, newton: { iterations, converged, maxDelta } }
+     A run that reaches maxIter comes back with converged = false.
+   ============================ */
+export const NEWTON_DEFAULTS = { maxIter: 100, vntol: 1e-6, reltol: 1e-3 };
+
+export function solveNewton(nodes, elements, { model, ground, guess = {}, ...opts } = {}) {
+  const { maxIter, vntol, reltol } = { ...NEWTON_DEFAULTS, ...opts };
+  const diodes = elements.filter((el) => el.type === "D");
+  let junctions = Object.fromEntries(diodes.map((d) => [d.id, num(guess[d.id])]));
+  let last = null;
+
+  for (let it = 1; it <= maxIter; it++) {
+    const vd = junctions;
+    const linear = (el) => (el.type === "D" ? diodeCompanion(el, vd[el.id]) : model(el));
+    const sys = createSystem(nodes, elements, { ground, field: REAL, branchIds: branchElementIds(elements, linear) });
+    stampElements(sys, elements, linear);
+    const x = sys.size ? REAL.solve(sys.A, sys.b) : [];
+    if (!x) return null;
+
+    const V = sys.readVoltages(x);
+    const next = {};
+    let maxDelta = 0;
+    let converged = true;
+    diodes.forEach((d) => {
+      const v = (V[String(d.from)] ?? 0) - (V[String(d.to)] ?? 0);
+      const delta = Math.abs(v - vd[d.id]);
+      maxDelta = Math.max(maxDelta, delta);
+      if (delta > vntol + reltol * Math.max(Math.abs(v), Math.abs(vd[d.id]))) converged = false;
+      next[d.id] = limitJunction(d, v, vd[d.id]);
+    });
+
+    last = { sys, x, model: linear, junctions: vd, newton: { iterations: it, converged, maxDelta } };
+    if (converged) return last;
+    junctions = next;
+  }
+  return last;
+}
+
+function sourceValue(el, field) {
+  if (field === REAL) return num(el.value);
+  if (el.ac) return C.fromPolarDeg(num(el.ac.mag), num(el.ac.phase));
+  return C.fromPolarDeg(num(el.value), num(el.phase));
+}
+
+// DC / AC model: L is a short and C open at omega = 0, R = 0 is an ideal wire
+function steadyStateModel(omega, field) {
+  const y = (v) => ({ kind: "y", y: field === REAL ? v.re : v });
+  return (el) => {
+    const v = num(el.value);
+    if (el.type === "V") return { kind: "vsrc", value: sourceValue(el, field) };
+    if (el.type === "I") return { kind: "isrc", value: sourceValue(el, field) };
+    if (el.type === "R") {
+      if (v === 0) return { kind: "vsrc", value: field.zero() };
+      return v > 0 ? y(C.real(1 / v)) : { kind: "open" };
+    }
+    if (el.type === "L") {
+      if (omega * v === 0) return { kind: "vsrc", value: field.zero() };
+      return v > 0 ? y({ re: 0, im: -1 / (omega * v) }) : { kind: "open" };
+    }
+    if (el.type === "C") return v > 0 && omega > 0 ? y({ re: 0, im: omega * v }) : { kind: "open" };
+    // AC: small-signal conductance at zero bias (DC replaces this via solveNewton)
+    if (el.type === "D") return y(C.real(diodeCompanion(el, 0).y));
+    return { kind: "open" };
+  };
+}
+
+/* ============================
+   Shared assembler for DC (omega = 0, real) and AC (complex) analysis
+   ============================ */
+function analyse(nodes, elements, { omega, field, ground }) {
+  let model = steadyStateModel(omega, field);
+  let sys;
+  let x;
+  let newton = null;
+
+  if (field === REAL) {
+    const res = solveNewton(nodes, elements, { model, ground });
+    if (!res) return null;
+    ({ sys, x, model, newton } = res);
+  } else {
+    sys = createSystem(nodes, elements, { ground, field, branchIds: branchElementIds(elements, model) });
+    stampElements(sys, elements, model);
+    x = sys.size ? field.solve(sys.A, sys.b) : [];
+    if (!x) return null;
+  }
+
+  return {
+    success: true,
+    refNode: sys.refNode,
+    nodeVoltages: sys.readVoltages(x),
+    branchCurrents: elementCurrents(sys, elements, model, x),
+    newton,
+    raw: { A: sys.A, b: sys.b, x, unknowns: sys.unknowns },
+  };
+}
+
+/* ============================
+   DC operating point
+   - inductors are shorts, capacitors are open, diodes are solved by Newton iteration
+   - returns null when the circuit is singular (floating node, loop of sources), or:
+       { success, refNode, nodeVoltages: {nodeId: V}, branchCurrents: {elementId: I},
+         newton: {iterations, converged, maxDelta}, raw: {A, b, x, unknowns} }
+     raw holds the last linearised system
+   ============================ */
+export function solveDC(nodes, elements, { ground } = {}) {
+  return analyse(nodes, elements, { omega: 0, field: REAL, ground });
+}
+
+/* ============================
+   AC steady state (phasor) at a single frequency
+   - same shape as solveDC but voltages/currents are { re, im } phasors (newton is null)
+   - diodes use their zero-bias small-signal conductance
+   ============================ */
+export function solveAC(nodes, elements, { freq = 50, ground } = {}) {
+  return analyse(nodes, elements, { omega: 2 * Math.PI * num(freq), field: COMPLEX, ground });
+}
+
+/* ============================
+   Thevenin / Norton equivalent seen from terminals (a, b) at DC
+   - Vth: open-circuit voltage V(a) - V(b)
+   - Rth: test-source method (independent sources zeroed, 1 A injected into a)
+   - In: short-circuit current Vth / Rth (Infinity for an ideal source)
+   ============================ */
+export function theveninEquivalent(nodes, elements, a, b, { ground } = {}) {
+  const open = solveDC(nodes, elements, { ground });
+  if (!open) return null;
+  const Vth = (open.nodeVoltages[String(a)] ?? 0) - (open.nodeVoltages[String(b)] ?? 0);
+
+  const zeroed = elements.map((el) => (el.type === "V" || el.type === "I" ? { ...el, value: 0 } : el));
+  zeroed.push({ id: "__test", type: "I", from: b, to: a, value: 1 });
+  const test = solveDC(nodes, zeroed, { ground });
+  if (!test) return null;
+  const Rth = (test.nodeVoltages[String(a)] ?? 0) - (test.nodeVoltages[String(b)] ?? 0);
+
+  return { Vth, Rth, In: Rth !== 0 ? Vth / Rth : Infinity };
+}
@@ -0,0 +1,135 @@
+// src/lib/circuit/mna.test.js
+import { describe, expect, it } from "vitest";
+import { solveLinearSystem, solveComplexLinear } from "./linear";
+import { solveAC, solveDC, theveninEquivalent } from "./mna";
+
+const R = (id, from, to, value) => ({ id, type: "R", from, to, value });
+const close = (z, re, im, digits = 9) => {
+  expect(z.re).toBeCloseTo(re, digits);
+  expect(z.im).toBeCloseTo(im, digits);
+};
+
+describe("linear solvers", () => {
+  it("solves a real system", () => {
+    // 2x + y = 5, x − y = 1 -> x = 2, y = 1
+    const x = solveLinearSystem([[2, 1], [1, -1]], [5, 1]);
+    expect(x[0]).toBeCloseTo(2, 12);
+    expect(x[1]).toBeCloseTo(1, 12);
+  });
+
+  it("solves a complex system", () => {
+    // j·z = 1 -> z = −j
+    const [z] = solveComplexLinear([[{ re: 0, im: 1 }]], [{ re: 1, im: 0 }]);
+    close(z, 0, -1);
+  });
+
+  it("returns null for a singular system", () => {
+    expect(solveLinearSystem([[1, 2], [2, 4]], [1, 2])).toBeNull();
+  });
+});
+
+describe("DC operating point", () => {
+  it("solves a voltage divider", () => {
+    // 10 V across 1 kΩ + 4 kΩ: V(mid) = 8 V, I = 2 mA
+    const elements = [{ id: "V1", type: "V", from: "in", to: "0", value: 10 }, R("R1", "in", "mid", 1000), R("R2", "mid", "0", 4000)];
+    const sol = solveDC(["in", "mid", "0"], elements, { ground: "0" });
+    expect(sol.nodeVoltages.in).toBeCloseTo(10, 9);
+    expect(sol.nodeVoltages.mid).toBeCloseTo(8, 9);
+    expect(sol.branchCurrents.R1).toBeCloseTo(0.002, 12);
+    expect(sol.branchCurrents.R2).toBeCloseTo(0.002, 12);
+    // through the source from + to −, i.e. against the delivered current
+    expect(sol.branchCurrents.V1).toBeCloseTo(-0.002, 12);
+  });
+
+  it("solves a current source into parallel resistors", () => {
+    // 3 mA into 1 kΩ ∥ 2 kΩ = 666.7 Ω: V = 2 V, 2 mA and 1 mA in the branches
+    const elements = [{ id: "I1", type: "I", from: "0", to: "n", value: 0.003 }, R("R1", "n", "0", 1000), R("R2", "n", "0", 2000)];
+    const sol = solveDC(["n", "0"], elements, { ground: "0" });
+    expect(sol.nodeVoltages.n).toBeCloseTo(2, 9);
+    expect(sol.branchCurrents.R1).toBeCloseTo(0.002, 12);
+    expect(sol.branchCurrents.R2).toBeCloseTo(0.001, 12);
+  });
+
+  it("shorts inductors and opens capacitors", () => {
+    const elements = [
+      { id: "V1", type: "V", from: "a", to: "0", value: 5 },
+      { id: "L1", type: "L", from: "a", to: "b", value: 0.1 },
+      R("R1", "b", "0", 100),
+      { id: "C1", type: "C", from: "b", to: "0", value: 1e-6 },
+    ];
+    const sol = solveDC(["a", "b", "0"], elements, { ground: "0" });
+    expect(sol.nodeVoltages.b).toBeCloseTo(5, 9);
+    expect(sol.branchCurrents.L1).toBeCloseTo(0.05, 12);
+    expect(sol.branchCurrents.C1).toBeCloseTo(0, 12);
+  });
+
+  it("returns null for a floating node", () => {
+    const elements = [{ id: "V1", type: "V", from: "a", to: "0", value: 5 }, { id: "C1", type: "C", from: "a", to: "b", value: 1e-6 }];
+    expect(solveDC(["a", "b", "0"], elements, { ground: "0" })).toBeNull();
+  });
+});
+
+describe("AC phasor analysis", () => {
+  it("solves an RC low-pass at its corner frequency", () => {
+    // 1 kΩ, 1 µF, f = 1 / 2πRC: V(out) = 1 / (1 + j) = 0.5 − j0.5, I = (0.5 + j0.5) mA
+    const f = 1 / (2 * Math.PI * 1000 * 1e-6);
+    const elements = [{ id: "V1", type: "V", from: "in", to: "0", value: 1 }, R("R1", "in", "out", 1000), { id: "C1", type: "C", from: "out", to: "0", value: 1e-6 }];
+    const sol = solveAC(["in", "out", "0"], elements, { freq: f, ground: "0" });
+    close(sol.nodeVoltages.out, 0.5, -0.5);
+    close(sol.branchCurrents.R1, 0.0005, 0.0005, 12);
+  });
+
+  it("solves an RL divider and honours the source phase", () => {
+    // 100 Ω and 0.1 H at ωL = 100 Ω, source 2∠90°: V(L) = 2j · j / (1 + j) = −1 + j
+    const f = 100 / (2 * Math.PI * 0.1);
+    const elements = [
+      { id: "V1", type: "V", from: "in", to: "0", value: 2, phase: 90 },
+      R("R1", "in", "x", 100),
+      { id: "L1", type: "L", from: "x", to: "0", value: 0.1 },
+    ];
+    const sol = solveAC(["in", "x", "0"], elements, { freq: f, ground: "0" });
+    close(sol.nodeVoltages.in, 0, 2);
+    close(sol.nodeVoltages.x, -1, 1);
+  });
+
+  it("cancels L and C at series resonance", () => {
+    // 10 mH and 1 µF resonate at 1.59 kHz: the whole source appears across R
+    const f = 1 / (2 * Math.PI * Math.sqrt(0.01 * 1e-6));
+    const elements = [
+      { id: "V1", type: "V", from: "a", to: "0", value: 1 },
+      { id: "L1", type: "L", from: "a", to: "b", value: 0.01 },
+      { id: "C1", type: "C", from: "b", to: "c", value: 1e-6 },
+      R("R1", "c", "0", 10),
+    ];
+    const sol = solveAC(["a", "b", "c", "0"], elements, { freq: f, ground: "0" });
+    close(sol.nodeVoltages.c, 1, 0);
+    close(sol.branchCurrents.R1, 0.1, 0);
+  });
+});
+
+describe("Thevenin / Norton equivalents", () => {
+  it("reduces a source behind a divider", () => {
+    // 12 V, 4 kΩ to a, 12 kΩ a–0: Vth = 9 V, Rth = 4k ∥ 12k = 3 kΩ, In = 3 mA
+    const elements = [{ id: "V1", type: "V", from: "s", to: "0", value: 12 }, R("R1", "s", "a", 4000), R("R2", "a", "0", 12000)];
+    const eq = theveninEquivalent(["s", "a", "0"], elements, "a", "0", { ground: "0" });
+    expect(eq.Vth).toBeCloseTo(9, 9);
+    expect(eq.Rth).toBeCloseTo(3000, 6);
+    expect(eq.In).toBeCloseTo(0.003, 12);
+  });
+
+  it("reduces a current source with series resistance", () => {
+    // 2 mA into 5 kΩ, 1 kΩ out to b: Vth = 10 V, Rth = 6 kΩ, In = 10 / 6k
+    const elements = [{ id: "I1", type: "I", from: "0", to: "a", value: 0.002 }, R("R1", "a", "0", 5000), R("R2", "a", "b", 1000)];
+    const eq = theveninEquivalent(["a", "b", "0"], elements, "b", "0", { ground: "0" });
+    expect(eq.Vth).toBeCloseTo(10, 9);
+    expect(eq.Rth).toBeCloseTo(6000, 6);
+    expect(eq.In).toBeCloseTo(10 / 6000, 12);
+  });
+
+  it("gives an infinite Norton current for an ideal source", () => {
+    const eq = theveninEquivalent(["a", "0"], [{ id: "V1", type: "V", from: "a", to: "0", value: 5 }], "a", "0", { ground: "0" });
+    expect(eq.Vth).toBeCloseTo(5, 12);
+    expect(eq.Rth).toBeCloseTo(0, 12);
+    expect(eq.In).toBe(Infinity);
+  });
+});
@@ -0,0 +1,116 @@
+// src/lib/circuit/netlist.js
+
+/* ===========================
+   Netlist model
+   A circuit is described by a list of node ids and a list of elements:
+     { id, type, from, to, value, phase?, ac?, wave?, gain?, ctrlFrom?, ctrlTo?, ctrl?, is?, n? }
+   type semantics (SI units throughout):
+     R: resistor, value in ohms (0 Ω is treated as an ideal wire)
+     L: inductor, value in henries
+     C: capacitor, value in farads
+     V: independent voltage source, value = V(from) - V(to)
+     I: independent current source, value flows from 'from' to 'to' through the source
+     E: VCVS,  V(from) - V(to) = gain * (V(ctrlFrom) - V(ctrlTo))
+     G: VCCS,  current from -> to = gain * (V(ctrlFrom) - V(ctrlTo))
+     H: CCVS,  V(from) - V(to) = gain * I(ctrl), ctrl = id of the controlling element
+     F: CCCS,  current from -> to = gain * I(ctrl)
+     D: diode, from = anode, to = cathode, Shockley model with optional `is` (A) and `n`
+   AC sources use `ac: { mag, phase }` when present, otherwise `value` and
+   `phase` (degrees) are taken as the phasor. Transient analysis drives
+   sources from `wave` (see transient.js) and falls back to `value`.
+   =========================== */
+
+export const GROUND_NAMES = ["0", "GND", "gnd", "Gnd"];
+
+export const ELEMENT_TYPES = ["R", "L", "C", "V", "I", "E", "F", "G", "H", "D"];
+
+/* ===========================
+   Collect every node id that appears in the node list or on an element
+   terminal, as strings, in first-seen order.
+   =========================== */
+export function collectNodes(nodes = [], elements = []) {
+  const seen = new Set();
+  const out = [];
+  const push = (n) => {
+    if (n == null) return;
+    const s = String(n);
+    if (seen.has(s)) return;
+    seen.add(s);
+    out.push(s);
+  };
+  nodes.forEach(push);
+  elements.forEach((el) => {
+    push(el.from);
+    push(el.to);
+  });
+  return out;
+}
+
+/* ===========================
+   Pick the reference node: an explicit '0'/'GND' if present, else the first node.
+   =========================== */
+export function pickGround(nodeIds) {
+  for (const name of GROUND_NAMES) {
+    if (nodeIds.includes(name)) return name;
+  }
+  return nodeIds[0] ?? null;
+}
+
+/* ===========================
+   Simple union-find for nets
+   =========================== */
+export function UnionFind() {
+  const parent = {};
+  function find(a) {
+    if (!(a in parent)) parent[a] = a;
+    if (parent[a] === a) return a;
+    parent[a] = find(parent[a]);
+    return parent[a];
+  }
+  function union(a, b) {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra === rb) return;
+    parent[rb] = ra;
+  }
+  return { find, union, parent };
+}
+
+/* ===========================
+   Build nets from schematic nodes and wires
+   nodes: array of node objects { id, pins? } — pins defaults to ["left", "right"]
+   wires: array of wires { id, from: { node, side }, to: { node, side } }
+   Returns:
+     nets: array of net objects { id (root pin key), pins: [{ nodeId, side, pin }] }
+     pinToNet: map `${node}:${side}` => net index
+   =========================== */
+export function buildNets(nodes, wires) {
+  const uf = UnionFind();
+  const pinsOf = (n) => n.pins ?? ["left", "right"];
+  // All pins are named like `${nodeId}:${side}`; each starts as its own set
+  nodes.forEach((n) => {
+    pinsOf(n).forEach((side) => uf.find(`${n.id}:${side}`));
+  });
+  wires.forEach((w) => {
+    uf.union(`${w.from.node}:${w.from.side}`, `${w.to.node}:${w.to.side}`);
+  });
+
+  // group pins by root
+  const groups = {};
+  Object.keys(uf.parent).forEach((pin) => {
+    const root = uf.find(pin);
+    if (!groups[root]) groups[root] = [];
+    const [nodeId, side] = pin.split(":");
+    groups[root].push({ nodeId, side, pin });
+  });
+
+  const nets = Object.keys(groups).map((r) => ({ id: r, pins: groups[r] }));
+  const pinToNet = {};
+  nets.forEach((net, i) => {
+    net.pins.forEach((p) => {
+      pinToNet[`${p.nodeId}:${p.side}`] = i;
+    });
+  });
+
+  return { nets, pinToNet };
+}
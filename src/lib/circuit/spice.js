@@ -0,0 +1,354 @@
+// src/lib/circuit/spice.js
+import { GROUND_NAMES } from "./netlist";
+
+/* ============================
+   SPICE deck import / export
+   Supports R, L, C, V and I cards, the controlled sources E, F, G, H,
+   diodes (D with a .model D(IS=.. N=..) line), SIN/PULSE source functions,
+   DC/AC source specs and the .op, .ac and .tran analysis lines.
+   Ground aliases (0, GND) are normalised to "0".
+   ============================ */
+
+const SUFFIXES = [
+  ["meg", 1e6],
+  ["mil", 25.4e-6],
+  ["t", 1e12],
+  ["g", 1e9],
+  ["k", 1e3],
+  ["m", 1e-3],
+  ["u", 1e-6],
+  ["µ", 1e-6],
+  ["n", 1e-9],
+  ["p", 1e-12],
+  ["f", 1e-15],
+];
+
+const SUPPORTED_CARDS = { R: "R", L: "L", C: "C", V: "V", I: "I", E: "E", F: "F", G: "G", H: "H", D: "D" };
+
+/* ============================
+   Values: "4.7k", "220u", "1meg", "10mA", "1e-6" -> number (NaN if unparsable)
+   Trailing unit letters after the scale suffix are ignored, as in SPICE.
+   ============================ */
+export function parseSpiceValue(token) {
+  if (token == null) return NaN;
+  const m = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-zµΩ]*)$/i.exec(String(token).trim());
+  if (!m) return NaN;
+  const base = Number(m[1]);
+  const tail = m[2].toLowerCase();
+  const hit = SUFFIXES.find(([s]) => tail.startsWith(s));
+  return hit ? base * hit[1] : base;
+}
+
+// number -> compact SPICE value ("4.7k", "220u", "1meg")
+export function formatSpiceValue(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return "0";
+  if (n === 0) return "0";
+  const scales = [
+    [1e12, "t"],
+    [1e9, "g"],
+    [1e6, "meg"],
+    [1e3, "k"],
+    [1, ""],
+    [1e-3, "m"],
+    [1e-6, "u"],
+    [1e-9, "n"],
+    [1e-12, "p"],
+    [1e-15, "f"],
+  ];
+  const abs = Math.abs(n);
+  const [scale, suffix] = scales.find(([s]) => abs >= s) ?? scales[scales.length - 1];
+  return `${Number((n / scale).toPrecision(6))}${suffix}`;
+}
+
+const normNode = (n) => (GROUND_NAMES.includes(n) ? "0" : n);
+
+// Join '+' continuation lines, strip comments, keep source line numbers
+function logicalLines(text) {
+  const out = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = raw.replace(/[;$].*$/, "").trim();
+      if (!line || line.startsWith("*")) return;
+      if (line.startsWith("+") && out.length) {
+        out[out.length - 1].text += ` ${line.slice(1).trim()}`;
+        return;
+      }
+      out.push({ text: line, line: i + 1 });
+    });
+  return out;
+}
+
+function parseFunction(rest, name) {
+  const re = new RegExp(`\\b${name}\\s*\\(([^)]*)\\)`, "i");
+  const m = re.exec(rest);
+  if (!m) return { args: null, rest };
+  const args = m[1].split(/[\s,]+/).filter(Boolean).map(parseSpiceValue);
+  return { args, rest: rest.replace(m[0], " ") };
+}
+
+// Source spec after the two nodes: [DC] v [AC mag [phase]] [SIN(...)|PULSE(...)]
+function parseSourceSpec(rest) {
+  let spec = rest;
+  let wave = null;
+  const sin = parseFunction(spec, "sin");
+  spec = sin.rest;
+  if (sin.args) {
+    const [offset = 0, amplitude = 0, freq = 0, delay = 0, , phase = 0] = sin.args;
+    wave = { shape: "sine", offset, amplitude, freq, delay, phase };
+  }
+  const pulse = parseFunction(spec, "pulse");
+  spec = pulse.rest;
+  if (pulse.args) {
+    const [v1 = 0, v2 = 0, delay = 0, rise = 0, fall = 0, width = 0, period = 0] = pulse.args;
+    wave = { shape: "pulse", v1, v2, delay, rise, fall, width, period };
+  }
+
+  const tokens = spec.split(/\s+/).filter(Boolean);
+  let dc = null;
+  let ac = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i].toLowerCase();
+    if (t === "dc") {
+      dc = parseSpiceValue(tokens[i + 1]);
+      i++;
+    } else if (t === "ac") {
+      const mag = parseSpiceValue(tokens[i + 1]);
+      const phase = parseSpiceValue(tokens[i + 2]);
+      ac = { mag: Number.isFinite(mag) ? mag : 1, phase: Number.isFinite(phase) ? phase : 0 };
+      i += Number.isFinite(phase) ? 2 : 1;
+    } else if (dc == null && Number.isFinite(parseSpiceValue(t))) {
+      dc = parseSpiceValue(t);
+    }
+  }
+  if (dc == null || !Number.isFinite(dc)) {
+    if (wave?.shape === "sine") dc = wave.offset;
+    else if (wave?.shape === "pulse") dc = wave.v1;
+    else dc = 0;
+  }
+  const out = { value: dc };
+  if (ac) out.ac = ac;
+  if (wave) out.wave = wave;
+  return out;
+}
+
+function parseAnalysis(tokens) {
+  const kind = tokens[0].toLowerCase();
+  if (kind === ".op") return { type: "op" };
+  if (kind === ".tran") {
+    const step = parseSpiceValue(tokens[1]);
+    const stop = parseSpiceValue(tokens[2]);
+    if (!Number.isFinite(step) || !Number.isFinite(stop)) throw new Error(".tran needs <tstep> <tstop>");
+    return { type: "tran", step, stop };
+  }
+  if (kind === ".ac") {
+    const sweep = (tokens[1] || "").toLowerCase();
+    const points = parseSpiceValue(tokens[2]);
+    const fstart = parseSpiceValue(tokens[3]);
+    const fstop = parseSpiceValue(tokens[4]);
+    if (!["dec", "oct", "lin"].includes(sweep) || ![points, fstart, fstop].every(Number.isFinite)) {
+      throw new Error(".ac needs dec|oct|lin <points> <fstart> <fstop>");
+    }
+    return { type: "ac", sweep, points, fstart, fstop };
+  }
+  return null;
+}
+
+// .model <name> D(IS=1e-14 N=1.8) -> { name, type, params: { is, n } }
+function parseModel(card) {
+  const m = /^\.model\s+(\S+)\s+(\w+)\s*\(?([^)]*)\)?/i.exec(card);
+  if (!m) throw new Error(".model needs <name> <type>(params)");
+  const params = {};
+  m[3].replace(/([a-z]+)\s*=\s*(\S+)/gi, (_, key, val) => {
+    params[key.toLowerCase()] = parseSpiceValue(val);
+    return "";
+  });
+  return { name: m[1], type: m[2].toUpperCase(), params };
+}
+
+function parseElementCard(tokens) {
+  const name = tokens[0];
+  const type = SUPPORTED_CARDS[name[0].toUpperCase()];
+  if (!type) throw new Error(`unsupported element "${name}"`);
+  if (tokens.length < 3) throw new Error(`${name}: expected two nodes`);
+  const from = normNode(tokens[1]);
+  const to = normNode(tokens[2]);
+  if (type === "V" || type === "I") {
+    return { id: name, name, type, from, to, ...parseSourceSpec(tokens.slice(3).join(" ")) };
+  }
+  if (type === "E" || type === "G") {
+    // Exxx n+ n- nc+ nc- gain
+    const gain = parseSpiceValue(tokens[5]);
+    if (tokens.length < 6 || !Number.isFinite(gain)) throw new Error(`${name}: expected n+ n- nc+ nc- gain`);
+    return { id: name, name, type, from, to, ctrlFrom: normNode(tokens[3]), ctrlTo: normNode(tokens[4]), gain };
+  }
+  if (type === "D") {
+    // Dxxx anode cathode [model]
+    return { id: name, name, type, from, to, model: tokens[3] ?? null };
+  }
+  if (type === "F" || type === "H") {
+    // Fxxx n+ n- Vcontrol gain
+    const gain = parseSpiceValue(tokens[4]);
+    if (tokens.length < 5 || !Number.isFinite(gain)) throw new Error(`${name}: expected n+ n- vcontrol gain`);
+    return { id: name, name, type, from, to, ctrl: tokens[3], gain };
+  }
+  const value = parseSpiceValue(tokens[3]);
+  if (!Number.isFinite(value)) throw new Error(`${name}: missing or invalid value`);
+  return { id: name, name, type, from, to, value };
+}
+
+/* ============================
+   parseSpice(text)
+   Returns { title, elements, analyses, errors: [{ line, message }] }.
+   As in SPICE the first line is always the title (a leading "*", as
+   written by toSpice, is dropped); cards start on the line after it.
+   ============================ */
+export function parseSpice(text) {
+  const raw = String(text).split(/\r?\n/);
+  const titleIndex = raw.findIndex((l) => l.trim());
+  const title = titleIndex < 0 ? "" : raw[titleIndex].trim().replace(/^\*\s*/, "");
+  const lines = logicalLines(text).filter(({ line }) => line > titleIndex + 1);
+  const elements = [];
+  const analyses = [];
+  const errors = [];
+  const models = {};
+
+  lines.forEach(({ text: card, line }) => {
+    const tokens = card.split(/\s+/);
+    if (card.startsWith(".")) {
+      const kind = tokens[0].toLowerCase();
+      if (kind === ".end") return;
+      try {
+        if (kind === ".model") {
+          const model = parseModel(card);
+          models[model.name.toLowerCase()] = model;
+          return;
+        }
+        const a = parseAnalysis(tokens);
+        if (a) analyses.push(a);
+        else errors.push({ line, message: `ignored ${tokens[0]}` });
+      } catch (err) {
+        errors.push({ line, message: err.message });
+      }
+      return;
+    }
+    try {
+      const el = parseElementCard(tokens);
+      if (elements.some((e) => e.id.toLowerCase() === el.id.toLowerCase())) {
+        throw new Error(`duplicate element name "${el.id}"`);
+      }
+      elements.push({ ...el, line });
+    } catch (err) {
+      errors.push({ line, message: err.message });
+    }
+  });
+
+  // F/H cards name their controlling source; resolve to its element id
+  const resolved = [];
+  elements.forEach(({ line, ...el }) => {
+    if (el.type === "F" || el.type === "H") {
+      const ctrl = elements.find((e) => e.id.toLowerCase() === el.ctrl.toLowerCase());
+      if (!ctrl) {
+        errors.push({ line, message: `${el.id}: unknown controlling source "${el.ctrl}"` });
+        return;
+      }
+      el.ctrl = ctrl.id;
+    }
+    if (el.type === "D") {
+      const { model: modelName, ...diode } = el;
+      const model = modelName ? models[modelName.toLowerCase()] : null;
+      if (modelName && model?.type !== "D") errors.push({ line, message: `${el.id}: unknown diode model "${modelName}", using defaults` });
+      if (Number.isFinite(model?.params.is)) diode.is = model.params.is;
+      if (Number.isFinite(model?.params.n)) diode.n = model.params.n;
+      resolved.push(diode);
+      return;
+    }
+    resolved.push(el);
+  });
+  errors.sort((a, b) => a.line - b.line);
+
+  return { title, elements: resolved, analyses, errors };
+}
+
+/* ============================
+   toSpice({ title, elements, analyses })
+   Elements use the netlist model (see netlist.js); "0" must be the ground node.
+   Names are taken from el.name / el.id and prefixed with the card letter if needed.
+   ============================ */
+function spiceName(el, used) {
+  const base = String(el.name || el.id || el.type).replace(/[^A-Za-z0-9_]/g, "_");
+  const stem = base[0]?.toUpperCase() === el.type ? base : `${el.type}${base}`;
+  let name = stem;
+  let k = 2;
+  while (used.has(name.toLowerCase())) name = `${stem}_${k++}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function sourceCard(el) {
+  const parts = [`DC ${formatSpiceValue(el.dc ?? el.value)}`];
+  if (el.ac) parts.push(`AC ${formatSpiceValue(el.ac.mag)} ${formatSpiceValue(el.ac.phase)}`);
+  const w = el.wave;
+  if (w?.shape === "sine") {
+    parts.push(`SIN(${[w.offset, w.amplitude, w.freq, w.delay, 0, w.phase].map(formatSpiceValue).join(" ")})`);
+  } else if (w?.shape === "pulse") {
+    parts.push(`PULSE(${[w.v1, w.v2, w.delay, w.rise, w.fall, w.width, w.period].map(formatSpiceValue).join(" ")})`);
+  } else if (w?.shape === "step") {
+    // a step is a single pulse that never falls
+    parts.push(`PULSE(${[w.v0, w.v1, w.delay, 1e-9, 1e-9, 1e9].map(formatSpiceValue).join(" ")})`);
+  }
+  return parts.join(" ");
+}
+
+export function toSpice({ title = "SparkLab circuit", elements = [], analyses = [] } = {}) {
+  const used = new Set();
+  const lines = [`* ${title}`];
+  // F/H without a controlling element cannot be written as a card
+  const exported = elements.filter(
+    (el) => SUPPORTED_CARDS[el.type] && (!["F", "H"].includes(el.type) || elements.some((c) => c.id === el.ctrl && SUPPORTED_CARDS[c.type]))
+  );
+  const names = new Map(exported.map((el) => [el.id, spiceName(el, used)]));
+
+  // F/H must be controlled by a voltage source: other controlling elements get a 0 V sense source in series
+  const sensed = new Map();
+  const models = [];
+  exported.forEach((el) => {
+    if (el.type !== "F" && el.type !== "H") return;
+    const ctrl = exported.find((e) => e.id === el.ctrl);
+    if (!ctrl || ctrl.type === "V" || sensed.has(ctrl.id)) return;
+    const node = `${names.get(ctrl.id)}_sense`;
+    const sense = spiceName({ type: "V", name: `Vsense_${names.get(ctrl.id)}` }, used);
+    sensed.set(ctrl.id, { node, sense });
+  });
+
+  exported.forEach((el) => {
+    const sense = sensed.get(el.id);
+    const from = sense ? sense.node : el.from;
+    const head = `${names.get(el.id)} ${from} ${el.to}`;
+    if (sense) lines.push(`${sense.sense} ${el.from} ${sense.node} DC 0`);
+    if (el.type === "V" || el.type === "I") lines.push(`${head} ${sourceCard(el)}`);
+    else if (el.type === "E" || el.type === "G") lines.push(`${head} ${el.ctrlFrom} ${el.ctrlTo} ${formatSpiceValue(el.gain)}`);
+    else if (el.type === "F" || el.type === "H") {
+      const ctrl = sensed.get(el.ctrl)?.sense ?? names.get(el.ctrl);
+      lines.push(`${head} ${ctrl} ${formatSpiceValue(el.gain)}`);
+    } else if (el.type === "D") {
+      const model = `${names.get(el.id)}_model`;
+      lines.push(`${head} ${model}`);
+      const params = [];
+      if (el.is != null) params.push(`IS=${formatSpiceValue(el.is)}`);
+      if (el.n != null) params.push(`N=${formatSpiceValue(el.n)}`);
+      models.push(`.model ${model} D(${params.join(" ")})`);
+    } else lines.push(`${head} ${formatSpiceValue(el.value)}`);
+  });
+  lines.push(...models);
+  analyses.forEach((a) => {
+    if (a.type === "op") lines.push(".op");
+    else if (a.type === "tran") lines.push(`.tran ${formatSpiceValue(a.step)} ${formatSpiceValue(a.stop)}`);
+    else if (a.type === "ac") {
+      lines.push(`.ac ${a.sweep} ${a.points} ${formatSpiceValue(a.fstart)} ${formatSpiceValue(a.fstop)}`);
+    }
+  });
+  lines.push(".end");
+  return `${lines.join("\n")}\n`;
+}
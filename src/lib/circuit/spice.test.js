@@ -0,0 +1,43 @@
+// src/lib/circuit/spice.test.js
+import { describe, expect, it } from "vitest";
+import { parseSpice, parseSpiceValue, toSpice } from "./spice";
+
+describe("parseSpiceValue", () => {
+  it("reads engineering suffixes", () => {
+    expect(parseSpiceValue("1k")).toBe(1000);
+    expect(parseSpiceValue("2.2MEG")).toBeCloseTo(2.2e6, 6);
+    expect(parseSpiceValue("100n")).toBeCloseTo(1e-7, 18);
+    expect(parseSpiceValue("4.7uF")).toBeCloseTo(4.7e-6, 15);
+  });
+});
+
+describe("parseSpice", () => {
+  it("always takes the first line as the title", () => {
+    // "Low pass filter 1k" would also parse as an inductor card "Low"
+    const deck = parseSpice("Low pass filter 1k\nV1 in 0 DC 1\nR1 in out 1k\nC1 out 0 1u\n.end");
+    expect(deck.title).toBe("Low pass filter 1k");
+    expect(deck.elements.map((e) => e.id)).toEqual(["V1", "R1", "C1"]);
+    expect(deck.errors).toEqual([]);
+  });
+
+  it("reports card errors with their source line", () => {
+    const deck = parseSpice("\n* title\nR1 a 0 1k\nR2 a\n");
+    expect(deck.title).toBe("title");
+    expect(deck.elements).toHaveLength(1);
+    expect(deck.errors.map((e) => e.line)).toEqual([4]);
+  });
+
+  it("reads back what toSpice writes", () => {
+    const elements = [
+      { id: "V1", type: "V", from: "in", to: "0", value: 5 },
+      { id: "R1", type: "R", from: "in", to: "out", value: 4700 },
+      { id: "C1", type: "C", from: "out", to: "0", value: 1e-7 },
+    ];
+    const deck = parseSpice(toSpice({ title: "Round trip", elements }));
+    expect(deck.title).toBe("Round trip");
+    expect(deck.errors).toEqual([]);
+    const pins = ({ id, type, from, to }) => ({ id, type, from, to });
+    expect(deck.elements.map(pins)).toEqual(elements.map(pins));
+    deck.elements.forEach((el, i) => expect(el.value / elements[i].value).toBeCloseTo(1, 12));
+  });
+});
@@ -0,0 +1,96 @@
+// src/lib/circuit/sweep.js
+import { C } from "./complex";
+import { solveAC } from "./mna";
+
+/* ============================
+   AC frequency sweep
+   - frequency grids follow SPICE .ac: "dec" / "oct" = points per decade / octave, "lin" = total points
+   - transfer function H(f) = V(output) / V(input), each a node pair [plus, minus]
+   ============================ */
+export const MAX_SWEEP_POINTS = 2000;
+
+const num = (v, d = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+export function sweepFrequencies({ sweep = "dec", points = 20, fstart = 10, fstop = 1e5 } = {}) {
+  const f1 = num(fstart);
+  const f2 = num(fstop);
+  const n = Math.max(1, Math.round(num(points, 1)));
+  if (!(f1 > 0) || !(f2 >= f1)) return [];
+  if (f1 === f2) return [f1];
+
+  if (sweep === "lin") {
+    const count = Math.min(MAX_SWEEP_POINTS, Math.max(2, n));
+    return Array.from({ length: count }, (_, i) => f1 + ((f2 - f1) * i) / (count - 1));
+  }
+  const base = sweep === "oct" ? 2 : 10;
+  const span = Math.log(f2 / f1) / Math.log(base);
+  const count = Math.min(MAX_SWEEP_POINTS, Math.max(2, Math.ceil(span * n) + 1));
+  return Array.from({ length: count }, (_, i) => f1 * (f2 / f1) ** (i / (count - 1)));
+}
+
+const pairVoltage = (V, [p, m = null]) => C.sub(V[String(p)] ?? C.zero(), m == null ? C.zero() : V[String(m)] ?? C.zero());
+
+/* ============================
+   transferSweep(nodes, elements, { freqs, input, output, ground })
+   Returns [{ f, H, mag, magdB, phase }] with phase in degrees, unwrapped along the sweep.
+   Frequencies where the circuit is singular or the input is zero are left out.
+   ============================ */
+export function transferSweep(nodes, elements, { freqs = [], input, output, ground } = {}) {
+  const out = [];
+  let prevPhase = null;
+  freqs.forEach((f) => {
+    const sol = solveAC(nodes, elements, { freq: f, ground });
+    if (!sol) return;
+    const vin = pairVoltage(sol.nodeVoltages, input);
+    if (C.isZero(vin, 1e-15)) return;
+    const H = C.div(pairVoltage(sol.nodeVoltages, output), vin);
+    const mag = C.abs(H);
+    let phase = C.argDeg(H);
+    if (prevPhase != null) phase -= 360 * Math.round((phase - prevPhase) / 360);
+    prevPhase = phase;
+    out.push({ f, H, mag, magdB: 20 * Math.log10(Math.max(1e-30, mag)), phase });
+  });
+  return out;
+}
+
+/* ============================
+   Bode markers for a transferSweep result
+   - peak: the largest |H|; the -3 dB level is taken relative to it
+   - cutoffs: frequencies where |H| crosses peak - 3 dB (log-interpolated)
+   - resonance: an interior peak or notch of |H| (band-pass / band-stop), else null
+   ============================ */
+export function bodeMarkers(data = []) {
+  if (data.length === 0) return { peak: null, level3dB: null, cutoffs: [], resonance: null };
+  let iMax = 0;
+  let iMin = 0;
+  data.forEach((d, i) => {
+    if (d.magdB > data[iMax].magdB) iMax = i;
+    if (d.magdB < data[iMin].magdB) iMin = i;
+  });
+  const level3dB = data[iMax].magdB - 3;
+
+  const cutoffs = [];
+  for (let i = 1; i < data.length; i++) {
+    const a = data[i - 1];
+    const b = data[i];
+    if ((a.magdB - level3dB) * (b.magdB - level3dB) < 0) {
+      const t = (level3dB - a.magdB) / (b.magdB - a.magdB);
+      cutoffs.push(a.f * (b.f / a.f) ** t);
+    }
+  }
+
+  const first = data[0].magdB;
+  const last = data[data.length - 1].magdB;
+  const interior = (i) => i > 0 && i < data.length - 1;
+  let resonance = null;
+  if (interior(iMax) && data[iMax].magdB - Math.max(first, last) > 0.1) {
+    resonance = { f: data[iMax].f, magdB: data[iMax].magdB, kind: "peak" };
+  } else if (interior(iMin) && Math.min(first, last) - data[iMin].magdB > 3) {
+    resonance = { f: data[iMin].f, magdB: data[iMin].magdB, kind: "notch" };
+  }
+
+  return { peak: { f: data[iMax].f, magdB: data[iMax].magdB }, level3dB, cutoffs, resonance };
+}
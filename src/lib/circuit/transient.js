@@ -0,0 +1,148 @@
+// src/lib/circuit/transient.js
+import { elementCurrents, solveNewton } from "./mna";
+
+/* ============================
+   Source waveforms for time-domain analysis (SPICE-like)
+     { shape: "dc",    value }
+     { shape: "step",  v0, v1, delay }                                   v0 before delay, v1 after
+     { shape: "pulse", v1, v2, delay, rise, fall, width, period }         SPICE PULSE(v1 v2 td tr tf pw per)
+     { shape: "sine",  offset, amplitude, freq, phase, delay }            SPICE SIN(vo va freq td), phase in degrees
+   A source without a `wave` holds its DC `value`.
+   ============================ */
+export const WAVE_SHAPES = ["dc", "step", "pulse", "sine"];
+
+const num = (v, d = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+export function waveformAt(wave, t) {
+  if (!wave) return 0;
+  const delay = num(wave.delay);
+  switch (wave.shape) {
+    case "step":
+      return t < delay ? num(wave.v0) : num(wave.v1);
+    case "pulse": {
+      const v1 = num(wave.v1);
+      const v2 = num(wave.v2);
+      if (t < delay) return v1;
+      const rise = Math.max(num(wave.rise), 1e-12);
+      const fall = Math.max(num(wave.fall), 1e-12);
+      const width = num(wave.width);
+      const period = num(wave.period);
+      let tp = t - delay;
+      if (period > 0) tp %= period;
+      if (tp < rise) return v1 + ((v2 - v1) * tp) / rise;
+      if (tp < rise + width) return v2;
+      if (tp < rise + width + fall) return v2 + ((v1 - v2) * (tp - rise - width)) / fall;
+      return v1;
+    }
+    case "sine": {
+      const offset = num(wave.offset);
+      const phase = (num(wave.phase) * Math.PI) / 180;
+      if (t < delay) return offset + num(wave.amplitude) * Math.sin(phase);
+      return offset + num(wave.amplitude) * Math.sin(2 * Math.PI * num(wave.freq) * (t - delay) + phase);
+    }
+    case "dc":
+    default:
+      return num(wave.value);
+  }
+}
+
+function sourceAt(el, t) {
+  return el.wave ? waveformAt(el.wave, t) : num(el.value);
+}
+
+/* ============================
+   Transient analysis
+   - integrates the netlist from t = 0 to stopTime with a fixed timestep
+   - capacitors and inductors are replaced by companion models (conductance + current source)
+     using backward Euler ("be") or trapezoidal ("trap") integration
+   - initial state is all capacitors discharged and all inductors de-energised (switch-on at t = 0)
+   - diodes are solved by Newton iteration at every step, starting from the previous step's voltages
+   - returns null when the circuit is singular at any step, or:
+       { success, refNode, time: [t], nodeVoltages: {nodeId: [V]}, branchCurrents: {elementId: [I]},
+         newton: {maxIterations, totalIterations, failedSteps} }
+   ============================ */
+export const MAX_TRANSIENT_STEPS = 20000;
+
+// conductance used to pin capacitor voltages while solving the t = 0 point
+const G_HOLD = 1e9;
+
+export function solveTransient(nodes, elements, { stopTime = 0.01, timestep = 1e-5, method = "trap", ground } = {}) {
+  const h = num(timestep);
+  const tStop = num(stopTime);
+  if (!(h > 0) || !(tStop > 0)) return null;
+  const steps = Math.min(MAX_TRANSIENT_STEPS, Math.ceil(tStop / h));
+  const trap = method === "trap";
+
+  const isShort = (el) => (el.type === "R" || el.type === "L") && num(el.value) === 0;
+
+  // companion state per reactive element: voltage across it and current through it (from -> to)
+  const state = {};
+  elements.forEach((el) => {
+    if ((el.type === "C" || el.type === "L") && !isShort(el)) state[el.id] = { v: 0, i: 0 };
+  });
+
+  // element model at step n (see mna.js); controlled sources are handled by stampElements
+  const modelAt = (n, t) => (el) => {
+    const value = num(el.value);
+    if (el.type === "V") return { kind: "vsrc", value: sourceAt(el, t) };
+    if (el.type === "I") return { kind: "isrc", value: sourceAt(el, t) };
+    if (isShort(el)) return { kind: "vsrc", value: 0 };
+    if (el.type === "R") return value > 0 ? { kind: "y", y: 1 / value } : { kind: "open" };
+    if (el.type === "C" && value > 0) {
+      // i = G v - Ieq; at t = 0 the capacitor is held at its initial voltage
+      const s = state[el.id];
+      const G = n === 0 ? G_HOLD : (trap ? 2 : 1) * (value / h);
+      const Ieq = trap && n > 0 ? G * s.v + s.i : G * s.v;
+      return { kind: "y", y: G, ieq: -Ieq };
+    }
+    if (el.type === "L" && value > 0) {
+      // i = G v + Ieq; at t = 0 the inductor carries its initial current
+      const s = state[el.id];
+      const G = n === 0 ? 0 : h / ((trap ? 2 : 1) * value);
+      const Ieq = trap && n > 0 ? s.i + G * s.v : s.i;
+      return { kind: "y", y: G, ieq: Ieq };
+    }
+    return { kind: "open" };
+  };
+
+  const time = [];
+  const nodeVoltages = {};
+  const branchCurrents = {};
+  elements.forEach((el) => {
+    branchCurrents[el.id] = [];
+  });
+  let refNode = null;
+  let junctions = {};
+  const newton = { maxIterations: 0, totalIterations: 0, failedSteps: 0 };
+
+  for (let n = 0; n <= steps; n++) {
+    const t = n * h;
+    const res = solveNewton(nodes, elements, { model: modelAt(n, t), ground, guess: junctions });
+    if (!res) return null;
+    const { sys, x, model } = res;
+    refNode = sys.refNode;
+    junctions = res.junctions;
+    newton.maxIterations = Math.max(newton.maxIterations, res.newton.iterations);
+    newton.totalIterations += res.newton.iterations;
+    if (!res.newton.converged) newton.failedSteps++;
+
+    const V = sys.readVoltages(x);
+    const I = elementCurrents(sys, elements, model, x);
+
+    time.push(t);
+    Object.keys(V).forEach((nid) => {
+      if (!nodeVoltages[nid]) nodeVoltages[nid] = [];
+      nodeVoltages[nid].push(V[nid]);
+    });
+
+    elements.forEach((el) => {
+      if (state[el.id]) state[el.id] = { v: (V[String(el.from)] ?? 0) - (V[String(el.to)] ?? 0), i: I[el.id] };
+      branchCurrents[el.id].push(I[el.id]);
+    });
+  }
+
+  return { success: true, refNode, time, nodeVoltages, branchCurrents, newton };
+}
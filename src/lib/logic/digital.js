@@ -0,0 +1,223 @@
+// src/lib/logic/digital.js
+import { evalGate } from "./gates";
+
+/* ============================
+   Event-driven digital simulation
+   Circuit model:
+     {
+       parts: [{ id, type, label, x, y, props }],
+       wires: [{ id, from: { part, pin }, to: { part, pin } }]   // output pin -> input pin
+     }
+   - one step = one clock tick: sources update, then changes propagate in waves
+     (every part scheduled in a wave sees the same net values, so flip-flops sharing
+     a clock edge sample their inputs before any of them switches)
+   - a step that has not settled after MAX_SETTLE_WAVES waves is reported as oscillating
+   - unconnected inputs read 0
+   ============================ */
+export const MAX_SETTLE_WAVES = 256;
+
+export const DIGITAL_PARTS = {
+  SWITCH: { label: "Switch", prefix: "SW", inputs: [], outputs: ["Y"] },
+  CLOCK: { label: "Clock", prefix: "CLK", inputs: [], outputs: ["Y"] },
+  LED: { label: "LED", prefix: "LED", inputs: ["A"], outputs: [] },
+  AND: { label: "AND", prefix: "G", inputs: ["A", "B"], outputs: ["Y"] },
+  OR: { label: "OR", prefix: "G", inputs: ["A", "B"], outputs: ["Y"] },
+  XOR: { label: "XOR", prefix: "G", inputs: ["A", "B"], outputs: ["Y"] },
+  NAND: { label: "NAND", prefix: "G", inputs: ["A", "B"], outputs: ["Y"] },
+  NOR: { label: "NOR", prefix: "G", inputs: ["A", "B"], outputs: ["Y"] },
+  XNOR: { label: "XNOR", prefix: "G", inputs: ["A", "B"], outputs: ["Y"] },
+  NOT: { label: "NOT", prefix: "G", inputs: ["A"], outputs: ["Y"] },
+  DFF: { label: "D flip-flop", prefix: "D", inputs: ["D", "CLK"], outputs: ["Q", "Qn"], sequential: true },
+  JKFF: { label: "JK flip-flop", prefix: "JK", inputs: ["J", "K", "CLK"], outputs: ["Q", "Qn"], sequential: true },
+  TFF: { label: "T flip-flop", prefix: "T", inputs: ["T", "CLK"], outputs: ["Q", "Qn"], sequential: true },
+  COUNTER: { label: "4-bit counter", prefix: "CNT", inputs: ["CLK", "RST"], outputs: ["Q0", "Q1", "Q2", "Q3"], sequential: true },
+};
+
+// SWITCH.on: 0|1; CLOCK.half: ticks per half period
+export const DEFAULT_PART_PROPS = { SWITCH: { on: 0 }, CLOCK: { half: 2 } };
+
+export const pinKey = (part, pin) => `${part}.${pin}`;
+
+// next free label for a part type: SW1, SW2, G1 ...
+export function nextPartLabel(parts, type) {
+  const prefix = DIGITAL_PARTS[type]?.prefix ?? type;
+  const used = new Set(parts.map((p) => p.label));
+  let n = 1;
+  while (used.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
+
+function connectivity(circuit) {
+  const driver = {}; // input pin key -> output pin key
+  const fanout = {}; // output pin key -> [part ids]
+  circuit.wires.forEach((w) => {
+    const out = pinKey(w.from.part, w.from.pin);
+    driver[pinKey(w.to.part, w.to.pin)] = out;
+    (fanout[out] ??= []).push(w.to.part);
+  });
+  return { driver, fanout };
+}
+
+/* ============================
+   findCombinationalLoops(circuit) -> [[partId, ...], ...]
+   Strongly connected groups of gates (flip-flops and counters break a loop).
+   ============================ */
+export function findCombinationalLoops(circuit) {
+  const combinational = new Set(circuit.parts.filter((p) => DIGITAL_PARTS[p.type] && !DIGITAL_PARTS[p.type].sequential).map((p) => p.id));
+  const adj = {};
+  circuit.wires.forEach((w) => {
+    if (combinational.has(w.from.part) && combinational.has(w.to.part)) (adj[w.from.part] ??= []).push(w.to.part);
+  });
+
+  // Tarjan's strongly connected components
+  let index = 0;
+  const idx = {};
+  const low = {};
+  const stack = [];
+  const onStack = new Set();
+  const loops = [];
+  const visit = (v) => {
+    idx[v] = low[v] = index++;
+    stack.push(v);
+    onStack.add(v);
+    (adj[v] ?? []).forEach((w) => {
+      if (!(w in idx)) {
+        visit(w);
+        low[v] = Math.min(low[v], low[w]);
+      } else if (onStack.has(w)) {
+        low[v] = Math.min(low[v], idx[w]);
+      }
+    });
+    if (low[v] === idx[v]) {
+      const group = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        group.push(w);
+      } while (w !== v);
+      if (group.length > 1 || (adj[v] ?? []).includes(v)) loops.push(group.reverse());
+    }
+  };
+  combinational.forEach((v) => {
+    if (!(v in idx)) visit(v);
+  });
+  return loops;
+}
+
+export function createDigitalState() {
+  return { tick: 0, nets: {}, parts: {}, oscillating: false, waves: 0 };
+}
+
+// a part seen for the first time (or the power-on settle) records its clock without an edge
+const rising = (mem, clk) => {
+  const edge = clk === 1 && mem.lastClk === 0;
+  mem.lastClk = clk;
+  return edge;
+};
+
+// outputs of one part for the current net values; mem is the part's private state
+function evaluatePart(part, read, mem, tick) {
+  const q = () => ({ Q: mem.q, Qn: mem.q ? 0 : 1 });
+  switch (part.type) {
+    case "SWITCH":
+      return { Y: part.props?.on ? 1 : 0 };
+    case "CLOCK": {
+      const half = Math.max(1, Math.round(Number(part.props?.half) || 1));
+      return { Y: Math.floor(tick / half) % 2 };
+    }
+    case "LED":
+      return {};
+    case "DFF":
+      if (rising(mem, read("CLK"))) mem.q = read("D");
+      return q();
+    case "JKFF": {
+      if (rising(mem, read("CLK"))) {
+        const j = read("J");
+        const k = read("K");
+        if (j && k) mem.q = mem.q ? 0 : 1;
+        else if (j) mem.q = 1;
+        else if (k) mem.q = 0;
+      }
+      return q();
+    }
+    case "TFF":
+      if (rising(mem, read("CLK")) && read("T")) mem.q = mem.q ? 0 : 1;
+      return q();
+    case "COUNTER": {
+      const edge = rising(mem, read("CLK"));
+      // asynchronous, active-high reset
+      if (read("RST")) mem.count = 0;
+      else if (edge) mem.count = (mem.count + 1) % 16;
+      return { Q0: mem.count & 1, Q1: (mem.count >> 1) & 1, Q2: (mem.count >> 2) & 1, Q3: (mem.count >> 3) & 1 };
+    }
+    default:
+      return { Y: evalGate(part.type, DIGITAL_PARTS[part.type].inputs.map(read)) };
+  }
+}
+
+/* ============================
+   stepDigital(circuit, state, { advance = true })
+   advance: move the clock one tick; pass false to re-settle after an edit or a switch toggle.
+   Returns a new state { tick, nets, parts, oscillating, waves }.
+   ============================ */
+export function stepDigital(circuit, state = createDigitalState(), { advance = true } = {}) {
+  const tick = state.tick + (advance ? 1 : 0);
+  const nets = { ...state.nets };
+  const mem = {};
+  circuit.parts.forEach((p) => {
+    mem[p.id] = { q: 0, count: 0, lastClk: null, ...(state.parts[p.id] ?? {}) };
+  });
+  const { driver, fanout } = connectivity(circuit);
+  const powerOn = Object.keys(state.nets).length === 0;
+  const byId = new Map(circuit.parts.map((p) => [p.id, p]));
+
+  // every part is evaluated in the first wave, so edits and new parts take effect
+  let scheduled = new Set(circuit.parts.map((p) => p.id));
+  let waves = 0;
+  while (scheduled.size && waves < MAX_SETTLE_WAVES) {
+    waves++;
+    const changes = [];
+    scheduled.forEach((id) => {
+      const part = byId.get(id);
+      if (!part || !DIGITAL_PARTS[part.type]) return;
+      const read = (pin) => nets[driver[pinKey(id, pin)]] ?? 0;
+      // during the power-on settle nets are still filling in, so clock edges are not edges yet
+      if (powerOn) mem[id].lastClk = null;
+      Object.entries(evaluatePart(part, read, mem[id], tick)).forEach(([pin, v]) => {
+        const key = pinKey(id, pin);
+        if (nets[key] !== v) changes.push([key, v]);
+      });
+    });
+    scheduled = new Set();
+    changes.forEach(([key, v]) => {
+      nets[key] = v;
+      (fanout[key] ?? []).forEach((p) => scheduled.add(p));
+    });
+  }
+
+  return { tick, nets, parts: mem, oscillating: scheduled.size > 0, waves };
+}
+
+// value seen at an input pin (e.g. an LED)
+export function digitalInput(circuit, state, partId, pin) {
+  const w = circuit.wires.find((x) => x.to.part === partId && x.to.pin === pin);
+  return w ? state.nets[pinKey(w.from.part, w.from.pin)] ?? 0 : 0;
+}
+
+/* ============================
+   digitalProbes(circuit, state) -> { "SW1": 0, "CNT1.Q0": 1, "LED1": 1, ... }
+   Sources, LEDs and sequential outputs — the signals a timing diagram shows.
+   ============================ */
+export function digitalProbes(circuit, state) {
+  const probes = {};
+  circuit.parts.forEach((p) => {
+    const def = DIGITAL_PARTS[p.type];
+    if (!def) return;
+    if (p.type === "LED") probes[p.label] = digitalInput(circuit, state, p.id, "A");
+    else if (p.type === "SWITCH" || p.type === "CLOCK") probes[p.label] = state.nets[pinKey(p.id, "Y")] ?? 0;
+    else if (p.type === "COUNTER") def.outputs.forEach((pin) => (probes[`${p.label}.${pin}`] = state.nets[pinKey(p.id, pin)] ?? 0));
+    else if (def.sequential) probes[`${p.label}.Q`] = state.nets[pinKey(p.id, "Q")] ?? 0;
+  });
+  return probes;
+}
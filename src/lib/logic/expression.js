@@ -0,0 +1,177 @@
+// src/lib/logic/expression.js
+
+/* ============================
+   Boolean expressions
+   - grammar (lowest to highest precedence, as in C):
+       expr := xor ( ("|" | "+" | "||" | OR) xor )*
+       xor  := and ( ("^" | XOR) and )*
+       and  := not ( ("&" | "*" | "·" | "&&" | AND)? not )*   (juxtaposition is AND: A'B, A (B + C))
+       not  := ("!" | "~" | "¬" | NOT) not | atom "'"*
+       atom := identifier | 0 | 1 | "(" expr ")"
+   - an optional "Y =" prefix names the output
+   - AST nodes: { op: "var", name } | { op: "const", value } | { op: "not", arg }
+     | { op: "and" | "or" | "xor", args: [left, right] }
+   ============================ */
+export const MAX_EXPRESSION_INPUTS = 8;
+
+const KEYWORDS = { AND: "and", OR: "or", XOR: "xor", NOT: "not" };
+
+const SYMBOLS = [
+  ["||", "or"],
+  ["&&", "and"],
+  ["|", "or"],
+  ["+", "or"],
+  ["^", "xor"],
+  ["&", "and"],
+  ["*", "and"],
+  ["·", "and"],
+  ["!", "not"],
+  ["~", "not"],
+  ["¬", "not"],
+  ["'", "prime"],
+  ["(", "("],
+  [")", ")"],
+];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+    if (word) {
+      const kw = KEYWORDS[word[0].toUpperCase()];
+      tokens.push(kw ? { type: kw, pos: i } : { type: "var", name: word[0], pos: i });
+      i += word[0].length;
+      continue;
+    }
+    if (ch === "0" || ch === "1") {
+      tokens.push({ type: "const", value: Number(ch), pos: i });
+      i++;
+      continue;
+    }
+    const sym = SYMBOLS.find(([s]) => text.startsWith(s, i));
+    if (!sym) throw new Error(`unexpected "${ch}" at position ${i + 1}`);
+    tokens.push({ type: sym[1], pos: i });
+    i += sym[0].length;
+  }
+  return tokens;
+}
+
+function parseTokens(tokens) {
+  let k = 0;
+  const peek = () => tokens[k];
+  const where = () => (peek() ? `at position ${peek().pos + 1}` : "at the end");
+
+  const binary = (op, next) => () => {
+    let left = next();
+    while (peek()?.type === op) {
+      k++;
+      left = { op, args: [left, next()] };
+    }
+    return left;
+  };
+
+  const atom = () => {
+    const t = peek();
+    if (!t) throw new Error("expression ends unexpectedly");
+    if (t.type === "var") {
+      k++;
+      return { op: "var", name: t.name };
+    }
+    if (t.type === "const") {
+      k++;
+      return { op: "const", value: t.value };
+    }
+    if (t.type === "(") {
+      k++;
+      const inner = orExpr();
+      if (peek()?.type !== ")") throw new Error(`missing ")" ${where()}`);
+      k++;
+      return inner;
+    }
+    throw new Error(`unexpected "${t.type}" ${where()}`);
+  };
+
+  const notExpr = () => {
+    if (peek()?.type === "not") {
+      k++;
+      return { op: "not", arg: notExpr() };
+    }
+    let node = atom();
+    while (peek()?.type === "prime") {
+      k++;
+      node = { op: "not", arg: node };
+    }
+    return node;
+  };
+
+  // an operand directly after another one is an implicit AND
+  const startsOperand = (t) => t && (t.type === "var" || t.type === "const" || t.type === "(" || t.type === "not");
+  const andExpr = () => {
+    let left = notExpr();
+    while (peek()?.type === "and" || startsOperand(peek())) {
+      if (peek().type === "and") k++;
+      left = { op: "and", args: [left, notExpr()] };
+    }
+    return left;
+  };
+  const xorExpr = binary("xor", andExpr);
+  const orExpr = binary("or", xorExpr);
+
+  const ast = orExpr();
+  if (k < tokens.length) throw new Error(`unexpected "${peek().type === "var" ? peek().name : peek().type}" ${where()}`);
+  return ast;
+}
+
+// variable names in order of first appearance
+export function expressionVariables(ast) {
+  const names = [];
+  const walk = (node) => {
+    if (node.op === "var") {
+      if (!names.includes(node.name)) names.push(node.name);
+    } else if (node.op === "not") walk(node.arg);
+    else if (node.args) node.args.forEach(walk);
+  };
+  walk(ast);
+  return names;
+}
+
+/* ============================
+   parseExpression("Y = (A & !B) | C ^ D")
+   Returns { output, ast, variables, error } — error is null or a message string.
+   ============================ */
+export function parseExpression(text, { maxInputs = MAX_EXPRESSION_INPUTS } = {}) {
+  const src = String(text ?? "");
+  const m = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(?!=)/.exec(src);
+  const output = m ? m[1] : "Y";
+  const body = m ? src.slice(m[0].length) : src;
+  try {
+    if (!body.trim()) throw new Error("empty expression");
+    const ast = parseTokens(tokenize(body));
+    const variables = expressionVariables(ast);
+    if (variables.includes(output)) throw new Error(`output ${output} also appears as an input`);
+    if (variables.length > maxInputs) throw new Error(`too many inputs (${variables.length}, max ${maxInputs})`);
+    return { output, ast, variables, error: null };
+  } catch (err) {
+    return { output, ast: null, variables: [], error: err.message };
+  }
+}
+
+const PRECEDENCE = { or: 1, xor: 2, and: 3 };
+const OP_SYMBOL = { or: " | ", xor: " ^ ", and: " & " };
+
+// AST -> text using the page's canonical operators, with only the parentheses that are needed
+export function formatExpression(ast, parent = 0) {
+  if (!ast) return "";
+  if (ast.op === "var") return ast.name;
+  if (ast.op === "const") return String(ast.value);
+  if (ast.op === "not") return `!${formatExpression(ast.arg, 4)}`;
+  const p = PRECEDENCE[ast.op];
+  const text = ast.args.map((a) => formatExpression(a, p)).join(OP_SYMBOL[ast.op]);
+  return p < parent ? `(${text})` : text;
+}
@@ -0,0 +1,187 @@
+// src/lib/logic/gates.js
+
+/* ============================
+   Gate-level netlists
+   {
+     inputs: ["A", "B", ...],        // primary inputs (signal ids are the names)
+     gates:  [{ id, type, inputs: [signal ids] }],   // topological order, output signal = id
+     output: signal id,
+     outputName: "Y"
+   }
+   Gate types: AND, OR, XOR, NOT, NAND, NOR, XNOR (any fan-in), CONST0 / CONST1 (no inputs)
+   ============================ */
+export const GATE_TYPES = ["AND", "OR", "XOR", "NOT", "NAND", "NOR", "XNOR", "CONST0", "CONST1"];
+
+export function evalGate(type, values) {
+  switch (type) {
+    case "AND":
+      return values.every(Boolean) ? 1 : 0;
+    case "OR":
+      return values.some(Boolean) ? 1 : 0;
+    case "XOR":
+      return values.reduce((a, v) => a ^ (v ? 1 : 0), 0);
+    case "NOT":
+      return values[0] ? 0 : 1;
+    case "NAND":
+      return values.every(Boolean) ? 0 : 1;
+    case "NOR":
+      return values.some(Boolean) ? 0 : 1;
+    case "XNOR":
+      return values.reduce((a, v) => a ^ (v ? 1 : 0), 1);
+    case "CONST1":
+      return 1;
+    default:
+      return 0;
+  }
+}
+
+// small builder shared by the synthesis and the NAND / NOR rewrites
+function createBuilder(inputs) {
+  const gates = [];
+  const add = (type, ins) => {
+    const id = `g${gates.length + 1}`;
+    gates.push({ id, type, inputs: ins });
+    return id;
+  };
+  // drop gates that do not drive the output (e.g. an inverter cancelled by a second one) and renumber
+  const finish = (output, outputName) => {
+    const used = new Set([output]);
+    for (let i = gates.length - 1; i >= 0; i--) {
+      if (used.has(gates[i].id)) gates[i].inputs.forEach((s) => used.add(s));
+    }
+    const rename = {};
+    const kept = gates.filter((g) => used.has(g.id));
+    kept.forEach((g, i) => {
+      rename[g.id] = `g${i + 1}`;
+    });
+    const sig = (s) => rename[s] ?? s;
+    return {
+      inputs: [...inputs],
+      gates: kept.map((g) => ({ id: sig(g.id), type: g.type, inputs: g.inputs.map(sig) })),
+      output: sig(output),
+      outputName,
+    };
+  };
+  return { add, finish };
+}
+
+/* ============================
+   buildNetlist(parsed) — parsed = parseExpression(...) result
+   Chains of the same operator become one multi-input gate: A & B & C -> AND(A, B, C).
+   ============================ */
+export function buildNetlist({ ast, variables, output = "Y" }) {
+  const b = createBuilder(variables);
+  const operands = (node, op) => (node.op === op ? node.args.flatMap((a) => operands(a, op)) : [node]);
+  const emit = (node) => {
+    if (node.op === "var") return node.name;
+    if (node.op === "const") return b.add(node.value ? "CONST1" : "CONST0", []);
+    if (node.op === "not") return b.add("NOT", [emit(node.arg)]);
+    return b.add(node.op.toUpperCase(), operands(node, node.op).map(emit));
+  };
+  return b.finish(emit(ast), output);
+}
+
+// signal values for one input assignment ({ A: 1, B: 0 }); returns { signalId: 0|1 }
+export function simulateNetlist(netlist, assignment = {}) {
+  const values = {};
+  netlist.inputs.forEach((name) => {
+    values[name] = assignment[name] ? 1 : 0;
+  });
+  netlist.gates.forEach((g) => {
+    values[g.id] = evalGate(g.type, g.inputs.map((s) => values[s]));
+  });
+  return values;
+}
+
+/* ============================
+   truthTable(netlist) -> [{ index, bits: [..inputs], out }]
+   Row index counts in binary with the first input as the most significant bit.
+   ============================ */
+export function truthTable(netlist) {
+  const n = netlist.inputs.length;
+  return Array.from({ length: 2 ** n }, (_, index) => {
+    const bits = netlist.inputs.map((_, i) => (index >> (n - 1 - i)) & 1);
+    const assignment = Object.fromEntries(netlist.inputs.map((name, i) => [name, bits[i]]));
+    return { index, bits, out: simulateNetlist(netlist, assignment)[netlist.output] };
+  });
+}
+
+/* ============================
+   Universal-gate rewrites
+   - toNandOnly: AND = NOT(NAND), OR(a, b) = NAND(!a, !b), NOT a = NAND(a, a),
+     XOR(a, b) = NAND(NAND(a, t), NAND(b, t)) with t = NAND(a, b)
+   - toNorOnly is the dual (OR <-> AND), XOR via XNOR from four NORs plus an inverter
+   - an inverter fed by an inverter cancels, so !!x costs nothing
+   ============================ */
+function rewriteUniversal(netlist, base) {
+  const b = createBuilder(netlist.inputs);
+  const map = {};
+  netlist.inputs.forEach((name) => {
+    map[name] = name;
+  });
+  const invertedFrom = {}; // inverter output -> its input
+  const inverterOf = {}; // signal -> existing inverter output
+  const inv = (s) => {
+    if (s in invertedFrom) return invertedFrom[s];
+    if (!(s in inverterOf)) {
+      inverterOf[s] = b.add(base, [s, s]);
+      invertedFrom[inverterOf[s]] = s;
+    }
+    return inverterOf[s];
+  };
+  // four base gates make XOR from NANDs and XNOR from NORs
+  const fourGate = (x, y) => {
+    const t = b.add(base, [x, y]);
+    return b.add(base, [b.add(base, [x, t]), b.add(base, [y, t])]);
+  };
+  const xor2 = base === "NAND" ? fourGate : (x, y) => inv(fourGate(x, y));
+  const xnor2 = base === "NAND" ? (x, y) => inv(fourGate(x, y)) : fourGate;
+
+  // NAND network: AND is the "same" operator, OR the dual (and vice versa for NOR)
+  const sameType = base === "NAND" ? "AND" : "OR";
+  const dualType = base === "NAND" ? "OR" : "AND";
+  const dualBase = base === "NAND" ? "NOR" : "NAND";
+  netlist.gates.forEach((g) => {
+    const ins = g.inputs.map((s) => map[s]);
+    let out;
+    switch (g.type) {
+      case "NOT":
+        out = inv(ins[0]);
+        break;
+      case base:
+        out = b.add(base, ins);
+        break;
+      case sameType:
+        out = inv(b.add(base, ins));
+        break;
+      case dualType:
+        out = b.add(base, ins.map(inv));
+        break;
+      case dualBase:
+        out = inv(b.add(base, ins.map(inv)));
+        break;
+      case "XOR":
+        out = ins.slice(1).reduce((acc, s) => xor2(acc, s), ins[0]);
+        break;
+      case "XNOR":
+        out = ins.length === 1 ? inv(ins[0]) : xnor2(ins.slice(1, -1).reduce((acc, s) => xor2(acc, s), ins[0]), ins[ins.length - 1]);
+        break;
+      default:
+        out = b.add(g.type, []);
+    }
+    map[g.id] = out;
+  });
+  return b.finish(map[netlist.output], netlist.outputName);
+}
+
+export const toNandOnly = (netlist) => rewriteUniversal(netlist, "NAND");
+export const toNorOnly = (netlist) => rewriteUniversal(netlist, "NOR");
+
+// { AND: 2, NOT: 1 } style summary for badges
+export function gateCounts(netlist) {
+  const counts = {};
+  netlist.gates.forEach((g) => {
+    counts[g.type] = (counts[g.type] ?? 0) + 1;
+  });
+  return counts;
+}
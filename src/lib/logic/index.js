@@ -0,0 +1,35 @@
+// src/lib/logic/index.js
+// Shared digital-logic library: Boolean expressions, gate-level netlists, two-level minimisation and the event-driven simulator.
+
+export { MAX_EXPRESSION_INPUTS, parseExpression, expressionVariables, formatExpression } from "./expression";
+export {
+  GATE_TYPES,
+  evalGate,
+  buildNetlist,
+  simulateNetlist,
+  truthTable,
+  toNandOnly,
+  toNorOnly,
+  gateCounts,
+} from "./gates";
+export {
+  MAX_MINIMIZE_VARS,
+  cubeLiterals,
+  cubeMinterms,
+  multiOutputPrimes,
+  minimizeMultiOutput,
+  minimizeSeparately,
+  BCD_TO_7SEG,
+} from "./minimize";
+export {
+  MAX_SETTLE_WAVES,
+  DIGITAL_PARTS,
+  DEFAULT_PART_PROPS,
+  pinKey,
+  nextPartLabel,
+  findCombinationalLoops,
+  createDigitalState,
+  stepDigital,
+  digitalInput,
+  digitalProbes,
+} from "./digital";
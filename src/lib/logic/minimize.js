@@ -0,0 +1,170 @@
+// src/lib/logic/minimize.js
+
+/* ============================
+   Multi-output two-level minimisation (tagged Quine–McCluskey)
+   - a cube is a pattern string over the variables, MSB first: "1-0" = A C'
+   - each cube carries a tag: the outputs whose ON ∪ DC set contains the whole cube;
+     a cube is a multi-output prime when no merged cube has the same tag
+   - the cover picks essential primes first, then greedily the prime with the most
+     newly covered (output, minterm) pairs per added cost — a product already built
+     for another output only costs one more OR input
+   - cost assumes complemented inputs are available (no inverters counted)
+   ============================ */
+export const MAX_MINIMIZE_VARS = 6;
+
+const bin = (n, bits) => n.toString(2).padStart(bits, "0");
+
+export const cubeLiterals = (pattern) => pattern.replace(/-/g, "").length;
+
+export function cubeMinterms(pattern) {
+  let out = [0];
+  for (const ch of pattern) {
+    if (ch === "-") out = out.flatMap((m) => [m * 2, m * 2 + 1]);
+    else out = out.map((m) => m * 2 + Number(ch));
+  }
+  return out;
+}
+
+function mergeCubes(a, b) {
+  let diff = -1;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === "-" || b[i] === "-" || diff >= 0) return null;
+    diff = i;
+  }
+  return diff < 0 ? null : `${a.slice(0, diff)}-${a.slice(diff + 1)}`;
+}
+
+// functions: [{ name, minterms, dontCares }] -> [{ pattern, tag: [output index] }]
+export function multiOutputPrimes(functions, numVars) {
+  const care = functions.map((f) => new Set([...(f.minterms ?? []), ...(f.dontCares ?? [])]));
+  const tagOf = (pattern) => {
+    const ms = cubeMinterms(pattern);
+    return functions.map((_, i) => i).filter((i) => ms.every((m) => care[i].has(m)));
+  };
+
+  let level = new Map();
+  for (let m = 0; m < 2 ** numVars; m++) {
+    const pattern = bin(m, numVars);
+    const tag = tagOf(pattern);
+    if (tag.length) level.set(pattern, tag);
+  }
+  const primes = [];
+  while (level.size) {
+    const next = new Map();
+    const covered = new Set();
+    const cubes = [...level.entries()];
+    for (let i = 0; i < cubes.length; i++) {
+      for (let j = i + 1; j < cubes.length; j++) {
+        const merged = mergeCubes(cubes[i][0], cubes[j][0]);
+        if (!merged) continue;
+        const tag = cubes[i][1].filter((t) => cubes[j][1].includes(t));
+        if (!tag.length) continue;
+        if (!next.has(merged)) next.set(merged, tag);
+        if (tag.length === cubes[i][1].length) covered.add(cubes[i][0]);
+        if (tag.length === cubes[j][1].length) covered.add(cubes[j][0]);
+      }
+    }
+    cubes.forEach(([pattern, tag]) => {
+      if (!covered.has(pattern)) primes.push({ pattern, tag });
+    });
+    level = next;
+  }
+  return primes;
+}
+
+// cost of a set of products { pattern, outputs } feeding the given number of outputs
+function coverCost(products, outputs) {
+  const andGates = products.filter((p) => cubeLiterals(p.pattern) > 1).length;
+  const literals = products.reduce((acc, p) => acc + cubeLiterals(p.pattern), 0);
+  const orInputs = outputs.map((o) => o.terms.length);
+  const orGates = orInputs.filter((n) => n > 1).length;
+  const andInputs = products.reduce((acc, p) => acc + (cubeLiterals(p.pattern) > 1 ? cubeLiterals(p.pattern) : 0), 0);
+  const gateInputs = andInputs + orInputs.reduce((acc, n) => acc + (n > 1 ? n : 0), 0);
+  return { andGates, orGates, gates: andGates + orGates, literals, gateInputs };
+}
+
+/* ============================
+   minimizeMultiOutput(functions, numVars)
+   Returns {
+     primes:   [{ pattern, tag }],
+     products: [{ pattern, outputs: [output index] }]   // each product built once
+     outputs:  [{ name, terms: [pattern] }],
+     cost:     { andGates, orGates, gates, literals, gateInputs }
+   }
+   ============================ */
+export function minimizeMultiOutput(functions, numVars) {
+  const primes = multiOutputPrimes(functions, numVars);
+  const primeMinterms = primes.map((p) => new Set(cubeMinterms(p.pattern)));
+  const uncovered = functions.map((f) => new Set(f.minterms ?? []));
+  const chosen = functions.map(() => new Set()); // output -> prime indices
+  const built = new Set(); // prime indices already built as a product
+
+  const use = (pi, fi) => {
+    chosen[fi].add(pi);
+    built.add(pi);
+    primeMinterms[pi].forEach((m) => uncovered[fi].delete(m));
+  };
+
+  // essential primes: the only prime covering some (output, minterm)
+  functions.forEach((f, fi) => {
+    (f.minterms ?? []).forEach((m) => {
+      const candidates = primes.map((p, pi) => pi).filter((pi) => primes[pi].tag.includes(fi) && primeMinterms[pi].has(m));
+      if (candidates.length === 1) use(candidates[0], fi);
+    });
+  });
+
+  // greedy cover for the rest
+  for (;;) {
+    let best = null;
+    primes.forEach((p, pi) => {
+      const gain = p.tag.map((fi) => [fi, [...uncovered[fi]].filter((m) => primeMinterms[pi].has(m)).length]).filter(([, n]) => n > 0);
+      if (!gain.length) return;
+      const pairs = gain.reduce((acc, [, n]) => acc + n, 0);
+      const cost = (built.has(pi) ? 0 : cubeLiterals(p.pattern) + 1) + gain.length;
+      const score = pairs / cost;
+      if (!best || score > best.score || (score === best.score && cubeLiterals(p.pattern) < cubeLiterals(primes[best.pi].pattern))) {
+        best = { pi, score, outputs: gain.map(([fi]) => fi) };
+      }
+    });
+    if (!best) break;
+    best.outputs.forEach((fi) => use(best.pi, fi));
+  }
+
+  // drop terms whose minterms the output's other terms already cover
+  functions.forEach((f, fi) => {
+    [...chosen[fi]]
+      .sort((a, b) => cubeLiterals(primes[b].pattern) - cubeLiterals(primes[a].pattern))
+      .forEach((pi) => {
+        const others = [...chosen[fi]].filter((x) => x !== pi);
+        if ((f.minterms ?? []).every((m) => !primeMinterms[pi].has(m) || others.some((x) => primeMinterms[x].has(m)))) chosen[fi].delete(pi);
+      });
+  });
+
+  const products = primes
+    .map((p, pi) => ({ pattern: p.pattern, outputs: functions.map((_, fi) => fi).filter((fi) => chosen[fi].has(pi)) }))
+    .filter((p) => p.outputs.length);
+  const outputs = functions.map((f, fi) => ({
+    name: f.name,
+    terms: products.filter((p) => p.outputs.includes(fi)).map((p) => p.pattern),
+  }));
+  return { primes, products, outputs, cost: coverCost(products, outputs) };
+}
+
+// each output minimised on its own, nothing shared: the baseline the multi-output cover is compared with
+export function minimizeSeparately(functions, numVars) {
+  const outputs = functions.map((f) => minimizeMultiOutput([f], numVars).outputs[0]);
+  const products = outputs.flatMap((o, fi) => o.terms.map((pattern) => ({ pattern, outputs: [fi] })));
+  return { products, outputs, cost: coverCost(products, outputs) };
+}
+
+// BCD digit (ABCD, A = MSB) -> segments a..g, codes 10–15 are don't cares
+export const BCD_TO_7SEG = [
+  { name: "a", minterms: [0, 2, 3, 5, 6, 7, 8, 9] },
+  { name: "b", minterms: [0, 1, 2, 3, 4, 7, 8, 9] },
+  { name: "c", minterms: [0, 1, 3, 4, 5, 6, 7, 8, 9] },
+  { name: "d", minterms: [0, 2, 3, 5, 6, 8, 9] },
+  { name: "e", minterms: [0, 2, 6, 8] },
+  { name: "f", minterms: [0, 4, 5, 6, 8, 9] },
+  { name: "g", minterms: [2, 3, 4, 5, 6, 8, 9] },
+].map((f) => ({ ...f, dontCares: [10, 11, 12, 13, 14, 15] }));
@@ -0,0 +1,661 @@
+// src/lib/report/analysis.js
+import { linearFit, fitCovariance, propagate } from "../stats/regression.js";
+
+/* ============================
+   Automatic calculations for the lab report experiments
+   - every experiment records rows of { t, V, I, remark }; what a row means depends on
+     the experiment (see EXPERIMENT_ANALYSES below), e.g. for resonance t is the
+     source frequency in Hz
+   - uncertainties: fitted quantities carry the least-squares standard error; quantities
+     from single readings carry the meter resolution (rectangular, u = res / 2√3)
+     propagated to first order
+   - analyseObservations() is pure so the same numbers appear on screen, in the
+     browser-built PDF and in PDFs rendered by the report server
+   ============================ */
+
+// meter resolution (last digit) assumed when the payload gives none
+export const INSTRUMENT_RESOLUTION = { V: 0.01, I: 0.001 };
+
+const resolutionU = (res) => res / (2 * Math.sqrt(3));
+
+const num = (v) => (typeof v === "number" ? v : parseFloat(v));
+
+// rows with numeric V and I; t falls back to the row number
+function readings(observations = []) {
+  return observations
+    .map((r, i) => ({ t: Number.isFinite(num(r.t)) ? num(r.t) : i + 1, V: num(r.V), I: num(r.I) }))
+    .filter((r) => Number.isFinite(r.V) && Number.isFinite(r.I));
+}
+
+/* ============================
+   Formatting
+   ============================ */
+
+// 4 significant figures, no trailing zeros
+export const formatNumber = (x) => (Number.isFinite(x) ? String(Number(x.toPrecision(4))) : "—");
+
+// value ± u rounded to the 2 significant figures of the uncertainty; very small or large
+// values as (a ± b)e-9; an uncertainty below 1e-9 of the value (exact fit) is dropped
+export function formatMeasurement(value, u, unit = "") {
+  if (!Number.isFinite(value)) return "—";
+  const suffix = unit ? ` ${unit}` : "";
+  if (!(u > 0) || !Number.isFinite(u) || u < Math.abs(value) * 1e-9) return `${formatNumber(value)}${suffix}`;
+  const exp = Math.floor(Math.log10(Math.max(Math.abs(value), u)));
+  if (exp < -3 || exp > 5) {
+    const scale = 10 ** exp;
+    return `(${formatMeasurement(value / scale, u / scale)})e${exp}${suffix}`;
+  }
+  const decimals = Math.max(0, 1 - Math.floor(Math.log10(u)));
+  return `${value.toFixed(decimals)} ± ${u.toFixed(decimals)}${suffix}`;
+}
+
+const quantity = (symbol, label, { value, u = null }, unit = "") => ({ symbol, label, value, u, unit });
+
+export const formatQuantity = (q) => `${q.symbol} = ${formatMeasurement(q.value, q.u, q.unit)}`;
+
+/* ============================
+   Shared building blocks
+   ============================ */
+
+const fail = (reason) => ({ ok: false, reason });
+
+const wrap = (name) => (name.includes(" ") ? `(${name})` : name);
+
+function fitSteps(fit, xName, yName) {
+  const x = wrap(xName);
+  const y = wrap(yName);
+  const { n, sums } = fit;
+  return [
+    `Least-squares fit of ${yName} on ${xName} (n = ${n}):`,
+    `Σ${x} = ${formatNumber(sums.x)}, Σ${y} = ${formatNumber(sums.y)}, Σ${x}² = ${formatNumber(sums.xx)}, Σ${x}${y} = ${formatNumber(sums.xy)}`,
+    `slope = (n·Σ${x}${y} - Σ${x}·Σ${y}) / (n·Σ${x}² - (Σ${x})²) = ${formatNumber(fit.slope)}`,
+    `intercept = (Σ${y} - slope·Σ${x}) / n = ${formatNumber(fit.intercept)}`,
+    fit.sSlope == null
+      ? `R² = ${fit.r2.toFixed(5)} (two points: the standard errors are undefined)`
+      : `R² = ${fit.r2.toFixed(5)}, s(slope) = ${formatNumber(fit.sSlope)}, s(intercept) = ${formatNumber(fit.sIntercept)}`,
+  ];
+}
+
+// quotient of one reading with its resolution uncertainty (V / I unless fn says otherwise)
+function fromReading(r, res, fn = (v, i) => v / i) {
+  return propagate(fn, [r.V, r.I], [resolutionU(res.V), resolutionU(res.I)]);
+}
+
+// mean of per-reading values with the standard error of the mean
+function meanOf(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  if (n < 2) return { value: mean, u: null };
+  const sd = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1));
+  return { value: mean, u: sd / Math.sqrt(n) };
+}
+
+// fitted quantity with its standard error (null for two points)
+const fitted = (fit, key) => ({ value: fit[key], u: key === "slope" ? fit.sSlope : fit.sIntercept });
+
+// scatter points plus the fitted line over the data range (widened to include `extend`,
+// or over `lineRange` when the fit only describes part of the curve)
+function plotOf(points, fit, { xLabel, yLabel, extend = [], lineRange }) {
+  const xs = points.map((p) => p.x).concat(extend.filter(Number.isFinite));
+  const [from, to] = lineRange ?? [Math.min(...xs), Math.max(...xs)];
+  const line = fit ? [from, to].map((x) => ({ x, y: fit.intercept + fit.slope * x })) : null;
+  return { xLabel, yLabel, points, line, connect: !fit };
+}
+
+const percentDiff = (measured, expected) => (expected !== 0 ? ((measured - expected) / Math.abs(expected)) * 100 : NaN);
+
+const linearity = (fit) =>
+  fit.r2 >= 0.99 ? "linear" : fit.r2 >= 0.95 ? "close to linear" : "not well described by a straight line";
+
+/* ============================
+   Experiment analyses
+   (rows, resolution) -> { quantities, steps, notes?, fit?, plot?, result }
+   ============================ */
+
+// V = Z·I (+ offset): resistance / impedance from the slope of the V–I graph
+const ohmic =
+  ({ symbol = "R", label = "Resistance", result, extra }) =>
+  (rows, res) => {
+    const fit = linearFit(
+      rows.map((r) => r.I),
+      rows.map((r) => r.V)
+    );
+    if (!fit) return fail("The current readings must vary to fit the V–I graph");
+
+    const perReading = rows.filter((r) => r.I !== 0).map((r) => ({ t: r.t, ...fromReading(r, res) }));
+    const mean = meanOf(perReading.map((p) => p.value));
+    const slope = quantity(symbol, `${label} (slope of V–I)`, fitted(fit, "slope"), "Ω");
+    const quantities = [
+      slope,
+      quantity("V0", "Intercept", fitted(fit, "intercept"), "V"),
+      quantity("R²", "Coefficient of determination", { value: fit.r2 }),
+      quantity(`${symbol} (mean)`, `Mean of V/I over ${perReading.length} readings`, mean, "Ω"),
+      ...(extra?.(rows, res) ?? []),
+    ];
+    return {
+      quantities,
+      fit,
+      steps: [
+        ...fitSteps(fit, "I", "V"),
+        `${symbol} = slope = ${formatMeasurement(slope.value, slope.u, "Ω")}`,
+        "Per reading (meter resolution propagated):",
+        ...perReading.map((p) => `  t = ${formatNumber(p.t)}: ${symbol} = V/I = ${formatMeasurement(p.value, p.u, "Ω")}`),
+        `Mean ${symbol} = ${formatMeasurement(mean.value, mean.u, "Ω")} (± standard error of the mean)`,
+      ],
+      plot: plotOf(
+        rows.map((r) => ({ x: r.I, y: r.V })),
+        fit,
+        { xLabel: "Current I (A)", yLabel: "Voltage V (V)", extend: [0] }
+      ),
+      result: result(slope, fit),
+    };
+  };
+
+// Thevenin / Norton / maximum power: loaded terminal voltage V = Vth - Rth·I
+function sourceModel(rows) {
+  const fit = linearFit(
+    rows.map((r) => r.I),
+    rows.map((r) => r.V)
+  );
+  if (!fit || fit.slope >= 0) return { fit, error: "Load the circuit with several resistances: V must fall as I rises" };
+  const cov = fit.sSlope == null ? [] : fitCovariance(fit);
+  const vth = quantity("Vth", "Open-circuit (Thevenin) voltage", fitted(fit, "intercept"), "V");
+  const rth = quantity("Rth", "Thevenin resistance (-slope)", { value: -fit.slope, u: fit.sSlope }, "Ω");
+  const isc = quantity("IN", "Short-circuit (Norton) current", propagate((b, a) => -a / b, [fit.slope, fit.intercept], cov), "A");
+  const steps = [
+    ...fitSteps(fit, "I", "V"),
+    `Vth = intercept = ${formatMeasurement(vth.value, vth.u, "V")}`,
+    `Rth = -slope = ${formatMeasurement(rth.value, rth.u, "Ω")}`,
+    `IN = Vth / Rth = ${formatMeasurement(isc.value, isc.u, "A")} (slope/intercept covariance included)`,
+  ];
+  return { fit, cov, vth, rth, isc, steps };
+}
+
+function theveninAnalysis(primary) {
+  return (rows) => {
+    const m = sourceModel(rows);
+    if (m.error) return fail(m.error);
+    const lead = primary === "norton" ? [m.isc, m.rth, m.vth] : [m.vth, m.rth, m.isc];
+    return {
+      quantities: [...lead, quantity("R²", "Coefficient of determination", { value: m.fit.r2 })],
+      fit: m.fit,
+      steps: m.steps,
+      plot: plotOf(
+        rows.map((r) => ({ x: r.I, y: r.V })),
+        m.fit,
+        { xLabel: "Load current I (A)", yLabel: "Terminal voltage V (V)", extend: [0, m.isc.value] }
+      ),
+      result:
+        primary === "norton"
+          ? `Norton equivalent: IN = ${formatMeasurement(m.isc.value, m.isc.u, "A")} in parallel with RN = ${formatMeasurement(m.rth.value, m.rth.u, "Ω")}.`
+          : `Thevenin equivalent: Vth = ${formatMeasurement(m.vth.value, m.vth.u, "V")} in series with Rth = ${formatMeasurement(m.rth.value, m.rth.u, "Ω")}.`,
+    };
+  };
+}
+
+function maxPowerAnalysis(rows, res) {
+  const m = sourceModel(rows);
+  if (m.error) return fail(m.error);
+  const loads = rows
+    .filter((r) => r.I !== 0)
+    .map((r) => ({ t: r.t, RL: r.V / r.I, P: fromReading(r, res, (v, i) => v * i) }));
+  const best = loads.reduce((a, b) => (b.P.value > a.P.value ? b : a), loads[0]);
+  const pmax = quantity("Pmax", "Predicted maximum power Vth²/4Rth", propagate((b, a) => (a * a) / (4 * -b), [m.fit.slope, m.fit.intercept], m.cov), "W");
+  return {
+    quantities: [
+      quantity("RL(opt)", "Predicted optimum load (= Rth)", { value: m.rth.value, u: m.rth.u }, "Ω"),
+      pmax,
+      quantity("P(meas)", `Largest measured power (t = ${formatNumber(best.t)})`, best.P, "W"),
+      quantity("RL(meas)", "Load at the largest measured power", { value: best.RL }, "Ω"),
+      m.vth,
+    ],
+    fit: m.fit,
+    steps: [
+      ...m.steps,
+      "Power delivered to the load for each reading, P = V·I:",
+      ...loads.map((l) => `  t = ${formatNumber(l.t)}: RL = ${formatNumber(l.RL)} Ω, P = ${formatMeasurement(l.P.value, l.P.u, "W")}`),
+      `Pmax = Vth² / (4·Rth) = ${formatMeasurement(pmax.value, pmax.u, "W")} at RL = Rth`,
+    ],
+    plot: plotOf(
+      rows.map((r) => ({ x: r.I, y: r.V })),
+      m.fit,
+      { xLabel: "Load current I (A)", yLabel: "Terminal voltage V (V)", extend: [0] }
+    ),
+    result: `Maximum power ${formatNumber(best.P.value)} W was measured at RL = ${formatNumber(best.RL)} Ω; theory predicts ${formatMeasurement(pmax.value, pmax.u, "W")} at RL = Rth = ${formatMeasurement(m.rth.value, m.rth.u, "Ω")} (${formatNumber(percentDiff(best.RL, m.rth.value))} % apart).`,
+  };
+}
+
+// first row: source (or whole circuit); following rows: individual elements / branches
+function kirchhoffAnalysis(rows, res) {
+  if (rows.length < 3) return fail("Record the source in the first row and at least two elements below it");
+  const [src, ...parts] = rows;
+  const uV = resolutionU(res.V) * Math.sqrt(parts.length + 1);
+  const uI = resolutionU(res.I) * Math.sqrt(parts.length + 1);
+  const sumV = parts.reduce((a, r) => a + r.V, 0);
+  const sumI = parts.reduce((a, r) => a + r.I, 0);
+  const kvl = quantity("KVL", "Vs - ΣV (series loop)", { value: src.V - sumV, u: uV }, "V");
+  const kcl = quantity("KCL", "Is - ΣI (parallel node)", { value: src.I - sumI, u: uI }, "A");
+  const kvlErr = percentDiff(sumV, src.V);
+  const kclErr = percentDiff(sumI, src.I);
+  return {
+    quantities: [
+      kvl,
+      quantity("KVL error", "ΣV relative to Vs", { value: kvlErr }, "%"),
+      kcl,
+      quantity("KCL error", "ΣI relative to Is", { value: kclErr }, "%"),
+    ],
+    steps: [
+      `Source: Vs = ${formatNumber(src.V)} V, Is = ${formatNumber(src.I)} A`,
+      `ΣV (elements) = ${parts.map((r) => formatNumber(r.V)).join(" + ")} = ${formatNumber(sumV)} V`,
+      `KVL: Vs - ΣV = ${formatMeasurement(kvl.value, kvl.u, "V")} (${formatNumber(kvlErr)} %)`,
+      `ΣI (branches) = ${parts.map((r) => formatNumber(r.I)).join(" + ")} = ${formatNumber(sumI)} A`,
+      `KCL: Is - ΣI = ${formatMeasurement(kcl.value, kcl.u, "A")} (${formatNumber(kclErr)} %)`,
+    ],
+    notes: ["Uncertainty: meter resolution of every reading in the sum, added in quadrature."],
+    result: `KVL holds to ${formatNumber(Math.abs(kvlErr))} % for a series loop and KCL to ${formatNumber(Math.abs(kclErr))} % for a parallel node.`,
+  };
+}
+
+// first row: the combination; following rows: each resistor on its own
+function resistorAnalysis(rows, res) {
+  if (rows.length < 3 || rows.some((r) => r.I === 0)) return fail("Record the combination in the first row and each resistor below it (non-zero currents)");
+  const [combo, ...parts] = rows.map((r) => ({ t: r.t, ...fromReading(r, res) }));
+  const uParts = parts.map((p) => p.u);
+  const series = propagate((...rs) => rs.reduce((a, b) => a + b, 0), parts.map((p) => p.value), uParts);
+  const parallel = propagate((...rs) => 1 / rs.reduce((a, b) => a + 1 / b, 0), parts.map((p) => p.value), uParts);
+  const closer = Math.abs(combo.value - series.value) <= Math.abs(combo.value - parallel.value) ? "series" : "parallel";
+  const expected = closer === "series" ? series : parallel;
+  return {
+    quantities: [
+      quantity("Req(meas)", "Measured equivalent resistance", combo, "Ω"),
+      quantity("Rs", "Series sum ΣRk", series, "Ω"),
+      quantity("Rp", "Parallel 1 / Σ(1/Rk)", parallel, "Ω"),
+      quantity("Error", `Measured vs ${closer} value`, { value: percentDiff(combo.value, expected.value) }, "%"),
+    ],
+    steps: [
+      ...parts.map((p, i) => `R${i + 1} = V/I = ${formatMeasurement(p.value, p.u, "Ω")}`),
+      `Req (measured) = V/I = ${formatMeasurement(combo.value, combo.u, "Ω")}`,
+      `Series: Rs = ΣRk = ${formatMeasurement(series.value, series.u, "Ω")}`,
+      `Parallel: Rp = 1 / Σ(1/Rk) = ${formatMeasurement(parallel.value, parallel.u, "Ω")}`,
+    ],
+    result: `The measured equivalent resistance ${formatMeasurement(combo.value, combo.u, "Ω")} agrees with the ${closer} value ${formatMeasurement(expected.value, expected.u, "Ω")} to ${formatNumber(Math.abs(percentDiff(combo.value, expected.value)))} %.`,
+  };
+}
+
+// earlier rows: each source acting alone; last row: all sources together
+function superpositionAnalysis(rows, res) {
+  if (rows.length < 3) return fail("Record each source acting alone, then all sources together in the last row");
+  const parts = rows.slice(0, -1);
+  const all = rows[rows.length - 1];
+  const sumI = parts.reduce((a, r) => a + r.I, 0);
+  const sumV = parts.reduce((a, r) => a + r.V, 0);
+  const u = Math.sqrt(rows.length);
+  const dI = quantity("ΔI", "I(all) - ΣI(alone)", { value: all.I - sumI, u: resolutionU(res.I) * u }, "A");
+  const dV = quantity("ΔV", "V(all) - ΣV(alone)", { value: all.V - sumV, u: resolutionU(res.V) * u }, "V");
+  const errI = percentDiff(sumI, all.I);
+  return {
+    quantities: [dI, quantity("I error", "ΣI relative to I(all)", { value: errI }, "%"), dV, quantity("V error", "ΣV relative to V(all)", { value: percentDiff(sumV, all.V) }, "%")],
+    steps: [
+      `ΣI (sources alone) = ${parts.map((r) => formatNumber(r.I)).join(" + ")} = ${formatNumber(sumI)} A; all sources: ${formatNumber(all.I)} A`,
+      `ΔI = ${formatMeasurement(dI.value, dI.u, "A")}`,
+      `ΣV (sources alone) = ${parts.map((r) => formatNumber(r.V)).join(" + ")} = ${formatNumber(sumV)} V; all sources: ${formatNumber(all.V)} V`,
+      `ΔV = ${formatMeasurement(dV.value, dV.u, "V")}`,
+    ],
+    result: `The sum of the individual responses matches the combined response to ${formatNumber(Math.abs(errI))} % (current).`,
+  };
+}
+
+// t: elapsed time in seconds; energy is the trapezoidal integral of P = V·I
+function energyAnalysis(rows, res) {
+  const sorted = rows.slice().sort((a, b) => a.t - b.t);
+  if (sorted.length < 2) return fail("Record at least two timed readings");
+  let energy = 0;
+  const cumulative = [{ x: sorted[0].t, y: 0 }];
+  for (let k = 1; k < sorted.length; k++) {
+    const a = sorted[k - 1];
+    const b = sorted[k];
+    energy += ((a.V * a.I + b.V * b.I) / 2) * (b.t - a.t);
+    cumulative.push({ x: b.t, y: energy });
+  }
+  const fit = linearFit(
+    cumulative.map((p) => p.x),
+    cumulative.map((p) => p.y)
+  );
+  const powers = sorted.map((r) => fromReading(r, res, (v, i) => v * i));
+  const pMean = meanOf(powers.map((p) => p.value));
+  return {
+    quantities: [
+      quantity("E", "Energy (trapezoidal ∫V·I dt)", { value: energy }, "J"),
+      quantity("E (Wh)", "Energy in watt-hours", { value: energy / 3600 }, "Wh"),
+      quantity("P(avg)", "Average power (slope of E–t)", fit ? fitted(fit, "slope") : pMean, "W"),
+      quantity("P(mean)", "Mean of the power readings", pMean, "W"),
+    ],
+    fit,
+    steps: [
+      ...sorted.map((r, k) => `t = ${formatNumber(r.t)} s: P = V·I = ${formatMeasurement(powers[k].value, powers[k].u, "W")}`),
+      `E = Σ ½(Pk-1 + Pk)(tk - tk-1) = ${formatNumber(energy)} J = ${formatNumber(energy / 3600)} Wh`,
+      ...(fit ? fitSteps(fit, "t", "E") : []),
+    ],
+    notes: ["The t column is read as elapsed time in seconds."],
+    plot: plotOf(cumulative, fit, { xLabel: "Time t (s)", yLabel: "Energy E (J)" }),
+    result: `Energy consumed: ${formatNumber(energy)} J (${formatNumber(energy / 3600)} Wh) at an average power of ${formatNumber(fit ? fit.slope : pMean.value)} W.`,
+  };
+}
+
+// t: source frequency in Hz; resonance at the current peak, bandwidth from the -3 dB points
+function resonanceAnalysis(rows) {
+  const sorted = rows.slice().sort((a, b) => a.t - b.t);
+  if (sorted.length < 3) return fail("Record the current at three or more frequencies (t column = frequency in Hz)");
+  const peak = sorted.reduce((best, r, k) => (r.I > sorted[best].I ? k : best), 0);
+  const f0 = sorted[peak].t;
+  const half = sorted[peak].I / Math.SQRT2;
+  const crossing = (a, b) => a.t + ((half - a.I) / (b.I - a.I)) * (b.t - a.t);
+  let f1 = null;
+  let f2 = null;
+  for (let k = peak; k > 0; k--) if (sorted[k - 1].I < half) { f1 = crossing(sorted[k - 1], sorted[k]); break; }
+  for (let k = peak; k < sorted.length - 1; k++) if (sorted[k + 1].I < half) { f2 = crossing(sorted[k], sorted[k + 1]); break; }
+  const bw = f1 != null && f2 != null ? f2 - f1 : null;
+  const z0 = sorted[peak].I !== 0 ? sorted[peak].V / sorted[peak].I : NaN;
+  return {
+    quantities: [
+      quantity("f0", "Resonant frequency (current peak)", { value: f0 }, "Hz"),
+      quantity("Imax", "Current at resonance", { value: sorted[peak].I }, "A"),
+      quantity("Z0", "Impedance at resonance (= R)", { value: z0 }, "Ω"),
+      ...(bw != null
+        ? [quantity("BW", "Bandwidth f2 - f1", { value: bw }, "Hz"), quantity("Q", "Quality factor f0 / BW", { value: f0 / bw })]
+        : []),
+    ],
+    steps: [
+      `Peak current Imax = ${formatNumber(sorted[peak].I)} A at f0 = ${formatNumber(f0)} Hz`,
+      `Half-power level Imax/√2 = ${formatNumber(half)} A`,
+      bw != null
+        ? `f1 = ${formatNumber(f1)} Hz, f2 = ${formatNumber(f2)} Hz (linear interpolation) ; BW = ${formatNumber(bw)} Hz, Q = f0/BW = ${formatNumber(f0 / bw)}`
+        : "The current does not fall below Imax/√2 on both sides: extend the sweep to find the bandwidth.",
+      `Z0 = V/I at resonance = ${formatNumber(z0)} Ω`,
+    ],
+    notes: ["The t column is read as the source frequency in Hz."],
+    plot: plotOf(
+      sorted.map((r) => ({ x: r.t, y: r.I })),
+      null,
+      { xLabel: "Frequency f (Hz)", yLabel: "Current I (A)" }
+    ),
+    result:
+      `Resonance at f0 = ${formatNumber(f0)} Hz with Imax = ${formatNumber(sorted[peak].I)} A` +
+      (bw != null ? `, bandwidth ${formatNumber(bw)} Hz and Q = ${formatNumber(f0 / bw)}.` : "."),
+  };
+}
+
+// V: DC output voltage, I: load current — regulation from V = Vnl - Ro·I
+function regulationAnalysis(rows) {
+  const fit = linearFit(
+    rows.map((r) => r.I),
+    rows.map((r) => r.V)
+  );
+  if (!fit) return fail("Vary the load current to find the regulation");
+  const full = rows.reduce((a, b) => (b.I > a.I ? b : a), rows[0]);
+  const vnl = fitted(fit, "intercept");
+  const reg = percentDiff(vnl.value, full.V);
+  return {
+    quantities: [
+      quantity("Vnl", "No-load output voltage (intercept)", vnl, "V"),
+      quantity("Ro", "Output resistance (-slope)", { value: -fit.slope, u: fit.sSlope }, "Ω"),
+      quantity("Reg", `Load regulation at ${formatNumber(full.I)} A`, { value: reg }, "%"),
+      quantity("R²", "Coefficient of determination", { value: fit.r2 }),
+    ],
+    fit,
+    steps: [
+      ...fitSteps(fit, "I", "V"),
+      `Vnl = intercept = ${formatMeasurement(vnl.value, vnl.u, "V")}, Ro = -slope = ${formatMeasurement(-fit.slope, fit.sSlope, "Ω")}`,
+      `Regulation = (Vnl - Vfl) / Vfl × 100 = (${formatNumber(vnl.value)} - ${formatNumber(full.V)}) / ${formatNumber(full.V)} × 100 = ${formatNumber(reg)} %`,
+    ],
+    notes: ["V is the DC output voltage and I the load current."],
+    plot: plotOf(
+      rows.map((r) => ({ x: r.I, y: r.V })),
+      fit,
+      { xLabel: "Load current I (A)", yLabel: "Output voltage V (V)", extend: [0] }
+    ),
+    result: `Load regulation ${formatNumber(reg)} % with output resistance ${formatMeasurement(-fit.slope, fit.sSlope, "Ω")}.`,
+  };
+}
+
+// breakdown region (I ≥ 10 % of the largest current): V = Vz0 + rz·I
+function zenerAnalysis(rows) {
+  const imax = Math.max(...rows.map((r) => r.I));
+  const on = rows.filter((r) => r.I >= 0.1 * imax && r.I > 0);
+  const fit = linearFit(
+    on.map((r) => r.I),
+    on.map((r) => r.V)
+  );
+  if (!fit) return fail("Record at least two readings in the breakdown region (rising current)");
+  const vz = fitted(fit, "intercept");
+  return {
+    quantities: [
+      quantity("Vz0", "Breakdown voltage (intercept)", vz, "V"),
+      quantity("rz", "Dynamic resistance (slope)", fitted(fit, "slope"), "Ω"),
+      quantity("R²", "Coefficient of determination", { value: fit.r2 }),
+    ],
+    fit,
+    steps: [`Breakdown region: ${on.length} readings with I ≥ ${formatNumber(0.1 * imax)} A`, ...fitSteps(fit, "I", "V")],
+    plot: plotOf(
+      rows.map((r) => ({ x: r.I, y: r.V })),
+      fit,
+      { xLabel: "Zener current I (A)", yLabel: "Zener voltage V (V)", extend: [0] }
+    ),
+    result: `Zener voltage Vz0 = ${formatMeasurement(vz.value, vz.u, "V")} with dynamic resistance ${formatMeasurement(fit.slope, fit.sSlope, "Ω")}; the output stays within ${formatNumber(Math.max(...on.map((r) => r.V)) - Math.min(...on.map((r) => r.V)))} V over the range.`,
+  };
+}
+
+const THERMAL_VOLTAGE = 0.02585; // kT/q at 300 K
+
+// forward bias: knee voltage and dynamic resistance from the conducting part,
+// ideality factor and saturation current from ln I = ln Is + V / (n·VT)
+function diodeAnalysis(rows) {
+  const forward = rows.filter((r) => r.V > 0 && r.I > 0).sort((a, b) => a.V - b.V);
+  if (forward.length < 2) return fail("Record at least two forward-bias readings (V > 0, I > 0)");
+  const imax = Math.max(...forward.map((r) => r.I));
+  const conducting = forward.filter((r) => r.I >= 0.2 * imax);
+  const onFit = linearFit(
+    (conducting.length >= 2 ? conducting : forward).map((r) => r.V),
+    (conducting.length >= 2 ? conducting : forward).map((r) => r.I)
+  );
+  if (!onFit || onFit.slope <= 0) return fail("The forward current must rise with voltage");
+  const cov = onFit.sSlope == null ? [] : fitCovariance(onFit);
+  const knee = quantity("Vk", "Knee voltage (line extrapolated to I = 0)", propagate((b, a) => -a / b, [onFit.slope, onFit.intercept], cov), "V");
+  const rd = quantity("rd", "Dynamic resistance (1 / slope of I–V)", propagate((b) => 1 / b, [onFit.slope], [onFit.sSlope]), "Ω");
+
+  const logFit = linearFit(
+    forward.map((r) => r.V),
+    forward.map((r) => Math.log(r.I))
+  );
+  const shockley =
+    logFit && logFit.slope > 0
+      ? [
+          quantity("n", "Ideality factor 1 / (slope·VT)", propagate((b) => 1 / (b * THERMAL_VOLTAGE), [logFit.slope], [logFit.sSlope])),
+          quantity("Is", "Saturation current exp(intercept)", propagate((a) => Math.exp(a), [logFit.intercept], [logFit.sIntercept]), "A"),
+        ]
+      : [];
+  const reverse = rows.filter((r) => r.V < 0);
+
+  return {
+    quantities: [
+      knee,
+      rd,
+      ...shockley,
+      ...(reverse.length ? [quantity("Ir", "Mean reverse (leakage) current", meanOf(reverse.map((r) => r.I)), "A")] : []),
+    ],
+    fit: onFit,
+    steps: [
+      `Conducting region: ${conducting.length >= 2 ? conducting.length : forward.length} forward readings`,
+      ...fitSteps(onFit, "V", "I"),
+      `Vk = -intercept / slope = ${formatMeasurement(knee.value, knee.u, "V")}, rd = 1 / slope = ${formatMeasurement(rd.value, rd.u, "Ω")}`,
+      ...(logFit && shockley.length
+        ? [
+            ...fitSteps(logFit, "V", "ln I"),
+            `n = 1 / (slope·VT) with VT = ${THERMAL_VOLTAGE} V, so n = ${formatMeasurement(shockley[0].value, shockley[0].u)}`,
+            `Is = exp(intercept) = ${formatMeasurement(shockley[1].value, shockley[1].u, "A")}`,
+          ]
+        : []),
+    ],
+    notes: ["The Shockley fit assumes the readings are below high-injection / series-resistance effects."],
+    plot: plotOf(
+      rows.map((r) => ({ x: r.V, y: r.I })),
+      onFit,
+      { xLabel: "Voltage V (V)", yLabel: "Current I (A)", lineRange: [knee.value, forward[forward.length - 1].V] }
+    ),
+    result: `Knee voltage ${formatMeasurement(knee.value, knee.u, "V")}, dynamic resistance ${formatMeasurement(rd.value, rd.u, "Ω")}` + (shockley.length ? `, ideality factor n = ${formatMeasurement(shockley[0].value, shockley[0].u)}.` : "."),
+  };
+}
+
+// V: collector-emitter voltage, I: collector current; active region past the knee (upper half of VCE)
+function transistorAnalysis(rows) {
+  const sorted = rows.slice().sort((a, b) => a.V - b.V);
+  const active = sorted.slice(Math.floor(sorted.length / 2));
+  const fit = linearFit(
+    active.map((r) => r.V),
+    active.map((r) => r.I)
+  );
+  if (!fit || fit.slope <= 0) return fail("Record the collector current at rising VCE into the active region");
+  const cov = fit.sSlope == null ? [] : fitCovariance(fit);
+  const ro = quantity("ro", "Output resistance 1 / slope", propagate((b) => 1 / b, [fit.slope], [fit.sSlope]), "Ω");
+  const va = quantity("VA", "Early voltage intercept / slope", propagate((b, a) => a / b, [fit.slope, fit.intercept], cov), "V");
+  return {
+    quantities: [ro, va, quantity("go", "Output conductance (slope)", fitted(fit, "slope"), "S")],
+    fit,
+    steps: [
+      `Active region: ${active.length} readings with VCE ≥ ${formatNumber(active[0].V)} V`,
+      ...fitSteps(fit, "V", "I"),
+      `ro = 1 / slope = ${formatMeasurement(ro.value, ro.u, "Ω")}, VA = intercept / slope = ${formatMeasurement(va.value, va.u, "V")}`,
+    ],
+    notes: ["V is VCE and I is IC at a fixed base current."],
+    plot: plotOf(
+      sorted.map((r) => ({ x: r.V, y: r.I })),
+      fit,
+      { xLabel: "VCE (V)", yLabel: "IC (A)", lineRange: [active[0].V, active[active.length - 1].V] }
+    ),
+    result: `Output resistance ${formatMeasurement(ro.value, ro.u, "Ω")} and Early voltage ${formatMeasurement(va.value, va.u, "V")} in the active region.`,
+  };
+}
+
+// row 1: open-circuit test (V0, I0); row 2: short-circuit test (Vsc, Isc)
+function transformerAnalysis(rows, res) {
+  if (rows.length < 2 || rows[0].I === 0 || rows[1].I === 0) return fail("Record the open-circuit test in row 1 and the short-circuit test in row 2");
+  const z0 = fromReading(rows[0], res);
+  const zeq = fromReading(rows[1], res);
+  return {
+    quantities: [
+      quantity("Z0", "No-load (shunt branch) impedance V0 / I0", z0, "Ω"),
+      quantity("Zeq", "Equivalent series impedance Vsc / Isc", zeq, "Ω"),
+      quantity("I0", "No-load current", { value: rows[0].I }, "A"),
+    ],
+    steps: [
+      `OC test: Z0 = V0 / I0 = ${formatNumber(rows[0].V)} / ${formatNumber(rows[0].I)} = ${formatMeasurement(z0.value, z0.u, "Ω")}`,
+      `SC test: Zeq = Vsc / Isc = ${formatNumber(rows[1].V)} / ${formatNumber(rows[1].I)} = ${formatMeasurement(zeq.value, zeq.u, "Ω")}`,
+    ],
+    notes: ["Splitting Z0 into R0 / X0 and Zeq into Req / Xeq needs the wattmeter readings of both tests."],
+    result: `Shunt impedance Z0 = ${formatMeasurement(z0.value, z0.u, "Ω")}, equivalent series impedance Zeq = ${formatMeasurement(zeq.value, zeq.u, "Ω")}.`,
+  };
+}
+
+// V: line voltage, I: line current; S = √3·VL·IL per reading
+function threePhaseAnalysis(rows, res) {
+  const s = rows.map((r) => ({ t: r.t, ...fromReading(r, res, (v, i) => Math.sqrt(3) * v * i) }));
+  const mean = meanOf(s.map((p) => p.value));
+  return {
+    quantities: [quantity("S", "Apparent power √3·VL·IL (mean)", mean, "VA")],
+    steps: s.map((p) => `t = ${formatNumber(p.t)}: S = √3·VL·IL = ${formatMeasurement(p.value, p.u, "VA")}`),
+    notes: ["Total power P = W1 + W2 and the power factor need the two wattmeter readings."],
+    plot: plotOf(
+      rows.map((r) => ({ x: r.I, y: Math.sqrt(3) * r.V * r.I })),
+      null,
+      { xLabel: "Line current IL (A)", yLabel: "Apparent power S (VA)" }
+    ),
+    result: `Mean apparent power ${formatMeasurement(mean.value, mean.u, "VA")}.`,
+  };
+}
+
+const apparentPower = (rows, res) => {
+  const s = meanOf(rows.map((r) => fromReading(r, res, (v, i) => v * i).value));
+  return [quantity("S", "Mean apparent power V·I", s, "VA")];
+};
+
+// a straight line only verifies Ohm's law when V rises with I
+const ohmResult = (slope, fit) =>
+  `R = ${formatMeasurement(slope.value, slope.u, "Ω")} from the slope of the V–I graph (R² = ${fit.r2.toFixed(4)}). The graph is ${linearity(fit)}` +
+  (slope.value <= 0 ? ", but V does not rise with I; check the meter polarity." : fit.r2 >= 0.99 ? ", so Ohm's law is verified." : ".");
+
+const slopeResult = (slope, fit) =>
+  `${slope.symbol} = ${formatMeasurement(slope.value, slope.u, "Ω")} from the slope of the V–I graph (R² = ${fit.r2.toFixed(4)}).`;
+
+const pfNote = "The power factor needs the wattmeter reading (cos φ = P / V·I).";
+
+/* ============================
+   titleID -> analysis (unknown ids get the V–I fit)
+   ============================ */
+export const EXPERIMENT_ANALYSES = {
+  "ohm-01": { label: "Resistance from the V–I slope", run: ohmic({ result: ohmResult }) },
+  "kirchhoff-01": { label: "KVL / KCL sums", run: kirchhoffAnalysis },
+  "resistor-01": { label: "Series / parallel equivalent", run: resistorAnalysis },
+  "acpower-01": {
+    label: "Impedance and apparent power",
+    run: ohmic({ symbol: "Z", label: "Impedance", result: slopeResult, extra: apparentPower }),
+    notes: [pfNote],
+  },
+  "thevenin-01": { label: "Thevenin equivalent from load line", run: theveninAnalysis("thevenin") },
+  "norton-01": { label: "Norton equivalent from load line", run: theveninAnalysis("norton") },
+  "superposition-01": { label: "Superposition sums", run: superpositionAnalysis },
+  "maxpower-01": { label: "Maximum power transfer", run: maxPowerAnalysis },
+  "rlcseries-01": {
+    label: "Series RLC impedance",
+    run: ohmic({ symbol: "Z", label: "Impedance", result: slopeResult, extra: apparentPower }),
+    notes: [pfNote],
+  },
+  "energymeter-01": { label: "Energy from power readings", run: energyAnalysis },
+  "resonance-01": { label: "Resonance, bandwidth and Q", run: resonanceAnalysis },
+  "rectifier-half-01": { label: "Rectifier load regulation", run: regulationAnalysis },
+  "rectifier-full-01": { label: "Rectifier load regulation", run: regulationAnalysis },
+  "rectifier-bridge-01": { label: "Rectifier load regulation", run: regulationAnalysis },
+  "zener-01": { label: "Zener voltage and dynamic resistance", run: zenerAnalysis },
+  "transistor-ce-01": { label: "CE output characteristics", run: transistorAnalysis },
+  "led-01": { label: "LED knee voltage and ideality", run: diodeAnalysis },
+  "pn-junction-01": { label: "Diode knee voltage and ideality", run: diodeAnalysis },
+  "transformer-ocsc-01": { label: "OC / SC test impedances", run: transformerAnalysis },
+  "threephase-01": { label: "Three-phase apparent power", run: threePhaseAnalysis },
+};
+
+const DEFAULT_ANALYSIS = { label: "Resistance from the V–I slope", run: ohmic({ result: slopeResult }) };
+
+/* ============================
+   analyseObservations(titleID, observations, { resolution }) ->
+     { ok: true, label, n, quantities: [{ symbol, label, value, u, unit }], steps: [string],
+       notes: [string], fit, plot: { xLabel, yLabel, points, line, connect } | null, result }
+   | { ok: false, label, n, reason }
+   ============================ */
+export function analyseObservations(titleID, observations, { resolution } = {}) {
+  const spec = EXPERIMENT_ANALYSES[titleID] ?? DEFAULT_ANALYSIS;
+  const rows = readings(observations);
+  const base = { label: spec.label, n: rows.length };
+  if (rows.length < 2) return { ...base, ok: false, reason: "Not enough data points" };
+
+  const res = { ...INSTRUMENT_RESOLUTION, ...resolution };
+  const out = spec.run(rows, res);
+  if (out.ok === false) return { ...base, ...out };
+  return {
+    ...base,
+    ok: true,
+    fit: null,
+    plot: null,
+    ...out,
+    notes: [...(out.notes ?? []), ...(spec.notes ?? []), `Meter resolution: ${res.V} V, ${res.I} A.`],
+  };
+}
+
+// worked calculations as plain text (PDF calculations section / exports)
+export function formatAnalysis(analysis) {
+  if (!analysis?.ok) return analysis?.reason ?? "";
+  return [
+    ...analysis.steps,
+    "",
+    ...analysis.quantities.map((q) => `${formatQuantity(q)}   (${q.label})`),
+    ...(analysis.notes.length ? ["", ...analysis.notes.map((n) => `Note: ${n}`)] : []),
+  ].join("\n");
+}
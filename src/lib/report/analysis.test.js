@@ -0,0 +1,22 @@
+// src/lib/report/analysis.test.js
+import { describe, expect, it } from "vitest";
+import { analyseObservations } from "./analysis";
+
+const rows = (pairs) => pairs.map(([V, I], i) => ({ t: String(i + 1), V: String(V), I: String(I), remark: "" }));
+
+describe("Ohm's law analysis", () => {
+  it("verifies the law for a straight line through rising readings", () => {
+    const analysis = analyseObservations("ohm-01", rows([[1, 0.01], [2, 0.02], [3, 0.03], [4, 0.04]]));
+    expect(analysis.ok).toBe(true);
+    expect(analysis.quantities[0].value).toBeCloseTo(100, 9);
+    expect(analysis.result).toMatch(/Ohm's law is verified\.$/);
+  });
+
+  it("does not verify it when V falls as I rises", () => {
+    const analysis = analyseObservations("ohm-01", rows([[4, 0.01], [3, 0.02], [2, 0.03], [1, 0.04]]));
+    expect(analysis.ok).toBe(true);
+    expect(analysis.quantities[0].value).toBeLessThan(0);
+    expect(analysis.result).not.toMatch(/verified/);
+    expect(analysis.result).toMatch(/check the meter polarity\.$/);
+  });
+});
@@ -0,0 +1,353 @@
+// src/lib/report/docx.js
+import { zipSync, strToU8 } from "fflate";
+import { resolveLabReport, stripMarkdown } from "./layout.js";
+import { formatAnalysis, formatNumber } from "./analysis.js";
+import { REPORT_SECTIONS, REPORT_THEMES } from "./templates.js";
+import { decodeImage, fitImage } from "./images.js";
+
+/* ============================
+   Lab report as a Word document (.docx) — same payload, sections and order as the PDF
+   - built as Office Open XML parts zipped with fflate; no template file is needed
+   - always uses the "print" colours (a document is edited on white pages)
+   - the auto-plotted graph becomes a native scatter chart (readings + fitted line)
+     with its values inline, so Word and LibreOffice draw it without a workbook;
+     the captured chart, circuit diagram and logo are embedded as pictures
+   ============================ */
+const NS = {
+  w: "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+  r: "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+  wp: "http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing",
+  a: "http://schemas.openxmlformats.org/drawingml/2006/main",
+  pic: "http://schemas.openxmlformats.org/drawingml/2006/picture",
+  c: "http://schemas.openxmlformats.org/drawingml/2006/chart",
+};
+const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// A4 with 2 cm margins, in twentieths of a point; drawings are sized in EMU
+const PAGE = { width: 11906, height: 16838, margin: 1134 };
+const TEXT_WIDTH = PAGE.width - 2 * PAGE.margin;
+const EMU_PER_PX = 9525; // 96 dpi
+const MAX_IMAGE = { width: 6.3 * 914400, height: 4.2 * 914400 };
+
+const theme = REPORT_THEMES.print;
+const hex = (color) => String(color ?? "000000").replace("#", "");
+
+// text content / attribute value; characters XML 1.0 does not allow are dropped
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/[^\t\n\r -\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/* ============================
+   WordprocessingML helpers
+   ============================ */
+// one run; "\n" becomes a line break
+function run(text, { bold, italic, size, color } = {}) {
+  const props = [
+    bold && "<w:b/>",
+    italic && "<w:i/>",
+    color && `<w:color w:val="${hex(color)}"/>`,
+    size && `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>`,
+  ].filter(Boolean);
+  const body = String(text ?? "")
+    .split("\n")
+    .map((line) => `<w:t xml:space="preserve">${esc(line)}</w:t>`)
+    .join("<w:br/>");
+  return `<w:r>${props.length ? `<w:rPr>${props.join("")}</w:rPr>` : ""}${body}</w:r>`;
+}
+
+// paragraph of runs; align: left | center | right | both
+function para(runs = "", { style, align, before, after, keepNext, pageBreak, border } = {}) {
+  const props = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    keepNext && "<w:keepNext/>",
+    pageBreak && "<w:pageBreakBefore/>",
+    border && `<w:pBdr><w:${border} w:val="single" w:sz="6" w:space="4" w:color="${hex(theme.rule)}"/></w:pBdr>`,
+    (before != null || after != null) && `<w:spacing${before != null ? ` w:before="${before}"` : ""}${after != null ? ` w:after="${after}"` : ""}/>`,
+    align && `<w:jc w:val="${align}"/>`,
+  ].filter(Boolean);
+  return `<w:p>${props.length ? `<w:pPr>${props.join("")}</w:pPr>` : ""}${runs}</w:p>`;
+}
+
+const heading = (title, newPage) => para(run(title), { style: "Heading1", pageBreak: newPage });
+
+// blank-line separated paragraphs
+const paragraphs = (text, options) =>
+  String(text ?? "")
+    .split(/\n{2,}/)
+    .map((block) => para(run(block.trim()), options))
+    .join("");
+
+// widths in twips; rows: [[cell xml]]; shade(ri) -> fill colour or null
+function table(widths, rows, { borders = true, shade } = {}) {
+  const line = borders ? `w:val="single" w:sz="4" w:space="0" w:color="${hex(theme.grid)}"` : 'w:val="nil"';
+  const borderXml = ["top", "left", "bottom", "right", "insideH", "insideV"].map((side) => `<w:${side} ${line}/>`).join("");
+  const grid = widths.map((w) => `<w:gridCol w:w="${w}"/>`).join("");
+  const body = rows
+    .map((cells, ri) => {
+      const fill = shade?.(ri);
+      const header = ri === 0 && shade ? "<w:trPr><w:tblHeader/></w:trPr>" : "";
+      const tcs = cells
+        .map(
+          (cell, ci) =>
+            `<w:tc><w:tcPr><w:tcW w:w="${widths[ci]}" w:type="dxa"/>${fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${hex(fill)}"/>` : ""}<w:vAlign w:val="center"/></w:tcPr>${cell}</w:tc>`
+        )
+        .join("");
+      return `<w:tr>${header}${tcs}</w:tr>`;
+    })
+    .join("");
+  return `<w:tbl><w:tblPr><w:tblW w:w="${widths.reduce((a, b) => a + b, 0)}" w:type="dxa"/><w:jc w:val="center"/><w:tblBorders>${borderXml}</w:tblBorders><w:tblLayout w:type="fixed"/><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${body}</w:tbl>`;
+}
+
+/* ============================
+   Document builder — collects media / chart parts while the body is written
+   ============================ */
+function createDocument() {
+  const parts = {};
+  const rels = [`<Relationship Id="rId1" Type="${REL}/styles" Target="styles.xml"/>`];
+  let drawingId = 0;
+
+  const relate = (type, target) => {
+    const id = `rId${rels.length + 1}`;
+    rels.push(`<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/>`);
+    return id;
+  };
+
+  const inline = (cx, cy, name, graphicData) => {
+    drawingId += 1;
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:effectExtent l="0" t="0" r="0" b="0"/><wp:docPr id="${drawingId}" name="${esc(name)} ${drawingId}"/><wp:cNvGraphicFramePr/><a:graphic xmlns:a="${NS.a}">${graphicData}</a:graphic></wp:inline></w:drawing></w:r>`;
+  };
+
+  // data URL -> picture run, or null when it cannot be decoded
+  const image = (dataURL, maxWidth = MAX_IMAGE.width, maxHeight = MAX_IMAGE.height) => {
+    const img = decodeImage(dataURL);
+    if (!img) return null;
+    const file = `image${Object.keys(parts).filter((p) => p.startsWith("word/media/")).length + 1}.${img.ext}`;
+    parts[`word/media/${file}`] = img.bytes;
+    const id = relate("image", `media/${file}`);
+    const size = fitImage({ width: img.width * EMU_PER_PX, height: img.height * EMU_PER_PX }, maxWidth, maxHeight);
+    const cx = Math.round(size.width);
+    const cy = Math.round(size.height);
+    return inline(
+      cx,
+      cy,
+      "Picture",
+      `<a:graphicData uri="${NS.pic}"><pic:pic xmlns:pic="${NS.pic}"><pic:nvPicPr><pic:cNvPr id="0" name="${file}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData>`
+    );
+  };
+
+  const chart = (plot) => {
+    const file = `chart${Object.keys(parts).filter((p) => p.startsWith("word/charts/")).length + 1}.xml`;
+    parts[`word/charts/${file}`] = strToU8(XML_HEAD + chartXml(plot));
+    const id = relate("chart", `charts/${file}`);
+    return inline(MAX_IMAGE.width, Math.round(3.4 * 914400), "Chart", `<a:graphicData uri="${NS.c}"><c:chart xmlns:c="${NS.c}" r:id="${id}"/></a:graphicData>`);
+  };
+
+  return { parts, rels, image, chart };
+}
+
+/* ============================
+   Scatter chart (DrawingML) for analysis.plot
+   ============================ */
+const numLit = (values) =>
+  `<c:numLit><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>${values
+    .map((v, i) => `<c:pt idx="${i}"><c:v>${v}</c:v></c:pt>`)
+    .join("")}</c:numLit>`;
+
+const solid = (color) => `<a:solidFill><a:srgbClr val="${hex(color)}"/></a:solidFill>`;
+
+function series(idx, name, points, { line, marker }) {
+  const ln = line ? `<a:ln w="19050">${solid(line)}</a:ln>` : '<a:ln w="19050"><a:noFill/></a:ln>';
+  const mk = marker ? `<c:marker><c:symbol val="circle"/><c:size val="5"/><c:spPr>${solid(marker)}<a:ln><a:noFill/></a:ln></c:spPr></c:marker>` : '<c:marker><c:symbol val="none"/></c:marker>';
+  return `<c:ser><c:idx val="${idx}"/><c:order val="${idx}"/><c:tx><c:v>${esc(name)}</c:v></c:tx><c:spPr>${ln}</c:spPr>${mk}<c:xVal>${numLit(points.map((p) => p.x))}</c:xVal><c:yVal>${numLit(points.map((p) => p.y))}</c:yVal><c:smooth val="0"/></c:ser>`;
+}
+
+function axis(id, crossId, position, title) {
+  const label = `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:pPr><a:defRPr sz="900" b="0"/></a:pPr><a:r><a:rPr lang="en-US" sz="900" b="0"/><a:t>${esc(title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>`;
+  return `<c:valAx><c:axId val="${id}"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="${position}"/><c:majorGridlines><c:spPr><a:ln w="3175">${solid(theme.grid)}</a:ln></c:spPr></c:majorGridlines>${label}<c:numFmt formatCode="General" sourceLinked="0"/><c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="low"/><c:crossAx val="${crossId}"/><c:crosses val="min"/><c:crossBetween val="midCat"/></c:valAx>`;
+}
+
+function chartXml(plot) {
+  const finite = plot.points.filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  const marks = finite.length <= 80;
+  const ser = [series(0, "Readings", finite, { line: plot.connect ? theme.point : null, marker: marks ? theme.point : null })];
+  if (plot.line) ser.push(series(1, "Least-squares fit", plot.line, { line: theme.fit }));
+  return `<c:chartSpace xmlns:c="${NS.c}" xmlns:a="${NS.a}" xmlns:r="${NS.r}"><c:roundedCorners val="0"/><c:chart><c:autoTitleDeleted val="1"/><c:plotArea><c:layout/><c:scatterChart><c:scatterStyle val="lineMarker"/><c:varyColors val="0"/>${ser.join("")}<c:axId val="500001"/><c:axId val="500002"/></c:scatterChart>${axis(500001, 500002, "b", plot.xLabel)}${axis(500002, 500001, "l", plot.yLabel)}</c:plotArea><c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend><c:plotVisOnly val="1"/></c:chart><c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr></c:chartSpace>`;
+}
+
+/* ============================
+   Header and sections (mirror drawClassicHeader / drawInstitutionHeader / LAB_SECTIONS)
+   ============================ */
+function classicHeader(d) {
+  return [
+    para(run(d.college, { bold: true, size: 20, color: theme.heading }), { align: "center", after: 60 }),
+    para(run(d.title, { bold: true, size: 12, color: theme.title }), { align: "center", after: 240 }),
+    para(run(`Student: ${d.author || "-"}`, { size: 10, color: theme.muted }), { after: 40 }),
+    d.roll && para(run(`Roll No: ${d.roll}`, { size: 10, color: theme.muted }), { after: 40 }),
+    para(run(`Date: ${d.date || "-"}`, { size: 10, color: theme.muted }), { after: 240 }),
+  ]
+    .filter(Boolean)
+    .join("");
+}
+
+function institutionHeader(doc, d) {
+  const logo = doc.image(d.logoBase64, 0.8 * 914400, 0.8 * 914400);
+  const align = logo ? "left" : "center";
+  const name = [
+    para(run(d.college, { bold: true, size: 16, color: theme.heading }), { align, after: 40 }),
+    d.courseCode && para(run(`Course: ${d.courseCode}`, { size: 10, color: theme.muted }), { align, after: 0 }),
+  ]
+    .filter(Boolean)
+    .join("");
+  const top = logo ? table([1300, TEXT_WIDTH - 1300], [[para(logo), name]], { borders: false }) : name;
+  const cell = (text) => para(run(text, { size: 10, color: theme.text }), { after: 0 });
+  const half = TEXT_WIDTH / 2;
+  return [
+    top,
+    para("", { border: "bottom", after: 160 }),
+    para(run(d.title, { bold: true, size: 13, color: theme.title }), { align: "center", after: 160 }),
+    table(
+      [half, half],
+      [
+        [cell(`Name: ${d.author || "-"}`), cell(`Roll No: ${d.roll || "-"}`)],
+        [cell(`Course: ${d.courseCode || "-"}`), cell(`Date: ${d.date || "-"}`)],
+      ]
+    ),
+    para("", { after: 120 }),
+  ].join("");
+}
+
+function setupLines(d) {
+  const entries = Object.entries(d.parameters ?? {}).filter(([, v]) => v !== null && v !== "");
+  const muted = { size: 9, color: theme.muted };
+  return [
+    d.source && para(run(`Recorded with: ${d.source}`, muted), { after: 0 }),
+    entries.length && para(run(`Parameters: ${entries.map(([k, v]) => `${k} = ${v}`).join(",   ")}`, muted), { after: 0 }),
+  ]
+    .filter(Boolean)
+    .join("");
+}
+
+function observationTable(observations) {
+  const widths = [50, 120, 120, 180].map((w) => Math.round((w / 470) * TEXT_WIDTH));
+  const cell = (text, bold) => para(run(String(text), { bold, size: bold ? 10 : 9, color: bold ? theme.tableHeadText : theme.text }), { align: "center", before: 40, after: 40 });
+  const rows = [
+    ["t", "Voltage (V)", "Current (A)", "Remarks"].map((h) => cell(h, true)),
+    ...observations.map((row, i) => [row.t ?? i + 1, row.V ?? "", row.I ?? "", row.remark ?? ""].map((v) => cell(v))),
+  ];
+  return table(widths, rows, { shade: (ri) => (ri === 0 ? theme.tableHead : theme.rows[(ri - 1) % 2]) });
+}
+
+const note = (text) => para(run(text, { size: 9, color: theme.note }), { align: "center" });
+
+const LAB_SECTIONS = {
+  objective: (doc, d) => para(run(d.objective), { align: "both" }),
+  description: (doc, d) => paragraphs(stripMarkdown(d.description), { align: "both" }),
+  apparatus: (doc, d) => para(run(d.apparatus)),
+  procedure: (doc, d) =>
+    stripMarkdown(d.procedure)
+      .split("\n")
+      .map((step) => para(run("• " + step.trim()), { after: 40 }))
+      .join(""),
+  observations: (doc, d) => setupLines(d) + observationTable(d.observations) + para(""),
+  graph: (doc, d) => {
+    const plot = d.analysis.ok ? d.analysis.plot : null;
+    const fit = d.analysis.fit;
+    const out = [];
+    if (plot) {
+      out.push(para(doc.chart(plot), { align: "center", keepNext: true }));
+      out.push(
+        note(
+          plot.caption ??
+            (fit
+              ? `Points: readings. Line: least-squares fit y = ${formatNumber(fit.intercept)} + ${formatNumber(fit.slope)}·x (R² = ${fit.r2.toFixed(4)}).`
+              : "Points: readings.")
+        )
+      );
+    }
+    const chart = doc.image(d.chartImageBase64);
+    if (chart) out.push(para(chart, { align: "center" }));
+    else if (d.chartImageBase64) out.push(para(run("⚠ Failed to embed chart image.", { color: theme.error })));
+    else if (!plot) out.push(note("No chart image provided."));
+    return out.join("");
+  },
+  circuit: (doc, d) => para(doc.image(d.circuitImageBase64) ?? run("⚠ Error displaying circuit image.", { color: theme.error }), { align: "center" }),
+  calculations: (doc, d) => {
+    const notes = typeof d.calculations === "string" ? d.calculations.trim() : "";
+    const out = [];
+    if (d.analysis.ok) {
+      out.push(para(run(d.analysis.label, { bold: true }), { after: 60 }));
+      formatAnalysis(d.analysis)
+        .split("\n")
+        .forEach((line) => out.push(para(run(line, { size: 9 }), { after: 20 })));
+    }
+    if (notes) out.push(paragraphs(notes, { align: "both", before: d.analysis.ok ? 120 : 0 }));
+    else if (!d.analysis.ok) out.push(para(run(d.analysis.reason || "No calculations provided."), { align: "both" }));
+    return out.join("");
+  },
+  result: (doc, d) => para(run(d.result || (d.analysis.ok && d.analysis.result) || "No result provided."), { align: "both" }),
+  conclusion: (doc, d) => para(run(stripMarkdown(d.conclusion) || "No conclusion provided."), { align: "both" }),
+  signatures: () => {
+    const sign = (label) => para(run(label, { color: theme.text }), { border: "top", before: 720 });
+    const w = Math.round(TEXT_WIDTH * 0.35);
+    return table([w, TEXT_WIDTH - 2 * w, w], [[sign("Student Signature"), para(""), sign("Instructor Signature")]], { borders: false });
+  },
+};
+
+/* ============================
+   Package parts
+   ============================ */
+function stylesXml() {
+  return `<w:styles xmlns:w="${NS.w}"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri" w:eastAsia="Calibri"/><w:color w:val="${hex(theme.text)}"/><w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="100" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="300" w:after="100"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="${hex(theme.heading)}"/><w:sz w:val="28"/><w:szCs w:val="28"/><w:u w:val="single"/></w:rPr></w:style><w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:tblPr><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style></w:styles>`;
+}
+
+function contentTypesXml(parts) {
+  const overrides = Object.keys(parts)
+    .filter((p) => p.startsWith("word/charts/"))
+    .map((p) => `<Override PartName="/${p}" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>`)
+    .join("");
+  return `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Default Extension="png" ContentType="image/png"/><Default Extension="jpeg" ContentType="image/jpeg"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>${overrides}</Types>`;
+}
+
+function coreXml(d) {
+  return `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${esc(d.title)}</dc:title><dc:creator>${esc(d.author)}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, "Z")}</dcterms:created></cp:coreProperties>`;
+}
+
+/* ============================
+   buildLabDocx(payload) -> Uint8Array (.docx bytes)
+   payload: the lab report payload (REPORT_SCHEMAS.lab), validated by the caller
+   ============================ */
+export function buildLabDocx(payload = {}) {
+  const { d, template, sections } = resolveLabReport(payload);
+  const doc = createDocument();
+
+  const body = [template.header === "institution" ? institutionHeader(doc, d) : classicHeader(d)];
+  sections.forEach(({ id, newPage }) => {
+    const draw = LAB_SECTIONS[id];
+    if (!draw) return;
+    if (id !== "signatures") body.push(heading(REPORT_SECTIONS[id], newPage));
+    body.push(draw(doc, d));
+  });
+
+  const documentXml = `<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}" xmlns:a="${NS.a}" xmlns:pic="${NS.pic}"><w:body>${body.join("")}<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/><w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+  const xml = (s) => strToU8(XML_HEAD + s);
+
+  return zipSync(
+    {
+      "[Content_Types].xml": xml(contentTypesXml(doc.parts)),
+      "_rels/.rels": xml(
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`
+      ),
+      "docProps/core.xml": xml(coreXml(d)),
+      "word/document.xml": xml(documentXml),
+      "word/styles.xml": xml(stylesXml()),
+      "word/_rels/document.xml.rels": xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${doc.rels.join("")}</Relationships>`),
+      ...doc.parts,
+    },
+    { level: 6 }
+  );
+}
@@ -0,0 +1,46 @@
+// src/lib/report/draft.js
+
+/* ============================
+   Lab report drafts — readings handed from a simulator page to LabReportGenerator
+   - the sending page stores { titleID, title, source, observations, parameters,
+     chartImageBase64 } and navigates to LAB_REPORT_ROUTE; the generator reads the
+     draft into its initial state and clears it, so a reload does not apply it twice
+   - sessionStorage keeps it to the tab; when the snapshot does not fit the storage
+     quota the draft is kept without it
+   ============================ */
+export const LAB_REPORT_ROUTE = "/topics/labs/lab-report-gen";
+const DRAFT_KEY = "sparklab.labReportDraft";
+
+// -> { saved: boolean, droppedImage: boolean }
+export function saveReportDraft(draft) {
+  const write = (value) => {
+    try {
+      sessionStorage.setItem(DRAFT_KEY, JSON.stringify({ ...value, createdAt: new Date().toISOString() }));
+      return true;
+    } catch (err) {
+      console.warn("Could not store the lab report draft", err);
+      return false;
+    }
+  };
+  if (write(draft)) return { saved: true, droppedImage: false };
+  if (draft.chartImageBase64 && write({ ...draft, chartImageBase64: null })) return { saved: true, droppedImage: true };
+  return { saved: false, droppedImage: false };
+}
+
+// the stored draft, or null
+export function loadReportDraft() {
+  try {
+    const draft = JSON.parse(sessionStorage.getItem(DRAFT_KEY) || "null");
+    return draft && Array.isArray(draft.observations) ? draft : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearReportDraft() {
+  try {
+    sessionStorage.removeItem(DRAFT_KEY);
+  } catch {
+    // storage unavailable: nothing was stored
+  }
+}
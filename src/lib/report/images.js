@@ -0,0 +1,52 @@
+// src/lib/report/images.js
+
+/* ============================
+   Report images as files — the DOCX and LaTeX exports embed the payload's data URLs
+   ("data:image/png;base64,...") as separate PNG / JPEG parts
+   ============================ */
+const IMAGE_TYPES = { png: "png", jpeg: "jpeg", jpg: "jpeg" };
+
+// data URL -> { bytes: Uint8Array, ext: "png" | "jpeg", width, height } or null
+export function decodeImage(dataURL) {
+  const match = typeof dataURL === "string" && dataURL.match(/^data:image\/(\w+);base64,(.+)$/);
+  const ext = match && IMAGE_TYPES[match[1].toLowerCase()];
+  if (!ext) return null;
+  let bytes;
+  try {
+    const binary = atob(match[2].replace(/\s+/g, ""));
+    bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  } catch {
+    return null;
+  }
+  const size = ext === "png" ? pngSize(bytes) : jpegSize(bytes);
+  return size ? { bytes, ext, ...size } : null;
+}
+
+// IHDR follows the 8-byte signature: width and height are big-endian at 16 and 20
+function pngSize(b) {
+  if (b.length < 24 || b[0] !== 0x89 || b[1] !== 0x50) return null;
+  const u32 = (i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+  return { width: u32(16), height: u32(20) };
+}
+
+// walk the segments to the first start-of-frame marker (SOF0..SOF15 except DHT / JPG / DAC)
+function jpegSize(b) {
+  if (b[0] !== 0xff || b[1] !== 0xd8) return null;
+  let i = 2;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xff) return null;
+    const marker = b[i + 1];
+    const length = (b[i + 2] << 8) | b[i + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: (b[i + 5] << 8) | b[i + 6], width: (b[i + 7] << 8) | b[i + 8] };
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+// scale width × height down (never up) to fit in maxWidth × maxHeight
+export function fitImage({ width, height }, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return { width: width * scale, height: height * scale };
+}
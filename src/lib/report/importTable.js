@@ -0,0 +1,247 @@
+// src/lib/report/importTable.js
+import { unzipSync, strFromU8 } from "fflate";
+import { headerUnit, parseCell } from "../units/quantity";
+
+/* ============================
+   Observation import (CSV / TSV / XLSX -> observation rows)
+   - a table is { headers: [string], rows: [[string]] }; every cell stays text until
+     it is mapped, so remarks survive and numbers keep the digits that were typed
+   - parseDelimited() detects "," ";" or tab, handles quoted cells ("" escapes, line
+     breaks) and decimal commas in ";"-separated files
+   - parseXlsx() reads the first worksheet of an .xlsx workbook (shared strings, inline
+     strings, numbers); formulas contribute their cached values
+   - guessColumnMapping() proposes which column holds t / V / I / remark and the unit
+     of each from the headers ("I (mA)" -> I scaled by 1e-3); the dialog lets the user
+     correct it before rowsToObservations() builds the rows
+   ============================ */
+
+export const MAX_IMPORT_ROWS = 500; // REPORT_SCHEMAS.lab observations.maxItems
+
+// unit -> factor to the unit of the report table column (t is seconds or hertz)
+export const COLUMN_UNITS = {
+  t: { s: 1, ms: 1e-3, min: 60, h: 3600, Hz: 1, kHz: 1e3, MHz: 1e6 },
+  V: { V: 1, mV: 1e-3, "µV": 1e-6, kV: 1e3 },
+  I: { A: 1, mA: 1e-3, "µA": 1e-6, nA: 1e-9 },
+};
+
+export const IMPORT_FIELDS = ["t", "V", "I", "remark"];
+
+const isNumeric = (cell) => /^[-+]?(\d+[.,]?\d*|[.,]\d+)([eE][-+]?\d+)?$/.test(String(cell).trim());
+
+/* ============================
+   Delimited text
+   ============================ */
+// the delimiter found on the most of the first 50 lines, so metadata lines at the top of
+// a scope export do not decide it; ties go to tab, then ";", as files using them may
+// write decimal commas
+function detectDelimiter(text) {
+  const lines = text
+    .split(/\r?\n/, 50)
+    .map((l) => l.replace(/"[^"]*"/g, ""))
+    .filter((l) => l.trim() !== "");
+  const counts = ["\t", ";", ","].map((d) => [d, lines.filter((l) => l.includes(d)).length]);
+  const [best] = counts.reduce((a, b) => (b[1] > a[1] ? b : a));
+  return counts.some(([, n]) => n > 0) ? best : ",";
+}
+
+function splitDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// first row is a header unless every cell in it is a number
+function toTable(grid) {
+  const rows = grid
+    .map((r) => r.map((c) => String(c ?? "").trim()))
+    .filter((r) => r.some((c) => c !== ""));
+  if (!rows.length) return { headers: [], rows: [] };
+  const width = Math.max(...rows.map((r) => r.length));
+  const pad = (r) => Array.from({ length: width }, (_, i) => r[i] ?? "");
+  const hasHeader = rows[0].some((c) => c !== "" && !isNumeric(c));
+  const headers = hasHeader ? pad(rows[0]).map((h, i) => h || `Column ${i + 1}`) : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  return { headers, rows: (hasHeader ? rows.slice(1) : rows).map(pad) };
+}
+
+export function parseDelimited(text) {
+  const clean = String(text ?? "").replace(/^\uFEFF/, "");
+  return toTable(splitDelimited(clean, detectDelimiter(clean)));
+}
+
+/* ============================
+   XLSX (Office Open XML spreadsheet)
+   ============================ */
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const decodeXml = (s) =>
+  s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return XML_ENTITIES[e] ?? m;
+  });
+
+// all <t> runs of a shared / inline string
+const textRuns = (xml) => decodeXml([...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => m[1]).join(""));
+
+const columnIndex = (ref) => [...ref.replace(/\d+$/, "")].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+// path of the first sheet in workbook order, via the workbook relationships
+function firstSheetPath(files) {
+  const read = (name) => (files[name] ? strFromU8(files[name]) : "");
+  const sheet = read("xl/workbook.xml").match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (sheet) {
+    const rel = [...read("xl/_rels/workbook.xml.rels").matchAll(/<Relationship\b[^>]*>/g)]
+      .map((m) => m[0])
+      .find((tag) => tag.includes(`Id="${sheet[1]}"`));
+    const target = rel?.match(/Target="([^"]+)"/)?.[1];
+    if (target) {
+      const path = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+      if (files[path]) return path;
+    }
+  }
+  return Object.keys(files).filter((n) => /^xl\/worksheets\/sheet\d+\.xml$/.test(n)).sort()[0] ?? null;
+}
+
+export function parseXlsx(buffer) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buffer), { filter: (f) => f.name.startsWith("xl/") && (f.name.endsWith(".xml") || f.name.endsWith(".rels")) });
+  } catch {
+    throw new Error("Not a valid .xlsx workbook");
+  }
+  const sheetPath = firstSheetPath(files);
+  if (!sheetPath) throw new Error("The workbook has no worksheet");
+
+  const shared = files["xl/sharedStrings.xml"]
+    ? [...strFromU8(files["xl/sharedStrings.xml"]).matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textRuns(m[1]))
+    : [];
+
+  const grid = [];
+  const sheet = strFromU8(files[sheetPath]);
+  for (const [, rowXml = ""] of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const [, attrs, body = ""] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="(\w+)"/)?.[1] ?? "n";
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = "";
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = textRuns(body);
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw != null) value = decodeXml(raw);
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    grid.push(Array.from(row, (c) => c ?? ""));
+  }
+  return toTable(grid);
+}
+
+/* ============================
+   Column mapping
+   ============================ */
+const FIELD_PATTERNS = {
+  remark: /remark|note|comment|observation/i,
+  V: /^(volt|pd\b|emf|v(_?[a-z]{0,3})?\b)/i,
+  I: /^(current|amp|i(_?[a-z]{0,3})?\b)/i,
+  t: /^(t\b|time|s\.?\s*no|sr|sl|no\b|#|n\b|index|reading|freq|f\b)/i,
+};
+
+/* ============================
+   guessColumnMapping(headers, rows) ->
+     { columns: { t, V, I, remark } (column index or null), units: { t, V, I } }
+   ============================ */
+export function guessColumnMapping(headers = [], rows = []) {
+  const columns = { t: null, V: null, I: null, remark: null };
+  const taken = new Set();
+  ["remark", "V", "I", "t"].forEach((field) => {
+    const idx = headers.findIndex((h, i) => !taken.has(i) && FIELD_PATTERNS[field].test(String(h).trim()));
+    if (idx >= 0) {
+      columns[field] = idx;
+      taken.add(idx);
+    }
+  });
+
+  // headerless / unrecognised sheets: numeric columns fill V then I in order
+  const numericColumns = headers
+    .map((_, i) => i)
+    .filter((i) => !taken.has(i) && rows.length && rows.slice(0, 20).every((r) => r[i] === "" || isNumeric(r[i])));
+  ["V", "I"].forEach((field) => {
+    if (columns[field] == null && numericColumns.length) {
+      columns[field] = numericColumns.shift();
+      taken.add(columns[field]);
+    }
+  });
+
+  const frequency = columns.t != null && /^(freq|f\b)/i.test(String(headers[columns.t]).trim());
+  const defaults = { t: frequency ? "Hz" : "s", V: "V", I: "A" };
+  const units = {};
+  ["t", "V", "I"].forEach((field) => {
+    units[field] = (columns[field] != null && headerUnit(headers[columns[field]], (u) => u in COLUMN_UNITS[field])) || defaults[field];
+  });
+  return { columns, units };
+}
+
+const scaled = (cell, factor) => {
+  const x = parseCell(cell);
+  if (!Number.isFinite(x)) return String(cell ?? "").trim();
+  return String(factor === 1 ? x : Number((x * factor).toPrecision(10)));
+};
+
+/* ============================
+   rowsToObservations(table, { columns, units }) ->
+     { observations: [{ id, t, V, I, remark }], skipped, truncated }
+   rows with neither a reading nor a remark are skipped; t defaults to the row number
+   ============================ */
+export function rowsToObservations(table, mapping) {
+  const { columns, units = {} } = mapping;
+  const cell = (row, field) => (columns[field] == null ? "" : row[columns[field]] ?? "");
+  const stamp = String(Date.now());
+  const observations = [];
+  let skipped = 0;
+
+  table.rows.forEach((row) => {
+    const V = scaled(cell(row, "V"), COLUMN_UNITS.V[units.V] ?? 1);
+    const I = scaled(cell(row, "I"), COLUMN_UNITS.I[units.I] ?? 1);
+    const remark = String(cell(row, "remark")).trim();
+    if (V === "" && I === "" && remark === "") {
+      skipped++;
+      return;
+    }
+    const tCell = cell(row, "t");
+    const n = observations.length;
+    observations.push({
+      id: `${stamp}-${n}`,
+      t: tCell === "" ? n + 1 : scaled(tCell, COLUMN_UNITS.t[units.t] ?? 1),
+      V,
+      I,
+      remark,
+    });
+  });
+
+  const truncated = Math.max(0, observations.length - MAX_IMPORT_ROWS);
+  return { observations: observations.slice(0, MAX_IMPORT_ROWS), skipped, truncated };
+}
@@ -0,0 +1,38 @@
+// src/lib/report/index.js
+// Lab / formula / energy report and calibration certificate PDFs: templates, automatic calculations, shared pdfkit
+// layouts, request schemas, the report service used by the api routes and in-browser (or optional server) generation,
+// DOCX / LaTeX exports of the lab report, observation import (CSV / XLSX) and drafts handed over from the simulator pages.
+
+export { REPORT_THEMES, REPORT_SECTIONS, REPORT_TEMPLATES, DEFAULT_TEMPLATE, resolveTemplate } from "./templates";
+export {
+  INSTRUMENT_RESOLUTION,
+  EXPERIMENT_ANALYSES,
+  analyseObservations,
+  formatAnalysis,
+  formatMeasurement,
+  formatQuantity,
+} from "./analysis";
+export {
+  stripMarkdown,
+  reportFileName,
+  resolveLabReport,
+  drawLabReport,
+  drawFormulaReport,
+  drawEnergyReport,
+  drawCalibrationCertificate,
+} from "./layout";
+export { buildLabDocx } from "./docx";
+export { texEscape, buildLabLatex, buildLabLatexBundle } from "./latex";
+export { REPORT_SCHEMAS, validateAgainst, validateReport } from "./schema";
+export { REPORT_KINDS, prepareReport, createReportHandler } from "./service";
+export { REPORT_API_URL, renderPdf, generateReportPdf } from "./pdf";
+export {
+  MAX_IMPORT_ROWS,
+  COLUMN_UNITS,
+  IMPORT_FIELDS,
+  parseDelimited,
+  parseXlsx,
+  guessColumnMapping,
+  rowsToObservations,
+} from "./importTable";
+export { LAB_REPORT_ROUTE, saveReportDraft, loadReportDraft, clearReportDraft } from "./draft";
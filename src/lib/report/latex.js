@@ -0,0 +1,313 @@
+// src/lib/report/latex.js
+import { zipSync, strToU8 } from "fflate";
+import { resolveLabReport, stripMarkdown } from "./layout.js";
+import { formatAnalysis, formatNumber } from "./analysis.js";
+import { REPORT_SECTIONS, REPORT_THEMES } from "./templates.js";
+import { decodeImage } from "./images.js";
+
+/* ============================
+   Lab report as a LaTeX project (.zip with main.tex + images/) — same payload, sections
+   and order as the PDF
+   - compiles with pdfLaTeX on Overleaf or TeX Live (article, graphicx, longtable,
+     xcolor, pgfplots); upload the zip as a new Overleaf project
+   - always uses the "print" colours; the auto-plotted graph is redrawn with pgfplots
+     from the readings and the fitted line, pictures are copied into images/
+   - text is escaped for LaTeX and the symbols used by the calculations are mapped to
+     math commands; characters pdfLaTeX cannot typeset are dropped
+   ============================ */
+const theme = REPORT_THEMES.print;
+
+const TEX_SPECIALS = {
+  "\\": "\\textbackslash{}",
+  "&": "\\&",
+  "%": "\\%",
+  $: "\\$",
+  "#": "\\#",
+  _: "\\_",
+  "{": "\\{",
+  "}": "\\}",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+};
+
+const TEX_SYMBOLS = {
+  "Ω": "\\ensuremath{\\Omega}",
+  "Σ": "\\ensuremath{\\Sigma}",
+  "Δ": "\\ensuremath{\\Delta}",
+  "φ": "\\ensuremath{\\varphi}",
+  "θ": "\\ensuremath{\\theta}",
+  "π": "\\ensuremath{\\pi}",
+  "ω": "\\ensuremath{\\omega}",
+  "µ": "\\ensuremath{\\mu}",
+  "μ": "\\ensuremath{\\mu}",
+  "−": "\\ensuremath{-}",
+  "√": "\\ensuremath{\\surd}",
+  "≈": "\\ensuremath{\\approx}",
+  "≥": "\\ensuremath{\\geq}",
+  "≤": "\\ensuremath{\\leq}",
+  "∫": "\\ensuremath{\\int}",
+  "∞": "\\ensuremath{\\infty}",
+  "±": "\\ensuremath{\\pm}",
+  "×": "\\ensuremath{\\times}",
+  "·": "\\ensuremath{\\cdot}",
+  "→": "\\ensuremath{\\rightarrow}",
+  "²": "\\textsuperscript{2}",
+  "³": "\\textsuperscript{3}",
+  "₁": "\\textsubscript{1}",
+  "₂": "\\textsubscript{2}",
+  "°": "\\textdegree{}",
+  "½": "\\textonehalf{}",
+  "•": "\\textbullet{}",
+  "…": "\\ldots{}",
+  "–": "--",
+  "—": "---",
+  "‘": "`",
+  "’": "'",
+  "“": "``",
+  "”": "''",
+};
+
+// Latin-1 letters go through inputenc; anything else without a mapping is dropped
+export function texEscape(text) {
+  return Array.from(String(text ?? ""), (ch) => {
+    if (TEX_SPECIALS[ch]) return TEX_SPECIALS[ch];
+    if (TEX_SYMBOLS[ch]) return TEX_SYMBOLS[ch];
+    const code = ch.codePointAt(0);
+    if (code === 9) return " ";
+    if (code >= 0x20 && code < 0x7f) return ch;
+    if (code >= 0xc0 && code <= 0xff && code !== 0xd7 && code !== 0xf7) return ch;
+    return "";
+  }).join("");
+}
+
+// lines kept as line breaks (\newline: a following "[" is not read as an argument),
+// blank lines as paragraph breaks
+const texParagraphs = (text) =>
+  String(text ?? "")
+    .split(/\n\s*\n/)
+    .map((block) =>
+      block
+        .split("\n")
+        .map((line) => texEscape(line.trim()))
+        .filter(Boolean)
+        .join("\\newline\n")
+    )
+    .filter(Boolean)
+    .join("\n\n");
+
+const color = (name, value) => `\\definecolor{${name}}{HTML}{${String(value).replace("#", "").toUpperCase()}}`;
+
+const PREAMBLE = (d) => `\\documentclass[11pt,a4paper]{article}
+\\usepackage[utf8]{inputenc}
+\\usepackage[T1]{fontenc}
+\\usepackage{lmodern}
+\\usepackage{textcomp}
+\\usepackage[margin=2cm]{geometry}
+\\usepackage{graphicx}
+\\usepackage{array}
+\\usepackage{longtable}
+\\usepackage[table]{xcolor}
+\\usepackage{pgfplots}
+\\pgfplotsset{compat=1.16}
+\\usepackage[hidelinks,pdftitle={${texEscape(d.title)}},pdfauthor={${texEscape(d.author)}}]{hyperref}
+
+${color("heading", theme.heading)}
+${color("muted", theme.muted)}
+${color("note", theme.note)}
+${color("rule", theme.rule)}
+${color("tablehead", theme.tableHead)}
+${color("rowalt", theme.rows[1])}
+${color("gridline", theme.grid)}
+${color("point", theme.point)}
+${color("fit", theme.fit)}
+
+\\setlength{\\parindent}{0pt}
+\\setlength{\\parskip}{4pt}
+\\newcommand{\\labsection}[1]{\\section*{\\color{heading}\\underline{#1}}}
+\\arrayrulecolor{gridline}
+`;
+
+/* ============================
+   Header and sections (mirror drawClassicHeader / drawInstitutionHeader / LAB_SECTIONS)
+   ============================ */
+function classicHeader(d) {
+  return `\\begin{center}
+{\\LARGE\\bfseries\\color{heading} ${texEscape(d.college)}\\par}
+\\vspace{4pt}
+{\\large\\bfseries ${texEscape(d.title)}\\par}
+\\end{center}
+\\vspace{8pt}
+{\\small\\color{muted}
+Student: ${texEscape(d.author || "-")}\\\\
+${d.roll ? `Roll No: ${texEscape(d.roll)}\\\\\n` : ""}Date: ${texEscape(d.date || "-")}\\par}
+`;
+}
+
+function institutionHeader(d, logo) {
+  const name = `{\\Large\\bfseries\\color{heading} ${texEscape(d.college)}\\par}${d.courseCode ? `\n{\\small\\color{muted} Course: ${texEscape(d.courseCode)}\\par}` : ""}`;
+  const top = logo
+    ? `\\begin{minipage}[c]{2cm}\\includegraphics[width=2cm,height=2cm,keepaspectratio]{${logo}}\\end{minipage}\\hfill
+\\begin{minipage}[c]{\\dimexpr\\linewidth-2.5cm}
+${name}
+\\end{minipage}`
+    : `\\begin{center}
+${name}
+\\end{center}`;
+  return `${top}
+
+{\\color{rule}\\rule{\\linewidth}{0.6pt}}
+\\begin{center}
+{\\large\\bfseries ${texEscape(d.title)}\\par}
+\\end{center}
+\\begin{tabular}{|p{\\dimexpr0.5\\linewidth-2\\tabcolsep}|p{\\dimexpr0.5\\linewidth-2\\tabcolsep}|}
+\\hline
+Name: ${texEscape(d.author || "-")} & Roll No: ${texEscape(d.roll || "-")} \\\\
+\\hline
+Course: ${texEscape(d.courseCode || "-")} & Date: ${texEscape(d.date || "-")} \\\\
+\\hline
+\\end{tabular}
+`;
+}
+
+function setupLines(d) {
+  const entries = Object.entries(d.parameters ?? {}).filter(([, v]) => v !== null && v !== "");
+  const lines = [
+    d.source && `Recorded with: ${texEscape(d.source)}`,
+    entries.length && `Parameters: ${entries.map(([k, v]) => `${texEscape(k)} = ${texEscape(v)}`).join(",\\quad ")}`,
+  ].filter(Boolean);
+  return lines.length ? `{\\small\\color{muted} ${lines.join("\\newline\n")}\\par}\n` : "";
+}
+
+function observationTable(observations) {
+  const rows = observations
+    .map((row, i) => [row.t ?? i + 1, row.V ?? "", row.I ?? "", row.remark ?? ""].map((v) => texEscape(v)).join(" & ") + " \\\\")
+    .join("\n");
+  return `\\rowcolors{2}{white}{rowalt}
+\\begin{longtable}{|>{\\centering\\arraybackslash}p{1.6cm}|>{\\centering\\arraybackslash}p{3.4cm}|>{\\centering\\arraybackslash}p{3.4cm}|>{\\centering\\arraybackslash}p{5.6cm}|}
+\\hline
+\\rowcolor{tablehead}\\textbf{t} & \\textbf{Voltage (V)} & \\textbf{Current (A)} & \\textbf{Remarks} \\\\
+\\hline
+\\endhead
+\\hline
+\\endfoot
+${rows}
+\\end{longtable}
+`;
+}
+
+// pgfplots reads plain decimal / e-notation numbers
+const coordinates = (points) =>
+  points
+    .filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y))
+    .map((p) => `(${p.x},${p.y})`)
+    .join(" ");
+
+function fitPlot(plot, fit) {
+  const marks = plot.points.length <= 80;
+  const style = plot.connect ? `color=point, thick${marks ? ", mark=*, mark size=1.2pt" : ", no marks"}` : "color=point, only marks, mark=*, mark size=1.5pt";
+  const legend =
+    plot.caption ??
+    (fit
+      ? `Points: readings. Line: least-squares fit y = ${formatNumber(fit.intercept)} + ${formatNumber(fit.slope)}·x (R² = ${fit.r2.toFixed(4)}).`
+      : "Points: readings.");
+  return `\\begin{center}
+\\begin{tikzpicture}
+\\begin{axis}[width=0.92\\linewidth, height=7.5cm, grid=major, grid style={gridline}, xlabel={${texEscape(plot.xLabel)}}, ylabel={${texEscape(plot.yLabel)}}, tick label style={font=\\footnotesize}, label style={font=\\small}]
+\\addplot[${style}] coordinates {${coordinates(plot.points)}};
+${plot.line ? `\\addplot[color=fit, thick, no marks] coordinates {${coordinates(plot.line)}};\n` : ""}\\end{axis}
+\\end{tikzpicture}
+
+{\\small\\color{note} ${texEscape(legend)}\\par}
+\\end{center}
+`;
+}
+
+const figure = (path) => `\\begin{center}
+\\includegraphics[width=\\linewidth,height=10cm,keepaspectratio]{${path}}
+\\end{center}
+`;
+
+const LAB_SECTIONS = {
+  objective: (d) => texParagraphs(d.objective),
+  description: (d) => texParagraphs(stripMarkdown(d.description)),
+  apparatus: (d) => texParagraphs(d.apparatus),
+  procedure: (d) => {
+    const steps = stripMarkdown(d.procedure)
+      .split("\n")
+      .map((step) => texEscape(step.trim()))
+      .filter(Boolean);
+    return steps.length ? `\\begin{itemize}\n${steps.map((s) => `\\item ${s}`).join("\n")}\n\\end{itemize}` : "";
+  },
+  observations: (d) => setupLines(d) + observationTable(d.observations),
+  graph: (d, images) => {
+    const plot = d.analysis.ok ? d.analysis.plot : null;
+    const out = [];
+    if (plot) out.push(fitPlot(plot, d.analysis.fit));
+    if (images.chart) out.push(figure(images.chart));
+    else if (!plot) out.push(`{\\color{note} ${d.chartImageBase64 ? "Failed to embed chart image." : "No chart image provided."}}`);
+    return out.join("\n");
+  },
+  circuit: (d, images) => (images.circuit ? figure(images.circuit) : "Error displaying circuit image."),
+  calculations: (d) => {
+    const notes = typeof d.calculations === "string" ? d.calculations.trim() : "";
+    const out = [];
+    if (d.analysis.ok) out.push(`\\textbf{${texEscape(d.analysis.label)}}\n\n{\\small\n${texParagraphs(formatAnalysis(d.analysis))}\\par}`);
+    if (notes) out.push(texParagraphs(notes));
+    else if (!d.analysis.ok) out.push(texParagraphs(d.analysis.reason || "No calculations provided."));
+    return out.join("\n\n\\medskip\n");
+  },
+  result: (d) => texParagraphs(d.result || (d.analysis.ok && d.analysis.result) || "No result provided."),
+  conclusion: (d) => texParagraphs(stripMarkdown(d.conclusion) || "No conclusion provided."),
+  signatures: () => `\\vspace{2.5cm}
+\\noindent\\begin{tabular}{@{}p{5.5cm}@{}}\\color{rule}\\hrule\\smallskip\\color{black}Student Signature\\end{tabular}\\hfill
+\\begin{tabular}{@{}p{5.5cm}@{}}\\color{rule}\\hrule\\smallskip\\color{black}Instructor Signature\\end{tabular}
+`,
+};
+
+/* ============================
+   buildLabLatex(payload) -> { tex, files: { "images/chart.png": Uint8Array, ... } }
+   buildLabLatexBundle(payload) -> Uint8Array (.zip with main.tex and images/)
+   payload: the lab report payload (REPORT_SCHEMAS.lab), validated by the caller
+   ============================ */
+export function buildLabLatex(payload = {}) {
+  const { d, template, sections } = resolveLabReport(payload);
+  const files = {};
+  const images = {};
+  const used = new Set(sections.map(({ id }) => id));
+  [
+    ["chart", used.has("graph") && d.chartImageBase64],
+    ["circuit", used.has("circuit") && d.circuitImageBase64],
+    ["logo", template.header === "institution" && d.logoBase64],
+  ].forEach(([name, dataURL]) => {
+    const img = decodeImage(dataURL);
+    if (!img) return;
+    const path = `images/${name}.${img.ext === "jpeg" ? "jpg" : "png"}`;
+    files[path] = img.bytes;
+    images[name] = path;
+  });
+
+  const body = sections
+    .map(({ id, newPage }) => {
+      const draw = LAB_SECTIONS[id];
+      if (!draw) return "";
+      const title = id === "signatures" ? "" : `\\labsection{${REPORT_SECTIONS[id]}}\n`;
+      return `${newPage ? "\\clearpage\n" : ""}${title}${draw(d, images)}\n`;
+    })
+    .join("\n");
+
+  const header = template.header === "institution" ? institutionHeader(d, images.logo) : classicHeader(d);
+  const tex = `${PREAMBLE(d)}
+\\begin{document}
+${header}
+${body}
+\\vfill
+\\begin{center}\\footnotesize\\color{note} Auto-generated by BEEE Lab Report Generator\\end{center}
+\\end{document}
+`;
+  return { tex, files };
+}
+
+export function buildLabLatexBundle(payload = {}) {
+  const { tex, files } = buildLabLatex(payload);
+  return zipSync({ "main.tex": strToU8(tex), ...files }, { level: 6 });
+}
@@ -0,0 +1,928 @@
+// src/lib/report/layout.js
+import { REPORT_THEMES, resolveTemplate } from "./templates.js";
+import { analyseObservations, formatAnalysis, formatNumber } from "./analysis.js";
+import { CORRECTION_ORDERS, SEQUENCE_PATTERNS, analyseCalibration } from "../stats/calibration.js";
+
+/* ============================
+   pdfkit page layouts shared by the in-browser generator and the report service
+   - every draw function takes a PDFDocument (node or standalone browser build) and
+     the request payload; it writes pages but neither pipes nor ends the document
+   - images are passed as data URLs ("data:image/png;base64,...")
+   ============================ */
+
+// data URL accepted by doc.image(), or null
+const imageSource = (dataURL) => (typeof dataURL === "string" && /^data:image\/\w+;base64,./.test(dataURL) ? dataURL : null);
+
+export function stripMarkdown(text) {
+  if (!text) return "";
+  return text
+    .replace(/[#_*`~>-]+/g, "")
+    .replace(/\[(.*?)\]\(.*?\)/g, "$1")
+    .replace(/\n{2,}/g, "\n\n")
+    .trim();
+}
+
+// the standard PDF fonts only cover WinAnsi; spell out the symbols used by the calculations
+const PDF_GLYPHS = { "Ω": "ohm", "Σ": "sum ", "−": "-", "√": "sqrt", "≈": "~", "Δ": "d", "≥": ">=", "≤": "<=", "∫": "integral ", "φ": "phi" };
+const pdfText = (text) => String(text ?? "").replace(/[Ω−Σ√≈Δ≥≤∫φ]/g, (ch) => PDF_GLYPHS[ch]);
+
+export const reportFileName = (title = "Lab Report", ext = "pdf") => `${String(title).replace(/\s+/g, "-")}.${ext}`;
+
+/* ============================
+   Lab report (kind "lab")
+   - payload.template picks the theme, header and section order (see ./templates.js)
+   - the institution header adds logoBase64, courseCode and roll to the cover
+   - calculations, the fitted graph and a default result come from the observations
+     (see ./analysis.js, keyed by payload.titleID); a calculations string is added below
+   - source / parameters (readings sent from a simulator page) head the observation table
+   ============================ */
+
+// Section title (heading colour of the theme)
+function sectionTitle(doc, title, theme) {
+  doc.moveDown(1);
+  doc.font("Helvetica-Bold").fontSize(14).fillColor(theme.heading).text(title, { underline: true });
+  doc.moveDown(0.3);
+  doc.font("Helvetica").fontSize(10).fillColor(theme.text);
+}
+
+// Page background (dark theme only) + border
+function drawPageBackground(doc, theme) {
+  if (theme.page) {
+    doc.save();
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(theme.page);
+    doc.restore();
+  }
+
+  const margin = 25;
+  const width = doc.page.width - margin * 2;
+  const height = doc.page.height - margin * 2;
+  doc.lineWidth(1).strokeColor(theme.border).rect(margin, margin, width, height).stroke();
+}
+
+// Footer text (page number and label) in the bottom margin; the margin is lifted while it is
+// written so the text does not flow onto a new page
+function drawFooter(doc, theme, label, number) {
+  const footerY = doc.page.height - 40;
+  const bottom = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc.font("Helvetica").fontSize(8).fillColor(theme.note);
+  doc.text(`Page ${number}`, 40, footerY, { align: "right", width: doc.page.width - 80 });
+  doc.text(label, 0, footerY, { align: "center" });
+  doc.page.margins.bottom = bottom;
+}
+
+// Footer on every page: the current (first) one now and each page pdfkit adds later, whether by
+// addPage() or by text flowing past the bottom margin. Registered after the page background
+// handler; the text state is put back so flowing text carries on unchanged
+function footerOnEveryPage(doc, theme, label = "Auto-generated by BEEE Lab Report Generator") {
+  let number = 0;
+  const draw = () => {
+    const { x, y, _font: font, _fontSize: size, _fillColor: fill } = doc;
+    drawFooter(doc, theme, label, ++number);
+    doc._font = font;
+    doc.fontSize(size);
+    if (fill) doc.fillColor(...fill);
+    doc.x = x;
+    doc.y = y;
+  };
+  draw();
+  doc.on("pageAdded", draw);
+}
+
+// College name and title centred, student details below
+function drawClassicHeader(doc, d, theme) {
+  doc.fillColor(theme.heading).font("Helvetica-Bold").fontSize(20).text(d.college, { align: "center" });
+  doc.moveDown(0.3);
+  doc.fillColor(theme.title).fontSize(12).text(d.title, { align: "center" });
+  doc.moveDown(0.8);
+
+  doc.font("Helvetica").fontSize(10).fillColor(theme.muted);
+  doc.text(`Student: ${d.author || "-"}`, 60, 140);
+  if (d.roll) doc.text(`Roll No: ${d.roll}`, 60, 160);
+  doc.text(`Date: ${d.date || "-"}`, 60, 180);
+}
+
+// Logo beside the institution name and course code, then the title and a details grid
+function drawInstitutionHeader(doc, d, theme) {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const top = 45;
+
+  const logo = imageSource(d.logoBase64);
+  if (logo) {
+    try {
+      doc.image(logo, left, top, { fit: [60, 60] });
+    } catch {
+      doc.fontSize(8).fillColor(theme.error).text("⚠ Logo could not be embedded.", left, top);
+    }
+  }
+  const x = logo ? left + 72 : left;
+  const width = right - x;
+  const align = logo ? "left" : "center";
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(theme.heading).text(d.college, x, top + 6, { width, align });
+  if (d.courseCode) doc.font("Helvetica").fontSize(10).fillColor(theme.muted).text(`Course: ${d.courseCode}`, x, doc.y + 2, { width, align });
+
+  const ruleY = Math.max(logo ? top + 66 : 0, doc.y + 8);
+  doc.moveTo(left, ruleY).lineTo(right, ruleY).lineWidth(0.8).strokeColor(theme.rule).stroke();
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(theme.title).text(d.title, left, ruleY + 10, { width: right - left, align: "center" });
+
+  const gridY = doc.y + 8;
+  const cellW = (right - left) / 2;
+  const cells = [
+    [`Name: ${d.author || "-"}`, `Roll No: ${d.roll || "-"}`],
+    [`Course: ${d.courseCode || "-"}`, `Date: ${d.date || "-"}`],
+  ];
+  cells.forEach((row, ri) =>
+    row.forEach((text, ci) => {
+      const cx = left + ci * cellW;
+      const cy = gridY + ri * 20;
+      doc.rect(cx, cy, cellW, 20).lineWidth(0.5).strokeColor(theme.grid ?? theme.border).stroke();
+      doc.font("Helvetica").fontSize(10).fillColor(theme.text).text(text, cx + 6, cy + 6, { width: cellW - 12, lineBreak: false });
+    })
+  );
+  doc.x = left;
+  doc.y = gridY + cells.length * 20 + 6;
+}
+
+function drawObservationTable(doc, observations, theme) {
+  const startX = 55;
+  const colWidths = [50, 120, 120, 180];
+  const headers = ["t", "Voltage (V)", "Current (A)", "Remarks"];
+  const totalWidth = colWidths.reduce((a, b) => a + b, 0);
+  let y = doc.y;
+
+  // Table header
+  doc.rect(startX, y, totalWidth, 20).fill(theme.tableHead);
+  doc.fillColor(theme.tableHeadText).font("Helvetica-Bold").fontSize(10);
+  let x = startX;
+  headers.forEach((h, i) => {
+    doc.text(h, x, y + 5, { width: colWidths[i], align: "center" });
+    x += colWidths[i];
+  });
+
+  // Table rows
+  y += 22;
+  observations.forEach((row, i) => {
+    doc.rect(startX, y, totalWidth, 18).fill(theme.rows[i % 2]);
+    if (theme.grid) doc.rect(startX, y, totalWidth, 18).lineWidth(0.5).strokeColor(theme.grid).stroke();
+    doc.fillColor(theme.text).font("Helvetica").fontSize(9);
+    const cols = [row.t ?? i + 1, row.V ?? "", row.I ?? "", row.remark ?? ""];
+    let cx = startX;
+    cols.forEach((val, j) => {
+      doc.text(String(val), cx, y + 4, { width: colWidths[j], align: "center" });
+      cx += colWidths[j];
+    });
+    y += 18;
+
+    // Add new page if table overflows
+    if (y > doc.page.height - 80) {
+      doc.addPage();
+      y = 60;
+    }
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 4;
+}
+
+// "Recorded with" line and the simulator parameters (name = value, wrapped) above the table
+function drawSetup(doc, d, theme) {
+  const entries = Object.entries(d.parameters ?? {}).filter(([, v]) => v !== null && v !== "");
+  if (!d.source && !entries.length) return;
+  doc.font("Helvetica").fontSize(9).fillColor(theme.muted);
+  if (d.source) doc.text(pdfText(`Recorded with: ${d.source}`));
+  if (entries.length) doc.text(pdfText(`Parameters: ${entries.map(([k, v]) => `${k} = ${v}`).join(",   ")}`), { lineGap: 2 });
+  doc.fontSize(10).fillColor(theme.text).moveDown(0.5);
+}
+
+// new page unless `height` points fit above the bottom margin (keeps a title with its table / image)
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+// 1, 2 or 5 × 10^k giving about `count` intervals over [lo, hi], extended to whole steps
+function axisRange(values, count = 5) {
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (lo === hi) {
+    lo -= Math.abs(lo) * 0.1 || 1;
+    hi += Math.abs(hi) * 0.1 || 1;
+  }
+  const raw = (hi - lo) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const n = raw / mag;
+  const step = (n <= 1 ? 1 : n <= 2 ? 2 : n <= 5 ? 5 : 10) * mag;
+  const from = Math.floor(lo / step);
+  const to = Math.ceil(hi / step);
+  return { lo: from * step, hi: to * step, ticks: Array.from({ length: to - from + 1 }, (_, i) => (from + i) * step) };
+}
+
+// measured points with the least-squares line (or joined points when nothing was fitted);
+// long series (e.g. an energy history) are drawn as a line without point markers
+function drawFitPlot(doc, plot, fit, theme) {
+  const left = doc.page.margins.left + 50;
+  const width = doc.page.width - doc.page.margins.right - left - 10;
+  const height = 220;
+  const top = doc.y + 8;
+  const all = [...plot.points, ...(plot.line ?? [])];
+  const xr = axisRange(all.map((p) => p.x));
+  const yr = axisRange(all.map((p) => p.y));
+  const px = (x) => left + ((x - xr.lo) / (xr.hi - xr.lo)) * width;
+  const py = (y) => top + height - ((y - yr.lo) / (yr.hi - yr.lo)) * height;
+  const gridColor = theme.grid ?? theme.border;
+
+  doc.font("Helvetica").fontSize(7);
+  xr.ticks.forEach((x) => {
+    doc.moveTo(px(x), top).lineTo(px(x), top + height).lineWidth(0.3).strokeColor(gridColor).stroke();
+    doc.fillColor(theme.muted).text(formatNumber(x), px(x) - 25, top + height + 4, { width: 50, align: "center", lineBreak: false });
+  });
+  yr.ticks.forEach((y) => {
+    doc.moveTo(left, py(y)).lineTo(left + width, py(y)).lineWidth(0.3).strokeColor(gridColor).stroke();
+    doc.fillColor(theme.muted).text(formatNumber(y), left - 48, py(y) - 3, { width: 44, align: "right", lineBreak: false });
+  });
+  doc.rect(left, top, width, height).lineWidth(0.8).strokeColor(theme.rule).stroke();
+
+  doc.save();
+  doc.rect(left, top, width, height).clip();
+  if (plot.line) {
+    const [a, b] = plot.line;
+    doc.moveTo(px(a.x), py(a.y)).lineTo(px(b.x), py(b.y)).lineWidth(1.5).strokeColor(theme.fit).stroke();
+  }
+  if (plot.connect && plot.points.length > 1) {
+    doc.moveTo(px(plot.points[0].x), py(plot.points[0].y));
+    plot.points.slice(1).forEach((p) => doc.lineTo(px(p.x), py(p.y)));
+    doc.lineWidth(1).strokeColor(theme.point).stroke();
+  }
+  if (plot.points.length <= 80) plot.points.forEach((p) => doc.circle(px(p.x), py(p.y), 2.5).fill(theme.point));
+  doc.restore();
+
+  // axis titles (y rotated along the axis)
+  doc.fontSize(8).fillColor(theme.text);
+  doc.text(pdfText(plot.xLabel), left, top + height + 16, { width, align: "center", lineBreak: false });
+  const origin = [left - 40, top + height / 2];
+  doc.save();
+  doc.rotate(-90, { origin });
+  doc.text(pdfText(plot.yLabel), origin[0] - height / 2, origin[1] - 4, { width: height, align: "center", lineBreak: false });
+  doc.restore();
+
+  doc.x = doc.page.margins.left;
+  doc.y = top + height + 34;
+  const legend =
+    plot.caption ??
+    (fit
+      ? `Points: readings. Line: least-squares fit y = ${formatNumber(fit.intercept)} + ${formatNumber(fit.slope)}·x (R² = ${fit.r2.toFixed(4)}).`
+      : "Points: readings.");
+  doc.fontSize(9).fillColor(theme.note).text(legend, { align: "center" });
+}
+
+function drawImageSection(doc, src, theme, fit, failure) {
+  try {
+    doc.image(src, { fit, align: "center", valign: "center" });
+  } catch {
+    doc.fillColor(theme.error).text(failure);
+  }
+}
+
+// section id -> (doc, data, theme); sections whose content is missing may be skipped
+const LAB_SECTIONS = {
+  objective: (doc, d, theme) => {
+    sectionTitle(doc, "Objective", theme);
+    doc.text(d.objective, { align: "justify" });
+  },
+  description: (doc, d, theme) => {
+    sectionTitle(doc, "Description", theme);
+    doc.text(stripMarkdown(d.description), { align: "justify", lineGap: 3 });
+  },
+  apparatus: (doc, d, theme) => {
+    sectionTitle(doc, "Apparatus", theme);
+    doc.text(d.apparatus, { align: "left" });
+  },
+  procedure: (doc, d, theme) => {
+    sectionTitle(doc, "Procedure", theme);
+    stripMarkdown(d.procedure)
+      .split("\n")
+      .forEach((step) => doc.text("• " + step.trim(), { lineGap: 2 }));
+  },
+  observations: (doc, d, theme) => {
+    ensureSpace(doc, 100);
+    sectionTitle(doc, "Observation Table", theme);
+    drawSetup(doc, d, theme);
+    drawObservationTable(doc, d.observations, theme);
+  },
+  graph: (doc, d, theme) => {
+    const plot = d.analysis.ok ? d.analysis.plot : null;
+    ensureSpace(doc, plot ? 320 : 340);
+    sectionTitle(doc, "Graph (Auto-Plotted)", theme);
+    if (plot) drawFitPlot(doc, plot, d.analysis.fit, theme);
+    const chart = imageSource(d.chartImageBase64);
+    if (chart) {
+      if (plot) ensureSpace(doc, 310);
+      drawImageSection(doc, chart, theme, [440, 300], "⚠ Failed to embed chart image.");
+    } else if (!plot) doc.fillColor(theme.note).text("No chart image provided.");
+  },
+  circuit: (doc, d, theme) => {
+    ensureSpace(doc, 340);
+    sectionTitle(doc, "Circuit Diagram", theme);
+    drawImageSection(doc, imageSource(d.circuitImageBase64), theme, [440, 300], "⚠ Error displaying circuit image.");
+  },
+  calculations: (doc, d, theme) => {
+    sectionTitle(doc, "Calculations", theme);
+    const notes = typeof d.calculations === "string" ? d.calculations.trim() : "";
+    if (d.analysis.ok) {
+      doc.font("Helvetica-Bold").text(pdfText(d.analysis.label));
+      doc.font("Helvetica").fontSize(9).text(pdfText(formatAnalysis(d.analysis)), { lineGap: 2 });
+      doc.fontSize(10);
+      if (notes) doc.moveDown(0.6);
+    }
+    if (notes) doc.text(pdfText(notes), { align: "justify" });
+    else if (!d.analysis.ok) doc.text(pdfText(d.analysis.reason) || "No calculations provided.", { align: "justify" });
+  },
+  result: (doc, d, theme) => {
+    sectionTitle(doc, "Result", theme);
+    doc.text(pdfText(d.result || (d.analysis.ok && d.analysis.result)) || "No result provided.", { align: "justify" });
+  },
+  conclusion: (doc, d, theme) => {
+    sectionTitle(doc, "Conclusion", theme);
+    doc.text(stripMarkdown(d.conclusion) || "No conclusion provided.", { align: "justify" });
+  },
+  signatures: (doc, d, theme) => {
+    doc.moveDown(2);
+    const signY = doc.y + 30;
+    doc.moveTo(60, signY).lineTo(220, signY).lineWidth(1).stroke(theme.rule);
+    doc.fillColor(theme.text).text("Student Signature", 60, signY + 5);
+    doc.moveTo(340, signY).lineTo(500, signY).stroke(theme.rule);
+    doc.text("Instructor Signature", 340, signY + 5);
+  },
+};
+
+const SKIP_WHEN_EMPTY = {
+  circuit: (d) => !imageSource(d.circuitImageBase64),
+};
+
+/* ============================
+   resolveLabReport(data) -> { d, template, theme, sections }
+   payload with defaults filled in and the analysis computed, plus the sections to lay
+   out in template order; shared by the PDF layout and the DOCX / LaTeX exports
+   ============================ */
+export function resolveLabReport(data = {}) {
+  const {
+    title = "Lab Report",
+    author = "",
+    college = "Your College Name",
+    roll = "",
+    courseCode = "",
+    logoBase64 = null,
+    date = "",
+    titleID = null,
+    observations = [],
+    source = "",
+    parameters = {},
+    chartImageBase64 = null,
+    circuitImageBase64 = null,
+    calculations = "",
+    result = "",
+    objective = "To verify the given experiment.",
+    apparatus = "Ammeter, Voltmeter, Resistor, Power Supply, Connecting Wires.",
+    description = "Description not provided.",
+    procedure = "Connect the circuit as shown.\nIncrease the voltage gradually.\nMeasure current for each voltage.\nPlot V–I graph and calculate resistance.",
+    conclusion = "Conclusion not provided.",
+    template: templateId,
+    resolution,
+  } = data;
+  const analysis = analyseObservations(titleID, observations, { resolution });
+  const d = { title, author, college, roll, courseCode, logoBase64, date, observations, source, parameters, analysis, chartImageBase64, circuitImageBase64, calculations, result, objective, apparatus, description, procedure, conclusion };
+  const template = resolveTemplate(templateId);
+  const theme = REPORT_THEMES[template.theme] ?? REPORT_THEMES.dark;
+  const sections = template.sections.filter(({ id }) => !SKIP_WHEN_EMPTY[id]?.(d));
+  return { d, template, theme, sections };
+}
+
+export function drawLabReport(doc, data = {}) {
+  const { d, template, theme, sections } = resolveLabReport(data);
+
+  // Draw background for first page
+  drawPageBackground(doc, theme);
+  doc.on("pageAdded", () => {
+    drawPageBackground(doc, theme);
+    doc.fillColor(theme.text);
+  });
+  footerOnEveryPage(doc, theme);
+
+  // ---------------- HEADER / COVER ----------------
+  if (template.header === "institution") drawInstitutionHeader(doc, d, theme);
+  else drawClassicHeader(doc, d, theme);
+
+  // ---------------- SECTIONS (template order) ----------------
+  sections.forEach(({ id, newPage }) => {
+    const draw = LAB_SECTIONS[id];
+    if (!draw) return;
+    if (newPage) doc.addPage();
+    draw(doc, d, theme);
+  });
+}
+
+/* ============================
+   Formula report (kind "formula")
+   ============================ */
+
+// Page layout (dark theme)
+function drawFormulaPage(doc) {
+  doc.save();
+  doc.rect(0, 0, doc.page.width, doc.page.height).fill("#050505");
+  doc.restore();
+
+  const margin = 25;
+  const w = doc.page.width - margin * 2;
+  const h = doc.page.height - margin * 2;
+  doc.lineWidth(0.5).strokeColor("#333").rect(margin, margin, w, h).stroke();
+}
+
+function drawFormulaHeader(doc, generatedAt) {
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("#ffb84a");
+  doc.text("SparkLab — Formula Report", { align: "center" });
+  doc.moveDown(0.25);
+
+  doc.font("Helvetica").fontSize(9).fillColor("#aaa");
+  doc.text(`Generated: ${new Date(generatedAt).toLocaleString()}`, { align: "center" });
+
+  doc.moveDown(0.5);
+  const lineY = doc.y;
+  doc.strokeColor("#333").lineWidth(0.5).moveTo(40, lineY).lineTo(doc.page.width - 40, lineY).stroke();
+  doc.moveDown(1);
+  doc.fillColor("#ddd"); // reset color after header
+}
+
+function drawFormulaFooter(doc) {
+  const y = doc.page.height - 40;
+  doc.font("Helvetica-Oblique").fontSize(9).fillColor("#777");
+  doc.text("Generated automatically by SparkLab AI Formula Suite", 0, y, { align: "center" });
+  doc.fillColor("#ddd"); // reset color for next page
+}
+
+function formulaSectionTitle(doc, text) {
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor("#ffd24a");
+  doc.text(text.toUpperCase(), { underline: true });
+  doc.moveDown(0.3);
+  doc.fillColor("#ddd"); // readable grey after the orange title
+}
+
+// text with a page break (and a fresh header) when the footer area is reached
+function writeText(doc, text, options = {}) {
+  const maxY = doc.page.height - 100;
+  if (doc.y > maxY) {
+    doc.addPage();
+    drawFormulaPage(doc);
+    drawFormulaHeader(doc, new Date().toISOString());
+    drawFormulaFooter(doc);
+  }
+  doc.text(text, options);
+}
+
+export function drawFormulaReport(doc, data = {}) {
+  const {
+    generatedAt = new Date().toISOString(),
+    formula = "Unknown Formula",
+    category = "General",
+    inputs = {},
+    computed = {},
+    aiSummary = "",
+    aiDetail = "",
+    visualImage = null,
+  } = data;
+
+  const cleanAiSummary = stripMarkdown(aiSummary);
+  const cleanAiDetail = stripMarkdown(aiDetail);
+
+  drawFormulaPage(doc);
+  drawFormulaHeader(doc, generatedAt);
+  doc.on("pageAdded", () => {
+    drawFormulaPage(doc);
+    doc.fillColor("#ddd");
+  });
+
+  // Formula header
+  doc.font("Helvetica-Bold").fontSize(14).fillColor("#ffb84a");
+  writeText(doc, formula);
+  doc.moveDown(0.3);
+
+  doc.font("Helvetica").fontSize(10).fillColor("#ccc");
+  writeText(doc, `Category: ${category}`);
+  doc.moveDown(0.4);
+
+  doc.strokeColor("#333").lineWidth(0.3).moveTo(40, doc.y).lineTo(doc.page.width - 40, doc.y).stroke();
+  doc.moveDown(0.8);
+  doc.fillColor("#ddd");
+
+  // Inputs
+  if (Object.keys(inputs).length > 0) {
+    formulaSectionTitle(doc, "Inputs");
+    Object.entries(inputs).forEach(([key, val]) => writeText(doc, `• ${key}: ${val}`));
+    doc.moveDown(0.8);
+  }
+
+  // Computed values (`<key>_unit` entries are folded into their value)
+  if (Object.keys(computed).length > 0) {
+    formulaSectionTitle(doc, "Computed Values");
+    Object.entries(computed)
+      .filter(([k]) => !k.endsWith("_unit"))
+      .forEach(([k, v]) => writeText(doc, `• ${k}: ${v} ${computed[`${k}_unit`] || ""}`));
+    doc.moveDown(0.8);
+  }
+
+  if (aiSummary) {
+    formulaSectionTitle(doc, "AI Summary");
+    doc.fillColor("#eee");
+    writeText(doc, cleanAiSummary, { align: "justify", width: doc.page.width - 100 });
+    doc.moveDown(0.8);
+  }
+
+  if (aiDetail) {
+    formulaSectionTitle(doc, "AI Detailed Explanation");
+    doc.fillColor("#ccc");
+    writeText(doc, cleanAiDetail, { align: "justify", width: doc.page.width - 100 });
+    doc.moveDown(0.8);
+  }
+
+  // Optional visual image
+  const visual = imageSource(visualImage);
+  if (visual) {
+    try {
+      const imgMaxWidth = doc.page.width - 100;
+      const imgMaxHeight = 200;
+
+      // ensure enough space or add a new page
+      if (doc.y + 10 + imgMaxHeight > doc.page.height - 100) {
+        doc.addPage();
+        drawFormulaHeader(doc, new Date().toISOString());
+      }
+
+      const x = (doc.page.width - imgMaxWidth) / 2;
+      const y = doc.y;
+      doc.image(visual, x, y, { fit: [imgMaxWidth, imgMaxHeight], align: "center", valign: "center" });
+      doc.strokeColor("#444").lineWidth(1).rect(x, y, imgMaxWidth, imgMaxHeight).stroke();
+      doc.y = y + imgMaxHeight;
+      doc.moveDown(1);
+    } catch (err) {
+      console.error("Image embedding failed:", err.message);
+      doc.fillColor("#f55").text("⚠️ Unable to render visual image.");
+    }
+  }
+
+  // Closing divider
+  doc.moveDown(1);
+  doc.strokeColor("#333").lineWidth(0.5).moveTo(40, doc.y).lineTo(doc.page.width - 40, doc.y).stroke();
+}
+
+/* ============================
+   Energy report (kind "energy", EnergyEnginePage)
+   - the load is recomputed from the appliance list: enabled appliances draw
+     baseWatts × quantity × efficiencyFactor for hoursPerDay (default 24, as the simulator)
+   - recommendations are the tip list returned by the assistant (JSON text or array)
+     or plain text
+   ============================ */
+
+function energyRows(appliances, efficiency) {
+  return appliances.map((a) => {
+    const quantity = Number.isFinite(a.quantity) ? a.quantity : 1;
+    const hours = Number.isFinite(a.hoursPerDay) ? a.hoursPerDay : 24;
+    const watts = a.enabled === false ? 0 : a.baseWatts * quantity * efficiency;
+    return { ...a, quantity, hours, watts, dailyKWh: (watts / 1000) * hours };
+  });
+}
+
+// [{ title, description, estimated_kwh_saved, estimated_percent }] from the assistant output, or null
+function parseTips(recommendations) {
+  if (Array.isArray(recommendations)) return recommendations;
+  try {
+    const parsed = JSON.parse(String(recommendations).replace(/```json/i, "").replace(/```/g, "").trim());
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return null;
+  }
+}
+
+function drawEnergyTable(doc, rows, total, theme) {
+  const startX = 50;
+  const colWidths = [140, 60, 40, 40, 70, 70, 75];
+  const headers = ["Appliance", "Rated W", "Qty", "h/day", "Load (W)", "kWh/day", "Share"];
+  const totalWidth = colWidths.reduce((a, b) => a + b, 0);
+  let y = doc.y;
+
+  doc.rect(startX, y, totalWidth, 20).fill(theme.tableHead);
+  doc.fillColor(theme.tableHeadText).font("Helvetica-Bold").fontSize(9);
+  let x = startX;
+  headers.forEach((h, i) => {
+    doc.text(h, x + 4, y + 6, { width: colWidths[i] - 8, align: i ? "right" : "left", lineBreak: false });
+    x += colWidths[i];
+  });
+
+  y += 22;
+  rows.forEach((r, i) => {
+    if (y > doc.page.height - 80) {
+      doc.addPage();
+      y = 60;
+    }
+    doc.rect(startX, y, totalWidth, 18).fill(theme.rows[i % 2]);
+    if (theme.grid) doc.rect(startX, y, totalWidth, 18).lineWidth(0.5).strokeColor(theme.grid).stroke();
+    doc.fillColor(r.watts ? theme.text : theme.note).font("Helvetica").fontSize(9);
+    const cols = [
+      r.name,
+      formatNumber(r.baseWatts),
+      formatNumber(r.quantity),
+      formatNumber(r.hours),
+      formatNumber(r.watts),
+      formatNumber(r.dailyKWh),
+      total > 0 ? `${((r.watts / total) * 100).toFixed(1)} %` : "-",
+    ];
+    let cx = startX;
+    cols.forEach((val, j) => {
+      doc.text(pdfText(val), cx + 4, y + 5, { width: colWidths[j] - 8, align: j ? "right" : "left", lineBreak: false });
+      cx += colWidths[j];
+    });
+    y += 18;
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 6;
+}
+
+export function drawEnergyReport(doc, data = {}) {
+  const {
+    title = "Energy Report",
+    generatedAt = new Date().toISOString(),
+    theme: themeId = "dark",
+    profile = "household",
+    efficiencyFactor = 1,
+    tariff = null,
+    currency = "",
+    appliances = [],
+    history = [],
+    recommendations = "",
+  } = data;
+  const theme = REPORT_THEMES[themeId] ?? REPORT_THEMES.dark;
+
+  drawPageBackground(doc, theme);
+  doc.on("pageAdded", () => {
+    drawPageBackground(doc, theme);
+    doc.fillColor(theme.text);
+  });
+  footerOnEveryPage(doc, theme, "Generated by SparkLab Energy Saving Engine");
+
+  // ---------------- HEADER ----------------
+  doc.fillColor(theme.heading).font("Helvetica-Bold").fontSize(20).text(`SparkLab — ${title}`, { align: "center" });
+  doc.moveDown(0.3);
+  doc.font("Helvetica").fontSize(9).fillColor(theme.muted);
+  doc.text(`Generated: ${new Date(generatedAt).toLocaleString()}   ·   Profile: ${profile}   ·   Efficiency factor: ${formatNumber(efficiencyFactor)}`, { align: "center" });
+  doc.moveDown(0.5);
+  doc.moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).lineWidth(0.5).strokeColor(theme.rule).stroke();
+
+  // ---------------- SUMMARY ----------------
+  const rows = energyRows(appliances, efficiencyFactor);
+  const watts = rows.reduce((a, r) => a + r.watts, 0);
+  const dailyKWh = rows.reduce((a, r) => a + r.dailyKWh, 0);
+  const monthlyKWh = dailyKWh * 30;
+  sectionTitle(doc, "Summary", theme);
+  const summary = [
+    ["Connected load", `${formatNumber(watts)} W`],
+    ["Daily energy", `${formatNumber(dailyKWh)} kWh`],
+    ["Monthly energy (30 days)", `${formatNumber(monthlyKWh)} kWh`],
+    ...(Number.isFinite(tariff) && tariff > 0
+      ? [["Monthly cost", `${currency ? `${currency} ` : ""}${(monthlyKWh * tariff).toFixed(2)} (at ${formatNumber(tariff)} per kWh)`]]
+      : []),
+  ];
+  summary.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).fillColor(theme.muted).text(label, 60, y, { width: 200, lineBreak: false });
+    doc.font("Helvetica-Bold").fillColor(theme.text).text(value, 260, y);
+  });
+  doc.x = doc.page.margins.left;
+
+  // ---------------- APPLIANCES ----------------
+  ensureSpace(doc, 100);
+  sectionTitle(doc, "Appliances", theme);
+  if (rows.length) drawEnergyTable(doc, rows, watts, theme);
+  else doc.fillColor(theme.note).text("No appliances listed.");
+
+  // ---------------- POWER HISTORY ----------------
+  const samples = history.filter((h) => Number.isFinite(h.watts));
+  if (samples.length > 1) {
+    ensureSpace(doc, 320);
+    sectionTitle(doc, "Power History", theme);
+    drawFitPlot(
+      doc,
+      {
+        xLabel: "Sample",
+        yLabel: "Power (W)",
+        points: samples.map((h, i) => ({ x: Number.isFinite(h.t) ? h.t : i, y: h.watts })),
+        line: null,
+        connect: true,
+        caption: `${samples.length} samples, peak ${formatNumber(Math.max(...samples.map((h) => h.watts)))} W`,
+      },
+      null,
+      theme
+    );
+  }
+
+  // ---------------- RECOMMENDATIONS ----------------
+  const tips = recommendations ? parseTips(recommendations) : null;
+  if (recommendations) {
+    ensureSpace(doc, 120);
+    sectionTitle(doc, "Recommendations", theme);
+    if (tips) {
+      tips.forEach((tip, i) => {
+        ensureSpace(doc, 50);
+        doc.font("Helvetica-Bold").fontSize(10).fillColor(theme.text).text(pdfText(`${i + 1}. ${tip.title ?? "Tip"}`));
+        if (tip.description) doc.font("Helvetica").fontSize(9).fillColor(theme.muted).text(pdfText(tip.description), { align: "justify" });
+        const saving = [
+          Number.isFinite(Number(tip.estimated_kwh_saved)) && `~${formatNumber(Number(tip.estimated_kwh_saved))} kWh/month saved`,
+          Number.isFinite(Number(tip.estimated_percent)) && `${formatNumber(Number(tip.estimated_percent))} %`,
+        ].filter(Boolean);
+        if (saving.length) doc.fontSize(9).fillColor(theme.heading).text(saving.join(" · "));
+        doc.moveDown(0.4);
+      });
+    } else {
+      doc.font("Helvetica").fontSize(10).fillColor(theme.text).text(pdfText(stripMarkdown(String(recommendations))), { align: "justify" });
+    }
+  }
+}
+
+/* ============================
+   Calibration certificate (kind "calibration")
+   - the run's records are evaluated here with analyseCalibration (../stats/calibration.js),
+     so the certificate always agrees with the readings it lists
+   - verdict as left (after the fitted correction) against ±(% of reading + % of span),
+     with the as-found result beside it
+   ============================ */
+const signed = (x) => (Number.isFinite(x) ? `${x >= 0 ? "+" : ""}${formatNumber(x)}` : "-");
+
+function drawCalibrationTable(doc, points, unit, theme) {
+  const startX = 50;
+  const colWidths = [70, 80, 85, 85, 80, 95];
+  const headers = [`Reference (${unit})`, `Mean reading`, "Error as found", "Error as left", "Tolerance (±)", "Result"];
+  const totalWidth = colWidths.reduce((a, b) => a + b, 0);
+  let y = doc.y;
+
+  doc.rect(startX, y, totalWidth, 20).fill(theme.tableHead);
+  doc.fillColor(theme.tableHeadText).font("Helvetica-Bold").fontSize(9);
+  let x = startX;
+  headers.forEach((h, i) => {
+    doc.text(pdfText(h), x + 4, y + 6, { width: colWidths[i] - 8, align: i ? "right" : "left", lineBreak: false });
+    x += colWidths[i];
+  });
+
+  y += 22;
+  points.forEach((p, i) => {
+    if (y > doc.page.height - 80) {
+      doc.addPage();
+      y = 60;
+    }
+    doc.rect(startX, y, totalWidth, 18).fill(theme.rows[i % 2]);
+    if (theme.grid) doc.rect(startX, y, totalWidth, 18).lineWidth(0.5).strokeColor(theme.grid).stroke();
+    const cols = [
+      formatNumber(p.ref),
+      formatNumber(p.mean),
+      signed(p.errorFound),
+      signed(p.errorLeft),
+      formatNumber(p.tolerance),
+      `${p.passFound ? "PASS" : "FAIL"} / ${p.passLeft ? "PASS" : "FAIL"}`,
+    ];
+    let cx = startX;
+    cols.forEach((val, j) => {
+      doc.font(j === 5 ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor(j === 5 && !p.passLeft ? theme.error : theme.text);
+      doc.text(pdfText(val), cx + 4, y + 5, { width: colWidths[j] - 8, align: j ? "right" : "left", lineBreak: false });
+      cx += colWidths[j];
+    });
+    y += 18;
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 6;
+}
+
+// "ref = 0.0123 + 0.998·x + 1.2e-4·x²" with x the instrument reading
+function correctionText(coeffs) {
+  const terms = coeffs.map((c, i) => {
+    const mag = formatNumber(Math.abs(c));
+    const body = i === 0 ? mag : i === 1 ? `${mag}·x` : `${mag}·x^${i}`;
+    return { sign: c < 0 ? "-" : "+", body };
+  });
+  return `ref = ${terms.map((t, i) => (i === 0 ? `${t.sign === "-" ? "-" : ""}${t.body}` : `${t.sign} ${t.body}`)).join(" ")}`;
+}
+
+export function drawCalibrationCertificate(doc, data = {}) {
+  const {
+    title = "Calibration Certificate",
+    certificateNo = "",
+    generatedAt = new Date().toISOString(),
+    theme: themeId = "print",
+    instrument = "Instrument",
+    unit = "V",
+    operator = "",
+    order = 1,
+    spec = {},
+    span = null,
+    sequence = {},
+    records = [],
+  } = data;
+  const theme = REPORT_THEMES[themeId] ?? REPORT_THEMES.print;
+  const result = analyseCalibration(records, { order, spec, span: span ?? undefined });
+
+  drawPageBackground(doc, theme);
+  doc.on("pageAdded", () => {
+    drawPageBackground(doc, theme);
+    doc.fillColor(theme.text);
+  });
+  footerOnEveryPage(doc, theme, "Generated by SparkLab Calibration Simulator");
+
+  // ---------------- HEADER ----------------
+  doc.fillColor(theme.heading).font("Helvetica-Bold").fontSize(20).text(pdfText(title), { align: "center" });
+  doc.moveDown(0.3);
+  doc.font("Helvetica").fontSize(9).fillColor(theme.muted);
+  doc.text(`${certificateNo ? `Certificate No. ${pdfText(certificateNo)}   ·   ` : ""}Issued: ${new Date(generatedAt).toLocaleString()}`, { align: "center" });
+  doc.moveDown(0.5);
+  doc.moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).lineWidth(0.5).strokeColor(theme.rule).stroke();
+
+  // ---------------- DETAILS ----------------
+  const refs = records.map((r) => r.ref).filter(Number.isFinite);
+  const lo = refs.length ? Math.min(...refs) : sequence.from;
+  const hi = refs.length ? Math.max(...refs) : sequence.to;
+  sectionTitle(doc, "Instrument and Procedure", theme);
+  const details = [
+    ["Instrument", instrument],
+    ["Range calibrated", `${formatNumber(lo)} to ${formatNumber(hi)} ${unit}`],
+    ["Sequence", `${SEQUENCE_PATTERNS[sequence.pattern] ?? "Custom"}, ${sequence.points ?? new Set(refs).size} points, ${sequence.cycles ?? 1} cycle(s), ${records.length} readings`],
+    ["Accuracy spec", `±(${formatNumber(Number(spec.reading) || 0)} % of reading + ${formatNumber(Number(spec.span) || 0)} % of span)`],
+    ["Correction", CORRECTION_ORDERS[order] ?? `Order ${order}`],
+    ...(operator ? [["Calibrated by", operator]] : []),
+  ];
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).fillColor(theme.muted).text(label, 60, y, { width: 150, lineBreak: false });
+    doc.font("Helvetica-Bold").fillColor(theme.text).text(pdfText(value), 210, y);
+  });
+  doc.x = doc.page.margins.left;
+
+  if (!result) {
+    sectionTitle(doc, "Result", theme);
+    doc.fillColor(theme.error).text(`Not enough distinct reference points for the ${pdfText(CORRECTION_ORDERS[order] ?? "selected")} correction.`);
+    return;
+  }
+
+  // ---------------- VERDICT ----------------
+  sectionTitle(doc, "Result", theme);
+  const bannerY = doc.y;
+  const bannerW = doc.page.width - 100;
+  doc.rect(50, bannerY, bannerW, 34).lineWidth(1.2).strokeColor(result.pass ? theme.rule : theme.error).stroke();
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(result.pass ? theme.heading : theme.error);
+  doc.text(result.pass ? "PASS" : "FAIL", 62, bannerY + 9, { width: 80, lineBreak: false });
+  doc.font("Helvetica").fontSize(9).fillColor(theme.text);
+  doc.text(
+    `As left: largest error ${signed(result.asLeft.maxError)} ${unit} (${formatNumber(result.asLeft.percent)} % of span). ` +
+      `As found: ${signed(result.asFound.maxError)} ${unit} (${formatNumber(result.asFound.percent)} % of span), ${result.asFound.pass ? "within" : "outside"} spec.`,
+    150,
+    bannerY + 7,
+    { width: bannerW - 110 }
+  );
+  doc.x = doc.page.margins.left;
+  doc.y = bannerY + 44;
+
+  // ---------------- CHARACTERISTICS ----------------
+  const figure = (m) => (m ? `${formatNumber(m.value)} ${unit}  (${formatNumber(m.percent)} % of span)` : "not measured");
+  const characteristics = [
+    ["Span", `${formatNumber(result.span)} ${unit}`],
+    ["Non-linearity (independent)", figure(result.nonlinearity)],
+    ["Hysteresis", result.hysteresis ? figure(result.hysteresis) : "not measured (needs up and down readings)"],
+    [
+      "Repeatability",
+      result.repeatability ? `${figure(result.repeatability)}, s = ${formatNumber(result.repeatability.sd)} ${unit}` : "not measured (needs two or more cycles)",
+    ],
+    ["Correction", correctionText(result.correction.coeffs)],
+    ["Fit", `r² = ${result.correction.r2.toFixed(6)}${result.correction.residualStd != null ? `, residual s = ${formatNumber(result.correction.residualStd)} ${unit}` : ""}`],
+  ];
+  ensureSpace(doc, 120);
+  sectionTitle(doc, "Characteristics", theme);
+  characteristics.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).fillColor(theme.muted).text(label, 60, y, { width: 170, lineBreak: false });
+    doc.font("Helvetica-Bold").fillColor(theme.text).text(pdfText(value), 230, y, { width: doc.page.width - 280 });
+  });
+  doc.x = doc.page.margins.left;
+
+  // ---------------- POINTS ----------------
+  ensureSpace(doc, 120);
+  sectionTitle(doc, "Calibration Points", theme);
+  drawCalibrationTable(doc, result.points, unit, theme);
+  doc.font("Helvetica").fontSize(8).fillColor(theme.note);
+  doc.text(pdfText("Errors are reading − reference (worst reading at each point); as left applies the correction above. Result column: as found / as left."));
+
+  // ---------------- SIGNATURES ----------------
+  ensureSpace(doc, 70);
+  doc.moveDown(2.5);
+  const sigY = doc.y;
+  [
+    ["Calibrated by", 60],
+    ["Checked by", doc.page.width / 2 + 20],
+  ].forEach(([label, x]) => {
+    doc.moveTo(x, sigY).lineTo(x + 180, sigY).lineWidth(0.5).strokeColor(theme.rule).stroke();
+    doc.font("Helvetica").fontSize(9).fillColor(theme.muted).text(label, x, sigY + 4, { width: 180, lineBreak: false });
+  });
+  doc.x = doc.page.margins.left;
+}
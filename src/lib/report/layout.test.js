@@ -0,0 +1,42 @@
+// src/lib/report/layout.test.js
+import { describe, expect, it } from "vitest";
+import PDFDocument from "pdfkit";
+import { drawCalibrationCertificate, drawEnergyReport, drawLabReport } from "./layout";
+
+// lay a report out and return the text written on each page
+function layOut(draw, data) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const pages = [[]];
+  doc.on("pageAdded", () => pages.push([]));
+  const text = doc.text.bind(doc);
+  doc.text = (str, ...rest) => {
+    pages[pages.length - 1].push(String(str));
+    return text(str, ...rest);
+  };
+  draw(doc, data);
+  doc.end();
+  return pages;
+}
+
+const footers = (pages) => pages.map((texts) => texts.filter((t) => /^Page \d+$/.test(t)));
+
+describe("report footers", () => {
+  it("numbers every lab report page once, including pages started by flowing text", () => {
+    const observations = Array.from({ length: 90 }, (_, i) => ({ V: i / 10, I: i / 1000 }));
+    const procedure = Array.from({ length: 120 }, (_, i) => `Step ${i + 1}: adjust the supply and note the meters.`).join("\n");
+    const pages = layOut(drawLabReport, { title: "Ohm's Law", titleID: "ohms-law", observations, procedure });
+    expect(pages.length).toBeGreaterThan(3);
+    expect(footers(pages)).toEqual(pages.map((_, i) => [`Page ${i + 1}`]));
+  });
+
+  it("numbers every energy report and certificate page once", () => {
+    const appliances = Array.from({ length: 60 }, (_, i) => ({ name: `Load ${i + 1}`, baseWatts: 100 + i }));
+    const energy = layOut(drawEnergyReport, { appliances });
+    expect(energy.length).toBeGreaterThan(1);
+    expect(footers(energy)).toEqual(energy.map((_, i) => [`Page ${i + 1}`]));
+
+    const records = Array.from({ length: 40 }, (_, i) => ({ ref: i, reading: i * 1.001, direction: "up", cycle: 1 }));
+    const cert = layOut(drawCalibrationCertificate, { records, spec: { reading: 0.5, span: 0.1 } });
+    expect(footers(cert)).toEqual(cert.map((_, i) => [`Page ${i + 1}`]));
+  });
+});
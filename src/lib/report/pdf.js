@@ -0,0 +1,114 @@
+// src/lib/report/pdf.js
+import axios from "axios";
+
+import { prepareReport } from "./service";
+
+/* ============================
+   Report PDF generation
+   - by default the PDF is laid out in the browser with pdfkit's standalone build, so
+     reports work with no network at all; the build is loaded on first use
+   - VITE_REPORT_API_URL selects the report service instead (e.g. "https://host" or "/"
+     for the same origin / vite proxy); if the server cannot be reached the browser
+     layout is used as a fallback, while an error answer (400 / 500) is thrown as is
+   - payloads are validated against the same schema as on the server before anything
+     is sent or drawn
+   ============================ */
+export const REPORT_API_URL = import.meta.env?.VITE_REPORT_API_URL || "";
+
+// the standalone build is emitted as a static asset and loaded with a script tag (it sets
+// window.PDFDocument); bundling it would run 2.5 MB of prebuilt code through the minifier
+let pdfkitPromise = null;
+const loadPdfKit = () => {
+  if (window.PDFDocument) return Promise.resolve(window.PDFDocument);
+  pdfkitPromise ??= import("pdfkit/js/pdfkit.standalone.js?url").then(
+    ({ default: src }) =>
+      new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = src;
+        script.async = true;
+        script.onload = () => resolve(window.PDFDocument);
+        script.onerror = () => {
+          pdfkitPromise = null;
+          script.remove();
+          reject(new Error("Could not load the PDF engine"));
+        };
+        document.head.appendChild(script);
+      })
+  );
+  return pdfkitPromise;
+};
+
+// lay out `data` with draw(doc, data) and collect the document into a Blob
+export async function renderPdf(draw, data, { PDFDocument } = {}) {
+  const PDF = PDFDocument ?? (await loadPdfKit());
+  return new Promise((resolve, reject) => {
+    const doc = new PDF({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(new Blob(chunks, { type: "application/pdf" })));
+    doc.on("error", reject);
+    try {
+      draw(doc, data);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// an error answer of the report service as an Error with `status` and the body's `details`;
+// the body arrives as a Blob since the request asks for one
+async function serverError(response) {
+  let body = {};
+  try {
+    const data = response.data;
+    body = JSON.parse(typeof data?.text === "function" ? await data.text() : String(data)) ?? {};
+  } catch {
+    body = {};
+  }
+  const err = new Error(body.error || `Report server answered ${response.status}`);
+  err.status = response.status;
+  err.details = Array.isArray(body.details) ? body.details : [];
+  return err;
+}
+
+// throws the server's error answer (err.status set), or the network error when there is none
+async function postReport(kind, payload) {
+  const base = REPORT_API_URL.replace(/\/+$/, "");
+  try {
+    const resp = await axios.post(`${base}/api/report?kind=${kind}`, payload, {
+      headers: { "Content-Type": "application/json" },
+      responseType: "blob",
+      timeout: 60000,
+    });
+    return new Blob([resp.data], { type: "application/pdf" });
+  } catch (err) {
+    if (err.response) throw await serverError(err.response);
+    throw err;
+  }
+}
+
+/* ============================
+   generateReportPdf(kind, payload) -> { blob, via: "server" | "browser" }
+   kind: "lab" (LabReportGenerator) | "formula" (FormulaSheetPage) | "energy" (EnergyEnginePage) |
+         "calibration" (CalibrationSimPage)
+   Throws on an invalid payload or an error answer from the server; err.details lists the
+   problems (the server's 400 body). Only an unreachable server falls back to the browser.
+   ============================ */
+export async function generateReportPdf(kind, payload) {
+  const report = prepareReport(kind, payload);
+  if (!report.ok) {
+    const err = new Error(`${report.error}: ${report.details.join("; ")}`);
+    err.details = report.details;
+    throw err;
+  }
+  if (REPORT_API_URL) {
+    try {
+      return { blob: await postReport(kind, payload), via: "server" };
+    } catch (err) {
+      if (err.status) throw err;
+      console.warn("Report server unavailable, generating the PDF in the browser", err);
+    }
+  }
+  return { blob: await renderPdf(report.draw, payload), via: "browser" };
+}
@@ -0,0 +1,58 @@
+// src/lib/report/pdf.test.js
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import axios from "axios";
+
+vi.mock("axios", () => ({ default: { post: vi.fn() } }));
+
+const payload = { title: "Ohm's Law", observations: [{ V: 1, I: 0.01 }] };
+
+// the module reads VITE_REPORT_API_URL once, so it is imported after the env is set
+async function loadWithServer() {
+  vi.resetModules();
+  vi.stubEnv("VITE_REPORT_API_URL", "https://reports.example");
+  return import("./pdf");
+}
+
+describe("generateReportPdf with a report server", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    // stands in for pdfkit: reaching it means the browser layout was used
+    globalThis.window = {
+      PDFDocument: class {
+        constructor() {
+          throw new Error("browser layout");
+        }
+      },
+    };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    delete globalThis.window;
+  });
+
+  it("throws a 400 answer with the server's details", async () => {
+    const body = { error: "Invalid report payload", details: ["observations: is required"] };
+    axios.post.mockRejectedValueOnce({ response: { status: 400, data: new Blob([JSON.stringify(body)]) } });
+    const { generateReportPdf } = await loadWithServer();
+    await expect(generateReportPdf("lab", payload)).rejects.toMatchObject({
+      message: "Invalid report payload",
+      status: 400,
+      details: ["observations: is required"],
+    });
+  });
+
+  it("throws a 500 answer instead of falling back", async () => {
+    axios.post.mockRejectedValueOnce({ response: { status: 500, data: new Blob([JSON.stringify({ error: "PDF generation failed" })]) } });
+    const { generateReportPdf } = await loadWithServer();
+    await expect(generateReportPdf("lab", payload)).rejects.toMatchObject({ status: 500, message: "PDF generation failed", details: [] });
+  });
+
+  it("falls back to the browser when the server cannot be reached", async () => {
+    axios.post.mockRejectedValueOnce(Object.assign(new Error("Network Error"), { code: "ERR_NETWORK" }));
+    const { generateReportPdf } = await loadWithServer();
+    await expect(generateReportPdf("lab", payload)).rejects.toThrow("browser layout");
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,238 @@
+// src/lib/report/schema.js
+import { REPORT_TEMPLATES, REPORT_THEMES } from "./templates.js";
+import { CORRECTION_ORDERS, SEQUENCE_PATTERNS } from "../stats/calibration.js";
+
+/* ============================
+   Report request schemas (JSON Schema, draft-07 subset)
+   - one schema per report kind; the report service validates every request against
+     it before laying anything out and answers 400 with the list of problems
+   - validateAgainst() understands: type (string or list), enum, properties, required,
+     additionalProperties (false or a schema), items, minItems / maxItems, maxLength,
+     pattern, minimum / maximum; unknown top-level fields are ignored so older
+     clients keep working
+   - images are data URLs ("data:image/png;base64,…") and may be null
+   ============================ */
+
+const text = (maxLength = 20000) => ({ type: "string", maxLength });
+const line = text(200);
+const dataUrl = {
+  type: ["string", "null"],
+  pattern: "^data:image/(png|jpe?g);base64,",
+  maxLength: 15000000,
+  description: "PNG or JPEG as a base64 data URL",
+};
+// table cells arrive as typed in the form: numbers or numeric text
+const reading = { type: ["number", "string"], maxLength: 40 };
+const scalar = { type: ["number", "string", "boolean", "null"], maxLength: 500 };
+
+export const REPORT_SCHEMAS = {
+  lab: {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "Lab report",
+    type: "object",
+    // the heading, download name and observation table / analysis need these
+    required: ["title", "observations"],
+    properties: {
+      title: line,
+      titleID: { type: ["string", "null"], maxLength: 80, description: "experiment id, selects the automatic calculations" },
+      template: { type: "string", enum: Object.keys(REPORT_TEMPLATES) },
+      author: line,
+      college: line,
+      roll: line,
+      courseCode: line,
+      date: line,
+      logoBase64: dataUrl,
+      chartImageBase64: dataUrl,
+      circuitImageBase64: dataUrl,
+      observations: {
+        type: "array",
+        maxItems: 500,
+        items: {
+          type: "object",
+          properties: { t: reading, V: reading, I: reading, remark: { type: "string", maxLength: 500 } },
+        },
+      },
+      source: { type: "string", maxLength: 120, description: "simulator the readings were recorded with" },
+      parameters: { type: "object", additionalProperties: scalar, description: "setup values shown above the observation table" },
+      resolution: {
+        type: "object",
+        properties: { V: { type: "number", minimum: 0 }, I: { type: "number", minimum: 0 } },
+        additionalProperties: false,
+      },
+      calculations: text(),
+      result: text(),
+      objective: text(),
+      apparatus: text(),
+      description: text(),
+      procedure: text(),
+      conclusion: text(),
+    },
+  },
+
+  formula: {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "Formula report",
+    type: "object",
+    required: ["formula"],
+    properties: {
+      title: line,
+      generatedAt: line,
+      formula: line,
+      category: line,
+      inputs: { type: "object", additionalProperties: scalar },
+      computed: { type: "object", additionalProperties: scalar, description: "`<key>_unit` entries label their value" },
+      aiSummary: text(),
+      aiDetail: text(),
+      visualImage: dataUrl,
+    },
+  },
+
+  energy: {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "Energy report",
+    type: "object",
+    required: ["appliances"],
+    properties: {
+      title: line,
+      generatedAt: line,
+      theme: { type: "string", enum: Object.keys(REPORT_THEMES) },
+      profile: line,
+      efficiencyFactor: { type: "number", minimum: 0, maximum: 2 },
+      tariff: { type: ["number", "null"], minimum: 0, description: "price per kWh" },
+      currency: { type: "string", maxLength: 8 },
+      appliances: {
+        type: "array",
+        maxItems: 200,
+        items: {
+          type: "object",
+          required: ["name", "baseWatts"],
+          properties: {
+            name: line,
+            baseWatts: { type: "number", minimum: 0 },
+            quantity: { type: "number", minimum: 0 },
+            hoursPerDay: { type: "number", minimum: 0, maximum: 24 },
+            enabled: { type: "boolean" },
+          },
+        },
+      },
+      history: {
+        type: "array",
+        maxItems: 5000,
+        items: { type: "object", required: ["watts"], properties: { t: { type: "number" }, watts: { type: "number" } } },
+      },
+      recommendations: { type: ["string", "array"], maxLength: 50000, maxItems: 50 },
+    },
+  },
+
+  calibration: {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "Calibration certificate",
+    type: "object",
+    required: ["records"],
+    properties: {
+      title: line,
+      certificateNo: line,
+      generatedAt: line,
+      theme: { type: "string", enum: Object.keys(REPORT_THEMES) },
+      instrument: line,
+      unit: { type: "string", maxLength: 20 },
+      operator: line,
+      order: { type: "number", enum: Object.keys(CORRECTION_ORDERS).map(Number), description: "order of the correction polynomial" },
+      spec: {
+        type: "object",
+        properties: { reading: { type: "number", minimum: 0 }, span: { type: "number", minimum: 0 } },
+        additionalProperties: false,
+        description: "accuracy spec in % of reading and % of span",
+      },
+      span: { type: ["number", "null"], minimum: 0 },
+      sequence: {
+        type: "object",
+        properties: {
+          from: { type: "number" },
+          to: { type: "number" },
+          points: { type: "number", minimum: 2 },
+          pattern: { type: "string", enum: Object.keys(SEQUENCE_PATTERNS) },
+          cycles: { type: "number", minimum: 1 },
+        },
+      },
+      records: {
+        type: "array",
+        minItems: 2,
+        maxItems: 2000,
+        items: {
+          type: "object",
+          required: ["ref", "reading"],
+          properties: {
+            step: { type: "number" },
+            ref: { type: "number" },
+            reading: { type: "number" },
+            dir: { type: "string", enum: ["up", "down"] },
+            cycle: { type: "number", minimum: 1 },
+            sd: { type: ["number", "null"] },
+            n: { type: "number", minimum: 1 },
+          },
+        },
+      },
+    },
+  },
+};
+
+const MAX_ERRORS = 20;
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isFinite(value) ? "number" : "non-finite number";
+  return typeof value;
+};
+
+// schema + value -> ["path: problem"]
+export function validateAgainst(schema, value, path = "", errors = []) {
+  if (errors.length >= MAX_ERRORS) return errors;
+  const at = path || "payload";
+  const type = typeOf(value);
+  const allowed = [].concat(schema.type ?? []);
+  if (allowed.length && !allowed.includes(type)) {
+    errors.push(`${at}: expected ${allowed.join(" or ")}, got ${type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+
+  if (type === "string") {
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: ${schema.description ?? `must match ${schema.pattern}`}`);
+  }
+  if (type === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be ≤ ${schema.maximum}`);
+  }
+  if (type === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    else if (schema.items) value.forEach((item, i) => validateAgainst(schema.items, item, `${at}[${i}]`, errors));
+  }
+  if (type === "object") {
+    (schema.required ?? []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ""}${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, v]) => {
+      if (v === undefined) return;
+      const sub = schema.properties?.[key];
+      const childPath = path ? `${path}.${key}` : key;
+      if (sub) validateAgainst(sub, v, childPath, errors);
+      else if (schema.additionalProperties === false) errors.push(`${childPath}: unknown field`);
+      else if (typeof schema.additionalProperties === "object") validateAgainst(schema.additionalProperties, v, childPath, errors);
+    });
+  }
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/* ============================
+   validateReport(kind, payload) -> { ok: true } | { ok: false, errors: [string] }
+   ============================ */
+export function validateReport(kind, payload) {
+  const schema = REPORT_SCHEMAS[kind];
+  if (!schema) return { ok: false, errors: [`kind: must be one of ${Object.keys(REPORT_SCHEMAS).join(", ")}`] };
+  const errors = validateAgainst(schema, payload);
+  return errors.length ? { ok: false, errors } : { ok: true };
+}
@@ -0,0 +1,111 @@
+// src/lib/report/service.js
+import { drawLabReport, drawFormulaReport, drawEnergyReport, drawCalibrationCertificate, reportFileName } from "./layout.js";
+import { validateReport } from "./schema.js";
+
+/* ============================
+   Report service — the one place that turns a request into a PDF
+   - REPORT_KINDS: kind -> layout + download name; the request body is validated
+     against REPORT_SCHEMAS[kind] (./schema.js) first
+   - createReportHandler() returns a (req, res) handler that runs unchanged as a Vercel
+     function (api/*.js) and as an Express route (lab-report-backend/server.cjs);
+     PDFDocument is passed in so this module stays free of node-only imports
+   - responses: 200 application/pdf | 400 { error, details: [string] } |
+     405 { error } | 500 { error }
+   ============================ */
+export const REPORT_KINDS = {
+  lab: { draw: drawLabReport, fileName: (d) => reportFileName(d.title) },
+  formula: { draw: drawFormulaReport, fileName: (d) => reportFileName(d.title || "Formula Report") },
+  energy: { draw: drawEnergyReport, fileName: (d) => reportFileName(d.title || "Energy Report") },
+  calibration: { draw: drawCalibrationCertificate, fileName: (d) => reportFileName(d.title || "Calibration Certificate") },
+};
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/* ============================
+   prepareReport(kind, payload) ->
+     { ok: true, draw, fileName } | { ok: false, status: 400, error, details }
+   ============================ */
+export function prepareReport(kind, payload) {
+  const spec = REPORT_KINDS[kind];
+  if (!spec) {
+    return { ok: false, status: 400, error: "Unknown report kind", details: [`kind: must be one of ${Object.keys(REPORT_KINDS).join(", ")}`] };
+  }
+  if (!isPlainObject(payload)) {
+    return { ok: false, status: 400, error: "Invalid report payload", details: ["payload: expected a JSON object"] };
+  }
+  const check = validateReport(kind, payload);
+  if (!check.ok) return { ok: false, status: 400, error: "Invalid report payload", details: check.errors };
+  return { ok: true, draw: spec.draw, fileName: spec.fileName(payload) };
+}
+
+// body as parsed by Vercel / express.json(); a string body is parsed here. Vercel parses
+// lazily and throws on malformed JSON, hence the try
+function readBody(req) {
+  try {
+    const body = req.body;
+    if (typeof body === "string") return { body: body.trim() ? JSON.parse(body) : {} };
+    return { body: body ?? {} };
+  } catch {
+    return { error: "Request body is not valid JSON" };
+  }
+}
+
+/* global Buffer -- the handler only runs under node */
+// lay the report out into a Buffer, so a layout error can still be answered with a 500
+function renderBuffer(PDFDocument, draw, payload) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      draw(doc, payload);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+/* ============================
+   createReportHandler({ PDFDocument, kind })
+   kind fixed per route, or omitted to read it from ?kind= (or body.kind) — see api/report.js
+   ============================ */
+export function createReportHandler({ PDFDocument, kind: fixedKind } = {}) {
+  return async function reportHandler(req, res) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Allow", "POST, OPTIONS");
+
+    if (req.method === "OPTIONS") return res.status(204).end();
+    if (req.method !== "POST") return res.status(405).json({ error: "Only POST method allowed" });
+
+    const { body, error } = readBody(req);
+    if (error) return res.status(400).json({ error, details: [] });
+
+    let payload = body;
+    let kind = fixedKind;
+    if (!kind) {
+      const { kind: bodyKind, ...rest } = isPlainObject(body) ? body : {};
+      if (bodyKind !== undefined) payload = rest;
+      kind = req.query?.kind ?? bodyKind;
+      if (!kind) return res.status(400).json({ error: "Missing report kind", details: [`kind: use ?kind=${Object.keys(REPORT_KINDS).join("|")}`] });
+    }
+
+    const report = prepareReport(kind, payload);
+    if (!report.ok) return res.status(report.status).json({ error: report.error, details: report.details });
+
+    try {
+      const pdf = await renderBuffer(PDFDocument, report.draw, payload);
+      res.setHeader("Content-Type", "application/pdf");
+      // header values must be plain ASCII (titles may contain curly quotes)
+      res.setHeader("Content-Disposition", `attachment; filename="${report.fileName.replace(/[^\x20-\x7e]|["\\]/g, "")}"`);
+      res.status(200).end(pdf);
+    } catch (err) {
+      console.error(`${kind} report generation error:`, err);
+      res.status(500).json({ error: "PDF generation failed" });
+    }
+  };
+}
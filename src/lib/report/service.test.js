@@ -0,0 +1,44 @@
+// src/lib/report/service.test.js
+import { describe, expect, it } from "vitest";
+import { createReportHandler, prepareReport } from "./service";
+
+// minimal stand-in for the Vercel / Express response
+function mockRes() {
+  return {
+    statusCode: 0,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+}
+
+describe("lab report requests", () => {
+  it("rejects an empty payload", () => {
+    const report = prepareReport("lab", {});
+    expect(report.ok).toBe(false);
+    expect(report.status).toBe(400);
+    expect(report.details).toEqual(["title: is required", "observations: is required"]);
+  });
+
+  it("accepts a title with observations", () => {
+    const report = prepareReport("lab", { title: "Ohm's Law", observations: [{ V: 1, I: 0.01 }] });
+    expect(report.ok).toBe(true);
+  });
+
+  it("answers 400 for {} from the service handler", async () => {
+    const res = mockRes();
+    await createReportHandler({ kind: "lab" })({ method: "POST", body: {} }, res);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toContain("title: is required");
+  });
+});
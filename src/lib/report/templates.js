@@ -0,0 +1,140 @@
+// src/lib/report/templates.js
+
+/* ============================
+   Lab report themes and templates
+   - a theme is the colour set used by the layout; "dark" is the original black page
+     with orange headings, "print" is a white page that prints without toner waste;
+     point / fit colour the measured points and fitted line of the auto-plotted graph
+   - a template picks a theme, a header style and which sections appear in what order;
+     { id, newPage: true } starts that section on a fresh page
+   - the client sends the template id as payload.template (unknown ids fall back to
+     DEFAULT_TEMPLATE)
+   ============================ */
+export const REPORT_THEMES = {
+  dark: {
+    page: "#000000",
+    border: "#444444",
+    heading: "#ffb84a",
+    title: "#ffffff",
+    text: "#ffffff",
+    muted: "#bbbbbb",
+    note: "#aaaaaa",
+    error: "#ff5555",
+    rule: "#777777",
+    tableHead: "#ffb84a",
+    tableHeadText: "#000000",
+    rows: ["#0a0a0a", "#131313"],
+    grid: null,
+    point: "#00ffbf",
+    fit: "#ffb84a",
+  },
+  print: {
+    page: null,
+    border: "#9ca3af",
+    heading: "#111827",
+    title: "#111827",
+    text: "#111111",
+    muted: "#374151",
+    note: "#6b7280",
+    error: "#b91c1c",
+    rule: "#4b5563",
+    tableHead: "#e5e7eb",
+    tableHeadText: "#111111",
+    rows: ["#ffffff", "#f5f5f5"],
+    grid: "#d1d5db",
+    point: "#1d4ed8",
+    fit: "#b45309",
+  },
+};
+
+export const REPORT_SECTIONS = {
+  objective: "Objective",
+  description: "Description",
+  apparatus: "Apparatus",
+  procedure: "Procedure",
+  circuit: "Circuit Diagram",
+  observations: "Observation Table",
+  graph: "Graph (Auto-Plotted)",
+  calculations: "Calculations",
+  result: "Result",
+  conclusion: "Conclusion",
+  signatures: "Signatures",
+};
+
+export const REPORT_TEMPLATES = {
+  classic: {
+    label: "Classic (dark)",
+    description: "Black pages with orange headings, as on screen",
+    theme: "dark",
+    header: "classic",
+    sections: [
+      { id: "objective" },
+      { id: "description" },
+      { id: "apparatus" },
+      { id: "procedure" },
+      { id: "observations", newPage: true },
+      { id: "graph", newPage: true },
+      { id: "circuit", newPage: true },
+      { id: "calculations", newPage: true },
+      { id: "result" },
+      { id: "conclusion" },
+      { id: "signatures" },
+    ],
+  },
+  print: {
+    label: "Printable (white)",
+    description: "The classic layout on white pages",
+    theme: "print",
+    header: "classic",
+    sections: [
+      { id: "objective" },
+      { id: "description" },
+      { id: "apparatus" },
+      { id: "procedure" },
+      { id: "observations", newPage: true },
+      { id: "graph", newPage: true },
+      { id: "circuit", newPage: true },
+      { id: "calculations", newPage: true },
+      { id: "result" },
+      { id: "conclusion" },
+      { id: "signatures" },
+    ],
+  },
+  institution: {
+    label: "Institution record",
+    description: "Logo, course code and roll number header; lab-record section order",
+    theme: "print",
+    header: "institution",
+    sections: [
+      { id: "objective" },
+      { id: "apparatus" },
+      { id: "circuit" },
+      { id: "description" },
+      { id: "procedure" },
+      { id: "observations", newPage: true },
+      { id: "calculations" },
+      { id: "graph", newPage: true },
+      { id: "result" },
+      { id: "conclusion" },
+      { id: "signatures" },
+    ],
+  },
+  compact: {
+    label: "Compact",
+    description: "White pages, no forced page breaks, theory sections left out",
+    theme: "print",
+    header: "institution",
+    sections: [
+      { id: "objective" },
+      { id: "observations" },
+      { id: "graph" },
+      { id: "calculations" },
+      { id: "result" },
+      { id: "conclusion" },
+    ],
+  },
+};
+
+export const DEFAULT_TEMPLATE = "classic";
+
+export const resolveTemplate = (id) => REPORT_TEMPLATES[id] ?? REPORT_TEMPLATES[DEFAULT_TEMPLATE];
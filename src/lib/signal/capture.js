@@ -0,0 +1,224 @@
+// src/lib/signal/capture.js
+import { parseDelimited } from "../report/importTable";
+import { parseCell } from "../units/quantity";
+
+/* ============================
+   Imported waveforms (bench-scope CSV exports, mono WAV recordings)
+   - a capture is { name, source: "csv" | "wav", values: Float32Array, sampleRate, ...info }
+     with uniformly spaced samples in volts (WAV full scale = ±1)
+   - CSV: ",", ";" or tab (quoted cells, decimal commas) or whitespace separated, header /
+     metadata lines skipped; a time column (seconds) is detected by name or by strictly
+     increasing values — without one the samples are taken at the given sample rate. Uneven time steps are interpolated onto a uniform grid.
+   - WAV: PCM 8/16/24/32-bit and IEEE float 32/64-bit; one channel is extracted
+   ============================ */
+export const MAX_CAPTURE_SAMPLES = 1 << 21;
+
+const TIME_HEADER = /^(t|x|s|time|sec|secs|seconds|time\s*\(s\)|time\s*\[s\])$/i;
+
+const isNumeric = (cell) => cell !== "" && Number.isFinite(parseCell(cell));
+
+/* ============================
+   parseCsvTable(text) -> { headers: [string], columns: [Float64Array] }
+   Cells are split by the report importer's parseDelimited; a file without a delimiter is
+   split on whitespace. Data rows are the lines whose cells are all numeric (empty cells
+   read as NaN); the header is the last non-numeric line before the first data row.
+   ============================ */
+export function parseCsvTable(text) {
+  const table = parseDelimited(text);
+  const spaced = table.headers.length === 1 && [table.headers[0], ...table.rows.map(([c]) => c)].some((c) => /\S\s+\S/.test(c));
+  const lines = spaced
+    ? String(text)
+        .split(/\r?\n/)
+        .filter((l) => l.trim() !== "")
+        .map((l) => l.trim().split(/\s+/))
+    : [table.headers, ...table.rows];
+
+  let header = null;
+  const rows = [];
+  for (const cells of lines) {
+    const numeric = cells.filter((c) => c !== "");
+    if (numeric.length && numeric.every(isNumeric)) rows.push(cells.map((c) => (c === "" ? NaN : parseCell(c))));
+    else if (!rows.length) header = cells;
+  }
+  if (!rows.length) throw new Error("No numeric rows found in the CSV file");
+
+  // rows come padded to the widest line; columns that are empty on every data row are dropped
+  const width = Math.max(...rows.map((r) => r.findLastIndex((x) => Number.isFinite(x)) + 1));
+  const columns = Array.from({ length: width }, (_, ci) => Float64Array.from(rows, (r) => (ci < r.length ? r[ci] : NaN)));
+  const headers = columns.map((_, ci) => (header?.[ci] ? header[ci] : `Column ${ci + 1}`));
+  return { headers, columns };
+}
+
+// 0, 1, 2 ... (or 1, 2, 3 ...): a sample-number column, neither time nor voltage
+const isIndexColumn = (col) => col.length > 1 && col.every((v, i) => v === col[0] + i && (col[0] === 0 || col[0] === 1));
+
+// index of the time column or -1: a time-like header, else a strictly increasing first column that is not a sample index
+export function guessTimeColumn({ headers, columns }) {
+  const named = headers.findIndex((h) => TIME_HEADER.test(h.trim()));
+  if (named >= 0) return named;
+  const first = columns[0];
+  if (!first || columns.length < 2 || first.length < 2 || isIndexColumn(first)) return -1;
+  return first.every((v, i) => i === 0 || v > first[i - 1]) ? 0 : -1;
+}
+
+/* ============================
+   captureFromCsv(text, { name, valueColumn, timeColumn, sampleRate })
+   valueColumn defaults to the first column that is neither time nor a sample index; timeColumn = -1 ignores
+   time and uses sampleRate. Returns a capture with { columns: [header], valueColumn, timeColumn }.
+   ============================ */
+export function captureFromCsv(text, { name = "capture.csv", valueColumn, timeColumn, sampleRate = 44100 } = {}) {
+  const table = parseCsvTable(text);
+  const tc = timeColumn ?? guessTimeColumn(table);
+  const candidates = table.columns.map((_, ci) => ci).filter((ci) => ci !== tc);
+  const vc = valueColumn ?? candidates.find((ci) => !isIndexColumn(table.columns[ci])) ?? candidates[0] ?? -1;
+  if (vc < 0 || vc >= table.columns.length || vc === tc) throw new Error("The CSV file has no voltage column");
+
+  const raw = table.columns[vc];
+  const times = tc >= 0 ? table.columns[tc] : null;
+  // rows with a missing value (or time) are dropped
+  const keep = [];
+  for (let i = 0; i < raw.length; i++) if (Number.isFinite(raw[i]) && (!times || Number.isFinite(times[i]))) keep.push(i);
+  if (keep.length < 2) throw new Error("The CSV file needs at least two samples");
+
+  let values;
+  let rate = sampleRate;
+  if (times) {
+    const t = keep.map((i) => times[i]);
+    const v = keep.map((i) => raw[i]);
+    const steps = [];
+    for (let i = 1; i < t.length; i++) steps.push(t[i] - t[i - 1]);
+    if (steps.some((d) => !(d > 0))) throw new Error("Time values must be strictly increasing");
+    // median step: robust against the odd dropped row
+    const dt = [...steps].sort((a, b) => a - b)[steps.length >> 1];
+    rate = 1 / dt;
+    const n = Math.min(MAX_CAPTURE_SAMPLES, Math.floor((t[t.length - 1] - t[0]) / dt + 1e-9) + 1);
+    values = new Float32Array(n);
+    let j = 0;
+    for (let i = 0; i < n; i++) {
+      const ti = t[0] + i * dt;
+      while (j < t.length - 2 && t[j + 1] < ti) j++;
+      const f = (ti - t[j]) / (t[j + 1] - t[j]);
+      values[i] = v[j] + (v[j + 1] - v[j]) * Math.min(1, Math.max(0, f));
+    }
+  } else {
+    values = Float32Array.from(keep.slice(0, MAX_CAPTURE_SAMPLES), (i) => raw[i]);
+  }
+  return { name, source: "csv", values, sampleRate: rate, columns: table.headers, valueColumn: vc, timeColumn: tc };
+}
+
+/* ============================
+   decodeWav(arrayBuffer, { name, channel = 0 })
+   Returns a capture with { channels, bitsPerSample }; multi-channel files yield the
+   selected channel only.
+   ============================ */
+export function decodeWav(arrayBuffer, { name = "capture.wav", channel = 0 } = {}) {
+  const view = new DataView(arrayBuffer);
+  const tag = (at) => String.fromCharCode(view.getUint8(at), view.getUint8(at + 1), view.getUint8(at + 2), view.getUint8(at + 3));
+  if (view.byteLength < 12 || tag(0) !== "RIFF" || tag(8) !== "WAVE") throw new Error("Not a RIFF/WAVE file");
+
+  let fmt = null;
+  let data = null;
+  for (let at = 12; at + 8 <= view.byteLength; ) {
+    const id = tag(at);
+    const size = view.getUint32(at + 4, true);
+    const body = at + 8;
+    if (id === "fmt ") {
+      let format = view.getUint16(body, true);
+      // WAVE_FORMAT_EXTENSIBLE: the real format code leads the sub-format GUID
+      if (format === 0xfffe && size >= 26) format = view.getUint16(body + 24, true);
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+    at = body + size + (size % 2); // chunks are word aligned
+  }
+  if (!fmt || !data) throw new Error("WAV file is missing its fmt or data chunk");
+
+  const { format, channels, sampleRate, blockAlign, bitsPerSample } = fmt;
+  const bytes = bitsPerSample / 8;
+  const read = {
+    "1:8": (p) => (view.getUint8(p) - 128) / 128,
+    "1:16": (p) => view.getInt16(p, true) / 32768,
+    "1:24": (p) => ((view.getUint8(p) | (view.getUint8(p + 1) << 8) | (view.getInt8(p + 2) << 16)) / 8388608),
+    "1:32": (p) => view.getInt32(p, true) / 2147483648,
+    "3:32": (p) => view.getFloat32(p, true),
+    "3:64": (p) => view.getFloat64(p, true),
+  }[`${format}:${bitsPerSample}`];
+  if (!read) throw new Error(`Unsupported WAV encoding (format ${format}, ${bitsPerSample}-bit)`);
+
+  const ch = Math.min(Math.max(0, channel), channels - 1);
+  const n = Math.min(MAX_CAPTURE_SAMPLES, Math.floor(data.size / blockAlign));
+  const values = new Float32Array(n);
+  for (let i = 0; i < n; i++) values[i] = read(data.offset + i * blockAlign + ch * bytes);
+  return { name, source: "wav", values, sampleRate, channels, bitsPerSample };
+}
+
+/* ============================
+   resample(values, fromRate, toRate) -> Float32Array
+   Linear interpolation; when decimating, a box filter one output period wide runs first
+   so content above the new Nyquist is attenuated rather than aliased.
+   ============================ */
+export function resample(values, fromRate, toRate) {
+  if (!values.length || !(fromRate > 0) || !(toRate > 0)) return new Float32Array(0);
+  if (fromRate === toRate) return Float32Array.from(values);
+  const ratio = fromRate / toRate;
+  let src = values;
+  if (ratio > 1) {
+    const width = Math.floor(ratio);
+    if (width > 1) {
+      src = new Float32Array(values.length);
+      let acc = 0;
+      for (let i = 0; i < values.length; i++) {
+        acc += values[i];
+        if (i >= width) acc -= values[i - width];
+        src[i] = acc / Math.min(i + 1, width);
+      }
+    }
+  }
+  const n = Math.min(MAX_CAPTURE_SAMPLES, Math.max(1, Math.floor((values.length - 1) / ratio) + 1));
+  const out = new Float32Array(n);
+  // the box filter delays by (width − 1) / 2 samples; read that much later to stay aligned
+  const lag = src === values ? 0 : (Math.floor(ratio) - 1) / 2;
+  for (let i = 0; i < n; i++) {
+    const x = Math.min(values.length - 1, i * ratio + lag);
+    const k = Math.floor(x);
+    const f = x - k;
+    out[i] = k + 1 < src.length ? src[k] + (src[k + 1] - src[k]) * f : src[k];
+  }
+  return out;
+}
+
+// capture resampled to the given rate (returned unchanged when it already matches)
+export const resampleCapture = (capture, sampleRate) =>
+  capture.sampleRate === sampleRate ? capture : { ...capture, values: resample(capture.values, capture.sampleRate, sampleRate), sampleRate };
+
+// value at fractional sample position pos; loops past the end, or reads 0 once played out
+export function captureSampleAt(values, pos, loop = true) {
+  const n = values.length;
+  if (!n) return 0;
+  let x = pos;
+  if (loop) x = ((x % n) + n) % n;
+  else if (x < 0 || x > n - 1) return 0;
+  const k = Math.floor(x);
+  const f = x - k;
+  const next = k + 1 < n ? values[k + 1] : loop ? values[0] : values[k];
+  return values[k] + (next - values[k]) * f;
+}
+
+// { peak, min, max, duration } of a capture, for labels and normalisation
+export function captureStats({ values, sampleRate }) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i];
+    if (values[i] > max) max = values[i];
+  }
+  if (!values.length) min = max = 0;
+  return { min, max, peak: Math.max(Math.abs(min), Math.abs(max)), duration: values.length / sampleRate };
+}
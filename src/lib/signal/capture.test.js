@@ -0,0 +1,35 @@
+// src/lib/signal/capture.test.js
+import { describe, expect, it } from "vitest";
+import { captureFromCsv, parseCsvTable } from "./capture";
+
+describe("parseCsvTable", () => {
+  it("skips scope metadata and reads the header above the data", () => {
+    const text = ["X,CH1,Start,Increment,", "Second,Volt,-1e-3,1e-4,", "-1e-3,0.04,", "-0.9e-3,0.08,", "-0.8e-3,0.12,"].join("\n");
+    const { headers, columns } = parseCsvTable(text);
+    expect(headers).toEqual(["Second", "Volt"]);
+    expect(Array.from(columns[1])).toEqual([0.04, 0.08, 0.12]);
+  });
+
+  it("reads semicolon files with decimal commas and quoted headers", () => {
+    const { headers, columns } = parseCsvTable('"Time (s)";"CH1; probe x10"\n0;1,5\n0,001;-2,25\n0,002;3\n');
+    expect(headers).toEqual(["Time (s)", "CH1; probe x10"]);
+    expect(Array.from(columns[0])).toEqual([0, 0.001, 0.002]);
+    expect(Array.from(columns[1])).toEqual([1.5, -2.25, 3]);
+  });
+
+  it("splits whitespace-separated columns", () => {
+    const { headers, columns } = parseCsvTable("t v\n0 1\n0.5 2\n1 3\n");
+    expect(headers).toEqual(["t", "v"]);
+    expect(Array.from(columns[1])).toEqual([1, 2, 3]);
+  });
+});
+
+describe("captureFromCsv", () => {
+  it("takes the sample rate from the time column", () => {
+    const capture = captureFromCsv("time;v\n0;0\n0,25;1\n0,5;0\n0,75;-1\n");
+    expect(capture.timeColumn).toBe(0);
+    expect(capture.valueColumn).toBe(1);
+    expect(capture.sampleRate).toBe(4);
+    expect(Array.from(capture.values)).toEqual([0, 1, 0, -1]);
+  });
+});
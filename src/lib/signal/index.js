@@ -0,0 +1,34 @@
+// src/lib/signal/index.js
+// Shared signal-processing library: FFT, windowed spectra, harmonic distortion, triggering, waveform measurements
+// and imported (CSV / WAV) captures.
+
+export {
+  FFT_WINDOWS,
+  isPowerOfTwo,
+  floorPowerOfTwo,
+  windowCoefficients,
+  fft,
+  computeSpectrum,
+  toDb,
+  findPeaks,
+  harmonicAnalysis,
+} from "./spectrum";
+export {
+  TRIGGER_KINDS,
+  findCrossings,
+  findTriggers,
+  chainTriggers,
+  measureWaveform,
+  measurePhase,
+} from "./measure";
+export {
+  MAX_CAPTURE_SAMPLES,
+  parseCsvTable,
+  guessTimeColumn,
+  captureFromCsv,
+  decodeWav,
+  resample,
+  resampleCapture,
+  captureSampleAt,
+  captureStats,
+} from "./capture";
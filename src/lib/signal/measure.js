@@ -0,0 +1,165 @@
+// src/lib/signal/measure.js
+
+/* ============================
+   Triggering and automatic waveform measurements
+   - all positions are sample indices into the array passed in; times come out in seconds
+   - crossings are linearly interpolated between samples
+   - a signal needs hysteresis to re-arm: after a rising crossing it must fall below
+     level − hysteresis before the next rising crossing counts (and vice versa)
+   ============================ */
+export const TRIGGER_KINDS = ["edge", "pulse"];
+
+// rising / falling crossings of `level` as fractional indices
+export function findCrossings(samples, level, { hysteresis = 0 } = {}) {
+  const rising = [];
+  const falling = [];
+  let state = 0; // 0 unknown, -1 below, +1 above
+  for (let i = 0; i < samples.length; i++) {
+    const v = samples[i];
+    if (v >= level + hysteresis) {
+      if (state === -1 && i > 0) rising.push(crossAt(samples, i, level));
+      state = 1;
+    } else if (v < level - hysteresis) {
+      if (state === 1 && i > 0) falling.push(crossAt(samples, i, level));
+      state = -1;
+    }
+  }
+  return { rising, falling };
+}
+
+// fractional index where the segment ending at sample i crosses level (searching back for the straddling pair)
+function crossAt(samples, i, level) {
+  let j = i;
+  while (j > 0 && (samples[j - 1] - level) * (samples[i] - level) > 0) j--;
+  const a = samples[Math.max(0, j - 1)];
+  const b = samples[j];
+  return b === a ? j : j - 1 + (level - a) / (b - a);
+}
+
+/* ============================
+   findTriggers(samples, trigger) -> [index]
+   trigger: {
+     level, slope: "rising" | "falling",
+     kind: "edge" | "pulse",
+     pulseCond: "lt" | "gt", pulseWidth  // samples; pulse polarity follows slope
+     hysteresis                           // volts
+   }
+   Edge triggers fire on the crossing; a pulse trigger fires where a qualifying pulse ends.
+   ============================ */
+export function findTriggers(samples, { level = 0, slope = "rising", kind = "edge", pulseCond = "gt", pulseWidth = 0, hysteresis = 0 } = {}) {
+  const { rising, falling } = findCrossings(samples, level, { hysteresis });
+  const starts = slope === "falling" ? falling : rising;
+  if (kind !== "pulse") return starts.map(Math.ceil);
+  const ends = slope === "falling" ? rising : falling;
+  const out = [];
+  let j = 0;
+  starts.forEach((s) => {
+    while (j < ends.length && ends[j] <= s) j++;
+    if (j >= ends.length) return;
+    const width = ends[j] - s;
+    if (pulseCond === "lt" ? width < pulseWidth : width > pulseWidth) out.push(Math.ceil(ends[j]));
+  });
+  return out;
+}
+
+/* ============================
+   chainTriggers(triggers, { base, lastAbs, holdoff, fits })
+   Walks the trigger events in order like a scope's trigger circuit: an event re-arms only
+   `holdoff` samples after the previous accepted one. base is the absolute sample number of
+   index 0, so the chain continues across overlapping acquisitions via lastAbs.
+   Returns { index, lastAbs } — index is the newest accepted trigger for which fits(index)
+   holds (the frame around it is complete), or -1.
+   ============================ */
+export function chainTriggers(triggers, { base = 0, lastAbs = null, holdoff = 0, fits = () => true } = {}) {
+  let last = lastAbs ?? -Infinity;
+  let index = -1;
+  triggers.forEach((t) => {
+    const abs = base + t;
+    if (abs <= last || abs < last + holdoff) return;
+    last = abs;
+    if (fits(t)) index = t;
+  });
+  return { index, lastAbs: Number.isFinite(last) ? last : lastAbs };
+}
+
+/* ============================
+   measureWaveform(samples, sampleRate) -> {
+     vmax, vmin, vpp, vavg, vrms,
+     freq, period, duty,       // null without two rising mid-level crossings
+     rise, fall                // 10 % – 90 % transition times, null if none complete
+   }
+   ============================ */
+export function measureWaveform(samples, sampleRate) {
+  const n = samples.length;
+  if (!n) return null;
+  let vmax = -Infinity;
+  let vmin = Infinity;
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    const v = samples[i];
+    if (v > vmax) vmax = v;
+    if (v < vmin) vmin = v;
+    sum += v;
+    sumSq += v * v;
+  }
+  const vpp = vmax - vmin;
+  const out = { vmax, vmin, vpp, vavg: sum / n, vrms: Math.sqrt(sumSq / n), freq: null, period: null, duty: null, rise: null, fall: null };
+  if (vpp <= 1e-9) return out;
+
+  const mid = (vmax + vmin) / 2;
+  const { rising, falling } = findCrossings(samples, mid, { hysteresis: 0.1 * vpp });
+  if (rising.length >= 2) {
+    const periodSamples = (rising[rising.length - 1] - rising[0]) / (rising.length - 1);
+    out.period = periodSamples / sampleRate;
+    out.freq = 1 / out.period;
+    // high time of every whole cycle: rising crossing to the next falling one
+    const highs = [];
+    for (let k = 0; k < rising.length - 1; k++) {
+      const f = falling.find((x) => x > rising[k] && x < rising[k + 1]);
+      if (f !== undefined) highs.push(f - rising[k]);
+    }
+    if (highs.length) out.duty = highs.reduce((a, b) => a + b, 0) / highs.length / periodSamples;
+  }
+
+  const lo = vmin + 0.1 * vpp;
+  const hi = vmin + 0.9 * vpp;
+  const edgeTime = (crossings, from, to) => {
+    const times = [];
+    crossings.forEach((c) => {
+      // walk out from the mid crossing to the 10 % / 90 % levels on either side
+      let a = Math.floor(c);
+      while (a > 0 && (from < to ? samples[a] > from : samples[a] < from)) a--;
+      let b = Math.ceil(c);
+      while (b < n - 1 && (from < to ? samples[b] < to : samples[b] > to)) b++;
+      const startOk = from < to ? samples[a] <= from : samples[a] >= from;
+      const endOk = from < to ? samples[b] >= to : samples[b] <= to;
+      if (!startOk || !endOk) return;
+      times.push((crossAt(samples, b, to) - crossAt(samples, a + 1, from)) / sampleRate);
+    });
+    return times.length ? times.reduce((x, y) => x + y, 0) / times.length : null;
+  };
+  out.rise = edgeTime(rising, lo, hi);
+  out.fall = edgeTime(falling, hi, lo);
+  return out;
+}
+
+/* ============================
+   measurePhase(a, b, sampleRate) -> degrees in (−180, 180], positive when b lags a
+   null unless both signals have a period and their frequencies agree within 2 %.
+   ============================ */
+export function measurePhase(a, b, sampleRate) {
+  const ma = measureWaveform(a, sampleRate);
+  const mb = measureWaveform(b, sampleRate);
+  if (!ma?.period || !mb?.period || Math.abs(ma.freq - mb.freq) > 0.02 * ma.freq) return null;
+  const ra = findCrossings(a, (ma.vmax + ma.vmin) / 2, { hysteresis: 0.1 * ma.vpp }).rising;
+  const rb = findCrossings(b, (mb.vmax + mb.vmin) / 2, { hysteresis: 0.1 * mb.vpp }).rising;
+  const t0 = ra[0];
+  const t1 = rb.find((x) => x >= t0) ?? rb[0];
+  if (t0 === undefined || t1 === undefined) return null;
+  const periodSamples = ma.period * sampleRate;
+  let deg = (((t1 - t0) / periodSamples) * 360) % 360;
+  if (deg > 180) deg -= 360;
+  if (deg <= -180) deg += 360;
+  return deg;
+}
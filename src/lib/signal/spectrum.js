@@ -0,0 +1,224 @@
+// src/lib/signal/spectrum.js
+
+/* ============================
+   Spectrum analysis
+   - radix-2 iterative FFT (length must be a power of two)
+   - windows are normalised so a sine of amplitude A reads A in the amplitude spectrum
+     (coherent-gain correction) and a tone's lobe sums to A²/2 in the power spectrum
+     (noise-bandwidth correction)
+   - single-sided spectra: bin k is k · fs / N, k = 0 .. N/2
+   ============================ */
+
+// lobe: bins either side of a tone's peak counted as that tone (main-lobe half width plus one)
+export const FFT_WINDOWS = {
+  rect: { label: "Rectangular", lobe: 2, coeffs: [1] },
+  hann: { label: "Hann", lobe: 3, coeffs: [0.5, 0.5] },
+  hamming: { label: "Hamming", lobe: 3, coeffs: [0.54, 0.46] },
+  blackman: { label: "Blackman", lobe: 4, coeffs: [0.42, 0.5, 0.08] },
+  flattop: { label: "Flat-top", lobe: 6, coeffs: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368] },
+};
+
+export const isPowerOfTwo = (n) => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+
+// largest power of two not above n (n >= 1)
+export const floorPowerOfTwo = (n) => 2 ** Math.floor(Math.log2(Math.max(1, n)));
+
+// cosine-sum window w[n] = a0 - a1 cos(2πn/N) + a2 cos(4πn/N) - ... (periodic form, N samples)
+export function windowCoefficients(type, N) {
+  const { coeffs } = FFT_WINDOWS[type] ?? FFT_WINDOWS.rect;
+  const w = new Float64Array(N);
+  for (let n = 0; n < N; n++) {
+    let v = 0;
+    coeffs.forEach((a, k) => {
+      v += (k % 2 ? -a : a) * Math.cos((2 * Math.PI * k * n) / N);
+    });
+    w[n] = v;
+  }
+  return w;
+}
+
+/* ============================
+   fft(re, im) — in place, forward transform, X[k] = Σ x[n] e^{-j2πkn/N}
+   ============================ */
+export function fft(re, im) {
+  const N = re.length;
+  if (!isPowerOfTwo(N) || im.length !== N) throw new Error(`FFT length must be a power of two (got ${N})`);
+
+  // bit-reversal permutation
+  for (let i = 1, j = 0; i < N; i++) {
+    let bit = N >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= N; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    const wr = Math.cos(step);
+    const wi = Math.sin(step);
+    for (let start = 0; start < N; start += size) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+}
+
+/* ============================
+   computeSpectrum(samples, sampleRate, { window = "hann" })
+   Uses the last power-of-two run of samples. Returns {
+     N, binHz, window,
+     freqs: Float64Array,   // Hz
+     amp:   Float64Array,   // peak amplitude per bin (V)
+     power: Float64Array    // mean-square power per bin (V²)
+   }
+   ============================ */
+export function computeSpectrum(samples, sampleRate, { window = "hann" } = {}) {
+  const N = floorPowerOfTwo(samples.length);
+  const offset = samples.length - N;
+  const w = windowCoefficients(window, N);
+  const re = new Float64Array(N);
+  const im = new Float64Array(N);
+  let sumW = 0;
+  let sumW2 = 0;
+  for (let n = 0; n < N; n++) {
+    re[n] = (Number(samples[offset + n]) || 0) * w[n];
+    sumW += w[n];
+    sumW2 += w[n] * w[n];
+  }
+  fft(re, im);
+
+  const bins = N / 2 + 1;
+  const freqs = new Float64Array(bins);
+  const amp = new Float64Array(bins);
+  const power = new Float64Array(bins);
+  for (let k = 0; k < bins; k++) {
+    const mag2 = re[k] * re[k] + im[k] * im[k];
+    // DC and Nyquist have no mirror image in the negative half
+    const single = k === 0 || k === N / 2 ? 1 : 2;
+    freqs[k] = (k * sampleRate) / N;
+    amp[k] = (single * Math.sqrt(mag2)) / sumW;
+    power[k] = (single * mag2) / (N * sumW2);
+  }
+  return { N, binHz: sampleRate / N, window, freqs, amp, power };
+}
+
+// amplitude -> dBV (1 V peak = 0 dB), floored so silence stays finite
+export const toDb = (v, floor = -200) => (v > 0 ? Math.max(floor, 20 * Math.log10(v)) : floor);
+
+/* ============================
+   findPeaks(spectrum, { count = 5, minDb = -80 }) -> [{ bin, freq, amp, db }]
+   Local maxima above minDb, strongest first, at least one main lobe apart.
+   ============================ */
+export function findPeaks(spectrum, { count = 5, minDb = -80 } = {}) {
+  const { amp, freqs, window } = spectrum;
+  const lobe = FFT_WINDOWS[window]?.lobe ?? 1;
+  const candidates = [];
+  for (let k = 1; k < amp.length - 1; k++) {
+    if (amp[k] >= amp[k - 1] && amp[k] > amp[k + 1] && toDb(amp[k]) >= minDb) candidates.push(k);
+  }
+  candidates.sort((a, b) => amp[b] - amp[a]);
+  const picked = [];
+  for (const k of candidates) {
+    if (picked.length >= count) break;
+    if (picked.some((p) => Math.abs(p - k) <= lobe)) continue;
+    picked.push(k);
+  }
+  return picked.map((k) => ({ bin: k, freq: freqs[k], amp: amp[k], db: toDb(amp[k]) }));
+}
+
+/* ============================
+   harmonicAnalysis(spectrum, { harmonics = 10 })
+   The fundamental is the strongest tone above the DC lobe; its frequency is refined by
+   parabolic interpolation. Each component's power is summed over its main lobe.
+   Returns null for an empty / silent spectrum, otherwise {
+     fundamental: { freq, amp, power },
+     harmonics: [{ order, freq, amp, power }],    // 2nd, 3rd ... below Nyquist
+     thd, thdDb,      // √(Σ harmonic power / fundamental power), ratio and dB
+     snrDb,           // fundamental vs everything except DC and harmonics
+     sinadDb,         // fundamental vs everything except DC
+     enob             // (SINAD − 1.76) / 6.02
+   }
+   ============================ */
+export function harmonicAnalysis(spectrum, { harmonics = 10 } = {}) {
+  const { amp, power, binHz, window } = spectrum;
+  const lobe = FFT_WINDOWS[window]?.lobe ?? 1;
+  const last = amp.length - 1;
+  const used = new Uint8Array(amp.length);
+
+  // power of a lobe centred on bin k (bins already claimed are not counted twice)
+  const claim = (k) => {
+    let p = 0;
+    for (let i = Math.max(0, k - lobe); i <= Math.min(last, k + lobe); i++) {
+      if (used[i]) continue;
+      used[i] = 1;
+      p += power[i];
+    }
+    return p;
+  };
+  // strongest bin within ±lobe of k
+  const peakNear = (k) => {
+    let best = Math.max(0, Math.min(last, k));
+    for (let i = Math.max(0, k - lobe); i <= Math.min(last, k + lobe); i++) if (amp[i] > amp[best]) best = i;
+    return best;
+  };
+
+  let total = 0;
+  for (let k = 0; k <= last; k++) total += power[k];
+  const dcPower = claim(0);
+
+  let k1 = -1;
+  for (let k = lobe + 1; k < last; k++) if (k1 < 0 || amp[k] > amp[k1]) k1 = k;
+  if (k1 < 0 || power[k1] <= 0) return null;
+
+  // parabolic interpolation on log amplitude gives the fundamental between bins
+  const a = Math.log(amp[k1 - 1] || 1e-300);
+  const b = Math.log(amp[k1] || 1e-300);
+  const c = Math.log(amp[k1 + 1] || 1e-300);
+  const denom = a - 2 * b + c;
+  const delta = denom ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom)) : 0;
+  const f1 = (k1 + delta) * binHz;
+
+  const p1 = claim(k1);
+  const fundamental = { freq: f1, amp: Math.sqrt(2 * p1), power: p1 };
+
+  const list = [];
+  for (let h = 2; h <= harmonics; h++) {
+    const target = Math.round((h * f1) / binHz);
+    if (target + lobe > last) break;
+    const k = peakNear(target);
+    const p = claim(k);
+    list.push({ order: h, freq: h * f1, amp: Math.sqrt(2 * p), power: p });
+  }
+  const harmonicPower = list.reduce((acc, x) => acc + x.power, 0);
+  const noiseDist = Math.max(total - dcPower - p1, 1e-300);
+  const noise = Math.max(noiseDist - harmonicPower, 1e-300);
+
+  const thd = Math.sqrt(harmonicPower / p1);
+  const sinadDb = 10 * Math.log10(p1 / noiseDist);
+  return {
+    fundamental,
+    harmonics: list,
+    thd,
+    thdDb: toDb(thd),
+    snrDb: 10 * Math.log10(p1 / noise),
+    sinadDb,
+    enob: (sinadDb - 1.76) / 6.02,
+  };
+}
@@ -0,0 +1,159 @@
+// src/lib/stats/calibration.js
+import { linearFit, polyFit, polyval } from "./regression.js";
+import { summarize } from "./repeated.js";
+
+/* ============================
+   Multi-point calibration runs
+   - calibrationSequence steps the reference through the range upscale, downscale or up
+     and back down (so inner points are approached from both sides), `cycles` times
+   - a run records { ref, dir, cycle, reading } per step, the reading being the mean of
+     the samples taken once the instrument has settled
+   - analyseCalibration evaluates a run with the usual terms (ISA-51.1 / IEC 60770):
+       correction      ref = c0 + c1·reading (+ c2·reading² …) by least squares; order 1
+                       is the offset / gain correction the simulator applies
+       non-linearity   largest deviation of the mean reading at each point from the
+                       best-fit straight line through them (independent linearity)
+       hysteresis      largest up / down difference at one point within a cycle
+       repeatability   largest spread at one point and direction over the cycles
+     each also as % of span. Errors are checked against ±(% of reading + % of span)
+     before (as found) and after (as left) the correction.
+   ============================ */
+
+export const CORRECTION_ORDERS = { 1: "Offset & gain (linear)", 2: "Quadratic", 3: "Cubic" };
+export const SEQUENCE_PATTERNS = { up: "Upscale only", down: "Downscale only", "up-down": "Up then down" };
+
+// strip the binary noise of stepped levels (0.1 × 3 = 0.30000000000000004)
+const tidy = (x) => Number(x.toPrecision(12));
+
+/* ============================
+   calibrationSequence({ from, to, points, pattern, cycles }) -> [{ step, ref, dir, cycle }]
+   up-down visits the top point once, at the turn
+   ============================ */
+export function calibrationSequence({ from = 0, to = 10, points = 5, pattern = "up-down", cycles = 1 } = {}) {
+  const n = Math.max(2, Math.floor(points) || 2);
+  const lo = Math.min(from, to);
+  const hi = Math.max(from, to);
+  const levels = Array.from({ length: n }, (_, i) => tidy(lo + ((hi - lo) * i) / (n - 1)));
+  const up = levels.map((ref) => ({ ref, dir: "up" }));
+  const down = levels
+    .slice()
+    .reverse()
+    .map((ref) => ({ ref, dir: "down" }));
+  const pass = pattern === "up" ? up : pattern === "down" ? down : [...up, ...down.slice(1)];
+  const steps = [];
+  for (let cycle = 1; cycle <= Math.max(1, Math.floor(cycles) || 1); cycle++) {
+    pass.forEach((p) => steps.push({ step: steps.length, ...p, cycle }));
+  }
+  return steps;
+}
+
+// signed value of largest magnitude
+const worst = (values) => values.reduce((w, v) => (Math.abs(v) > Math.abs(w) ? v : w), 0);
+const groupBy = (items, key) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  });
+  return groups;
+};
+
+/* ============================
+   analyseCalibration(records, { order, spec: { reading, span }, span }) ->
+     { points: [{ ref, readings, mean, errorFound, errorLeft, tolerance, passFound, passLeft }],
+       span, correction: { order, coeffs, offset, gain, r2, residualStd },
+       nonlinearity: { value, percent }, hysteresis, repeatability: { value, percent, sd } | null,
+       asFound: { maxError, percent, pass }, asLeft: { … }, pass }
+   or null when there are fewer distinct points than the correction needs.
+   spec is in % (of the reading and of the span); span defaults to the reference range.
+   ============================ */
+export function analyseCalibration(records = [], { order = 1, spec = {}, span } = {}) {
+  const valid = records.filter((r) => Number.isFinite(r.ref) && Number.isFinite(r.reading));
+  const groups = groupBy(valid, (r) => r.ref);
+  const refs = [...groups.keys()].sort((a, b) => a - b);
+  if (refs.length < Math.max(2, order + 1)) return null;
+
+  const range = refs[refs.length - 1] - refs[0];
+  const spanValue = Number.isFinite(span) && span > 0 ? span : range || 1;
+  const pct = (value) => (value == null ? null : (value / spanValue) * 100);
+
+  const fit = polyFit(
+    valid.map((r) => r.reading),
+    valid.map((r) => r.ref),
+    order
+  );
+  if (!fit) return null;
+  const correct = (reading) => polyval(fit.coeffs, reading);
+
+  const tolerance = (ref) => ((Number(spec.reading) || 0) / 100) * Math.abs(ref) + ((Number(spec.span) || 0) / 100) * spanValue;
+  const points = refs.map((ref) => {
+    const readings = groups.get(ref).map((r) => r.reading);
+    const errorFound = worst(readings.map((x) => x - ref));
+    const errorLeft = worst(readings.map((x) => correct(x) - ref));
+    const tol = tolerance(ref);
+    return {
+      ref,
+      readings,
+      mean: readings.reduce((a, b) => a + b, 0) / readings.length,
+      errorFound,
+      errorLeft,
+      tolerance: tol,
+      passFound: Math.abs(errorFound) <= tol,
+      passLeft: Math.abs(errorLeft) <= tol,
+    };
+  });
+
+  // independent linearity of the mean readings
+  const line = linearFit(
+    points.map((p) => p.ref),
+    points.map((p) => p.mean)
+  );
+  const nonlinearity = line ? Math.max(...points.map((p) => Math.abs(p.mean - (line.intercept + line.slope * p.ref)))) : null;
+
+  const loops = [...groupBy(valid, (r) => `${r.cycle}|${r.ref}`).values()]
+    .map((g) => {
+      const up = g.filter((r) => r.dir === "up");
+      const down = g.filter((r) => r.dir === "down");
+      return up.length && down.length ? Math.abs(up[up.length - 1].reading - down[down.length - 1].reading) : null;
+    })
+    .filter((h) => h != null);
+  const hysteresis = loops.length ? Math.max(...loops) : null;
+
+  // spread over the cycles at one point and direction; pooled standard deviation
+  const repeats = [...groupBy(valid, (r) => `${r.dir}|${r.ref}`).values()].map((g) => summarize(g.map((r) => r.reading))).filter((s) => s.n > 1);
+  const dof = repeats.reduce((a, s) => a + s.n - 1, 0);
+  const repeatability = repeats.length
+    ? {
+        value: Math.max(...repeats.map((s) => s.max - s.min)),
+        percent: pct(Math.max(...repeats.map((s) => s.max - s.min))),
+        sd: Math.sqrt(repeats.reduce((a, s) => a + (s.n - 1) * s.sd ** 2, 0) / dof),
+      }
+    : null;
+
+  const verdict = (key, passKey) => {
+    const maxError = worst(points.map((p) => p[key]));
+    return { maxError, percent: pct(Math.abs(maxError)), pass: points.every((p) => p[passKey]) };
+  };
+  const asFound = verdict("errorFound", "passFound");
+  const asLeft = verdict("errorLeft", "passLeft");
+
+  return {
+    points,
+    span: spanValue,
+    correction: {
+      order: fit.order,
+      coeffs: fit.coeffs,
+      offset: fit.coeffs[0],
+      gain: fit.coeffs[1] ?? 0,
+      r2: fit.r2,
+      residualStd: fit.residualStd,
+    },
+    nonlinearity: nonlinearity == null ? null : { value: nonlinearity, percent: pct(nonlinearity) },
+    hysteresis: hysteresis == null ? null : { value: hysteresis, percent: pct(hysteresis) },
+    repeatability,
+    asFound,
+    asLeft,
+    pass: asLeft.pass,
+  };
+}
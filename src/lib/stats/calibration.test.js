@@ -0,0 +1,51 @@
+// src/lib/stats/calibration.test.js
+import { describe, expect, it } from "vitest";
+import { analyseCalibration, calibrationSequence } from "./calibration";
+
+describe("calibrationSequence", () => {
+  it("visits the top point once per up-down cycle", () => {
+    const steps = calibrationSequence({ from: 0, to: 10, points: 3, pattern: "up-down", cycles: 2 });
+    expect(steps.map((s) => `${s.cycle}${s.dir[0]}${s.ref}`)).toEqual(["1u0", "1u5", "1u10", "1d5", "1d0", "2u0", "2u5", "2u10", "2d5", "2d0"]);
+    expect(steps.map((s) => s.step)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+});
+
+describe("analyseCalibration", () => {
+  // reading = 0.3 + 1.02·ref, ∓h on the way up / down, shifted by s on the second cycle
+  const h = 0.02;
+  const s = 0.01;
+  const run = calibrationSequence({ from: 0, to: 10, points: 5, pattern: "up-down", cycles: 2 }).map((step) => ({
+    ...step,
+    reading: 0.3 + 1.02 * step.ref + (step.dir === "up" ? -h : h) + (step.cycle - 1) * s,
+  }));
+  // ±0.5 % of the 10-unit span
+  const result = analyseCalibration(run, { order: 1, spec: { span: 0.5 } });
+
+  it("measures hysteresis between the up and down readings of one cycle", () => {
+    expect(result.hysteresis.value).toBeCloseTo(2 * h, 12);
+    expect(result.hysteresis.percent).toBeCloseTo(((2 * h) / 10) * 100, 10);
+  });
+
+  it("measures repeatability across cycles at one point and direction", () => {
+    expect(result.repeatability.value).toBeCloseTo(s, 12);
+    expect(result.repeatability.sd).toBeCloseTo(s / Math.SQRT2, 12);
+  });
+
+  it("fails as found on the offset and gain error and passes as left after correction", () => {
+    expect(result.span).toBe(10);
+    result.points.forEach((p) => expect(p.tolerance).toBeCloseTo(0.05, 12));
+    expect(result.asFound.pass).toBe(false);
+    // worst as-found error: top point (reached upscale only), second cycle, 0.3 + 0.2 − h + s
+    expect(result.asFound.maxError).toBeCloseTo(0.49, 10);
+    expect(result.asLeft.pass).toBe(true);
+    expect(Math.abs(result.asLeft.maxError)).toBeLessThan(0.05);
+    expect(result.pass).toBe(true);
+    expect(result.correction.gain).toBeCloseTo(1 / 1.02, 2);
+  });
+
+  it("fails as left when the spread exceeds the tolerance", () => {
+    const tight = analyseCalibration(run, { order: 1, spec: { span: 0.1 } });
+    expect(tight.asLeft.pass).toBe(false);
+    expect(tight.pass).toBe(false);
+  });
+});
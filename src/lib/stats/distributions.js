@@ -0,0 +1,108 @@
+// src/lib/stats/distributions.js
+
+/* ============================
+   Normal and Student-t distributions (tails and quantiles)
+   - erfc is the Chebyshev-fitted form from Numerical Recipes (fractional error < 1.2e-7,
+     also in the tails used by Chauvenet's criterion)
+   - the t distribution goes through the regularized incomplete beta function; quantiles
+     are found by bisection, which is plenty for coverage factors and critical values
+   ============================ */
+
+export function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r =
+    t *
+    Math.exp(
+      -z * z -
+        1.26551223 +
+        t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))))
+    );
+  return x >= 0 ? r : 2 - r;
+}
+
+// P(Z > z) for the standard normal
+export const normalTail = (z) => 0.5 * erfc(z / Math.SQRT2);
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 0.001208650973866179, -0.000005395239384953];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach((ci) => {
+    y += 1;
+    ser += ci / y;
+  });
+  return -tmp + Math.log((2.5066282746310007 * ser) / x);
+}
+
+// continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-14) break;
+  }
+  return h;
+}
+
+// I_x(a, b)
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? (front * betaContinuedFraction(a, b, x)) / a : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// P(T > t) with `dof` degrees of freedom (dof = Infinity: normal)
+export function studentTail(t, dof) {
+  if (!Number.isFinite(dof)) return normalTail(t);
+  const tail = 0.5 * incompleteBeta(dof / (dof + t * t), dof / 2, 0.5);
+  return t >= 0 ? tail : 1 - tail;
+}
+
+// t with P(T > t) = p, for 0 < p < 0.5; bisection in t on [0, 1e9]
+function upperQuantile(tail, p) {
+  let lo = 0;
+  let hi = 1e9;
+  for (let i = 0; i < 200 && hi - lo > 1e-12 * Math.max(1, lo); i++) {
+    const mid = hi > 1e3 * (lo + 1) ? Math.sqrt(lo * hi) || 1 : (lo + hi) / 2;
+    if (tail(mid) > p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// z with P(Z > z) = p
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) return NaN;
+  return p < 0.5 ? upperQuantile(normalTail, p) : p > 0.5 ? -upperQuantile(normalTail, 1 - p) : 0;
+}
+
+// t with P(T > t) = p for `dof` degrees of freedom
+export function studentQuantile(p, dof) {
+  if (!(p > 0 && p < 1) || !(dof > 0)) return NaN;
+  if (!Number.isFinite(dof)) return normalQuantile(p);
+  const tail = (t) => studentTail(t, dof);
+  return p < 0.5 ? upperQuantile(tail, p) : p > 0.5 ? -upperQuantile(tail, 1 - p) : 0;
+}
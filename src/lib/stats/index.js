@@ -0,0 +1,23 @@
+// src/lib/stats/index.js
+// Shared statistics library: least-squares line and polynomial fits, uncertainty propagation, normal / Student-t
+// distributions, the evaluation of repeated readings (Type A / B uncertainty, outlier rejection, coverage factor,
+// histogram) and multi-point calibration runs (correction fit, non-linearity, hysteresis, repeatability).
+
+export { linearFit, polyval, polyFit, fitCovariance, propagate } from "./regression";
+export { erfc, normalTail, normalQuantile, incompleteBeta, studentTail, studentQuantile } from "./distributions";
+export {
+  TYPE_B_DISTRIBUTIONS,
+  OUTLIER_METHODS,
+  summarize,
+  typeBUncertainty,
+  chauvenet,
+  grubbsCritical,
+  grubbs,
+  rejectOutliers,
+  coverageFactor,
+  effectiveDof,
+  welchSatterthwaite,
+  histogram,
+  analyseReadings,
+} from "./repeated";
+export { CORRECTION_ORDERS, SEQUENCE_PATTERNS, calibrationSequence, analyseCalibration } from "./calibration";
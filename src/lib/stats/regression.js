@@ -0,0 +1,153 @@
+// src/lib/stats/regression.js
+import { solveLinearSystem } from "../circuit/linear.js";
+
+/* ============================
+   Least-squares fitting and uncertainty propagation
+   - linearFit is ordinary least squares y = intercept + slope·x; the standard errors use
+     the residual variance with n − 2 degrees of freedom (null for two points)
+   - polyFit is the least-squares polynomial y = c0 + c1·x + … + c_k·x^k, solved on
+     centred and scaled x so cubic fits over wide ranges stay well conditioned
+   - propagate takes standard uncertainties (or a full covariance matrix) of the inputs
+     and returns the first-order uncertainty of fn(...inputs)
+   ============================ */
+
+export function linearFit(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+
+  let xMean = 0;
+  let yMean = 0;
+  for (let i = 0; i < n; i++) {
+    xMean += xs[i];
+    yMean += ys[i];
+  }
+  xMean /= n;
+  yMean /= n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - xMean;
+    const dy = ys[i] - yMean;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  if (sxx < 1e-300) return null;
+
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  let ssRes = 0;
+  for (let i = 0; i < n; i++) {
+    const r = ys[i] - (intercept + slope * xs[i]);
+    ssRes += r * r;
+  }
+  const r2 = syy > 0 ? Math.max(0, 1 - ssRes / syy) : 1;
+
+  // residual variance; undefined when the line is forced through exactly two points
+  const s2 = n > 2 ? ssRes / (n - 2) : null;
+  const sSlope = s2 == null ? null : Math.sqrt(s2 / sxx);
+  const sIntercept = s2 == null ? null : Math.sqrt(s2 * (1 / n + (xMean * xMean) / sxx));
+  const cov = s2 == null ? null : (-xMean * s2) / sxx;
+
+  return {
+    n,
+    slope,
+    intercept,
+    r2,
+    r: Math.sign(slope) * Math.sqrt(r2),
+    sSlope,
+    sIntercept,
+    cov,
+    residualStd: s2 == null ? null : Math.sqrt(s2),
+    xMean,
+    yMean,
+    sums: { x: xMean * n, y: yMean * n, xx: sxx + n * xMean * xMean, xy: sxy + n * xMean * yMean },
+  };
+}
+
+// value of the polynomial c0 + c1·x + … at x
+export const polyval = (coeffs, x) => coeffs.reduceRight((acc, c) => acc * x + c, 0);
+
+/* ============================
+   polyFit(xs, ys, order) -> { order, coeffs: [c0, c1, …], r2, residualStd, n } or null
+   needs at least order + 1 distinct x values; residualStd uses n − (order + 1)
+   degrees of freedom (null when the curve passes through every point)
+   ============================ */
+export function polyFit(xs, ys, order = 1) {
+  const n = Math.min(xs.length, ys.length);
+  const k = Math.max(0, Math.floor(order));
+  if (new Set(xs.slice(0, n)).size < k + 1) return null;
+
+  const xMean = xs.slice(0, n).reduce((a, b) => a + b, 0) / n;
+  const scale = Math.max(...xs.slice(0, n).map((x) => Math.abs(x - xMean))) || 1;
+  const us = xs.slice(0, n).map((x) => (x - xMean) / scale);
+
+  // normal equations in u = (x − x̄) / scale
+  const A = Array.from({ length: k + 1 }, (_, i) => Array.from({ length: k + 1 }, (__, j) => us.reduce((acc, u) => acc + u ** (i + j), 0)));
+  const b = Array.from({ length: k + 1 }, (_, i) => us.reduce((acc, u, m) => acc + ys[m] * u ** i, 0));
+  const a = solveLinearSystem(A, b);
+  if (!a) return null;
+
+  // expand Σ a_i ((x − x̄)/s)^i into powers of x
+  const coeffs = new Array(k + 1).fill(0);
+  a.forEach((ai, i) => {
+    for (let j = 0; j <= i; j++) {
+      let binom = 1;
+      for (let m = 0; m < j; m++) binom = (binom * (i - m)) / (m + 1);
+      coeffs[j] += (ai * binom * (-xMean) ** (i - j)) / scale ** i;
+    }
+  });
+
+  const yMean = ys.slice(0, n).reduce((acc, y) => acc + y, 0) / n;
+  let ssRes = 0;
+  let ssTot = 0;
+  for (let i = 0; i < n; i++) {
+    ssRes += (ys[i] - polyval(a, us[i])) ** 2;
+    ssTot += (ys[i] - yMean) ** 2;
+  }
+  const dof = n - (k + 1);
+  return {
+    order: k,
+    coeffs,
+    r2: ssTot > 0 ? Math.max(0, 1 - ssRes / ssTot) : 1,
+    residualStd: dof > 0 ? Math.sqrt(ssRes / dof) : null,
+    n,
+  };
+}
+
+// covariance matrix of [slope, intercept] for propagate()
+export const fitCovariance = (fit) => [
+  [fit.sSlope ** 2, fit.cov],
+  [fit.cov, fit.sIntercept ** 2],
+];
+
+/* ============================
+   propagate(fn, values, uncertainty) -> { value, u, sensitivities: [∂fn/∂x_i] }
+   uncertainty: [u_i] (independent inputs) or a covariance matrix [[…]]
+   Partial derivatives are central differences; missing (null) uncertainties count as zero.
+   ============================ */
+export function propagate(fn, values, uncertainty = []) {
+  const value = fn(...values);
+  const cov = Array.isArray(uncertainty[0])
+    ? uncertainty
+    : values.map((_, i) => values.map((__, j) => (i === j ? (uncertainty[i] ?? 0) ** 2 : 0)));
+
+  const grad = values.map((x, i) => {
+    const h = Math.abs(x) * 1e-6 || 1e-9;
+    const up = values.slice();
+    const down = values.slice();
+    up[i] = x + h;
+    down[i] = x - h;
+    return (fn(...up) - fn(...down)) / (2 * h);
+  });
+
+  let variance = 0;
+  grad.forEach((gi, i) =>
+    grad.forEach((gj, j) => {
+      variance += gi * gj * (cov[i]?.[j] ?? 0);
+    })
+  );
+  return { value, u: Math.sqrt(Math.max(0, variance)), sensitivities: grad };
+}
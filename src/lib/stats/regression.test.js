@@ -0,0 +1,53 @@
+// src/lib/stats/regression.test.js
+import { describe, expect, it } from "vitest";
+import { linearFit, polyFit, polyval } from "./regression";
+
+describe("linearFit", () => {
+  it("recovers an exact line", () => {
+    const xs = [0, 1, 2, 3, 4];
+    const fit = linearFit(
+      xs,
+      xs.map((x) => 1.5 + 2 * x)
+    );
+    expect(fit.slope).toBeCloseTo(2, 12);
+    expect(fit.intercept).toBeCloseTo(1.5, 12);
+    expect(fit.r2).toBeCloseTo(1, 12);
+  });
+
+  it("gives null without two distinct x values", () => {
+    expect(linearFit([1], [2])).toBeNull();
+    expect(linearFit([3, 3, 3], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe("polyFit", () => {
+  // y = 1 − 2x + 0.5x² + 0.1x³
+  const cubic = [1, -2, 0.5, 0.1];
+
+  it("recovers a known cubic", () => {
+    const xs = Array.from({ length: 11 }, (_, i) => i - 5);
+    const fit = polyFit(
+      xs,
+      xs.map((x) => polyval(cubic, x)),
+      3
+    );
+    expect(fit.order).toBe(3);
+    fit.coeffs.forEach((c, i) => expect(c).toBeCloseTo(cubic[i], 9));
+    expect(fit.r2).toBeCloseTo(1, 12);
+    expect(fit.residualStd).toBeCloseTo(0, 9);
+  });
+
+  it("stays well conditioned far from the origin", () => {
+    const xs = Array.from({ length: 11 }, (_, i) => 1000 + i);
+    const fit = polyFit(
+      xs,
+      xs.map((x) => polyval(cubic, x - 1000)),
+      3
+    );
+    xs.forEach((x) => expect(polyval(fit.coeffs, x)).toBeCloseTo(polyval(cubic, x - 1000), 4));
+  });
+
+  it("gives null with fewer distinct x values than coefficients", () => {
+    expect(polyFit([0, 1, 2, 2], [1, 2, 3, 3], 3)).toBeNull();
+  });
+});
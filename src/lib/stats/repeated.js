@@ -0,0 +1,149 @@
+// src/lib/stats/repeated.js
+import { normalQuantile, studentQuantile } from "./distributions.js";
+
+/* ============================
+   Repeated readings of one quantity (GUM-style evaluation)
+   - Type A: the standard error of the mean, s/√n, with n − 1 degrees of freedom
+   - Type B: instrument limits turned into standard uncertainties by the divisor of
+     their assumed distribution (TYPE_B_DISTRIBUTIONS); treated as exactly known
+     (infinite degrees of freedom)
+   - combined u_c = √(u_A² + Σ u_B²); the coverage factor is the Student-t quantile for
+     the Welch–Satterthwaite effective degrees of freedom, expanded U = k·u_c
+   - outliers are rejected before the evaluation by Chauvenet's criterion (one pass) or
+     by Grubbs' test (repeated while the most extreme reading fails)
+   ============================ */
+
+export const TYPE_B_DISTRIBUTIONS = {
+  resolution: { label: "Resolution (last digit)", divisor: 2 * Math.sqrt(3) },
+  rectangular: { label: "Accuracy ±a (rectangular)", divisor: Math.sqrt(3) },
+  triangular: { label: "Limit ±a (triangular)", divisor: Math.sqrt(6) },
+  normal: { label: "Calibration U (k = 2)", divisor: 2 },
+};
+
+export const OUTLIER_METHODS = {
+  none: "Keep all readings",
+  chauvenet: "Chauvenet's criterion",
+  grubbs: "Grubbs' test (α = 0.05)",
+};
+
+// { n, mean, sd, sem, min, max, median } of the finite values, or null when there are none
+export function summarize(values) {
+  const xs = values.filter(Number.isFinite);
+  const n = xs.length;
+  if (!n) return null;
+  const mean = xs.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(xs.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1)) : null;
+  const sorted = xs.slice().sort((a, b) => a - b);
+  const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  return { n, mean, sd, sem: sd == null ? null : sd / Math.sqrt(n), min: sorted[0], max: sorted[n - 1], median };
+}
+
+// standard uncertainty of a Type B component { kind, value } (value: half-width a, resolution or U)
+export const typeBUncertainty = ({ kind, value }) => {
+  const dist = TYPE_B_DISTRIBUTIONS[kind];
+  const a = Math.abs(Number(value));
+  return dist && Number.isFinite(a) ? a / dist.divisor : 0;
+};
+
+/* ============================
+   Outlier rejection -> { kept: [value], rejected: [{ index, value, score, limit }] }
+   index refers to the input array; score / limit are |z| vs the Chauvenet limit or G vs G_crit
+   ============================ */
+export function chauvenet(values) {
+  const s = summarize(values);
+  if (!s || s.n < 3 || !(s.sd > 0)) return { kept: values.slice(), rejected: [] };
+  // reject when fewer than half a reading is expected that far out: n·P(|Z| > z) < 0.5
+  const limit = normalQuantile(0.25 / s.n);
+  const kept = [];
+  const rejected = [];
+  values.forEach((value, index) => {
+    const score = Math.abs(value - s.mean) / s.sd;
+    if (score > limit) rejected.push({ index, value, score, limit });
+    else kept.push(value);
+  });
+  return { kept, rejected };
+}
+
+// two-sided critical value of Grubbs' statistic for n readings
+export function grubbsCritical(n, alpha = 0.05) {
+  if (n < 3) return Infinity;
+  const t = studentQuantile(alpha / (2 * n), n - 2);
+  return ((n - 1) / Math.sqrt(n)) * Math.sqrt((t * t) / (n - 2 + t * t));
+}
+
+export function grubbs(values, alpha = 0.05) {
+  const remaining = values.map((value, index) => ({ value, index }));
+  const rejected = [];
+  while (remaining.length >= 3) {
+    const s = summarize(remaining.map((r) => r.value));
+    if (!(s.sd > 0)) break;
+    let worst = 0;
+    remaining.forEach((r, i) => {
+      if (Math.abs(r.value - s.mean) > Math.abs(remaining[worst].value - s.mean)) worst = i;
+    });
+    const score = Math.abs(remaining[worst].value - s.mean) / s.sd;
+    const limit = grubbsCritical(remaining.length, alpha);
+    if (score <= limit) break;
+    rejected.push({ ...remaining[worst], score, limit });
+    remaining.splice(worst, 1);
+  }
+  return { kept: remaining.map((r) => r.value), rejected: rejected.sort((a, b) => a.index - b.index) };
+}
+
+export function rejectOutliers(values, method = "none", { alpha = 0.05 } = {}) {
+  if (method === "chauvenet") return chauvenet(values);
+  if (method === "grubbs") return grubbs(values, alpha);
+  return { kept: values.slice(), rejected: [] };
+}
+
+// two-sided coverage factor for a confidence level (0.95) and degrees of freedom
+export const coverageFactor = (confidence, dof = Infinity) => studentQuantile((1 - confidence) / 2, dof);
+
+// Welch–Satterthwaite over contributions [{ u, dof }]; a missing or infinite dof counts as exact
+export const welchSatterthwaite = (uc, contributions = []) => {
+  const sum = contributions.reduce((a, { u, dof }) => (u > 0 && dof > 0 && Number.isFinite(dof) ? a + u ** 4 / dof : a), 0);
+  return sum > 0 ? uc ** 4 / sum : Infinity;
+};
+
+// Welch–Satterthwaite with Type B components taken as exact
+export const effectiveDof = (uc, uA, dofA) => welchSatterthwaite(uc, [{ u: uA, dof: dofA }]);
+
+// equal-width bins (Sturges' rule unless `bins` is given) -> [{ from, to, mid, count }]
+export function histogram(values, bins) {
+  const xs = values.filter(Number.isFinite);
+  if (!xs.length) return [];
+  const count = bins ?? Math.max(1, Math.ceil(Math.log2(xs.length) + 1));
+  let lo = Math.min(...xs);
+  let hi = Math.max(...xs);
+  if (lo === hi) {
+    lo -= Math.abs(lo) * 0.05 || 0.5;
+    hi += Math.abs(hi) * 0.05 || 0.5;
+  }
+  const width = (hi - lo) / count;
+  const out = Array.from({ length: count }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, mid: lo + (i + 0.5) * width, count: 0 }));
+  xs.forEach((x) => {
+    out[Math.min(count - 1, Math.floor((x - lo) / width))].count += 1;
+  });
+  return out;
+}
+
+/* ============================
+   analyseReadings(values, { outliers, alpha, typeB, confidence }) ->
+     { all, stats, rejected, uA, dofA, typeB: [{ ...component, u }], uB, uc, dof, k, U, confidence }
+   or null with fewer than two usable readings
+   ============================ */
+export function analyseReadings(values, { outliers = "none", alpha = 0.05, typeB = [], confidence = 0.95 } = {}) {
+  const xs = values.filter(Number.isFinite);
+  const all = summarize(xs);
+  if (!all || all.n < 2) return null;
+  const { kept, rejected } = rejectOutliers(xs, outliers, { alpha });
+  const stats = summarize(kept);
+  const uA = stats.sem ?? 0;
+  const dofA = stats.n - 1;
+  const components = typeB.map((c) => ({ ...c, u: typeBUncertainty(c) })).filter((c) => c.u > 0);
+  const uB = Math.sqrt(components.reduce((a, c) => a + c.u ** 2, 0));
+  const uc = Math.sqrt(uA ** 2 + uB ** 2);
+  const dof = effectiveDof(uc, uA, dofA);
+  const k = coverageFactor(confidence, dof);
+  return { all, stats, rejected, uA, dofA, typeB: components, uB, uc, dof, k, U: k * uc, confidence };
+}
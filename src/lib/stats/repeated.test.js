@@ -0,0 +1,21 @@
+// src/lib/stats/repeated.test.js
+import { describe, expect, it } from "vitest";
+import { coverageFactor, effectiveDof, welchSatterthwaite } from "./repeated";
+
+describe("welchSatterthwaite", () => {
+  it("combines the degrees of freedom of several contributions", () => {
+    // u_c² = 1 + 1, ν = 2² / (1/4 + 1/12) = 12
+    expect(welchSatterthwaite(Math.SQRT2, [{ u: 1, dof: 4 }, { u: 1, dof: 12 }])).toBeCloseTo(12, 12);
+  });
+
+  it("treats contributions without degrees of freedom as exact", () => {
+    expect(welchSatterthwaite(Math.SQRT2, [{ u: 1, dof: 4 }, { u: 1, dof: Infinity }])).toBeCloseTo(16, 12);
+    expect(welchSatterthwaite(1, [{ u: 1 }])).toBe(Infinity);
+    expect(effectiveDof(Math.SQRT2, 1, 4)).toBeCloseTo(16, 12);
+  });
+
+  it("widens the coverage factor for few degrees of freedom", () => {
+    expect(coverageFactor(0.95)).toBeCloseTo(1.96, 2);
+    expect(coverageFactor(0.95, 4)).toBeCloseTo(2.776, 3);
+  });
+});
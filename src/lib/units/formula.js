@@ -0,0 +1,251 @@
+// src/lib/units/formula.js
+import { DIMENSIONLESS, describeDim, divDim, isDimensionless, mulDim, powDim, sameDim } from "./units.js";
+import { parseUnit } from "./quantity.js";
+
+/* ============================
+   Formula expressions over quantities { value, dim }
+   - operators + − × ÷ ^ (also * / and the middle dot), parentheses, numbers,
+     the constants pi / π, variables and the functions in FUNCTIONS
+   - + and − need equal dimensions; trigonometric, exponential and logarithmic
+     functions need dimensionless arguments; a dimensional base may only be
+     raised to a constant power
+   so evaluating with the dimensions of the inputs both computes the value and
+   rejects dimensionally inconsistent formulas.
+   ============================ */
+
+const CONSTANTS = { pi: Math.PI, π: Math.PI };
+
+const plain = (fn) => ({ arity: 1, dimensionless: true, apply: (x) => ({ value: fn(x.value), dim: DIMENSIONLESS }) });
+
+export const FUNCTIONS = {
+  sqrt: { arity: 1, apply: (x) => ({ value: Math.sqrt(x.value), dim: powDim(x.dim, 0.5) }) },
+  cbrt: { arity: 1, apply: (x) => ({ value: Math.cbrt(x.value), dim: powDim(x.dim, 1 / 3) }) },
+  abs: { arity: 1, apply: (x) => ({ value: Math.abs(x.value), dim: x.dim }) },
+  sin: plain(Math.sin),
+  cos: plain(Math.cos),
+  tan: plain(Math.tan),
+  asin: plain(Math.asin),
+  acos: plain(Math.acos),
+  atan: plain(Math.atan),
+  exp: plain(Math.exp),
+  ln: plain(Math.log),
+  log: plain(Math.log10),
+  // both arguments in the same unit; the ratio is what counts
+  atan2: { arity: 2, same: true, apply: (y, x) => ({ value: Math.atan2(y.value, x.value), dim: DIMENSIONLESS }) },
+  hypot: { arity: 2, same: true, apply: (a, b) => ({ value: Math.hypot(a.value, b.value), dim: a.dim }) },
+  min: { arity: 2, same: true, apply: (a, b) => ({ value: Math.min(a.value, b.value), dim: a.dim }) },
+  max: { arity: 2, same: true, apply: (a, b) => ({ value: Math.max(a.value, b.value), dim: a.dim }) },
+};
+
+/* ============================
+   Tokenizer and recursive-descent parser -> AST
+     { type: "num", value } | { type: "var", name } | { type: "neg", arg }
+     { type: "bin", op, left, right } | { type: "call", name, args }
+   ============================ */
+const IDENT = /^[A-Za-z_Ͱ-Ͽ][\wͰ-Ͽ]*/;
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const rest = src.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+    const num = rest.match(/^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/);
+    if (num) {
+      tokens.push({ type: "num", value: Number(num[0]) });
+      i += num[0].length;
+      continue;
+    }
+    const id = rest.match(IDENT);
+    if (id) {
+      tokens.push({ type: "id", value: id[0] });
+      i += id[0].length;
+      continue;
+    }
+    const op = { "×": "*", "·": "*", "⋅": "*", "÷": "/", "−": "-", "²": "²", "³": "³" }[rest[0]] ?? rest[0];
+    if (!"+-*/^(),²³".includes(op)) throw new Error(`Unexpected "${rest[0]}" in formula`);
+    tokens.push({ type: "op", value: op });
+    i += 1;
+  }
+  return tokens;
+}
+
+export function parseExpression(text) {
+  const tokens = tokenize(String(text ?? ""));
+  if (!tokens.length) throw new Error("Enter a formula");
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  // two operands in a row ("2π f") read as a missing operator, not as a missing bracket
+  const unexpected = () => {
+    const t = peek();
+    if (!t) return new Error("Formula ends too early");
+    return new Error(t.type === "op" ? `Unexpected "${t.value}" in formula` : `Missing operator before "${t.value}"`);
+  };
+  const expect = (v) => {
+    if (!isOp(v)) throw isOp(")") || isOp(",") || !peek() ? new Error(`Expected "${v}" in formula`) : unexpected();
+    pos += 1;
+  };
+
+  function primary() {
+    const t = peek();
+    if (!t) throw new Error("Formula ends too early");
+    pos += 1;
+    if (t.type === "num") return { type: "num", value: t.value };
+    if (t.type === "id") {
+      if (!isOp("(")) return { type: "var", name: t.value };
+      pos += 1;
+      const args = [sum()];
+      while (isOp(",")) {
+        pos += 1;
+        args.push(sum());
+      }
+      expect(")");
+      return { type: "call", name: t.value, args };
+    }
+    if (t.value === "(") {
+      const inner = sum();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${t.value}" in formula`);
+  }
+
+  // postfix ² ³ and right-associative ^
+  function power() {
+    let base = primary();
+    for (;;) {
+      if (isOp("²") || isOp("³")) {
+        base = { type: "bin", op: "^", left: base, right: { type: "num", value: peek().value === "²" ? 2 : 3 } };
+        pos += 1;
+      } else if (isOp("^")) {
+        pos += 1;
+        return { type: "bin", op: "^", left: base, right: unary() };
+      } else return base;
+    }
+  }
+
+  function unary() {
+    if (isOp("-")) {
+      pos += 1;
+      return { type: "neg", arg: unary() };
+    }
+    if (isOp("+")) {
+      pos += 1;
+      return unary();
+    }
+    return power();
+  }
+
+  function product() {
+    let left = unary();
+    while (isOp("*") || isOp("/")) {
+      const op = peek().value;
+      pos += 1;
+      left = { type: "bin", op, left, right: unary() };
+    }
+    return left;
+  }
+
+  function sum() {
+    let left = product();
+    while (isOp("+") || isOp("-")) {
+      const op = peek().value;
+      pos += 1;
+      left = { type: "bin", op, left, right: product() };
+    }
+    return left;
+  }
+
+  const ast = sum();
+  if (pos < tokens.length) throw unexpected();
+  return ast;
+}
+
+// variable names used by an expression (first-seen order, constants excluded)
+export function expressionVariables(text) {
+  const names = [];
+  const walk = (node) => {
+    if (node.type === "var" && !Object.hasOwn(CONSTANTS, node.name) && !names.includes(node.name)) names.push(node.name);
+    if (node.arg) walk(node.arg);
+    if (node.left) walk(node.left);
+    if (node.right) walk(node.right);
+    node.args?.forEach(walk);
+  };
+  walk(parseExpression(text));
+  return names;
+}
+
+/* ============================
+   evaluate(ast | text, scope) -> { value, dim, constant }
+   scope: { name: { value, dim } } in SI units; throws on unknown names and
+   dimension errors, describing the offending quantities.
+   ============================ */
+export function evaluate(expr, scope = {}) {
+  const ast = typeof expr === "string" ? parseExpression(expr) : expr;
+
+  function run(node) {
+    switch (node.type) {
+      case "num":
+        return { value: node.value, dim: DIMENSIONLESS, constant: true };
+      case "var": {
+        if (Object.hasOwn(CONSTANTS, node.name)) return { value: CONSTANTS[node.name], dim: DIMENSIONLESS, constant: true };
+        const q = Object.hasOwn(scope, node.name) ? scope[node.name] : null;
+        if (!q) throw new Error(`Unknown variable "${node.name}"`);
+        return { value: q.value, dim: q.dim ?? DIMENSIONLESS, constant: false };
+      }
+      case "neg": {
+        const x = run(node.arg);
+        return { ...x, value: -x.value };
+      }
+      case "call": {
+        const fn = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+        if (!fn) throw new Error(`Unknown function "${node.name}()"`);
+        if (node.args.length !== fn.arity) throw new Error(`${node.name}() takes ${fn.arity} argument${fn.arity > 1 ? "s" : ""}`);
+        const args = node.args.map(run);
+        if (fn.dimensionless && !isDimensionless(args[0].dim)) throw new Error(`${node.name}() needs a dimensionless argument, got ${describeDim(args[0].dim)}`);
+        if (fn.same && !sameDim(args[0].dim, args[1].dim)) throw new Error(`${node.name}() needs arguments of one kind, got ${describeDim(args[0].dim)} and ${describeDim(args[1].dim)}`);
+        return { ...fn.apply(...args), constant: args.every((a) => a.constant) };
+      }
+      default: {
+        const a = run(node.left);
+        const b = run(node.right);
+        const constant = a.constant && b.constant;
+        if (node.op === "+" || node.op === "-") {
+          if (!sameDim(a.dim, b.dim)) throw new Error(`Cannot ${node.op === "+" ? "add" : "subtract"} ${describeDim(a.dim)} and ${describeDim(b.dim)}`);
+          return { value: node.op === "+" ? a.value + b.value : a.value - b.value, dim: a.dim, constant };
+        }
+        if (node.op === "*") return { value: a.value * b.value, dim: mulDim(a.dim, b.dim), constant };
+        if (node.op === "/") return { value: a.value / b.value, dim: divDim(a.dim, b.dim), constant };
+        if (!isDimensionless(b.dim)) throw new Error(`An exponent must be dimensionless, got ${describeDim(b.dim)}`);
+        if (!isDimensionless(a.dim) && !b.constant) throw new Error(`${describeDim(a.dim)} can only be raised to a constant power`);
+        return { value: a.value ** b.value, dim: powDim(a.dim, b.value), constant };
+      }
+    }
+  }
+
+  return run(ast);
+}
+
+/* ============================
+   checkFormula({ expr, inputs: [{ key, unit }], unit }) -> { ok: true, dim } | { ok: false, error }
+   The formula is dimensionally consistent when the expression evaluates
+   without a dimension error and its result has the dimension of `unit`.
+   ============================ */
+export function checkFormula({ expr, inputs = [], unit = "" }) {
+  try {
+    const scope = Object.fromEntries(inputs.map((inp) => [inp.key, { value: 1, dim: parseUnit(inp.unit).dim }]));
+    const result = evaluate(expr, scope);
+    const declared = parseUnit(unit).dim;
+    if (!sameDim(result.dim, declared)) {
+      return { ok: false, error: `the expression gives ${describeDim(result.dim)} but the result is declared as ${describeDim(declared)}` };
+    }
+    return { ok: true, dim: result.dim };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
@@ -0,0 +1,24 @@
+// src/lib/units/index.js
+// Shared unit engine: dimensions over the SI base units, SI prefixes and common engineering units, quantity parsing
+// ("4.7 kΩ", "220 µF", "3 hp", "1.2 kWh"), conversion and formatting, table cells and header units, and dimension-checked formula expressions.
+
+export {
+  BASE_UNITS,
+  DIMENSIONLESS,
+  mulDim,
+  divDim,
+  powDim,
+  sameDim,
+  isDimensionless,
+  formatDim,
+  NAMED_DIMENSIONS,
+  namedDimension,
+  describeDim,
+  PREFIXES,
+  ENGINEERING_PREFIXES,
+  UNITS,
+  unitEntry,
+  lookupSymbol,
+} from "./units";
+export { parseUnit, parseQuantity, convert, readQuantity, quantityIn, parseCell, headerUnit, formatQuantity } from "./quantity";
+export { FUNCTIONS, parseExpression, expressionVariables, evaluate, checkFormula } from "./formula";
@@ -0,0 +1,203 @@
+// src/lib/units/quantity.js
+import { DIMENSIONLESS, ENGINEERING_PREFIXES, PREFIXES, describeDim, divDim, isDimensionless, lookupSymbol, mulDim, powDim, sameDim, unitEntry } from "./units.js";
+
+/* ============================
+   Unit expressions -> { factor, dim, offset, angle }
+   grammar (left to right, "/" divides by the next factor only):
+     expr   := factor (("·" | "*" | "." | " " | "/") factor)*
+     factor := (symbol | "(" expr ")") power?
+     power  := "^" "-"? number | superscript digits | digits directly after a symbol
+   so "Ω·m", "A/m²", "W/(m·K)", "kg m/s^2" and "mm2" all parse. An offset unit
+   (°C, °F) keeps its offset only when it stands alone; inside a compound unit
+   it is a temperature interval. `angle` is the power of the angle the unit
+   carries (1 for rad/s and rpm, 0 for Hz), kept apart from `dim`.
+   ============================ */
+
+// drop the last-digit noise of prefix arithmetic (220 × 1e-6 = 0.00021999999999999998)
+const tidy = (x) => (Number.isFinite(x) ? Number(x.toPrecision(15)) : x);
+const kind = (d) => (isDimensionless(d) ? "a plain number" : describeDim(d));
+const FREQUENCY = [0, 0, -1, 0, 0, 0, 0];
+// like kind(), but tells an angular speed from a frequency
+const kindOf = (u) => (u.angle && sameDim(u.dim, FREQUENCY) ? "angular speed (rad/s)" : kind(u.dim));
+// same dimension, but only one side carries an angle: rpm or rad/s against Hz.
+// Plain numbers stay convertible to and from angles ("0.5 rad" -> 0.5)
+const angleMismatch = (a, b) => (a.angle ?? 0) !== (b.angle ?? 0) && !isDimensionless(a.dim);
+
+const SYMBOL = /^[\p{L}°%℃℉]+/u;
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+function parsePower(src, pos, afterSymbol) {
+  const rest = src.slice(pos);
+  let m = rest.match(/^\s*\^\s*\(?\s*([+-]?\d+(?:\.\d+)?(?:\/\d+)?)\s*\)?/);
+  if (m) {
+    const [num, den] = m[1].split("/").map(Number);
+    return { power: den ? num / den : num, pos: pos + m[0].length };
+  }
+  m = rest.match(/^⁻?[⁰¹²³⁴⁵⁶⁷⁸⁹]+/);
+  if (m) {
+    const digits = Number([...m[0].replace("⁻", "")].map((c) => SUPERSCRIPTS.indexOf(c)).join(""));
+    return { power: m[0].startsWith("⁻") ? -digits : digits, pos: pos + m[0].length };
+  }
+  m = afterSymbol && rest.match(/^-?\d+/);
+  if (m) return { power: Number(m[0]), pos: pos + m[0].length };
+  return { power: 1, pos };
+}
+
+export function parseUnit(text) {
+  const src = String(text ?? "").trim();
+  if (!src) return { factor: 1, dim: DIMENSIONLESS, offset: 0, angle: 0 };
+  let pos = 0;
+  let single = null;
+
+  const skipSpaces = () => {
+    while (src[pos] === " ") pos += 1;
+  };
+
+  function factor() {
+    skipSpaces();
+    let unit;
+    let afterSymbol = false;
+    if (src[pos] === "(") {
+      pos += 1;
+      unit = expr();
+      skipSpaces();
+      if (src[pos] !== ")") throw new Error(`Missing ")" in unit "${src}"`);
+      pos += 1;
+    } else {
+      const m = src.slice(pos).match(SYMBOL);
+      if (!m) throw new Error(`Unexpected "${src[pos]}" in unit "${src}"`);
+      unit = lookupSymbol(m[0]);
+      if (!unit) throw new Error(`Unknown unit "${m[0]}"`);
+      pos += m[0].length;
+      afterSymbol = true;
+    }
+    const { power, pos: next } = parsePower(src, pos, afterSymbol);
+    pos = next;
+    return { factor: unit.factor ** power, dim: powDim(unit.dim, power), offset: power === 1 ? unit.offset : 0, angle: (unit.angle ?? 0) * power };
+  }
+
+  function expr() {
+    let acc = factor();
+    let count = 1;
+    for (;;) {
+      const m = src.slice(pos).match(/^\s*([·⋅*./])\s*|^\s+(?=[\p{L}°%(])/u);
+      if (!m) break;
+      pos += m[0].length;
+      const next = factor();
+      const divide = m[1] === "/";
+      acc = {
+        factor: divide ? acc.factor / next.factor : acc.factor * next.factor,
+        dim: divide ? divDim(acc.dim, next.dim) : mulDim(acc.dim, next.dim),
+        offset: 0,
+        angle: divide ? acc.angle - next.angle : acc.angle + next.angle,
+      };
+      count += 1;
+    }
+    if (count === 1) single = acc;
+    return acc;
+  }
+
+  const unit = expr();
+  skipSpaces();
+  if (pos < src.length) throw new Error(`Unexpected "${src.slice(pos)}" in unit "${src}"`);
+  return { factor: unit.factor, dim: unit.dim, offset: single === unit ? unit.offset : 0, angle: unit.angle };
+}
+
+/* ============================
+   Quantities
+   parseQuantity("4.7 kΩ") -> { value: 4700, dim, angle: 0, unitless: false, unit: "kΩ" }
+   value is in SI base units. A bare number ("4.7", or "4.7k" with only a
+   prefix) is `unitless`: the caller decides which unit it is in.
+   ============================ */
+const NUMBER = /^\s*([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)/;
+
+export function parseQuantity(text) {
+  const src = String(text ?? "").trim();
+  if (!src) throw new Error("Enter a value");
+  const m = src.match(NUMBER);
+  if (!m) throw new Error(`"${src}" does not start with a number`);
+  const number = Number(m[1]);
+  const unitText = src.slice(m[0].length).trim();
+  if (!unitText) return { value: number, dim: DIMENSIONLESS, angle: 0, unitless: true, unit: "" };
+  if (Object.hasOwn(PREFIXES, unitText) && !unitEntry(unitText)) return { value: tidy(number * PREFIXES[unitText]), dim: DIMENSIONLESS, angle: 0, unitless: true, unit: unitText };
+  const unit = parseUnit(unitText);
+  return { value: tidy(number * unit.factor + unit.offset), dim: unit.dim, angle: unit.angle, unitless: false, unit: unitText };
+}
+
+// value in `from` -> value in `to`; throws when the dimensions differ or only one side is angular
+export function convert(value, from, to) {
+  const a = parseUnit(from);
+  const b = parseUnit(to);
+  if (!sameDim(a.dim, b.dim) || angleMismatch(a, b)) throw new Error(`Cannot convert ${kindOf(a)} to ${kindOf(b)}`);
+  return tidy((value * a.factor + a.offset - b.offset) / b.factor);
+}
+
+/* ============================
+   Reading a typed input as a number in the unit a formula expects.
+   readQuantity("220 µF", "F") -> { value: 0.00022, si: 0.00022 }
+   readQuantity("3 hp", "W")   -> { value: 2237.2…, si: 2237.2… }
+   readQuantity("4.7", "kΩ")   -> { value: 4.7, si: 4700 }   (bare numbers are in `unit`)
+   readQuantity("4.7k", "Ω")   -> { value: 4700, si: 4700 }  (a lone prefix scales `unit`)
+   readQuantity("300 K", "Ω")  -> { value: NaN, error: "expected resistance (Ω), got temperature (K)" }
+   readQuantity("5 A", "V")    -> { value: NaN, error: "expected voltage (V), got current (A)" }
+   ============================ */
+// engineering prefixes that scale `unit` when typed alone; of these only "m" is also a
+// unit (metre), so it needs the fallback below. Other letters that are units (h, K, T, G)
+// keep their own meaning
+const LONE_PREFIXES = ["k", "M", "m", "µ"];
+
+export function readQuantity(text, unit = "") {
+  try {
+    const expected = parseUnit(unit);
+    let q = parseQuantity(text);
+    // "5m" into a voltage: a lone engineering prefix that is also a unit
+    if (!q.unitless && !sameDim(q.dim, expected.dim) && LONE_PREFIXES.includes(q.unit)) {
+      q = { value: tidy((q.value / unitEntry(q.unit).factor) * PREFIXES[q.unit]), dim: DIMENSIONLESS, unitless: true, unit: q.unit };
+    }
+    if (q.unitless) return { value: q.value, si: tidy(q.value * expected.factor + expected.offset) };
+    if (!sameDim(q.dim, expected.dim) || angleMismatch(q, expected)) {
+      return { value: NaN, error: `expected ${kindOf(expected)}, got ${kindOf(q)}` };
+    }
+    return { value: tidy((q.value - expected.offset) / expected.factor), si: q.value };
+  } catch (err) {
+    return { value: NaN, error: err.message };
+  }
+}
+
+// drop-in for Number(text) in calculators: the value in `unit`, or NaN
+export const quantityIn = (text, unit = "") => readQuantity(text, unit).value;
+
+/* ============================
+   Table cells and column headers
+   - parseCell("1,25") -> 1.25 (decimal comma); "1,250.5" is left to Number and fails
+   - headerUnit("I (mA)", accepts) -> "mA": the unit written in brackets or after the
+     name ("V [mV]", "current mA", "f/kHz"), the first candidate `accepts` lets through
+   ============================ */
+export function parseCell(cell) {
+  const s = String(cell ?? "").trim();
+  if (!s) return NaN;
+  return Number(/^[-+]?\d*,\d+([eE][-+]?\d+)?$/.test(s) ? s.replace(",", ".") : s);
+}
+
+export function headerUnit(header, accepts = () => true) {
+  const h = String(header ?? "")
+    .replace(/μ/g, "µ")
+    .replace(/\bu(?=[AV]\b)/, "µ");
+  const bracket = h.match(/[([]\s*([^)\]]+?)\s*[)\]]/)?.[1];
+  const candidates = [bracket, h.match(/[\s/_-]([µa-zA-Z]+)\s*$/)?.[1]].filter(Boolean);
+  return candidates.find((u) => accepts(u)) ?? null;
+}
+
+/* ============================
+   Formatting with an engineering prefix: formatQuantity(0.0047, "F") -> "4.7 mF"
+   Only units that take prefixes are rescaled; others print as given.
+   ============================ */
+export function formatQuantity(value, unit = "", { digits = 4 } = {}) {
+  if (!Number.isFinite(value)) return "—";
+  const fmt = (x) => String(Number(x.toPrecision(digits)));
+  const entry = unitEntry(unit);
+  if (!entry?.prefix || value === 0) return unit ? `${fmt(value)} ${unit}` : fmt(value);
+  const mag = Math.abs(value);
+  const [prefix, scale] = ENGINEERING_PREFIXES.find(([, s]) => mag >= s * 0.9995) ?? ENGINEERING_PREFIXES[ENGINEERING_PREFIXES.length - 1];
+  return `${fmt(value / scale)} ${prefix}${unit}`;
+}
@@ -0,0 +1,73 @@
+// src/lib/units/quantity.test.js
+import { describe, expect, it } from "vitest";
+import { convert, headerUnit, parseCell, parseQuantity, readQuantity } from "./quantity";
+
+describe("convert", () => {
+  it("converts prefixed and compound units", () => {
+    expect(convert(4.7, "kΩ", "Ω")).toBeCloseTo(4700, 9);
+    expect(convert(1, "kWh", "J")).toBeCloseTo(3.6e6, 3);
+    expect(convert(25, "°C", "K")).toBeCloseTo(298.15, 9);
+  });
+
+  it("treats rpm as an angular speed", () => {
+    // 60 rpm is one revolution per second = 2π rad/s = 360 deg/s
+    expect(convert(60, "rpm", "rad/s")).toBeCloseTo(2 * Math.PI, 12);
+    expect(convert(1, "rpm", "deg/s")).toBeCloseTo(6, 12);
+    expect(convert(100, "rad/s", "rpm")).toBeCloseTo(954.93, 2);
+  });
+
+  it("refuses to turn an angular speed into a frequency", () => {
+    expect(() => convert(60, "rpm", "Hz")).toThrow("Cannot convert angular speed (rad/s) to frequency (Hz)");
+    expect(() => convert(1, "Hz", "rpm")).toThrow("Cannot convert frequency (Hz) to angular speed (rad/s)");
+    expect(() => convert(1, "rad/s", "kHz")).toThrow();
+    // a bare angle is still a plain number
+    expect(convert(180, "deg", "")).toBeCloseTo(Math.PI, 12);
+  });
+});
+
+describe("parseQuantity / readQuantity", () => {
+  it("reads a speed in SI and in the input's unit", () => {
+    expect(parseQuantity("1500 rpm").value).toBeCloseTo(50 * Math.PI, 9);
+    expect(readQuantity("1500 rpm", "rpm").value).toBeCloseTo(1500, 9);
+    expect(readQuantity("1500", "rpm").value).toBe(1500);
+    expect(readQuantity("157.08 rad/s", "rpm").value).toBeCloseTo(1500, 1);
+  });
+
+  it("scales the expected unit by a lone engineering prefix", () => {
+    expect(readQuantity("4.7k", "Ω").value).toBe(4700);
+    expect(readQuantity("2.2M", "Ω").value).toBe(2.2e6);
+    expect(readQuantity("5m", "V").value).toBe(0.005);
+    expect(readQuantity("5 m", "m").value).toBe(5);
+  });
+
+  it("keeps letters that are units as units", () => {
+    expect(readQuantity("5 h", "Ω")).toEqual({ value: NaN, error: "expected resistance (Ω), got time (s)" });
+    expect(readQuantity("300 K", "Ω").error).toBe("expected resistance (Ω), got temperature (K)");
+    expect(readQuantity("2 T", "V").error).toMatch(/^expected voltage \(V\), got /);
+    expect(readQuantity("2 h", "s").value).toBe(7200);
+  });
+
+  it("does not read an rpm field from Hz or the other way round", () => {
+    expect(readQuantity("1500 rpm", "Hz")).toEqual({ value: NaN, error: "expected frequency (Hz), got angular speed (rad/s)" });
+    expect(readQuantity("25 Hz", "rpm").error).toBe("expected angular speed (rad/s), got frequency (Hz)");
+  });
+});
+
+describe("parseCell / headerUnit", () => {
+  it("reads decimal commas and rejects thousands separators", () => {
+    expect(parseCell("1,25")).toBe(1.25);
+    expect(parseCell(" -3.5e-3 ")).toBe(-0.0035);
+    expect(parseCell("1,250.5")).toBeNaN();
+    expect(parseCell("")).toBeNaN();
+  });
+
+  it("finds the unit in brackets or after the column name", () => {
+    const current = (u) => ["A", "mA", "µA"].includes(u);
+    expect(headerUnit("I (mA)", current)).toBe("mA");
+    expect(headerUnit("Ib [uA]", current)).toBe("µA");
+    expect(headerUnit("Ic / mA", current)).toBe("mA");
+    expect(headerUnit("current mA", current)).toBe("mA");
+    expect(headerUnit("V (mV)", current)).toBeNull();
+    expect(headerUnit("Vce")).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+// src/lib/units/units.js
+
+/* ============================
+   Dimensions
+   A dimension is an array of exponents over the SI base quantities in BASE_UNITS
+   order (length, mass, time, current, temperature, amount, luminous intensity).
+   Angles are dimensionless as in SI and measured in radians (rad = 1), so
+   formulas may mix ω and 2πf freely. Units that carry an angle (rad, deg, rpm)
+   are marked `angle` in the unit table; quantity.js refuses to convert between
+   them and plain units of the same dimension (rpm or rad/s to Hz).
+   ============================ */
+
+export const BASE_UNITS = ["m", "kg", "s", "A", "K", "mol", "cd"];
+
+const dim = (m = 0, kg = 0, s = 0, A = 0, K = 0, mol = 0, cd = 0) => [m, kg, s, A, K, mol, cd];
+
+export const DIMENSIONLESS = dim();
+export const mulDim = (a, b) => a.map((x, i) => x + b[i]);
+export const divDim = (a, b) => a.map((x, i) => x - b[i]);
+export const powDim = (a, p) => a.map((x) => x * p);
+export const sameDim = (a, b) => a.every((x, i) => Math.abs(x - b[i]) < 1e-9);
+export const isDimensionless = (a) => sameDim(a, DIMENSIONLESS);
+
+const SUPERSCRIPT = { "-": "⁻", ".": "·", 0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹" };
+const superscript = (p) => String(Number(p.toFixed(3))).replace(/[-.\d]/g, (c) => SUPERSCRIPT[c]);
+
+// "kg·m²·s⁻³·A⁻²" (positive powers first); "" for dimensionless
+export function formatDim(d) {
+  const parts = BASE_UNITS.map((u, i) => [u, d[i]]).filter(([, p]) => Math.abs(p) > 1e-9);
+  parts.sort((a, b) => Math.sign(b[1]) - Math.sign(a[1]));
+  return parts.map(([u, p]) => (p === 1 ? u : `${u}${superscript(p)}`)).join("·");
+}
+
+/* ============================
+   Named dimensions, used to describe a quantity in messages and to pick a
+   display unit for results of free-form expressions. The first entry with a
+   given dimension wins (power before reactive / apparent power).
+   ============================ */
+const V = dim(2, 1, -3, -1);
+const OHM = dim(2, 1, -3, -2);
+
+export const NAMED_DIMENSIONS = [
+  { name: "dimensionless", unit: "", dim: DIMENSIONLESS },
+  { name: "voltage", unit: "V", dim: V },
+  { name: "current", unit: "A", dim: dim(0, 0, 0, 1) },
+  { name: "resistance", unit: "Ω", dim: OHM },
+  { name: "conductance", unit: "S", dim: powDim(OHM, -1) },
+  { name: "power", unit: "W", dim: dim(2, 1, -3) },
+  { name: "energy", unit: "J", dim: dim(2, 1, -2) },
+  { name: "charge", unit: "C", dim: dim(0, 0, 1, 1) },
+  { name: "capacitance", unit: "F", dim: dim(-2, -1, 4, 2) },
+  { name: "inductance", unit: "H", dim: dim(2, 1, -2, -2) },
+  { name: "frequency", unit: "Hz", dim: dim(0, 0, -1) },
+  { name: "time", unit: "s", dim: dim(0, 0, 1) },
+  { name: "magnetic flux", unit: "Wb", dim: dim(2, 1, -2, -1) },
+  { name: "flux density", unit: "T", dim: dim(0, 1, -2, -1) },
+  { name: "field strength", unit: "A/m", dim: dim(-1, 0, 0, 1) },
+  { name: "electric field", unit: "V/m", dim: dim(1, 1, -3, -1) },
+  { name: "current density", unit: "A/m²", dim: dim(-2, 0, 0, 1) },
+  { name: "resistivity", unit: "Ω·m", dim: mulDim(OHM, dim(1)) },
+  { name: "conductivity", unit: "S/m", dim: dim(-3, -1, 3, 2) },
+  { name: "permittivity", unit: "F/m", dim: dim(-3, -1, 4, 2) },
+  { name: "permeability", unit: "H/m", dim: dim(1, 1, -2, -2) },
+  { name: "length", unit: "m", dim: dim(1) },
+  { name: "area", unit: "m²", dim: dim(2) },
+  { name: "volume", unit: "m³", dim: dim(3) },
+  { name: "mass", unit: "kg", dim: dim(0, 1) },
+  { name: "force", unit: "N", dim: dim(1, 1, -2) },
+  { name: "pressure", unit: "Pa", dim: dim(-1, 1, -2) },
+  { name: "speed", unit: "m/s", dim: dim(1, 0, -1) },
+  { name: "temperature", unit: "K", dim: dim(0, 0, 0, 0, 1) },
+  { name: "amount of substance", unit: "mol", dim: dim(0, 0, 0, 0, 0, 1) },
+  { name: "luminous intensity", unit: "cd", dim: dim(0, 0, 0, 0, 0, 0, 1) },
+];
+
+export const namedDimension = (d) => NAMED_DIMENSIONS.find((n) => sameDim(n.dim, d)) ?? null;
+
+// "resistance (Ω)" or the base-unit form for unnamed dimensions
+export function describeDim(d) {
+  const named = namedDimension(d);
+  if (!named) return formatDim(d);
+  return named.unit ? `${named.name} (${named.unit})` : named.name;
+}
+
+/* ============================
+   SI prefixes. µ is accepted as the micro sign, the Greek mu or a plain "u";
+   "K" is accepted as kilo in front of a unit ("4.7 KΩ") since kelvin products
+   are always written with a separator.
+   ============================ */
+export const PREFIXES = {
+  T: 1e12,
+  G: 1e9,
+  M: 1e6,
+  k: 1e3,
+  K: 1e3,
+  h: 1e2,
+  c: 1e-2,
+  m: 1e-3,
+  µ: 1e-6,
+  μ: 1e-6,
+  u: 1e-6,
+  n: 1e-9,
+  p: 1e-12,
+  f: 1e-15,
+};
+
+// prefixes used when formatting, largest first
+export const ENGINEERING_PREFIXES = [
+  ["T", 1e12],
+  ["G", 1e9],
+  ["M", 1e6],
+  ["k", 1e3],
+  ["", 1],
+  ["m", 1e-3],
+  ["µ", 1e-6],
+  ["n", 1e-9],
+  ["p", 1e-12],
+  ["f", 1e-15],
+];
+
+/* ============================
+   Unit table: symbol -> { factor, dim, prefix, offset?, angle?, name }
+   factor converts to SI (value_SI = value × factor + offset); `prefix` marks
+   units that take SI prefixes; `angle` is the power of the angle they carry
+   (rpm is 2π rad per minute). Aliases share the entry of their symbol.
+   ============================ */
+const LB = 0.45359237;
+const G0 = 9.80665;
+const u = (factor, d, prefix = false, name = "", extra = {}) => ({ factor, dim: d, prefix, name, ...extra });
+
+export const UNITS = {
+  // SI base and derived units
+  m: u(1, dim(1), true, "metre"),
+  g: u(1e-3, dim(0, 1), true, "gram"),
+  s: u(1, dim(0, 0, 1), true, "second"),
+  A: u(1, dim(0, 0, 0, 1), true, "ampere"),
+  K: u(1, dim(0, 0, 0, 0, 1), true, "kelvin"),
+  mol: u(1, dim(0, 0, 0, 0, 0, 1), true, "mole"),
+  cd: u(1, dim(0, 0, 0, 0, 0, 0, 1), true, "candela"),
+  Hz: u(1, dim(0, 0, -1), true, "hertz"),
+  N: u(1, dim(1, 1, -2), true, "newton"),
+  Pa: u(1, dim(-1, 1, -2), true, "pascal"),
+  J: u(1, dim(2, 1, -2), true, "joule"),
+  W: u(1, dim(2, 1, -3), true, "watt"),
+  VA: u(1, dim(2, 1, -3), true, "volt-ampere"),
+  VAR: u(1, dim(2, 1, -3), true, "volt-ampere reactive"),
+  C: u(1, dim(0, 0, 1, 1), true, "coulomb"),
+  V: u(1, V, true, "volt"),
+  F: u(1, dim(-2, -1, 4, 2), true, "farad"),
+  Ω: u(1, OHM, true, "ohm"),
+  S: u(1, powDim(OHM, -1), true, "siemens"),
+  Wb: u(1, dim(2, 1, -2, -1), true, "weber"),
+  T: u(1, dim(0, 1, -2, -1), true, "tesla"),
+  H: u(1, dim(2, 1, -2, -2), true, "henry"),
+  rad: u(1, DIMENSIONLESS, true, "radian", { angle: 1 }),
+
+  // engineering and everyday units
+  Wh: u(3600, dim(2, 1, -2), true, "watt-hour"),
+  VAh: u(3600, dim(2, 1, -2), true, "volt-ampere hour"),
+  Ah: u(3600, dim(0, 0, 1, 1), true, "ampere-hour"),
+  eV: u(1.602176634e-19, dim(2, 1, -2), true, "electronvolt"),
+  cal: u(4.184, dim(2, 1, -2), true, "calorie"),
+  BTU: u(1055.05585262, dim(2, 1, -2), false, "British thermal unit"),
+  hp: u(550 * 0.3048 * LB * G0, dim(2, 1, -3), false, "horsepower"),
+  PS: u(75 * G0, dim(2, 1, -3), false, "metric horsepower"),
+  min: u(60, dim(0, 0, 1), false, "minute"),
+  h: u(3600, dim(0, 0, 1), false, "hour"),
+  day: u(86400, dim(0, 0, 1), false, "day"),
+  rpm: u((2 * Math.PI) / 60, dim(0, 0, -1), false, "revolutions per minute", { angle: 1 }),
+  deg: u(Math.PI / 180, DIMENSIONLESS, false, "degree", { angle: 1 }),
+  "°": u(Math.PI / 180, DIMENSIONLESS, false, "degree", { angle: 1 }),
+  "%": u(0.01, DIMENSIONLESS, false, "percent"),
+  ppm: u(1e-6, DIMENSIONLESS, false, "parts per million"),
+  in: u(0.0254, dim(1), false, "inch"),
+  ft: u(0.3048, dim(1), false, "foot"),
+  mil: u(25.4e-6, dim(1), false, "mil"),
+  L: u(1e-3, dim(3), true, "litre"),
+  t: u(1000, dim(0, 1), false, "tonne"),
+  lb: u(LB, dim(0, 1), false, "pound"),
+  bar: u(1e5, dim(-1, 1, -2), true, "bar"),
+  atm: u(101325, dim(-1, 1, -2), false, "atmosphere"),
+  psi: u((LB * G0) / 0.0254 ** 2, dim(-1, 1, -2), false, "pound per square inch"),
+  G: u(1e-4, dim(0, 1, -2, -1), false, "gauss"),
+  "°C": u(1, dim(0, 0, 0, 0, 1), false, "degree Celsius", { offset: 273.15 }),
+  "°F": u(5 / 9, dim(0, 0, 0, 0, 1), false, "degree Fahrenheit", { offset: 273.15 - (32 * 5) / 9 }),
+};
+
+const ALIASES = {
+  ohm: "Ω",
+  ohms: "Ω",
+  Ohm: "Ω",
+  "Ω": "Ω", // U+2126 OHM SIGN
+  mho: "S",
+  var: "VAR",
+  VAr: "VAR",
+  Var: "VAR",
+  sec: "s",
+  hr: "h",
+  degC: "°C",
+  "℃": "°C",
+  degF: "°F",
+  "℉": "°F",
+  l: "L",
+  Btu: "BTU",
+  HP: "hp",
+  RPM: "rpm",
+};
+
+// the unit entry for a bare symbol (no prefix), or undefined
+export function unitEntry(symbol) {
+  const key = Object.hasOwn(ALIASES, symbol) ? ALIASES[symbol] : symbol;
+  return Object.hasOwn(UNITS, key) ? UNITS[key] : undefined;
+}
+
+// the entry for a possibly prefixed symbol: { factor, dim, offset, angle, symbol }, or null
+export function lookupSymbol(symbol) {
+  const exact = unitEntry(symbol);
+  if (exact) return { factor: exact.factor, dim: exact.dim, offset: exact.offset ?? 0, angle: exact.angle ?? 0, symbol };
+  const prefix = Object.hasOwn(PREFIXES, symbol[0]) ? PREFIXES[symbol[0]] : 0;
+  const rest = unitEntry(symbol.slice(1));
+  if (prefix && rest?.prefix) return { factor: prefix * rest.factor, dim: rest.dim, offset: 0, angle: rest.angle ?? 0, symbol };
+  return null;
+}
@@ -34,25 +34,11 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { Textarea } from "@/components/ui/textarea"; // if available
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
    ============================ */
-const round = (v, p = 6) => {
-  if (!Number.isFinite(v)) return NaN;
-  const f = 10 ** p;
-  return Math.round(v * f) / f;
-};
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 const id = (n = 6) => Math.random().toString(36).slice(2, 2 + n);
 
@@ -264,35 +250,14 @@ function StudyFlowSVG({ latest = { attention: 0, retention: 0, focus: 0 }, runni
 }
 
 /* ============================
-   Oscilloscope — Study metrics
+   Oscilloscope traces — Study metrics
    - Plots attention, retention, focus history.
    ============================ */
-function StudyOscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({ t: idx, A: round(d.attention, 3), R: round(d.retention, 3), F: round(d.focus, 3) }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Session Oscilloscope — Attention, Retention, Focus</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} domain={[0, 1]} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="A" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Attention" />
-            <Line type="monotone" dataKey="R" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Retention" />
-            <Line type="monotone" dataKey="F" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Focus" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const STUDY_TRACES = [
+  { key: "attention", name: "Attention", color: "#ffd24a" },
+  { key: "retention", name: "Retention", color: "#00ffbf" },
+  { key: "focus", name: "Focus", color: "#ff9a4a" },
+];
 
 /* ============================
    Main CheatCodePage component
@@ -711,7 +676,7 @@ export default function CheatCodePage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <StudyOscilloscope history={history} running={running} />
+                <Oscilloscope title="Session Oscilloscope — Attention, Retention, Focus" data={history} traces={STUDY_TRACES} running={running} yDomain={[0, 1]} exportName="study-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
@@ -34,16 +34,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities (safe numeric helpers)
@@ -1446,51 +1437,22 @@ function ExplainerSVG({ concept, params, history = [], running }) {
    Oscilloscope / Plot
    - For each concept we plot the most relevant trace(s)
    ============================ */
-function ExplainerOscilloscope({ history = [], concept }) {
-  // build data depending on concept
-  const data = history.slice(-360).map((d, idx) => {
-    if (concept === "rc") {
-      return { t: idx, Vc: round(d.Vc ?? 0, 6), I: round(d.I ?? 0, 8) };
-    } else if (concept === "rl") {
-      return { t: idx, I: round(d.I ?? 0, 8), Vl: round(d.Vl ?? 0, 6) };
-    } else if (concept === "rlc") {
-      return { t: idx, I: round(d.I ?? 0, 6), Vc: round(d.Vc ?? 0, 6) };
-    } else if (concept === "divider") {
-      return { t: idx, Vout: round(d.Vout ?? 0, 6) };
-    } else if (concept === "led") {
-      return { t: idx, I: round(d.I ?? 0, 6) };
-    }
-    return { t: idx };
-  });
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — live traces</div>
-        <div className="text-xs text-zinc-400">{history.length ? "Live" : "Idle"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            {concept === "rc" && <Line dataKey="Vc" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Vc (V)" />}
-            {concept === "rc" && <Line dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="I (A)" />}
-            {concept === "rl" && <Line dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="I (A)" />}
-            {concept === "rl" && <Line dataKey="Vl" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="V_L (V)" />}
-            {concept === "rlc" && <Line dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="I (A)" />}
-            {concept === "rlc" && <Line dataKey="Vc" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="V_C (V)" />}
-            {concept === "divider" && <Line dataKey="Vout" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Vout (V)" />}
-            {concept === "led" && <Line dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="I (A)" />}
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const CONCEPT_TRACES = {
+  rc: [
+    { key: "Vc", name: "Vc (V)", color: "#ffd24a" },
+    { key: "I", name: "I (A)", color: "#00ffbf" },
+  ],
+  rl: [
+    { key: "I", name: "I (A)", color: "#00ffbf" },
+    { key: "Vl", name: "V_L (V)", color: "#ff9a4a" },
+  ],
+  rlc: [
+    { key: "I", name: "I (A)", color: "#00ffbf" },
+    { key: "Vc", name: "V_C (V)", color: "#ffd24a" },
+  ],
+  divider: [{ key: "Vout", name: "Vout (V)", color: "#ffd24a" }],
+  led: [{ key: "I", name: "I (A)", color: "#00ffbf" }],
+};
 
 /* ============================
    Main Explainer Page
@@ -1916,7 +1878,7 @@ onClick={snapshotPNG}
             </motion.div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <ExplainerOscilloscope history={history} concept={concept} />
+              <Oscilloscope title="Oscilloscope — live traces" data={history} traces={CONCEPT_TRACES[concept] ?? []} running={history.length > 0} exportName={`explainer-${concept}`} />
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
                 <CardHeader>
@@ -41,16 +41,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 import { toPng } from "html-to-image";
 
 /* ============================
@@ -346,31 +337,9 @@ function MemoryVisualizer({ decks = [], activeDeckId = null, running = true, his
 }
 
 /* ============================
-   Oscilloscope-like Chart for avg strength history
+   Oscilloscope trace for avg strength history
    ============================ */
-function StrengthOscilloscope({ history = [], running = true }) {
-  const data = history.slice(-360).map((d, idx) => ({ t: idx, avg: round(d.avg, 6), n: d.n }));
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Recall Oscilloscope — Avg Strength</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-40 sm:h-52">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis domain={[0, 1]} tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="avg" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Avg Strength" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const STRENGTH_TRACES = [{ key: "avg", name: "Avg Strength", color: "#ffd24a" }];
 
 /* ============================
    FlashCardPage component (main)
@@ -857,7 +826,7 @@ export default function FlashCardPage() {
                 </CardContent>
               </Card>
                   <div className="grid grid-cols-1 py-5 md:grid-cols-2 gap-4">
-                    <StrengthOscilloscope history={history} running={running} />
+                    <Oscilloscope title="Recall Oscilloscope — Avg Strength" data={history} traces={STRENGTH_TRACES} running={running} yDomain={[0, 1]} height="h-40 sm:h-52" exportName="strength-scope" />
 
                     {/* Card viewer */}
 <motion.div
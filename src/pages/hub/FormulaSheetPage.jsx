@@ -1,7 +1,6 @@
 "use client";
 
 import React, { useState, useMemo } from "react";
-import axios from "axios";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   BookOpen,
@@ -37,6 +36,7 @@ import {
 import { Separator } from "@/components/ui/separator";
 
 import { saveAs } from "file-saver";
+import { generateReportPdf } from "@/lib/report";
 import FormulaVisualizer from "../../components/FormulaVisualizer";
 import { FORMULAS } from "../../data/formulas";
 import { generateTextWithGemini } from "../../../hooks/aiUtils";
@@ -156,23 +156,16 @@ export default function FormulaSheetPage() {
       setLoadingPdf(true);
       toast.loading("Generating PDF...");
 
-      // ✅ Use absolute production endpoint
-      const base = "https://sparklab-beee.vercel.app"; // Your deployed backend (same as LabReport)
-      const resp = await axios.post(`${base}/api/generate-pdf`, payload, {
-        headers: { "Content-Type": "application/json" },
-        responseType: "blob",
-        timeout: 60000,
-      });
-
-      const blob = new Blob([resp.data], { type: "application/pdf" });
+      // In-browser layout by default; VITE_REPORT_API_URL switches to the server route
+      const { blob } = await generateReportPdf("formula", payload);
       saveAs(blob, "FormulaSheet.pdf");
 
       toast.dismiss();
       toast.success("PDF downloaded successfully!");
     } catch (err) {
       toast.dismiss();
-      console.error("PDF generation error:", err.response?.data || err.message);
-      toast.error("Failed to generate PDF. Check connection or server logs.");
+      console.error("PDF generation error:", err);
+      toast.error("Failed to generate PDF.", { description: err.details?.join("\n") });
     } finally {
       setLoadingPdf(false);
     }
@@ -47,16 +47,7 @@ import {
 } from "@/components/ui/select";
 import { Textarea } from "@/components/ui/textarea";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities (same style as calculator)
@@ -478,44 +469,20 @@ function NoteVisualizer({
 
 /* ============================
    Oscilloscope used in NotesPage (small variant)
+   - I and P follow the note's manual current when one is set
    ============================ */
-function SmallOscilloscope({ history = [], manualI = "", running = true, height = 160 }) {
-  const data = history.slice(-240).map((d, idx) => {
-    const I_sim = d.I || 0;
+function SmallOscilloscope({ history = [], manualI = "", running = true, height = "h-40" }) {
+  const traces = useMemo(() => {
     const I_manual = Number.isFinite(Number(manualI)) && manualI !== "" ? Number(manualI) : null;
-    const I_used = I_manual !== null ? I_manual : I_sim;
-    const V = d.V || 0;
-    const P_used = V * I_used;
-    return {
-      t: idx,
-      V: round(V, 6),
-      I_used: round(I_used, 9),
-      P: round(P_used, 8),
-    };
-  });
+    const current = (d) => (I_manual !== null ? I_manual : d.I || 0);
+    return [
+      { key: "V", name: "V", color: "#ffd24a", value: (d) => d.V || 0 },
+      { key: "I_used", name: "I", color: "#00ffbf", value: current },
+      { key: "P", name: "P", color: "#ff9a4a", value: (d) => (d.V || 0) * current(d) },
+    ];
+  }, [manualI]);
 
-  return (
-    <div className="rounded-xl p-2 bg-gradient-to-b from-black/30 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div style={{ height }}>
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="V" />
-            <Line type="monotone" dataKey="I_used" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="I" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="P" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
+  return <Oscilloscope title="Oscilloscope" data={history} traces={traces} running={running} window={240} height={height} exportName="notes-scope" />;
 }
 
 /* ============================
@@ -1370,7 +1337,7 @@ export default function NotesPage() {
               </div>
 
               <div className="lg:col-span-1 space-y-4">
-                <SmallOscilloscope history={history} manualI={activeNote?.preset?.manualI ?? ""} running={running} height={180} />
+                <SmallOscilloscope history={history} manualI={activeNote?.preset?.manualI ?? ""} running={running} height="h-[180px]" />
                 <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
                   <CardHeader>
                     <CardTitle className="text-[#ffd24a] flex items-center gap-2"><Gauge className="w-5 h-5" /> Summary</CardTitle>
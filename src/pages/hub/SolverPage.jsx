@@ -36,16 +36,7 @@ import {
 } from "@/components/ui/select";
 import { toPng } from "html-to-image";  
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -431,39 +422,13 @@ function SolverVisualizer({
 }
 
 /* ============================
-   Oscilloscope Component (V, I, P)
+   Oscilloscope traces (V, I, P)
    ============================ */
-function SolverOscilloscope({ history = [], running }) {
-  const data = history.slice(-480).map((d, idx) => ({
-    t: idx,
-    V: round(d.V, 6),
-    I: round(d.I, 9),
-    P: round(d.P, 8),
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/10 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — V, I, P</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-48">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Voltage (V)" />
-            <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Current (A)" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Power (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const SOLVER_TRACES = [
+  { key: "V", name: "Voltage (V)", color: "#ffd24a" },
+  { key: "I", name: "Current (A)", color: "#00ffbf" },
+  { key: "P", name: "Power (W)", color: "#ff9a4a" },
+];
 
 /* ============================
    Step-by-step Solver Panel
@@ -1028,7 +993,7 @@ const snapshotPNG = async () => {
                 </CardContent>
                 </Card>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4 py-5">
-                    <SolverOscilloscope history={history} running={running} />
+                    <Oscilloscope title="Oscilloscope — V, I, P" data={history} traces={SOLVER_TRACES} running={running} window={480} height="h-48" exportName="solver-scope" />
                     <div className="rounded-xl p-3 bg-black/70 border border-zinc-800 overflow-hidden">
                       <div className="flex items-center justify-between mb-2">
                         <div className="text-sm font-semibold text-[#ffd24a]">Inspector & Summary</div>
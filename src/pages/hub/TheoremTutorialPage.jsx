@@ -32,16 +32,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -1116,39 +1107,13 @@ function TheoremVisualizer({
 }
 
 /* ============================
-   Oscilloscope (unchanged)
+   Oscilloscope traces (probe voltage, current, power)
    ============================ */
-function TheoremOscilloscope({ history = [], running }) {
-  const data = useMemo(() => history.slice(-360).map((d, idx) => ({
-    t: idx,
-    V: round(d.probeV, 6),
-    I: round(d.probeI, 9),
-    P: round(d.power, 8),
-  })), [history]);
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Probe Voltage & Current</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="V (V)" />
-            <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="I (A)" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="P (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const THEOREM_TRACES = [
+  { key: "probeV", name: "V (V)", color: "#ffd24a" },
+  { key: "probeI", name: "I (A)", color: "#00ffbf" },
+  { key: "power", name: "P (W)", color: "#ff9a4a" },
+];
 
 /* ============================
    Main Page Component
@@ -1513,7 +1478,7 @@ export default function TheoremTutorialPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <TheoremOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — Probe Voltage & Current" data={history} traces={THEOREM_TRACES} running={running} exportName="theorem-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
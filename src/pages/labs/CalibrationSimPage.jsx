@@ -43,17 +43,10 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import CalibrationRunCard from "@/components/CalibrationRunCard";
 import { toPng } from "html-to-image";
+import { polyval, summarize } from "@/lib/stats";
 
 /* ============================
    Utilities
@@ -70,9 +63,33 @@ const round = (v, p = 6) => {
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 const nowMs = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
 
+/* ============================
+   Instrument under calibration
+   Errors added to the true value x (% figures are of fullScale):
+     offset + gainError·x + non-linearity bow 4·NL·u(1 − u) (u = x / fullScale, largest at
+     mid-scale) − dir·hysteresis / 2, where dir is +1 when x was approached from below and
+     −1 from above, plus random noise with the given standard deviation.
+   ============================ */
+const DEFAULT_INSTRUMENT = { offset: 0, gainError: 0, nonlinearity: 0, hysteresis: 0, noise: 0, fullScale: 10 };
+// starting errors of the page's instrument, as typed in the run card
+const DEMO_INSTRUMENT = { offset: "0.02", gainError: "0.5", nonlinearity: "0.1", hysteresis: "0.05", noise: "0.01", fullScale: "10" };
+
+function instrumentError(x, instrument, dir) {
+  const { offset = 0, gainError = 0, nonlinearity = 0, hysteresis = 0, noise = 0, fullScale = 10 } = instrument;
+  const fs = Math.abs(fullScale) || 1;
+  const u = x / fs;
+  const bow = (nonlinearity / 100) * fs * 4 * u * (1 - u);
+  const random = (Math.random() - 0.5) * Math.sqrt(12) * (noise / 100) * fs;
+  return offset + (gainError / 100) * x + bow - (dir * (hysteresis / 100) * fs) / 2 + random;
+}
+
 /* ============================
    Calibration Simulation Hook
    - Simulates devices and measurements with noise/drift
+   - startRun(steps, { settle, average }) steps the reference through a calibration
+     sequence ([{ ref, dir, cycle }]); at each step `settle` samples are discarded and the
+     next `average` indicated values are averaged into a record. Readings are taken before
+     the correction, so a new fit replaces the one applied.
    ============================ */
 function useCalibrationSim({
   running,
@@ -81,7 +98,8 @@ function useCalibrationSim({
   targetValue = 5.0,
   seriesResistance = 10,
   manualOverride = null,
-  calibration = { offset: 0, gain: 1.0 }, // applied to raw readings to produce corrected measurement
+  calibration = { offset: 0, gain: 1.0 }, // applied to raw readings to produce corrected measurement; { coeffs } applies a polynomial
+  instrument = DEFAULT_INSTRUMENT,
 }) {
   const historyRef = useRef(Array.from({ length: 400 }, (_, i) => ({ t: i, raw: 0, meas: 0 })));
   const historyLen = 600;
@@ -91,42 +109,63 @@ function useCalibrationSim({
   const lastRef = useRef(nowMs());
   const rafRef = useRef(null);
 
-  // Device specific dynamic model:
+  // reference the instrument is set to and the side it was last approached from
+  const setpointRef = useRef(0);
+  const dirRef = useRef(0);
+  // active calibration run: { steps, index, settle, average, count, acc, records }
+  const runRef = useRef(null);
+  const [run, setRun] = useState(null);
+
+  // Device specific dynamic model; `indicated` is what the instrument reads out
+  // (the DC value, or the amplitude for the waveform devices)
   const computeInstant = useCallback(
-    (tSeconds) => {
+    (tSeconds, setpoint, dir) => {
       // Raw signal generation depending on device
       if (device === "multimeter") {
-        // DC measurement with small random drift and exponential settling toward targetValue
-        const settlingTau = 0.8 + Math.abs((targetValue || 1) / 10);
-        const base = targetValue || 0;
+        // DC measurement with small random drift and exponential settling toward the setpoint
+        const settlingTau = 0.8 + Math.abs((setpoint || 1) / 10);
+        const base = setpoint || 0;
         // simulate slight sinusoidal noise + gaussian noise
         const sin = Math.sin(tSeconds * 2 * Math.PI * 0.5) * (0.002 * Math.max(1, Math.abs(base)));
         const noise = (Math.random() - 0.5) * 0.005 * Math.max(1, Math.abs(base));
         // approach base using 1 - exp(-t/tau)
         const approach = base * (1 - Math.exp(-tSeconds / settlingTau));
-        const raw = approach + sin + noise;
-        return { raw, type: "voltage" };
+        const raw = approach + instrumentError(approach, instrument, dir) + sin + noise;
+        return { raw, indicated: raw, type: "voltage" };
       } else if (device === "oscilloscope") {
-        // simulate waveform: sinewave whose amplitude is targetValue, plus phase and jitter
-        const freq = 2 + ((targetValue || 1) % 3); // vary frequency a bit by target
-        const amplitude = Math.max(0.001, Math.abs(targetValue || 1));
-        const raw = amplitude * Math.sin(2 * Math.PI * freq * tSeconds + (Math.random() - 0.5) * 0.1) + (Math.random() - 0.5) * 0.02 * amplitude;
-        return { raw, type: "wave" };
+        // simulate waveform: sinewave whose amplitude is the setpoint, plus phase and jitter
+        const freq = 2 + ((setpoint || 1) % 3); // vary frequency a bit by target
+        const amplitude = Math.max(0.001, Math.abs(setpoint || 1));
+        const shown = amplitude + instrumentError(amplitude, instrument, dir);
+        const raw = shown * Math.sin(2 * Math.PI * freq * tSeconds + (Math.random() - 0.5) * 0.1) + (Math.random() - 0.5) * 0.02 * amplitude;
+        return { raw, indicated: shown, type: "wave" };
       } else if (device === "functionGenerator") {
         // output is a controlled waveform - simulate amplitude and offset
-        const freq = 1 + ((targetValue || 1) % 4);
-        const amplitude = Math.max(0.001, Math.abs(targetValue || 1));
-        const raw = amplitude * Math.sin(2 * Math.PI * freq * tSeconds);
-        return { raw, type: "wave" };
+        const freq = 1 + ((setpoint || 1) % 4);
+        const amplitude = Math.max(0.001, Math.abs(setpoint || 1));
+        const shown = amplitude + instrumentError(amplitude, instrument, dir);
+        const raw = shown * Math.sin(2 * Math.PI * freq * tSeconds);
+        return { raw, indicated: shown, type: "wave" };
       } else {
         // fallback
         const raw = (Math.random() - 0.5) * 0.01;
-        return { raw, type: "voltage" };
+        return { raw, indicated: raw, type: "voltage" };
       }
     },
-    [device, targetValue]
+    [device, instrument]
   );
 
+  const startRun = useCallback((steps, { settle = 4, average = 25 } = {}) => {
+    if (!steps.length) return;
+    runRef.current = { steps, index: 0, settle, average, count: 0, acc: [], records: [] };
+    setRun({ steps, index: 0, records: [], active: true });
+  }, []);
+
+  const stopRun = useCallback(() => {
+    runRef.current = null;
+    setRun((r) => (r ? { ...r, active: false } : r));
+  }, []);
+
   useEffect(() => {
     let alive = true;
     lastRef.current = nowMs();
@@ -144,22 +183,50 @@ function useCalibrationSim({
       tRef.current += dt;
       const tSeconds = tRef.current / 1000;
 
+      // setpoint: the run's current reference, else the target; a run approaches each
+      // point from the side its sequence says, otherwise the direction follows the change
+      const active = runRef.current;
+      const setpoint = active ? active.steps[active.index].ref : targetValue || 0;
+      if (active) dirRef.current = active.steps[active.index].dir === "down" ? -1 : 1;
+      else if (setpoint !== setpointRef.current) dirRef.current = Math.sign(setpoint - setpointRef.current);
+      setpointRef.current = setpoint;
+
       // compute raw
-      const inst = computeInstant(tSeconds);
+      const inst = computeInstant(tSeconds, setpoint, dirRef.current);
       let raw = inst.raw;
+      let indicated = inst.indicated;
 
       // simulate measurement chain (meter internal offset/gain/drift)
       // Add slow drift over long time
-      const drift = Math.sin(tSeconds / 30) * 0.002 * (Math.sign(targetValue || 1));
+      const drift = Math.sin(tSeconds / 30) * 0.002 * (Math.sign(setpoint || 1));
       raw = raw * (1 + drift);
+      indicated = indicated * (1 + drift);
 
       // apply manual override if provided
       if (manualOverride !== null && manualOverride !== undefined) {
         raw = manualOverride;
+        indicated = manualOverride;
       }
 
-      // calibration applied: meas = raw * gain + offset
-      const meas = raw * (calibration.gain || 1) + (calibration.offset || 0);
+      // calibration applied: meas = raw * gain + offset (or the correction polynomial)
+      const meas = calibration.coeffs ? polyval(calibration.coeffs, raw) : raw * (calibration.gain || 1) + (calibration.offset || 0);
+
+      // calibration run: settle, average, record, next step
+      if (active) {
+        active.count += 1;
+        if (active.count > active.settle) active.acc.push(indicated);
+        if (active.acc.length >= active.average) {
+          const stats = summarize(active.acc);
+          const { step, ref, dir, cycle } = active.steps[active.index];
+          active.records.push({ step, ref, dir, cycle, reading: stats.mean, sd: stats.sd, n: stats.n });
+          active.index += 1;
+          active.count = 0;
+          active.acc = [];
+          const done = active.index >= active.steps.length;
+          if (done) runRef.current = null;
+          setRun({ steps: active.steps, index: active.index, records: active.records.slice(), active: !done });
+        }
+      }
 
       setHistory((h) => {
         const next = h.slice();
@@ -175,12 +242,12 @@ function useCalibrationSim({
       alive = false;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [running, timestep, computeInstant, manualOverride, calibration, historyLen]);
+  }, [running, timestep, targetValue, computeInstant, manualOverride, calibration, historyLen]);
 
   // latest values
   const latest = history.length ? history[history.length - 1] : { raw: 0, meas: 0 };
 
-  return { history, latest };
+  return { history, latest, run, startRun, stopRun };
 }
 
 /* ============================
@@ -489,33 +556,22 @@ function NeedleGauge({ value = 0, min = -10, max = 10, label = "V", units = "V",
 
 
 /* ============================
-   Oscilloscope/Plot
+   Oscilloscope/Plot: corrected and raw readings
    ============================ */
-function ScopePlot({ history = [], device = "multimeter", running }) {
-  // build dataset last N points
-  const data = history.slice(-360).map((d, idx) => ({ t: idx, raw: round(d.raw, 6), meas: round(d.meas, 6) }));
-  const yKey = device === "oscilloscope" ? "raw" : "meas";
+const CALIBRATION_TRACES = [
+  { key: "meas", name: "Corrected", color: "#ffd24a" },
+  { key: "raw", name: "Raw", color: "#00ffbf", width: 1.5 },
+];
 
+function ScopePlot({ history = [], device = "multimeter", running }) {
   return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Scope — {device === "oscilloscope" ? "Waveform" : "Measurement Trace"}</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "8px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="meas" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Corrected" />
-            <Line type="monotone" dataKey="raw" stroke="#00ffbf" strokeWidth={1.5} dot={false} isAnimationActive={false} name="Raw" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
+    <Oscilloscope
+      title={`Scope — ${device === "oscilloscope" ? "Waveform" : "Measurement Trace"}`}
+      data={history}
+      traces={CALIBRATION_TRACES}
+      running={running}
+      exportName={`calibration-${device}`}
+    />
   );
 }
 
@@ -534,10 +590,22 @@ export default function CalibrationSimPage() {
   const [probeA, setProbeA] = useState("");
   const [probeB, setProbeB] = useState("");
   const [preset, setPreset] = useState("default");
+  const [calPoly, setCalPoly] = useState(null); // correction polynomial from a calibration run (order ≥ 2)
+  const [instrumentForm, setInstrumentForm] = useState(DEMO_INSTRUMENT);
 
-  const calibration = useMemo(() => ({ offset: toNum(calOffset) || 0, gain: toNum(calGain) || 1 }), [calOffset, calGain]);
+  const calibration = useMemo(
+    () => (calPoly ? { coeffs: calPoly, offset: calPoly[0], gain: calPoly[1] } : { offset: toNum(calOffset) || 0, gain: toNum(calGain) || 1 }),
+    [calOffset, calGain, calPoly]
+  );
+  const calibrationLabel = calPoly
+    ? `${calPoly.length === 3 ? "quadratic" : "cubic"} correction`
+    : `${calibration.gain}× + ${calibration.offset}`;
+  const instrument = useMemo(
+    () => Object.fromEntries(Object.entries(instrumentForm).map(([k, v]) => [k, Number.isFinite(toNum(v)) ? toNum(v) : DEFAULT_INSTRUMENT[k]])),
+    [instrumentForm]
+  );
 
-  const { history, latest } = useCalibrationSim({
+  const { history, latest, run, startRun, stopRun } = useCalibrationSim({
     running,
     device,
     timestep: 80,
@@ -545,6 +613,7 @@ export default function CalibrationSimPage() {
     seriesResistance: Number.isFinite(Number(seriesResistance)) ? Number(seriesResistance) : 10,
     manualOverride: manualOverride === "" ? null : Number(manualOverride),
     calibration,
+    instrument,
   });
 
   // quick computed displays
@@ -567,6 +636,9 @@ export default function CalibrationSimPage() {
     setManualOverride("");
     setCalOffset("0");
     setCalGain("1.0");
+    setCalPoly(null);
+    setInstrumentForm(DEMO_INSTRUMENT);
+    stopRun();
     setProbeA("");
     setProbeB("");
     setPreset("default");
@@ -603,9 +675,22 @@ export default function CalibrationSimPage() {
     const estimatedOffset = target - estimatedGain * rawAvg;
     setCalGain(round(estimatedGain, 6).toString());
     setCalOffset(round(estimatedOffset, 6).toString());
+    setCalPoly(null);
     toast.success("Auto-calibration applied");
   };
 
+  // correction fitted by a calibration run: offset / gain, or the polynomial itself
+  const applyRunCorrection = (correction) => {
+    if (correction.order === 1) {
+      setCalOffset(round(correction.offset, 6).toString());
+      setCalGain(round(correction.gain, 6).toString());
+      setCalPoly(null);
+    } else {
+      setCalPoly(correction.coeffs);
+    }
+    toast.success("Run correction applied");
+  };
+
   const applyPreset = (p) => {
     if (p === "low-voltage") {
       setDevice("multimeter");
@@ -815,20 +900,26 @@ export default function CalibrationSimPage() {
             </div>
             <Badge className="bg-zinc-900/60 border border-orange-400 text-orange-300 rounded-full px-3 py-1 shadow-[0_0_10px_rgba(255,180,60,0.2)]">
               <Wrench className="w-3.5 h-3.5 mr-1" />
-              {calibration.gain}× + {calibration.offset}
+              {calibrationLabel}
             </Badge>
           </div>
 
           <div className="grid grid-cols-2 gap-2">
             <Input
               value={calOffset}
-              onChange={(e) => setCalOffset(e.target.value)}
+              onChange={(e) => {
+                setCalOffset(e.target.value);
+                setCalPoly(null);
+              }}
               type="number"
               className="bg-zinc-900/60 border border-zinc-800 text-white placeholder:text-zinc-500 focus:ring-1 focus:ring-[#ff7a2d]"
             />
             <Input
               value={calGain}
-              onChange={(e) => setCalGain(e.target.value)}
+              onChange={(e) => {
+                setCalGain(e.target.value);
+                setCalPoly(null);
+              }}
               type="number"
               className="bg-zinc-900/60 border border-zinc-800 text-white placeholder:text-zinc-500 focus:ring-1 focus:ring-[#ffd24a]"
             />
@@ -848,6 +939,7 @@ export default function CalibrationSimPage() {
               onClick={() => {
                 setCalGain("1.0");
                 setCalOffset("0");
+                setCalPoly(null);
                 toast("Calibration reset");
               }}
             >
@@ -1012,7 +1104,7 @@ export default function CalibrationSimPage() {
                     </div>
                     <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
                       <div className="text-xs text-zinc-400">Calibration</div>
-                      <div className="text-lg font-semibold text-[#ffd24a]">{`${calibration.gain}× + ${calibration.offset}`}</div>
+                      <div className="text-lg font-semibold text-[#ffd24a]">{calibrationLabel}</div>
                     </div>
 
                     <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
@@ -1038,6 +1130,17 @@ export default function CalibrationSimPage() {
                 </CardContent>
               </Card>
             </div>
+
+            <CalibrationRunCard
+              device={device}
+              instrument={instrumentForm}
+              onInstrumentChange={(key, value) => setInstrumentForm((f) => ({ ...f, [key]: value }))}
+              run={run}
+              onStart={startRun}
+              onStop={stopRun}
+              onApply={applyRunCorrection}
+              running={running}
+            />
           </div>
         </div>
       </main>
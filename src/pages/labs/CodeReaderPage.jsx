@@ -38,16 +38,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 import { toPng } from "html-to-image";
 
 /* ============================
@@ -559,46 +550,20 @@ function VisualizerSVG({ compType, eq = { groupReqs: [] }, Vsup, history = [], r
 }
 
 /* ============================
-   MultiOscilloscope (same as before)
+   MultiOscilloscope: V, I, P (I and P follow the manual current when one is set)
    ============================ */
 function MultiOscilloscope({ history = [], manualI, running }) {
-  const data = history.slice(-360).map((d, idx) => {
-    const I_sim = d.I || 0;
+  const traces = useMemo(() => {
     const I_manual = Number.isFinite(Number(manualI)) && manualI !== "" ? Number(manualI) : null;
-    const I_used = I_manual !== null ? I_manual : I_sim;
-    const V = d.V || 0;
-    const P_used = V * I_used;
-    return {
-      t: idx,
-      V: round(V, 6),
-      I_sim: round(I_sim, 9),
-      I_used: round(I_used, 9),
-      P: round(P_used, 8),
-    };
-  });
+    const current = (d) => (I_manual !== null ? I_manual : d.I || 0);
+    return [
+      { key: "V", name: "Voltage (V)", color: "#ffd24a", value: (d) => d.V || 0 },
+      { key: "I_used", name: "Current (A)", color: "#00ffbf", value: current },
+      { key: "P", name: "Power (W)", color: "#ff9a4a", value: (d) => (d.V || 0) * current(d) },
+    ];
+  }, [manualI]);
 
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Voltage (V), Current (I), Power (P)</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Voltage (V)" />
-            <Line type="monotone" dataKey="I_used" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Current (A)" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Power (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
+  return <Oscilloscope title="Oscilloscope — Voltage (V), Current (I), Power (P)" data={history} traces={traces} running={running} exportName="code-reader-scope" />;
 }
 
 /* ============================
@@ -33,16 +33,7 @@ import {
   SelectItem
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 import { toPng } from "html-to-image";
 
 /* ============================
@@ -249,8 +240,11 @@ function ResistorSVG({ bandColors = [], current = 0 }) {
 
 /* ============================
    Oscilloscope mini (sparkline) - simple simulated waveform for vibe
+   - badge: controls shown in the scope header (the page's run / pause button)
    ============================ */
-function MiniScope({ amplitude = 1, running = true }) {
+const MINI_TRACES = [{ key: "y", name: "Current (sim)", color: "#ffd24a" }];
+
+function MiniScope({ amplitude = 1, running = true, badge = null }) {
   const [data, setData] = useState(Array.from({ length: 80 }, (_, i) => ({ t: i, y: Math.sin(i / 6) * amplitude })));
 
   useEffect(() => {
@@ -267,16 +261,17 @@ function MiniScope({ amplitude = 1, running = true }) {
   }, [amplitude, running]);
 
   return (
-    <div className="w-full h-28">
-      <ResponsiveContainer width="100%" height="100%">
-        <LineChart data={data}>
-          <CartesianGrid stroke="#0b0b0b" vertical={false} />
-          <XAxis dataKey="t" hide />
-          <YAxis hide domain={[-amplitude * 1.4, amplitude * 1.4]} />
-          <Line type="monotone" dataKey="y" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} />
-        </LineChart>
-      </ResponsiveContainer>
-    </div>
+    <Oscilloscope
+      title="Oscilloscope (simulated)"
+      data={data}
+      traces={MINI_TRACES}
+      running={running}
+      window={80}
+      yDomain={[-amplitude * 1.4, amplitude * 1.4]}
+      height="h-28"
+      exportName="color-code-scope"
+      badge={badge}
+    />
   );
 }
 
@@ -841,15 +836,15 @@ export default function ColorCodeIdentifierPage() {
                   </div>
 
                   <div className="mt-4">
-                    <div className="text-xs text-zinc-400 mb-2 flex items-center justify-between">
-                      <span>Oscilloscope (simulated)</span>
-                      <div className="flex items-center gap-2">
-                        <Button variant="ghost" className="p-1 border cursor-pointer border-zinc-800" onClick={() => setRunningScope((s) => !s)}>
+                    <MiniScope
+                      amplitude={Math.min(3, Math.max(0.2, Math.abs(Iused) * 8))}
+                      running={runningScope}
+                      badge={
+                        <Button variant="ghost" className="h-7 p-1 border cursor-pointer border-zinc-800" onClick={() => setRunningScope((s) => !s)}>
                           {runningScope ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
                         </Button>
-                      </div>
-                    </div>
-                    <MiniScope amplitude={Math.min(3, Math.max(0.2, Math.abs(Iused) * 8))} running={runningScope} />
+                      }
+                    />
                   </div>
 
                   <div className="mt-4 bg-black/70 border border-orange-500/20 px-3 py-2 rounded-md text-xs text-zinc-300 flex items-center gap-3">
@@ -34,17 +34,11 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import RepeatedReadingsCard from "@/components/RepeatedReadingsCard";
+import ErrorPropagationCard from "@/components/ErrorPropagationCard";
+import { analyseReadings, histogram } from "@/lib/stats";
+import { parseCell } from "@/lib/units";
 
 /* ============================
    Utilities
@@ -60,11 +54,37 @@ const round = (v, p = 4) => {
 };
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 
+// "4.98; 5.01\n5,02" -> [4.98, 5.01, 5.02]: separated by spaces, ";" or new lines so a
+// decimal comma stays inside its value; anything that is not a number is ignored
+const parseReadings = (text) =>
+  String(text ?? "")
+    .split(/[\s;]+/)
+    .filter(Boolean)
+    .map(parseCell)
+    .filter(Number.isFinite);
+
+const DEFAULT_READINGS = "4.98 5.01 5.02 4.99 5.00\n5.03 4.97 5.01 5.60 5.00";
+const DEFAULT_TYPE_B = [
+  { id: "resolution", kind: "resolution", value: "0.01" },
+  { id: "accuracy", kind: "rectangular", value: "0.02" },
+];
+
 /* ============================
    Simulation Hook
    - maintains a history of readings for oscilloscope and animation
+   - evaluates the repeated readings (mean, SD, standard error, Type A/B combination,
+     outlier rejection, coverage factor) and bins them for the histogram
    ============================ */
-function useErrorSim({ running, timestep = 120, practical = 0, theoretical = 0 }) {
+function useErrorSim({
+  running,
+  timestep = 120,
+  practical = 0,
+  theoretical = 0,
+  readings = [],
+  outliers = "none",
+  typeB = [],
+  confidence = 0.95,
+}) {
   const historyRef = useRef(Array.from({ length: 160 }, (_, i) => ({ t: i, practical: 0, theoretical: 0, absErr: 0, pctErr: 0 })));
   const [history, setHistory] = useState(historyRef.current);
   const tRef = useRef(0);
@@ -115,7 +135,27 @@ function useErrorSim({ running, timestep = 120, practical = 0, theoretical = 0 }
     };
   }, [running, timestep, practical, theoretical, computeMetrics]);
 
-  return { history };
+  const readingStats = useMemo(
+    () => analyseReadings(readings, { outliers, typeB, confidence }),
+    [readings, outliers, typeB, confidence]
+  );
+  const readingHistogram = useMemo(() => {
+    if (!readingStats) return [];
+    const bins = histogram(readings).map((bin) => ({ ...bin, rejected: 0 }));
+    readingStats.rejected.forEach(({ value }) => {
+      const i = bins.findIndex((bin, j) => value < bin.to || j === bins.length - 1);
+      bins[i].rejected += 1;
+    });
+    const { n, mean, sd } = readingStats.stats;
+    return bins.map((bin) => ({
+      ...bin,
+      kept: bin.count - bin.rejected,
+      // readings a normal distribution with the kept mean and SD puts in the bin
+      expected: sd > 0 ? (n * (bin.to - bin.from) * Math.exp(-(((bin.mid - mean) / sd) ** 2) / 2)) / (sd * Math.sqrt(2 * Math.PI)) : null,
+    }));
+  }, [readings, readingStats]);
+
+  return { history, readingStats, readingHistogram };
 }
 
 /* ============================
@@ -508,39 +548,13 @@ const map = (v, a1, a2, b1, b2) => b1 + ((v - a1) * (b2 - b1)) / (a2 - a1);
 
 
 /* ============================
-   Oscilloscope for Error (Practical vs Theoretical)
+   Oscilloscope traces (Practical vs Theoretical, % error on its own axis)
    ============================ */
-function ErrorOscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({
-    t: idx,
-    practical: round(d.practical, 6),
-    theoretical: round(d.theoretical, 6),
-    pctErr: round(d.pctErr, 6),
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Practical vs Theoretical</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="theoretical" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Theoretical" />
-            <Line type="monotone" dataKey="practical" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Practical" />
-            <Line type="monotone" dataKey="pctErr" stroke="#ff9a4a" strokeWidth={1.6} dot={false} isAnimationActive={false} name="% Error" yAxisId="right" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const ERROR_TRACES = [
+  { key: "theoretical", name: "Theoretical", color: "#ffd24a" },
+  { key: "practical", name: "Practical", color: "#00ffbf" },
+  { key: "pctErr", name: "% Error", color: "#ff9a4a", width: 1.6, axis: "right" },
+];
 
 /* ============================
    Main Page Component
@@ -554,8 +568,24 @@ export default function ErrorCalculatorPage() {
   const [running, setRunning] = useState(true);
   const [mobileOpen, setMobileOpen] = useState(false);
 
+  // repeated readings
+  const [readingsText, setReadingsText] = useState(DEFAULT_READINGS);
+  const [outliers, setOutliers] = useState("grubbs");
+  const [confidence, setConfidence] = useState(0.95);
+  const [typeB, setTypeB] = useState(DEFAULT_TYPE_B);
+  const readings = useMemo(() => parseReadings(readingsText), [readingsText]);
+
   // Simulation hook
-  const { history } = useErrorSim({ running, timestep: 140, practical: Number(practical), theoretical: Number(theoretical) });
+  const { history, readingStats, readingHistogram } = useErrorSim({
+    running,
+    timestep: 140,
+    practical: Number(practical),
+    theoretical: Number(theoretical),
+    readings,
+    outliers,
+    typeB,
+    confidence,
+  });
 
   // derived metrics (instant)
   const last = history.length ? history[history.length - 1] : { practical: 0, theoretical: 0, absErr: 0, pctErr: 0, signedPct: 0 };
@@ -596,6 +626,10 @@ export default function ErrorCalculatorPage() {
     setPractical("5");
     setTheoretical("4.7");
     setRunning(true);
+    setReadingsText(DEFAULT_READINGS);
+    setOutliers("grubbs");
+    setConfidence(0.95);
+    setTypeB(DEFAULT_TYPE_B);
     toast("Reset to defaults");
   };
 
@@ -886,7 +920,7 @@ const snapshotPNG = async () => {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <ErrorOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — Practical vs Theoretical" data={history} traces={ERROR_TRACES} running={running} exportName="error-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
@@ -930,6 +964,30 @@ const snapshotPNG = async () => {
                 </CardContent>
               </Card>
             </div>
+
+            <RepeatedReadingsCard
+              readingsText={readingsText}
+              setReadingsText={setReadingsText}
+              outliers={outliers}
+              setOutliers={setOutliers}
+              confidence={confidence}
+              setConfidence={setConfidence}
+              typeB={typeB}
+              setTypeB={setTypeB}
+              stats={readingStats}
+              bins={readingHistogram}
+              unit={unit}
+              theoretical={Number(theoretical)}
+              onUseMean={(mean) => {
+                setPractical(String(Number(mean.toPrecision(8))));
+                toast.success("Practical value set to the mean of the readings");
+              }}
+            />
+
+            <ErrorPropagationCard
+              confidence={confidence}
+              reading={readingStats ? { mean: readingStats.stats.mean, uc: readingStats.uc, dof: readingStats.dof, unit } : null}
+            />
           </div>
         </div>
       </main>
@@ -35,16 +35,8 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import SendToReportPanel from "@/components/SendToReportPanel";
 
 /* ============================
    Utilities
@@ -77,6 +69,61 @@ const EXPERIMENTS = [
   // add other items from your list as needed...
 ];
 
+/* ============================
+   Lab report hand-off (SendToReportPanel)
+   - titleID / title: lab report template the readings fill (null: custom report named after the experiment)
+   - params: [key, label] setup values printed in the report
+   - reading(meters, params): the observation row "Record reading" adds; rows with the same key merge
+   ============================ */
+let recordCount = 0;
+const recordKey = () => `r${++recordCount}`;
+const extrasRemark = (experimentId, meters) =>
+  Object.entries(getExperimentRow(experimentId, meters))
+    .filter(([k]) => k !== "V" && k !== "I")
+    .map(([k, v]) => `${k} = ${v}`)
+    .join(", ");
+const plainReading = (experimentId) => (m) => ({ key: recordKey(), V: m.V, I: m.I, remark: extrasRemark(experimentId, m) });
+
+const REPORT_LINKS = {
+  transformer_ocsc: {
+    titleID: "transformer-ocsc-01",
+    title: "Transformer Open Circuit and Short Circuit Tests",
+    params: [["Vp", "Vp (V)"], ["Np", "Np"], ["Ns", "Ns"], ["Po", "P0 (W)"], ["Io", "I0 (A)"], ["Vsc", "Vsc (V)"], ["Isc", "Isc (A)"], ["Psc", "Psc (W)"]],
+    hint: "Record the open-circuit test, switch Mode to Short-Circuit and record again (rms values).",
+    // the scope shows instantaneous values; the test readings are the rms settings
+    reading: (m, p) =>
+      (p.mode || "oc") === "oc"
+        ? { key: "oc", V: toNum(p.Vp) || 230, I: toNum(p.Io) || 0.5, remark: `OC test, W0 = ${toNum(p.Po) || 20} W` }
+        : { key: "sc", V: toNum(p.Vsc) || 40, I: toNum(p.Isc) || 10, remark: `SC test, Wsc = ${toNum(p.Psc) || 100} W` },
+    order: (rows) => [...rows].sort((a, b) => (a.key === b.key ? 0 : a.key === "oc" ? -1 : 1)),
+  },
+  rlc_resonance: {
+    titleID: "resonance-01",
+    title: "Verification of Resonance in RLC Series Circuit",
+    params: [["Vs", "Vs (V)"], ["R", "R (Ω)"], ["L", "L (mH)"], ["C", "C (µF)"]],
+    hint: "Record the current at each frequency: change f, let it settle and record again on both sides of resonance.",
+    reading: (m, p) => ({ key: `f${p.freq}`, t: toNum(p.freq), V: m.V, I: m.I, remark: `Z = ${m.extra?.Z} Ω` }),
+  },
+  transformer_load: { params: [["Vp", "Vp (V)"], ["Nratio", "Turns ratio"], ["coreLoss", "Core loss (W)"], ["loadP", "Load (W)"]] },
+  wheatstone: { params: [["Vs_bridge", "Vs (V)"], ["R1", "R1 (Ω)"], ["R2", "R2 (Ω)"], ["R3", "R3 (Ω)"], ["Rx", "Rx (Ω)"]] },
+  maxwell: { params: [["R1", "R1 (Ω)"], ["R2", "R2 (Ω)"], ["R3", "R3 (Ω)"], ["C4", "C4 (µF)"], ["Vs", "Vs (V)"], ["freq", "f (Hz)"]] },
+  dc_motor_load: { params: [["Va", "Va (V)"], ["Ra", "Ra (Ω)"], ["Kt", "Kt"], ["loadT", "Load torque (N·m)"]] },
+  induction_locked: { params: [["Vs", "Vph (V)"], ["freq", "f (Hz)"], ["R1", "R1 (Ω)"], ["X1", "X1 (Ω)"], ["R2", "R2 (Ω)"], ["X2", "X2 (Ω)"], ["testMode", "Test"]] },
+  synchronous_vcurve: { params: [["Vs", "Vs (V)"], ["Ra", "Ra (Ω)"], ["Xs", "Xs (Ω)"], ["If", "If (A)"], ["Pload", "Load (W)"]] },
+  synchronization: { params: [["freqBus", "Bus f (Hz)"], ["freqAlt", "Alternator f (Hz)"], ["Vbus", "Bus V (V)"], ["Valt", "Alternator V (V)"], ["phaseOffset", "Phase offset (°)"]] },
+  wien_freq: { params: [["R1", "R1 (Ω)"], ["R2", "R2 (Ω)"], ["C1", "C1 (µF)"], ["C2", "C2 (µF)"], ["Vs", "Vs (V)"]] },
+};
+
+const reportLink = (experimentId) => {
+  const link = REPORT_LINKS[experimentId] ?? { params: [] };
+  return {
+    titleID: null,
+    hint: "Each recorded reading adds a row with the meter V and I and the derived values as the remark.",
+    reading: plainReading(experimentId),
+    ...link,
+  };
+};
+
 /* ============================
    Simulation Hook
    - Modular: handles multiple experiment types.
@@ -551,7 +598,7 @@ else if (ex === "wien_freq") {
   }, [stepFn, running, timestep]);
 
   // === Compute Latest Reading ===
-  const latest = history.length ? history[history.length - 1] : { V: 0, I: 0, P: 0, extra: {} };
+  const latest = useMemo(() => (history.length ? history[history.length - 1] : { V: 0, I: 0, P: 0, extra: {} }), [history]);
 
   const meters = useMemo(() => {
     const V = latest?.V ?? 0;
@@ -3442,12 +3489,11 @@ else {
 }
 
 /* ============================
-   Oscilloscope component
+   Per-experiment scope rows and traces
+   - getExperimentRow: the quantities an experiment plots (also the report remark, see extrasRemark)
+   - getLineConfigs: which of them the scope draws
    ============================ */
-function ExperimentOscilloscope({experimentId, history = [], running }) {
-
-const getExperimentData = (experimentId, history) => {
-  const sliceLen = 360; // last 360 samples
+const getExperimentRow = (experimentId, d) => {
   const roundVal = (v, dec = 2) => {
     const num = Number(v);
     if (isNaN(num) || v == null) return 0;
@@ -3456,93 +3502,82 @@ const getExperimentData = (experimentId, history) => {
 
   switch (experimentId) {
     case "synchronization":
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         Δf: roundVal(d?.extra?.freqAlt - d?.extra?.freqBus, 1),
         phase: roundVal(d?.extra?.phaseOffset, 1),
-      }));
+      };
 
     case "dc_motor_load":
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         Ia: roundVal(d?.extra?.Ia, 4),
         Vt: roundVal(d?.extra?.speed_rpm, 2),
         Te: roundVal(d?.extra?.torque, 3), // torque
-      }));
+      };
 
     case "synchronous_vcurve":
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         If: roundVal(d?.extra?.If, 3),
         I: roundVal(d?.extra?.pf, 3),
         pf: roundVal(d?.extra?.δdeg, 3),
-      }));
+      };
     case "transformer_load":
-      return history.slice(-360).map((d, idx) => ({
-        t: idx,
+      return {
         efficiency: roundVal(d?.extra?.efficiency, 2),
         outputPower: roundVal(d?.extra?.outputPower, 2),
         Vs: roundVal(d?.extra?.Vs, 2),
-      }));  
+      };  
     case "maxwell":
-      return history.slice(-360).map((d, idx) => ({
-        t: idx,
+      return {
         Lx: roundVal(d?.extra?.Lx, 6),
         Rx: roundVal(d?.extra?.Rx, 3),
         Vout: roundVal(d?.extra?.Vout, 4),
-      }));
+      };
   
     case "transformer_ocsc":
-      return history.slice(-360).map((d, idx) => ({
-        t: idx,
+      return {
         Rc: roundVal(d?.extra?.Rc, 2),
         Xm: roundVal(d?.extra?.Xm, 2),
         Req: roundVal(d?.extra?.Req, 2),
         Xeq: roundVal(d?.extra?.Xeq, 2),
         loss: roundVal(d?.extra?.loss, 2),
         efficiency: roundVal(d?.extra?.efficiency, 2),
-      }));
+      };
     case "transformer_oc_sc":
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         Vp: roundVal(d.Vp, 2),
         Ip: roundVal(d.Ip, 4),
         P: roundVal(d.P, 2),
-      }));
+      };
 
     case "wheatstone":
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         Rx_calc: roundVal(d?.extra?.Rx_calc, 2),
         galvI: roundVal(d?.extra?.galvI, 4),
-      }));
+      };
 
     // 🧠 New Experiment: Induction Motor – No-load & Blocked Rotor Test
     case "induction_locked":
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         I: roundVal(d?.I, 3),
         P: roundVal(d?.P, 2),
         torque: roundVal(d?.extra?.torque, 3),
         slip: roundVal(d?.extra?.slip, 3),
-      }));
+      };
     case "wien_freq":
-      return history.slice(-360).map((d, idx) => ({
-        t: idx,
+      return {
         Vout: roundVal(d?.extra?.Vout, 4),
         f0: roundVal(d?.extra?.f0, 2),
         balanceError: roundVal(d?.extra?.balanceError, 4),
-      }));
+      };
   
 
     default:
       // Generic Voltage/Current/Power
-      return history.slice(-sliceLen).map((d, idx) => ({
-        t: idx,
+      return {
         V: roundVal(d.V, 6),
         I: roundVal(d.I, 9),
         P: roundVal(d.P, 8),
-      }));
+      };
   }
 };
 
@@ -3625,57 +3660,22 @@ const getLineConfigs = (experimentId) => {
   }
 };
 
+/* ============================
+   Oscilloscope component
+   ============================ */
+function ExperimentOscilloscope({experimentId, history = [], running }) {
 
-const oscilloscopeData = getExperimentData(experimentId, history);
 const lineConfigs = getLineConfigs(experimentId);
-  const data = history.slice(-360).map((d, idx) => ({
-    t: idx,
-    V: round(d.V, 6),
-    I: round(d.I, 9),
-    P: round(d.P, 8),
-  }));
+const traces = lineConfigs.map((line) => ({ ...line, value: (d) => getExperimentRow(experimentId, d)[line.key] }));
 
   return (
-<div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/10 border border-zinc-800 overflow-hidden">
-  <div className="flex items-center justify-between mb-2">
-    <div className="text-sm font-medium text-orange-400">
-      Oscilloscope — {lineConfigs.map(l => l.name).join(", ")}
-    </div>
-    <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-  </div>
-
-  <div className="h-44 sm:h-56">
-    <ResponsiveContainer width="100%" height="100%">
-      <LineChart data={oscilloscopeData}>
-        <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-        <XAxis dataKey="t" tick={{ fill: "#888" }} />
-        <YAxis tick={{ fill: "#888" }} />
-        <ReTooltip
-          contentStyle={{
-            background: "#0b0b0b",
-            border: "1px solid #222",
-            color: "#fff",
-            borderRadius: "10px",
-          }}
-        />
-        <Legend wrapperStyle={{ color: "#aaa" }} />
-        {lineConfigs.map((line) => (
-          <Line
-            key={line.key}
-            type="monotone"
-            dataKey={line.key}
-            stroke={line.color}
-            strokeWidth={2}
-            dot={false}
-            isAnimationActive={false}
-            name={line.name}
-          />
-        ))}
-      </LineChart>
-    </ResponsiveContainer>
-  </div>
-</div>
-
+    <Oscilloscope
+      title={`Oscilloscope — ${lineConfigs.map((l) => l.name).join(", ")}`}
+      data={history}
+      traces={traces}
+      running={running}
+      exportName={`experiment-${experimentId}`}
+    />
   );
 }
 
@@ -3739,6 +3739,12 @@ pf:0
   // helpers to update params safely
   const updateParam = (k, v) => setParams((s) => ({ ...s, [k]: v }));
 
+  const experimentLabel = EXPERIMENTS.find((e) => e.id === experimentId)?.label ?? experimentId;
+  const report = reportLink(experimentId);
+  const reportParameters = Object.fromEntries(
+    report.params.filter(([k]) => params[k] !== undefined && params[k] !== "").map(([k, label]) => [label, params[k]])
+  );
+
   const toggleRunning = () => {
     setRunning((r) => {
       const nxt = !r;
@@ -4496,6 +4502,17 @@ const snapshotPNG = async () => {
                 </CardContent>
               </Card>
             </motion.div>
+
+            <SendToReportPanel
+              source={`Virtual Experiments — ${experimentLabel}`}
+              titleID={report.titleID}
+              title={report.title ?? experimentLabel}
+              parameters={reportParameters}
+              getReading={() => report.reading(meters, params)}
+              orderRows={report.order}
+              resetKey={experimentId}
+              hint={report.hint}
+            />
           </div>
 
           {/* Visual + Oscilloscope */}
@@ -1,9 +1,8 @@
 // src/pages/LabReportGenerator.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Toaster, toast } from "sonner";
-import axios from "axios";
 import { saveAs } from "file-saver";
-import { Zap, Download, Menu, X } from "lucide-react";
+import { Zap, Download, Menu, X, FlaskConical, ImageOff, FileText, FileCode } from "lucide-react";
 import LabReportData from "@/components/LabReportData";
 import LabReportTable from "@/components/LabReportTable";
 import LabReportVisualizer from "@/components/LabReportVisualizer";
@@ -11,9 +10,31 @@ import LabReportControl from "@/components/LabReportControl";
 import LabReportSections from "@/components/LabReportSections";
 
 import { Button } from "@/components/ui/button";
+import {
+  DEFAULT_TEMPLATE,
+  analyseObservations,
+  generateReportPdf,
+  prepareReport,
+  buildLabDocx,
+  buildLabLatexBundle,
+  reportFileName,
+  loadReportDraft,
+  clearReportDraft,
+} from "@/lib/report";
 import * as htmlToImage from "html-to-image";
 import { motion } from "framer-motion";
 
+// download formats besides the PDF, all built from the generator payload
+const EXPORT_FORMATS = {
+  docx: {
+    label: "DOCX",
+    ext: "docx",
+    type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    build: buildLabDocx,
+  },
+  latex: { label: "LaTeX", ext: "zip", type: "application/zip", build: buildLabLatexBundle },
+};
+
 const defaultRow = (i) => ({
   id: String(Date.now()) + "-" + i,
   t: i + 1,
@@ -307,18 +328,30 @@ const DEFAULT_EXPERIMENTS = [
 
 export default function LabReportGenerator() {
   const [experiments] = useState(DEFAULT_EXPERIMENTS);
-  const [selectedTitleID, setSelectedTitleID] = useState(experiments[0]?.titleID ?? null);
-
-  const [title, setTitle] = useState(experiments[0]?.title ?? "Experiment");
+  // readings sent from a simulator page ("Send to report"), see src/lib/report/draft.js;
+  // a draft without a matching template keeps its own title and no experiment selected
+  const [draft] = useState(loadReportDraft);
+  const draftExp = draft && experiments.find((e) => e.titleID === draft.titleID);
+  const initialExp = draft ? draftExp : experiments[0];
+  const [selectedTitleID, setSelectedTitleID] = useState(initialExp?.titleID ?? null);
+
+  const [title, setTitle] = useState(initialExp?.title ?? draft?.title ?? "Experiment");
   const [author, setAuthor] = useState("");
   const [college, setCollege] = useState("Your College Name");
+  const [roll, setRoll] = useState("");
+  const [courseCode, setCourseCode] = useState("");
   const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  // PDF layout: theme, header and section order (see src/lib/report/templates.js)
+  const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
+  const [logoBase64, setLogoBase64] = useState(null);
 
-  const [objective, setObjective] = useState(experiments[0]?.defaultData?.objective ?? "");
-  const [apparatus, setApparatus] = useState(experiments[0]?.defaultData?.apparatus ?? "");
+  const [objective, setObjective] = useState(initialExp?.defaultData?.objective ?? "");
+  const [apparatus, setApparatus] = useState(initialExp?.defaultData?.apparatus ?? "");
   const [description, setDescription] = useState("");
   const [procedure, setProcedure] = useState("");
   const [conclusion, setConclusion] = useState("");
+  // typed calculation notes; the PDF, DOCX and LaTeX print them below the automatic analysis
+  const [calculations, setCalculations] = useState("");
   const [mobileOpen, setMobileOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   
@@ -329,13 +362,35 @@ export default function LabReportGenerator() {
   }, []);
 
   const [observations, setObservations] = useState(
-    experiments[0]?.defaultData?.observations ?? Array.from({ length: 6 }).map((_, i) => defaultRow(i))
+    draft?.observations ?? initialExp?.defaultData?.observations ?? Array.from({ length: 6 }).map((_, i) => defaultRow(i))
   );
 
   const [circuitImageBase64, setCircuitImageBase64] = useState(null);
   const chartId = "lab-chart";
 
+  // simulator hand-off: source, setup parameters and the simulator snapshot (used as the PDF chart)
+  const [source, setSource] = useState(draft?.source ?? "");
+  const [parameters, setParameters] = useState(draft?.parameters ?? {});
+  const [snapshot, setSnapshot] = useState(draft?.chartImageBase64 ?? null);
+
   useEffect(() => {
+    if (draft) clearReportDraft();
+  }, [draft]);
+
+  const clearHandOff = () => {
+    setSource("");
+    setParameters({});
+    setSnapshot(null);
+  };
+
+  // defaults are applied when the selection changes, not for the experiment a draft arrived with
+  const appliedTitleID = useRef(selectedTitleID);
+  useEffect(() => {
+    if (appliedTitleID.current === selectedTitleID) return;
+    appliedTitleID.current = selectedTitleID;
+    setSource("");
+    setParameters({});
+    setSnapshot(null);
     const exp = experiments.find((e) => e.titleID === selectedTitleID);
     if (exp) {
       setTitle(exp.title ?? title);
@@ -346,28 +401,17 @@ export default function LabReportGenerator() {
         setDescription(exp.defaultData.description ?? "");
         setProcedure(exp.defaultData.procedure ?? "");
         setConclusion(exp.defaultData.conclusion ?? "");
+        setCalculations(exp.defaultData.calculations ?? "");
       }
     }
   }, [selectedTitleID, experiments]);
 
-  const calculations = useMemo(() => {
-    const pts = observations
-      .map((r) => ({ V: parseFloat(r.V), I: parseFloat(r.I) }))
-      .filter((p) => Number.isFinite(p.V) && Number.isFinite(p.I));
-    if (pts.length < 2) return { ok: false, reason: "Not enough data points" };
-
-    const n = pts.length;
-    const sumX = pts.reduce((a, b) => a + b.I, 0);
-    const sumY = pts.reduce((a, b) => a + b.V, 0);
-    const sumXY = pts.reduce((a, b) => a + b.I * b.V, 0);
-    const sumXX = pts.reduce((a, b) => a + b.I * b.I, 0);
-    const denom = n * sumXX - sumX * sumX;
-    if (Math.abs(denom) < 1e-12) return { ok: false, reason: "Invalid points" };
-
-    const slope = (n * sumXY - sumX * sumY) / denom;
-    const intercept = (sumY - slope * sumX) / n;
-    return { ok: true, slope, intercept, n };
-  }, [observations]);
+  // derived quantities, fit and worked steps for the selected experiment; the PDF layout
+  // recomputes the same analysis from titleID + observations
+  const analysis = useMemo(
+    () => analyseObservations(selectedTitleID, observations),
+    [selectedTitleID, observations]
+  );
 
   const chartData = observations.map((r) => ({
     t: r.t,
@@ -396,23 +440,30 @@ export default function LabReportGenerator() {
     }
   };
 
-  const generatePDF = async () => {
+  // the one payload behind the PDF, DOCX and LaTeX downloads (null: details missing)
+  const buildPayload = async (format = "PDF") => {
     if (!author || !college) {
       toast.error("Please enter student name and college");
-      return;
+      return null;
     }
 
-    const chartImageBase64 = await captureChartAsImage();
+    const chartImageBase64 = snapshot ?? (await captureChartAsImage());
     if (!chartImageBase64)
-      toast.warning("Chart not captured, will be skipped in PDF.");
+      toast.warning(`Chart not captured, will be skipped in ${format}.`);
 
-    const payload = {
+    return {
       title,
       titleID: selectedTitleID,
       author,
       college,
+      roll,
+      courseCode,
+      logoBase64,
+      template,
       date,
       observations,
+      source,
+      parameters,
       chartImageBase64, // PNG base64
       circuitImageBase64,
       calculations,
@@ -422,23 +473,44 @@ export default function LabReportGenerator() {
       procedure,
       conclusion,
     };
+  };
 
-    const base = "https://sparklab-beee.vercel.app"; // ✅ fixed (no trailing slash)
+  const generatePDF = async () => {
+    const payload = await buildPayload();
+    if (!payload) return;
 
     try {
       toast.loading("Generating PDF...");
-      const resp = await axios.post(`${base}/api/generate-report`, payload, {
-        headers: { "Content-Type": "application/json" },
-        responseType: "blob",
-        timeout: 60000,
-      });
+      // laid out in the browser unless a report server is configured (works offline)
+      const { blob } = await generateReportPdf("lab", payload);
       toast.dismiss();
-      const blob = new Blob([resp.data], { type: "application/pdf" });
-      saveAs(blob, `${title.replace(/\s+/g, "-")}.pdf`);
+      saveAs(blob, reportFileName(title));
       toast.success("PDF downloaded successfully!");
     } catch (err) {
+      toast.dismiss();
       console.error("PDF generation error", err);
-      toast.error("PDF generation failed. Check server connection.");
+      toast.error("PDF generation failed.", { description: err.details?.join("\n") });
+    }
+  };
+
+  // Word document or zipped LaTeX project, validated like the PDF request
+  const exportReport = async (format) => {
+    const { label, ext, type, build } = EXPORT_FORMATS[format];
+    const payload = await buildPayload(label);
+    if (!payload) return;
+
+    const report = prepareReport("lab", payload);
+    if (!report.ok) {
+      toast.error(`${label} export failed.`, { description: report.details.join("\n") });
+      return;
+    }
+    try {
+      const bytes = build(payload);
+      saveAs(new Blob([bytes], { type }), reportFileName(title, ext));
+      toast.success(`${label} downloaded successfully!`);
+    } catch (err) {
+      console.error(`${label} export error`, err);
+      toast.error(`${label} export failed.`);
     }
   };
 
@@ -486,6 +558,24 @@ export default function LabReportGenerator() {
                 Generate PDF
               </Button>
             </motion.div>
+            <Button
+              variant="ghost"
+              onClick={() => exportReport("docx")}
+              title="Word document"
+              className="border border-zinc-800 text-orange-400 hover:text-orange-500 text-sm cursor-pointer hover:bg-zinc-800/50"
+            >
+              <FileText className="w-4 h-4 mr-1" />
+              DOCX
+            </Button>
+            <Button
+              variant="ghost"
+              onClick={() => exportReport("latex")}
+              title="LaTeX project (.zip) for Overleaf"
+              className="border border-zinc-800 text-orange-400 hover:text-orange-500 text-sm cursor-pointer hover:bg-zinc-800/50"
+            >
+              <FileCode className="w-4 h-4 mr-1" />
+              LaTeX
+            </Button>
           </div>
 
           {/* Mobile Menu Toggle */}
@@ -507,7 +597,7 @@ export default function LabReportGenerator() {
         {/* Mobile Menu */}
         <div
           className={`md:hidden transition-all duration-300 overflow-hidden ${
-            mobileOpen ? "max-h-32 py-3" : "max-h-0"
+            mobileOpen ? "max-h-40 py-3" : "max-h-0"
           }`}
         >
           <div className="flex flex-col gap-2">
@@ -518,6 +608,24 @@ export default function LabReportGenerator() {
               <Download className="w-4 h-4 mr-2" />
               Generate PDF
             </Button>
+            <div className="grid grid-cols-2 gap-2">
+              <Button
+                variant="ghost"
+                onClick={() => exportReport("docx")}
+                className="border border-zinc-800 text-orange-400 hover:text-orange-500 text-sm cursor-pointer hover:bg-zinc-800/50"
+              >
+                <FileText className="w-4 h-4 mr-1" />
+                DOCX
+              </Button>
+              <Button
+                variant="ghost"
+                onClick={() => exportReport("latex")}
+                className="border border-zinc-800 text-orange-400 hover:text-orange-500 text-sm cursor-pointer hover:bg-zinc-800/50"
+              >
+                <FileCode className="w-4 h-4 mr-1" />
+                LaTeX
+              </Button>
+            </div>
           </div>
         </div>
       </div>
@@ -537,15 +645,63 @@ export default function LabReportGenerator() {
             setAuthor={setAuthor}
             college={college}
             setCollege={setCollege}
+            roll={roll}
+            setRoll={setRoll}
+            courseCode={courseCode}
+            setCourseCode={setCourseCode}
             date={date}
             setDate={setDate}
+            template={template}
+            setTemplate={setTemplate}
+            logoBase64={logoBase64}
+            setLogoBase64={setLogoBase64}
             circuitImageBase64={circuitImageBase64}
             setCircuitImageBase64={setCircuitImageBase64}
             onGeneratePDF={generatePDF}
+            onExport={exportReport}
           />
         </section>
 
         <section className="lg:col-span-8 space-y-4">
+          {source && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3 bg-[#0c0c0c] border border-[#ff9a3c]/30 rounded-2xl p-3 text-sm">
+              {snapshot && (
+                <img src={snapshot} alt="Simulator snapshot" className="w-full sm:w-32 h-20 object-cover rounded-lg border border-zinc-800" />
+              )}
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 text-[#ffb84a] font-medium">
+                  <FlaskConical className="w-4 h-4" /> Readings from {source}
+                </div>
+                <div className="text-xs text-zinc-400 mt-1 break-words">
+                  {Object.entries(parameters).map(([k, v]) => `${k} = ${v}`).join(" • ") || "No parameters"}
+                </div>
+                <div className="text-[11px] text-zinc-500 mt-1">
+                  {snapshot ? "The snapshot replaces the captured chart in the PDF." : "The chart below is captured for the PDF."}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                {snapshot && (
+                  <Button
+                    variant="ghost"
+                    onClick={() => setSnapshot(null)}
+                    className="border border-zinc-800 text-zinc-300 hover:text-orange-400 hover:bg-zinc-900 cursor-pointer"
+                    title="Use the captured chart instead"
+                  >
+                    <ImageOff className="w-4 h-4" />
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  onClick={clearHandOff}
+                  className="border border-zinc-800 text-zinc-300 hover:text-orange-400 hover:bg-zinc-900 cursor-pointer"
+                  title="Leave the source and parameters out of the report"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <LabReportTable
               observations={observations}
@@ -553,13 +709,7 @@ export default function LabReportGenerator() {
             />
             <LabReportVisualizer
               chartData={chartData}
-              calculations={
-                calculations.ok
-                  ? `Slope (R) = ${calculations.slope.toFixed(
-                      6
-                    )} Ω\nIntercept=${calculations.intercept?.toFixed?.(6) ?? "—"}`
-                  : calculations.reason
-              }
+              analysis={analysis}
               observationsCount={
                 observations.filter((r) => r.V !== "" || r.I !== "").length
               }
@@ -578,6 +728,8 @@ export default function LabReportGenerator() {
             setProcedure={setProcedure}
             conclusion={conclusion}
             setConclusion={setConclusion}
+            calculations={calculations}
+            setCalculations={setCalculations}
             observations={observations}
           />
         </section>
@@ -15,7 +15,8 @@ import {
   Menu,
   X,
   AlertTriangle,
-
+  Volume2,
+  VolumeX,
   Plug,
 } from "lucide-react";
 import { Toaster, toast } from "sonner";
@@ -32,17 +33,26 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import SendToReportPanel from "@/components/SendToReportPanel";
 import { toPng } from "html-to-image";
+import {
+  DISPLAY_COUNTS,
+  DMM_FUNCTIONS,
+  AC_CONVERTERS,
+  SOURCE_SHAPES,
+  DIODE_PARTS,
+  CONTINUITY_THRESHOLD,
+  DIODE_TEST_CURRENT,
+  DIODE_OPEN_VOLTAGE,
+  CAP_THRESHOLD_V,
+  meterRanges,
+  autoRange,
+  settledRange,
+  formatReading,
+  measureDMM,
+} from "@/lib/circuit";
+import { formatQuantity } from "@/lib/units";
 
 /* ===========================
    Utilities
@@ -53,74 +63,55 @@ const round = (v, p = 6) => {
   return Math.round(v * f) / f;
 };
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+const itemClass = "text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md";
 
 /* ===========================
-   Simple DMM simulation hook
-   - Models a simple circuit: Vsup -> seriesR -> loadR -> GND
-   - Modes:
-     - VOLTAGE: DMM measures voltage across load
-     - CURRENT: DMM measures current through load (via series path)
-     - RESISTANCE: DMM applies small test current/voltage and measures R (with safety)
-   - Produces time-series for oscilloscope + an animated "raw" value
+   DMM simulation hook
+   - Models the circuit Vsup -> seriesR -> loadR -> GND with the meter wired in; how each
+     function loads it (input impedance, shunt burden, test current) is in lib/circuit/meter
+   - Modes: VOLTAGE, AC_VOLTAGE, CURRENT, AC_CURRENT, RESISTANCE, CONTINUITY, DIODE, CAPACITANCE
+   - range "AUTO" steps one range per conversion from the top one; a range index holds
+     the range and anything beyond it reads OL
+   - Produces time-series for oscilloscope + the latest conversion:
+     { value (as displayed, NaN on overload), overload, text, unit, range, raw, ideal,
+       burden, shunt, meterCurrent, ac, beep }
    =========================== */
 function useDMMSim({
   running,
   timestep = 100,
-  Vsup = 5,
-  seriesR = 1,
-  loadR = 1000,
+  circuit,
   mode = "VOLTAGE",
-  dmmRange = null, // e.g., { type: 'AUTO' } or specific scale
+  range = "AUTO",
+  counts = 2000,
+  meter,
   noise = 0.002,
 }) {
-  // history entries: { tIndex, value } where value is measured quantity (V, A, or Ω)
+  // history entries: { t, v } where v is the displayed quantity (V, A, Ω or F; NaN on overload)
   const historyRef = useRef(Array.from({ length: 240 }, (_, i) => ({ t: i, v: 0 })));
   const [history, setHistory] = useState(historyRef.current);
+  const [latest, setLatest] = useState(null);
   const tRef = useRef(0);
   const lastRef = useRef(performance.now());
   const rafRef = useRef(null);
 
-  // safe test current for resistance measurement (in A)
-  const TEST_CURRENT_A = 1e-4; // 100 μA typical DMM small current
+  const ranges = useMemo(() => meterRanges(mode, counts), [mode, counts]);
+  // auto-ranging starts from the top range whenever the function changes, like a real meter
+  const rangeRef = useRef(ranges.length - 1);
+  useEffect(() => {
+    rangeRef.current = ranges.length - 1;
+  }, [ranges]);
+
   // small noise generator
   const randNoise = useCallback((scale) => (Math.random() - 0.5) * 2 * scale, []);
 
-  const computeInstantValue = useCallback(
-    (tSeconds) => {
-      // circuit simple model:
-      // I = Vsup / (seriesR + loadR)
-      const Rseries = Math.max(1e-6, Number(seriesR));
-      const Rload = Math.max(1e-9, Number(loadR)); // avoid divide-by-zero
-      const V = Number(Vsup);
-
-      if (mode === "VOLTAGE") {
-        // voltage across load: V * (Rload / (Rseries + Rload))
-        const Vload = V * (Rload / (Rseries + Rload));
-        const noiseVal = randNoise(noise) * Math.max(1, Math.abs(Vload));
-        return clamp(Vload + noiseVal, -1e6, 1e6);
-      }
-
-      if (mode === "CURRENT") {
-        const I = V / (Rseries + Rload);
-        const noiseVal = randNoise(noise) * Math.max(1e-6, Math.abs(I));
-        return clamp(I + noiseVal, -1e3, 1e3);
-      }
-
-      // RESISTANCE mode: simulate measuring R by applying small TEST_CURRENT_A
-      if (mode === "RESISTANCE") {
-        // if circuit is powered (Vsup > 0) real DMM resistance reading will be confused,
-        // so we simulate that the user is in "open" circuit measurement (we temporarily "disconnect" Vsup).
-        // The DMM applies TEST_CURRENT_A across the unknown and measures voltage: R = V_meas / I_test.
-        const measuredV = Rload * TEST_CURRENT_A;
-        const noiseVal = randNoise(noise) * Math.max(1, Math.abs(measuredV));
-        const Rmeas = clamp((measuredV + noiseVal) / TEST_CURRENT_A, 0, 1e9);
-        return Rmeas;
-      }
-
-      return 0;
-    },
-    [Vsup, seriesR, loadR, mode, noise, randNoise]
-  );
+  const convert = useCallback(() => {
+    const manual = range === "AUTO" ? null : ranges[Number(range)];
+    const r = manual ?? ranges[Math.min(rangeRef.current, ranges.length - 1)];
+    const m = measureDMM(circuit, mode, r, meter);
+    const raw = Number.isFinite(m.value) ? m.value + randNoise(noise) * Math.abs(m.value) : m.value;
+    if (!manual) rangeRef.current = autoRange(r.index, raw, ranges);
+    return { ...m, raw, range: r, ...formatReading(raw, r) };
+  }, [circuit, mode, range, ranges, meter, noise, randNoise]);
 
   useEffect(() => {
     let alive = true;
@@ -136,13 +127,13 @@ function useDMMSim({
       if (dt < timestep) return;
       lastRef.current = ts;
       tRef.current += dt;
-      const tSeconds = tRef.current / 1000;
-      const val = computeInstantValue(tSeconds);
+      const reading = convert();
 
+      setLatest(reading);
       setHistory((h) => {
         const next = h.slice();
         const lastT = next.length ? next[next.length - 1].t : 0;
-        next.push({ t: lastT + 1, v: val });
+        next.push({ t: lastT + 1, v: reading.value });
         if (next.length > 720) next.shift();
         return next;
       });
@@ -153,10 +144,9 @@ function useDMMSim({
       alive = false;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [running, timestep, computeInstantValue]);
+  }, [running, timestep, convert]);
 
-  const latest = history.length ? history[history.length - 1].v : 0;
-  return { history, latest };
+  return { history, latest, ranges };
 }
 
 /* ===========================
@@ -166,47 +156,34 @@ function useDMMSim({
    =========================== */
 
  function MultimeterSVG({
-  mode = "VOLTAGE", // "VOLTAGE" | "CURRENT" | "RESISTANCE"
-  reading = 0,
+  mode = "VOLTAGE", // a DMM_FUNCTIONS key
+  display = "--", // LCD digits ("4.98", "OL")
+  unit = "",
+  level = 0, // |reading| / full scale of the range
   running = true,
   probesConnected = false,
   rangeLabel = "AUTO",
+  annunciators = [], // e.g. ["AUTO", "AC", "TRMS"]
+  beep = false,
 }) {
-  // unit and display
-const _clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-const _round = (v, p = 4) => (Number.isFinite(v) ? Math.round(v * 10 ** p) / 10 ** p : v);
-
-  const unit = mode === "VOLTAGE" ? "V" : mode === "CURRENT" ? "A" : "Ω";
-  const display = (() => {
-    if (!Number.isFinite(reading)) return "--";
-    if (mode === "VOLTAGE") return `${_round(reading, 4)} ${unit}`;
-    if (mode === "CURRENT") {
-      if (Math.abs(reading) >= 1e-3) return `${_round(reading * 1000, 3)} mA`;
-      return `${_round(reading, 9)} A`;
-    }
-    if (mode === "RESISTANCE") {
-      if (reading >= 1e6) return `${_round(reading / 1e6, 3)} MΩ`;
-      if (reading >= 1e3) return `${_round(reading / 1e3, 3)} kΩ`;
-      return `${_round(reading, 4)} Ω`;
-    }
-    return `${_round(reading, 4)} ${unit}`;
-  })();
-
-  const intensity = _clamp(
-    Math.min(Math.abs(reading) / (mode === "CURRENT" ? 0.01 : 10), 1),
-    0.05,
-    1
-  );
+  const intensity = clamp(Number.isFinite(level) ? level : 1, 0.05, 1);
 
   const colorMap = {
     VOLTAGE: "#00eaff",
+    AC_VOLTAGE: "#22d3ee",
     CURRENT: "#ffb84a",
+    AC_CURRENT: "#fb923c",
     RESISTANCE: "#c084fc",
+    CONTINUITY: "#facc15",
+    DIODE: "#f472b6",
+    CAPACITANCE: "#34d399",
   };
   const accent = colorMap[mode] || "#ffd24a";
 
-  const knobAngle =
-    mode === "VOLTAGE" ? -120 : mode === "CURRENT" ? -60 : mode === "RESISTANCE" ? 0 : 160;
+  // dial positions: every function, then OFF
+  const dial = [...Object.keys(DMM_FUNCTIONS), "OFF"];
+  const dialAngle = (i) => -160 + i * 40;
+  const knobAngle = dialAngle(dial.includes(mode) ? dial.indexOf(mode) : dial.length - 1);
 
   return (
     <div className="w-full rounded-2xl p-4 bg-gradient-to-b from-[#050505]/90 to-[#0a0a0a]/70 border border-zinc-800/80 shadow-[0_0_40px_rgba(255,200,100,0.05)]">
@@ -300,8 +277,17 @@ const _round = (v, p = 4) => (Number.isFinite(v) ? Math.round(v * 10 ** p) / 10
             >
               {display}
             </text>
+            <text x="322" y="58" fontFamily="monospace" fontSize="20" fill={accent} textAnchor="end">
+              {unit}
+            </text>
+            <text x="322" y="28" fontSize="10" fill="#888" textAnchor="end">
+              {annunciators.join("  ")}
+            </text>
+            <text x="22" y="28" fontSize="12" fill={beep ? accent : "#222"} filter={beep ? "url(#neonPulse)" : undefined}>
+              •)))
+            </text>
             <text x="22" y="78" fontSize="12" fill="#888">
-              {rangeLabel} • {mode}
+              {rangeLabel} • {DMM_FUNCTIONS[mode]?.label ?? mode}
             </text>
             <rect
               x="12"
@@ -327,19 +313,20 @@ const _round = (v, p = 4) => (Number.isFinite(v) ? Math.round(v * 10 ** p) / 10
               stroke="#2a2a2a"
               strokeWidth="1.5"
             />
-            {["V", "A", "Ω", "OFF"].map((d, i) => {
-              const ang = (-120 + i * 60) * (Math.PI / 180);
+            {dial.map((d, i) => {
+              const ang = dialAngle(i) * (Math.PI / 180);
               const x = Math.cos(ang) * 46;
               const y = Math.sin(ang) * 46;
               return (
                 <g key={d} transform={`translate(${x},${y})`}>
                   <text
-                    x="-6"
-                    y="6"
-                    fontSize="12"
-                    fill={d[0] === mode[0] ? accent : "#555"}
+                    x="0"
+                    y="4"
+                    fontSize="10"
+                    textAnchor="middle"
+                    fill={d === mode ? accent : "#555"}
                   >
-                    {d}
+                    {DMM_FUNCTIONS[d]?.dial ?? "OFF"}
                   </text>
                 </g>
               );
@@ -383,7 +370,7 @@ const _round = (v, p = 4) => (Number.isFinite(v) ? Math.round(v * 10 ** p) / 10
                 filter="url(#glow)"
               />
               <text x="28" y="5" fontSize="11" fill="#ccc">
-                {mode === "RESISTANCE" ? "Ω/μA" : "V/A"}
+                {DMM_FUNCTIONS[mode]?.quantity === "I" ? "mA/A" : "VΩ→|"}
               </text>
             </g>
           </g>
@@ -484,83 +471,105 @@ const _round = (v, p = 4) => (Number.isFinite(v) ? Math.round(v * 10 ** p) / 10
   );
 }
 
-
-/* ===========================
-   Oscilloscope component for DMM
-   - Plots last N samples of selected measurement
-   =========================== */
-function DMMScope({ history = [], mode }) {
-  const data = history.slice(-300).map((d, idx) => {
-    return { t: idx, val: d.v };
-  });
-
-  // axis label formatting based on mode
-  const yKey = "val";
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Scope — {mode}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey={yKey} stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name={mode} />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
-
 /* ===========================
    Main Simulator Page
    - Combines controls, SVG, scope, summary, export, and mobile-friendly actions
    =========================== */
 export default function SimulatorPage() {
   // UI state
-  const [mode, setMode] = useState("VOLTAGE"); // VOLTAGE | CURRENT | RESISTANCE
+  const [mode, setMode] = useState("VOLTAGE"); // a DMM_FUNCTIONS key
   const [Vsup, setVsup] = useState("5");
   const [seriesR, setSeriesR] = useState("1");
   const [loadR, setLoadR] = useState("1000");
   const [running, setRunning] = useState(true);
   const [manualOverride, setManualOverride] = useState(""); // if set, used as measured value
   const [probesConnected, setProbesConnected] = useState(true);
-  const [range, setRange] = useState("AUTO");
+  const [range, setRange] = useState("AUTO"); // "AUTO" or a range index
   const [noise, setNoise] = useState(0.002);
   const [mobileOpen, setMobileOpen] = useState(false);
 
-  // hook: produces history + latest real measured value
-  const { history, latest } = useDMMSim({
+  // meter and source / part under test
+  const [counts, setCounts] = useState("2000");
+  const [converter, setConverter] = useState("TRUE_RMS");
+  const [inputR, setInputR] = useState("10"); // MΩ
+  const [shape, setShape] = useState("dc");
+  const [duty, setDuty] = useState("25"); // %
+  const [capUF, setCapUF] = useState("10");
+  const [leakage, setLeakage] = useState(""); // MΩ, empty = none
+  const [diodePart, setDiodePart] = useState("silicon");
+  const [diodeReversed, setDiodeReversed] = useState(false);
+  const [beeper, setBeeper] = useState(true);
+
+  const fn = DMM_FUNCTIONS[mode];
+  const circuit = useMemo(
+    () => ({
+      Vsup: Number(Vsup),
+      seriesR: Number(seriesR),
+      loadR: Number(loadR),
+      shape,
+      duty: Number(duty) / 100,
+      capacitance: Number(capUF) * 1e-6,
+      leakage: leakage === "" ? null : Number(leakage) * 1e6,
+      diode: diodePart,
+      reversed: diodeReversed,
+      connected: probesConnected,
+    }),
+    [Vsup, seriesR, loadR, shape, duty, capUF, leakage, diodePart, diodeReversed, probesConnected]
+  );
+  const meter = useMemo(() => ({ inputR: Number(inputR) * 1e6, converter, crestFactor: 3 }), [inputR, converter]);
+
+  // hook: produces history + the latest conversion
+  const { history, latest, ranges } = useDMMSim({
     running,
     timestep: 120,
-    Vsup: Number(Vsup),
-    seriesR: Number(seriesR),
-    loadR: Number(loadR),
+    circuit,
     mode,
+    range,
+    counts: Number(counts),
+    meter,
     noise: Number(noise),
   });
 
-  const effectiveReading = Number.isFinite(Number(manualOverride)) && manualOverride !== "" ? Number(manualOverride) : latest;
+  // the manual override is shown the way the meter would show it on the current range
+  const reading = useMemo(() => {
+    if (manualOverride === "" || !Number.isFinite(Number(manualOverride))) return latest;
+    const value = Number(manualOverride);
+    const r = range === "AUTO" ? ranges[settledRange(value, ranges)] : ranges[Number(range)] ?? ranges[0];
+    return { ...latest, raw: value, range: r, ...formatReading(value, r) };
+  }, [manualOverride, latest, range, ranges]);
+
+  const effectiveReading = reading ? reading.value : NaN;
+  const quantityUnit = { V: "V", I: "A", R: "Ω", C: "F" }[fn.quantity];
 
   // friendly string for display for top summary
   const formattedReading = useMemo(() => {
-    if (!Number.isFinite(effectiveReading)) return "--";
-    if (mode === "VOLTAGE") return `${round(effectiveReading, 6)} V`;
-    if (mode === "CURRENT") {
-      if (Math.abs(effectiveReading) >= 1e-3) return `${round(effectiveReading * 1000, 6)} mA`;
-      return `${round(effectiveReading, 9)} A`;
-    }
-    // resistance
-    if (effectiveReading >= 1e6) return `${round(effectiveReading / 1e6, 6)} MΩ`;
-    if (effectiveReading >= 1e3) return `${round(effectiveReading / 1e3, 6)} kΩ`;
-    return `${round(effectiveReading, 6)} Ω`;
-  }, [effectiveReading, mode]);
+    if (!reading) return "--";
+    return reading.overload ? reading.text : `${reading.text} ${reading.unit}`;
+  }, [reading]);
+  const rangeLabel = reading?.range ? `${range === "AUTO" ? "AUTO " : ""}${reading.range.label}` : range;
+
+  // loading: what a meter that does not disturb the circuit would read
+  const loadingError = reading && Number.isFinite(reading.raw) && reading.ideal ? (reading.raw / reading.ideal - 1) * 100 : null;
+
+  // continuity beeper
+  const beep = Boolean(latest?.beep) && mode === "CONTINUITY" && running && probesConnected;
+  useEffect(() => {
+    if (!beep || !beeper) return undefined;
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return undefined;
+    const ctx = new AudioCtx();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = "square";
+    osc.frequency.value = 2700;
+    gain.gain.value = 0.03;
+    osc.connect(gain).connect(ctx.destination);
+    osc.start();
+    return () => {
+      osc.stop();
+      ctx.close();
+    };
+  }, [beep, beeper]);
 
   // basic safety checks and error messages
   const validationErrors = useMemo(() => {
@@ -568,9 +577,21 @@ export default function SimulatorPage() {
     if (!Number.isFinite(Number(Vsup))) errs.push("Supply voltage must be numeric.");
     if (!Number.isFinite(Number(seriesR)) || Number(seriesR) < 0) errs.push("Series resistance must be ≥ 0.");
     if (!Number.isFinite(Number(loadR)) || Number(loadR) <= 0) errs.push("Load resistance must be > 0.");
-    if (mode === "CURRENT" && Number(loadR) < 0.001) errs.push("Load too low for safe current reading (simulate realistic values).");
+    if (!(Number(inputR) > 0)) errs.push("Meter input impedance must be > 0.");
+    if (mode === "CAPACITANCE" && !(Number(capUF) >= 0)) errs.push("Capacitance must be ≥ 0.");
+    if (fn.rating && latest && Math.abs(latest.raw) > fn.rating) errs.push(`Input above the meter's ${fn.rating} ${fn.quantity === "I" ? "A" : "V"} rating${fn.quantity === "I" ? ": the fuse would blow" : ""}.`);
+    if (fn.ac && latest?.ac?.clipped) errs.push(`Crest factor ${round(latest.ac.crest, 2)} clips the converter on this range: the reading is low.`);
     return errs;
-  }, [Vsup, seriesR, loadR, mode]);
+  }, [Vsup, seriesR, loadR, inputR, capUF, mode, fn, latest]);
+
+  const changeMode = (v) => {
+    setMode(v);
+    setRange("AUTO");
+    if (DMM_FUNCTIONS[v].ac && shape === "dc") {
+      setShape("sine");
+      toast("Source switched to a sine: the AC functions block DC");
+    }
+  };
 
   // UI actions
   const toggleRunning = () => {
@@ -608,6 +629,15 @@ export default function SimulatorPage() {
     setRange("AUTO");
     setNoise(0.002);
     setProbesConnected(true);
+    setCounts("2000");
+    setConverter("TRUE_RMS");
+    setInputR("10");
+    setShape("dc");
+    setDuty("25");
+    setCapUF("10");
+    setLeakage("");
+    setDiodePart("silicon");
+    setDiodeReversed(false);
     toast("Defaults restored");
   };
 
@@ -637,15 +667,43 @@ export default function SimulatorPage() {
  
 }
 
+  // lab report: readings taken at one supply / load setting share a row (V in VOLTAGE mode,
+  // I in CURRENT mode, other functions as the remark) -> "Verification of Ohm's Law"
+  const getReportReading = () => {
+    if (!reading || reading.overload) {
+      toast.error("The meter reads OL: nothing to record");
+      return null;
+    }
+    const key = `${Vsup}|${seriesR}|${loadR}`;
+    if (mode === "VOLTAGE") return { key, V: effectiveReading };
+    if (mode === "CURRENT") return { key, I: effectiveReading };
+    const symbol = { AC_VOLTAGE: "Vac", AC_CURRENT: "Iac", DIODE: "Vf", CAPACITANCE: "C" }[mode] ?? "R";
+    return { key, remark: `${symbol}${fn.ac ? ` (${AC_CONVERTERS[converter]})` : ""} = ${formattedReading}` };
+  };
+
   // small computed summary
   const summary = useMemo(() => {
+    const ideal = reading?.ideal;
     return {
       reading: formattedReading,
-      Vsup: `${Vsup} V`,
-      Iapprox: mode === "CURRENT" ? `${round(Number(Vsup) / (Number(seriesR) + Number(loadR)), 6)} A` : "—",
+      Vsup: shape === "dc" ? `${Vsup} V` : `${Vsup} V peak ${SOURCE_SHAPES[shape].toLowerCase()}`,
       LoadR: `${loadR} Ω`,
+      ideal: ideal == null ? "—" : Number.isFinite(ideal) ? formatQuantity(ideal, quantityUnit, { digits: 5 }) : "OL",
+      loading: loadingError == null || !Number.isFinite(loadingError) ? "—" : `${loadingError >= 0 ? "+" : ""}${round(loadingError, 3)} %`,
     };
-  }, [formattedReading, Vsup, seriesR, loadR, mode]);
+  }, [formattedReading, reading, Vsup, shape, loadR, quantityUnit, loadingError]);
+
+  // what the meter does to the circuit in this function
+  const meterDetails = useMemo(() => {
+    if (!latest) return [];
+    const q = (v, unit) => formatQuantity(v, unit, { digits: 4 });
+    if (mode === "VOLTAGE" || mode === "AC_VOLTAGE") return [`Input ${q(meter.inputR, "Ω")}`, `draws ${q(latest.meterCurrent, "A")}`];
+    if (mode === "CURRENT" || mode === "AC_CURRENT") return [`Shunt ${q(latest.shunt, "Ω")}`, `burden ${q(Math.abs(latest.burden), "V")}`];
+    if (mode === "DIODE") return [`Test current ${q(DIODE_TEST_CURRENT, "A")}`, `open circuit ${q(DIODE_OPEN_VOLTAGE, "V")}`];
+    if (mode === "CAPACITANCE") return [`Charge ${q(latest.meterCurrent, "A")} to ${q(CAP_THRESHOLD_V, "V")}`];
+    if (mode === "CONTINUITY") return [`Beeps below ${q(CONTINUITY_THRESHOLD, "Ω")}`];
+    return ["Supply disconnected: the load is measured out of circuit"];
+  }, [latest, mode, meter]);
 
   return (
     <div className="min-h-screen pb-20 bg-[#05060a] bg-[radial-gradient(circle,_rgba(255,122,28,0.18)_1px,transparent_1px)] bg-[length:20px_20px] text-white overflow-x-hidden">
@@ -672,21 +730,17 @@ export default function SimulatorPage() {
             </motion.div>
 
             <div className="hidden md:flex items-center gap-3">
-              <div className="w-36">
-                <Select value={mode} onValueChange={(v) => setMode(v)}>
+              <div className="w-48">
+                <Select value={mode} onValueChange={changeMode}>
                   <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-500 focus:ring-2 focus:ring-orange-500">
                     <SelectValue placeholder="Mode" />
                   </SelectTrigger>
                   <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
-                    <SelectItem value="VOLTAGE"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Voltage (V)</SelectItem>
-                    <SelectItem value="CURRENT"  className="text-white hover:bg-orange-500/20 
+                    {Object.entries(DMM_FUNCTIONS).map(([key, f]) => (
+                      <SelectItem key={key} value={key} className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Current (A)</SelectItem>
-                    <SelectItem value="RESISTANCE"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Resistance (Ω)</SelectItem>
+                 data-[highlighted]:bg-orange-500/30 rounded-md">{f.label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -712,20 +766,16 @@ export default function SimulatorPage() {
           <div className={`md:hidden transition-all duration-300 overflow-hidden ${mobileOpen ? "max-h-56 py-3" : "max-h-0"}`}>
             <div className="flex flex-col gap-2 mb-3">
               <div className="flex gap-2">
-                <Select value={mode} onValueChange={(v) => setMode(v)}>
+                <Select value={mode} onValueChange={changeMode}>
                   <SelectTrigger className="w-full cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md shadow-sm">
                     <SelectValue placeholder="Mode" />
                   </SelectTrigger>
                   <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
-                    <SelectItem value="VOLTAGE"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Voltage (V)</SelectItem>
-                    <SelectItem value="CURRENT"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Current (A)</SelectItem>
-                    <SelectItem value="RESISTANCE"  className="text-white hover:bg-orange-500/20 
+                    {Object.entries(DMM_FUNCTIONS).map(([key, f]) => (
+                      <SelectItem key={key} value={key} className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Resistance (Ω)</SelectItem>
+                 data-[highlighted]:bg-orange-500/30 rounded-md">{f.label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
 
@@ -771,7 +821,7 @@ export default function SimulatorPage() {
                 <CardContent className="space-y-4">
                   <div className="grid grid-cols-1 gap-2">
                     <div>
-                      <label className="text-xs text-zinc-400">Supply Voltage (V)</label>
+                      <label className="text-xs text-zinc-400">Supply Voltage (V{shape === "dc" ? "" : " peak"})</label>
                       <Input value={Vsup} onChange={(e) => setVsup(e.target.value)} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
                     </div>
 
@@ -796,21 +846,14 @@ export default function SimulatorPage() {
                           <SelectValue placeholder="Range" />
                         </SelectTrigger>
                         <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
-                          <SelectItem value="AUTO"  className="text-white hover:bg-orange-500/20 
+                          <SelectItem value="AUTO" className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
                  data-[highlighted]:bg-orange-500/30 rounded-md">Auto</SelectItem>
-                          <SelectItem value="V:20"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Voltage 20V</SelectItem>
-                          <SelectItem value="V:200"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Voltage 200V</SelectItem>
-                          <SelectItem value="I:10"  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Current 10A</SelectItem>
-                          <SelectItem value="R:2k"  className="text-white hover:bg-orange-500/20 
+                          {ranges.map((r) => (
+                            <SelectItem key={r.index} value={String(r.index)} className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md">Resistance 2kΩ</SelectItem>
+                 data-[highlighted]:bg-orange-500/30 rounded-md">{r.label}</SelectItem>
+                          ))}
                         </SelectContent>
                       </Select>
 
@@ -818,10 +861,106 @@ export default function SimulatorPage() {
                     </div>
                   </div>
 
+                  {/* meter, source and part under test */}
+                  <div className="grid grid-cols-2 gap-2 pt-3 border-t border-zinc-800">
+                    <div className="col-span-2">
+                      <label className="text-xs text-zinc-400">Display</label>
+                      <Select value={counts} onValueChange={(v) => setCounts(v)}>
+                        <SelectTrigger className="w-full bg-black/80 border cursor-pointer focus:border-orange-500 border-zinc-800 text-white text-sm rounded-md">
+                          <SelectValue placeholder="Display" />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                          {Object.entries(DISPLAY_COUNTS).map(([key, label]) => (
+                            <SelectItem key={key} value={key} className={itemClass}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+
+                    <div>
+                      <label className="text-xs text-zinc-400">Input impedance (MΩ)</label>
+                      <Input value={inputR} onChange={(e) => setInputR(e.target.value)} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                    </div>
+
+                    <div>
+                      <label className="text-xs text-zinc-400">AC converter</label>
+                      <Select value={converter} onValueChange={(v) => setConverter(v)}>
+                        <SelectTrigger className="w-full bg-black/80 border cursor-pointer focus:border-orange-500 border-zinc-800 text-white text-sm rounded-md">
+                          <SelectValue placeholder="Converter" />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                          {Object.entries(AC_CONVERTERS).map(([key, label]) => (
+                            <SelectItem key={key} value={key} className={itemClass}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+
+                    <div className={shape === "pulse" ? "" : "col-span-2"}>
+                      <label className="text-xs text-zinc-400">Source waveform</label>
+                      <Select value={shape} onValueChange={(v) => setShape(v)}>
+                        <SelectTrigger className="w-full bg-black/80 border cursor-pointer focus:border-orange-500 border-zinc-800 text-white text-sm rounded-md">
+                          <SelectValue placeholder="Waveform" />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                          {Object.entries(SOURCE_SHAPES).map(([key, label]) => (
+                            <SelectItem key={key} value={key} className={itemClass}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+
+                    {shape === "pulse" && (
+                      <div>
+                        <label className="text-xs text-zinc-400">Duty (%)</label>
+                        <Input value={duty} onChange={(e) => setDuty(e.target.value)} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                      </div>
+                    )}
+
+                    {mode === "CAPACITANCE" && (
+                      <>
+                        <div>
+                          <label className="text-xs text-zinc-400">Capacitor (µF)</label>
+                          <Input value={capUF} onChange={(e) => setCapUF(e.target.value)} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                        </div>
+                        <div>
+                          <label className="text-xs text-zinc-400">Leakage (MΩ)</label>
+                          <Input value={leakage} onChange={(e) => setLeakage(e.target.value)} type="number" placeholder="none" className="bg-zinc-900/60 border border-zinc-800 text-white placeholder:text-zinc-500" />
+                        </div>
+                      </>
+                    )}
+
+                    {mode === "DIODE" && (
+                      <>
+                        <div>
+                          <label className="text-xs text-zinc-400">Part under test</label>
+                          <Select value={diodePart} onValueChange={(v) => setDiodePart(v)}>
+                            <SelectTrigger className="w-full bg-black/80 border cursor-pointer focus:border-orange-500 border-zinc-800 text-white text-sm rounded-md">
+                              <SelectValue placeholder="Part" />
+                            </SelectTrigger>
+                            <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                              {Object.entries(DIODE_PARTS).map(([key, part]) => (
+                                <SelectItem key={key} value={key} className={itemClass}>{part.label}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                        <div className="flex items-end">
+                          <Button variant="ghost" className="w-full border cursor-pointer border-zinc-800 text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500" onClick={() => setDiodeReversed((r) => !r)}>
+                            {diodeReversed ? "Reverse biased" : "Forward biased"}
+                          </Button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+
                   <div className="space-y-2">
                     <div className="flex gap-2">
                       <Button className="flex-1 cursor-pointer bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black" onClick={() => setProbesConnected((s) => !s)}>{probesConnected ? "Disconnect Probes" : "Connect Probes"}</Button>
                       <Button variant="ghost" className="border cursor-pointer text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500 border-zinc-800" onClick={() => { setManualOverride(""); toast("Manual override cleared"); }}>Clear</Button>
+                      <Button variant="ghost" className="border cursor-pointer text-orange-400 hover:bg-orange-900/50 hover:border-orange-700 hover:text-orange-500 border-zinc-800 p-2" onClick={() => setBeeper((b) => !b)} title={beeper ? "Mute continuity beeper" : "Unmute continuity beeper"}>
+                        {beeper ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+                      </Button>
                     </div>
 
                     <div className="flex gap-2">
@@ -849,6 +988,15 @@ export default function SimulatorPage() {
                 </CardContent>
               </Card>
             </motion.div>
+
+            <SendToReportPanel
+              source="Digital Multimeter Simulator"
+              titleID="ohm-01"
+              title="Verification of Ohm's Law"
+              parameters={{ "Series R (Ω)": seriesR, "Load R (Ω)": loadR, Range: rangeLabel, "Meter input (MΩ)": inputR, Display: DISPLAY_COUNTS[counts], Noise: noise }}
+              getReading={getReportReading}
+              hint="Record the load voltage, switch to Current and record again: readings at the same supply and load fill one row. Change the supply voltage for the next row."
+            />
           </div>
 
           {/* Visual + Scope (right) */}
@@ -868,9 +1016,9 @@ export default function SimulatorPage() {
                     </div>
 
                     <div className="flex items-center gap-3 flex-wrap mt-2 sm:mt-0">
-                      <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full">Mode: <span className="text-[#ffd24a] ml-1">{mode}</span></Badge>
+                      <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full">Mode: <span className="text-[#ffd24a] ml-1">{fn.label}</span></Badge>
                       <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full ">Reading: <div className="text-[#00ffbf] w-10 truncate ml-1">{formattedReading}</div></Badge>
-                      <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full">Range: <span className="text-[#ffd24a] ml-1">{range}</span></Badge>
+                      <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full">Range: <span className="text-[#ffd24a] ml-1">{rangeLabel}</span></Badge>
                     </div>
                   </CardTitle>
                 </CardHeader>
@@ -878,11 +1026,21 @@ export default function SimulatorPage() {
                 <CardContent>
                   <div className="grid grid-cols-1 gap-4">
                     <div>
-                      <MultimeterSVG mode={mode} reading={effectiveReading} running={running} probesConnected={probesConnected} rangeLabel={range} />
+                      <MultimeterSVG
+                        mode={mode}
+                        display={reading ? reading.text : "--"}
+                        unit={reading?.unit ?? ""}
+                        level={reading?.range ? Math.abs(reading.raw) / reading.range.fullScale : 0}
+                        running={running}
+                        probesConnected={probesConnected}
+                        rangeLabel={rangeLabel}
+                        annunciators={[range === "AUTO" ? "AUTO" : "MAN", fn.ac ? "AC" : "DC", ...(fn.ac ? [converter === "TRUE_RMS" ? "TRMS" : "AVG"] : []), ...(manualOverride === "" ? [] : ["OVR"])]}
+                        beep={beep}
+                      />
                     </div>
 
                     <div className="space-y-4">
-                      <DMMScope history={history} mode={mode} />
+                      <Oscilloscope title={`Scope — ${fn.label}`} data={history} traces={[{ key: "v", name: fn.label, color: "#ffd24a" }]} window={300} exportName="dmm-scope" />
 
                       <Card className="bg-black/60 border border-zinc-800 rounded-xl p-3">
                         <div className="flex items-center justify-between">
@@ -893,11 +1051,23 @@ export default function SimulatorPage() {
                           </div>
 
                           <div className="text-right">
-                            <div className="text-xs text-zinc-400">Approx I</div>
-                            <div className="text-lg font-semibold text-[#00ffbf]">{summary.Iapprox}</div>
-                            <div className="text-xs text-zinc-400 mt-1">Manual override: {manualOverride === "" ? "—" : manualOverride}</div>
+                            <div className="text-xs text-zinc-400">Without the meter</div>
+                            <div className="text-lg font-semibold text-[#00ffbf]">{summary.ideal}</div>
+                            <div className="text-xs text-zinc-400 mt-1">Loading error: {summary.loading} • Manual override: {manualOverride === "" ? "—" : manualOverride}</div>
                           </div>
                         </div>
+
+                        <div className="mt-3 pt-2 border-t border-zinc-800 text-xs text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                          {meterDetails.map((d) => (
+                            <span key={d}>{d}</span>
+                          ))}
+                          {fn.ac && latest?.ac && (
+                            <span className="text-zinc-300">
+                              True RMS {formatQuantity(latest.ac.trueRms, quantityUnit, { digits: 4 })} • Average-responding {formatQuantity(latest.ac.average, quantityUnit, { digits: 4 })}
+                              {latest.ac.trueRms > 0 ? ` (${round((latest.ac.average / latest.ac.trueRms - 1) * 100, 1)} %)` : ""} • Crest factor {latest.ac.crest ? round(latest.ac.crest, 2) : "—"}
+                            </span>
+                          )}
+                        </div>
                       </Card>
                     </div>
                   </div>
@@ -42,16 +42,8 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import CurveTracerFitCard from "@/components/CurveTracerFitCard";
 import { toPng } from "html-to-image";
 
 /* ============================
@@ -72,6 +64,8 @@ const toNum = (v) => {
    Device Simulation Hook
    - Produces history of { t, Vd, Id, Vc, Ic, Vgs, Ids, deviceState... }
    - Supports Diode, BJT (NPN families), MOSFET (n-ch) families
+   - trace: one full curve-tracer sweep of the model for parameter extraction
+     (diode through the series resistor; BJT / MOSFET families against Vce / Vds)
    ============================ */
 function useTesterSim({
   running,
@@ -81,7 +75,7 @@ function useTesterSim({
   seriesR = 1000,
   mode = "fixed", // "fixed" or "sweep"
   sweep = { from: 0, to: 5, steps: 120, axis: "voltage" }, // simple sweep config
-  control = {}, // device-specific params: for diode => {Is, n}, for bjt => {IbList}, for mosfet => {VgsList}
+  control = {}, // device-specific params: for diode => {Is, n}, for bjt => {IbList, beta, VA}, for mosfet => {VgsList, Vth, k}
 }) {
   const historyRef = useRef(Array.from({ length: 360 }, (_, i) => ({ t: i, V: 0, I: 0 })));
   const [history, setHistory] = useState(historyRef.current);
@@ -107,11 +101,11 @@ function useTesterSim({
   }, []);
 
   // small transistor family generator (BJT NPN) - approximate exponential collector current for given base current & Vce saturation
-  const bjtFamily = useCallback((Vce, Ib, { beta = 100, Vce_sat = 0.08 }) => {
-    // simplification: Ic = beta * Ib * (1 - exp(-Vce / 0.02)) + knee
+  const bjtFamily = useCallback((Vce, Ib, { beta = 100, VA = Infinity }) => {
+    // simplification: Ic = beta * Ib * (1 - exp(-Vce / 0.02)) * (1 + Vce / VA) + knee (Early effect)
     const knee = 1e-12;
     const Ic_sat = beta * Ib;
-    const Ic = clamp(Ic_sat * (1 - Math.exp(-Vce / 0.02)) + knee, 0, Ic_sat * 1.2);
+    const Ic = Math.max(0, Ic_sat * (1 - Math.exp(-Vce / 0.02)) * (1 + Math.max(0, Vce) / VA) + knee);
     // Vc drop across resistor will be handled outside
     return { Ic, Vce };
   }, []);
@@ -133,6 +127,30 @@ function useTesterSim({
     }
   }, []);
 
+  // diode operating point behind the series resistor for a drive voltage Vnode
+  const solveDiode = useCallback(
+    (Vnode) => {
+      const { Is = 1e-12, n = 1 } = control || {};
+      // simple Newton/iteration on Vd
+      let Vd = Math.max(0, Math.min(Vnode, 0.8)); // start guess
+      for (let i = 0; i < 24; ++i) {
+        const { Id } = diodeIV(Vd, { Is, n });
+        const f = Id - (Vnode - Vd) / Math.max(1e-9, seriesR);
+        // derivative approx: dId/dVd = Is/(n*Vt)*exp(...)
+        const kConst = 1.380649e-23;
+        const q = 1.602176634e-19;
+        const Vt = (kConst * 300) / q;
+        const dIddV = Is * Math.exp(clamp(Vd / (n * Vt), -40, 40)) / (n * Vt);
+        const df = dIddV + 1 / Math.max(1e-9, seriesR); // f' = dId/dVd + 1/R
+        const dV = -f / df;
+        Vd += clamp(dV, -0.1, 0.1);
+        if (Math.abs(dV) < 1e-9) break;
+      }
+      return Vd;
+    },
+    [control, seriesR, diodeIV]
+  );
+
   useEffect(() => {
     let alive = true;
     lastRef.current = performance.now();
@@ -172,22 +190,7 @@ function useTesterSim({
       if (device === "diode") {
         // circuit: Vsup -> seriesR -> diode -> 0
         // solve approx: for given Vsup and R and diode model, iterate to find Vd s.t. Id = (Vsup - Vd)/R => Id = Is*(exp(Vd/Vt)-1)
-        const { Is = 1e-12, n = 1 } = control || {};
-        // simple Newton/iteration on Vd
-        let Vd = Math.max(0, Math.min(Vnode, 0.8)); // start guess
-        for (let i = 0; i < 24; ++i) {
-          const { Id } = diodeIV(Vd, { Is, n });
-          const f = Id - (Vnode - Vd) / Math.max(1e-9, seriesR);
-          // derivative approx: dId/dVd = Is/(n*Vt)*exp(...)
-          const kConst = 1.380649e-23;
-          const q = 1.602176634e-19;
-          const Vt = (kConst * 300) / q;
-          const dIddV = Is * Math.exp(clamp(Vd / (n * Vt), -40, 40)) / (n * Vt);
-          const df = dIddV + 1 / Math.max(1e-9, seriesR); // f' = dId/dVd + 1/R
-          const dV = -f / df;
-          Vd += clamp(dV, -0.1, 0.1);
-          if (Math.abs(dV) < 1e-9) break;
-        }
+        const Vd = solveDiode(Vnode);
         const { Id } = diodeIV(Vd, control || {});
         I = Id;
         extra = { Vd, Id };
@@ -256,7 +259,7 @@ function useTesterSim({
       alive = false;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [running, timestep, device, Vsup, seriesR, mode, sweep, control, diodeIV, bjtFamily, mosfetFamily]);
+  }, [running, timestep, device, Vsup, seriesR, mode, sweep, control, diodeIV, solveDiode, bjtFamily, mosfetFamily]);
 
   const families = useMemo(() => {
     // for display: produce arrays for multi-curve plots (e.g., different Ib or Vgs)
@@ -268,7 +271,30 @@ function useTesterSim({
     return [];
   }, [device, control]);
 
-  return { history, families };
+  const trace = useMemo(() => {
+    const { from, to, steps } = sweep;
+    const n = Math.max(2, Math.min(400, steps));
+    const Vmax = Math.max(Math.abs(to), Math.abs(from), 1);
+    const levels = (list) => list.map((level) => ({ level, points: [] }));
+    if (device === "diode") {
+      const points = Array.from({ length: n }, (_, i) => {
+        const Vd = solveDiode(from + ((to - from) * i) / (n - 1));
+        return { V: Vd, I: diodeIV(Vd, control || {}).Id };
+      });
+      return { points };
+    }
+    const families = levels(device === "bjt" ? control?.IbList || [1e-6, 5e-6, 1e-5] : control?.VgsList || [2.5, 3.5, 4.5]);
+    families.forEach((fam) => {
+      for (let i = 0; i < n; i++) {
+        const V = (Vmax * i) / (n - 1);
+        const I = device === "bjt" ? bjtFamily(V, fam.level, control || {}).Ic : mosfetFamily(V, fam.level, control || {}).Id;
+        fam.points.push({ V, I });
+      }
+    });
+    return { families };
+  }, [device, control, sweep, solveDiode, diodeIV, bjtFamily, mosfetFamily]);
+
+  return { history, families, trace };
 }
 
 /* ============================
@@ -639,40 +665,13 @@ const _round = typeof round === "function" ? round : (v, p = 3) => {
 
 
 /* ============================
-   Oscilloscope Component
-   - plots V (drive) and I (device) over time (last N points)
+   Oscilloscope traces
+   - V (drive) and I (device) over time
    ============================ */
-function TesterOscilloscope({ history = [], running }) {
-  const data = history.slice(-720).map((d, idx) => {
-    return {
-      t: idx,
-      V: d.V || 0,
-      I: d.I || 0,
-    };
-  });
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Voltage & Current</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Voltage (V)" />
-            <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Current (A)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const TESTER_TRACES = [
+  { key: "V", name: "Voltage (V)", color: "#ffd24a" },
+  { key: "I", name: "Current (A)", color: "#00ffbf" },
+];
 
 /* ============================
    Main Tester Page
@@ -694,6 +693,10 @@ export default function TesterPage() {
   const [diodeN, setDiodeN] = useState("1");
   const [bjtIbList, setBjtIbList] = useState("1e-6,5e-6,1e-5");
   const [mosVgsList, setMosVgsList] = useState("2.5,3.5,4.5");
+  const [bjtBeta, setBjtBeta] = useState("100");
+  const [bjtVA, setBjtVA] = useState("100");
+  const [mosVth, setMosVth] = useState("2.5");
+  const [mosK, setMosK] = useState("2e-3");
 
   // simulate
   const control = useMemo(() => {
@@ -704,16 +707,18 @@ export default function TesterPage() {
         .split(",")
         .map((s) => toNum(s))
         .filter((x) => Number.isFinite(x) && x > 0);
-      return { IbList: list.length ? list : [1e-6, 5e-6, 1e-5], beta: 100 };
+      // an empty or zero Early voltage means flat curves (VA = ∞)
+      return { IbList: list.length ? list : [1e-6, 5e-6, 1e-5], beta: toNum(bjtBeta) || 100, VA: toNum(bjtVA) > 0 ? toNum(bjtVA) : Infinity };
     } else if (device === "mosfet") {
       const list = (mosVgsList || "")
         .split(",")
         .map((s) => toNum(s))
         .filter((x) => Number.isFinite(x));
-      return { VgsList: list.length ? list : [2.5, 3.5, 4.5], Vth: 2.5, k: 2e-3 };
+      const Vth = toNum(mosVth);
+      return { VgsList: list.length ? list : [2.5, 3.5, 4.5], Vth: Number.isFinite(Vth) ? Vth : 2.5, k: toNum(mosK) || 2e-3 };
     }
     return {};
-  }, [device, diodeIs, diodeN, bjtIbList, mosVgsList]);
+  }, [device, diodeIs, diodeN, bjtIbList, mosVgsList, bjtBeta, bjtVA, mosVth, mosK]);
 
   const sweep = useMemo(
     () => ({
@@ -724,7 +729,7 @@ export default function TesterPage() {
     [sweepFrom, sweepTo, sweepSteps]
   );
 
-  const { history, families } = useTesterSim({
+  const { history, families, trace } = useTesterSim({
     running,
     timestep: 60,
     device,
@@ -753,6 +758,10 @@ export default function TesterPage() {
     setDiodeN("1");
     setBjtIbList("1e-6,5e-6,1e-5");
     setMosVgsList("2.5,3.5,4.5");
+    setBjtBeta("100");
+    setBjtVA("100");
+    setMosVth("2.5");
+    setMosK("2e-3");
     setMode("fixed");
     setSweepFrom("0");
     setSweepTo("5");
@@ -989,6 +998,16 @@ export default function TesterPage() {
                           <Input value={bjtIbList} onChange={(e) => setBjtIbList(e.target.value)} type="text" className="bg-zinc-900/60 border border-zinc-800 text-white" />
                           <div className="text-xs text-zinc-500 mt-1">Example: 1e-6,5e-6,1e-5</div>
                         </div>
+                        <div className="grid grid-cols-2 gap-2 mt-2">
+                          <div>
+                            <label className="text-xs text-zinc-400">Current gain β</label>
+                            <Input value={bjtBeta} onChange={(e) => setBjtBeta(e.target.value)} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                          </div>
+                          <div>
+                            <label className="text-xs text-zinc-400">Early voltage VA (V)</label>
+                            <Input value={bjtVA} onChange={(e) => setBjtVA(e.target.value)} type="text" placeholder="∞" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                          </div>
+                        </div>
                       </div>
                     )}
 
@@ -1004,6 +1023,16 @@ export default function TesterPage() {
                           <Input value={mosVgsList} onChange={(e) => setMosVgsList(e.target.value)} type="text" className="bg-zinc-900/60 border border-zinc-800 text-white" />
                           <div className="text-xs text-zinc-500 mt-1">Example: 2.5,3.5,4.5</div>
                         </div>
+                        <div className="grid grid-cols-2 gap-2 mt-2">
+                          <div>
+                            <label className="text-xs text-zinc-400">Threshold Vth (V)</label>
+                            <Input value={mosVth} onChange={(e) => setMosVth(e.target.value)} type="number" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                          </div>
+                          <div>
+                            <label className="text-xs text-zinc-400">k (A/V²)</label>
+                            <Input value={mosK} onChange={(e) => setMosK(e.target.value)} type="text" className="bg-zinc-900/60 border border-zinc-800 text-white" />
+                          </div>
+                        </div>
                       </div>
                     )}
                   </div>
@@ -1088,7 +1117,7 @@ export default function TesterPage() {
       transition={{ duration: 0.3 }}
       className="rounded-2xl overflow-hidden border border-zinc-800 bg-black/70"
     >
-      <TesterOscilloscope history={history} running={running} />
+      <Oscilloscope title="Oscilloscope — Voltage & Current" data={history} traces={TESTER_TRACES} running={running} window={720} exportName="tester-scope" />
     </motion.div>
   </div>
 
@@ -1170,8 +1199,8 @@ export default function TesterPage() {
               {device === "diode"
                 ? `Is=${diodeIs}, n=${diodeN}`
                 : device === "bjt"
-                ? `IbList=${bjtIbList}`
-                : `VgsList=${mosVgsList}`}
+                ? `IbList=${bjtIbList}, β=${bjtBeta}, VA=${bjtVA || "∞"}`
+                : `VgsList=${mosVgsList}, Vth=${mosVth}, k=${mosK}`}
             </div>
           </div>
         </div>
@@ -1187,6 +1216,9 @@ export default function TesterPage() {
       </CardContent>
     </Card>
   </motion.div>
+
+  {/* === PARAMETER EXTRACTION === */}
+  <CurveTracerFitCard device={device} trace={trace} model={control} />
 </div>
 
         </div>
@@ -21,6 +21,7 @@ import {
   AlertTriangle,
   Activity,
   Code2,
+  Ruler,
 } from "lucide-react";
 import { Toaster, toast } from "sonner";
 import {
@@ -50,6 +51,20 @@ import {
   Tooltip as ReTooltip,
   Legend,
 } from "recharts";
+import {
+  readQuantity,
+  parseQuantity,
+  parseUnit,
+  convert,
+  formatQuantity,
+  formatDim,
+  namedDimension,
+  sameDim,
+  describeDim,
+  checkFormula,
+  evaluate,
+  expressionVariables,
+} from "@/lib/units";
 
 /* ===========================
    Utility helpers
@@ -68,7 +83,11 @@ const safeNum = (v) => {
 
 /* ===========================
    Formula registry
-   - Each entry: { id, label, inputs: [{key,label,unit,parser}], compute: fn }
+   - Each entry: { id, label, expr, unit, inputs: [{key,label,unit,raw?}], compute: fn }
+   - expr / unit restate the formula for the unit engine, which checks it for
+     dimensional consistency once (FORMULA_CHECKS); inconsistent entries refuse to compute
+   - inputs accept any unit ("4.7 kΩ", "3 hp") and reach compute() as numbers in
+     the input's `unit`; bare numbers are taken in that unit, `raw` inputs pass as typed
    - compute(inputs) -> { value, details: {...} }
    =========================== */
 
@@ -76,6 +95,8 @@ const FORMULAS = [
   {
     id: "ohm_I",
     label: "I = V / R (Ohm's law)",
+    expr: "V / R",
+    unit: "A",
     inputs: [
       { key: "V", label: "Voltage (V)", unit: "V" },
       { key: "R", label: "Resistance (Ω)", unit: "Ω" },
@@ -94,6 +115,8 @@ const FORMULAS = [
   {
     id: "ohm_V",
     label: "V = I × R",
+    expr: "I * R",
+    unit: "V",
     inputs: [
       { key: "I", label: "Current (A)", unit: "A" },
       { key: "R", label: "Resistance (Ω)", unit: "Ω" },
@@ -110,6 +133,8 @@ const FORMULAS = [
   {
     id: "ohm_R_from_rho",
     label: "R = ρ × (L / A)",
+    expr: "rho * (L / A)",
+    unit: "Ω",
     inputs: [
       { key: "rho", label: "Resistivity (ρ, Ω·m)", unit: "Ω·m" },
       { key: "L", label: "Length (m)", unit: "m" },
@@ -130,6 +155,8 @@ const FORMULAS = [
   {
     id: "AC_power_P",
     label: "P = V × I × cosθ (Real power)",
+    expr: "V * I * cosθ",
+    unit: "W",
     inputs: [
       { key: "V", label: "Voltage (RMS V)", unit: "V" },
       { key: "I", label: "Current (RMS A)", unit: "A" },
@@ -148,6 +175,8 @@ const FORMULAS = [
   {
     id: "energy_W",
     label: "W = P × t (Energy)",
+    expr: "P * t",
+    unit: "J",
     inputs: [
       { key: "P", label: "Power (W)", unit: "W" },
       { key: "t", label: "Time (s)", unit: "s" },
@@ -165,6 +194,8 @@ const FORMULAS = [
   {
     id: "reactive_Q",
     label: "Q = V × I × sinθ (Reactive power)",
+    expr: "V * I * sinθ",
+    unit: "VAR",
     inputs: [
       { key: "V", label: "Voltage (RMS V)", unit: "V" },
       { key: "I", label: "Current (RMS A)", unit: "A" },
@@ -183,6 +214,8 @@ const FORMULAS = [
   {
     id: "apparent_S",
     label: "S = sqrt(P² + Q²) (Apparent power)",
+    expr: "sqrt(P^2 + Q^2)",
+    unit: "VA",
     inputs: [
       { key: "P", label: "Real power (W)", unit: "W" },
       { key: "Q", label: "Reactive power (VAR)", unit: "VAR" },
@@ -199,6 +232,8 @@ const FORMULAS = [
   {
     id: "pf_cos",
     label: "pf = cosθ",
+    expr: "cos(theta_deg * pi / 180)",
+    unit: "",
     inputs: [{ key: "theta_deg", label: "Angle θ (deg)", unit: "deg" }],
     compute: ({ theta_deg }) => {
       const td = safeNum(theta_deg);
@@ -212,6 +247,8 @@ const FORMULAS = [
   {
     id: "impedance_Z",
     label: "Z = sqrt(R² + X²)",
+    expr: "sqrt(R^2 + X^2)",
+    unit: "Ω",
     inputs: [
       { key: "R", label: "Resistance (Ω)", unit: "Ω" },
       { key: "X", label: "Reactance (Ω)", unit: "Ω" },
@@ -228,6 +265,8 @@ const FORMULAS = [
   {
     id: "XL",
     label: "X_L = 2πfL",
+    expr: "2 * pi * f * L",
+    unit: "Ω",
     inputs: [
       { key: "f", label: "Frequency (Hz)", unit: "Hz" },
       { key: "L", label: "Inductance (H)", unit: "H" },
@@ -244,6 +283,8 @@ const FORMULAS = [
   {
     id: "XC",
     label: "X_C = 1 / (2πfC)",
+    expr: "1 / (2 * pi * f * C)",
+    unit: "Ω",
     inputs: [
       { key: "f", label: "Frequency (Hz)", unit: "Hz" },
       { key: "C", label: "Capacitance (F)", unit: "F" },
@@ -260,6 +301,8 @@ const FORMULAS = [
   {
     id: "EMF",
     label: "E = N × (dΦ/dt)",
+    expr: "N * dPhi_dt",
+    unit: "V",
     inputs: [
       { key: "N", label: "Turns (N)", unit: "" },
       { key: "dPhi_dt", label: "dΦ/dt (Wb/s)", unit: "Wb/s" },
@@ -276,6 +319,8 @@ const FORMULAS = [
   {
     id: "flux_Phi",
     label: "Φ = B × A",
+    expr: "B * A",
+    unit: "Wb",
     inputs: [
       { key: "B", label: "Flux density (T)", unit: "T" },
       { key: "A", label: "Area (m²)", unit: "m²" },
@@ -292,6 +337,8 @@ const FORMULAS = [
   {
     id: "B_from_Phi",
     label: "B = Φ / A",
+    expr: "Phi / A",
+    unit: "T",
     inputs: [
       { key: "Phi", label: "Flux (Wb)", unit: "Wb" },
       { key: "A", label: "Area (m²)", unit: "m²" },
@@ -308,6 +355,8 @@ const FORMULAS = [
   {
     id: "H_NIl",
     label: "H = N × I / l",
+    expr: "N * I / l",
+    unit: "A/m",
     inputs: [
       { key: "N", label: "Turns (N)", unit: "" },
       { key: "I", label: "Current (A)", unit: "A" },
@@ -326,6 +375,8 @@ const FORMULAS = [
   {
     id: "C_plate",
     label: "C = ε × (A / d)",
+    expr: "epsilon * (A / d)",
+    unit: "F",
     inputs: [
       { key: "epsilon", label: "Permittivity (F/m)", unit: "F/m" },
       { key: "A", label: "Area (m²)", unit: "m²" },
@@ -344,6 +395,8 @@ const FORMULAS = [
   {
     id: "L_from_NPhi_I",
     label: "L = NΦ / I",
+    expr: "N * Phi / I",
+    unit: "H",
     inputs: [
       { key: "N", label: "Turns (N)", unit: "" },
       { key: "Phi", label: "Flux (Wb)", unit: "Wb" },
@@ -362,6 +415,8 @@ const FORMULAS = [
   {
     id: "efficiency",
     label: "η = (Output / Input) × 100",
+    expr: "output / input * 100",
+    unit: "%",
     inputs: [
       { key: "output", label: "Output power (W)", unit: "W" },
       { key: "input", label: "Input power (W)", unit: "W" },
@@ -378,6 +433,8 @@ const FORMULAS = [
   {
     id: "torque_from_power",
     label: "T = (P × 60) / (2πN) (Torque)",
+    expr: "P * 60 / (2 * pi * N)",
+    unit: "N·m",
     inputs: [
       { key: "P", label: "Mechanical power (W)", unit: "W" },
       { key: "N", label: "Speed (RPM)", unit: "rpm" },
@@ -394,6 +451,8 @@ const FORMULAS = [
   {
     id: "P_3phi",
     label: "P_3φ = √3 × V_L × I_L × cosθ",
+    expr: "sqrt(3) * V_L * I_L * cosθ",
+    unit: "W",
     inputs: [
       { key: "V_L", label: "Line voltage (V)", unit: "V" },
       { key: "I_L", label: "Line current (A)", unit: "A" },
@@ -412,6 +471,8 @@ const FORMULAS = [
   {
     id: "J_current_density",
     label: "J = I / A (Current density)",
+    expr: "I / A_cross",
+    unit: "A/m²",
     inputs: [
       { key: "I", label: "Current (A)", unit: "A" },
       { key: "A_cross", label: "Cross area (m²)", unit: "m²" },
@@ -428,6 +489,8 @@ const FORMULAS = [
   {
     id: "sigma",
     label: "σ = 1 / ρ (Conductivity)",
+    expr: "1 / rho",
+    unit: "S/m",
     inputs: [{ key: "rho", label: "Resistivity ρ (Ω·m)", unit: "Ω·m" }],
     compute: ({ rho }) => {
       const r = safeNum(rho);
@@ -440,6 +503,8 @@ const FORMULAS = [
   {
     id: "freq_from_period",
     label: "f = 1 / T (Frequency)",
+    expr: "1 / T",
+    unit: "Hz",
     inputs: [{ key: "T", label: "Period (s)", unit: "s" }],
     compute: ({ T }) => {
       const t = safeNum(T);
@@ -452,6 +517,8 @@ const FORMULAS = [
   {
     id: "energy_kwh",
     label: "Energy (kWh) = (P × t) / 1000",
+    expr: "P * t_h / 1000",
+    unit: "kWh",
     inputs: [
       { key: "P", label: "Power (W)", unit: "W" },
       { key: "t_h", label: "Time (h)", unit: "h" },
@@ -468,6 +535,8 @@ const FORMULAS = [
   {
     id: "power_loss",
     label: "Power Loss = I²R",
+    expr: "I^2 * R",
+    unit: "W",
     inputs: [
       { key: "I", label: "Current (A)", unit: "A" },
       { key: "R", label: "Resistance (Ω)", unit: "Ω" },
@@ -484,6 +553,8 @@ const FORMULAS = [
   {
     id: "emf_dc",
     label: "EMF (DC) = V + I × R",
+    expr: "V + I * R",
+    unit: "V",
     inputs: [
       { key: "V", label: "Terminal voltage (V)", unit: "V" },
       { key: "I", label: "Current (A)", unit: "A" },
@@ -502,6 +573,8 @@ const FORMULAS = [
   {
     id: "rms_from_peak_v",
     label: "V_rms = V_m / √2",
+    expr: "V_m / sqrt(2)",
+    unit: "V",
     inputs: [{ key: "V_m", label: "Peak voltage (V_m)", unit: "V" }],
     compute: ({ V_m }) => {
       const vm = safeNum(V_m);
@@ -514,6 +587,8 @@ const FORMULAS = [
   {
     id: "rms_from_peak_i",
     label: "I_rms = I_m / √2",
+    expr: "I_m / sqrt(2)",
+    unit: "A",
     inputs: [{ key: "I_m", label: "Peak current (I_m)", unit: "A" }],
     compute: ({ I_m }) => {
       const im = safeNum(I_m);
@@ -526,10 +601,12 @@ const FORMULAS = [
   {
     id: "impedance_angle",
     label: "θ = atan(X / R)",
+    expr: "atan2(X, R)",
+    unit: "rad",
     inputs: [
       { key: "X", label: "Reactance (Ω)", unit: "Ω" },
       { key: "R", label: "Resistance (Ω)", unit: "Ω" },
-      { key: "inDegrees", label: "Return angle in degrees?", unit: "" },
+      { key: "inDegrees", label: "Return angle in degrees?", unit: "", raw: true },
     ],
     compute: ({ X, R, inDegrees }) => {
       const x = safeNum(X);
@@ -546,6 +623,82 @@ const FORMULAS = [
   // ... You can continue adding more formulas (X_L, X_C alternate forms, σ=1/ρ) if needed
 ];
 
+const FORMULA_CHECKS = Object.fromEntries(FORMULAS.map((f) => [f.id, checkFormula(f)]));
+
+// typed text -> { values: { key: number in the input's unit }, errors: { key: message } }
+function readFormulaInputs(formula, inputs) {
+  const values = {};
+  const errors = {};
+  formula.inputs.forEach((inp) => {
+    const text = inputs[inp.key];
+    if (inp.raw || text == null || String(text).trim() === "") {
+      values[inp.key] = text;
+      return;
+    }
+    const q = readQuantity(text, inp.unit);
+    values[inp.key] = q.value;
+    if (q.error) errors[inp.key] = q.error;
+  });
+  return { values, errors };
+}
+
+/* ===========================
+   Custom expression
+   - the student types a formula ("V^2 / R") and each variable with its unit;
+     the unit engine evaluates it in SI, rejecting sums of unlike quantities,
+     trig of dimensional arguments and results that do not fit the chosen unit
+   =========================== */
+const CUSTOM_ID = "custom";
+
+function computeCustom(expr, resultUnit, inputs) {
+  let variables;
+  try {
+    variables = expressionVariables(expr);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const scope = {};
+  for (const key of variables) {
+    const text = inputs[key];
+    if (text == null || String(text).trim() === "") return { error: `Enter a value for ${key}` };
+    try {
+      const q = parseQuantity(text);
+      scope[key] = { value: q.value, dim: q.dim };
+    } catch (err) {
+      return { error: `${key}: ${err.message}` };
+    }
+  }
+  try {
+    const result = evaluate(expr, scope);
+    if (resultUnit.trim()) {
+      const target = parseUnit(resultUnit);
+      if (!sameDim(result.dim, target.dim)) return { error: `The result is ${describeDim(result.dim)}, not ${describeDim(target.dim)}` };
+      return { value: (result.value - target.offset) / target.factor, unit: resultUnit.trim(), details: { SI: result.value } };
+    }
+    const named = namedDimension(result.dim);
+    return { value: result.value, unit: named ? named.unit : formatDim(result.dim), details: { dimension: named?.name ?? formatDim(result.dim) } };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// how the engine read a typed input ("= 4.7 kΩ"), or why it could not
+function inputHint(inp, text) {
+  if (inp.raw || text == null || String(text).trim() === "") return null;
+  if (inp.free) {
+    try {
+      const q = parseQuantity(text);
+      const named = namedDimension(q.dim);
+      return { text: `= ${formatQuantity(q.value, named ? named.unit : formatDim(q.dim))}${named?.unit ? ` (${named.name})` : ""}` };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  const q = readQuantity(text, inp.unit);
+  if (q.error) return { error: q.error };
+  return inp.unit ? { text: `= ${formatQuantity(q.value, inp.unit)}` } : null;
+}
+
 /* ===========================
    Waveform generators
    - create sample points for oscilloscope using formula params
@@ -606,20 +759,70 @@ export default function UnitMeasurementPage() {
   const [timeBase, setTimeBase] = useState(1); // seconds window for oscilloscope
   const [sampleCount, setSampleCount] = useState(400);
   const [autoScale, setAutoScale] = useState(true);
-
-  // derived: lookup selected formula
-  const activeFormula = useMemo(() => FORMULAS.find((f) => f.id === selectedFormula), [selectedFormula]);
+  const [customExpr, setCustomExpr] = useState("V^2 / R");
+  const [customUnit, setCustomUnit] = useState("");
+  const [resultUnit, setResultUnit] = useState("");
+
+  // derived: lookup selected formula (a custom expression takes its variables as inputs)
+  const activeFormula = useMemo(() => {
+    if (selectedFormula !== CUSTOM_ID) return FORMULAS.find((f) => f.id === selectedFormula);
+    let variables = [];
+    try {
+      variables = expressionVariables(customExpr);
+    } catch {
+      variables = [];
+    }
+    return {
+      id: CUSTOM_ID,
+      label: customExpr || "—",
+      inputs: variables.map((key) => ({ key, label: key, unit: "", free: true })),
+    };
+  }, [selectedFormula, customExpr]);
+  const formulaCheck = activeFormula && activeFormula.id !== CUSTOM_ID ? FORMULA_CHECKS[activeFormula.id] : null;
 
   // compute result
   const computeResult = useMemo(() => {
     if (!activeFormula) return { error: "No formula selected" };
+    if (activeFormula.id === CUSTOM_ID) return computeCustom(customExpr, customUnit, inputs);
+    if (!formulaCheck.ok) return { error: `Dimensionally inconsistent formula: ${formulaCheck.error}` };
+    const { values, errors } = readFormulaInputs(activeFormula, inputs);
+    const bad = activeFormula.inputs.find((inp) => errors[inp.key]);
+    if (bad) return { error: `${bad.label}: ${errors[bad.key]}` };
     try {
-      const result = activeFormula.compute(inputs);
+      const result = activeFormula.compute(values);
       return result;
     } catch (err) {
       return { error: String(err) };
     }
-  }, [activeFormula, inputs]);
+  }, [activeFormula, formulaCheck, customExpr, customUnit, inputs]);
+
+  // the result in a unit of the student's choice
+  const convertedResult = useMemo(() => {
+    if (!resultUnit.trim() || !Number.isFinite(computeResult?.value)) return null;
+    try {
+      return { text: `${formatQuantity(convert(computeResult.value, computeResult.unit || "", resultUnit), "", { digits: 6 })} ${resultUnit.trim()}` };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [computeResult, resultUnit]);
+
+  // typed inputs as numbers (in each input's unit) for the oscilloscope
+  const numericInputs = useMemo(() => {
+    const out = {};
+    Object.entries(inputs).forEach(([key, text]) => {
+      const inp = activeFormula?.inputs.find((i) => i.key === key);
+      if (inp?.raw) out[key] = text;
+      else if (inp && !inp.free) out[key] = readQuantity(text, inp.unit).value;
+      else {
+        try {
+          out[key] = parseQuantity(text).value;
+        } catch {
+          out[key] = NaN;
+        }
+      }
+    });
+    return out;
+  }, [inputs, activeFormula]);
  const formula = activeFormula?.id || "generic";
   // oscilloscope data
 const waveformData = useMemo(() => {
@@ -651,22 +854,22 @@ const waveformData = useMemo(() => {
     }
 
     // Inputs
-    const V = Number(inputs.V) || amp;
-    const I = Number(inputs.I) || amp * 0.8;
-    const R = Number(inputs.R) || 10;
-    const L = Number(inputs.L) || 0.1;
-    const C = Number(inputs.C) || 0.001;
-    const theta = Number(inputs.theta || 0);
-    const Phi = Number(inputs.Phi) || 0.002;
-    const N = Number(inputs.N) || 100;
-    const A = Number(inputs.A) || 0.01;
-    const B = Number(inputs.B) || 0.5;
-    const rho = Number(inputs.rho) || 1.7e-8;
-    const l = Number(inputs.l) || 1;
-    const output = Number(inputs.output) || 100;
-    const input = Number(inputs.input) || 120;
-    const tVal = Number(inputs.t) || duration;
-    const P=Number(inputs.P)||1;
+    const V = Number(numericInputs.V) || amp;
+    const I = Number(numericInputs.I) || amp * 0.8;
+    const R = Number(numericInputs.R) || 10;
+    const L = Number(numericInputs.L) || 0.1;
+    const C = Number(numericInputs.C) || 0.001;
+    const theta = Number(numericInputs.theta || 0);
+    const Phi = Number(numericInputs.Phi) || 0.002;
+    const N = Number(numericInputs.N) || 100;
+    const A = Number(numericInputs.A) || 0.01;
+    const B = Number(numericInputs.B) || 0.5;
+    const rho = Number(numericInputs.rho) || 1.7e-8;
+    const l = Number(numericInputs.l) || 1;
+    const output = Number(numericInputs.output) || 100;
+    const input = Number(numericInputs.input) || 120;
+    const tVal = Number(numericInputs.t) || duration;
+    const P=Number(numericInputs.P)||1;
 
     const point = { t: Number(t.toFixed(5)) };
 
@@ -772,7 +975,7 @@ const waveformData = useMemo(() => {
         break;
 
       case "torque_from_power":
-        const N_rpm = Number(inputs.N) || 1000;
+        const N_rpm = Number(numericInputs.N) || 1000;
         point.T = (P * 60) / (2 * Math.PI * N_rpm);
         break;
 
@@ -784,7 +987,7 @@ const waveformData = useMemo(() => {
 
       case "J_current_density":
         point.I = I * Math.sin(ω * t);
-        point.J = point.I / (inputs.A_cross || 0.01);
+        point.J = point.I / (numericInputs.A_cross || 0.01);
         break;
 
       case "sigma":
@@ -793,7 +996,7 @@ const waveformData = useMemo(() => {
         break;
 
       case "freq_from_period":
-        const T = Number(inputs.T) || 0.02;
+        const T = Number(numericInputs.T) || 0.02;
         point.f = 1 / T;
         point.V = V * Math.sin(2 * Math.PI * point.f * t);
         break;
@@ -810,22 +1013,22 @@ const waveformData = useMemo(() => {
         break;
 
       case "rms_from_peak_v":
-        const Vm = Number(inputs.V_m) || V;
+        const Vm = Number(numericInputs.V_m) || V;
         point.Vrms = Vm / Math.sqrt(2);
         point.V = point.Vrms * Math.sqrt(2) * Math.sin(ω * t);
         break;
 
       case "rms_from_peak_i":
-        const Im = Number(inputs.I_m) || I;
+        const Im = Number(numericInputs.I_m) || I;
         point.Irms = Im / Math.sqrt(2);
         point.I = point.Irms * Math.sqrt(2) * Math.sin(ω * t);
         break;
 
       case "impedance_angle":
-        const Xang = Number(inputs.X) || ω * L;
-        const Rang = Number(inputs.R) || R;
+        const Xang = Number(numericInputs.X) || ω * L;
+        const Rang = Number(numericInputs.R) || R;
         const angleRad = Math.atan2(Xang, Rang);
-        point.theta = (inputs.inDegrees ? (angleRad * 180) / Math.PI : angleRad);
+        point.theta = (numericInputs.inDegrees ? (angleRad * 180) / Math.PI : angleRad);
         break;
 
       default:
@@ -842,7 +1045,7 @@ const waveformData = useMemo(() => {
   }
 
   return data;
-}, [waveParams, timeBase, sampleCount, inputs, activeFormula]);
+}, [waveParams, timeBase, sampleCount, numericInputs, activeFormula]);
 
 
   const getLineConfigs = (formulaId) => {
@@ -1062,6 +1265,7 @@ const lineConfigs = getLineConfigs(formula);
 
   function resetAll() {
     setInputs({});
+    setResultUnit("");
     setWaveParams({ type: "sine", amp: 1, freq: 1, phase: 0, duration: 1 });
     setTimeBase(1);
     setSampleCount(400);
@@ -1141,38 +1345,79 @@ const lineConfigs = getLineConfigs(formula);
                           {f.label}
                         </SelectItem>
                       ))}
+                      <SelectItem value={CUSTOM_ID} className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">
+                        Custom expression (any units)
+                      </SelectItem>
                     </SelectContent>
                   </Select>
                 </div>
 
+                {selectedFormula === CUSTOM_ID && (
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-2">
+                      <div className="w-36 text-xs text-zinc-300">Expression</div>
+                      <Input
+                        value={customExpr}
+                        onChange={(e) => setCustomExpr(e.target.value)}
+                        placeholder="e.g. V^2 / R or 1 / (2 * pi * f * C)"
+                        type="text"
+                        className="bg-zinc-900/60 border border-zinc-800 text-white font-mono"
+                      />
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-36 text-xs text-zinc-300">Result unit</div>
+                      <Input
+                        value={customUnit}
+                        onChange={(e) => setCustomUnit(e.target.value)}
+                        placeholder="automatic (SI)"
+                        type="text"
+                        className="bg-zinc-900/60 border border-zinc-800 text-white"
+                      />
+                    </div>
+                  </div>
+                )}
+
                 {/* Dynamic inputs for selected formula */}
                 <div className="space-y-2">
                   <div className="text-xs text-zinc-400">Inputs</div>
                   {activeFormula &&
-                    activeFormula.inputs.map((inp) => (
-                      <div key={inp.key} className="flex items-center gap-2">
-                        <div className="w-36 text-xs text-zinc-300">{inp.label}</div>
-                        <Input
-                          value={inputs[inp.key] ?? ""}
-                          onChange={(e) => onInputChange(inp.key, e.target.value)}
-                          placeholder={inp.unit || "value"}
-                          type="text"
-                          className="bg-zinc-900/60 border border-zinc-800 text-white"
-                        />
-                      </div>
-                    ))}
+                    activeFormula.inputs.map((inp) => {
+                      const hint = inputHint(inp, inputs[inp.key]);
+                      return (
+                        <div key={inp.key} className="space-y-0.5">
+                          <div className="flex items-center gap-2">
+                            <div className="w-36 text-xs text-zinc-300">{inp.label}</div>
+                            <Input
+                              value={inputs[inp.key] ?? ""}
+                              onChange={(e) => onInputChange(inp.key, e.target.value)}
+                              placeholder={inp.free ? "value with unit, e.g. 4.7 kΩ" : inp.unit || "value"}
+                              type="text"
+                              className="bg-zinc-900/60 border border-zinc-800 text-white"
+                            />
+                          </div>
+                          {hint && (
+                            <div className={`pl-38 text-[11px] ${hint.error ? "text-red-400" : "text-zinc-500"}`}>{hint.error || hint.text}</div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  <div className="flex items-center gap-1.5 text-[11px] text-zinc-500">
+                    <Ruler className="w-3 h-3 text-[#ff7a2d]" />
+                    {formulaCheck
+                      ? formulaCheck.ok
+                        ? `Dimensions check out: result is ${describeDim(formulaCheck.dim)}`
+                        : `Dimensionally inconsistent: ${formulaCheck.error}`
+                      : "Type values with units, e.g. 4.7 kΩ, 220 µF, 3 hp or 1.2 kWh"}
+                  </div>
                 </div>
 
                 <div className="grid grid-cols-2 gap-2">
                   <Button onClick={() => {
-                    // small validation: ensure inputs have numeric values where expected
-                    try {
-                      const result = activeFormula.compute(inputs);
-                      if (result && result.error) toast.error(result.error);
-                      else toast.success("Computed — see summary");
-                    } catch (err) {
-                      toast.error("Computation failed");
-                    }
+                    // inputs are read through the unit engine in computeResult
+                    if (computeResult && computeResult.error) toast.error(computeResult.error);
+                    else toast.success("Computed — see summary");
                   }} className="bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] cursor-pointer text-black"><ServerCog/> Compute</Button>
 
                   <Button variant="outline" className="cursor-pointer" onClick={() => { setInputs({}); toast("Inputs cleared"); }}><BrushCleaning/> Clear</Button>
@@ -1342,10 +1587,24 @@ const lineConfigs = getLineConfigs(formula);
         {errorStr
           ? "Error"
           : computeResult?.value !== undefined
-          ? `${computeResult.value} ${computeResult.unit || ""}`
+          ? formatQuantity(computeResult.value, computeResult.unit || "", { digits: 6 })
           : "—"}
       </div>
 
+      {/* Convert the result */}
+      <div className="mt-2 flex items-center gap-2">
+        <Input
+          value={resultUnit}
+          onChange={(e) => setResultUnit(e.target.value)}
+          placeholder="Convert to… (mA, kW, hp)"
+          type="text"
+          className="h-8 w-40 bg-zinc-900/60 border border-zinc-800 text-white text-xs"
+        />
+        {convertedResult && (
+          <span className={`text-xs ${convertedResult.error ? "text-red-400" : "text-[#ffd24a]"}`}>{convertedResult.error || `= ${convertedResult.text}`}</span>
+        )}
+      </div>
+
       {/* Error / Info */}
       {errorStr && (
         <div className="mt-2 flex items-center gap-2 text-xs text-red-400 bg-red-500/10 border border-red-500/30 rounded-md px-2 py-1">
@@ -1396,7 +1655,7 @@ const lineConfigs = getLineConfigs(formula);
                 <div className="text-sm text-zinc-300 space-y-2">
                   <p className="text-[#ffd24a] font-semibold">Notes & best practices</p>
                   <ul className="list-disc ml-5 text-xs text-zinc-400">
-                    <li>All computations are local and use the selected formula. Ensure units are consistent (SI recommended).</li>
+                    <li>All computations are local and use the selected formula. Type values with any unit (4.7 kΩ, 220 µF, 3 hp, 1.2 kWh); bare numbers are read in the unit shown in the label.</li>
                     <li>For AC formulas use RMS values — toggle wave amplitude to see RMS conversion visually.</li>
                     <li>Symbols may be context-dependent (e.g., <code>T</code> could mean torque or period). Check labels before computing.</li>
                    
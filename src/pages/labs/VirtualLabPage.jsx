@@ -33,16 +33,8 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import SendToReportPanel from "@/components/SendToReportPanel";
 import { toPng } from "html-to-image";
 
 /* ============================
@@ -169,7 +161,7 @@ function useWaveSim({
       setHistory((h) => {
         const next = h.slice();
         const lastT = next.length ? next[next.length - 1].t : 0;
-        next.push({ t: lastT + 1, y });
+        next.push({ t: lastT + 1, s: tSeconds, y });
         if (next.length > maxSamples) next.shift();
         return next;
       });
@@ -447,46 +439,30 @@ function Capacitor({ x, y, label }) {
 
 
 /* ============================
-   Oscilloscope Chart
-   - Plots waveform (voltage) and optionally current/power if circuit active
+   LabOscilloscope: voltage (probe override / scale applied), plus current and power when the circuit is closed
+   - current is the demo estimate I = V / R with R = 1
    ============================ */
-function Oscilloscope({ history = [], running = true, probeOverride = null, showCurrent = false, scale = 1 }) {
-  // map history to data
-  const data = history.slice(-720).map((d, idx) => {
-    const y = d.y || 0;
-    const yUsed = probeOverride !== null ? probeOverride : y;
-    // simplistic current estimate for 'demo': I = V/R with R=1 when showCurrent true
-    const I = showCurrent ? round(yUsed / 1, 6) : 0;
-    const P = showCurrent ? round(yUsed * I, 6) : 0;
-    return {
-      t: idx,
-      V: round(yUsed * scale, 6),
-      I: round(I, 6),
-      P: round(P, 6),
-    };
-  });
+function LabOscilloscope({ history = [], running = true, probeOverride = null, showCurrent = false, scale = 1 }) {
+  const traces = useMemo(() => {
+    const volts = (d) => (probeOverride !== null ? probeOverride : d.y || 0);
+    const out = [{ key: "V", name: "Voltage (V)", color: "#ffd24a", value: (d) => volts(d) * scale }];
+    if (showCurrent) {
+      out.push({ key: "I", name: "Current (A)", color: "#00ffbf", value: (d) => volts(d) / 1 });
+      out.push({ key: "P", name: "Power (W)", color: "#ff9a4a", value: (d) => volts(d) * volts(d) });
+    }
+    return out;
+  }, [probeOverride, showCurrent, scale]);
 
   return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Voltage (V) {showCurrent ? "• Current (A) • Power (W)" : ""}</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "8px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Voltage (V)" />
-            {showCurrent && <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Current (A)" />}
-            {showCurrent && <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Power (W)" />}
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
+    <Oscilloscope
+      title={`Oscilloscope — Voltage (V) ${showCurrent ? "• Current (A) • Power (W)" : ""}`}
+      data={history}
+      traces={traces}
+      running={running}
+      window={720}
+      height="h-56"
+      exportName="virtual-lab-scope"
+    />
   );
 }
 
@@ -605,6 +581,20 @@ export default function VirtualLabPage() {
  
 }
 
+  // lab report: the captured window as timed V / I readings (I = V / 1 Ω as on the scope, 0 with
+  // the circuit open), thinned to 60 rows -> "Measurement of Energy" integrates V·I over time
+  const getReportRows = () => {
+    const samples = history.filter((d) => d.s != null);
+    const step = Math.max(1, Math.ceil(samples.length / 60));
+    const manual = Number.isFinite(Number(probeManual)) && probeManual !== "" ? Number(probeManual) : null;
+    return samples
+      .filter((_, i) => i % step === 0)
+      .map((d) => {
+        const V = manual ?? d.y;
+        return { key: d.t, t: round(d.s, 4), V, I: circuit === "open" ? 0 : V / 1 };
+      });
+  };
+
   // small safety: limit frequency and amplitude for animation performance
   const safeFrequency = clamp(Number(frequency), 0.001, 2000);
   const safeAmplitude = clamp(Number(amplitude), -1000, 1000);
@@ -869,6 +859,23 @@ export default function VirtualLabPage() {
                 </CardContent>
               </Card>
             </motion.div>
+
+            <SendToReportPanel
+              source="Oscilloscope Virtual Lab"
+              titleID="energymeter-01"
+              title="Measurement of Energy using Energy Meter"
+              parameters={{
+                Waveform: waveform,
+                "Frequency (Hz)": safeFrequency,
+                "Amplitude (V)": safeAmplitude,
+                "Offset (V)": offset,
+                Circuit: circuit,
+                "Load (Ω)": 1,
+                "Timebase (s)": timebase,
+              }}
+              getRows={getReportRows}
+              hint="Sends the captured scope window as timed voltage / current readings. Close the circuit (RC, RL, RLC) for current to flow."
+            />
           </div>
 
           {/* Visual + Oscilloscope */}
@@ -899,7 +906,7 @@ export default function VirtualLabPage() {
                   <CircuitVisualizer circuit={circuit} amplitude={safeAmplitude} frequency={safeFrequency} running={running} probeValue={probeUsed} />
 
                   <div>
-                    <Oscilloscope history={history} running={running} probeOverride={Number.isFinite(Number(probeManual)) && probeManual !== "" ? Number(probeManual) : null} showCurrent={circuit !== "open"} scale={scale} />
+                    <LabOscilloscope history={history} running={running} probeOverride={Number.isFinite(Number(probeManual)) && probeManual !== "" ? Number(probeManual) : null} showCurrent={circuit !== "open"} scale={scale} />
                   </div>
                 </CardContent>
               </Card>
@@ -21,16 +21,7 @@ import {
 } from "@/components/ui/select";
 import { toPng } from "html-to-image";  
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -718,42 +709,13 @@ const inverterY = centerY - 40;
 
 
 /* ============================
-   Oscilloscope: DC Voltage, Battery Current, Power
+   Oscilloscope traces: DC Voltage, Battery Current, Power
    ============================ */
-function BatteryOscilloscope({ history = [], running = true }) {
-  const data = history.slice(-360).map((d, idx) => {
-    return {
-      t: idx,
-      V: d.Vdc || 0,
-      I: d.Ibat || 0,
-      P: d.Pbat || 0,
-      SOC: d.SOC || 0,
-    };
-  });
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — DC Bus (V), Battery Current (I), Battery Power (P)</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Vdc (V)" />
-            <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Ibat (A)" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Pbat (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const BATTERY_TRACES = [
+  { key: "Vdc", name: "Vdc (V)", color: "#ffd24a" },
+  { key: "Ibat", name: "Ibat (A)", color: "#00ffbf" },
+  { key: "Pbat", name: "Pbat (W)", color: "#ff9a4a" },
+];
 
 /* ============================
    Main Page: Battery / UPS Designer
@@ -1078,7 +1040,7 @@ export default function BatteryUPSDesignerPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <BatteryOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — DC Bus (V), Battery Current (I), Battery Power (P)" data={history} traces={BATTERY_TRACES} running={running} exportName="battery-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
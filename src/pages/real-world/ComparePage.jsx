@@ -40,20 +40,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-  AreaChart,
-  Area,
-  BarChart,
-  Bar,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -420,48 +407,28 @@ function VisualizerSVG({ mainsV = 230, history = [], running = true, appliances
 
 /* ============================
    MultiOscilloscope for ComparePage
-   - plots: total power, per-appliance traces, energy accumulation
+   - plots: total power and up to six per-appliance power traces
    ============================ */
-function MultiOscilloscope({ history = [], appliances = [], running }) {
-  // build data for last N points
-  const slice = history.slice(-360);
-  const data = slice.map((d, idx) => {
-    const obj = { t: idx, totalP: round(d.totalP, 3), totalI: round(d.totalI, 4), ts: d.ts };
-    // per appliance short names: use id_index
-    d.items.forEach((it) => {
-      obj[it.instanceId] = round(it.P, 3);
-    });
-    // cumulative energy (Wh) approx: integrate using simple trapezoid with 1-second steps (coarse)
-    // We'll compute incremental energy across history in a simplified way
-    return obj;
-  });
+const APPLIANCE_PALETTE = ["#ffd24a", "#00ffbf", "#ff9a4a", "#7ef0ff", "#ff6a9a", "#ffd77a", "#9ee6ff"];
 
-  // derive a palette for up to N traces
-  const palette = ["#ffd24a", "#00ffbf", "#ff9a4a", "#7ef0ff", "#ff6a9a", "#ffd77a", "#9ee6ff"];
+function MultiOscilloscope({ history = [], appliances = [], running }) {
+  const traces = useMemo(
+    () => [
+      { key: "totalP", name: "Total Power (W)", color: "#ffd24a" },
+      ...appliances.slice(0, 6).map((ap, i) => ({
+        key: ap.instanceId,
+        name: `${ap.base.name}`,
+        color: APPLIANCE_PALETTE[i % APPLIANCE_PALETTE.length],
+        width: 1.6,
+        // appliances added later have no sample in older rows
+        value: (d) => d.items.find((it) => it.instanceId === ap.instanceId)?.P ?? null,
+      })),
+    ],
+    [appliances]
+  );
 
   return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Live Plot — Total Power & Appliances</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="totalP" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Total Power (W)" />
-            {appliances.slice(0, 6).map((ap, i) => (
-              <Line key={ap.instanceId} type="monotone" dataKey={ap.instanceId} stroke={palette[i % palette.length]} strokeWidth={1.6} dot={false} isAnimationActive={false} name={`${ap.base.name}`} />
-            ))}
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-
+    <Oscilloscope title="Live Plot — Total Power & Appliances" data={history} traces={traces} running={running} exportName="compare-power">
       <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-3">
         <div className="p-3 rounded-md bg-zinc-900/40 border border-zinc-800">
           <div className="text-xs text-zinc-400">Last Sample (Total)</div>
@@ -476,7 +443,7 @@ function MultiOscilloscope({ history = [], appliances = [], running }) {
           <div className="text-lg font-semibold text-[#ffd24a]">{history.length}</div>
         </div>
       </div>
-    </div>
+    </Oscilloscope>
   );
 }
 
@@ -38,18 +38,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-  BarChart,
-  Bar,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities (same style as your file)
@@ -401,34 +390,12 @@ function ElectricVisualizerSVG({
 }
 
 /* ============================
-   ConsumptionOscilloscope (unchanged)
+   Consumption oscilloscope traces (kWh left, cost right)
    ============================ */
-function ConsumptionOscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({ t: idx, kWh: round(d.kWh, 4), cost: round(d.cost, 2) }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — kWh (left) & Cost (right)</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis yAxisId="left" orientation="left" tick={{ fill: "#888" }} />
-            <YAxis yAxisId="right" orientation="right" tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line yAxisId="left" type="monotone" dataKey="kWh" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="kWh" />
-            <Line yAxisId="right" type="monotone" dataKey="cost" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Cost (₹)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const CONSUMPTION_TRACES = [
+  { key: "kWh", name: "kWh", color: "#ffd24a" },
+  { key: "cost", name: "Cost (₹)", color: "#ff9a4a", axis: "right" },
+];
 
 /* ============================
    Main page component: Electric Bill Estimator
@@ -841,7 +808,7 @@ export default function ElectricBillEstimatorPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <ConsumptionOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — kWh (left) & Cost (right)" data={history} traces={CONSUMPTION_TRACES} running={running} exportName="consumption-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
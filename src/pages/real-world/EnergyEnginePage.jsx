@@ -1,7 +1,7 @@
 // src/pages/EnergyEnginePage.jsx
 "use client";
 
-import React, { useEffect, useMemo, useState, useRef } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import Header from "@/components/Header";
 import EnergyControls from "@/components/EnergyControls";
 import EnergyVisualizer from "@/components/EnergyVisualizer";
@@ -21,7 +21,8 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { motion } from "framer-motion";
 import useGemini from "../../../hooks/useGeminii";
 import useEnergySim from "../../../hooks/useEnergySim";
-import { exportElementToPdf } from "../../../utils/exportPdf";
+import { saveAs } from "file-saver";
+import { generateReportPdf, reportFileName } from "@/lib/report";
 import { Bug, ChevronDown, Lightbulb, Sparkles  } from "lucide-react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
@@ -54,8 +55,6 @@ export default function EnergyEnginePage() {
     }
   }, [userProfile]);
 
-  const containerRef = useRef(null);
-
   const generateRecommendations = async () => {
     try {
       const prompt = buildPrompt({ appliances, efficiencyFactor, totals, userProfile });
@@ -69,11 +68,30 @@ export default function EnergyEnginePage() {
   };
   console.log(recommendations)
   const onExportPDF = async () => {
+    // same payload schema as the report service (src/lib/report/schema.js, kind "energy")
+    const payload = {
+      title: "Energy Report",
+      generatedAt: new Date().toISOString(),
+      profile: userProfile,
+      efficiencyFactor: Number(efficiencyFactor) || 1,
+      appliances: appliances.map((a) => ({
+        name: String(a.name || a.id),
+        baseWatts: Number(a.baseWatts) || 0,
+        quantity: Number(a.quantity) || 0,
+        enabled: Boolean(a.enabled),
+      })),
+      history: history.map((h) => ({ t: h.t, watts: h.watts })),
+      recommendations: recommendations || "",
+    };
     try {
-      await exportElementToPdf(containerRef.current, `energy-report-${Date.now()}.pdf`);
+      toast.loading("Generating PDF...");
+      const { blob } = await generateReportPdf("energy", payload);
+      toast.dismiss();
+      saveAs(blob, reportFileName(`energy-report-${Date.now()}`));
       toast.success("PDF exported");
     } catch (err) {
-      toast.error(String(err));
+      toast.dismiss();
+      toast.error("Failed to generate PDF.", { description: err.details?.join("\n") ?? String(err.message || err) });
     }
   };
 
@@ -90,7 +108,7 @@ export default function EnergyEnginePage() {
       <Header title="SparkLab" subtitle="Energy Saving Engine" />
       <div className="h-16" />
 
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6" ref={containerRef}>
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
           <div className="lg:col-span-4">
             <EnergyControls
@@ -119,7 +137,12 @@ export default function EnergyEnginePage() {
             </motion.div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <Oscilloscope history={history} />
+              <Oscilloscope
+                title="Oscilloscope — Live Power (W)"
+                data={history}
+                traces={[{ key: "watts", name: "Power (W)", color: "#ffd24a" }]}
+                exportName="energy-engine-power"
+              />
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
                 <CardHeader>
                   <CardTitle className="text-[#ffd24a]">Recommendations</CardTitle>
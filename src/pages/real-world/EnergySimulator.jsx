@@ -35,16 +35,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -604,42 +595,15 @@ function useEnergySim({
 
 
 /* ============================
-   Oscilloscope (Generation, Load, Battery)
-   - plots last N points for P_gen, P_load, P_batt, P_grid
+   Oscilloscope traces (Generation, Load, Battery)
+   - P_gen, P_load, P_batt, P_grid
    ============================ */
-function EnergyOscilloscope({ history = [], running }) {
-  const data = history.slice(-480).map((d, idx) => ({
-    t: idx,
-    P_gen: round(d.P_gen, 2),
-    P_load: round(d.P_load, 2),
-    P_batt: round(d.P_batt, 2),
-    P_grid: round(d.P_grid, 2),
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Energy Oscilloscope — Generation, Load, Battery</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="P_gen" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Generation (W)" />
-            <Line type="monotone" dataKey="P_load" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Load (W)" />
-            <Line type="monotone" dataKey="P_batt" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Battery (W)" />
-            <Line type="monotone" dataKey="P_grid" stroke="#9ee6ff" strokeWidth={2} dot={false} isAnimationActive={false} name="Grid (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const ENERGY_TRACES = [
+  { key: "P_gen", name: "Generation (W)", color: "#ffd24a" },
+  { key: "P_load", name: "Load (W)", color: "#00ffbf" },
+  { key: "P_batt", name: "Battery (W)", color: "#ff9a4a" },
+  { key: "P_grid", name: "Grid (W)", color: "#9ee6ff" },
+];
 
 /* ============================
    Main Page Component
@@ -1106,7 +1070,7 @@ export default function EnergySimulatorPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <EnergyOscilloscope history={history} running={running} />
+                <Oscilloscope title="Energy Oscilloscope — Generation, Load, Battery" data={history} traces={ENERGY_TRACES} running={running} window={480} exportName="energy-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
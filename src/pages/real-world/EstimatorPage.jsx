@@ -41,16 +41,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -481,40 +472,14 @@ function useSolarSim({
 
 
 /* ============================
-   Oscilloscope for Power traces
+   Oscilloscope traces for power
    - Shows production, load, battery %
    ============================ */
-function SolarOscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({
-    t: idx,
-    Pprod: round(d.Pprod, 1),
-    Pload: round(d.Pload, 1),
-    batt: round((d.batt || 0) * 100, 1),
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Production, Load, Battery%</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="Pprod" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Produced (W)" />
-            <Line type="monotone" dataKey="Pload" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Load (W)" />
-            <Line type="monotone" dataKey="batt" stroke="#9ee6ff" strokeWidth={2} dot={false} isAnimationActive={false} name="Battery (%)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const SOLAR_TRACES = [
+  { key: "Pprod", name: "Produced (W)", color: "#ffd24a" },
+  { key: "Pload", name: "Load (W)", color: "#00ffbf" },
+  { key: "batt", name: "Battery (%)", color: "#9ee6ff", value: (d) => (d.batt || 0) * 100 },
+];
 
 /* ============================
    Estimator Page
@@ -898,7 +863,7 @@ export default function EstimatorPage() {
             </motion.div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
-              <SolarOscilloscope history={history} running={running} />
+              <Oscilloscope title="Oscilloscope — Production, Load, Battery%" data={history} traces={SOLAR_TRACES} running={running} exportName="solar-scope" />
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
                 <CardHeader>
@@ -39,18 +39,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-  BarChart,
-  Bar,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -362,32 +351,9 @@ function FootprintVisualizerSVG({ activities = [], totalsNow = {}, running }) {
 }
 
 /* ============================
-   Oscilloscope (CO2 history)
-   - last N points plotted, axis styled for dark theme
+   Oscilloscope traces (CO2 history)
    ============================ */
-function CO2Oscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({ t: idx, CO2_gph: round(d.co2, 2) }));
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — CO₂ (g/h)</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="CO2_gph" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="CO₂ g/h" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const CO2_TRACES = [{ key: "co2", name: "CO₂ g/h", color: "#ff9a4a" }];
 
 /* ============================
    Main Footprint page
@@ -819,7 +785,7 @@ export default function FootPrintCalculatorPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <CO2Oscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — CO₂ (g/h)" data={history} traces={CO2_TRACES} running={running} exportName="co2-footprint" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
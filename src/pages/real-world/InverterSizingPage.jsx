@@ -35,16 +35,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -163,7 +154,10 @@ function useInverterSim({
   }, [running, timestep, stepCompute, batteryBank.SoC]);
 
   // return history and some quick computed summaries (memoized)
-  const latest = history.length ? history[history.length - 1] : { Ppv: 0, Ibatt: 0, Pload: 0, SoC: batteryBank.SoC };
+  const latest = useMemo(
+    () => (history.length ? history[history.length - 1] : { Ppv: 0, Ibatt: 0, Pload: 0, SoC: batteryBank.SoC }),
+    [history, batteryBank.SoC]
+  );
 
   const recommendations = useMemo(() => {
     // Suggest inverter sizing: round up continuous load with safety margin
@@ -338,40 +332,14 @@ function InverterVisualizerSVG({ latest, inverterType, systemVoltage }) {
 }
 
 /* ============================
-   Oscilloscope for inverter metrics
-   - Plots PV power, battery current, load power
+   Oscilloscope traces for inverter metrics
+   - PV power, battery current, load power
    ============================ */
-function InverterOscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({
-    t: idx,
-    Ppv: round(d.Ppv || 0, 2),
-    Ibatt: round(d.Ibatt || 0, 3),
-    Pload: round(d.Pload || 0, 2),
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — PV Power, Battery Current, Load Power</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="Ppv" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="PV Power (W)" />
-            <Line type="monotone" dataKey="Ibatt" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Battery Current (A)" />
-            <Line type="monotone" dataKey="Pload" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Load Power (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const INVERTER_TRACES = [
+  { key: "Ppv", name: "PV Power (W)", color: "#ffd24a" },
+  { key: "Ibatt", name: "Battery Current (A)", color: "#00ffbf" },
+  { key: "Pload", name: "Load Power (W)", color: "#ff9a4a" },
+];
 
 /* ============================
    Main Inverter Sizing Page
@@ -735,7 +703,7 @@ export default function InverterSizingPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <InverterOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — PV Power, Battery Current, Load Power" data={history} traces={INVERTER_TRACES} running={running} exportName="inverter-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
@@ -44,18 +44,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-  AreaChart,
-  Area,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities
@@ -413,40 +402,13 @@ function LoadBalancerVisualizer({ servers = [], history = [], running, incomingR
 }
 
 /* ============================
-   Perf Oscilloscope component (RPS, Avg Latency)
+   Perf oscilloscope traces (RPS, Avg Latency)
    ============================ */
-function RequestOscilloscope({ history = [], running }) {
-  const data = history.slice(-240).map((d, idx) => ({
-    t: idx,
-    rps: d.rps || 0,
-    latency: d.avgLatency || 0,
-    active: d.active || 0,
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Requests/sec & Avg Latency</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis yAxisId="left" orientation="left" tick={{ fill: "#888" }} />
-            <YAxis yAxisId="right" orientation="right" tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line yAxisId="left" type="monotone" dataKey="rps" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="RPS" />
-            <Line yAxisId="right" type="monotone" dataKey="latency" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Avg Latency (ms)" />
-            <Line yAxisId="left" type="monotone" dataKey="active" stroke="#00ffbf" strokeWidth={1.5} dot={false} isAnimationActive={false} name="Active Conns" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const REQUEST_TRACES = [
+  { key: "rps", name: "RPS", color: "#ffd24a" },
+  { key: "avgLatency", name: "Avg Latency (ms)", color: "#ff9a4a", axis: "right" },
+  { key: "active", name: "Active Conns", color: "#00ffbf", width: 1.5 },
+];
 
 /* ============================
    Main Load Balance Page
@@ -785,7 +747,7 @@ export default function LoadBalancePage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full">
               <div>
-                <RequestOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — Requests/sec & Avg Latency" data={history} traces={REQUEST_TRACES} running={running} window={240} exportName="requests-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
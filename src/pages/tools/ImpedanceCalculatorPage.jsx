@@ -33,16 +33,8 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import { C, impedance, seriesImpedance, parallelImpedance } from "@/lib/circuit";
 
 /*
   Fixed & improved ImpedanceCalculatorPage.jsx
@@ -68,23 +60,6 @@ const round = (v, p = 6) => {
 const deg = (rad) => (rad * 180) / Math.PI;
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 
-/* ============================
-   Complex arithmetic
-   ============================ */
-function cAdd(a, b) {
-  return { re: a.re + b.re, im: a.im + b.im };
-}
-function cInv(a) {
-  const d = a.re * a.re + a.im * a.im;
-  return { re: a.re / d, im: -a.im / d };
-}
-function cMag(a) {
-  return Math.sqrt(a.re * a.re + a.im * a.im);
-}
-function cPhase(a) {
-  return Math.atan2(a.im, a.re);
-}
-
 /* ============================
    Simulation hook
    - computes eq impedance and produces buffered/throttled waveform history
@@ -100,38 +75,27 @@ function useImpedanceSim({ running, freq = 50, Vm = 12, groups = [] }) {
   const bufferRef = useRef([]); // accumulate points between state updates
   const lastCommitRef = useRef(performance.now());
 
-  // component impedance helper
+  // component impedance helper (values entered in Ω, mH and µF)
   const compImpedance = useCallback((c, w) => {
-    if (!c) return { re: 0, im: 0 };
-    if (c.type === "R") return { re: c.val, im: 0 };
-    if (c.type === "L") return { re: 0, im: w * (c.val * 1e-3) };
+    if (!c) return C.zero();
+    if (c.type === "R") return impedance("R", c.val, w);
+    if (c.type === "L") return impedance("L", c.val * 1e-3, w);
     if (c.type === "C") {
-      const C = c.val * 1e-6;
-      if (C <= 0) return { re: 0, im: 0 };
-      return { re: 0, im: -1 / (w * C) };
+      if (c.val <= 0) return C.zero();
+      return impedance("C", c.val * 1e-6, w);
     }
-    return { re: 0, im: 0 };
+    return C.zero();
   }, []);
 
   // compute eq impedance (memoized)
   const eq = useMemo(() => {
     const w = 2 * Math.PI * freq;
-    if (!groups || groups.length === 0) return { Zeq: { re: 0, im: 0 }, groupZ: [] };
+    if (!groups || groups.length === 0) return { Zeq: C.zero(), groupZ: [] };
     const groupZ = groups.map((g) => {
       const zList = g.values.map((c) => compImpedance(c, w));
-      if (g.type === "series") {
-        return zList.reduce((acc, z) => cAdd(acc, z), { re: 0, im: 0 });
-      } else {
-        // parallel
-        let accInv = { re: 0, im: 0 };
-        zList.forEach((z) => {
-          const inv = z.re === 0 && z.im === 0 ? { re: Infinity, im: 0 } : cInv(z);
-          accInv = cAdd(accInv, inv);
-        });
-        return (!isFinite(accInv.re) || !isFinite(accInv.im)) ? { re: 0, im: 0 } : cInv(accInv);
-      }
+      return g.type === "series" ? seriesImpedance(zList) : parallelImpedance(zList);
     });
-    const Zeq = groupZ.reduce((a, b) => cAdd(a, b), { re: 0, im: 0 });
+    const Zeq = seriesImpedance(groupZ);
     return { Zeq, groupZ };
   }, [groups, freq, compImpedance]);
 
@@ -166,8 +130,8 @@ function useImpedanceSim({ running, freq = 50, Vm = 12, groups = [] }) {
       if (dt < 8) return;
 
       const t = tRef.current / 1000;
-      const magZ = cMag({ re: ZeqRe, im: ZeqIm }) || 1e-12;
-      const ph = cPhase({ re: ZeqRe, im: ZeqIm }) || 0;
+      const magZ = C.abs({ re: ZeqRe, im: ZeqIm }) || 1e-12;
+      const ph = C.arg({ re: ZeqRe, im: ZeqIm }) || 0;
       const Im = VmLocal / magZ;
 
       const v = VmLocal * Math.sin(w * t);
@@ -216,8 +180,8 @@ function useImpedanceSim({ running, freq = 50, Vm = 12, groups = [] }) {
    VisualizerSVG
    ============================ */
 function VisualizerSVG({ groups, Vm, eq, running, manualI }) {
-  const magZ = cMag(eq.Zeq) || 0;
-  const angleZ = cPhase(eq.Zeq) || 0;
+  const magZ = C.abs(eq.Zeq) || 0;
+  const angleZ = C.arg(eq.Zeq) || 0;
   const IeqSim = magZ > 0 ? Vm / magZ : 0;
   const IeqUsed =
     Number.isFinite(Number(manualI)) && manualI !== ""
@@ -460,7 +424,7 @@ function VisualizerSVG({ groups, Vm, eq, running, manualI }) {
             >
               |Z|:{" "}
               <tspan fill="#fff">
-                {round(cMag(eq.Zeq || { re: 0, im: 0 }), 6)} Ω
+                {round(C.abs(eq.Zeq || { re: 0, im: 0 }), 6)} Ω
               </tspan>
             </text>
             <text
@@ -471,7 +435,7 @@ function VisualizerSVG({ groups, Vm, eq, running, manualI }) {
             >
               ∠Z:{" "}
               <tspan fill="#fff">
-                {round(deg(cPhase(eq.Zeq || { re: 0, im: 0 })), 3)}°
+                {round(deg(C.arg(eq.Zeq || { re: 0, im: 0 })), 3)}°
               </tspan>
             </text>
             <text
@@ -501,53 +465,34 @@ function VisualizerSVG({ groups, Vm, eq, running, manualI }) {
 
 
 /* ============================
-   Oscilloscope Panel
+   Oscilloscope Panel (I and P follow the manual current when one is set)
    ============================ */
-function Oscilloscope({ history = [], manualI, running }) {
-  // Keep data array small and memoized
-  const data = useMemo(() => (
-    history.slice(-300).map((d, idx) => {
-      const I_sim = d.i || 0;
-      const I_manual = Number.isFinite(Number(manualI)) && manualI !== "" ? Number(manualI) : null;
-      const I_used = I_manual !== null ? Number(I_manual) : I_sim;
-      const V = d.v || 0;
-      const P_used = V * I_used;
-      return { t: idx, V: round(V, 6), I_used: round(I_used, 9), P: round(P_used, 8) };
-    })
-  ), [history, manualI]);
+function ImpedanceOscilloscope({ history = [], manualI, running }) {
+  const traces = useMemo(() => {
+    const I_manual = Number.isFinite(Number(manualI)) && manualI !== "" ? Number(manualI) : null;
+    const current = (d) => (I_manual !== null ? I_manual : d.i || 0);
+    return [
+      { key: "V", name: "Voltage (V)", color: "#ffd24a", value: (d) => d.v || 0 },
+      { key: "I_used", name: "Current (A)", color: "#ffb86b", value: current },
+      { key: "P", name: "Power (W)", color: "#ff9a4a", value: (d) => (d.v || 0) * current(d) },
+    ];
+  }, [manualI]);
 
   return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-3">
-          <div className={`w-3 h-3 rounded-full ${running ? 'bg-[#ff7a2d] animate-pulse' : 'bg-zinc-700'}`} />
-          <div className="text-sm font-medium text-[#ff7a2d]">Oscilloscope</div>
-        </div>
-      <Badge
-  className="bg-black/70 border border-orange-500/40 text-orange-300 
-             px-3 py-1 rounded-full shadow-md text-xs font-medium 
-             backdrop-blur-sm"
->
-  Voltage • Current • Power
-</Badge>
-
-      </div>
-      <div className="h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#070707", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            {/* Disabled animations and dots to prevent chart internal re-render loops */}
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} animationDuration={0} name="Voltage (V)" />
-            <Line type="monotone" dataKey="I_used" stroke="#ffb86b" strokeWidth={2} dot={false} isAnimationActive={false} animationDuration={0} name="Current (A)" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} animationDuration={0} name="Power (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
+    <Oscilloscope
+      title="Oscilloscope"
+      data={history}
+      traces={traces}
+      running={running}
+      window={300}
+      height="h-56"
+      exportName="impedance-scope"
+      badge={
+        <Badge className="bg-black/70 border border-orange-500/40 text-orange-300 px-3 py-1 rounded-full shadow-md text-xs font-medium backdrop-blur-sm">
+          Voltage • Current • Power
+        </Badge>
+      }
+    />
   );
 }
 
@@ -767,8 +712,8 @@ export default function ImpedanceCalculatorPage() {
   };
 
   // derived results
-  const magZ = cMag(eq.Zeq) || 0;
-  const angle = cPhase(eq.Zeq) || 0;
+  const magZ = C.abs(eq.Zeq) || 0;
+  const angle = C.arg(eq.Zeq) || 0;
   const IeqSim = magZ > 0 ? (toNum(Vm) || 0) / magZ : 0;
   const IeqUsed = Number.isFinite(Number(manualCurrent)) && manualCurrent !== "" ? Number(manualCurrent) : IeqSim;
   const pf = Math.cos(angle) || 0;
@@ -1003,7 +948,7 @@ export default function ImpedanceCalculatorPage() {
             </motion.div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <Oscilloscope history={history} manualI={manualCurrent} running={running} />
+              <ImpedanceOscilloscope history={history} manualI={manualCurrent} running={running} />
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
                 <CardHeader>
@@ -1015,7 +960,7 @@ export default function ImpedanceCalculatorPage() {
                   <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
                     <div className="rounded-md p-3 bg-zinc-900/30 border border-zinc-800">
                       <div className="text-xs text-zinc-400">|Z|</div>
-                      <div className="text-lg font-semibold text-[#ff9a4a]">{round(cMag(eq.Zeq || { re: 0, im: 0 }), 6)} Ω</div>
+                      <div className="text-lg font-semibold text-[#ff9a4a]">{round(C.abs(eq.Zeq || { re: 0, im: 0 }), 6)} Ω</div>
                       <div className="text-xs text-zinc-400 mt-1">Angle</div>
                       <div className="text-sm text-[#9ee6ff]">{round(deg(angle || 0), 3)}°</div>
                     </div>
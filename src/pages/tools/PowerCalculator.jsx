@@ -40,6 +40,7 @@ import {
   Tooltip,
   Legend,
 } from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 import { toPng } from "html-to-image";  
 
 
@@ -289,30 +290,9 @@ function CircuitVisualizer({
 }
 
 /* ============================
-   Oscilloscope component
+   Oscilloscope trace (power in the selected formula)
    ============================ */
-function Oscilloscope({ history, primary = "#ff7a2d", running }) {
-  const data = history.slice(-160);
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/20 border border-zinc-800">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm text-orange-300 font-medium">Oscilloscope — Power</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-36 sm:h-44 md:h-56 lg:h-64">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" hide />
-            <YAxis tick={{ fill: "#888" }} />
-            <Tooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222",borderRadius:"10px" }} />
-            <Line type="monotone" dataKey="P_display" stroke={primary} strokeWidth={2} dot={false} isAnimationActive={false} />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const POWER_TRACES = [{ key: "P_display", name: "Power (W)", color: "#ff7a2d" }];
 
 /* ============================
    Multi-line history chart
@@ -712,7 +692,7 @@ const snapshotPNG = async () => {
         </CardTitle>
       </CardHeader>
       <CardContent className="w-full max-w-full overflow-hidden">
-        <Oscilloscope history={history} primary="#ff7a2d" running={running} />
+        <Oscilloscope title="Oscilloscope — Power" data={history} traces={POWER_TRACES} running={running} window={160} height="h-36 sm:h-44 md:h-56 lg:h-64" exportName="power-scope" />
       </CardContent>
     </Card>
   </motion.div>
@@ -12,16 +12,7 @@
  */
 
 import React, { useEffect, useMemo, useState, useRef, useCallback } from "react";
-import {
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 import { toPng } from "html-to-image"; 
 import { motion, useMotionValue, useSpring } from "framer-motion";
 import { Toaster, toast } from "sonner";
@@ -226,56 +217,41 @@ function useOscilloscopeSim({ running, freq = 50, Vrms = 230, Irms = 5, pf = 0.9
 
 /* --------------------------
    RealTimeOscilloscope (now driven by history from useOscilloscopeSim)
-   - Recharts rendering, no internal animation (isAnimationActive=false)
-   - uses a slice of recent history
+   - shared recording scope; the badge shows the phase shift of the latest frame
    -------------------------- */
-function RealTimeOscilloscope({ history = [], running = true, title = "Oscilloscope", height = 220 }) {
-  const data = useMemo(() => {
-    const slice = history.length > 400 ? history.slice(history.length - 400) : history;
-    return slice.map((d, idx) => ({ t: idx, v: round(d.v, 3), i: round(d.i, 4) }));
-  }, [history]);
+const PF_TRACES = [
+  { key: "v", name: "V (pk)", color: "#ffd24a" },
+  { key: "i", name: "I (pk)", color: "#00ffbf", width: 1.6 },
+];
 
+function RealTimeOscilloscope({ history = [], running = true, title = "Oscilloscope", height = "h-[220px]" }) {
   return (
-    <div className="rounded-xl border border-zinc-800 bg-black/60 p-3">
-      <div className="flex justify-between mb-2">
-        <div className="text-sm text-[#ffd24a] font-medium">{title}</div>
-        <Badge
-  className="bg-black/60 border border-orange-500/30 
-  text-[#ffd24a] text-[11px] px-3 py-1 rounded-full 
-  shadow-sm hover:border-orange-500/50 transition-all duration-300"
->
-  Phase Shift:&nbsp;
-  {history.length
-    ? `${round(
-        Math.acos(
-          clamp(
-            history[history.length - 1]?.i /
-              (Math.SQRT2 * ((history[history.length - 1]?.v || 1) / Math.SQRT2)) || 1,
-            -1,
-            1
-          )
-        ) * (180 / Math.PI),
-        1
-      )}°`
-    : "—"}
-</Badge>
-
-      </div>
-
-      <div style={{ height }}>
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#222" strokeDasharray="3 3" />
-            <XAxis dataKey="t" hide />
-            <YAxis tick={{ fill: "#888" }} />
-            <Tooltip contentStyle={{ background: "#070707", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="v" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="V (pk)" />
-            <Line type="monotone" dataKey="i" stroke="#00ffbf" strokeWidth={1.6} dot={false} isAnimationActive={false} name="I (pk)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
+    <Oscilloscope
+      title={title}
+      data={history}
+      traces={PF_TRACES}
+      running={running}
+      window={400}
+      height={height}
+      exportName="power-factor-scope"
+      badge={
+        <Badge className="bg-black/60 border border-orange-500/30 text-[#ffd24a] text-[11px] px-3 py-1 rounded-full shadow-sm hover:border-orange-500/50 transition-all duration-300">
+          Phase Shift:&nbsp;
+          {history.length
+            ? `${round(
+                Math.acos(
+                  clamp(
+                    history[history.length - 1]?.i / (Math.SQRT2 * ((history[history.length - 1]?.v || 1) / Math.SQRT2)) || 1,
+                    -1,
+                    1
+                  )
+                ) * (180 / Math.PI),
+                1
+              )}°`
+            : "—"}
+        </Badge>
+      }
+    />
   );
 }
 
@@ -38,16 +38,7 @@ import {
   Tooltip,
 } from "@/components/ui/tooltip";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ============================
    Utilities (careful arithmetic)
@@ -529,30 +520,9 @@ function VisualizerSVG({
 }
 
 /* ============================
-   Oscilloscope (Power)
+   Oscilloscope trace (Power)
    ============================ */
-function PowerOscilloscope({ history, running }) {
-  const data = history.slice(-240);
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/20 border border-zinc-800 w-full max-w-full overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Total Power</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-36 sm:h-44 md:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" hide />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222",color:"#fff",borderRadius:"10px" }} />
-            <Line type="monotone" dataKey="P" stroke="#ff7a2d" strokeWidth={2} dot={false} isAnimationActive={false} />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const POWER_TRACES = [{ key: "P", name: "Total Power (W)", color: "#ff7a2d" }];
 
 /* ============================
    Main Page
@@ -1028,7 +998,7 @@ const snapshotPNG = async () => {
                     </CardTitle>
                   </CardHeader>
                   <CardContent>
-                    <PowerOscilloscope history={history} running={running} />
+                    <Oscilloscope title="Oscilloscope — Total Power" data={history} traces={POWER_TRACES} running={running} window={240} height="h-36 sm:h-44 md:h-56" exportName="resistance-power-scope" />
                   </CardContent>
                 </Card>
               </motion.div>
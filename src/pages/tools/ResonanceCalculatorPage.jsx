@@ -34,7 +34,7 @@ SquarePower,
 Camera,
 } from "lucide-react";
 
-import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip as ReTooltip, Legend } from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 import { toPng } from "html-to-image";
 // shadcn-like components - update paths if needed
 import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
@@ -274,51 +274,12 @@ function AnimatedNumber({ value = 0, precision = 2, className = "" }) {
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Oscilloscope (Recharts) - memoized data to avoid re-renders
+// Oscilloscope traces (shared recording scope)
 ////////////////////////////////////////////////////////////////////////////////
-function Oscilloscope({ history = [], running, height = 220 }) {
-  const data = useMemo(() => {
-    const slice = history.length > 400 ? history.slice(history.length - 400) : history;
-    return slice.map((d, idx) => ({ t: idx, v: round(d.v, 4), i: round(d.i, 6) }));
-  }, [history]);
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-3">
-          <div className={`w-3 h-3 rounded-full ${running ? "bg-[#ff7a2d] animate-pulse" : "bg-zinc-700"}`} />
-          <div className="text-sm font-medium text-[#ff7a2d]">Oscilloscope</div>
-        </div>
-        <div
-  className="inline-flex items-center gap-2 text-xs sm:text-sm
-  bg-orange-900/20 border border-orange-500/30 text-zinc-300
-  px-3 py-1.5 rounded-full shadow-sm"
->
-  <span className="text-orange-400">
-    <span className="text-yellow-400 font-medium">v</span> (yellow)
-    &nbsp;•&nbsp;
-    <span className="text-cyan-400 font-medium">i</span> (cyan)
-  </span>
-</div>
-
-      </div>
-
-      <div style={{ height }}>
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#070707", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line dataKey="v" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} />
-            <Line dataKey="i" stroke="#00ffbf" strokeWidth={1.4} dot={false} isAnimationActive={false} />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const RESONANCE_TRACES = [
+  { key: "v", name: "v", color: "#ffd24a" },
+  { key: "i", name: "i", color: "#00ffbf", width: 1.4 },
+];
 
 ////////////////////////////////////////////////////////////////////////////////
 // PhasorDiagram component - visualizes rotating phasors for L & C (I vectors)
@@ -901,7 +862,7 @@ const snapshotPNG = async () => {
   <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full">
 
     {/* Oscilloscope */}
-    <Oscilloscope history={history} running={running} height={260} className="w-full" />
+    <Oscilloscope title="Oscilloscope" data={history} traces={RESONANCE_TRACES} running={running} window={400} height="h-[260px]" exportName="resonance-scope" />
 
     {/* Live Readouts Card */}
     <Card className="bg-black/70 border border-zinc-800 rounded-2xl w-full">
@@ -42,17 +42,9 @@ import { Select, SelectTrigger, SelectContent, SelectItem, SelectValue } from "@
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 
-// Recharts for oscilloscope
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+// Shared recording oscilloscope
+import Oscilloscope from "@/components/Oscilloscope";
+import { solveDC, theveninEquivalent } from "@/lib/circuit";
 
 /* ----------------------------------------
    Utilities (small, safe helpers)
@@ -68,12 +60,18 @@ const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
    Thevenin/Norton calculations
    ---------------------------------------- */
 function computeTheveninNorton({ Vs, Rs, Rl }) {
-  // Basic resistive circuit assumptions (DC/rms style values)
-  const Vth = Vs;
-  const Rth = Rs;
+  // Source network (Vs in series with Rs) seen from terminals a-0, solved with the shared MNA library
+  const source = [
+    { id: "Vs", type: "V", from: "1", to: "0", value: Vs },
+    { id: "Rs", type: "R", from: "1", to: "a", value: Rs },
+  ];
+  const eq = theveninEquivalent(["0"], source, "a", "0");
+  const loaded = solveDC(["0"], [...source, { id: "Rl", type: "R", from: "a", to: "0", value: Rl }]);
+  const Vth = eq ? eq.Vth : 0;
+  const Rth = eq ? eq.Rth : 0;
   const In = Rth !== 0 ? Vth / Rth : 0;
-  const Iload = (Rs + Rl) !== 0 ? Vs / (Rs + Rl) : 0;
-  const Vload = Iload * Rl;
+  const Iload = loaded ? loaded.branchCurrents.Rl : 0;
+  const Vload = loaded ? loaded.nodeVoltages.a : 0;
   const Pload = Iload * Iload * Rl;
   return { Vth, Rth, In, Iload, Vload, Pload };
 }
@@ -590,42 +588,12 @@ function CircuitVisualizer({ Vs, Rs, Rl, mode = "thevenin", running = true }) {
   );
 }
 /* ----------------------------------------
-   Oscilloscope panel
+   Oscilloscope traces: load voltage and current
    ---------------------------------------- */
-function OscilloscopePanel({ history = [], freq = 50, running }) {
-  const data = useMemo(
-    () =>
-      history.slice(-800).map((d, i) => ({
-        t: i,
-        Va: round(d.Va, 3),
-        Ia: round(d.Ia, 4),
-      })),
-    [history]
-  );
-
-  return (
-    <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
-      <CardHeader>
-        <CardTitle className="text-[#ffd24a] flex items-center gap-2"><Activity className="w-4 h-4" /> Oscilloscope</CardTitle>
-      </CardHeader>
-      <CardContent>
-        <div className="h-52 sm:h-60">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={data}>
-              <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-              <XAxis dataKey="t" tick={{ fill: "#888" }} hide={data.length === 0} />
-              <YAxis tick={{ fill: "#888" }} />
-              <ReTooltip contentStyle={{ background: "#0a0a0a", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-              <Legend wrapperStyle={{ color: "#aaa" }} />
-              <Line dataKey="Va" stroke="#ffd24a" dot={false} isAnimationActive={false} name="Voltage (V)" />
-              <Line dataKey="Ia" stroke="#00ffbf" dot={false} isAnimationActive={false} name="Current (A)" />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </CardContent>
-    </Card>
-  );
-}
+const LOAD_TRACES = [
+  { key: "Va", name: "Voltage (V)", color: "#ffd24a" },
+  { key: "Ia", name: "Current (A)", color: "#00ffbf" },
+];
 
 /* ----------------------------------------
    Formulas / explanation panel
@@ -975,7 +943,7 @@ const snapshotPNG = async () => {
             </Card>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <OscilloscopePanel history={history} running={running} />
+              <Oscilloscope title="Oscilloscope" data={history} traces={LOAD_TRACES} running={running} window={800} height="h-52 sm:h-60" exportName="thevenin-norton-scope" />
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl p-3">
                 <div className="text-xs text-zinc-400">Quick Results</div>
                 <div className="mt-2 grid grid-cols-2 gap-3">
@@ -56,16 +56,7 @@ import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { toPng } from "html-to-image";
 // Recharts for oscilloscope
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ===========================
    Utilities
@@ -219,57 +210,16 @@ function useThreePhaseSim({
 }
 
 /* ===========================
-   Oscilloscope component (Recharts)
-   - Disables animation on lines (isAnimationActive={false}) to avoid re-renders.
+   Oscilloscope traces: phase voltages (peak) and line currents (peak)
    =========================== */
-function Oscilloscope({ history = [], running, title = "Oscilloscope" }) {
-  const data = useMemo(
-    () =>
-      history.slice(-600).map((d, idx) => ({
-        t: idx,
-        Va: round(d.Va, 4),
-        Vb: round(d.Vb, 4),
-        Vc: round(d.Vc, 4),
-        Ia: round(d.Ia, 6),
-        Ib: round(d.Ib, 6),
-        Ic: round(d.Ic, 6),
-      })),
-    [history]
-  );
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-3">
-          <div className={`w-3 h-3 rounded-full ${running ? 'bg-[#ff7a2d] animate-pulse' : 'bg-zinc-700'}`} />
-          <div className="text-sm font-medium text-[#ff7a2d]">{title}</div>
-        </div>
-<Badge className="bg-zinc-900 border border-zinc-800 text-[#ffb74a] px-3 py-1 rounded-full text-xs">
-  Phase Voltages & Currents
-</Badge>
-
-      </div>
-
-      <div className="h-56 sm:h-64">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#070707", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="Va" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Va (Vpk)" />
-            <Line type="monotone" dataKey="Vb" stroke="#9ee6ff" strokeWidth={2} dot={false} isAnimationActive={false} name="Vb (Vpk)" />
-            <Line type="monotone" dataKey="Vc" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Vc (Vpk)" />
-            <Line type="monotone" dataKey="Ia" stroke="#00ffbf" strokeWidth={1.4} dot={false} isAnimationActive={false} name="Ia (Apk)" />
-            <Line type="monotone" dataKey="Ib" stroke="#ff77ff" strokeWidth={1.4} dot={false} isAnimationActive={false} name="Ib (Apk)" />
-            <Line type="monotone" dataKey="Ic" stroke="#b6ff7a" strokeWidth={1.4} dot={false} isAnimationActive={false} name="Ic (Apk)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const PHASE_TRACES = [
+  { key: "Va", name: "Va (Vpk)", color: "#ffd24a" },
+  { key: "Vb", name: "Vb (Vpk)", color: "#9ee6ff" },
+  { key: "Vc", name: "Vc (Vpk)", color: "#ff9a4a" },
+  { key: "Ia", name: "Ia (Apk)", color: "#00ffbf", width: 1.4 },
+  { key: "Ib", name: "Ib (Apk)", color: "#ff77ff", width: 1.4 },
+  { key: "Ic", name: "Ic (Apk)", color: "#b6ff7a", width: 1.4 },
+];
 
 /* ===========================
    AnimatedNumber (framer-motion spring)
@@ -1054,7 +1004,16 @@ export default function ThreePhaseCalculatorPage() {
             </Card>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <Oscilloscope history={history} running={running} title="Phase Voltages & Currents" />
+              <Oscilloscope
+                title="Phase Voltages & Currents"
+                data={history}
+                traces={PHASE_TRACES}
+                running={running}
+                window={600}
+                height="h-56 sm:h-64"
+                exportName="three-phase-scope"
+                badge={<Badge className="bg-zinc-900 border border-zinc-800 text-[#ffb74a] px-3 py-1 rounded-full text-xs">Phase Voltages & Currents</Badge>}
+              />
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
                 <CardHeader>
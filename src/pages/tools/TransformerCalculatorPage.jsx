@@ -37,16 +37,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /**
  * Fixed TransformerCalculatorPage.jsx
@@ -213,56 +204,13 @@ function useTransformerWave({
 }
 
 /* ============================
-   OscilloscopePanel (charts with animations disabled)
+   Oscilloscope traces: primary-side voltage, current and power
    ============================ */
-function OscilloscopePanel({ history = [], running, title = "Oscilloscope" }) {
-  const data = useMemo(
-    () =>
-      history.slice(-400).map((d, idx) => ({
-        t: idx,
-        V: round(d.V, 6),
-        I: round(d.I, 8),
-        P: round(d.P, 6),
-      })),
-    [history]
-  );
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/30 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-3">
-          <div className={`w-3 h-3 rounded-full ${running ? "bg-[#ff7a2d] animate-pulse" : "bg-zinc-700"}`} />
-          <div className="text-sm font-medium text-[#ff7a2d] ">{title}</div>
-        </div>
-  <Badge
-  className="bg-gradient-to-r from-orange-500/20 via-orange-600/20 to-orange-700/20 
-             border border-orange-500/40 text-orange-300 
-             px-3 py-1 rounded-full shadow-sm text-xs font-medium 
-             backdrop-blur-sm"
->
-  Voltage • Current • Power
-</Badge>
-
-      </div>
-
-      <div className="h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#070707", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            {/* disable Recharts animations and dots to avoid internal re-render churn */}
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} animationDuration={0} name="Voltage (V)" />
-            <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} animationDuration={0} name="Current (A)" />
-            <Line type="monotone" dataKey="P" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} animationDuration={0} name="Power (W)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const TRANSFORMER_TRACES = [
+  { key: "V", name: "Voltage (V)", color: "#ffd24a" },
+  { key: "I", name: "Current (A)", color: "#00ffbf" },
+  { key: "P", name: "Power (W)", color: "#ff9a4a" },
+];
 
 /* ============================
    TransformerVisualizer (responsive)
@@ -860,10 +808,19 @@ export default function TransformerCalculatorPage() {
 
   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
     {/* Oscilloscope */}
-    <OscilloscopePanel
-      history={history}
-      running={running}
+    <Oscilloscope
       title="Voltage / Current / Power"
+      data={history}
+      traces={TRANSFORMER_TRACES}
+      running={running}
+      window={400}
+      height="h-56"
+      exportName="transformer-scope"
+      badge={
+        <Badge className="bg-gradient-to-r from-orange-500/20 via-orange-600/20 to-orange-700/20 border border-orange-500/40 text-orange-300 px-3 py-1 rounded-full shadow-sm text-xs font-medium backdrop-blur-sm">
+          Voltage • Current • Power
+        </Badge>
+      }
     />
 
     {/* Results */}
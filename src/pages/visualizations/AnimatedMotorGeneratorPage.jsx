@@ -32,16 +32,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import {Slider } from "@/components/ui/slider"
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ---------- Utilities ---------- */
 const toNum = (v) => {
@@ -416,38 +407,12 @@ function MotorVisualizer({ mode, history = [], latest = {}, running, manualLoad
 }
 
 /* ---------- Oscilloscope for V, I, RPM ---------- */
-function MotorOscilloscope({ history = [], running }) {
-  const data = history.slice(-360).map((d, idx) => ({
-    t: idx,
-    V: d.V,
-    I: d.I,
-    RPM: d.rpm,
-    P: d.P_elec,
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — V, I, RPM</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="V" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Voltage (V)" />
-            <Line type="monotone" dataKey="I" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Current (A)" />
-            <Line type="monotone" dataKey="RPM" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="RPM" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+/* ---------- Oscilloscope traces for V, I, RPM ---------- */
+const MOTOR_TRACES = [
+  { key: "V", name: "Voltage (V)", color: "#ffd24a" },
+  { key: "I", name: "Current (A)", color: "#00ffbf" },
+  { key: "rpm", name: "RPM", color: "#ff9a4a" },
+];
 
 /* ---------- Main Page Component ---------- */
 export default function AnimatedMotorGeneratorPage() {
@@ -916,7 +881,7 @@ export default function AnimatedMotorGeneratorPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <MotorOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — V, I, RPM" data={history} traces={MOTOR_TRACES} running={running} exportName="motor-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
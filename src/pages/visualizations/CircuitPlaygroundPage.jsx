@@ -1,6 +1,6 @@
 // CircuitPlayground.jsx
 // A single-file desktop-only circuit playground with draggable components, wire-connections,
-// simple MNA phasor solver (R, L, C, AC sources), live charts (Recharts) and 3D phasor view (Plotly).
+// simple MNA phasor solver (R, L, C, AC and controlled sources, op-amps, diodes), live charts (Recharts) and 3D phasor view (Plotly).
 //
 // Dependencies:
 //   react, uuid, recharts, react-plotly.js, plotly.js, lucide-react
@@ -24,6 +24,7 @@ import {
   Legend,
   ResponsiveContainer,
   CartesianGrid,
+  ReferenceLine,
 } from "recharts";
 import Plot from "react-plotly.js";
 import {
@@ -50,7 +51,12 @@ import {
   Waves as Waveform,
   Activity,
   Settings2,
-  Info
+  Info,
+  FileCode,
+  FileDown,
+  Diamond,
+  Triangle,
+  TriangleRight,
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { Toaster, toast } from "sonner";
@@ -68,6 +74,20 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import {
+  C,
+  MAX_TRANSIENT_STEPS,
+  bodeMarkers,
+  buildNets,
+  solveAC,
+  solveDC,
+  solveTransient,
+  sweepFrequencies,
+  toSpice,
+  transferSweep,
+} from "@/lib/circuit";
+import SpiceImportDialog from "@/components/SpiceImportDialog";
+import Oscilloscope from "@/components/Oscilloscope";
 /* ===========================
    Theme & Small helpers
    =========================== */
@@ -80,113 +100,15 @@ const MUTED = "#bdbdbd";
 
 const GRID_SIZE = 12;
 
+// scope trace colours (voltages solid, currents dashed)
+const TRACE_COLORS = [ORANGE, "#ffd24a", "#5ee7ff", "#a78bfa", "#4ade80", "#f472b6", "#ff6b6b", "#e5e5e5"];
+// AC mode scope: v(t) at the first voltage source's right pin, rebuilt from its phasor
+const AC_SCOPE_TRACES = [{ key: "voltage", name: "v(t) (V)", color: ORANGE }];
+
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 const snap = (v, g = GRID_SIZE) => Math.round(v / g) * g;
 const fmt = (v, d = 3) => (v == null ? 0 : Number.parseFloat(v).toFixed(d));
 
-/* ===========================
-   Complex arithmetic (small library)
-   Represents complex numbers as objects { re, im }
-   =========================== */
-const C = {
-  add: (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
-  sub: (a, b) => ({ re: a.re - b.re, im: a.im - b.im }),
-  mul: (a, b) => ({
-    re: a.re * b.re - a.im * b.im,
-    im: a.re * b.im + a.im * b.re,
-  }),
-  div: (a, b) => {
-    const denom = b.re * b.re + b.im * b.im;
-    return {
-      re: (a.re * b.re + a.im * b.im) / denom,
-      im: (a.im * b.re - a.re * b.im) / denom,
-    };
-  },
-  scale: (a, s) => ({ re: a.re * s, im: a.im * s }),
-  conj: (a) => ({ re: a.re, im: -a.im }),
-  abs: (a) => Math.hypot(a.re, a.im),
-  zero: () => ({ re: 0, im: 0 }),
-  fromPolar: (mag, angleRad) => ({ re: mag * Math.cos(angleRad), im: mag * Math.sin(angleRad) }),
-};
-
-/* ===========================
-   Simple Gaussian elimination for complex linear systems
-   A is n x n array of complex; b is length n complex vector
-   Returns x vector complex
-   =========================== */
-function solveComplexLinear(A_in, b_in) {
-  // Make deep copies
-  const n = A_in.length;
-  const A = Array.from({ length: n }, (_, i) =>
-    Array.from({ length: n }, (_, j) => ({ re: A_in[i][j].re, im: A_in[i][j].im }))
-  );
-  const b = b_in.map((v) => ({ re: v.re, im: v.im }));
-
-  const eps = 1e-12;
-
-  for (let k = 0; k < n; k++) {
-    // pivot: find row with max magnitude in column k
-    let piv = k;
-    let maxMag = C.abs(A[k][k]);
-    for (let r = k + 1; r < n; r++) {
-      const mag = C.abs(A[r][k]);
-      if (mag > maxMag) {
-        maxMag = mag;
-        piv = r;
-      }
-    }
-    if (piv !== k) {
-      [A[k], A[piv]] = [A[piv], A[k]];
-      [b[k], b[piv]] = [b[piv], b[k]];
-    }
-    // singular check
-    const diagMag = C.abs(A[k][k]);
-    if (diagMag < eps) {
-      // singular or ill-conditioned -> return zeros
-      return Array.from({ length: n }, () => C.zero());
-    }
-    // normalize row k
-    const invDiag = C.div({ re: 1, im: 0 }, A[k][k]);
-    for (let j = k; j < n; j++) {
-      A[k][j] = C.mul(A[k][j], invDiag);
-    }
-    b[k] = C.mul(b[k], invDiag);
-
-    // eliminate rows below and above
-    for (let i = 0; i < n; i++) {
-      if (i === k) continue;
-      const factor = A[i][k];
-      if (Math.abs(factor.re) < 1e-15 && Math.abs(factor.im) < 1e-15) continue;
-      for (let j = k; j < n; j++) {
-        A[i][j] = C.sub(A[i][j], C.mul(factor, A[k][j]));
-      }
-      b[i] = C.sub(b[i], C.mul(factor, b[k]));
-    }
-  }
-
-  return b;
-}
-
-/* ===========================
-   Simple union-find for nets
-   =========================== */
-function UnionFind() {
-  const parent = {};
-  function find(a) {
-    if (!(a in parent)) parent[a] = a;
-    if (parent[a] === a) return a;
-    parent[a] = find(parent[a]);
-    return parent[a];
-  }
-  function union(a, b) {
-    const ra = find(a);
-    const rb = find(b);
-    if (ra === rb) return;
-    parent[rb] = ra;
-  }
-  return { find, union, parent };
-}
-
 /* ===========================
    Component palette
    Each palette item becomes a node with two pins ("left","right") unless stated.
@@ -199,8 +121,52 @@ const PALETTE = [
   { id: "capacitor", label: "Capacitor (μF)", color: "#ffd28a", width: 120, height: 48, icon: <ArrowRightCircle size={16} /> },
   { id: "ammeter", label: "Ammeter", color: "#ffd1a7", width: 130, height: 52, icon: <Circle size={16} /> },
   { id: "voltmeter", label: "Voltmeter", color: "#ffd1a7", width: 130, height: 52, icon: <Circle size={16} /> },
+  { id: "vcvs", label: "VCVS (E)", color: "#5ee7ff", width: 130, height: 52, icon: <Diamond size={16} /> },
+  { id: "vccs", label: "VCCS (G)", color: "#5ee7ff", width: 130, height: 52, icon: <Diamond size={16} /> },
+  { id: "ccvs", label: "CCVS (H)", color: "#a78bfa", width: 130, height: 52, icon: <Diamond size={16} /> },
+  { id: "cccs", label: "CCCS (F)", color: "#a78bfa", width: 130, height: 52, icon: <Diamond size={16} /> },
+  { id: "opamp", label: "Op-Amp (ideal)", color: "#4ade80", width: 140, height: 64, icon: <Triangle size={16} /> },
+  { id: "diode", label: "Diode", color: "#f472b6", width: 110, height: 48, icon: <TriangleRight size={16} /> },
 ];
 
+/* ===========================
+   Pin layouts: x / y are fractions of the node box
+   - two-terminal parts use "left" and "right"; a diode's left pin is the anode
+   - the op-amp output is referenced to Net 0 (ground)
+   =========================== */
+const TWO_PIN_LAYOUT = [
+  { id: "left", x: 0, y: 0.5, title: "Left Pin", dot: "bg-orange-200" },
+  { id: "right", x: 1, y: 0.5, title: "Right Pin", dot: "bg-cyan-200" },
+];
+
+const PIN_LAYOUTS = {
+  opamp: [
+    { id: "inp", x: 0, y: 0.25, title: "Non-inverting input (+)", dot: "bg-orange-200" },
+    { id: "inn", x: 0, y: 0.75, title: "Inverting input (−)", dot: "bg-orange-200" },
+    { id: "out", x: 1, y: 0.5, title: "Output", dot: "bg-cyan-200" },
+  ],
+  diode: [
+    { ...TWO_PIN_LAYOUT[0], title: "Anode" },
+    { ...TWO_PIN_LAYOUT[1], title: "Cathode" },
+  ],
+};
+
+const pinLayout = (n) => PIN_LAYOUTS[n.meta?.type] ?? TWO_PIN_LAYOUT;
+
+/* ===========================
+   Controlled (dependent) sources
+   - output is between the left (+) and right (-) pins
+   - `node.ctrl` is the id of the controlling component: voltage-controlled
+     sources sense V(left) - V(right) across it, current-controlled sources
+     sense the current through it (left -> right)
+   =========================== */
+const CONTROLLED_SOURCES = {
+  vcvs: { type: "E", sense: "voltage", gainLabel: "Gain (V/V)" },
+  vccs: { type: "G", sense: "voltage", gainLabel: "Transconductance (S)" },
+  ccvs: { type: "H", sense: "current", gainLabel: "Transresistance (Ω)" },
+  cccs: { type: "F", sense: "current", gainLabel: "Gain (A/A)" },
+};
+
 /* ===========================
    Default parameters per component type
    =========================== */
@@ -212,286 +178,352 @@ const DEFAULT_PARAMS = {
   current: { Irms: 0.05, phase: 0, freq: 50 }, // Irms
   voltmeter: { Rin: 1e7 },
   ammeter: { Rin: 0.01 },
+  vcvs: { gain: 10 },
+  vccs: { gain: 0.01 }, // S
+  ccvs: { gain: 100 }, // Ω
+  cccs: { gain: 10 },
+  opamp: { A: 1e6 }, // open-loop gain
+  diode: { Is: 1e-14, n: 1 }, // saturation current (A), emission coefficient
 };
 
 /* ===========================
-   Utility: build nets from nodes and wires
-   nodes: array of node objects { id, x, y, width, height, meta: { type } }
-   wires: array of wires { id, from: { node, side }, to: { node, side } }
-   Returns:
-     nets: array of net objects with keys: id (root string), pins: [{ nodeId, side }]
-     pinToNet map: key `${node}:${side}` => netIndex
+   Transient analysis defaults
+   - sources keep their AC parameters; `node.tran` picks the time-domain shape
+   - "sine" uses the AC amplitude/frequency/phase, switched on at t = 0
    =========================== */
-function buildNets(nodes, wires) {
-  const uf = UnionFind();
-  // All pins (side left/right) are named like `${nodeId}:left`
-  // Initially each pin is independent; then union pins that are connected by wires
-  nodes.forEach((n) => {
-    const left = `${n.id}:left`;
-    const right = `${n.id}:right`;
-    uf.find(left);
-    uf.find(right);
-  });
-  wires.forEach((w) => {
-    const a = `${w.from.node}:${w.from.side}`;
-    const b = `${w.to.node}:${w.to.side}`;
-    uf.union(a, b);
-  });
+const TRAN_SHAPES = [
+  { id: "sine", label: "Sine (from AC params)" },
+  { id: "step", label: "Step" },
+  { id: "pulse", label: "Pulse train" },
+];
 
-  // group pins by root
-  const groups = {};
-  Object.keys(uf.parent).forEach((pin) => {
-    const root = uf.find(pin);
-    if (!groups[root]) groups[root] = [];
-    const [nodeId, side] = pin.split(":");
-    groups[root].push({ nodeId, side, pin });
-  });
+const DEFAULT_TRAN = { shape: "sine", level: 10, delay: 0, rise: 1e-6, fall: 1e-6, width: 5e-3, period: 10e-3 };
 
-  const roots = Object.keys(groups);
-  const nets = roots.map((r, idx) => ({ id: r, pins: groups[r] }));
-  // map pins -> net index
-  const pinToNet = {};
-  nets.forEach((net, i) => {
-    net.pins.forEach((p) => {
-      pinToNet[`${p.nodeId}:${p.side}`] = i;
-    });
-  });
+const DEFAULT_TRAN_SETTINGS = { stopMs: 20, stepUs: 20, method: "trap" };
+
+// Maximum points handed to the scope chart
+const MAX_SCOPE_POINTS = 600;
+
+/* ===========================
+   AC sweep (Bode) defaults
+   - H(f) = V(outNet) / V(inNet), both nets measured against Net 0
+   - every source is driven at the sweep frequency
+   =========================== */
+const DEFAULT_SWEEP_SETTINGS = { inNet: 1, outNet: 2, fStart: 10, fStop: 100e3, pointsPerDecade: 20 };
+
+// Time-domain waveform of a source node (see waveformAt in src/lib/circuit)
+function sourceWave(n, p) {
+  const tran = { ...DEFAULT_TRAN, ...(n.tran || {}) };
+  const amplitude = Number(n.meta?.type === "voltage" ? p.Vrms : p.Irms) * Math.SQRT2;
+  if (tran.shape === "step") return { shape: "step", v0: 0, v1: Number(tran.level), delay: Number(tran.delay) };
+  if (tran.shape === "pulse") {
+    return {
+      shape: "pulse",
+      v1: 0,
+      v2: Number(tran.level),
+      delay: Number(tran.delay),
+      rise: Number(tran.rise),
+      fall: Number(tran.fall),
+      width: Number(tran.width),
+      period: Number(tran.period),
+    };
+  }
+  return { shape: "sine", offset: 0, amplitude, freq: Number(p.freq), phase: Number(p.phase), delay: Number(tran.delay) };
+}
 
-  // There might be nodes with no wires; ensure their pins remain separate nets
+/* ===========================
+   Convert the drawn schematic to a netlist for the shared solver
+   - every net becomes a node id (`N${netIndex}`), net 0 is the reference
+   - meters are modelled as resistors with their input resistance
+   - a controlled source without a valid controlling component has zero output
+   - an op-amp is a VCVS with its open-loop gain from the output pin to Net 0
+   =========================== */
+function schematicToNetlist(nodes, wires) {
+  const { nets, pinToNet } = buildNets(
+    nodes.map((n) => ({ ...n, pins: pinLayout(n).map((p) => p.id) })),
+    wires
+  );
+  const netOf = (n, side) => `N${pinToNet[`${n.id}:${side}`]}`;
+  const elements = [];
   nodes.forEach((n) => {
-    const leftKey = `${n.id}:left`;
-    const rightKey = `${n.id}:right`;
-    if (!(leftKey in pinToNet)) {
-      const idx = nets.length;
-      nets.push({ id: leftKey, pins: [{ nodeId: n.id, side: "left", pin: leftKey }] });
-      pinToNet[leftKey] = idx;
-    }
-    if (!(rightKey in pinToNet)) {
-      const idx = nets.length;
-      nets.push({ id: rightKey, pins: [{ nodeId: n.id, side: "right", pin: rightKey }] });
-      pinToNet[rightKey] = idx;
+    const type = n.meta?.type;
+    const p = { ...(DEFAULT_PARAMS[type] || {}), ...(n.params || {}) };
+    const base = { id: n.id, from: netOf(n, "left"), to: netOf(n, "right") };
+    if (type === "resistor") elements.push({ ...base, type: "R", value: Number(p.R) });
+    else if (type === "inductor") elements.push({ ...base, type: "L", value: Number(p.L) });
+    else if (type === "capacitor") elements.push({ ...base, type: "C", value: Number(p.C) });
+    else if (type === "ammeter" || type === "voltmeter") elements.push({ ...base, type: "R", value: Number(p.Rin) });
+    else if (type === "voltage") elements.push({ ...base, type: "V", value: Number(p.Vrms), phase: Number(p.phase), wave: sourceWave(n, p) });
+    else if (type === "current") elements.push({ ...base, type: "I", value: Number(p.Irms), phase: Number(p.phase), wave: sourceWave(n, p) });
+    else if (type === "diode") elements.push({ ...base, type: "D", is: Number(p.Is), n: Number(p.n) });
+    else if (type === "opamp") {
+      elements.push({
+        id: n.id,
+        type: "E",
+        from: netOf(n, "out"),
+        to: "N0",
+        ctrlFrom: netOf(n, "inp"),
+        ctrlTo: netOf(n, "inn"),
+        gain: Number(p.A),
+      });
+    } else if (CONTROLLED_SOURCES[type]) {
+      const spec = CONTROLLED_SOURCES[type];
+      const ctrl = nodes.find((c) => c.id === n.ctrl && c.id !== n.id);
+      const el = { ...base, type: spec.type, gain: ctrl ? Number(p.gain) : 0 };
+      if (spec.sense === "voltage") {
+        el.ctrlFrom = ctrl ? netOf(ctrl, "left") : "N0";
+        el.ctrlTo = ctrl ? netOf(ctrl, "right") : "N0";
+      } else {
+        el.ctrl = ctrl?.id ?? null;
+      }
+      elements.push(el);
     }
   });
-
-  return { nets, pinToNet };
+  return { nets, pinToNet, netIds: nets.map((_, i) => `N${i}`), elements };
 }
 
+// L and C impedances of the phasor solution are taken at 50 Hz
+const AC_FREQUENCY = 50;
+
 /* ===========================
-   Build MNA matrices and solve phasor circuit
-   Supports:
-     - resistor (R)
-     - inductor (L)
-     - capacitor (C)
-     - AC voltage source (Vrms, phase, freq)
-     - AC current source (Irms,phase,freq)
+   Solve the schematic as a phasor circuit (see src/lib/circuit)
    Returns:
      { netVoltages: Array of complex per net index (RMS phasor), componentCurrents: map compId->complex current (A phasor) }
+   A singular circuit (floating parts, source loops) yields all-zero results.
    =========================== */
 function solvePhasor(nodes, wires) {
-  // Build nets
-  const { nets, pinToNet } = buildNets(nodes, wires);
-  const nNets = nets.length;
-  if (nNets === 0) return { netVoltages: [], componentCurrents: {} };
-
-  // choose reference net (ground) as net index 0
-  // (That's arbitrary; voltmeter measures differences so it's fine)
-  const groundIndex = 0;
-
-  // map net->unknown index (exclude ground)
-  const netToUnknown = {};
-  let unknownCount = 0;
-  for (let i = 0; i < nNets; i++) {
-    if (i === groundIndex) continue;
-    netToUnknown[i] = unknownCount++;
-  }
+  const { nets, pinToNet, netIds, elements } = schematicToNetlist(nodes, wires);
+  if (nets.length === 0) return { netVoltages: [], componentCurrents: {} };
+
+  const sol = solveAC(netIds, elements, { freq: AC_FREQUENCY, ground: "N0" });
+  const netVoltages = netIds.map((id) => (sol ? sol.nodeVoltages[id] : null) || C.zero());
+  const componentCurrents = {};
+  nodes.forEach((n) => {
+    componentCurrents[n.id] = (sol && sol.branchCurrents[n.id]) || C.zero();
+  });
+
+  return { netVoltages, componentCurrents, pinToNet, nets };
+}
+
+/* ===========================
+   DC operating point of the schematic (same shape as solvePhasor)
+   - every source acts as a DC source of its RMS value, L is a short and C is open
+   - diodes are solved by Newton iteration; `newton` reports the convergence
+   =========================== */
+function solveOperatingPoint(nodes, wires) {
+  const { nets, pinToNet, netIds, elements } = schematicToNetlist(nodes, wires);
+  if (nets.length === 0) return { netVoltages: [], componentCurrents: {}, newton: null };
 
-  // gather voltage sources
-  const voltageSources = [];
-  const currentSources = [];
+  const sol = solveDC(netIds, elements, { ground: "N0" });
+  const netVoltages = netIds.map((id) => C.real(sol?.nodeVoltages[id] ?? 0));
+  const componentCurrents = {};
   nodes.forEach((n) => {
-    const type = n.meta?.type;
-    if (type === "voltage") {
-      // nets from left and right pins
-      const a = pinToNet[`${n.id}:left`];
-      const b = pinToNet[`${n.id}:right`];
-      const Vrms = Number(n.params?.Vrms ?? DEFAULT_PARAMS.voltage.Vrms);
-      const phase = Number(n.params?.phase ?? DEFAULT_PARAMS.voltage.phase);
-      const freq = Number(n.params?.freq ?? DEFAULT_PARAMS.voltage.freq);
-      const phasor = C.fromPolar(Vrms, (phase * Math.PI) / 180);
-      voltageSources.push({ node: n, a, b, phasor, freq });
-    } else if (type === "current") {
-      const a = pinToNet[`${n.id}:left`];
-      const b = pinToNet[`${n.id}:right`];
-      const Irms = Number(n.params?.Irms ?? DEFAULT_PARAMS.current.Irms);
-      const phase = Number(n.params?.phase ?? DEFAULT_PARAMS.current.phase);
-      const freq = Number(n.params?.freq ?? DEFAULT_PARAMS.current.freq);
-      const phasor = C.fromPolar(Irms, (phase * Math.PI) / 180);
-      currentSources.push({ node: n, a, b, phasor, freq });
-    }
+    componentCurrents[n.id] = C.real(sol?.branchCurrents[n.id] ?? 0);
   });
 
-  const nVolt = voltageSources.length;
-  const N = unknownCount + nVolt; // MNA matrix size
+  return { netVoltages, componentCurrents, pinToNet, nets, newton: sol?.newton ?? null, singular: !sol };
+}
 
-  // init A and b
-  const A = Array.from({ length: N }, () =>
-    Array.from({ length: N }, () => C.zero())
-  );
-  const B = Array.from({ length: N }, () => C.zero());
+/* ===========================
+   Transient simulation of the schematic
+   Returns scope-ready data:
+     { rows: [{ t (ms), v<net>: V, i<nodeId>: A }], traces: [{ key, label, unit }] } or null if singular
+   Net 0 is the reference, same as the phasor solver.
+   =========================== */
+function simulateTransient(nodes, wires, settings) {
+  const { nets, netIds, elements } = schematicToNetlist(nodes, wires);
+  if (nets.length === 0) return { rows: [], traces: [] };
+  const res = solveTransient(netIds, elements, {
+    stopTime: Number(settings.stopMs) / 1000,
+    timestep: Number(settings.stepUs) / 1e6,
+    method: settings.method,
+    ground: "N0",
+  });
+  if (!res) return null;
+
+  const traces = [
+    ...netIds.slice(1).map((id, i) => ({ key: `v${i + 1}`, netId: id, label: `V(Net ${i + 1})`, unit: "V" })),
+    ...nodes.map((n) => ({ key: `i${n.id}`, nodeId: n.id, label: `I(${n.label})`, unit: "A" })),
+  ];
+  const stride = Math.max(1, Math.ceil(res.time.length / MAX_SCOPE_POINTS));
+  const rows = [];
+  for (let k = 0; k < res.time.length; k += stride) {
+    const row = { t: res.time[k] * 1000 };
+    traces.forEach((tr) => {
+      row[tr.key] = tr.unit === "V" ? res.nodeVoltages[tr.netId][k] : (res.branchCurrents[tr.nodeId] || [])[k] ?? 0;
+    });
+    rows.push(row);
+  }
+  return { rows, traces, steps: res.time.length - 1, newton: res.newton };
+}
 
-  const omegaDefault = 2 * Math.PI * 50;
+/* ===========================
+   AC sweep of the schematic between two nets
+   Returns { data: [{ f, mag, magdB, phase }], markers } (see bodeMarkers in src/lib/circuit).
+   =========================== */
+function sweepSchematic(nodes, wires, settings) {
+  const { netIds, elements } = schematicToNetlist(nodes, wires);
+  const inId = netIds[Number(settings.inNet)];
+  const outId = netIds[Number(settings.outNet)];
+  if (!inId || !outId || inId === "N0") return { data: [], markers: bodeMarkers([]) };
+  const freqs = sweepFrequencies({
+    sweep: "dec",
+    points: settings.pointsPerDecade,
+    fstart: settings.fStart,
+    fstop: settings.fStop,
+  });
+  const data = transferSweep(netIds, elements, { freqs, input: [inId, "N0"], output: [outId, "N0"], ground: "N0" });
+  return { data, markers: bodeMarkers(data) };
+}
 
-  // Helper to add admittance between nets
-  function addAdmittance(aNet, bNet, Y) {
-    // if aNet != ground, add to diag
-    if (aNet !== groundIndex) {
-      const ai = netToUnknown[aNet];
-      A[ai][ai] = C.add(A[ai][ai], Y);
-    }
-    if (bNet !== groundIndex) {
-      const bi = netToUnknown[bNet];
-      A[bi][bi] = C.add(A[bi][bi], Y);
-    }
-    if (aNet !== groundIndex && bNet !== groundIndex) {
-      const ai = netToUnknown[aNet];
-      const bi = netToUnknown[bNet];
-      A[ai][bi] = C.sub(A[ai][bi], Y);
-      A[bi][ai] = C.sub(A[bi][ai], Y);
-    }
+// Hz -> "1.2k" style axis labels
+function fmtHz(v) {
+  if (v >= 1e6) return `${fmt(v / 1e6, 2)}M`;
+  if (v >= 1e3) return `${fmt(v / 1e3, 2)}k`;
+  return `${fmt(v, v < 10 ? 2 : 0)}`;
+}
+
+/* ===========================
+   SPICE deck -> laid-out schematic
+   - sources first, then a breadth-first walk over shared nets so connected parts sit side by side
+   - each element's first SPICE node is its left pin; pins on one net are chained left to right
+   - a .tran line switches to transient mode; a single-point .ac sets the source frequency,
+     a ranged .ac switches to the AC sweep
+   - E/G cards sense an element placed across their control nodes, or a voltmeter added there
+   =========================== */
+const SPICE_TO_PALETTE = {
+  R: "resistor",
+  L: "inductor",
+  C: "capacitor",
+  V: "voltage",
+  I: "current",
+  E: "vcvs",
+  G: "vccs",
+  H: "ccvs",
+  F: "cccs",
+  D: "diode",
+};
+const LAYOUT_COLS = 4;
+
+function schematicFromSpice({ elements, analyses }) {
+  const ac = analyses.find((a) => a.type === "ac" && a.fstart === a.fstop);
+  const sweep = analyses.find((a) => a.type === "ac" && a.fstop > a.fstart);
+  const tran = analyses.find((a) => a.type === "tran");
+
+  const order = [];
+  const placed = new Set();
+  const queue = elements.filter((el) => el.type === "V" || el.type === "I");
+  while (order.length < elements.length) {
+    const el = queue.shift() ?? elements.find((e) => !placed.has(e.id));
+    if (placed.has(el.id)) continue;
+    placed.add(el.id);
+    order.push(el);
+    elements.forEach((o) => {
+      if (!placed.has(o.id) && [o.from, o.to].some((n) => n === el.from || n === el.to)) queue.push(o);
+    });
   }
 
-  // Stamp passive components and current sources
-  nodes.forEach((n) => {
-    const type = n.meta?.type;
-    const a = pinToNet[`${n.id}:left`];
-    const b = pinToNet[`${n.id}:right`];
-    if (type === "resistor") {
-      const R = Number(n.params?.R ?? DEFAULT_PARAMS.resistor.R);
-      const G = { re: 1 / R, im: 0 };
-      addAdmittance(a, b, G);
-    } else if (type === "inductor") {
-      const L = Number(n.params?.L ?? DEFAULT_PARAMS.inductor.L);
-      // get freq: choose source frequency if present else default 50Hz
-      const f = Number(n.params?.freq ?? 50);
-      const omega = 2 * Math.PI * f;
-      const Z = { re: 0, im: omega * L }; // jωL
-      // admittance Y = 1/Z
-      const Y = C.div({ re: 1, im: 0 }, Z);
-      addAdmittance(a, b, Y);
-    } else if (type === "capacitor") {
-      const Cval = Number(n.params?.C ?? DEFAULT_PARAMS.capacitor.C);
-      const f = Number(n.params?.freq ?? 50);
-      const omega = 2 * Math.PI * f;
-      // Zc = 1/(jωC) = -j/(ωC)
-      const Z = { re: 0, im: -1 / (omega * Cval) };
-      const Y = C.div({ re: 1, im: 0 }, Z);
-      addAdmittance(a, b, Y);
-    } else if (type === "ammeter" || type === "voltmeter") {
-      // treat as resistor with very low (ammeter) or very high (voltmeter) Rin
-      const Rin = Number(n.params?.Rin ?? (type === "ammeter" ? DEFAULT_PARAMS.ammeter.Rin : DEFAULT_PARAMS.voltmeter.Rin));
-      const G = { re: 1 / Rin, im: 0 };
-      addAdmittance(a, b, G);
-    } else if (type === "current") {
-      // We'll stamp current source into RHS (KCL)
-      const Irms = Number(n.params?.Irms ?? DEFAULT_PARAMS.current.Irms);
-      const phase = Number(n.params?.phase ?? DEFAULT_PARAMS.current.phase);
-      const phasor = C.fromPolar(Irms, (phase * Math.PI) / 180);
-      // Current flows from left -> right (left pin positive to right)
-      if (a !== groundIndex) {
-        const ai = netToUnknown[a];
-        B[ai] = C.sub(B[ai], phasor); // leaving left
-      }
-      if (b !== groundIndex) {
-        const bi = netToUnknown[b];
-        B[bi] = C.add(B[bi], phasor); // entering right
+  // the two nets each node's pins sit on, kept apart from the node objects
+  const netOf = new Map();
+  const nodes = order.map((el, i) => {
+    const type = SPICE_TO_PALETTE[el.type];
+    const tpl = PALETTE.find((p) => p.id === type);
+    const node = {
+      id: uuidv4(),
+      x: 60 + (i % LAYOUT_COLS) * 200,
+      y: 50 + Math.floor(i / LAYOUT_COLS) * 110,
+      width: tpl.width,
+      height: tpl.height,
+      label: el.name,
+      meta: { type },
+    };
+    netOf.set(node.id, { left: el.from, right: el.to });
+    if (el.type === "R") node.params = { R: el.value };
+    else if (el.type === "L") node.params = { L: el.value };
+    else if (el.type === "C") node.params = { C: el.value };
+    else if (CONTROLLED_SOURCES[type]) node.params = { gain: el.gain };
+    else if (el.type === "D") node.params = { Is: el.is ?? DEFAULT_PARAMS.diode.Is, n: el.n ?? DEFAULT_PARAMS.diode.n };
+    else {
+      const w = el.wave;
+      const amp = el.ac ? el.ac.mag : w?.shape === "sine" ? w.amplitude / Math.SQRT2 : el.value;
+      const phase = el.ac ? el.ac.phase : w?.shape === "sine" ? w.phase : 0;
+      const freq = w?.shape === "sine" && w.freq > 0 ? w.freq : ac ? ac.fstart : DEFAULT_PARAMS[type].freq;
+      node.params = el.type === "V" ? { Vrms: amp, phase, freq } : { Irms: amp, phase, freq };
+      if (w?.shape === "pulse") {
+        node.tran = { ...DEFAULT_TRAN, shape: "pulse", level: w.v2, delay: w.delay, rise: w.rise, fall: w.fall, width: w.width, period: w.period };
+      } else if (w?.shape === "sine") {
+        node.tran = { ...DEFAULT_TRAN, shape: "sine", delay: w.delay };
+      } else {
+        node.tran = { ...DEFAULT_TRAN, shape: "step", level: el.value };
       }
     }
+    return node;
   });
 
-  // Stamp voltage sources (MNA) - add rows/cols for each voltage source
-  // Voltage sources ordered as in voltageSources array
-  // For each voltage source k, its extra unknown index is unknownCount + k
-  voltageSources.forEach((vs, k) => {
-    const a = vs.a;
-    const b = vs.b;
-    const row = unknownCount + k;
-    // For node a, column for current unknown gets +1; For node b gets -1
-    if (a !== groundIndex) {
-      const ai = netToUnknown[a];
-      A[ai][row] = C.add(A[ai][row], { re: 1, im: 0 });
-      A[row][ai] = C.add(A[row][ai], { re: 1, im: 0 });
-    }
-    if (b !== groundIndex) {
-      const bi = netToUnknown[b];
-      A[bi][row] = C.sub(A[bi][row], { re: 1, im: 0 });
-      A[row][bi] = C.sub(A[row][bi], { re: 1, im: 0 });
+  const nodeOf = new Map(order.map((el, i) => [el.id, nodes[i]]));
+  order.forEach((el) => {
+    const node = nodeOf.get(el.id);
+    if (el.type === "F" || el.type === "H") {
+      node.ctrl = nodeOf.get(el.ctrl)?.id;
+    } else if (el.type === "E" || el.type === "G") {
+      const across = order.find((o) => o.from === el.ctrlFrom && o.to === el.ctrlTo);
+      if (across) {
+        node.ctrl = nodeOf.get(across.id).id;
+        return;
+      }
+      const tpl = PALETTE.find((p) => p.id === "voltmeter");
+      const i = nodes.length;
+      const sense = {
+        id: uuidv4(),
+        x: 60 + (i % LAYOUT_COLS) * 200,
+        y: 50 + Math.floor(i / LAYOUT_COLS) * 110,
+        width: tpl.width,
+        height: tpl.height,
+        label: `${el.name} sense`,
+        meta: { type: "voltmeter" },
+        params: { ...DEFAULT_PARAMS.voltmeter },
+      };
+      netOf.set(sense.id, { left: el.ctrlFrom, right: el.ctrlTo });
+      nodes.push(sense);
+      node.ctrl = sense.id;
     }
-    // RHS for voltage equation = phasor voltage (we've chosen RMS phasors)
-    B[row] = C.add(B[row], vs.phasor);
   });
 
-  // Solve linear system A x = B
-  const x = solveComplexLinear(A, B); // complex vector length N
-
-  // Build net voltages
-  const netVoltages = Array.from({ length: nNets }, () => C.zero());
-  netVoltages[groundIndex] = C.zero();
-  for (let i = 0; i < nNets; i++) {
-    if (i === groundIndex) continue;
-    const ui = netToUnknown[i];
-    netVoltages[i] = x[ui];
-  }
-
-  // For voltage sources, we could extract currents from x[unknownCount + k]
-  const componentCurrents = {};
-  // compute currents through each passive component as (Va - Vb)/Z or (Va-Vb)/R
+  const byNet = {};
   nodes.forEach((n) => {
-    const type = n.meta?.type;
-    const a = pinToNet[`${n.id}:left`];
-    const b = pinToNet[`${n.id}:right`];
-    const Va = netVoltages[a] || C.zero();
-    const Vb = netVoltages[b] || C.zero();
-    const Vdiff = C.sub(Va, Vb);
-    if (type === "resistor") {
-      const R = Number(n.params?.R ?? DEFAULT_PARAMS.resistor.R);
-      const I = C.scale(Vdiff, 1 / R);
-      componentCurrents[n.id] = I;
-    } else if (type === "inductor") {
-      const L = Number(n.params?.L ?? DEFAULT_PARAMS.inductor.L);
-      const f = Number(n.params?.freq ?? 50);
-      const omega = 2 * Math.PI * f;
-      const Z = { re: 0, im: omega * L };
-      const I = C.div(Vdiff, Z);
-      componentCurrents[n.id] = I;
-    } else if (type === "capacitor") {
-      const Cval = Number(n.params?.C ?? DEFAULT_PARAMS.capacitor.C);
-      const f = Number(n.params?.freq ?? 50);
-      const omega = 2 * Math.PI * f;
-      const Z = { re: 0, im: -1 / (omega * Cval) };
-      const I = C.div(Vdiff, Z);
-      componentCurrents[n.id] = I;
-    } else if (type === "voltage") {
-      // current through voltage source: unknownCount + sourceIndex
-      const idx = voltageSources.findIndex((vs) => vs.node.id === n.id);
-      if (idx >= 0) {
-        const currentPhasor = x[unknownCount + idx] || C.zero();
-        componentCurrents[n.id] = currentPhasor; // current through voltage source (A)
-      }
-    } else if (type === "current") {
-      // current source current is the known phasor; we recorded earlier
-      const Irms = Number(n.params?.Irms ?? DEFAULT_PARAMS.current.Irms);
-      const phase = Number(n.params?.phase ?? DEFAULT_PARAMS.current.phase);
-      componentCurrents[n.id] = C.fromPolar(Irms, (phase * Math.PI) / 180);
-    } else if (type === "ammeter" || type === "voltmeter") {
-      const Rin = Number(n.params?.Rin ?? (type === "ammeter" ? DEFAULT_PARAMS.ammeter.Rin : DEFAULT_PARAMS.voltmeter.Rin));
-      const I = C.scale(Vdiff, 1 / Rin);
-      componentCurrents[n.id] = I;
-    } else {
-      componentCurrents[n.id] = C.zero();
+    ["left", "right"].forEach((side) => {
+      const net = netOf.get(n.id)[side];
+      if (!byNet[net]) byNet[net] = [];
+      byNet[net].push({ node: n.id, side, x: side === "left" ? n.x : n.x + n.width, y: n.y });
+    });
+  });
+  const wires = [];
+  Object.values(byNet).forEach((pins) => {
+    pins.sort((a, b) => a.x - b.x || a.y - b.y);
+    for (let i = 1; i < pins.length; i++) {
+      wires.push({ id: uuidv4(), from: { node: pins[i - 1].node, side: pins[i - 1].side }, to: { node: pins[i].node, side: pins[i].side } });
     }
   });
 
-  return { netVoltages, componentCurrents, pinToNet, nets };
+  return {
+    nodes,
+    wires,
+    mode: tran ? "transient" : sweep ? "sweep" : "ac",
+    tranSettings: tran ? { ...DEFAULT_TRAN_SETTINGS, stopMs: tran.stop * 1e3, stepUs: tran.step * 1e6 } : null,
+    sweepSettings: sweep
+      ? {
+          ...DEFAULT_SWEEP_SETTINGS,
+          fStart: sweep.fstart,
+          fStop: sweep.fstop,
+          pointsPerDecade:
+            sweep.sweep === "dec"
+              ? sweep.points
+              : sweep.sweep === "oct"
+              ? Math.round(sweep.points * Math.log2(10))
+              : Math.max(1, Math.round(sweep.points / Math.max(1, Math.log10(sweep.fstop / sweep.fstart)))),
+        }
+      : null,
+  };
 }
 
 /* ===========================
@@ -535,6 +567,189 @@ function NodeCard({ node, onMouseDown, selected, onClick }) {
   );
 }
 
+/* ===========================
+   Inspector fields for a source's transient waveform
+   (times are stored in seconds, edited in ms / µs)
+   =========================== */
+function TransientSourceFields({ node, onChange }) {
+  const tran = { ...DEFAULT_TRAN, ...(node.tran || {}) };
+  const unit = node.meta?.type === "voltage" ? "V" : "A";
+  const field = (key, label, scale) => (
+    <div key={key} className="space-y-1.5">
+      <label className="text-xs text-zinc-400">{label}</label>
+      <Input
+        type="number"
+        value={Number(tran[key]) * scale}
+        onChange={(e) => onChange({ [key]: Number(e.target.value || 0) / scale })}
+        className="bg-zinc-900 border-zinc-800 text-white"
+      />
+    </div>
+  );
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="space-y-1.5">
+        <label className="text-xs text-zinc-400">Transient waveform</label>
+        <Select value={tran.shape} onValueChange={(v) => onChange({ shape: v })}>
+          <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+            <SelectValue placeholder="Waveform" />
+          </SelectTrigger>
+          <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+            {TRAN_SHAPES.map((sh) => (
+              <SelectItem
+                key={sh.id}
+                value={sh.id}
+                className="text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md"
+              >
+                {sh.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        {tran.shape !== "sine" && field("level", `Level (${unit})`, 1)}
+        {field("delay", "Delay (ms)", 1e3)}
+        {tran.shape === "pulse" && (
+          <>
+            {field("rise", "Rise (µs)", 1e6)}
+            {field("fall", "Fall (µs)", 1e6)}
+            {field("width", "Width (ms)", 1e3)}
+            {field("period", "Period (ms)", 1e3)}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ===========================
+   Inspector fields for a controlled source: gain and controlling component
+   =========================== */
+function ControlledSourceFields({ node, nodes, onParams, onCtrl }) {
+  const spec = CONTROLLED_SOURCES[node.meta?.type];
+  // a voltage sense needs a two-pin part to read V(left) - V(right) from
+  const candidates = nodes.filter((n) => n.id !== node.id && (spec.sense === "current" || pinLayout(n).length === 2));
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="space-y-1.5">
+        <label className="text-xs text-zinc-400">{spec.gainLabel}</label>
+        <Input
+          type="number"
+          value={node.params?.gain ?? ""}
+          onChange={(e) => onParams({ gain: Number(e.target.value || 0) })}
+          className="bg-zinc-900 border-zinc-800 text-white"
+        />
+      </div>
+      <div className="space-y-1.5">
+        <label className="text-xs text-zinc-400">
+          {spec.sense === "voltage" ? "Controlling voltage across" : "Controlling current through"}
+        </label>
+        <Select value={node.ctrl ?? ""} onValueChange={onCtrl}>
+          <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+            <SelectValue placeholder="Pick a component" />
+          </SelectTrigger>
+          <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+            {candidates.map((c) => (
+              <SelectItem
+                key={c.id}
+                value={c.id}
+                className="text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md"
+              >
+                {c.label} ({c.meta?.type})
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="text-[11px] text-zinc-500">
+          {spec.sense === "voltage"
+            ? "Senses V(left) − V(right) of the chosen component; place a voltmeter to sense any two nets."
+            : "Senses the current entering the chosen component's left pin."}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ===========================
+   Bode plot (magnitude + phase on a log frequency axis)
+   - dashed lines mark the -3 dB level and cutoffs, the solid line the resonance
+   - drawn with its own charts: the shared Oscilloscope plots a live sample history on a
+     linear axis, while this is a finished sweep that needs a log axis and the markers
+   =========================== */
+function BodePlot({ data, markers }) {
+  const axis = (
+    <XAxis
+      dataKey="f"
+      type="number"
+      scale="log"
+      domain={["dataMin", "dataMax"]}
+      tickFormatter={fmtHz}
+      stroke="#777"
+      allowDataOverflow
+    />
+  );
+  const tooltip = (
+    <Tooltip
+      contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }}
+      labelFormatter={(v) => `f = ${fmtHz(v)} Hz`}
+      formatter={(v, name) => [fmt(v, 3), name]}
+    />
+  );
+  const cutoffLines = markers.cutoffs.map((f) => (
+    <ReferenceLine key={`fc-${f}`} x={f} stroke="#5ee7ff" strokeDasharray="4 3" />
+  ));
+  const resonanceLine = markers.resonance && <ReferenceLine x={markers.resonance.f} stroke="#a78bfa" />;
+
+  return (
+    <div className="space-y-2">
+      <div className="h-[170px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
+            {axis}
+            <YAxis stroke="#777" tickFormatter={(v) => fmt(v, 0)} unit=" dB" />
+            {tooltip}
+            {markers.level3dB != null && <ReferenceLine y={markers.level3dB} stroke="#5ee7ff" strokeDasharray="4 3" />}
+            {cutoffLines}
+            {resonanceLine}
+            <Line type="linear" dataKey="magdB" name="|H| (dB)" stroke={ORANGE} strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="h-[130px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
+            {axis}
+            <YAxis stroke="#777" tickFormatter={(v) => fmt(v, 0)} unit="°" />
+            {tooltip}
+            {cutoffLines}
+            {resonanceLine}
+            <Line type="linear" dataKey="phase" name="∠H (deg)" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="flex flex-wrap gap-2 text-[11px]">
+        {markers.peak && (
+          <Badge className="bg-black/60 border border-zinc-800 text-zinc-300">
+            Peak {fmt(markers.peak.magdB, 2)} dB @ {fmtHz(markers.peak.f)} Hz
+          </Badge>
+        )}
+        {markers.cutoffs.map((f) => (
+          <Badge key={f} className="bg-black/60 border border-[#5ee7ff]/40 text-[#5ee7ff]">
+            −3 dB @ {fmtHz(f)} Hz
+          </Badge>
+        ))}
+        {markers.resonance && (
+          <Badge className="bg-black/60 border border-[#a78bfa]/40 text-[#a78bfa]">
+            {markers.resonance.kind === "peak" ? "Resonance" : "Notch"} @ {fmtHz(markers.resonance.f)} Hz
+          </Badge>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /* ===========================
    Wire path helper (nice cubic)
    =========================== */
@@ -627,6 +842,12 @@ export default function CircuitPlayground() {
   const [running, setRunning] = useState(true);
   const [timeMs, setTimeMs] = useState(0);
    const [mobileOpen, setMobileOpen] = useState(false);
+  // analysis mode: "ac" phasor steady state, "dc" operating point, "transient" time-domain run or "sweep" Bode plot
+  const [simMode, setSimMode] = useState("ac");
+  const [tranSettings, setTranSettings] = useState(DEFAULT_TRAN_SETTINGS);
+  const [sweepSettings, setSweepSettings] = useState(DEFAULT_SWEEP_SETTINGS);
+  const [probes, setProbes] = useState([]); // trace keys pinned on the scope
+  const [spiceOpen, setSpiceOpen] = useState(false);
   // chart samples
   const [chartData, setChartData] = useState([]);
   const chartRef = useRef([]);
@@ -702,11 +923,9 @@ export default function CircuitPlayground() {
       const vInst = vComplex.re * Math.SQRT2;
       samples.push({ time: t, voltage: vInst });
     }
-    // roll buffer
+    // roll buffer (rows keep their identity so the scope can record past the 400 kept here)
     chartRef.current = chartRef.current.concat(samples).slice(-400);
-    // provide chart data reduced
-    const chartView = chartRef.current.map((s, i) => ({ name: i, voltage: s.voltage }));
-    setChartData(chartView);
+    setChartData(chartRef.current);
   }, [nodes, wires]);
 
   // recompute whenever nodes/wires change or running toggled
@@ -841,6 +1060,51 @@ export default function CircuitPlayground() {
     reader.readAsText(file);
   }
 
+  function importSpice(parsed) {
+    const scene = schematicFromSpice(parsed);
+    setNodes(scene.nodes);
+    setWires(scene.wires);
+    setSelectedId(null);
+    setSimMode(scene.mode);
+    if (scene.tranSettings) setTranSettings(scene.tranSettings);
+    if (scene.sweepSettings) setSweepSettings(scene.sweepSettings);
+    const skipped = parsed.errors.length ? ` (${parsed.errors.length} lines skipped)` : "";
+    toast.success(`Imported ${scene.nodes.length} components${skipped}`);
+  }
+
+  function exportSpice() {
+    const { elements } = schematicToNetlist(nodes, wires);
+    const spiceNode = (id) => (id === "N0" ? "0" : id);
+    const cards = elements.map((el) => {
+      const base = { ...el, name: nodes.find((n) => n.id === el.id)?.label, from: spiceNode(el.from), to: spiceNode(el.to) };
+      if (el.ctrlFrom != null) Object.assign(base, { ctrlFrom: spiceNode(el.ctrlFrom), ctrlTo: spiceNode(el.ctrlTo) });
+      if (el.type !== "V" && el.type !== "I") return base;
+      return { ...base, dc: 0, ac: { mag: el.value, phase: el.phase || 0 } };
+    });
+    // the single frequency the phasor solution is computed at
+    const analyses = [{ type: "ac", sweep: "lin", points: 1, fstart: AC_FREQUENCY, fstop: AC_FREQUENCY }];
+    if (simMode === "transient") {
+      analyses.push({ type: "tran", step: tranSettings.stepUs / 1e6, stop: tranSettings.stopMs / 1e3 });
+    }
+    if (simMode === "sweep") {
+      analyses.push({
+        type: "ac",
+        sweep: "dec",
+        points: sweepSettings.pointsPerDecade,
+        fstart: sweepSettings.fStart,
+        fstop: sweepSettings.fStop,
+      });
+    }
+    const deck = toSpice({ title: "SparkLab Circuit Playground", elements: cards, analyses });
+    const blob = new Blob([deck], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `circuit-${Date.now()}.cir`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   /* ===========================
      Inspector UI updates (edit params)
      =========================== */
@@ -848,20 +1112,64 @@ export default function CircuitPlayground() {
     setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, params: { ...n.params, ...patch } } : n)));
   }
 
+  function updateNodeTran(nodeId, patch) {
+    setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, tran: { ...DEFAULT_TRAN, ...n.tran, ...patch } } : n)));
+  }
+
+  function updateNodeCtrl(nodeId, ctrl) {
+    setNodes((prev) => prev.map((n) => (n.id === nodeId ? { ...n, ctrl } : n)));
+  }
+
+  function exportBodeCSV() {
+    const rows = [["f(Hz)", "mag", "mag(dB)", "phase(deg)"], ...bode.data.map((d) => [d.f, d.mag, d.magdB, d.phase])];
+    const csv = rows.map((r) => r.join(",")).join("\n");
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `bode-${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    toast.success("Bode CSV exported");
+  }
+
+  function toggleProbe(key) {
+    setProbes((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  }
+
   /* ===========================
      Visual helpers for pin coordinates on screen
      =========================== */
   function pinScreenPos(node, side) {
-    // left pin at x = node.x, y = node.y + node.height/2
-    const x = side === "left" ? node.x : node.x + node.width;
-    const y = node.y + node.height / 2;
-    return { x, y };
+    // pins sit on the node box edges, see PIN_LAYOUTS
+    const pin = pinLayout(node).find((p) => p.id === side) ?? TWO_PIN_LAYOUT[0];
+    return { x: node.x + pin.x * node.width, y: node.y + pin.y * node.height };
   }
 
   /* ===========================
      Derived: solutions and readouts
      =========================== */
-  const solution = useMemo(() => solvePhasor(nodes, wires), [nodes, wires]);
+  const solution = useMemo(
+    () => (simMode === "dc" ? solveOperatingPoint(nodes, wires) : solvePhasor(nodes, wires)),
+    [simMode, nodes, wires]
+  );
+  const transient = useMemo(
+    () => (simMode === "transient" ? simulateTransient(nodes, wires, tranSettings) : null),
+    [simMode, nodes, wires, tranSettings]
+  );
+  const bode = useMemo(
+    () => (simMode === "sweep" ? sweepSchematic(nodes, wires, sweepSettings) : { data: [], markers: bodeMarkers([]) }),
+    [simMode, nodes, wires, sweepSettings]
+  );
+  // traces on the scope: pinned probes, else every net voltage plus ammeter currents
+  const scopeTraces = useMemo(() => {
+    if (!transient) return [];
+    const pinned = transient.traces.filter((tr) => probes.includes(tr.key));
+    if (pinned.length) return pinned;
+    return transient.traces.filter(
+      (tr) => tr.unit === "V" || nodes.find((n) => n.id === tr.nodeId)?.meta?.type === "ammeter"
+    );
+  }, [transient, probes, nodes]);
   // map component readouts
   const readouts = useMemo(() => {
     const ro = {};
@@ -887,7 +1195,10 @@ export default function CircuitPlayground() {
         // show the phasor computed current through the voltage source
         const I = solution.componentCurrents[n.id] || C.zero();
         ro[n.id] = { I_rms: C.abs(I), phasor: I };
-      } else if (type === "resistor" || type === "inductor" || type === "capacitor") {
+      } else if (
+        ["resistor", "inductor", "capacitor", "opamp", "diode"].includes(type) ||
+        CONTROLLED_SOURCES[type]
+      ) {
         const I = solution.componentCurrents[n.id] || C.zero();
         ro[n.id] = { I_rms: C.abs(I), phasor: I };
       }
@@ -943,8 +1254,26 @@ export default function CircuitPlayground() {
           {/* Desktop Controls */}
           <div className="hidden md:flex items-center gap-4">
             {/* Simulation Mode Selector */}
-            <div className="w-32">
- 
+            <div className="w-36">
+              <Select value={simMode} onValueChange={(v) => setSimMode(v)}>
+                <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                  <SelectValue placeholder="Analysis" />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                  <SelectItem value="ac" className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">AC Phasor</SelectItem>
+                  <SelectItem value="dc" className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">DC Operating Point</SelectItem>
+                  <SelectItem value="transient" className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">Transient</SelectItem>
+                  <SelectItem value="sweep" className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">AC Sweep</SelectItem>
+                </SelectContent>
+              </Select>
             </div>
 
             {/* Action Buttons */}
@@ -992,6 +1321,24 @@ export default function CircuitPlayground() {
                 </Button>
               </label>
 
+              <Button
+                variant="ghost"
+                className="border cursor-pointer border-zinc-700 text-zinc-300 p-2 rounded-lg hover:bg-zinc-800 hover:text-orange-400 transition-colors"
+                onClick={() => setSpiceOpen(true)}
+                title="Import SPICE netlist"
+              >
+                <FileCode className="w-4 h-4" />
+              </Button>
+
+              <Button
+                variant="ghost"
+                className="border cursor-pointer border-zinc-700 text-zinc-300 p-2 rounded-lg hover:bg-zinc-800 hover:text-orange-400 transition-colors"
+                onClick={exportSpice}
+                title="Export as SPICE (.cir)"
+              >
+                <FileDown className="w-4 h-4" />
+              </Button>
+
               <Button
                 variant="ghost"
                 className="border cursor-pointer border-zinc-700 text-zinc-300 p-2 rounded-lg hover:bg-zinc-800 hover:text-red-400 transition-colors"
@@ -1030,7 +1377,25 @@ export default function CircuitPlayground() {
           }`}
         >
           <div className="flex flex-col gap-2 mb-3">
-     
+            <Select value={simMode} onValueChange={(v) => setSimMode(v)}>
+              <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                <SelectValue placeholder="Analysis" />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                <SelectItem value="ac" className="text-white hover:bg-orange-500/20 
+               data-[highlighted]:text-orange-200 cursor-pointer 
+               data-[highlighted]:bg-orange-500/30 rounded-md">AC Phasor</SelectItem>
+                <SelectItem value="dc" className="text-white hover:bg-orange-500/20 
+               data-[highlighted]:text-orange-200 cursor-pointer 
+               data-[highlighted]:bg-orange-500/30 rounded-md">DC Operating Point</SelectItem>
+                <SelectItem value="transient" className="text-white hover:bg-orange-500/20 
+               data-[highlighted]:text-orange-200 cursor-pointer 
+               data-[highlighted]:bg-orange-500/30 rounded-md">Transient</SelectItem>
+                <SelectItem value="sweep" className="text-white hover:bg-orange-500/20 
+               data-[highlighted]:text-orange-200 cursor-pointer 
+               data-[highlighted]:bg-orange-500/30 rounded-md">AC Sweep</SelectItem>
+              </SelectContent>
+            </Select>
 
             <div className="flex gap-2 mt-2">
               <Button
@@ -1280,50 +1645,36 @@ export default function CircuitPlayground() {
                 top: n.y,
               }}
             >
-              <Card className="bg-zinc-900/80 border border-zinc-800 rounded-xl px-3 py-2 shadow-sm hover:border-orange-400/40 transition-all ">
+              <Card
+                className="bg-zinc-900/80 border border-zinc-800 rounded-xl px-3 py-2 shadow-sm hover:border-orange-400/40 transition-all "
+                style={pinLayout(n).length > 2 ? { minHeight: n.height, justifyContent: "center" } : undefined}
+              >
                 <div className="text-sm font-semibold text-white">{n.label}</div>
               </Card>
             </motion.div>
 
-            {/* Left Pin */}
-            <div
-              onClick={(e) => {
-                e.stopPropagation();
-                onPinClick(n.id, "left");
-              }}
-              title="Left Pin"
-              className={`absolute w-4 h-4 rounded-full border-2 border-zinc-700 grid place-items-center cursor-pointer transition-all ${
-                pendingPin?.node === n.id && pendingPin?.side === "left"
-                  ? "bg-orange-500"
-                  : "bg-zinc-800"
-              }`}
-              style={{
-                left: n.x - 8,
-                top: n.y + n.height / 2 - 8,
-              }}
-            >
-              <div className="w-2 h-2 rounded-full bg-orange-200" />
-            </div>
-
-            {/* Right Pin */}
-            <div
-              onClick={(e) => {
-                e.stopPropagation();
-                onPinClick(n.id, "right");
-              }}
-              title="Right Pin"
-              className={`absolute w-4 h-4 rounded-full border-2 border-zinc-700 grid place-items-center cursor-pointer transition-all ${
-                pendingPin?.node === n.id && pendingPin?.side === "right"
-                  ? "bg-orange-500"
-                  : "bg-zinc-800"
-              }`}
-              style={{
-                left: n.x + n.width-8,
-                top: n.y + n.height / 2 - 8,
-              }}
-            >
-              <div className="w-2 h-2 rounded-full bg-cyan-200" />
-            </div>
+            {/* Pins */}
+            {pinLayout(n).map((pin) => (
+              <div
+                key={pin.id}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onPinClick(n.id, pin.id);
+                }}
+                title={pin.title}
+                className={`absolute w-4 h-4 rounded-full border-2 border-zinc-700 grid place-items-center cursor-pointer transition-all ${
+                  pendingPin?.node === n.id && pendingPin?.side === pin.id
+                    ? "bg-orange-500"
+                    : "bg-zinc-800"
+                }`}
+                style={{
+                  left: n.x + pin.x * n.width - 8,
+                  top: n.y + pin.y * n.height - 8,
+                }}
+              >
+                <div className={`w-2 h-2 rounded-full ${pin.dot}`} />
+              </div>
+            ))}
           </div>
         ))}
       </motion.div>
@@ -1376,6 +1727,14 @@ export default function CircuitPlayground() {
                           n.params?.Irms ?? DEFAULT_PARAMS.current.Irms,
                           3
                         )} A RMS`}
+                      {n.meta?.type === "opamp" &&
+                        `A = ${n.params?.A ?? DEFAULT_PARAMS.opamp.A}`}
+                      {n.meta?.type === "diode" &&
+                        `Is = ${n.params?.Is ?? DEFAULT_PARAMS.diode.Is} A`}
+                      {CONTROLLED_SOURCES[n.meta?.type] &&
+                        `× ${n.params?.gain ?? DEFAULT_PARAMS[n.meta.type].gain} (${
+                          nodes.find((c) => c.id === n.ctrl)?.label ?? "no control"
+                        })`}
                     </div>
                   </div>
                 ))}
@@ -1443,10 +1802,20 @@ export default function CircuitPlayground() {
           <div className="flex justify-between items-center">
             <h3 className="text-orange-400 font-semibold flex items-center gap-2">
               <Waveform className="w-4 h-4 text-orange-500" />
-              Waveform (sampled)
+              {simMode === "transient" ? "Transient Scope" : simMode === "sweep" ? "Bode Plot" : "Waveform (sampled)"}
             </h3>
             <span className="text-zinc-500 text-xs">
-              {nodes.filter((n) => n.meta?.type === "voltage").length
+              {simMode === "sweep"
+                ? bode.data.length
+                  ? `${bode.data.length} points • V(Net ${sweepSettings.outNet}) / V(Net ${sweepSettings.inNet})`
+                  : "pick two nets"
+                : simMode === "transient"
+                ? transient
+                  ? `${transient.steps ?? 0} steps • ${tranSettings.method === "trap" ? "trapezoidal" : "backward Euler"}${
+                      transient.newton.maxIterations > 1 ? ` • ≤${transient.newton.maxIterations} Newton it/step` : ""
+                    }${transient.newton.failedSteps ? ` • ${transient.newton.failedSteps} steps not converged` : ""}`
+                  : "singular circuit"
+                : nodes.filter((n) => n.meta?.type === "voltage").length
                 ? `Source f=${
                     nodes.find((n) => n.meta?.type === "voltage")?.params
                       ?.freq ?? 50
@@ -1455,24 +1824,79 @@ export default function CircuitPlayground() {
             </span>
           </div>
 
-          <div className="h-[160px]">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartData}>
-                <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-                <XAxis dataKey="name" tick={false} />
-                <YAxis domain={["dataMin - 2", "dataMax + 2"]} />
-                <Tooltip  contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff",borderRadius:"10px" }}/>
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey="voltage"
-                  stroke={ORANGE}
-                  strokeWidth={2}
-                  dot={false}
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+          {simMode === "sweep" ? (
+            <BodePlot data={bode.data} markers={bode.markers} />
+          ) : simMode === "transient" ? (
+            <>
+              {/* a finished run plotted against its own time axis, like the Bode plot, not a live scope */}
+              <div className="h-[220px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={transient?.rows || []}>
+                    <CartesianGrid stroke="#111" strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="t"
+                      type="number"
+                      domain={[0, "dataMax"]}
+                      tickFormatter={(v) => `${fmt(v, 1)}`}
+                      stroke="#777"
+                      unit=" ms"
+                    />
+                    <YAxis yAxisId="V" stroke="#777" tickFormatter={(v) => fmt(v, 1)} />
+                    <YAxis yAxisId="A" orientation="right" stroke="#777" tickFormatter={(v) => fmt(v, 3)} />
+                    <Tooltip
+                      contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }}
+                      labelFormatter={(v) => `t = ${fmt(v, 3)} ms`}
+                      formatter={(v, name) => [fmt(v, 4), name]}
+                    />
+                    <Legend />
+                    {scopeTraces.map((tr, i) => (
+                      <Line
+                        key={tr.key}
+                        yAxisId={tr.unit}
+                        type="linear"
+                        dataKey={tr.key}
+                        name={tr.label}
+                        stroke={TRACE_COLORS[i % TRACE_COLORS.length]}
+                        strokeWidth={2}
+                        strokeDasharray={tr.unit === "A" ? "5 3" : undefined}
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="flex flex-wrap gap-1.5">
+                {(transient?.traces || []).map((tr) => {
+                  const on = scopeTraces.some((x) => x.key === tr.key);
+                  return (
+                    <button
+                      key={tr.key}
+                      type="button"
+                      onClick={() => toggleProbe(tr.key)}
+                      className={`text-[11px] px-2 py-0.5 rounded-full border cursor-pointer transition-colors ${
+                        on
+                          ? "border-orange-500/60 text-orange-300 bg-orange-500/10"
+                          : "border-zinc-800 text-zinc-500 hover:text-zinc-300"
+                      }`}
+                    >
+                      {tr.label}
+                    </button>
+                  );
+                })}
+              </div>
+            </>
+          ) : (
+            <Oscilloscope
+              title="Probe voltage v(t)"
+              data={chartData}
+              traces={AC_SCOPE_TRACES}
+              running={running}
+              window={400}
+              height="h-[160px]"
+              exportName="circuit-playground-scope"
+            />
+          )}
 
           <Separator className="bg-zinc-800" />
 
@@ -1580,7 +2004,7 @@ export default function CircuitPlayground() {
                       </div>
                     )}
 
-                    {["inductor", "capacitor", "voltage", "current"].map(
+                    {["inductor", "capacitor", "voltage", "current", "opamp", "diode"].map(
                       (type) =>
                         node.meta?.type === type && (
                           <div
@@ -1610,6 +2034,23 @@ export default function CircuitPlayground() {
                         )
                     )}
 
+                    {(node.meta?.type === "voltage" ||
+                      node.meta?.type === "current") && (
+                      <TransientSourceFields
+                        node={node}
+                        onChange={(patch) => updateNodeTran(node.id, patch)}
+                      />
+                    )}
+
+                    {CONTROLLED_SOURCES[node.meta?.type] && (
+                      <ControlledSourceFields
+                        node={node}
+                        nodes={nodes}
+                        onParams={(patch) => updateNodeParams(node.id, patch)}
+                        onCtrl={(ctrl) => updateNodeCtrl(node.id, ctrl)}
+                      />
+                    )}
+
                     {(node.meta?.type === "ammeter" ||
                       node.meta?.type === "voltmeter") && (
                       <div className="space-y-2">
@@ -1668,6 +2109,143 @@ export default function CircuitPlayground() {
         </Card>
       </motion.div>
 
+      {/* Transient Settings */}
+      {simMode === "transient" && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+        >
+          <Card className="bg-zinc-950/90 border border-zinc-800 shadow-lg hover:shadow-orange-500/10 transition-all">
+            <CardHeader className="pb-2">
+              <CardTitle className="text-orange-400 flex items-center gap-2">
+                <Activity className="w-4 h-4 text-orange-500" />
+                Transient Analysis
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="grid grid-cols-2 gap-3 text-sm">
+              <div className="space-y-1.5">
+                <label className="text-xs text-zinc-400">Stop time (ms)</label>
+                <Input
+                  type="number"
+                  value={tranSettings.stopMs}
+                  onChange={(e) => setTranSettings((s) => ({ ...s, stopMs: Number(e.target.value || 0) }))}
+                  className="bg-zinc-900 border-zinc-800 text-white"
+                />
+              </div>
+              <div className="space-y-1.5">
+                <label className="text-xs text-zinc-400">Timestep (µs)</label>
+                <Input
+                  type="number"
+                  value={tranSettings.stepUs}
+                  onChange={(e) => setTranSettings((s) => ({ ...s, stepUs: Number(e.target.value || 0) }))}
+                  className="bg-zinc-900 border-zinc-800 text-white"
+                />
+              </div>
+              <div className="col-span-2 space-y-1.5">
+                <label className="text-xs text-zinc-400">Integration</label>
+                <Select
+                  value={tranSettings.method}
+                  onValueChange={(v) => setTranSettings((s) => ({ ...s, method: v }))}
+                >
+                  <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                    <SelectValue placeholder="Method" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                    <SelectItem value="trap" className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">Trapezoidal</SelectItem>
+                    <SelectItem value="be" className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md">Backward Euler</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="col-span-2 text-xs text-zinc-500">
+                Capacitors start discharged and inductors de-energised. At most{" "}
+                {MAX_TRANSIENT_STEPS.toLocaleString()} steps are simulated.
+              </div>
+            </CardContent>
+          </Card>
+        </motion.div>
+      )}
+
+      {/* AC Sweep Settings */}
+      {simMode === "sweep" && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+        >
+          <Card className="bg-zinc-950/90 border border-zinc-800 shadow-lg hover:shadow-orange-500/10 transition-all">
+            <CardHeader className="pb-2">
+              <CardTitle className="text-orange-400 flex items-center gap-2">
+                <Activity className="w-4 h-4 text-orange-500" />
+                AC Sweep
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="grid grid-cols-2 gap-3 text-sm">
+              {[
+                ["inNet", "Input net"],
+                ["outNet", "Output net"],
+              ].map(([key, label]) => (
+                <div key={key} className="space-y-1.5">
+                  <label className="text-xs text-zinc-400">{label}</label>
+                  <Select
+                    value={String(sweepSettings[key])}
+                    onValueChange={(v) => setSweepSettings((s) => ({ ...s, [key]: Number(v) }))}
+                  >
+                    <SelectTrigger className="w-full bg-black/80 border cursor-pointer border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                      <SelectValue placeholder="Net" />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                      {(solution?.nets || []).slice(1).map((_, i) => (
+                        <SelectItem
+                          key={i + 1}
+                          value={String(i + 1)}
+                          className="text-white hover:bg-orange-500/20 data-[highlighted]:text-orange-200 cursor-pointer data-[highlighted]:bg-orange-500/30 rounded-md"
+                        >
+                          Net {i + 1}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+              {[
+                ["fStart", "Start (Hz)"],
+                ["fStop", "Stop (Hz)"],
+                ["pointsPerDecade", "Points / decade"],
+              ].map(([key, label]) => (
+                <div key={key} className="space-y-1.5">
+                  <label className="text-xs text-zinc-400">{label}</label>
+                  <Input
+                    type="number"
+                    value={sweepSettings[key]}
+                    onChange={(e) => setSweepSettings((s) => ({ ...s, [key]: Number(e.target.value || 0) }))}
+                    className="bg-zinc-900 border-zinc-800 text-white"
+                  />
+                </div>
+              ))}
+              <div className="flex items-end">
+                <Button
+                  variant="ghost"
+                  disabled={!bode.data.length}
+                  onClick={exportBodeCSV}
+                  className="w-full border cursor-pointer border-zinc-700 text-zinc-300 hover:text-orange-400"
+                >
+                  <Download className="w-4 h-4 mr-1" /> CSV
+                </Button>
+              </div>
+              <div className="col-span-2 text-xs text-zinc-500">
+                Both nets are measured against Net 0. Every source is driven at the sweep
+                frequency; the -3 dB level is taken from the peak magnitude.
+              </div>
+            </CardContent>
+          </Card>
+        </motion.div>
+      )}
+
       {/* Simulation Details */}
       <motion.div
         initial={{ opacity: 0, y: 10 }}
@@ -1684,8 +2262,30 @@ export default function CircuitPlayground() {
           <CardContent className="text-sm text-zinc-400 space-y-4">
             <div className="text-xs">
               Phasor nodal solver (AC steady-state). Supports ideal AC sources,
-              resistors, inductors, capacitors, and ideal current sources.
+              resistors, inductors, capacitors, ideal current sources and the
+              four controlled sources (VCVS, VCCS, CCVS, CCCS). Transient mode integrates the same netlist in time with companion
+              models for L and C; AC Sweep solves it over a log frequency range for a Bode plot.
+              Op-amps are ideal high-gain amplifiers (output referenced to Net 0). Diodes follow
+              the Shockley equation, solved by Newton iteration in DC and transient modes and
+              linearised at zero bias for the phasor solvers.
             </div>
+            {simMode === "dc" && (
+              <div
+                className={`text-xs rounded-md border px-3 py-2 ${
+                  solution.singular || (solution.newton && !solution.newton.converged)
+                    ? "border-red-500/40 text-red-300 bg-red-500/5"
+                    : "border-zinc-800 text-zinc-300 bg-zinc-900/60"
+                }`}
+              >
+                {solution.singular
+                  ? "Singular circuit: check for floating nets or loops of ideal sources."
+                  : solution.newton
+                  ? `Newton: ${solution.newton.iterations} iteration${solution.newton.iterations === 1 ? "" : "s"}, ${
+                      solution.newton.converged ? "converged" : "did not converge"
+                    } (last ΔV = ${solution.newton.maxDelta.toExponential(2)} V)`
+                  : "Nothing to solve yet."}
+              </div>
+            )}
             <div className="text-xs">
               Note: This is an educational solver for small circuits, limited by
               numerical stability.
@@ -1695,7 +2295,7 @@ export default function CircuitPlayground() {
 
             <div>
               <div className="font-semibold text-zinc-100 mb-2">
-                Net Voltages (RMS)
+                Net Voltages ({simMode === "dc" ? "DC" : "RMS"})
               </div>
               <div className="grid gap-2">
                 {(solution?.nets || []).map((_, i) => {
@@ -1746,6 +2346,13 @@ export default function CircuitPlayground() {
     </aside>
       </div>
 
+      <SpiceImportDialog
+        open={spiceOpen}
+        onOpenChange={setSpiceOpen}
+        onImport={importSpice}
+        note="Components are laid out on a grid and wired net by net."
+      />
+
       {/* keyboard shortcuts help */}
       <div className="fixed bottom-4 left-4 flex items-center gap-2 px-3 py-2
         bg-black/80 border border-zinc-800 text-zinc-400 rounded-lg
@@ -29,16 +29,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import {Slider } from "@/components/ui/slider"
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
 
 const c = {
   add: (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
@@ -673,39 +664,12 @@ function useTransformerSim({
 }
 
 
-function TransformerOscilloscope({ history = [], running }) {
-  const data = history.slice(-400).map((d, idx) => ({
-    t: idx,
-    Vp: round(d.vp, 3),
-    Vs: round(d.vs, 3),
-    Ip: round(d.ip, 6),
-    Is: round(d.is, 6),
-  }));
-
-  return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-400">Oscilloscope — Vp, Vs, Ip, Is</div>
-        <div className="text-xs text-zinc-400">{running ? "Live" : "Paused"}</div>
-      </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            <Line type="monotone" dataKey="Vp" stroke="#ffd24a" strokeWidth={2} dot={false} isAnimationActive={false} name="Vp (V)" />
-            <Line type="monotone" dataKey="Vs" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name="Vs (V)" />
-            <Line type="monotone" dataKey="Ip" stroke="#00ffbf" strokeWidth={2} dot={false} isAnimationActive={false} name="Ip (A)" />
-            <Line type="monotone" dataKey="Is" stroke="#9ee6ff" strokeWidth={2} dot={false} isAnimationActive={false} name="Is (A)" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
-}
+const TRANSFORMER_TRACES = [
+  { key: "vp", name: "Vp (V)", color: "#ffd24a" },
+  { key: "vs", name: "Vs (V)", color: "#ff9a4a" },
+  { key: "ip", name: "Ip (A)", color: "#00ffbf" },
+  { key: "is", name: "Is (A)", color: "#9ee6ff" },
+];
 
 export default function InteractiveTransformerPage() {
   const [Np, setNp] = useState(100);
@@ -1197,7 +1161,7 @@ export default function InteractiveTransformerPage() {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-full overflow-hidden">
               <div className="w-full max-w-full">
-                <TransformerOscilloscope history={history} running={running} />
+                <Oscilloscope title="Oscilloscope — Vp, Vs, Ip, Is" data={history} traces={TRANSFORMER_TRACES} running={running} window={400} exportName="transformer-scope" />
               </div>
 
               <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
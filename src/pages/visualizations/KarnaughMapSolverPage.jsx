@@ -3,7 +3,7 @@
 
 import React, { useEffect, useMemo, useRef, useState, useLayoutEffect } from "react";
 import { motion } from "framer-motion";
-import { Activity, Copy, Play, Pause, Zap, Sliders, Table, Brackets, PanelLeftRightDashed, AudioWaveform, Grip, LocateFixed, Camera } from "lucide-react";
+import { Activity, Copy, Play, Pause, Zap, Sliders, Table, Brackets, PanelLeftRightDashed, AudioWaveform, Grip, LocateFixed, Camera, Layers, Plus, Trash2 } from "lucide-react";
 import {
   Card,
   CardHeader,
@@ -23,6 +23,7 @@ import { Badge } from "@/components/ui/badge";
 import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip } from "recharts";
 import Footer from "@/components/landing/Footer";
 import { CopyExpressionButtons } from "../../components/CopyExpressionButtons";
+import { BCD_TO_7SEG, minimizeMultiOutput, minimizeSeparately } from "@/lib/logic";
 
 /* ---------------- THEME ---------------- */
 const THEME = {
@@ -63,11 +64,25 @@ function covers(termPattern, mintermBin) {
 /* ------------------ K-map layout builder ------------------ */
 /**
  * Build K-map layout splitting variables roughly half for rows/cols.
- * For 2..5 vars.
- * returns { rows, cols, cells, rowBits, colBits }
+ * For 2..5 vars. 6 vars use the two-layer layout: four 4x4 maps, one per AB layer,
+ * rows A·CD and columns B·EF, Gray-coded inside each layer.
+ * returns { rows, cols, cells, rowBits, colBits, rowLabels, colLabels, layered }
  * cells: { r, c, minterm, rowGray, colGray }
  */
 function buildKmapCells(vars) {
+  if (vars === 6) {
+    const cells = [];
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        const rowGray = gray(r & 3);
+        const colGray = gray(c & 3);
+        const minterm = ((r >> 2) << 5) | ((c >> 2) << 4) | (rowGray << 2) | colGray;
+        cells.push({ r, c, minterm, rowGray, colGray });
+      }
+    }
+    const labels = Array.from({ length: 8 }, (_, i) => `${i >> 2}·${intToBinStr(gray(i & 3), 2)}`);
+    return { rows: 8, cols: 8, cells, rowBits: 3, colBits: 3, rowLabels: labels, colLabels: labels, layered: true };
+  }
   // split bits: rowBits = floor(vars/2), colBits = vars - rowBits
   const rowBits = Math.floor(vars / 2);
   const colBits = vars - rowBits;
@@ -82,7 +97,9 @@ function buildKmapCells(vars) {
       cells.push({ r, c, minterm, rowGray, colGray });
     }
   }
-  return { rows, cols, cells, rowBits, colBits };
+  const rowLabels = Array.from({ length: rows }, (_, r) => intToBinStr(gray(r), rowBits));
+  const colLabels = Array.from({ length: cols }, (_, c) => intToBinStr(gray(c), colBits));
+  return { rows, cols, cells, rowBits, colBits, rowLabels, colLabels, layered: false };
 }
 
 /* ------------------ Quine-McCluskey Simplifier ------------------ */
@@ -265,6 +282,212 @@ function patternToPOSclause(pat, varNames) {
   return "(" + parts.join(" + ") + ")";
 }
 
+const VAR_NAMES = ["A", "B", "C", "D", "E", "F"];
+
+// "1,3,5-7" -> sorted unique indices that fit in 2^vars
+function parseMintermList(str, vars) {
+  if (!str || !str.trim()) return [];
+  const toks = str.split(/[,\s]+/).map(t=>t.trim()).filter(Boolean);
+  const ints = [];
+  toks.forEach((tk) => {
+    if (tk.includes("-")) {
+      const [a,b] = tk.split("-").map(x=>Number(x));
+      if (!isNaN(a) && !isNaN(b)) {
+        for (let i=Math.min(a,b);i<=Math.max(a,b);i++) ints.push(i);
+      }
+    } else {
+      const v = Number(tk);
+      if (!isNaN(v)) ints.push(v);
+    }
+  });
+  const max = (1<<vars)-1;
+  return Array.from(new Set(ints)).filter(x=>x>=0 && x<=max).sort((a,b)=>a-b);
+}
+
+/* ---------------- Multi-output minimisation ---------------- */
+const COST_ROWS = [
+  ["andGates", "AND gates"],
+  ["orGates", "OR gates"],
+  ["gates", "Total gates"],
+  ["literals", "Literals"],
+  ["gateInputs", "Gate inputs"],
+];
+
+function bcdPreset() {
+  return BCD_TO_7SEG.map((f, i) => ({ id: i + 1, name: f.name, minterms: f.minterms.join(","), dontCares: "10-15" }));
+}
+
+function MultiOutputPanel() {
+  const [moVars, setMoVars] = useState(4);
+  const [outputs, setOutputs] = useState(bcdPreset);
+
+  const functions = useMemo(() => outputs.map((o, i) => {
+    const minterms = parseMintermList(o.minterms, moVars);
+    const dontCares = parseMintermList(o.dontCares, moVars).filter((m) => !minterms.includes(m));
+    return { name: o.name.trim() || `F${i + 1}`, minterms, dontCares };
+  }), [outputs, moVars]);
+  const shared = useMemo(() => (functions.length ? minimizeMultiOutput(functions, moVars) : null), [functions, moVars]);
+  const separate = useMemo(() => (functions.length ? minimizeSeparately(functions, moVars) : null), [functions, moVars]);
+
+  const varNames = VAR_NAMES.slice(0, moVars);
+  const sop = (terms) => (terms.length ? terms.map((p) => patternToSOPterm(p, varNames)).join(" + ") : "0");
+  const update = (id, key, value) => setOutputs((list) => list.map((o) => (o.id === id ? { ...o, [key]: value } : o)));
+  const addOutput = () => setOutputs((list) => {
+    const id = Math.max(0, ...list.map((o) => o.id)) + 1;
+    return [...list, { id, name: `F${list.length + 1}`, minterms: "", dontCares: "" }];
+  });
+  const loadBcd = () => {
+    setMoVars(4);
+    setOutputs(bcdPreset());
+  };
+
+  return (
+    <Card className="border border-zinc-800 shadow-md" style={{ background: THEME.cardBg }}>
+      <CardHeader className="pb-2">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <CardTitle className="text-base sm:text-lg text-orange-400 flex items-center gap-2">
+            <Layers className="w-5 h-5" /> Multi-output Minimisation
+          </CardTitle>
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={String(moVars)} onValueChange={(v) => setMoVars(Number(v))}>
+              <SelectTrigger className="w-32 cursor-pointer bg-zinc-900/60 border-zinc-700 text-orange-100">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900/90 border-zinc-800">
+                {[2, 3, 4, 5, 6].map((n) => (
+                  <SelectItem key={n} className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value={String(n)}>{n} variables</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" className="border border-zinc-700 text-black cursor-pointer" onClick={loadBcd}>
+              BCD → 7-segment
+            </Button>
+            <Button className="cursor-pointer bg-gradient-to-r from-[#ff7a2d] to-[#ffd24a] text-orange-900" onClick={addOutput}>
+              <Plus className="w-4 h-4" /> Output
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-5">
+        {/* Functions */}
+        <div className="space-y-2">
+          <div className="grid grid-cols-[4rem_1fr_1fr_2.5rem] gap-2 text-xs text-orange-200">
+            <div>Output</div>
+            <div>Minterms</div>
+            <div>Don’t cares</div>
+            <div />
+          </div>
+          {outputs.map((o) => (
+            <div key={o.id} className="grid grid-cols-[4rem_1fr_1fr_2.5rem] gap-2">
+              <Input value={o.name} onChange={(e) => update(o.id, "name", e.target.value)} className="bg-zinc-900/60 border-zinc-800 text-orange-100 font-mono" />
+              <Input value={o.minterms} onChange={(e) => update(o.id, "minterms", e.target.value)} placeholder="e.g. 1,3,5-7" className="bg-zinc-900/60 border-zinc-800 text-orange-100 font-mono" />
+              <Input value={o.dontCares} onChange={(e) => update(o.id, "dontCares", e.target.value)} placeholder="e.g. 10-15" className="bg-zinc-900/60 border-zinc-800 text-orange-100 font-mono" />
+              <Button
+                variant="ghost"
+                className="text-zinc-400 hover:text-orange-300 cursor-pointer"
+                onClick={() => setOutputs((list) => list.filter((x) => x.id !== o.id))}
+                title="Remove output"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        {!shared ? (
+          <div className="text-orange-300 text-sm italic">Add an output function to minimise.</div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
+            {/* Shared product terms */}
+            <div>
+              <div className="text-xs sm:text-sm text-orange-200 mb-2">Product terms (AND gates)</div>
+              <div className="text-sm max-h-80 overflow-auto rounded-xl border border-zinc-800/80 bg-black/30">
+                <table className="w-full text-left text-sm text-zinc-300">
+                  <thead className="text-xs sticky top-0 bg-zinc-950/95 border-b border-zinc-800/70">
+                    <tr>
+                      <th className="p-2 text-orange-400">Term</th>
+                      <th className="p-2 text-orange-400">Pattern</th>
+                      <th className="p-2 text-orange-400">Feeds</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shared.products.map((p, i) => (
+                      <tr key={p.pattern} className={i % 2 === 0 ? "bg-zinc-900/60" : "bg-zinc-950/40"}>
+                        <td className="p-2 font-semibold text-orange-100">{patternToSOPterm(p.pattern, varNames)}</td>
+                        <td className="p-2 font-mono text-xs text-zinc-400">{p.pattern}</td>
+                        <td className="p-2">
+                          <div className="flex flex-wrap items-center gap-1">
+                            {p.outputs.map((fi) => (
+                              <Badge key={fi} className="bg-zinc-800 text-orange-200 text-xs">{functions[fi].name}</Badge>
+                            ))}
+                            {p.outputs.length > 1 && (
+                              <Badge className="bg-[rgba(255,122,45,0.12)] border-[#ff7a2d] text-orange-300 text-xs">shared</Badge>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Cost comparison */}
+            <div className="space-y-4">
+              <div>
+                <div className="text-xs sm:text-sm text-orange-200 mb-2">Cost (complemented inputs available)</div>
+                <table className="w-full text-sm text-zinc-300 rounded-xl border border-zinc-800/80">
+                  <thead className="text-xs bg-zinc-950/95 border-b border-zinc-800/70">
+                    <tr>
+                      <th className="p-2 text-left text-orange-400" />
+                      <th className="p-2 text-right text-orange-400">Multi-output</th>
+                      <th className="p-2 text-right text-orange-400">Separate</th>
+                      <th className="p-2 text-right text-orange-400">Saved</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {COST_ROWS.map(([key, label], i) => (
+                      <tr key={key} className={i % 2 === 0 ? "bg-zinc-900/60" : "bg-zinc-950/40"}>
+                        <td className="p-2 text-orange-200">{label}</td>
+                        <td className="p-2 text-right font-mono text-orange-100">{shared.cost[key]}</td>
+                        <td className="p-2 text-right font-mono">{separate.cost[key]}</td>
+                        <td className={`p-2 text-right font-mono ${separate.cost[key] > shared.cost[key] ? "text-orange-400" : "text-zinc-500"}`}>
+                          {separate.cost[key] - shared.cost[key]}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <div className="text-xs sm:text-sm text-orange-200 mb-2">Expressions</div>
+                <div className="space-y-2">
+                  {shared.outputs.map((o, fi) => (
+                    <div key={fi} className="p-2 rounded bg-black/40 border border-zinc-800 text-sm">
+                      <div className="font-semibold text-orange-100 break-words">
+                        {o.name} = {sop(o.terms)}
+                      </div>
+                      {sop(o.terms) !== sop(separate.outputs[fi].terms) && (
+                        <div className="text-xs text-zinc-400 break-words mt-1">
+                          alone: {o.name} = {sop(separate.outputs[fi].terms)}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 /* ---------------- React Page Component ---------------- */
 export default function KarnaughMapSolverPage() {
   /* ---------- State & Refs ---------- */
@@ -330,22 +553,7 @@ export default function KarnaughMapSolverPage() {
     });
   }
   function parseList(str) {
-    if (!str || !str.trim()) return [];
-    const toks = str.split(/[,\s]+/).map(t=>t.trim()).filter(Boolean);
-    const ints = [];
-    toks.forEach((tk) => {
-      if (tk.includes("-")) {
-        const [a,b] = tk.split("-").map(x=>Number(x));
-        if (!isNaN(a) && !isNaN(b)) {
-          for (let i=Math.min(a,b);i<=Math.max(a,b);i++) ints.push(i);
-        }
-      } else {
-        const v = Number(tk);
-        if (!isNaN(v)) ints.push(v);
-      }
-    });
-    const max = (1<<vars)-1;
-    return Array.from(new Set(ints)).filter(x=>x>=0 && x<=max).sort((a,b)=>a-b);
+    return parseMintermList(str, vars);
   }
   function applyInputs() {
     const mins = parseList(mintermInput);
@@ -364,7 +572,9 @@ export default function KarnaughMapSolverPage() {
   }
 
   /* ---------- K-map layout & derived data ---------- */
-  const { rows, cols, cells, rowBits, colBits } = useMemo(()=>buildKmapCells(vars), [vars]);
+  const { rows, cols, cells, rowLabels, colLabels, layered } = useMemo(()=>buildKmapCells(vars), [vars]);
+  // the 6-variable map leaves a gap between its AB layers (r / c = -1 for label cells)
+  const layerGap = (r, c) => (layered ? { marginTop: r === 4 ? 10 : 0, marginLeft: c === 4 ? 10 : 0 } : {});
 
   const minterms = useMemo(()=>Object.keys(cellsState).filter(k=>cellsState[k]===1).map(Number), [cellsState]);
   const dontCares = useMemo(()=>Object.keys(cellsState).filter(k=>cellsState[k]===-1).map(Number), [cellsState]);
@@ -378,30 +588,23 @@ export default function KarnaughMapSolverPage() {
 
   /* ---------- Simplification (SOP & POS) ---------- */
   const sopResult = useMemo(()=> {
-    if (minterms.length === 0) return { primeImplicants: [], patterns: [], expression: "0", varNames: (vars===2?["A","B"]: vars===3?["A","B","C"] : vars===4?["A","B","C","D"] : ["A","B","C","D","E"]) };
+    if (minterms.length === 0) return { primeImplicants: [], patterns: [], expression: "0", varNames: VAR_NAMES.slice(0, vars) };
     const { primeImplicants, selectedPatterns } = qmSimplify(minterms, dontCares, vars);
-    const varNames = (vars===2?["A","B"]: vars===3?["A","B","C"] : vars===4?["A","B","C","D"] : ["A","B","C","D","E"]);
+    const varNames = VAR_NAMES.slice(0, vars);
     const exprTerms = (selectedPatterns || []).map(pat => patternToSOPterm(pat, varNames));
     const expression = exprTerms.length === 0 ? "0" : exprTerms.join(" + ");
     return { primeImplicants: primeImplicants || [], patterns: selectedPatterns || [], expression, varNames };
   }, [minterms, dontCares, vars]);
 
   const posResult = useMemo(()=> {
-    if (maxterms.length === 0) return { primeImplicants: [], patterns: [], expression: "1", varNames: (vars===2?["A","B"]: vars===3?["A","B","C"] : vars===4?["A","B","C","D"] : ["A","B","C","D","E"]) };
+    if (maxterms.length === 0) return { primeImplicants: [], patterns: [], expression: "1", varNames: VAR_NAMES.slice(0, vars) };
     const { primeImplicants, selectedPatterns } = qmSimplify(maxterms, dontCares, vars);
-    const varNames = (vars===2?["A","B"]: vars===3?["A","B","C"] : vars===4?["A","B","C","D"] : ["A","B","C","D","E"]);
+    const varNames = VAR_NAMES.slice(0, vars);
     const clauses = (selectedPatterns || []).map(pat => patternToPOSclause(pat, varNames));
     const expression = clauses.length === 0 ? "1" : clauses.join(" * ");
     return { primeImplicants: primeImplicants || [], patterns: selectedPatterns || [], expression, varNames };
   }, [maxterms, dontCares, vars]);
 
-  /* ---------- Grouping ---------- */
-  const groups = useMemo(()=> {
-    const g = findGroups(vars, cellsState);
-    // groups already include minterms property from findGroups
-    return g;
-  }, [vars, cellsState]);
-
   /* ---------- Coverage arrays for SOP / POS (for visual grids) ---------- */
   function patternCoveredMinterms(pattern) {
     const res = [];
@@ -425,6 +628,19 @@ export default function KarnaughMapSolverPage() {
     return arr;
   }, [posResult, vars]);
 
+  /* ---------- Grouping ---------- */
+  const groups = useMemo(()=> {
+    // 6 vars: one box per AB layer touched by each SOP term (a rectangle is only contiguous inside a layer)
+    if (vars === 6) {
+      return sopTermCoverage.flatMap((t) => [0, 1, 2, 3]
+        .map((layer) => ({ minterms: t.minterms.filter((m) => (m >> 4) === layer), label: patternToSOPterm(t.pattern, sopResult.varNames) }))
+        .filter((g) => g.minterms.length));
+    }
+    const g = findGroups(vars, cellsState);
+    // groups already include minterms property from findGroups
+    return g;
+  }, [vars, cellsState, sopTermCoverage, sopResult]);
+
   /* ---------- Waveform & truth table ---------- */
   const waveform = useMemo(()=> {
     const samples = [];
@@ -451,10 +667,6 @@ export default function KarnaughMapSolverPage() {
     return rowsOut;
   }, [vars, minterms, dontCares]);
 
-  /* ---------- Label helpers ---------- */
-  function colLabelString(colIndex, colBits) { const g = gray(colIndex); return intToBinStr(g, colBits); }
-  function rowLabelString(rowIndex, rowBits) { const g = gray(rowIndex); return intToBinStr(g, rowBits); }
-
   /* ---------- computeGroupBox using cellRectMap (single source of truth) ---------- */
   function computeGroupBox(group) {
     if (!group || !group.minterms || group.minterms.length === 0) return null;
@@ -552,6 +764,9 @@ export default function KarnaughMapSolverPage() {
               <SelectItem className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
                  data-[highlighted]:bg-orange-500/30 rounded-md" value="5">5 variables (A,B,C,D,E)</SelectItem>
+              <SelectItem className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value="6">6 variables (A–F, two layers)</SelectItem>
             </SelectContent>
           </Select>
         </div>
@@ -765,6 +980,11 @@ export default function KarnaughMapSolverPage() {
           Tap or click cells to toggle <span className="text-orange-300 font-medium">0 → 1 → X</span>.
           Groups and overlays update <span className="text-orange-200 font-medium">live</span>.
         </motion.p>
+        {layered && (
+          <p className="text-[11px] text-zinc-500 mt-1">
+            Rows <span className="font-mono text-orange-200">A·CD</span>, columns <span className="font-mono text-orange-200">B·EF</span> — one 4×4 layer per AB.
+          </p>
+        )}
       </div>
 
       <div className="flex items-center gap-2 w-full sm:w-auto">
@@ -806,7 +1026,7 @@ export default function KarnaughMapSolverPage() {
         style={{
           width: "100%",
           maxWidth:
-            vars <= 3 ? "420px" : vars === 4 ? "580px" : "900px",
+            vars <= 3 ? "420px" : vars === 4 ? "580px" : vars === 5 ? "900px" : "980px",
         }}
       >
         {/* Dynamic Grid */}
@@ -824,16 +1044,17 @@ export default function KarnaughMapSolverPage() {
             <div
               key={c}
               className="h-10 flex items-center justify-center text-[10px] sm:text-xs text-orange-200 font-mono"
+              style={layerGap(-1, c)}
             >
-              {colLabelString(c, colBits)}
+              {colLabels[c]}
             </div>
           ))}
 
           {/* Row labels and cells */}
           {Array.from({ length: rows }).map((_, r) => (
             <React.Fragment key={r}>
-              <div className="h-12 flex items-center justify-center text-[10px] sm:text-xs text-orange-200 font-mono">
-                {rowLabelString(r, rowBits)}
+              <div className="h-12 flex items-center justify-center text-[10px] sm:text-xs text-orange-200 font-mono" style={layerGap(r, -1)}>
+                {rowLabels[r]}
               </div>
 
               {Array.from({ length: cols }).map((_, c) => {
@@ -868,7 +1089,9 @@ export default function KarnaughMapSolverPage() {
                           ? 56
                           : vars === 4
                           ? 48
-                          : 44,
+                          : vars === 5
+                          ? 44
+                          : 40,
                       border: `1px solid ${THEME.border}`,
                       background: isOne
                         ? "linear-gradient(180deg, rgba(255,122,45,0.07), rgba(255,210,74,0.02))"
@@ -885,6 +1108,7 @@ export default function KarnaughMapSolverPage() {
                         : "rgba(255,255,255,0.75)",
                       padding: 6,
                       borderRadius: 8,
+                      ...layerGap(r, c),
                     }}
                   >
                     <div className="text-[11px] font-mono absolute top-2 left-2 text-zinc-300">
@@ -933,7 +1157,7 @@ export default function KarnaughMapSolverPage() {
           {groups.map((g, i) => {
             const box = computeGroupBox(g);
             if (!box) return null;
-            const label = g.minterms?.join(", ");
+            const label = g.label ?? g.minterms?.join(", ");
             return (
               <motion.div
                 key={i}
@@ -1013,15 +1237,16 @@ export default function KarnaughMapSolverPage() {
           <div
             key={c}
             className="h-8 flex items-center justify-center text-xs text-orange-200"
+            style={layerGap(-1, c)}
           >
-            {colLabelString(c, colBits)}
+            {colLabels[c]}
           </div>
         ))}
 
         {Array.from({ length: rows }).map((_, r) => (
           <React.Fragment key={r}>
-            <div className="h-10 flex items-center justify-center text-xs text-orange-200">
-              {rowLabelString(r, rowBits)}
+            <div className="h-10 flex items-center justify-center text-xs text-orange-200" style={layerGap(r, -1)}>
+              {rowLabels[r]}
             </div>
             {Array.from({ length: cols }).map((_, c) => {
               const cell = cells.find((cc) => cc.r === r && cc.c === c);
@@ -1037,6 +1262,7 @@ export default function KarnaughMapSolverPage() {
                     covered ? "bg-orange-700/30" : "bg-black/20"
                   }`}
                   style={{
+                    ...layerGap(r, c),
                     minHeight: 36,
                     border: covered
                       ? `1px solid rgba(255,122,45,0.5)`
@@ -1096,15 +1322,16 @@ export default function KarnaughMapSolverPage() {
           <div
             key={c}
             className="h-8 flex items-center justify-center text-xs text-yellow-200"
+            style={layerGap(-1, c)}
           >
-            {colLabelString(c, colBits)}
+            {colLabels[c]}
           </div>
         ))}
 
         {Array.from({ length: rows }).map((_, r) => (
           <React.Fragment key={r}>
-            <div className="h-10 flex items-center justify-center text-xs text-yellow-200">
-              {rowLabelString(r, rowBits)}
+            <div className="h-10 flex items-center justify-center text-xs text-yellow-200" style={layerGap(r, -1)}>
+              {rowLabels[r]}
             </div>
             {Array.from({ length: cols }).map((_, c) => {
               const cell = cells.find((cc) => cc.r === r && cc.c === c);
@@ -1120,6 +1347,7 @@ export default function KarnaughMapSolverPage() {
                     covered ? "bg-yellow-700/25" : "bg-black/20"
                   }`}
                   style={{
+                    ...layerGap(r, c),
                     minHeight: 36,
                     border: covered
                       ? `1px dashed rgba(255,210,74,0.5)`
@@ -1242,7 +1470,12 @@ export default function KarnaughMapSolverPage() {
     </p>
     <p>
       • Quine–McCluskey simplification supports up to{" "}
-      <span className="text-orange-100 font-semibold">5 variables</span>.
+      <span className="text-orange-100 font-semibold">6 variables</span>; the 6-variable map is drawn as four
+      4×4 layers (rows A·CD, columns B·EF) — matching cells in neighbouring layers are adjacent too.
+    </p>
+    <p>
+      • Multi-output minimisation below shares product terms between functions and compares the gate cost
+      with minimising each function on its own.
     </p>
     <p>
       • Toggle overlays to view SOP and POS term coverage directly on the grid.
@@ -1370,6 +1603,11 @@ export default function KarnaughMapSolverPage() {
 </Card>
 
         </div>
+
+        {/* Multi-output minimisation */}
+        <div className="mt-6">
+          <MultiOutputPanel />
+        </div>
       </main>
 
       <Footer />
@@ -36,8 +36,6 @@ import {
   CartesianGrid,
   XAxis,
   YAxis,
-  Tooltip,
-  Legend,
 } from "recharts";
 
 /* shadcn/ui-ish components -- adjust imports to your project layout */
@@ -47,7 +45,30 @@ import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "@
 import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
 import { Slider } from "@/components/ui/slider";
+import { Input } from "@/components/ui/input";
+import {
+  MAX_EXPRESSION_INPUTS,
+  parseExpression,
+  formatExpression,
+  buildNetlist,
+  simulateNetlist,
+  truthTable as netlistTruthTable,
+  toNandOnly,
+  toNorOnly,
+  gateCounts,
+  MAX_SETTLE_WAVES,
+  DIGITAL_PARTS,
+  DEFAULT_PART_PROPS,
+  pinKey,
+  nextPartLabel,
+  findCombinationalLoops,
+  createDigitalState,
+  stepDigital,
+  digitalInput,
+  digitalProbes,
+} from "@/lib/logic";
 import Footer from "../../components/landing/Footer";
+import Oscilloscope from "@/components/Oscilloscope";
 
 /* ----------------------------- THEME ----------------------------------- */
 const THEME = {
@@ -224,6 +245,13 @@ function simReducer(state, action) {
 }
 
 /* ---------------- Real-time oscilloscope component ------------------- */
+const LOGIC_TRACES = [
+  { key: "a", name: "A", color: THEME.accent3, step: true },
+  { key: "b", name: "B", color: THEME.accent, step: true },
+  { key: "out", name: "OUT", color: THEME.accent2, step: true },
+  { key: "carry", name: "CARRY", color: "#9b5cff", width: 1.8, step: true },
+];
+
 function RealtimeOscilloscope({ sampleFn, running, sampleMs = 220, maxPoints = 500 }) {
   const [data, setData] = useState([]);
   const runningRef = useRef(running);
@@ -253,55 +281,7 @@ function RealtimeOscilloscope({ sampleFn, running, sampleMs = 220, maxPoints = 5
     };
   }, [running, sampleFn, sampleMs, maxPoints]);
 
-  return (
-    <div className="w-full h-48 bg-transparent">
-      <ResponsiveContainer width="100%" height="100%">
-        <LineChart data={data}>
-          <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.06} />
-          <XAxis dataKey="t" tick={false} />
-          <YAxis domain={[0, 1]} tickCount={2} />
-          <Tooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff",borderRadius:"10px" }} />
-          <Legend />
-          <Line
-            type="stepAfter"
-            dataKey="a"
-            name="A"
-            dot={false}
-            isAnimationActive={false}
-            stroke={THEME.accent3}
-            strokeWidth={2}
-          />
-          <Line
-            type="stepAfter"
-            dataKey="b"
-            name="B"
-            dot={false}
-            isAnimationActive={false}
-            stroke={THEME.accent}
-            strokeWidth={2}
-          />
-          <Line
-            type="stepAfter"
-            dataKey="out"
-            name="OUT"
-            dot={false}
-            isAnimationActive={false}
-            stroke={THEME.accent2}
-            strokeWidth={2}
-          />
-          <Line
-            type="stepAfter"
-            dataKey="carry"
-            name="CARRY"
-            dot={false}
-            isAnimationActive={false}
-            stroke="#9b5cff"
-            strokeWidth={1.8}
-          />
-        </LineChart>
-      </ResponsiveContainer>
-    </div>
-  );
+  return <Oscilloscope data={data} traces={LOGIC_TRACES} running={running} window={maxPoints} yDomain={[0, 1]} height="h-48" exportName="logic-gate-scope" />;
 }
 
 /* ----------------- CircuitSVG: dynamic layout + pulse animation ------- */
@@ -806,6 +786,652 @@ function CircuitSVG({
   );
 }
 
+/* ------------------ Expression netlist diagram ------------------------ */
+// gate bodies centred on (0, 0), ~48 x 40; output pin at x = 28 (bubble included)
+const GATE_BODY = {
+  AND: "M -24 -20 L 0 -20 A 20 20 0 0 1 0 20 L -24 20 Z",
+  OR: "M -26 -20 Q 4 -20 24 0 Q 4 20 -26 20 Q -14 0 -26 -20 Z",
+  NOT: "M -22 -16 L 16 0 L -22 16 Z",
+};
+const GATE_SHAPE = { AND: "AND", NAND: "AND", OR: "OR", NOR: "OR", XOR: "OR", XNOR: "OR", NOT: "NOT" };
+const INVERTING = ["NAND", "NOR", "XNOR", "NOT"];
+
+function layoutNetlist(netlist) {
+  const level = {};
+  netlist.inputs.forEach((name) => {
+    level[name] = 0;
+  });
+  const columns = [netlist.inputs.map((name) => ({ id: name, kind: "input" }))];
+  netlist.gates.forEach((g) => {
+    const lv = 1 + Math.max(0, ...g.inputs.map((s) => level[s] ?? 0));
+    level[g.id] = lv;
+    (columns[lv] ??= []).push({ id: g.id, kind: "gate", gate: g });
+  });
+
+  const colW = 120;
+  const rowH = 64;
+  const rows = Math.max(1, ...columns.map((c) => c?.length ?? 0));
+  const h = rows * rowH + 24;
+  const pos = {};
+  columns.forEach((col = [], c) => {
+    const offset = (h - col.length * rowH) / 2 + rowH / 2;
+    col.forEach((item, r) => {
+      pos[item.id] = { x: 40 + c * colW, y: offset + r * rowH };
+    });
+  });
+  const outX = 40 + columns.length * colW;
+  return { columns, pos, w: outX + 60, h, out: { x: outX, y: pos[netlist.output]?.y ?? h / 2 } };
+}
+
+function ExpressionCircuitSVG({ netlist, values = {}, onToggleInput }) {
+  const layout = useMemo(() => layoutNetlist(netlist), [netlist]);
+  const { pos } = layout;
+  const outPin = (id) => (netlist.inputs.includes(id) ? { x: pos[id].x + 12, y: pos[id].y } : { x: pos[id].x + 28, y: pos[id].y });
+  const inPin = (g, i) => {
+    const n = g.inputs.length;
+    const spread = Math.min(30, 12 * (n - 1));
+    return { x: pos[g.id].x - 24, y: pos[g.id].y + (n > 1 ? -spread / 2 + (spread * i) / (n - 1) : 0) };
+  };
+  const wire = (a, b) => {
+    const midX = (a.x + b.x) / 2;
+    return `M ${a.x},${a.y} C ${midX},${a.y} ${midX},${b.y} ${b.x},${b.y}`;
+  };
+  const color = (s) => (values[s] ? THEME.accent : "#2a2a2e");
+
+  return (
+    <svg viewBox={`0 0 ${layout.w} ${layout.h}`} width="100%" height={Math.min(520, Math.max(200, layout.h))} preserveAspectRatio="xMidYMid meet">
+      {/* wires */}
+      {netlist.gates.flatMap((g) =>
+        g.inputs.map((s, i) => (
+          <path key={`${g.id}-${i}`} d={wire(outPin(s), inPin(g, i))} stroke={color(s)} strokeWidth={values[s] ? 2.5 : 1.5} fill="none" />
+        ))
+      )}
+      <path d={wire(outPin(netlist.output), layout.out)} stroke={color(netlist.output)} strokeWidth={values[netlist.output] ? 2.5 : 1.5} fill="none" />
+
+      {/* inputs (click to toggle) */}
+      {netlist.inputs.map((name) => (
+        <g key={name} transform={`translate(${pos[name].x},${pos[name].y})`} className="cursor-pointer" onClick={() => onToggleInput?.(name)}>
+          <circle r="12" fill={values[name] ? THEME.accent : "#111"} stroke={THEME.border} />
+          <text y="4" textAnchor="middle" fontSize="10" fill="#fff">{values[name] ? 1 : 0}</text>
+          <text x="-18" y="4" textAnchor="end" fontSize="12" fill="#fff">{name}</text>
+        </g>
+      ))}
+
+      {/* gates */}
+      {netlist.gates.map((g) => {
+        const active = Boolean(values[g.id]);
+        const shape = GATE_SHAPE[g.type];
+        return (
+          <g key={g.id} transform={`translate(${pos[g.id].x},${pos[g.id].y})`}>
+            {shape ? (
+              <>
+                {(g.type === "XOR" || g.type === "XNOR") && <path d="M -32 -20 Q -20 0 -32 20" stroke="#9ca3af" fill="none" />}
+                <path d={GATE_BODY[shape]} fill={active ? "rgba(255,122,45,0.25)" : "#111"} stroke={active ? THEME.accent : "#6b7280"} />
+                {INVERTING.includes(g.type) && <circle cx={shape === "NOT" ? 20 : 24} cy="0" r="4" fill="#111" stroke={active ? THEME.accent : "#6b7280"} />}
+                <text y="3" x={shape === "NOT" ? -6 : -8} textAnchor="middle" fontSize="7" fill="#e5e7eb">{g.type}</text>
+              </>
+            ) : (
+              <>
+                <rect x="-14" y="-12" width="28" height="24" rx="5" fill={active ? THEME.accent2 : "#111"} stroke="#6b7280" />
+                <text y="4" textAnchor="middle" fontSize="11" fill={active ? "#000" : "#fff"}>{g.type === "CONST1" ? 1 : 0}</text>
+              </>
+            )}
+          </g>
+        );
+      })}
+
+      {/* output */}
+      <g transform={`translate(${layout.out.x},${layout.out.y})`}>
+        <rect x="0" y="-12" rx="6" width="36" height="24" fill={values[netlist.output] ? THEME.accent2 : "#111"} stroke={THEME.border} />
+        <text x="18" y="4" textAnchor="middle" fontSize="11" fill={values[netlist.output] ? "#000" : "#fff"}>{values[netlist.output] ? 1 : 0}</text>
+        <text x="18" y="-18" textAnchor="middle" fontSize="12" fill="#fff">{netlist.outputName}</text>
+      </g>
+    </svg>
+  );
+}
+
+/* ------------------ Timing diagram (stacked digital lanes) ------------ */
+const LANE_COLORS = [THEME.accent3, THEME.accent, THEME.accent2, "#9b5cff", "#34d399", "#f472b6"];
+
+function TimingDiagram({ history = [], samplesPerBit = 4 }) {
+  const signals = useMemo(() => (history.length ? Object.keys(history[history.length - 1]).filter((k) => k !== "tick") : []), [history]);
+  const data = useMemo(() => {
+    if (!signals.length) return [];
+    const lanes = signals.map((s) => waveformFromBits(history.map((h) => h[s] ?? 0), samplesPerBit));
+    const t0 = history[0].tick;
+    return lanes[0].map((pt, j) => {
+      const row = { t: t0 + pt.t };
+      // lane i sits at height (n - 1 - i) * 1.5, so the first signal is drawn on top
+      signals.forEach((s, i) => {
+        row[s] = (signals.length - 1 - i) * 1.5 + lanes[i][j].v;
+      });
+      return row;
+    });
+  }, [history, samplesPerBit, signals]);
+
+  if (!signals.length) {
+    return <div className="text-xs text-zinc-500 p-3">Run or step the circuit to record a timing diagram.</div>;
+  }
+  const ticks = signals.map((_, i) => (signals.length - 1 - i) * 1.5 + 0.5);
+  return (
+    <div className="w-full" style={{ height: 40 + signals.length * 32 }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.06} />
+          <XAxis dataKey="t" type="number" domain={["dataMin", "dataMax"]} tick={{ fill: "#71717a", fontSize: 10 }} />
+          <YAxis
+            domain={[0, signals.length * 1.5 - 0.5]}
+            ticks={ticks}
+            tickFormatter={(v) => signals[signals.length - 1 - Math.round((v - 0.5) / 1.5)] ?? ""}
+            width={70}
+            tick={{ fill: "#d4d4d8", fontSize: 10 }}
+          />
+          {signals.map((s, i) => (
+            <Line
+              key={s}
+              type="stepAfter"
+              dataKey={s}
+              dot={false}
+              isAnimationActive={false}
+              stroke={LANE_COLORS[i % LANE_COLORS.length]}
+              strokeWidth={1.8}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/* ------------------ Drag-and-drop digital logic editor ---------------- */
+const EDITOR_W = 900;
+const EDITOR_H = 440;
+const PIN_PITCH = 20;
+const editorSnap = (v) => Math.round(v / 10) * 10;
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+const PALETTE_GROUPS = [
+  ["I/O", ["SWITCH", "CLOCK", "LED"]],
+  ["Gates", ["AND", "OR", "NOT", "NAND", "NOR", "XOR", "XNOR"]],
+  ["Sequential", ["DFF", "JKFF", "TFF", "COUNTER"]],
+];
+
+const makePart = (parts, type, x, y) => ({
+  id: `${type.toLowerCase()}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  type,
+  label: nextPartLabel(parts, type),
+  x,
+  y,
+  props: { ...(DEFAULT_PART_PROPS[type] ?? {}) },
+});
+
+// starter circuit: a clocked counter with reset, and a D flip-flop wired as a divide-by-two
+function starterCircuit() {
+  const parts = [];
+  const add = (type, x, y) => {
+    const p = makePart(parts, type, x, y);
+    parts.push(p);
+    return p;
+  };
+  const clk = add("CLOCK", 80, 120);
+  const rst = add("SWITCH", 80, 240);
+  const cnt = add("COUNTER", 300, 160);
+  const dff = add("DFF", 300, 340);
+  const leds = [add("LED", 520, 110), add("LED", 520, 150), add("LED", 520, 190), add("LED", 520, 340)];
+  let n = 0;
+  const wire = (a, ap, b, bp) => ({ id: `w${++n}`, from: { part: a.id, pin: ap }, to: { part: b.id, pin: bp } });
+  return {
+    parts,
+    wires: [
+      wire(clk, "Y", cnt, "CLK"),
+      wire(rst, "Y", cnt, "RST"),
+      wire(cnt, "Q0", leds[0], "A"),
+      wire(cnt, "Q1", leds[1], "A"),
+      wire(cnt, "Q2", leds[2], "A"),
+      wire(clk, "Y", dff, "CLK"),
+      wire(dff, "Qn", dff, "D"),
+      wire(dff, "Q", leds[3], "A"),
+    ],
+  };
+}
+
+// pin offsets from the part centre
+function partPins(type) {
+  const def = DIGITAL_PARTS[type];
+  const offset = (i, n) => (i - (n - 1) / 2) * PIN_PITCH;
+  return {
+    inputs: def.inputs.map((pin, i) => ({ pin, dx: -40, dy: offset(i, def.inputs.length) })),
+    outputs: def.outputs.map((pin, i) => ({ pin, dx: 40, dy: offset(i, def.outputs.length) })),
+    h: Math.max(40, Math.max(def.inputs.length, def.outputs.length) * PIN_PITCH + 8),
+  };
+}
+
+function pinPosition(part, pin, dir) {
+  const pins = partPins(part.type)[dir === "in" ? "inputs" : "outputs"];
+  const p = pins.find((x) => x.pin === pin) ?? { dx: 0, dy: 0 };
+  return { x: part.x + p.dx, y: part.y + p.dy };
+}
+
+function PartBody({ part, active, inputValue }) {
+  const def = DIGITAL_PARTS[part.type];
+  const { h } = partPins(part.type);
+  const stroke = active ? THEME.accent : "#6b7280";
+  const shape = GATE_SHAPE[part.type];
+  if (shape) {
+    return (
+      <>
+        {(part.type === "XOR" || part.type === "XNOR") && <path d="M -32 -20 Q -20 0 -32 20" stroke="#9ca3af" fill="none" />}
+        <path d={GATE_BODY[shape]} fill={active ? "rgba(255,122,45,0.25)" : "#111"} stroke={stroke} />
+        {INVERTING.includes(part.type) && <circle cx={shape === "NOT" ? 20 : 24} cy="0" r="4" fill="#111" stroke={stroke} />}
+        <text y="3" x={shape === "NOT" ? -6 : -8} textAnchor="middle" fontSize="8" fill="#e5e7eb">{part.type}</text>
+      </>
+    );
+  }
+  if (part.type === "SWITCH") {
+    const on = Boolean(part.props?.on);
+    return (
+      <>
+        <rect x="-22" y="-12" width="44" height="24" rx="12" fill={on ? THEME.accent : "#111"} stroke={stroke} />
+        <circle cx={on ? 10 : -10} cy="0" r="8" fill="#fff" />
+      </>
+    );
+  }
+  if (part.type === "CLOCK") {
+    return (
+      <>
+        <rect x="-24" y="-16" width="48" height="32" rx="6" fill="#111" stroke={stroke} />
+        <path d="M -16 6 L -8 6 L -8 -6 L 0 -6 L 0 6 L 8 6 L 8 -6 L 16 -6" stroke={active ? THEME.accent2 : "#9ca3af"} fill="none" strokeWidth="1.5" />
+      </>
+    );
+  }
+  if (part.type === "LED") {
+    return (
+      <circle
+        r="13"
+        fill={inputValue ? THEME.accent2 : "#1a1a1a"}
+        stroke={inputValue ? THEME.accent : "#6b7280"}
+        style={inputValue ? { filter: `drop-shadow(0 0 8px ${THEME.accent2})` } : undefined}
+      />
+    );
+  }
+  // flip-flops and counter: box with pin names, clock inputs get the edge triangle
+  const pins = partPins(part.type);
+  return (
+    <>
+      <rect x="-32" y={-h / 2} width="64" height={h} rx="6" fill="#111" stroke={stroke} />
+      {pins.inputs.map((p) =>
+        p.pin === "CLK" ? (
+          <path key={p.pin} d={`M -32 ${p.dy - 5} L -25 ${p.dy} L -32 ${p.dy + 5}`} stroke="#9ca3af" fill="none" />
+        ) : (
+          <text key={p.pin} x="-27" y={p.dy + 3} fontSize="8" fill="#d4d4d8">{p.pin}</text>
+        )
+      )}
+      {pins.outputs.map((p) => (
+        <text key={p.pin} x="27" y={p.dy + 3} fontSize="8" textAnchor="end" fill="#d4d4d8">{p.pin === "Qn" ? "Q̅" : p.pin}</text>
+      ))}
+      <text y={h / 2 - 4} textAnchor="middle" fontSize="7" fill="#71717a">{def.label}</text>
+    </>
+  );
+}
+
+function DigitalLogicEditor() {
+  const [circuit, setCircuit] = useState(starterCircuit);
+  const [sim, setSim] = useState(createDigitalState);
+  const [history, setHistory] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [tickMs, setTickMs] = useState(400);
+  const [selected, setSelected] = useState(null); // { kind: "part" | "wire", id }
+  const [pendingPin, setPendingPin] = useState(null); // { part, pin, dir }
+  const svgRef = useRef(null);
+  const simRef = useRef(sim);
+  const circuitRef = useRef(circuit);
+  const dragRef = useRef(null);
+
+  const loops = useMemo(() => findCombinationalLoops(circuit), [circuit]);
+  const labelOf = useCallback((id) => circuit.parts.find((p) => p.id === id)?.label ?? id, [circuit.parts]);
+
+  const record = useCallback((next) => {
+    simRef.current = next;
+    setSim(next);
+    setHistory((h) => [...h, { tick: next.tick, ...digitalProbes(circuitRef.current, next) }].slice(-64));
+  }, []);
+
+  // re-settle (no clock advance) whenever the circuit is edited or a switch flips
+  useEffect(() => {
+    circuitRef.current = circuit;
+    const next = stepDigital(circuit, simRef.current, { advance: false });
+    simRef.current = next;
+    setSim(next);
+  }, [circuit]);
+
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => record(stepDigital(circuitRef.current, simRef.current)), tickMs);
+    return () => clearInterval(id);
+  }, [running, tickMs, record]);
+
+  const toSvg = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: clamp(editorSnap(p.x), 40, EDITOR_W - 40), y: clamp(editorSnap(p.y), 30, EDITOR_H - 30) };
+  };
+
+  const addPart = (type, at) => {
+    setCircuit((c) => {
+      const pos = at ?? { x: 120 + Math.floor(Math.random() * 600), y: 60 + Math.floor(Math.random() * 320) };
+      return { ...c, parts: [...c.parts, makePart(c.parts, type, editorSnap(pos.x), editorSnap(pos.y))] };
+    });
+  };
+
+  const updatePart = (id, patch) => {
+    setCircuit((c) => ({ ...c, parts: c.parts.map((p) => (p.id === id ? { ...p, ...patch } : p)) }));
+  };
+
+  const removeSelected = useCallback(() => {
+    if (!selected) return;
+    setCircuit((c) =>
+      selected.kind === "wire"
+        ? { ...c, wires: c.wires.filter((w) => w.id !== selected.id) }
+        : { parts: c.parts.filter((p) => p.id !== selected.id), wires: c.wires.filter((w) => w.from.part !== selected.id && w.to.part !== selected.id) }
+    );
+    setSelected(null);
+  }, [selected]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if ((e.key === "Delete" || e.key === "Backspace") && selected && !["INPUT", "TEXTAREA"].includes(document.activeElement?.tagName)) removeSelected();
+      if (e.key === "Escape") setPendingPin(null);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [selected, removeSelected]);
+
+  // dragging parts (window listeners, as in the circuit playground)
+  useEffect(() => {
+    const onMove = (e) => {
+      const d = dragRef.current;
+      if (!d) return;
+      const p = toSvg(e);
+      if (p.x !== d.lastX || p.y !== d.lastY) {
+        d.moved = true;
+        d.lastX = p.x;
+        d.lastY = p.y;
+        updatePart(d.id, { x: p.x - d.dx, y: p.y - d.dy });
+      }
+    };
+    const onUp = () => {
+      const d = dragRef.current;
+      dragRef.current = null;
+      if (!d || d.moved) return;
+      // a click without a drag flips a switch
+      setCircuit((c) => ({
+        ...c,
+        parts: c.parts.map((p) => (p.id === d.id && p.type === "SWITCH" ? { ...p, props: { ...p.props, on: p.props?.on ? 0 : 1 } } : p)),
+      }));
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+    return () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+  }, []);
+
+  const onPartMouseDown = (e, part) => {
+    e.stopPropagation();
+    const p = toSvg(e);
+    dragRef.current = { id: part.id, dx: p.x - part.x, dy: p.y - part.y, lastX: p.x, lastY: p.y, moved: false };
+    setSelected({ kind: "part", id: part.id });
+  };
+
+  // click an output then an input (or the reverse) to wire them; an input takes one driver
+  const onPinClick = (e, part, pin, dir) => {
+    e.stopPropagation();
+    if (!pendingPin || pendingPin.dir === dir) {
+      setPendingPin(pendingPin && pendingPin.part === part.id && pendingPin.pin === pin ? null : { part: part.id, pin, dir });
+      return;
+    }
+    const from = dir === "out" ? { part: part.id, pin } : { part: pendingPin.part, pin: pendingPin.pin };
+    const to = dir === "in" ? { part: part.id, pin } : { part: pendingPin.part, pin: pendingPin.pin };
+    setCircuit((c) => ({
+      ...c,
+      wires: [
+        ...c.wires.filter((w) => !(w.to.part === to.part && w.to.pin === to.pin)),
+        { id: `w-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, from, to },
+      ],
+    }));
+    setPendingPin(null);
+  };
+
+  const resetSim = () => {
+    const next = stepDigital(circuitRef.current, createDigitalState(), { advance: false });
+    simRef.current = next;
+    setSim(next);
+    setHistory([]);
+  };
+
+  const netValue = (part, pin) => sim.nets[pinKey(part, pin)] ?? 0;
+  const byId = new Map(circuit.parts.map((p) => [p.id, p]));
+  const selectedPart = selected?.kind === "part" ? byId.get(selected.id) : null;
+
+  return (
+    <div className="space-y-4">
+      {/* palette + controls */}
+      <div className="flex flex-wrap items-center gap-2">
+        {PALETTE_GROUPS.map(([group, types]) => (
+          <div key={group} className="flex flex-wrap items-center gap-1.5">
+            <span className="text-[11px] text-zinc-500 mr-1">{group}</span>
+            {types.map((type) => (
+              <Button
+                key={type}
+                size="sm"
+                draggable
+                onDragStart={(e) => e.dataTransfer.setData("text/x-logic-part", type)}
+                onClick={() => addPart(type)}
+                className="bg-zinc-900/60 border cursor-grab border-orange-500/20 hover:bg-orange-500/40 text-orange-100 text-xs px-2 py-1 rounded-md"
+                title={`${DIGITAL_PARTS[type].label} — click or drag onto the canvas`}
+              >
+                {type === "JKFF" ? "JK" : type === "DFF" ? "D FF" : type === "TFF" ? "T FF" : type === "COUNTER" ? "CTR" : type}
+              </Button>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          size="sm"
+          className="bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black cursor-pointer"
+          onClick={() => setRunning((r) => !r)}
+        >
+          {running ? <Pause className="w-4 h-4 mr-1" /> : <Play className="w-4 h-4 mr-1" />}
+          {running ? "Pause" : "Run"}
+        </Button>
+        <Button size="sm" variant="ghost" className="border border-zinc-700 text-zinc-300 cursor-pointer hover:text-orange-400" onClick={() => record(stepDigital(circuitRef.current, simRef.current))}>
+          Step
+        </Button>
+        <Button size="sm" variant="ghost" className="border border-zinc-700 text-zinc-300 cursor-pointer hover:text-orange-400" onClick={resetSim}>
+          Reset
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="border border-zinc-700 text-zinc-300 cursor-pointer hover:text-orange-400"
+          disabled={!selected}
+          onClick={removeSelected}
+        >
+          Delete
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="border border-zinc-700 text-zinc-300 cursor-pointer hover:text-orange-400"
+          onClick={() => {
+            setCircuit({ parts: [], wires: [] });
+            setSelected(null);
+            setHistory([]);
+          }}
+        >
+          Clear
+        </Button>
+        <div className="flex items-center gap-2 min-w-[180px]">
+          <span className="text-xs text-zinc-400">Tick</span>
+          <Slider min={100} max={1000} step={50} value={[tickMs]} onValueChange={(v) => setTickMs(v[0])} className="flex-1 cursor-pointer" />
+          <Badge className="bg-orange-500/10 text-orange-400 border border-orange-500/30">{tickMs} ms</Badge>
+        </div>
+        <Badge className="bg-blue-500/10 text-blue-400 border border-blue-500/30">tick {sim.tick}</Badge>
+      </div>
+
+      {(loops.length > 0 || sim.oscillating) && (
+        <div className="text-xs bg-red-500/10 border border-red-500/30 text-red-300 rounded-md px-3 py-2 space-y-1">
+          {loops.map((loop, i) => (
+            <div key={i}>Combinational loop: {[...loop, loop[0]].map(labelOf).join(" → ")}</div>
+          ))}
+          {sim.oscillating && <div>The circuit did not settle within {MAX_SETTLE_WAVES} propagation waves (it oscillates).</div>}
+        </div>
+      )}
+
+      {/* canvas */}
+      <div className="rounded-lg border border-zinc-800 bg-zinc-900/40 overflow-x-auto">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${EDITOR_W} ${EDITOR_H}`}
+          width="100%"
+          style={{ minWidth: 640 }}
+          className="select-none"
+          onMouseDown={() => {
+            setSelected(null);
+            setPendingPin(null);
+          }}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => {
+            e.preventDefault();
+            const type = e.dataTransfer.getData("text/x-logic-part");
+            if (DIGITAL_PARTS[type]) addPart(type, toSvg(e));
+          }}
+        >
+          <defs>
+            <pattern id="logic-grid" width="20" height="20" patternUnits="userSpaceOnUse">
+              <circle cx="1" cy="1" r="1" fill="rgba(255,122,45,0.12)" />
+            </pattern>
+          </defs>
+          <rect width={EDITOR_W} height={EDITOR_H} fill="url(#logic-grid)" />
+
+          {/* wires */}
+          {circuit.wires.map((w) => {
+            const a = byId.get(w.from.part);
+            const b = byId.get(w.to.part);
+            if (!a || !b) return null;
+            const p1 = pinPosition(a, w.from.pin, "out");
+            const p2 = pinPosition(b, w.to.pin, "in");
+            const midX = p1.x + Math.max(30, (p2.x - p1.x) / 2);
+            const midX2 = p2.x - Math.max(30, (p2.x - p1.x) / 2);
+            const on = netValue(w.from.part, w.from.pin);
+            const isSel = selected?.kind === "wire" && selected.id === w.id;
+            const d = `M ${p1.x},${p1.y} C ${midX},${p1.y} ${midX2},${p2.y} ${p2.x},${p2.y}`;
+            return (
+              <g key={w.id}>
+                <path
+                  d={d}
+                  stroke="transparent"
+                  strokeWidth="10"
+                  fill="none"
+                  className="cursor-pointer"
+                  onMouseDown={(e) => {
+                    e.stopPropagation();
+                    setSelected({ kind: "wire", id: w.id });
+                  }}
+                />
+                <path d={d} stroke={isSel ? "#fff" : on ? THEME.accent : "#3f3f46"} strokeWidth={on ? 2.5 : 1.6} fill="none" pointerEvents="none" />
+              </g>
+            );
+          })}
+
+          {/* parts */}
+          {circuit.parts.map((part) => {
+            const def = DIGITAL_PARTS[part.type];
+            if (!def) return null;
+            const pins = partPins(part.type);
+            const isSel = selected?.kind === "part" && selected.id === part.id;
+            const active = def.outputs.length ? netValue(part.id, def.outputs[0]) : 0;
+            const ledOn = part.type === "LED" ? digitalInput(circuit, sim, part.id, "A") : 0;
+            return (
+              <g key={part.id} transform={`translate(${part.x},${part.y})`}>
+                <g onMouseDown={(e) => onPartMouseDown(e, part)} className={part.type === "SWITCH" ? "cursor-pointer" : "cursor-move"}>
+                  <rect x="-34" y={-pins.h / 2 - 2} width="68" height={pins.h + 4} fill="transparent" stroke={isSel ? "rgba(255,210,74,0.6)" : "none"} strokeDasharray="4 3" rx="6" />
+                  <PartBody part={part} active={active} inputValue={ledOn} />
+                </g>
+                <text y={-pins.h / 2 - 6} textAnchor="middle" fontSize="10" fill="#a1a1aa">{part.label}</text>
+                {[...pins.inputs.map((p) => ({ ...p, dir: "in" })), ...pins.outputs.map((p) => ({ ...p, dir: "out" }))].map((p) => {
+                  const pending = pendingPin && pendingPin.part === part.id && pendingPin.pin === p.pin && pendingPin.dir === p.dir;
+                  const bodyEdge = p.dir === "in" ? -26 : GATE_SHAPE[part.type] ? 28 : 26;
+                  return (
+                    <g key={`${p.dir}-${p.pin}`}>
+                      <line x1={p.dx} y1={p.dy} x2={bodyEdge} y2={p.dy} stroke="#52525b" />
+                      <circle
+                        cx={p.dx}
+                        cy={p.dy}
+                        r="5"
+                        fill={pending ? THEME.accent2 : p.dir === "out" && netValue(part.id, p.pin) ? THEME.accent : "#18181b"}
+                        stroke={pending ? "#fff" : "#a1a1aa"}
+                        className="cursor-crosshair"
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => onPinClick(e, part, p.pin, p.dir)}
+                      >
+                        <title>{`${part.label}.${p.pin}`}</title>
+                      </circle>
+                    </g>
+                  );
+                })}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs text-zinc-400">
+        <span>Click an output pin, then an input pin, to wire them. Click a switch to flip it; drag parts to move them; Delete removes the selection.</span>
+        {selectedPart?.type === "CLOCK" && (
+          <div className="flex items-center gap-2 min-w-[220px]">
+            <span>{selectedPart.label} half-period</span>
+            <Slider
+              min={1}
+              max={8}
+              step={1}
+              value={[selectedPart.props?.half ?? 1]}
+              onValueChange={(v) => updatePart(selectedPart.id, { props: { ...selectedPart.props, half: v[0] } })}
+              className="flex-1 cursor-pointer"
+            />
+            <Badge className="bg-orange-500/10 text-orange-400 border border-orange-500/30">{selectedPart.props?.half ?? 1} ticks</Badge>
+          </div>
+        )}
+      </div>
+
+      {/* timing diagram */}
+      <div className="rounded-lg border border-zinc-800 bg-zinc-900/40 p-2">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-xs text-orange-300">Timing diagram (last {history.length} ticks)</span>
+          <Button
+            size="sm"
+            variant="ghost"
+            className="border border-zinc-700 text-zinc-300 cursor-pointer hover:text-orange-400"
+            onClick={() => {
+              exportTraceCSV(history);
+              if (history.length) toast.success("Timing trace exported");
+            }}
+          >
+            <Download className="w-4 h-4 mr-1" /> CSV
+          </Button>
+        </div>
+        <TimingDiagram history={history} />
+      </div>
+    </div>
+  );
+}
+
 /* -------------------------- CSV export util --------------------------- */
 function exportTraceCSV(trace) {
   if (!trace || !trace.length) {
@@ -912,6 +1538,26 @@ export default function LogicGateSimulatorPage() {
     dispatch({ type: "SET_RUNNING", running: !running });
   }, [running]);
 
+  /* expression synthesis: text -> gate netlist (direct / NAND-only / NOR-only) */
+  const [exprText, setExprText] = useState("Y = (A & !B) | C ^ D");
+  const [implementation, setImplementation] = useState("direct");
+  const [exprInputs, setExprInputs] = useState({});
+  const parsedExpr = useMemo(() => parseExpression(exprText), [exprText]);
+  const exprNetlist = useMemo(() => {
+    if (parsedExpr.error) return null;
+    const net = buildNetlist(parsedExpr);
+    if (implementation === "nand") return toNandOnly(net);
+    if (implementation === "nor") return toNorOnly(net);
+    return net;
+  }, [parsedExpr, implementation]);
+  const exprValues = useMemo(() => (exprNetlist ? simulateNetlist(exprNetlist, exprInputs) : {}), [exprNetlist, exprInputs]);
+  const exprTable = useMemo(() => (exprNetlist ? netlistTruthTable(exprNetlist) : []), [exprNetlist]);
+  const exprRow = exprNetlist ? exprNetlist.inputs.reduce((acc, name) => acc * 2 + (exprInputs[name] ? 1 : 0), 0) : -1;
+
+  const toggleExprInput = useCallback((name) => {
+    setExprInputs((prev) => ({ ...prev, [name]: prev[name] ? 0 : 1 }));
+  }, []);
+
   /* layout & render */
   return (
     <div className="bg-[#05060a]
@@ -1507,6 +2153,177 @@ export default function LogicGateSimulatorPage() {
 
         </div>
 
+        {/* Expression synthesis */}
+        <motion.div
+          className="mt-6"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4, delay: 0.15 }}
+        >
+          <Card
+            style={{ background: THEME.cardBg }}
+            className="border border-zinc-800/70 shadow-md hover:shadow-orange-500/10 transition-all duration-300"
+          >
+            <CardHeader className="pb-2">
+              <CardTitle className="flex items-center justify-between gap-2 text-orange-400 text-base font-medium">
+                <h1 className="flex items-center gap-1"><Cpu className="w-4 h-4" />
+                Expression Synthesis</h1>
+                <Badge className="bg-orange-500/10 text-orange-400 border border-orange-500/30 text-[10px]">
+                  up to {MAX_EXPRESSION_INPUTS} inputs
+                </Badge>
+              </CardTitle>
+            </CardHeader>
+
+            <CardContent className="space-y-4">
+              <div className="flex flex-col md:flex-row gap-3">
+                <div className="flex-1">
+                  <label className="text-sm text-zinc-400">Expression</label>
+                  <Input
+                    value={exprText}
+                    onChange={(e) => setExprText(e.target.value)}
+                    placeholder="Y = (A & !B) | C ^ D"
+                    spellCheck={false}
+                    className="mt-1 font-mono bg-zinc-900/60 border-zinc-800 text-zinc-100"
+                  />
+                  <div className="text-[11px] text-zinc-500 mt-1">
+                    Operators: ! ~ ' (NOT), & * or juxtaposition (AND), ^ (XOR), | + (OR), parentheses, constants 0 / 1.
+                  </div>
+                </div>
+                <div className="md:w-56">
+                  <label className="text-sm text-zinc-400">Implementation</label>
+                  <Select value={implementation} onValueChange={setImplementation}>
+                    <SelectTrigger className="bg-zinc-900/60 cursor-pointer border-zinc-800 
+                      focus:ring-1 focus:ring-orange-500 text-sm mt-1 w-full">
+                      <SelectValue placeholder="Implementation" />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border border-zinc-800 text-zinc-200">
+                      {[
+                        ["direct", "Direct (AND / OR / XOR / NOT)"],
+                        ["nand", "NAND-only"],
+                        ["nor", "NOR-only"],
+                      ].map(([value, label]) => (
+                        <SelectItem
+                          key={value}
+                          value={value}
+                          className="text-white hover:bg-orange-500/20 
+                                     data-[highlighted]:text-orange-200 cursor-pointer 
+                                     data-[highlighted]:bg-orange-500/30 rounded-md"
+                        >
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              {parsedExpr.error ? (
+                <div className="text-sm text-red-300">{parsedExpr.error}</div>
+              ) : (
+                exprNetlist && (
+                  <>
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                      <span className="font-mono text-zinc-300">
+                        {parsedExpr.output} = {formatExpression(parsedExpr.ast)}
+                      </span>
+                      <Badge className="bg-blue-500/10 text-blue-400 border border-blue-500/30">
+                        {exprNetlist.gates.length} gates
+                      </Badge>
+                      {Object.entries(gateCounts(exprNetlist)).map(([type, count]) => (
+                        <Badge key={type} className="bg-orange-500/10 text-orange-400 border border-orange-500/30">
+                          {type} × {count}
+                        </Badge>
+                      ))}
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                      <div className="lg:col-span-2 rounded-lg border border-zinc-800 bg-zinc-900/40 p-2 overflow-x-auto">
+                        <ExpressionCircuitSVG netlist={exprNetlist} values={exprValues} onToggleInput={toggleExprInput} />
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {exprNetlist.inputs.map((name) => (
+                            <Button
+                              key={name}
+                              size="sm"
+                              className="cursor-pointer border border-orange-400/20"
+                              variant={exprInputs[name] ? "destructive" : "default"}
+                              onClick={() => toggleExprInput(name)}
+                            >
+                              {name}: {exprInputs[name] ? "1" : "0"}
+                            </Button>
+                          ))}
+                          <Badge className="ml-auto bg-orange-500/10 text-orange-400 border border-orange-500/30">
+                            {exprNetlist.outputName} = {exprValues[exprNetlist.output] ?? 0}
+                          </Badge>
+                        </div>
+                      </div>
+
+                      <div className="overflow-auto max-h-96 rounded-lg border border-zinc-800 bg-zinc-900/40">
+                        <table className="table-auto w-full text-sm border-collapse">
+                          <thead>
+                            <tr className="bg-zinc-900/60 border-b border-zinc-800">
+                              {[...exprNetlist.inputs, exprNetlist.outputName].map((name, i) => (
+                                <th
+                                  key={i}
+                                  className="text-left text-xs text-orange-300 font-medium px-2 py-1 uppercase tracking-wider"
+                                >
+                                  {name}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {exprTable.map((row) => (
+                              <tr
+                                key={row.index}
+                                className={`${row.index === exprRow ? "bg-orange-500/20" : "odd:bg-zinc-900/40 even:bg-zinc-950/40"} hover:bg-orange-500/5 transition-all`}
+                              >
+                                {[...row.bits, row.out].map((c, ci) => (
+                                  <td
+                                    key={ci}
+                                    className={`px-2 py-1 text-xs text-center ${ci === row.bits.length ? "text-orange-300 font-semibold" : "text-zinc-200"}`}
+                                  >
+                                    {String(c)}
+                                  </td>
+                                ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  </>
+                )
+              )}
+            </CardContent>
+          </Card>
+        </motion.div>
+
+        {/* Free-form logic editor */}
+        <motion.div
+          className="mt-6"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4, delay: 0.2 }}
+        >
+          <Card
+            style={{ background: THEME.cardBg }}
+            className="border border-zinc-800/70 shadow-md hover:shadow-orange-500/10 transition-all duration-300"
+          >
+            <CardHeader className="pb-2">
+              <CardTitle className="flex items-center justify-between gap-2 text-orange-400 text-base font-medium">
+                <h1 className="flex items-center gap-1"><CircuitBoard className="w-4 h-4" />
+                Logic Editor</h1>
+                <Badge className="bg-green-500/10 text-green-400 border border-green-500/30 text-[10px]">
+                  Event-driven
+                </Badge>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <DigitalLogicEditor />
+            </CardContent>
+          </Card>
+        </motion.div>
+
       </div>
       <Footer/>
     </div>
@@ -23,6 +23,8 @@ import {
   Plug,
   ZapOff,
   MapPin,
+  FileCode,
+  FileDown,
 } from "lucide-react";
 import { Toaster, toast } from "sonner";
 
@@ -38,16 +40,11 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import {Slider } from "@/components/ui/slider"
-import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip as ReTooltip,
-  Legend,
-} from "recharts";
+import Oscilloscope from "@/components/Oscilloscope";
+import { BlockMath, InlineMath } from "react-katex";
+import "katex/dist/katex.min.css";
+import { DEPENDENT_TYPES, collectNodes, solveDC, solveMesh, toSpice } from "@/lib/circuit";
+import SpiceImportDialog from "@/components/SpiceImportDialog";
 
 /* ============================
    Utilities
@@ -64,306 +61,33 @@ const round = (v, p = 6) => {
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 
 /* ============================
-   Linear algebra: Gaussian elimination with partial pivoting
-   - Solves Ax = b
+   Branch types
+   - R / V / I use `value`
+   - E, G: gain * (V(ctrlFrom) - V(ctrlTo)); F, H: gain * I(ctrl branch)
    ============================ */
-function solveLinearSystem(A, b) {
-  // A: array of arrays (n x n), b: array (n)
-  const n = A.length;
-  // create augmented matrix
-  const M = new Array(n);
-  for (let i = 0; i < n; i++) {
-    M[i] = new Array(n + 1);
-    for (let j = 0; j < n; j++) M[i][j] = Number(A[i][j]) || 0;
-    M[i][n] = Number(b[i]) || 0;
+const BRANCH_TYPES = [
+  { id: "R", label: "Resistor (Ω)" },
+  { id: "V", label: "Voltage source (V)" },
+  { id: "I", label: "Current source (A)" },
+  { id: "E", label: "VCVS (V/V)" },
+  { id: "G", label: "VCCS (S)" },
+  { id: "H", label: "CCVS (Ω)" },
+  { id: "F", label: "CCCS (A/A)" },
+];
+
+const isDependent = (type) => DEPENDENT_TYPES.includes(type);
+
+// Fields a branch needs when switched to `type` (keeps existing control settings)
+function branchTypePatch(br, type, nodes, branches) {
+  if (!isDependent(type)) return { type };
+  const patch = { type, gain: br.gain ?? 1 };
+  if (type === "E" || type === "G") {
+    patch.ctrlFrom = br.ctrlFrom ?? String(nodes.find((n) => String(n) !== "0") ?? "0");
+    patch.ctrlTo = br.ctrlTo ?? "0";
+  } else {
+    patch.ctrl = br.ctrl ?? branches.find((b) => b.id !== br.id)?.id ?? null;
   }
-
-  const EPS = 1e-12;
-
-  for (let k = 0; k < n; k++) {
-    // partial pivot
-    let maxRow = k;
-    let maxVal = Math.abs(M[k][k]);
-    for (let r = k + 1; r < n; r++) {
-      const val = Math.abs(M[r][k]);
-      if (val > maxVal) {
-        maxVal = val;
-        maxRow = r;
-      }
-    }
-    if (maxVal < EPS) {
-      // singular or nearly singular
-      return null;
-    }
-    if (maxRow !== k) {
-      const tmp = M[k];
-      M[k] = M[maxRow];
-      M[maxRow] = tmp;
-    }
-
-    // elimination
-    for (let i = k + 1; i < n; i++) {
-      const f = M[i][k] / M[k][k];
-      M[i][k] = 0;
-      for (let j = k + 1; j <= n; j++) {
-        M[i][j] -= f * M[k][j];
-      }
-    }
-  }
-
-  // back substitution
-  const x = new Array(n).fill(0);
-  for (let i = n - 1; i >= 0; i--) {
-    let s = M[i][n];
-    for (let j = i + 1; j < n; j++) s -= M[i][j] * x[j];
-    x[i] = s / M[i][i];
-    if (!Number.isFinite(x[i])) return null;
-  }
-  return x;
-}
-
-/* ============================
-   MNA (Modified Nodal Analysis) solver
-   - nodes: array of node ids (strings or numbers). One node must be '0' or 'GND' representing reference.
-   - branches: array of branch objects:
-       { id, from, to, type: 'R'|'V'|'I', value: number, name? }
-     type semantics:
-       R: value in ohms
-       V: voltage source (positive from 'from' node to 'to' node) in volts
-       I: current source (current from 'from' node to 'to' node) in amps
-   - returns null on failure, or an object:
-       { success: true, nodeVoltages: {nodeId: V}, branchCurrents: {branchId: I}, voltageSourceCurrents: {vsrcIndex: I}, raw: {A,b,x} }
-   ============================ */
-function solveMNA(nodes, branches) {
-  // Map node ids to indices (exclude reference '0' or 'GND' from unknown voltages)
-  const refCandidates = new Set(["0", 0, "GND", "gnd", "Gnd"]);
-  let refNode = null;
-  const nodeIds = Array.from(new Set(nodes.map(String)));
-  for (const nid of nodeIds) {
-    if (refCandidates.has(nid)) {
-      refNode = String(nid);
-      break;
-    }
-  }
-  if (refNode == null) {
-    // if no '0' node provided, pick the first as reference
-    refNode = nodeIds[0];
-  }
-  const nonRefNodes = nodeIds.filter((n) => n !== refNode);
-  const N = nonRefNodes.length;
-
-  // Identify voltage sources
-  const vsrcs = branches.filter((b) => b.type === "V");
-  const M = vsrcs.length;
-
-  // We'll build matrices:
-  // | G  B | [V_nodes]   = [I_inj]
-  // | B^T 0| [I_vs  ]     [E_vs ]
-  // G is N x N, B is N x M
-  const G = Array.from({ length: N }, () => Array(N).fill(0)); // conductance
-  const B = Array.from({ length: N }, () => Array(M).fill(0));
-  const Iinj = Array(N).fill(0); // injected currents into each node from current sources (positive into node)
-  const E = Array(M).fill(0); // voltage source voltages (Vpos - Vneg)
-
-  // helper to get node index
-  const nodeIndex = (nid) => {
-    const s = String(nid);
-    if (s === refNode) return -1;
-    return nonRefNodes.indexOf(s);
-  };
-
-  // Build G and B and Iinj
-  for (let bi = 0; bi < branches.length; bi++) {
-    const br = branches[bi];
-    const a = nodeIndex(br.from);
-    const b = nodeIndex(br.to);
-
-    if (br.type === "R") {
-      const R = Number(br.value);
-      if (!Number.isFinite(R) || R <= 0) continue;
-      const g = 1 / R;
-      if (a >= 0) G[a][a] += g;
-      if (b >= 0) G[b][b] += g;
-      if (a >= 0 && b >= 0) {
-        G[a][b] -= g;
-        G[b][a] -= g;
-      }
-    } else if (br.type === "I") {
-      // current from "from" -> "to" of magnitude value
-      const I = Number(br.value) || 0;
-      // into 'from' it's -I (it leaves 'from'), into 'to' it's +I (it enters 'to')
-      if (a >= 0) Iinj[a] -= I;
-      if (b >= 0) Iinj[b] += I;
-      // if branch connected to reference node, handle accordingly (nodeIndex returns -1)
-    } else if (br.type === "V") {
-      // voltage source with value = Vpos - Vneg (from->to)
-      // record into B and E later once we know index in vsrcs
-      // find which vsrc index this is (by reference equality using filter above)
-    }
-  }
-
-  // Fill B and E
-  for (let k = 0; k < M; k++) {
-    const br = vsrcs[k];
-    const a = nodeIndex(br.from);
-    const b = nodeIndex(br.to);
-    if (a >= 0) B[a][k] = 1;
-    if (b >= 0) B[b][k] = -1;
-    E[k] = Number(br.value) || 0;
-  }
-
-  // Build augmented A and right-hand side
-  const size = N + M;
-  if (size === 0) {
-    return { success: true, nodeVoltages: { [refNode]: 0 }, branchCurrents: {}, raw: {} };
-  }
-
-  // A: size x size, bVec: size
-  const A = Array.from({ length: size }, () => Array(size).fill(0));
-  const bVec = Array(size).fill(0);
-
-  // top-left: G
-  for (let i = 0; i < N; i++) {
-    for (let j = 0; j < N; j++) A[i][j] = G[i][j];
-  }
-
-  // top-right: B
-  for (let i = 0; i < N; i++) {
-    for (let k = 0; k < M; k++) A[i][N + k] = B[i][k];
-  }
-  // bottom-left: B^T
-  for (let k = 0; k < M; k++) {
-    for (let i = 0; i < N; i++) A[N + k][i] = B[i][k];
-  }
-  // bottom-right: zeros (already zeroed)
-
-  // right-hand side
-  for (let i = 0; i < N; i++) bVec[i] = Iinj[i];
-  for (let k = 0; k < M; k++) bVec[N + k] = E[k];
-
-  // Solve A x = b
-  const x = solveLinearSystem(A, bVec);
-  if (!x) {
-    return null;
-  }
-
-  // Extract node voltages (including reference = 0)
-  const nodeVoltages = {};
-  nodeVoltages[refNode] = 0;
-  for (let i = 0; i < N; i++) {
-    nodeVoltages[nonRefNodes[i]] = x[i];
-  }
-
-  // voltage source currents
-  const vsrcCurrents = {};
-  for (let k = 0; k < M; k++) {
-    vsrcCurrents[k] = x[N + k]; // positive current flowing from + node (from) to - node (to)
-  }
-
-  // compute branch currents for all branches
-  const branchCurrents = {};
-  for (let bi = 0; bi < branches.length; bi++) {
-    const br = branches[bi];
-    const Va = nodeVoltages[String(br.from)] ?? 0;
-    const Vb = nodeVoltages[String(br.to)] ?? 0;
-    if (br.type === "R") {
-      const R = Number(br.value);
-      const I = (Va - Vb) / R; // from->to current
-      branchCurrents[br.id] = I;
-    } else if (br.type === "I") {
-      // For an independent current source, we return value as the branch current (direction from -> to)
-      branchCurrents[br.id] = Number(br.value) || 0;
-    } else if (br.type === "V") {
-      // Find index of this voltage source in vsrcs
-      const idx = vsrcs.indexOf(br);
-      if (idx >= 0) {
-        branchCurrents[br.id] = vsrcCurrents[idx];
-      } else {
-        // fallback: compute using node voltages (Va - Vb) / small R? But we should have idx
-        branchCurrents[br.id] = 0;
-      }
-    }
-  }
-
-  return { success: true, nodeVoltages, branchCurrents, voltageSourceCurrents: vsrcCurrents, raw: { A, b: bVec, x } };
-}
-
-/* ============================
-   Simple cycle basis finder (fundamental cycles)
-   - Build adjacency list and spanning tree,
-   - For each non-tree edge create a fundamental cycle.
-   - Works well for planar-ish circuits; if current sources present we fallback to MNA.
-   ============================ */
-function computeFundamentalCycles(nodes, branches) {
-  // nodes: array of node ids (strings), branches: same as before
-  const nodeList = Array.from(new Set(nodes.map(String)));
-  const adj = {};
-  nodeList.forEach((n) => (adj[n] = []));
-  branches.forEach((b) => {
-    const u = String(b.from);
-    const v = String(b.to);
-    adj[u].push({ to: v, id: b.id });
-    adj[v].push({ to: u, id: b.id });
-  });
-
-  // simple DFS to build spanning tree and parents
-  const parent = {};
-  const parentEdge = {};
-  const visited = new Set();
-  const stack = [nodeList[0]];
-  visited.add(nodeList[0]);
-  parent[nodeList[0]] = null;
-  parentEdge[nodeList[0]] = null;
-
-  while (stack.length) {
-    const cur = stack.pop();
-    for (const e of adj[cur]) {
-      if (!visited.has(e.to)) {
-        visited.add(e.to);
-        parent[e.to] = cur;
-        parentEdge[e.to] = e.id;
-        stack.push(e.to);
-      }
-    }
-  }
-
-  // non-tree edges
-  const treeEdges = new Set(Object.values(parentEdge).filter(Boolean));
-  const cycles = [];
-  for (const br of branches) {
-    if (treeEdges.has(br.id)) continue;
-    // br is non-tree edge connecting u - v
-    const u = String(br.from);
-    const v = String(br.to);
-    // build path u->...->root and v->...->root, then find LCA and compose cycle
-    const pathU = [];
-    let cur = u;
-    while (cur !== null) {
-      pathU.push(cur);
-      cur = parent[cur] ?? null;
-    }
-    const pathV = [];
-    cur = v;
-    while (cur !== null) {
-      pathV.push(cur);
-      cur = parent[cur] ?? null;
-    }
-    // find LCA
-    let i = pathU.length - 1;
-    let j = pathV.length - 1;
-    while (i >= 0 && j >= 0 && pathU[i] === pathV[j]) {
-      i--;
-      j--;
-    }
-    const pathBetween = [...pathU.slice(0, i + 1), ...pathV.slice(0, j + 1).reverse()];
-    // cycle is pathBetween plus the non-tree edge br connecting ends
-    // collect node pairs into cycle edges
-    const cycleNodes = pathBetween;
-    cycles.push({ nodes: cycleNodes, viaEdge: br.id, edges: null });
-  }
-
-  // We return cycles as node lists (this is enough to build mesh equations when planar)
-  return cycles;
+  return patch;
 }
 
 /* ============================
@@ -381,94 +105,18 @@ function useCircuitSim({ nodes, branches, method = "nodal", running = true, time
 
   // compute once per branches/nodes/method change
   const computeNow = useCallback(() => {
-    // For now we try MNA; if method === 'mesh' we'll try to extract mesh currents
-    // First build node list and branches normalized
     const nodeIds = Array.from(new Set(nodes.map(String)));
     const normBranches = branches.map((b) => ({ ...b }));
 
-    // If method mesh and there are only resistors + voltage sources, attempt cycle basis => mesh solve
-    const hasCurrentSources = normBranches.some((b) => b.type === "I");
-    let result = null;
-    if (method === "mesh" && !hasCurrentSources) {
-      // attempt cycles
-      const cycles = computeFundamentalCycles(nodeIds, normBranches);
-      // if cycles are empty fallback to nodal
-      if (!cycles || cycles.length === 0) {
-        // fallback
-        result = solveMNA(nodeIds, normBranches);
-        if (!result) return null;
-        return { mna: result, mesh: null, cycles };
-      } else {
-        // We'll still solve via MNA to get node voltages and branch currents (robust),
-        // then decompose branch currents into mesh currents using least squares mapping.
-        const mnaRes = solveMNA(nodeIds, normBranches);
-        if (!mnaRes) return null;
-        // Build branch->mesh incidence: each branch is on a subset of cycles
-        // We'll build matrix C (B x K) where B branches, K meshes; branchCurrents = C * meshCurrents
-        // To keep it simple, detect orientation: for each cycle, create signed +1 if branch direction aligns with mesh assumed orientation.
-        const branchIndex = {};
-        normBranches.forEach((b, i) => (branchIndex[b.id] = i));
-        const K = cycles.length;
-        const B = normBranches.length;
-        const C = Array.from({ length: B }, () => Array(K).fill(0));
-        // create node->index map for quick
-        const nmap = {};
-        nodeIds.forEach((n, i) => (nmap[n] = i));
-        // For each cycle, walk node list and mark edges in that cycle
-        for (let k = 0; k < K; k++) {
-          const cyc = cycles[k];
-          const cycNodes = cyc.nodes;
-          for (let i = 0; i < cycNodes.length - 1; i++) {
-            const a = cycNodes[i];
-            const b = cycNodes[i + 1];
-            // find branch between a and b
-            const br = normBranches.find((br) => (String(br.from) === String(a) && String(br.to) === String(b)) || (String(br.from) === String(b) && String(br.to) === String(a)));
-            if (br) {
-              const bi = branchIndex[br.id];
-              // sign: +1 if branch.from == a (mesh goes a->b), else -1
-              const sign = String(br.from) === String(a) ? 1 : -1;
-              C[bi][k] = sign;
-            }
-          }
-          // also the closing edge between last and first if not included
-          if (cycNodes.length >= 2) {
-            const a = cycNodes[cycNodes.length - 1];
-            const b = cycNodes[0];
-            const br = normBranches.find((br) => (String(br.from) === String(a) && String(br.to) === String(b)) || (String(br.from) === String(b) && String(br.to) === String(a)));
-            if (br) {
-              const bi = branchIndex[br.id];
-              const sign = String(br.from) === String(a) ? 1 : -1;
-              C[bi][k] = sign;
-            }
-          }
-        }
-
-        // build system to find mesh currents 'm' minimizing || C m - i_branch ||; we can solve via least-squares:
-        // m = (C^T C)^-1 C^T i_branch
-        const i_branch = normBranches.map((br) => mnaRes.branchCurrents[br.id] || 0);
-        // compute CtC (KxK) and CtI (K)
-        const CtC = Array.from({ length: K }, () => Array(K).fill(0));
-        const CtI = Array(K).fill(0);
-        for (let p = 0; p < K; p++) {
-          for (let q = 0; q < K; q++) {
-            let s = 0;
-            for (let bIdx = 0; bIdx < B; bIdx++) s += C[bIdx][p] * C[bIdx][q];
-            CtC[p][q] = s;
-          }
-          let s2 = 0;
-          for (let bIdx = 0; bIdx < B; bIdx++) s2 += C[bIdx][p] * i_branch[bIdx];
-          CtI[p] = s2;
-        }
-        // solve CtC * m = CtI
-        const m = solveLinearSystem(CtC, CtI);
-        // If solve fails, fallback to MNA only
-        return { mna: mnaRes, mesh: m ? { meshCurrents: m, C } : null, cycles, raw: { CtC, CtI } };
-      }
-    } else {
-      const mnaRes = solveMNA(nodeIds, normBranches);
-      if (!mnaRes) return null;
-      return { mna: mnaRes, mesh: null, cycles: null };
-    }
+    // MNA always supplies the node voltages; in mesh mode the branch currents come from the loop equations
+    const mnaRes = solveDC(nodeIds, normBranches);
+    if (!mnaRes) return null;
+    if (method !== "mesh") return { mna: mnaRes, mesh: null, cycles: null };
+
+    const meshRes = solveMesh(nodeIds, normBranches);
+    // dependent sources, stray current sources or a singular loop system: fall back to nodal
+    if (!meshRes || meshRes.error) return { mna: mnaRes, mesh: null, cycles: null };
+    return { mna: mnaRes, mesh: meshRes, cycles: meshRes.loops };
   }, [nodes, branches, method]);
 
   // compute once and keep previous state
@@ -479,7 +127,7 @@ function useCircuitSim({ nodes, branches, method = "nodal", running = true, time
       lastComputedRef.current = res;
       stateRef.current = {
         nodes: res.mna ? res.mna.nodeVoltages : {},
-        branchCurrents: res.mna ? res.mna.branchCurrents : {},
+        branchCurrents: res.mesh ? res.mesh.branchCurrents : res.mna ? res.mna.branchCurrents : {},
         mesh: res.mesh ? res.mesh : null,
         cycles: res.cycles ?? null,
       };
@@ -678,44 +326,251 @@ function CircuitVisualizerSVG({ nodes = [], branches = [], latest = {}, running
 }
 
 /* ============================
-   Oscilloscope: plot node voltages + one selected branch current
-   - user can pick a branch to display current
+   CircuitOscilloscope: up to three node voltages + the selected branch current
    ============================ */
+const NODE_COLORS = ["#7afcff", "#ffd24a", "#00ffbf"];
+
 function CircuitOscilloscope({ history = [], selectedBranchId = null, nodes = [] }) {
-  const points = history.slice(-360).map((h, idx) => {
-    const t = idx;
-    const datum = { t };
-    // map top 3 node voltages to V1, V2, V3 for plotting (pick up to 3 nodes)
-    for (let i = 0; i < Math.min(3, nodes.length); i++) {
-      const n = String(nodes[i]);
-      datum[`V${i + 1}`] = round(h.nodes[n] ?? 0, 6);
-    }
+  const traces = useMemo(() => {
+    const out = nodes.slice(0, 3).map((n, i) => ({
+      key: `V${i + 1}`,
+      name: `V(${n})`,
+      color: NODE_COLORS[i],
+      value: (h) => h.nodes?.[String(n)] ?? 0,
+    }));
     if (selectedBranchId) {
-      datum["I"] = round(h.branchCurrents[selectedBranchId] ?? 0, 9);
+      out.push({ key: "I", name: `I(${selectedBranchId})`, color: "#ff9a4a", value: (h) => h.branchCurrents?.[selectedBranchId] ?? 0 });
     }
-    return datum;
+    return out;
+  }, [nodes, selectedBranchId]);
+
+  return <Oscilloscope title="Oscilloscope — Node Voltages & Branch Current" data={history} traces={traces} exportName="mesh-nodal-scope" />;
+}
+
+/* ============================
+   Step-by-step MNA output: the stamped system A·x = b, one equation per row
+   - node rows are KCL (currents leaving the node), branch rows are the element equations
+   - controlled sources appear as extra coefficients on their control variables
+   ============================ */
+function MnaEquations({ nodes = [], branches = [] }) {
+  const res = useMemo(() => solveDC(nodes.map(String), branches), [nodes, branches]);
+  if (!res) {
+    return <div className="text-xs text-red-300">The system is singular (floating node or a loop of ideal sources).</div>;
+  }
+  const { A, b, x, unknowns } = res.raw;
+  const nodeRows = unknowns.filter((u) => u.startsWith("V(")).length;
+  const term = (coef, j, first) => {
+    const sign = coef < 0 ? "− " : first ? "" : "+ ";
+    return `${sign}${Math.abs(coef) === 1 ? "" : `${round(Math.abs(coef), 6)}·`}${unknowns[j]}`;
+  };
+
+  return (
+    <div className="space-y-3 text-xs font-mono">
+      <div className="text-zinc-400">
+        Reference node {res.refNode} • unknowns: <span className="text-orange-200">{unknowns.join(", ") || "—"}</span>
+      </div>
+      <div className="space-y-1.5">
+        {A.map((row, i) => {
+          const terms = row.map((c, j) => [c, j]).filter(([c]) => c !== 0);
+          const label = i < nodeRows ? `KCL ${unknowns[i].slice(2, -1)}` : unknowns[i].slice(2, -1);
+          return (
+            <div key={i} className="flex gap-2 bg-zinc-900/40 border border-zinc-800 rounded-md px-2 py-1">
+              <span className="text-zinc-500 w-16 shrink-0 truncate">{label}</span>
+              <span className="text-zinc-200">
+                {terms.length ? terms.map(([c, j], k) => term(c, j, k === 0)).join(" ") : "0"} = {round(b[i], 6)}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-1.5">
+        {unknowns.map((u, i) => (
+          <div key={u} className="bg-black/40 border border-zinc-800 rounded-md px-2 py-1">
+            <span className="text-zinc-500">{u}</span> = <span className="text-orange-300">{round(x[i], 6)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ============================
+   Step-by-step mesh output (KaTeX)
+   - loops from a spanning tree, one KVL per loop written term by term,
+     the matrix form Z·I = E, the loop currents and the branch currents
+   - branch currents are cross-checked against the nodal (MNA) solution
+   ============================ */
+const texName = (name) => `\\mathrm{${String(name).replace(/([_#$%&{}])/g, "\\$1")}}`;
+const texNum = (v) => String(round(v, 6)).replace(/e([+-]?\d+)$/, "\\times 10^{$1}");
+const loopI = (k) => `I_{${k + 1}}`;
+
+// [[k, coef]] -> "I_1 - I_2"
+const texCurrents = (terms) =>
+  terms
+    .map(([k, c], i) => `${c < 0 ? (i ? " - " : "-") : i ? " + " : ""}${Math.abs(c) === 1 ? "" : texNum(Math.abs(c))}${loopI(k)}`)
+    .join("") || "0";
+
+// signed sum: [[coef, "x"]] -> "a x + b y"
+const texSum = (terms) =>
+  terms
+    .map(([c, x], i) => `${c < 0 ? (i ? " - " : "-") : i ? " + " : ""}${x === "" ? texNum(Math.abs(c)) : `${Math.abs(c) === 1 ? "" : texNum(Math.abs(c))}${x}`}`)
+    .join("") || "0";
+
+function MeshEquations({ nodes = [], branches = [] }) {
+  const mesh = useMemo(() => solveMesh(nodes.map(String), branches), [nodes, branches]);
+  const nodal = useMemo(() => solveDC(nodes.map(String), branches), [nodes, branches]);
+
+  if (!mesh) {
+    return <div className="text-xs text-red-300">The loop equations are singular (a loop of ideal voltage sources or a floating part).</div>;
+  }
+  if (mesh.error) {
+    return (
+      <div className="space-y-3">
+        <div className="text-xs text-amber-300">{mesh.error} — the solver uses nodal analysis instead:</div>
+        <MnaEquations nodes={nodes} branches={branches} />
+      </div>
+    );
+  }
+  if (mesh.loops.length === 0) {
+    return <div className="text-xs text-zinc-400">The circuit has no closed loops, so there are no mesh equations.</div>;
+  }
+
+  const byId = new Map(branches.map((b) => [b.id, b]));
+  const label = (id) => byId.get(id)?.name || id;
+  const incidence = mesh.loops.map((loop) => Object.fromEntries(loop.branches.map((b) => [b.id, b.sign])));
+  // loop currents through element id, seen in the direction sign (+1 = from -> to)
+  const currentsThrough = (id, sign, own) =>
+    incidence
+      .map((inc, k) => [k, sign * (inc[id] ?? 0)])
+      .filter(([, c]) => c !== 0)
+      .sort(([a], [b]) => (a === own ? -1 : b === own ? 1 : a - b));
+  const wrap = (terms) => (terms.length > 1 || terms[0]?.[1] !== 1 ? `(${texCurrents(terms)})` : texCurrents(terms));
+
+  const kvl = mesh.loops.map((loop, k) => {
+    if (loop.fixed != null) {
+      const eq = `${loopI(k)} = ${texName(label(loop.link))} = ${texNum(loop.fixed)}\\ \\mathrm{A}`;
+      return { symbolic: eq, numeric: null, collected: null };
+    }
+    const lhsSym = [];
+    const lhsNum = [];
+    const rhsSym = [];
+    const rhsNum = [];
+    loop.branches.forEach(({ id, sign }) => {
+      const el = byId.get(id);
+      if (el.type === "R") {
+        const through = wrap(currentsThrough(id, sign, k));
+        lhsSym.push(`${texName(label(id))}${through}`);
+        lhsNum.push(`${texNum(Number(el.value))}${through}`);
+      } else if (el.type === "V") {
+        rhsSym.push([-sign, texName(label(id))]);
+        rhsNum.push([-sign * Number(el.value), ""]);
+      }
+    });
+    const numeric = `${lhsNum.join(" + ") || "0"} = ${texSum(rhsNum)}`;
+    const collected = `${texSum(mesh.Z[k].map((c, j) => [c, loopI(j)]).filter(([c]) => c !== 0))} = ${texNum(mesh.E[k])}`;
+    return {
+      symbolic: `${lhsSym.join(" + ") || "0"} = ${texSum(rhsSym)}`,
+      numeric,
+      collected: collected === numeric ? null : collected,
+    };
   });
 
+  const bmatrix = (rows) => `\\begin{bmatrix} ${rows.join(" \\\\ ")} \\end{bmatrix}`;
+  const matrixForm = `${bmatrix(mesh.Z.map((row) => row.map(texNum).join(" & ")))}${bmatrix(mesh.loops.map((_, k) => loopI(k)))} = ${bmatrix(mesh.E.map(texNum))}`;
+
+  const rows = branches.map((br) => {
+    const viaMesh = mesh.branchCurrents[br.id] ?? 0;
+    const viaNodal = nodal?.branchCurrents[br.id];
+    const delta = viaNodal == null ? null : Math.abs(viaMesh - viaNodal);
+    return {
+      br,
+      expr: texCurrents(currentsThrough(br.id, 1, -1)),
+      viaMesh,
+      viaNodal,
+      delta,
+      ok: delta != null && delta <= 1e-6 * Math.max(1, Math.abs(viaNodal)),
+    };
+  });
+
+  const step = "text-zinc-400 text-xs font-semibold";
+  const box = "bg-zinc-900/40 border border-zinc-800 rounded-md px-2 py-1 overflow-x-auto text-zinc-200";
+
   return (
-    <div className="rounded-xl p-3 bg-gradient-to-b from-black/40 to-zinc-900/20 border border-zinc-800 overflow-hidden">
-      <div className="flex items-center justify-between mb-2">
-        <div className="text-sm font-medium text-orange-300">Oscilloscope — Node Voltages & Branch Current</div>
-        <div className="text-xs text-zinc-400">Live</div>
+    <div className="space-y-4 text-xs">
+      <div className="space-y-1.5">
+        <div className={step}>1. Loops (one per branch outside the spanning tree, directed along that branch)</div>
+        {mesh.loops.map((loop, k) => (
+          <div key={loop.link} className={`${box} font-mono`}>
+            <InlineMath math={loopI(k)} /> <span className="text-zinc-500">via {label(loop.link)}:</span>{" "}
+            {loop.branches
+              .map(({ id, sign }) => {
+                const el = byId.get(id);
+                return `${label(id)} (${sign > 0 ? `${el.from}→${el.to}` : `${el.to}→${el.from}`})`;
+              })
+              .join(" → ")}
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1.5">
+        <div className={step}>2. KVL around each loop (resistor drops = source rises; a current source fixes its loop current)</div>
+        {kvl.map((eq, k) => (
+          <div key={k} className={box}>
+            <BlockMath math={eq.symbolic} />
+            {eq.numeric && <BlockMath math={`\\Rightarrow\\ ${eq.numeric}`} />}
+            {eq.collected && <BlockMath math={`\\Rightarrow\\ ${eq.collected}`} />}
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1.5">
+        <div className={step}>3. Matrix form Z · I = E</div>
+        <div className={box}>
+          <BlockMath math={matrixForm} />
+        </div>
+      </div>
+
+      <div className="space-y-1.5">
+        <div className={step}>4. Loop currents</div>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-1.5">
+          {mesh.I.map((v, k) => (
+            <div key={k} className="bg-black/40 border border-zinc-800 rounded-md px-2 py-1 text-orange-300">
+              <InlineMath math={`${loopI(k)} = ${texNum(v)}\\ \\mathrm{A}`} />
+            </div>
+          ))}
+        </div>
       </div>
-      <div className="h-44 sm:h-56">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={points}>
-            <CartesianGrid stroke="#111" strokeDasharray="3 3" />
-            <XAxis dataKey="t" tick={{ fill: "#888" }} />
-            <YAxis tick={{ fill: "#888" }} />
-            <ReTooltip contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "10px" }} />
-            <Legend wrapperStyle={{ color: "#aaa" }} />
-            {nodes.slice(0, 3).map((n, i) => (
-              <Line key={`V${i}`} type="monotone" dataKey={`V${i + 1}`} stroke={i === 0 ? "#7afcff" : i === 1 ? "#ffd24a" : "#00ffbf"} strokeWidth={2} dot={false} isAnimationActive={false} name={`V(${n})`} />
-            ))}
-            {selectedBranchId && <Line type="monotone" dataKey="I" stroke="#ff9a4a" strokeWidth={2} dot={false} isAnimationActive={false} name={`I(${selectedBranchId})`} />}
-          </LineChart>
-        </ResponsiveContainer>
+
+      <div className="space-y-1.5">
+        <div className={step}>5. Branch currents (from → to) and nodal cross-check</div>
+        <div className="overflow-x-auto">
+          <table className="w-full font-mono">
+            <thead className="text-zinc-500">
+              <tr>
+                <th className="text-left font-normal px-2 py-1">Branch</th>
+                <th className="text-left font-normal px-2 py-1">Loop currents</th>
+                <th className="text-right font-normal px-2 py-1">Mesh (A)</th>
+                <th className="text-right font-normal px-2 py-1">Nodal (A)</th>
+                <th className="text-right font-normal px-2 py-1">|Δ|</th>
+                <th className="px-2 py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ br, expr, viaMesh, viaNodal, delta, ok }) => (
+                <tr key={br.id} className="border-t border-zinc-800">
+                  <td className="px-2 py-1 text-zinc-300">{br.name || br.id}</td>
+                  <td className="px-2 py-1 text-zinc-200">
+                    <InlineMath math={expr} />
+                  </td>
+                  <td className="px-2 py-1 text-right text-orange-300">{round(viaMesh, 6)}</td>
+                  <td className="px-2 py-1 text-right text-zinc-300">{viaNodal == null ? "—" : round(viaNodal, 6)}</td>
+                  <td className="px-2 py-1 text-right text-zinc-400">{delta == null ? "—" : delta.toExponential(1)}</td>
+                  <td className={`px-2 py-1 text-center ${ok ? "text-emerald-400" : "text-red-400"}`}>{ok ? "✓" : "✗"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
       </div>
     </div>
   );
@@ -733,6 +588,7 @@ export default function MeshNodalAnalysisPage() {
   // Circuit model state
   // nodes stored as simple array of IDs (string/number). 0 is recommended as ground.
   const [nodes, setNodes] = useState(["0", "1", "2"]);
+  const [spiceOpen, setSpiceOpen] = useState(false);
   // branches: start with a sample circuit (two resistors and a voltage source)
   const [branches, setBranches] = useState([
     { id: "R1", from: "1", to: "0", type: "R", value: 100, name: "R1" },
@@ -828,6 +684,38 @@ export default function MeshNodalAnalysisPage() {
     toast.success("Reset to sample circuit");
   };
 
+  // SPICE deck import: R, V, I and controlled-source cards map onto branches here
+  const importSpice = (parsed) => {
+    const supported = parsed.elements.filter((el) => BRANCH_TYPES.some((t) => t.id === el.type));
+    const imported = supported.map((el) => {
+      const br = { id: el.id, from: el.from, to: el.to, type: el.type, value: el.value ?? 0, name: el.name };
+      if (isDependent(el.type)) Object.assign(br, { gain: el.gain, ctrlFrom: el.ctrlFrom, ctrlTo: el.ctrlTo, ctrl: el.ctrl });
+      return br;
+    });
+    setNodes(collectNodes(["0"], imported));
+    setBranches(imported);
+    setSelectedBranchId(imported[0]?.id ?? null);
+    const skipped = parsed.elements.length - supported.length;
+    if (skipped > 0) toast.warning(`Imported ${imported.length} branches; ${skipped} L/C/D elements skipped (linear resistive solver)`);
+    else toast.success(`Imported ${imported.length} branches`);
+  };
+
+  const exportSpice = () => {
+    const deck = toSpice({
+      title: "SparkLab Mesh & Nodal circuit",
+      elements: branches.map((br) => ({ ...br, name: br.name || br.id })),
+      analyses: [{ type: "op" }],
+    });
+    const blob = new Blob([deck], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `mesh-nodal-${Date.now()}.cir`;
+    a.click();
+    URL.revokeObjectURL(url);
+    toast.success("Exported SPICE netlist");
+  };
+
   // friendly summaries
   const nodeVoltagesSummary = latestState?.nodes ?? {};
   const branchCurrentsSummary = latestState?.branchCurrents ?? {};
@@ -837,6 +725,12 @@ export default function MeshNodalAnalysisPage() {
                  bg-[radial-gradient(circle,_rgba(255,122,28,0.25)_1px,transparent_1px)]
                  bg-[length:20px_20px] overflow-x-hidden">
       <Toaster position="top-center" richColors />
+      <SpiceImportDialog
+        open={spiceOpen}
+        onOpenChange={setSpiceOpen}
+        onImport={importSpice}
+        note="This solver is linear and resistive: L, C and D cards are skipped; F/H cards must name an imported source."
+      />
 
       {/* Header */}
       <header className="fixed w-full top-0 z-50 backdrop-blur-lg bg-black/70 border-b border-zinc-800 shadow-lg py-2 sm:py-0">
@@ -1025,45 +919,69 @@ export default function MeshNodalAnalysisPage() {
                             </div>
                             <div>
                               <label className="text-xs text-zinc-400">Type</label>
-                              <Select value={br.type} onValueChange={(v) => updateBranch(br.id, { type: v })}>
+                              <Select value={br.type} onValueChange={(v) => updateBranch(br.id, branchTypePatch(br, v, nodes, branches))}>
                                 <SelectTrigger className="w-full cursor-pointer bg-zinc-900/40 border border-zinc-800 rounded-md text-white text-sm">
                                   <SelectValue />
                                 </SelectTrigger>
                                 <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md">
-                                  <SelectItem  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="R">Resistor (Ω)</SelectItem>
-                                  <SelectItem  className="text-white hover:bg-orange-500/20 
+                                  {BRANCH_TYPES.map((t) => <SelectItem  className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="V">Voltage source (V)</SelectItem>
-                                  <SelectItem  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="I">Current source (A)</SelectItem>
+                 data-[highlighted]:bg-orange-500/30 rounded-md" key={`type-${br.id}-${t.id}`} value={t.id}>{t.label}</SelectItem>)}
                                 </SelectContent>
                               </Select>
                             </div>
 
                            <div className="sm:col-span-2 space-y-2">
-  <label className="text-xs text-zinc-400">Value</label>
+  <label className="text-xs text-zinc-400">{isDependent(br.type) ? "Gain" : "Value"}</label>
   <div className="flex items-center justify-start flex-col gap-3">
     <Input
       type="number"
-      value={String(br.value)}
-      onChange={(e) => updateBranch(br.id, { value: Number(e.target.value) })}
+      value={String(isDependent(br.type) ? br.gain : br.value)}
+      onChange={(e) => updateBranch(br.id, { [isDependent(br.type) ? "gain" : "value"]: Number(e.target.value) })}
       className="bg-zinc-900/40 border border-zinc-800 text-white w-full"
     />
     <Slider
-      value={[br.value]}
+      value={[isDependent(br.type) ? br.gain : br.value]}
       min={0}
       max={100}
       step={1}
-      onValueChange={(v) => updateBranch(br.id, { value: v[0] })}
+      onValueChange={(v) => updateBranch(br.id, { [isDependent(br.type) ? "gain" : "value"]: v[0] })}
       className="w-full cursor-pointer"
     />
   </div>
   <div className="text-[10px] text-orange-300">Adjust branch value dynamically</div>
 </div>
 
+                            {(br.type === "E" || br.type === "G") && ["ctrlFrom", "ctrlTo"].map((key) => (
+                              <div key={key}>
+                                <label className="text-xs text-zinc-400">{key === "ctrlFrom" ? "Control +" : "Control −"}</label>
+                                <Select value={String(br[key] ?? "0")} onValueChange={(v) => updateBranch(br.id, { [key]: v })}>
+                                  <SelectTrigger className="w-full cursor-pointer bg-zinc-900/40 border border-zinc-800 rounded-md text-white text-sm">
+                                    <SelectValue />
+                                  </SelectTrigger>
+                                  <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md">
+                                    {nodes.map((n) => <SelectItem  className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" key={`${key}-${br.id}-${n}`} value={String(n)}>{String(n)}</SelectItem>)}
+                                  </SelectContent>
+                                </Select>
+                              </div>
+                            ))}
+                            {(br.type === "F" || br.type === "H") && (
+                              <div>
+                                <label className="text-xs text-zinc-400">Control current</label>
+                                <Select value={br.ctrl ?? ""} onValueChange={(v) => updateBranch(br.id, { ctrl: v })}>
+                                  <SelectTrigger className="w-full cursor-pointer bg-zinc-900/40 border border-zinc-800 rounded-md text-white text-sm">
+                                    <SelectValue placeholder="Branch" />
+                                  </SelectTrigger>
+                                  <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md">
+                                    {branches.filter((o) => o.id !== br.id).map((o) => <SelectItem  className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" key={`ctrl-${br.id}-${o.id}`} value={o.id}>I({o.name || o.id})</SelectItem>)}
+                                  </SelectContent>
+                                </Select>
+                              </div>
+                            )}
                             <div>
                               <label className="text-xs text-zinc-400">Name</label>
                               <Input value={br.name || br.id} onChange={(e) => updateBranch(br.id, { name: e.target.value })} className="bg-zinc-900/40 border border-zinc-800 text-white" />
@@ -1083,6 +1001,8 @@ export default function MeshNodalAnalysisPage() {
                     </div>
 
                     <div className="flex gap-2">
+                      <Button variant="ghost" className="border cursor-pointer border-zinc-800 text-zinc-300 p-2" onClick={() => setSpiceOpen(true)} title="Import SPICE netlist"><FileCode className="w-4 h-4" /></Button>
+                      <Button variant="ghost" className="border cursor-pointer border-zinc-800 text-zinc-300 p-2" onClick={exportSpice} title="Export as SPICE (.cir)"><FileDown className="w-4 h-4" /></Button>
                       <Button variant="ghost" className="border cursor-pointer border-zinc-800 text-zinc-300 p-2" onClick={exportCSV}><Download className="w-4 h-4" /></Button>
                     </div>
                   </div>
@@ -1164,12 +1084,23 @@ export default function MeshNodalAnalysisPage() {
 
                   <div className="mt-3 text-xs sm:text-sm bg-black/70 border border-orange-500/30 text-orange-200 px-3 py-2 rounded-md shadow-sm backdrop-blur-sm flex items-start gap-2">
                     <span className="text-orange-400"><Lightbulb /></span>
-                    <span>Tip: Use <span className="text-white font-semibold">Nodal (MNA)</span> for general circuits. Mesh works well on planar resistor+voltage circuits — otherwise the page automatically falls back to MNA.</span>
+                    <span>Tip: Use <span className="text-white font-semibold">Nodal (MNA)</span> for general circuits. Mesh solves R, V and I circuits from the loop (KVL) equations and checks them against MNA — with controlled sources the page falls back to MNA.</span>
                   </div>
 
                 </CardContent>
               </Card>
             </div>
+
+            <Card className="bg-black/70 border border-zinc-800 rounded-2xl">
+              <CardHeader>
+                <CardTitle className="flex text-orange-300 items-center gap-2">
+                  <Terminal className="w-5 h-5" /> Step-by-step: {method === "mesh" ? "mesh (KVL) equations" : "MNA equations"}
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {method === "mesh" ? <MeshEquations nodes={nodes} branches={branches} /> : <MnaEquations nodes={nodes} branches={branches} />}
+              </CardContent>
+            </Card>
           </div>
         </div>
       </main>
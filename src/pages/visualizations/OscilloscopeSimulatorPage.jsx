@@ -17,6 +17,9 @@ import {
   Radio,
   Wrench,
   Ticket,
+  BarChart3,
+  Crosshair,
+  Upload,
 } from "lucide-react";
 import { Toaster, toast } from "sonner";
 
@@ -33,7 +36,25 @@ import {
 } from "@/components/ui/select";
 import { Slider } from "@/components/ui/slider";
 
-import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip as ReTooltip, CartesianGrid } from "recharts";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip as ReTooltip, CartesianGrid, ReferenceDot } from "recharts";
+
+import {
+  FFT_WINDOWS,
+  computeSpectrum,
+  findPeaks,
+  harmonicAnalysis,
+  toDb,
+  TRIGGER_KINDS,
+  findTriggers,
+  chainTriggers,
+  measureWaveform,
+  measurePhase,
+  captureFromCsv,
+  decodeWav,
+  resampleCapture,
+  captureSampleAt,
+  captureStats,
+} from "@/lib/signal";
 
 /* ============================
    Helpers
@@ -45,17 +66,28 @@ const round = (v, p = 6) => {
   return Math.round(v * f) / f;
 };
 const nowMs = () => performance.now();
+// 0.00123, "s" -> "1.23 ms"
+const fmtSI = (v, unit, digits = 3) => {
+  if (v === null || v === undefined || !Number.isFinite(v)) return "—";
+  if (v === 0) return `0 ${unit}`;
+  const prefixes = [[1e9, "G"], [1e6, "M"], [1e3, "k"], [1, ""], [1e-3, "m"], [1e-6, "µ"], [1e-9, "n"]];
+  const [f, p] = prefixes.find(([f]) => Math.abs(v) >= f) ?? prefixes[prefixes.length - 1];
+  return `${(v / f).toPrecision(digits)} ${p}${unit}`;
+};
 
 /* ============================
    Signal generator - produces samples for channel(s)
-   - Supports sine, square, triangle, saw, noise
+   - Supports sine, square, triangle, saw, noise and imported captures (CSV / WAV)
    - Each channel has amplitude (Vpk), frequency (Hz), phase (deg), offset (V), noise (%)
    - Sampling rate in Hz (samples per second)
+   - A capture is resampled once per sampling rate and played from its start (looped
+     unless ch.loop is false); offset and noise apply on top, noise relative to its peak
    ============================ */
 function useSignalGenerator({ channels, samplingHz, running, bufferSize = 4096 }) {
   const bufferRef = useRef(new Float32Array(bufferSize));
   const buffer2Ref = useRef(new Float32Array(bufferSize));
   const writeIdxRef = useRef(0);
+  const totalRef = useRef(0); // samples produced since mount (absolute sample number of the next write)
   const t0Ref = useRef(performance.now());
   const lastTickRef = useRef(performance.now());
   const rafRef = useRef(null);
@@ -66,13 +98,33 @@ function useSignalGenerator({ channels, samplingHz, running, bufferSize = 4096 }
 
   const samplePeriodMs = 1000 / samplingHz; // ms between samples
 
-  // generate 1 sample for a channel
-  const genSampleForChannel = useCallback((ch, tSeconds) => {
+  // imported captures at the current sampling rate, cached per capture object
+  const resampledRef = useRef(new WeakMap());
+  const playback = useMemo(
+    () =>
+      channels.map((ch) => {
+        if (ch?.type !== "capture" || !ch.capture) return null;
+        const hit = resampledRef.current.get(ch.capture);
+        if (hit?.sampleRate === samplingHz) return hit.values;
+        const resampled = resampleCapture(ch.capture, samplingHz);
+        resampledRef.current.set(ch.capture, resampled);
+        return resampled.values;
+      }),
+    [channels, samplingHz]
+  );
+
+  // generate 1 sample for a channel (played: the channel's resampled capture, if any)
+  const genSampleForChannel = useCallback((ch, tSeconds, played, rate) => {
     const { type, amp = 1, freq = 1, phaseDeg = 0, offset = 0, noise = 0 } = ch || {};
     const phaseRad = (phaseDeg * Math.PI) / 180;
     const omega = 2 * Math.PI * (freq || 0);
     let val = 0;
     if (!ch?.enabled) return 0;
+    if (type === "capture") {
+      val = played ? captureSampleAt(played, tSeconds * rate, ch.loop !== false) : 0;
+      if (noise && noise > 0) val += (Math.random() * 2 - 1) * (ch.capture?.peak ?? 0) * (noise / 100);
+      return val + (offset || 0);
+    }
     if (type === "sine") {
       val = amp * Math.sin(omega * tSeconds + phaseRad);
     } else if (type === "square") {
@@ -117,9 +169,10 @@ function useSignalGenerator({ channels, samplingHz, running, bufferSize = 4096 }
         const i = writeIdxRef.current % bufferRef.current.length;
         const ch0 = channels[0] || {};
         const ch1 = channels[1] || {};
-        bufferRef.current[i] = genSampleForChannel(ch0, elapsed);
-        buffer2Ref.current[i] = genSampleForChannel(ch1, elapsed);
+        bufferRef.current[i] = genSampleForChannel(ch0, elapsed, playback[0], samplingHz);
+        buffer2Ref.current[i] = genSampleForChannel(ch1, elapsed, playback[1], samplingHz);
         writeIdxRef.current = (writeIdxRef.current + 1) % bufferRef.current.length;
+        totalRef.current++;
       }
       lastTickRef.current = ts;
 
@@ -134,7 +187,7 @@ function useSignalGenerator({ channels, samplingHz, running, bufferSize = 4096 }
       alive = false;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [channels, samplePeriodMs, running, genSampleForChannel]);
+  }, [channels, playback, samplingHz, samplePeriodMs, running, genSampleForChannel]);
 
   // stable readBuffer that does NOT change identity on every animation tick
   const readBuffer = useCallback(
@@ -148,7 +201,8 @@ function useSignalGenerator({ channels, samplingHz, running, bufferSize = 4096 }
         out[i] = bufferRef.current[idx];
         out2[i] = buffer2Ref.current[idx];
       }
-      return { ch1: out, ch2: out2, metaTick: metaTickRef.current };
+      // end: absolute sample number just past the newest sample returned
+      return { ch1: out, ch2: out2, metaTick: metaTickRef.current, end: totalRef.current };
     },
     [] // intentionally stable
   );
@@ -158,7 +212,30 @@ function useSignalGenerator({ channels, samplingHz, running, bufferSize = 4096 }
 
 /* ============================
    Oscilloscope canvas
+   - with the trigger on, each frame acquires ~3 screens of samples, finds trigger events on
+     the source channel and shows the newest complete frame around one (trigger at 15 %)
+   - Auto free-runs after AUTO_TIMEOUT_MS without a trigger, Normal holds the last frame,
+     Single latches the first frame after being armed
    ============================ */
+const PRETRIGGER = 0.15; // fraction of the screen before the trigger point
+const ACQUIRE_MAX = 16384;
+const AUTO_TIMEOUT_MS = 120;
+const TRIGGER_HYSTERESIS_DIV = 0.1; // noise rejection, in divisions
+// [label, measureWaveform key, unit, scale]; duty is shown in percent
+const AUTO_MEASUREMENTS = [
+  ["Vpp", "vpp", "V", 1],
+  ["Vrms", "vrms", "V", 1],
+  ["Mean", "vavg", "V", 1],
+  ["Frequency", "freq", "Hz", 1],
+  ["Period", "period", "s", 1],
+  ["Duty cycle", "duty", "%", 100],
+  ["Rise time", "rise", "s", 1],
+  ["Fall time", "fall", "s", 1],
+];
+const TRIGGER_STATUS = { run: "Free run", trig: "Trig'd", auto: "Auto", ready: "Ready", stop: "Stop" };
+
+// samples across the 10 divisions (clamped, so the real span is screenSamples / samplingHz)
+const screenSamples = (timePerDiv, samplingHz) => clamp(Math.floor(timePerDiv * 10 * samplingHz), 512, 8192);
 function OscilloscopeCanvas({
   width = 900,
   height = 360,
@@ -168,12 +245,21 @@ function OscilloscopeCanvas({
   samplingHz = 44100,
   running,
   trigger,
+  armSeq = 0,
+  cursors,
   onMeasurements,
+  onStatus,
   chColors = ["#ffd24a", "#00ffbf"],
 }) {
   const canvasRef = useRef(null);
   const offRef = useRef(null);
   const lastMeasureRef = useRef(0);
+  // trigger circuit state: last accepted trigger (absolute sample), held frame, single-shot latch
+  const trigRef = useRef({ lastAbs: null, frame: null, lastTrigTs: -Infinity, singleDone: false, status: null });
+
+  useEffect(() => {
+    trigRef.current.singleDone = false;
+  }, [armSeq]);
   const dpr = typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
 
   const drawFrame = useCallback(
@@ -211,8 +297,59 @@ function OscilloscopeCanvas({
         octx.stroke();
       }
 
-      const shownSamples = Math.floor(timePerDiv * divsX * samplingHz);
-      const { ch1 = [], ch2 = [] } = getSamples(Math.max(512, Math.min(8192, shownSamples)));
+      const shown = screenSamples(timePerDiv, samplingHz);
+      const trig = trigRef.current;
+      let status = "run";
+      if (!running && trig.frame) {
+        // paused: keep showing the last acquisition
+        status = trig.status ?? "stop";
+      } else if (!trigger?.enabled) {
+        const { ch1 = [], ch2 = [] } = getSamples(shown);
+        trig.frame = { ch1, ch2 };
+      } else {
+        const acq = getSamples(Math.min(ACQUIRE_MAX, shown * 3));
+        const src = trigger.source === "ch2" ? acq.ch2 : acq.ch1;
+        const pre = Math.round(shown * PRETRIGGER);
+        const triggers = findTriggers(src, {
+          level: trigger.level,
+          slope: trigger.mode,
+          kind: trigger.kind,
+          pulseCond: trigger.pulseCond,
+          pulseWidth: (trigger.pulseWidthMs / 1000) * samplingHz,
+          hysteresis: TRIGGER_HYSTERESIS_DIV * voltsPerDiv,
+        });
+        const { index, lastAbs } = chainTriggers(triggers, {
+          base: acq.end - src.length,
+          lastAbs: trig.lastAbs,
+          holdoff: (trigger.holdoffMs / 1000) * samplingHz,
+          fits: (t) => t - pre >= 0 && t - pre + shown <= src.length,
+        });
+        trig.lastAbs = lastAbs;
+
+        if (trigger.type === "single" && trig.singleDone) {
+          status = "stop";
+        } else if (index >= 0) {
+          trig.frame = { ch1: acq.ch1.slice(index - pre, index - pre + shown), ch2: acq.ch2.slice(index - pre, index - pre + shown) };
+          trig.lastTrigTs = ts;
+          status = "trig";
+          if (trigger.type === "single") {
+            trig.singleDone = true;
+            status = "stop";
+          }
+        } else if (trigger.type === "auto" && ts - trig.lastTrigTs > AUTO_TIMEOUT_MS) {
+          // no trigger for a while: Auto free-runs so a signal is always visible
+          trig.frame = { ch1: acq.ch1.slice(-shown), ch2: acq.ch2.slice(-shown) };
+          status = "auto";
+        } else {
+          // Normal (and Auto within its timeout) keeps the last triggered frame
+          status = "ready";
+        }
+      }
+      if (status !== trig.status) {
+        trig.status = status;
+        onStatus?.(status);
+      }
+      const { ch1 = [], ch2 = [] } = trig.frame ?? {};
 
       if (!ch1 || ch1.length === 0) {
         // commit background and exit
@@ -242,7 +379,7 @@ function OscilloscopeCanvas({
       drawTrace(ch2, chColors[1], 1.3);
 
       if (trigger?.enabled) {
-        const trigX = width * 0.15;
+        const trigX = width * PRETRIGGER;
         octx.setLineDash([6, 6]);
         octx.strokeStyle = "rgba(255,255,255,0.08)";
         octx.beginPath();
@@ -258,23 +395,39 @@ function OscilloscopeCanvas({
         octx.stroke();
       }
 
-      // measurements (throttled)
+      if (cursors?.enabled) {
+        const span = ch1.length / samplingHz;
+        octx.setLineDash([4, 4]);
+        octx.strokeStyle = "rgba(158,230,255,0.7)";
+        octx.fillStyle = "rgba(158,230,255,0.85)";
+        octx.font = "11px Inter, sans-serif";
+        [cursors.t1, cursors.t2].forEach((t, i) => {
+          const x = (t / span) * width;
+          octx.beginPath();
+          octx.moveTo(x, 0);
+          octx.lineTo(x, height);
+          octx.stroke();
+          octx.fillText(`t${i + 1}`, x + 4, height - 8);
+        });
+        [cursors.v1, cursors.v2].forEach((v, i) => {
+          const y = midY - v * pxPerVolt;
+          octx.beginPath();
+          octx.moveTo(0, y);
+          octx.lineTo(width, y);
+          octx.stroke();
+          octx.fillText(`v${i + 1}`, width - 24, y - 4);
+        });
+        octx.setLineDash([]);
+      }
+
+      // measurements (throttled) on exactly the frame on screen
       if (onMeasurements && ts - lastMeasureRef.current > 200) {
         lastMeasureRef.current = ts;
-        let min = Infinity, max = -Infinity, sum = 0, sumSq = 0, zc = 0;
-        for (let i = 0; i < ch1.length; i++) {
-          const v = ch1[i];
-          if (v < min) min = v;
-          if (v > max) max = v;
-          sum += v;
-          sumSq += v * v;
-          if (i > 0 && ch1[i - 1] <= 0 && v > 0) zc++;
-        }
-        const vpp = max - min;
-        const vrms = Math.sqrt(sumSq / ch1.length);
-        const vavg = sum / ch1.length;
-        const freq = (zc / (ch1.length / samplingHz)) || 0;
-        onMeasurements({ vpp, vrms, vavg, freq });
+        onMeasurements({
+          ch1: measureWaveform(ch1, samplingHz),
+          ch2: measureWaveform(ch2, samplingHz),
+          phase: measurePhase(ch1, ch2, samplingHz),
+        });
       }
 
       octx.fillStyle = "rgba(255,255,255,0.07)";
@@ -285,7 +438,7 @@ function OscilloscopeCanvas({
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       ctx.drawImage(off, 0, 0, width * dpr, height * dpr, 0, 0, width, height);
     },
-    [width, height, getSamples, timePerDiv, voltsPerDiv, samplingHz, trigger, chColors, onMeasurements, dpr]
+    [width, height, getSamples, timePerDiv, voltsPerDiv, samplingHz, trigger, cursors, running, chColors, onMeasurements, onStatus, dpr]
   );
 
   useEffect(() => {
@@ -312,11 +465,6 @@ function OscilloscopeCanvas({
   );
 }
 
-/* ============================
-   Simple FFT (DFT) utility for small N (not optimized FFT)
-   ============================ */
-
-
 /* ============================
    Circuit visualizer SVG
    ============================ */
@@ -404,96 +552,221 @@ function CircuitVisualizerSVG({ chSample = 0, Vsup = 1, R = 10, running = true }
   );
 }
 
-function computeSpectrum(samples, sampleRate) {
-  const N = samples.length;
-  if (N === 0) return [];
-  const re = new Float64Array(N);
-  const im = new Float64Array(N);
-  for (let i = 0; i < N; i++) re[i] = samples[i];
-
-  // Naive DFT (replace with FFT library for speed if needed)
-  const result = [];
-  for (let k = 0; k < N / 2; k++) {
-    let sumRe = 0;
-    let sumIm = 0;
-    for (let n = 0; n < N; n++) {
-      const angle = (-2 * Math.PI * k * n) / N;
-      sumRe += re[n] * Math.cos(angle);
-      sumIm += re[n] * Math.sin(angle);
-    }
-    const mag = Math.sqrt(sumRe * sumRe + sumIm * sumIm) / N;
-    const f = (k * sampleRate) / N;
-    result.push({ f, mag });
+/* ============================
+   Spectrum analyzer
+   - radix-2 FFT over the newest `size` samples of each enabled channel
+   - window, FFT size and dB / linear scale are selectable
+   - peaks are marked on the plot; THD, SNR and SINAD are read from the harmonics
+   ============================ */
+const FFT_SIZES = [1024, 2048, 4096, 8192, 16384];
+const SPECTRUM_POINTS = 512; // plotted points per trace (max-hold decimation keeps peaks)
+const DB_FLOOR = -140;
+const CH_KEYS = ["ch1", "ch2"];
+
+function analyzeChannel(samples, samplingHz, window) {
+  const spec = computeSpectrum(samples, samplingHz, { window });
+  return { spec, peaks: findPeaks(spec, { count: 5 }), analysis: harmonicAnalysis(spec) };
+}
+
+// one plotted point per bucket of bins, keeping the bucket maximum
+function decimateSpectrum(results, scale) {
+  const bins = results.find(Boolean)?.spec.amp.length ?? 0;
+  const step = Math.max(1, Math.ceil(bins / SPECTRUM_POINTS));
+  const points = [];
+  for (let k0 = 0; k0 < bins; k0 += step) {
+    const { freqs } = results.find(Boolean).spec;
+    const pt = { f: round(freqs[Math.min(bins - 1, k0 + (step >> 1))], 1) };
+    results.forEach((r, ci) => {
+      if (!r) return;
+      let m = 0;
+      for (let k = k0; k < Math.min(bins, k0 + step); k++) m = Math.max(m, r.spec.amp[k]);
+      pt[CH_KEYS[ci]] = scale === "db" ? round(toDb(m, DB_FLOOR), 2) : round(m, 6);
+    });
+    points.push(pt);
   }
-  return result;
+  return points;
 }
 
-/**
- * Stable FFT Chart with controlled rendering
- */
- function StableFFTChart({ readBuffer, samplingHz }) {
-  const dataRef = useRef([]); // holds current spectrum data
-  const [chartData, setChartData] = useState([]); // state used for rendering
+const fmtDb = (v) => (Number.isFinite(v) ? `${round(v, 1)} dB` : "—");
+
+function SpectrumAnalyzer({ readBuffer, samplingHz, running, channels, chColors = ["#ffd24a", "#00ffbf"] }) {
+  const [size, setSize] = useState(4096);
+  const [windowType, setWindowType] = useState("hann");
+  const [scale, setScale] = useState("db");
+  const [results, setResults] = useState([null, null]);
   const lastUpdate = useRef(0);
 
-  // FFT computation loop
+  const enabled = useMemo(() => channels.map((c) => !!c?.enabled), [channels]);
+
   useEffect(() => {
     let alive = true;
-
+    let raf;
+    const analyze = () => {
+      const buf = readBuffer(size);
+      setResults(CH_KEYS.map((key, ci) => (enabled[ci] ? analyzeChannel(buf[key], samplingHz, windowType) : null)));
+    };
     const loop = (t) => {
       if (!alive) return;
-      requestAnimationFrame(loop);
-
-      // Throttle UI updates (every ~500ms)
+      raf = requestAnimationFrame(loop);
+      // throttle: an FFT per channel every ~500 ms is plenty for a readout
       if (t - lastUpdate.current < 500) return;
       lastUpdate.current = t;
-
-      const { ch1 } = readBuffer(1024);
-      if (!ch1 || ch1.length === 0) return;
-
-      const spec = computeSpectrum(Array.from(ch1), samplingHz)
-        .slice(-500)
-        .map((s) => ({ f: Math.round(s.f), mag: s.mag }));
-
-      dataRef.current = spec;
-      setChartData(spec); // controlled React update
+      analyze();
     };
-
-    requestAnimationFrame(loop);
+    if (running) raf = requestAnimationFrame(loop);
+    else analyze();
     return () => {
       alive = false;
+      if (raf) cancelAnimationFrame(raf);
     };
-  }, [readBuffer, samplingHz]);
+  }, [readBuffer, samplingHz, running, size, windowType, enabled]);
 
-  // Memoized chart render data (prevents unnecessary rerenders)
-  const memoData = useMemo(() => chartData.slice(-400), [chartData]);
+  const data = useMemo(() => decimateSpectrum(results, scale), [results, scale]);
+  const binHz = results.find(Boolean)?.spec.binHz ?? samplingHz / size;
+  const selectItem = `text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md`;
 
   return (
-    <div style={{ width: "100%", height: 140, overflow: "hidden" }}>
-      <BarChart
-        width={400}
-        height={140}
-        data={memoData}
-        margin={{ top: 0, right: 10, bottom: 0, left: 0 }}
-      >
-        <CartesianGrid stroke="#111" />
-        <XAxis dataKey="f" tick={{ fill: "#aaa", fontSize: 10 }} />
-        <YAxis hide />
-        <ReTooltip
-          contentStyle={{
-            background: "#0b0b0b",
-            border: "1px solid #222",
-            color: "#fff",
-            borderRadius: "8px",
-          }}
-        />
-        <Bar dataKey="mag" fill="#ff9a4a" radius={[2, 2, 0, 0]} />
-      </BarChart>
-    </div>
-  );
-}
+    <Card className="bg-black/70 border border-zinc-800 rounded-2xl w-full overflow-hidden">
+      <CardHeader>
+        <CardTitle className="flex items-center flex-wrap gap-3 justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 rounded-md bg-gradient-to-tr from-[#ff7a2d] to-[#ffd24a] text-black flex items-center justify-center">
+              <BarChart3 className="w-5 h-5" />
+            </div>
+            <div>
+              <div className="text-lg font-semibold text-[#ffd24a]">Spectrum Analyzer</div>
+              <div className="text-xs text-zinc-400">Windowed FFT • Peaks • THD / SNR / SINAD</div>
+            </div>
+          </div>
+          <Badge className="bg-zinc-900 border border-zinc-800 text-zinc-300 px-3 py-1 rounded-full">
+            RBW: <span className="text-[#ffd24a] ml-1">{round(binHz, 2)} Hz</span>
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label className="text-xs text-zinc-400">FFT size</label>
+            <Select value={String(size)} onValueChange={(v) => setSize(Number(v))}>
+              <SelectTrigger className="w-full cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                {FFT_SIZES.map((n) => (
+                  <SelectItem key={n} className={selectItem} value={String(n)}>{n} points</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Window</label>
+            <Select value={windowType} onValueChange={setWindowType}>
+              <SelectTrigger className="w-full cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                {Object.entries(FFT_WINDOWS).map(([key, w]) => (
+                  <SelectItem key={key} className={selectItem} value={key}>{w.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-zinc-400">Scale</label>
+            <Select value={scale} onValueChange={setScale}>
+              <SelectTrigger className="w-full cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                <SelectItem className={selectItem} value="db">dBV (log)</SelectItem>
+                <SelectItem className={selectItem} value="linear">Volts (linear)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
 
+        <div className="w-full h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data} margin={{ top: 16, right: 16, bottom: 0, left: 0 }}>
+              <CartesianGrid stroke="#111" />
+              <XAxis dataKey="f" type="number" domain={[0, samplingHz / 2]} tick={{ fill: "#aaa", fontSize: 10 }} tickFormatter={(f) => (f >= 1000 ? `${round(f / 1000, 1)}k` : f)} />
+              <YAxis
+                domain={scale === "db" ? [DB_FLOOR, 20] : [0, "auto"]}
+                allowDataOverflow
+                tick={{ fill: "#aaa", fontSize: 10 }}
+                width={44}
+              />
+              <ReTooltip
+                contentStyle={{ background: "#0b0b0b", border: "1px solid #222", color: "#fff", borderRadius: "8px" }}
+                labelFormatter={(f) => `${f} Hz`}
+              />
+              {CH_KEYS.map((key, ci) =>
+                results[ci] ? (
+                  <Line key={key} type="linear" dataKey={key} name={channels[ci]?.name ?? key} stroke={chColors[ci]} dot={false} strokeWidth={1.4} isAnimationActive={false} />
+                ) : null
+              )}
+              {results.flatMap((r, ci) =>
+                (r?.peaks ?? []).map((p, i) => (
+                  <ReferenceDot
+                    key={`${ci}-${i}`}
+                    x={round(p.freq, 1)}
+                    y={scale === "db" ? round(p.db, 2) : round(p.amp, 6)}
+                    r={3}
+                    fill={chColors[ci]}
+                    stroke="none"
+                    label={{ value: `${round(p.freq, 0)} Hz`, position: "top", fill: chColors[ci], fontSize: 9 }}
+                  />
+                ))
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
 
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {CH_KEYS.map((key, ci) => {
+            const a = results[ci]?.analysis;
+            return (
+              <div key={key} className="rounded-lg border border-zinc-800 bg-black/50 p-3 text-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="font-semibold" style={{ color: chColors[ci] }}>{channels[ci]?.name ?? key}</span>
+                  {a && <span className="text-xs text-zinc-400">f₀ {round(a.fundamental.freq, 1)} Hz • {round(a.fundamental.amp, 4)} Vpk</span>}
+                </div>
+                {!results[ci] ? (
+                  <div className="text-xs text-zinc-500">Channel disabled</div>
+                ) : !a ? (
+                  <div className="text-xs text-zinc-500">No signal</div>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                      <span className="text-zinc-400">THD</span>
+                      <span className="text-right text-[#ff9a4a] font-semibold">{round(a.thd * 100, 3)} % ({fmtDb(a.thdDb)})</span>
+                      <span className="text-zinc-400">SNR</span>
+                      <span className="text-right text-zinc-200">{fmtDb(a.snrDb)}</span>
+                      <span className="text-zinc-400">SINAD</span>
+                      <span className="text-right text-zinc-200">{fmtDb(a.sinadDb)}</span>
+                      <span className="text-zinc-400">ENOB</span>
+                      <span className="text-right text-zinc-200">{round(a.enob, 2)} bits</span>
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {a.harmonics.slice(0, 6).map((h) => (
+                        <Badge key={h.order} className="bg-zinc-900 border border-zinc-800 text-zinc-300 text-[10px] px-2 py-0.5 rounded-full">
+                          H{h.order}: {fmtDb(toDb(h.amp / a.fundamental.amp)).replace("dB", "dBc")}
+                        </Badge>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
 
 /* ============================
    Main Oscilloscope Page
@@ -506,7 +779,22 @@ export default function OscilloscopeSimulatorPage() {
   const [timePerDiv, setTimePerDiv] = useState(0.002);
   const [voltsPerDiv, setVoltsPerDiv] = useState(1);
 
-  const [trigger, setTrigger] = useState({ enabled: true, mode: "rising", level: 0.0, type: "auto" });
+  // mode: slope, type: sweep (auto | normal | single), kind: edge | pulse
+  const [trigger, setTrigger] = useState({
+    enabled: true,
+    mode: "rising",
+    level: 0.0,
+    type: "auto",
+    source: "ch1",
+    kind: "edge",
+    pulseCond: "gt",
+    pulseWidthMs: 0.5,
+    holdoffMs: 0,
+  });
+  const [armSeq, setArmSeq] = useState(0);
+  const [triggerStatus, setTriggerStatus] = useState("run");
+  // cursor times are fractions of the screen width, voltages are volts
+  const [cursors, setCursors] = useState({ enabled: false, t1: 0.25, t2: 0.75, v1: 1, v2: -1 });
 
   const [channels, setChannels] = useState([
     { id: "ch1", enabled: true, name: "CH1", type: "sine", amp: 2, freq: 1000, phaseDeg: 0, offset: 0, noise: 0 },
@@ -517,23 +805,30 @@ export default function OscilloscopeSimulatorPage() {
 
   const getSamples = useCallback(
     (n = 1024) => {
-      const { ch1, ch2 } = readBuffer(n);
-      return { ch1: Array.from(ch1), ch2: Array.from(ch2) };
+      const { ch1, ch2, end } = readBuffer(n);
+      return { ch1: Array.from(ch1), ch2: Array.from(ch2), end };
     },
     [readBuffer] // stable: readBuffer does not change identity each tick
   );
 
-  const [measurements, setMeasurements] = useState({ vpp: 0, vrms: 0, vavg: 0, freq: 0 });
+  const [measurements, setMeasurements] = useState({ ch1: null, ch2: null, phase: null });
 
   const handleMeasurements = useCallback((m) => {
     setMeasurements((s) => ({ ...s, ...m }));
   }, []);
 
-  const [spectrum, setSpectrum] = useState([]);
-
-
-
+  const screenSpan = screenSamples(timePerDiv, samplingHz) / samplingHz;
+  const canvasCursors = useMemo(
+    () => ({ ...cursors, t1: cursors.t1 * screenSpan, t2: cursors.t2 * screenSpan }),
+    [cursors, screenSpan]
+  );
 
+  const armSingle = () => {
+    setTrigger((t) => ({ ...t, enabled: true, type: "single" }));
+    setArmSeq((n) => n + 1);
+    setRunning(true);
+    toast("Single sweep armed");
+  };
 
   const toggleRunning = () => {
     setRunning((r) => {
@@ -572,6 +867,37 @@ export default function OscilloscopeSimulatorPage() {
 
   const updateChannel = (idx, patch) => setChannels((s) => s.map((c, i) => (i === idx ? { ...c, ...patch } : c)));
 
+  // CSV (time, voltage) or WAV file -> channel source; CSVs without a time column play at the current rate
+  const loadCapture = (idx, capture, text = null) => {
+    const withStats = { ...capture, ...captureStats(capture), text };
+    updateChannel(idx, { type: "capture", capture: withStats, loop: true, enabled: true });
+    toast.success(`${withStats.name}: ${withStats.values.length} samples @ ${fmtSI(withStats.sampleRate, "Sa/s")}`);
+  };
+
+  const importCapture = (idx, file) => {
+    const isWav = /\.wav$/i.test(file.name) || file.type.includes("wav");
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        if (isWav) loadCapture(idx, decodeWav(reader.result, { name: file.name }));
+        else loadCapture(idx, captureFromCsv(reader.result, { name: file.name, sampleRate: samplingHz }), reader.result);
+      } catch (err) {
+        toast.error(`Import failed: ${err.message}`);
+      }
+    };
+    if (isWav) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  };
+
+  const selectCaptureColumn = (idx, column) => {
+    const { capture } = channels[idx];
+    try {
+      loadCapture(idx, captureFromCsv(capture.text, { name: capture.name, valueColumn: column, timeColumn: capture.timeColumn, sampleRate: capture.sampleRate }), capture.text);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-[#05060a] bg-[radial-gradient(circle,_rgba(255,122,28,0.25)_1px,transparent_1px)] bg-[length:20px_20px] text-white overflow-x-hidden">
       <Toaster position="top-center" richColors />
@@ -753,7 +1079,7 @@ export default function OscilloscopeSimulatorPage() {
               <div className="flex items-center justify-between">
                 <div className="text-xs text-zinc-400">Trigger</div>
                 <Badge className="bg-black/60 border border-orange-500 text-orange-300 px-3 py-1 rounded-full shadow-sm text-xs">
-                  {trigger.type.toUpperCase()}
+                  {trigger.type.toUpperCase()} • {TRIGGER_STATUS[triggerStatus] ?? triggerStatus}
                 </Badge>
               </div>
 
@@ -834,6 +1160,110 @@ export default function OscilloscopeSimulatorPage() {
                  data-[highlighted]:bg-orange-500/30 rounded-md" value="single">Single</SelectItem>
                   </SelectContent>
                 </Select>
+
+                <Select
+                  value={trigger.source}
+                  onValueChange={(v) =>
+                    setTrigger((t) => ({ ...t, source: v }))
+                  }
+                >
+                  <SelectTrigger className="w-24 cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                    <SelectValue placeholder="Source" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                    <SelectItem  className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value="ch1">CH1</SelectItem>
+                    <SelectItem  className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value="ch2">CH2</SelectItem>
+                  </SelectContent>
+                </Select>
+
+                {trigger.type === "single" && (
+                  <Button
+                    variant="ghost"
+                    className="border border-orange-500 text-orange-300 cursor-pointer"
+                    onClick={armSingle}
+                  >
+                    Arm
+                  </Button>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                {TRIGGER_KINDS.map((kind) => (
+                  <Button
+                    key={kind}
+                    variant="ghost"
+                    className={`cursor-pointer capitalize ${
+                      trigger.kind === kind
+                        ? "border border-orange-500 text-orange-300"
+                        : "border border-zinc-800 text-zinc-400"
+                    }`}
+                    onClick={() => setTrigger((t) => ({ ...t, kind }))}
+                  >
+                    {kind === "edge" ? "Edge" : "Pulse width"}
+                  </Button>
+                ))}
+              </div>
+
+              {trigger.kind === "pulse" && (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <label className="text-xs text-zinc-400">
+                      {trigger.mode === "rising" ? "Positive" : "Negative"} pulse
+                    </label>
+                    <Select
+                      value={trigger.pulseCond}
+                      onValueChange={(v) =>
+                        setTrigger((t) => ({ ...t, pulseCond: v }))
+                      }
+                    >
+                      <SelectTrigger className="w-28 cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                        <SelectItem  className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value="lt">shorter than</SelectItem>
+                        <SelectItem  className="text-white hover:bg-orange-500/20 
+                 data-[highlighted]:text-orange-200 cursor-pointer 
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value="gt">longer than</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <Slider
+                    min={0.01}
+                    max={20}
+                    step={0.01}
+                    value={[trigger.pulseWidthMs]}
+                    onValueChange={(v) =>
+                      setTrigger((t) => ({ ...t, pulseWidthMs: v[0] }))
+                    }
+                  />
+                  <div className="flex justify-between text-xs text-zinc-500">
+                    <span>{trigger.pulseWidthMs.toFixed(2)} ms</span>
+                    <span>⊓</span>
+                  </div>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <label className="text-xs text-zinc-400">Holdoff (ms)</label>
+                <Slider
+                  min={0}
+                  max={50}
+                  step={0.1}
+                  value={[trigger.holdoffMs]}
+                  onValueChange={(v) =>
+                    setTrigger((t) => ({ ...t, holdoffMs: v[0] }))
+                  }
+                />
+                <div className="flex justify-between text-xs text-zinc-500">
+                  <span>{trigger.holdoffMs.toFixed(1)} ms</span>
+                  <span>⏸</span>
+                </div>
               </div>
             </div>
 
@@ -915,7 +1345,7 @@ export default function OscilloscopeSimulatorPage() {
                     <div>
                       <div className="text-sm  text-orange-400 font-semibold">{ch.name}</div>
                       <div className="text-xs text-zinc-400">
-                        {ch.type} • {ch.freq} Hz
+                        {ch.type === "capture" ? `imported • ${ch.capture?.name ?? "no file"}` : `${ch.type} • ${ch.freq} Hz`}
                       </div>
                     </div>
                   </div>
@@ -943,61 +1373,207 @@ export default function OscilloscopeSimulatorPage() {
                     ["Phase (°)", "phaseDeg", "slider", 0, 360, 1],
                     ["Offset (V)", "offset", "slider", -5, 5, 0.1],
                     ["Noise (%)", "noise", "slider", 0, 50, 1],
-                  ].map(([label, key, type, min, max, step]) => (
-                    <div key={key}>
-                      <label className="text-xs text-zinc-400">{label}</label>
-                      {type === "select" ? (
-                        <Select
-                          value={ch[key]}
-                          onValueChange={(v) =>
-                            updateChannel(idx, { [key]: v })
-                          }
-                        >
+                  ]
+                    .filter(([, key]) => ch.type !== "capture" || ["type", "offset", "noise"].includes(key))
+                    .map(([label, key, type, min, max, step]) => (
+                      <div key={key}>
+                        <label className="text-xs text-zinc-400">{label}</label>
+                        {type === "select" ? (
+                          <Select
+                            value={ch[key]}
+                            onValueChange={(v) =>
+                              updateChannel(idx, { [key]: v })
+                            }
+                          >
+                            <SelectTrigger className="w-full cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
+                              <SelectValue placeholder="Type" />
+                            </SelectTrigger>
+                            <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
+                              <SelectItem  className="text-white hover:bg-orange-500/20 
+                   data-[highlighted]:text-orange-200 cursor-pointer 
+                   data-[highlighted]:bg-orange-500/30 rounded-md" value="sine">Sine</SelectItem>
+                              <SelectItem  className="text-white hover:bg-orange-500/20 
+                   data-[highlighted]:text-orange-200 cursor-pointer 
+                   data-[highlighted]:bg-orange-500/30 rounded-md" value="square">Square</SelectItem>
+                              <SelectItem  className="text-white hover:bg-orange-500/20 
+                   data-[highlighted]:text-orange-200 cursor-pointer 
+                   data-[highlighted]:bg-orange-500/30 rounded-md" value="triangle">Triangle</SelectItem>
+                              <SelectItem  className="text-white hover:bg-orange-500/20 
+                   data-[highlighted]:text-orange-200 cursor-pointer 
+                   data-[highlighted]:bg-orange-500/30 rounded-md" value="saw">Saw</SelectItem>
+                              <SelectItem  className="text-white hover:bg-orange-500/20 
+                   data-[highlighted]:text-orange-200 cursor-pointer 
+                   data-[highlighted]:bg-orange-500/30 rounded-md" value="noise">Noise</SelectItem>
+                              <SelectItem  className="text-white hover:bg-orange-500/20 
+                   data-[highlighted]:text-orange-200 cursor-pointer 
+                   data-[highlighted]:bg-orange-500/30 rounded-md" value="capture" disabled={!ch.capture}>Imported</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        ) : (
+                          <>
+                            <Slider
+                              min={min}
+                              max={max}
+                              step={step}
+                              value={[ch[key]]}
+                              onValueChange={(v) =>
+                                updateChannel(idx, { [key]: v[0] })
+                              }
+                            />
+                            <div className="text-xs text-zinc-500 mt-1">
+                              {ch[key]}
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    ))}
+                </div>
+
+                {/* Imported capture: CSV (time, voltage) or WAV */}
+                <div className="mt-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <label className="flex-1">
+                      <input
+                        type="file"
+                        accept=".csv,.txt,.wav,text/csv,audio/wav"
+                        className="hidden"
+                        onChange={(e) => {
+                          const f = e.target.files?.[0];
+                          if (f) importCapture(idx, f);
+                          e.target.value = "";
+                        }}
+                      />
+                      <Button variant="outline" className="w-full cursor-pointer border border-zinc-700 text-zinc-300 hover:text-orange-400" asChild>
+                        <span>
+                          <Upload className="w-4 h-4 mr-1" /> Import CSV / WAV
+                        </span>
+                      </Button>
+                    </label>
+                    {ch.type === "capture" && ch.capture && (
+                      <Button
+                        variant={ch.loop !== false ? "default" : "outline"}
+                        className={`cursor-pointer ${
+                          ch.loop !== false
+                            ? "bg-gradient-to-r from-[#ff7a2d] to-[#ffd24a] text-black"
+                            : "border border-zinc-700 text-zinc-300"
+                        }`}
+                        onClick={() => updateChannel(idx, { loop: ch.loop === false })}
+                      >
+                        {ch.loop !== false ? "Loop" : "Once"}
+                      </Button>
+                    )}
+                  </div>
+                  {ch.type === "capture" && ch.capture && (
+                    <>
+                      <div className="text-xs text-zinc-500">
+                        {ch.capture.values.length} samples @ {fmtSI(ch.capture.sampleRate, "Sa/s")} • {fmtSI(ch.capture.duration, "s")} •{" "}
+                        {fmtSI(ch.capture.min, "V")} … {fmtSI(ch.capture.max, "V")}
+                        {ch.capture.sampleRate !== samplingHz && ` • resampled to ${fmtSI(samplingHz, "Sa/s")}`}
+                      </div>
+                      {ch.capture.source === "csv" && ch.capture.columns.length > (ch.capture.timeColumn >= 0 ? 2 : 1) && (
+                        <Select value={String(ch.capture.valueColumn)} onValueChange={(v) => selectCaptureColumn(idx, Number(v))}>
                           <SelectTrigger className="w-full cursor-pointer bg-black/80 border border-zinc-800 text-white text-sm rounded-md shadow-sm hover:border-orange-400 focus:ring-2 focus:ring-orange-400">
-                            <SelectValue placeholder="Type" />
+                            <SelectValue placeholder="Column" />
                           </SelectTrigger>
                           <SelectContent className="bg-zinc-900 border border-zinc-800 rounded-md shadow-lg">
-                            <SelectItem  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="sine">Sine</SelectItem>
-                            <SelectItem  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="square">Square</SelectItem>
-                            <SelectItem  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="triangle">Triangle</SelectItem>
-                            <SelectItem  className="text-white hover:bg-orange-500/20 
-                 data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="saw">Saw</SelectItem>
-                            <SelectItem  className="text-white hover:bg-orange-500/20 
+                            {ch.capture.columns.map((name, ci) =>
+                              ci === ch.capture.timeColumn ? null : (
+                                <SelectItem key={ci} className="text-white hover:bg-orange-500/20 
                  data-[highlighted]:text-orange-200 cursor-pointer 
-                 data-[highlighted]:bg-orange-500/30 rounded-md" value="noise">Noise</SelectItem>
+                 data-[highlighted]:bg-orange-500/30 rounded-md" value={String(ci)}>{name}</SelectItem>
+                              )
+                            )}
                           </SelectContent>
                         </Select>
-                      ) : (
-                        <>
-                          <Slider
-                            min={min}
-                            max={max}
-                            step={step}
-                            value={[ch[key]]}
-                            onValueChange={(v) =>
-                              updateChannel(idx, { [key]: v[0] })
-                            }
-                          />
-                          <div className="text-xs text-zinc-500 mt-1">
-                            {ch[key]}
-                          </div>
-                        </>
                       )}
-                    </div>
-                  ))}
+                    </>
+                  )}
                 </div>
               </div>
             ))}
           </CardContent>
         </Card>
       </motion.div>
+
+      {/* --- Cursors Section --- */}
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.28 }}
+      >
+        <Card className="bg-gradient-to-b from-black/80 to-zinc-950 border border-zinc-800 rounded-2xl overflow-hidden shadow-lg">
+          <CardHeader>
+            <CardTitle className="text-[#ffd24a] flex items-center justify-between gap-2">
+              <span className="flex items-center gap-2">
+                <Crosshair className="w-5 h-5 text-orange-400" /> Cursors
+              </span>
+              <Button
+                variant={cursors.enabled ? "default" : "outline"}
+                className={`cursor-pointer ${
+                  cursors.enabled
+                    ? "bg-gradient-to-r from-[#ff7a2d] to-[#ffd24a] text-black"
+                    : "border border-zinc-700 text-zinc-300"
+                }`}
+                onClick={() => setCursors((c) => ({ ...c, enabled: !c.enabled }))}
+              >
+                {cursors.enabled ? "On" : "Off"}
+              </Button>
+            </CardTitle>
+          </CardHeader>
+
+          <CardContent className="space-y-3">
+            {[
+              ["t1", "Time cursor t1"],
+              ["t2", "Time cursor t2"],
+            ].map(([key, label]) => (
+              <div key={key} className="space-y-2">
+                <label className="text-xs text-zinc-400">{label}</label>
+                <Slider
+                  min={0}
+                  max={1}
+                  step={0.001}
+                  value={[cursors[key]]}
+                  onValueChange={(v) => setCursors((c) => ({ ...c, [key]: v[0] }))}
+                />
+                <div className="text-xs text-zinc-500">{fmtSI(cursors[key] * screenSpan, "s")}</div>
+              </div>
+            ))}
+            {[
+              ["v1", "Voltage cursor v1"],
+              ["v2", "Voltage cursor v2"],
+            ].map(([key, label]) => (
+              <div key={key} className="space-y-2">
+                <label className="text-xs text-zinc-400">{label}</label>
+                <Slider
+                  min={-4 * voltsPerDiv}
+                  max={4 * voltsPerDiv}
+                  step={voltsPerDiv / 50}
+                  value={[clamp(cursors[key], -4 * voltsPerDiv, 4 * voltsPerDiv)]}
+                  onValueChange={(v) => setCursors((c) => ({ ...c, [key]: v[0] }))}
+                />
+                <div className="text-xs text-zinc-500">{fmtSI(cursors[key], "V")}</div>
+              </div>
+            ))}
+
+            <div className="grid grid-cols-3 gap-2 text-xs border-t border-zinc-800 pt-3">
+              <div>
+                <div className="text-zinc-400">Δt</div>
+                <div className="text-[#9ee6ff] font-semibold">{fmtSI(Math.abs(cursors.t2 - cursors.t1) * screenSpan, "s")}</div>
+              </div>
+              <div>
+                <div className="text-zinc-400">1/Δt</div>
+                <div className="text-[#9ee6ff] font-semibold">
+                  {cursors.t2 === cursors.t1 ? "—" : fmtSI(1 / (Math.abs(cursors.t2 - cursors.t1) * screenSpan), "Hz")}
+                </div>
+              </div>
+              <div>
+                <div className="text-zinc-400">ΔV</div>
+                <div className="text-[#9ee6ff] font-semibold">{fmtSI(Math.abs(cursors.v2 - cursors.v1), "V")}</div>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
     </div>
 
           <div className="lg:col-span-8 space-y-4">
@@ -1032,7 +1608,10 @@ export default function OscilloscopeSimulatorPage() {
                     samplingHz={samplingHz}
                     running={running}
                     trigger={trigger}
+                    armSeq={armSeq}
+                    cursors={canvasCursors}
                     onMeasurements={handleMeasurements}
+                    onStatus={setTriggerStatus}
                     chColors={["#ffd24a", "#00ffbf"]}
                   />
                 </CardContent>
@@ -1063,26 +1642,39 @@ export default function OscilloscopeSimulatorPage() {
     {/* Values */}
     <div className="text-3xl font-bold text-[#ff9a4a] tracking-tight flex items-center gap-2">
       <Zap className="w-5 h-5 text-[#ffd24a]" />
-      {round(measurements.vpp, 4)} <span className="text-sm text-zinc-400 font-medium">Vpp</span>
+      {round(measurements.ch1?.vpp ?? 0, 4)} <span className="text-sm text-zinc-400 font-medium">Vpp</span>
     </div>
 
-    <div className="flex flex-col gap-2 text-sm text-zinc-300">
-      <div className="flex items-center justify-between">
-        <div className="flex items-center gap-1">
-          <Waves className="w-4 h-4 text-[#00ffbf]" />
-          <span className="text-zinc-400">Vrms</span>
-        </div>
-        <span className="text-[#00ffbf] font-semibold">{round(measurements.vrms, 4)} V</span>
-      </div>
-
-      <div className="flex items-center justify-between">
-        <div className="flex items-center gap-1">
-          <Activity className="w-4 h-4 text-[#ffd24a]" />
-          <span className="text-zinc-400">Frequency</span>
-        </div>
-        <span className="text-[#ffd24a] font-semibold">{round(measurements.freq, 3)} Hz</span>
-      </div>
-    </div>
+    <table className="w-full text-xs text-zinc-300">
+      <thead>
+        <tr className="text-zinc-500">
+          <th className="text-left font-normal py-1" />
+          <th className="text-right font-normal py-1 text-[#ffd24a]">{channels[0]?.name ?? "CH1"}</th>
+          <th className="text-right font-normal py-1 text-[#00ffbf]">{channels[1]?.name ?? "CH2"}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {AUTO_MEASUREMENTS.map(([label, key, unit, scale]) => (
+          <tr key={key} className="border-t border-zinc-800/60">
+            <td className="py-1 text-zinc-400">{label}</td>
+            {["ch1", "ch2"].map((ch, i) => {
+              const v = measurements[ch]?.[key];
+              return (
+                <td key={ch} className="py-1 text-right font-semibold">
+                  {!channels[i]?.enabled ? "off" : fmtSI(v === null || v === undefined ? v : v * scale, unit)}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+        <tr className="border-t border-zinc-800/60">
+          <td className="py-1 text-zinc-400">Phase CH1→CH2</td>
+          <td colSpan={2} className="py-1 text-right font-semibold text-[#9ee6ff]">
+            {measurements.phase === null || measurements.phase === undefined ? "—" : `${round(measurements.phase, 1)}°`}
+          </td>
+        </tr>
+      </tbody>
+    </table>
 
     {/* Accent Line */}
     <div className="mt-3 h-[2px] bg-gradient-to-r from-[#ff7a2d]/80 via-[#ffd24a]/80 to-transparent rounded-full"></div>
@@ -1122,10 +1714,7 @@ export default function OscilloscopeSimulatorPage() {
       <Button
         variant="ghost"
         className="flex-1 cursor-pointer border border-zinc-800 text-zinc-200 hover:border-[#ff7a2d]/60 hover:text-[#ffd24a] transition-all duration-200"
-        onClick={() => {
-          setRunning(false);
-          toast("Single capture not implemented in sim mode");
-        }}
+        onClick={armSingle}
       >
         <Zap className="w-4 h-4 mr-2 text-[#ff9a4a]" /> Single
       </Button>
@@ -1141,6 +1730,10 @@ export default function OscilloscopeSimulatorPage() {
 </Card>
             </div>
 
+            <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.32 }}>
+              <SpectrumAnalyzer readBuffer={readBuffer} samplingHz={samplingHz} running={running} channels={channels} />
+            </motion.div>
+
             <div>
               <CircuitVisualizerSVG
                 chSample={(() => {
@@ -31,6 +31,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { toPng } from "html-to-image";  
+import { C as Complex, impedance } from "@/lib/circuit";
 
 import {
   ResponsiveContainer,
@@ -68,17 +69,6 @@ function logspace(fmin, fmax, n = 201) {
   return out;
 }
 
-/* Simple complex helpers: objects { re, im } */
-const addC = (a, b) => ({ re: a.re + b.re, im: a.im + b.im });
-const subC = (a, b) => ({ re: a.re - b.re, im: a.im - b.im });
-const mulC = (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re });
-const divC = (a, b) => {
-  const den = b.re * b.re + b.im * b.im || 1e-30;
-  return { re: (a.re * b.re + a.im * b.im) / den, im: (a.im * b.re - a.re * b.im) / den };
-};
-const absC = (a) => Math.sqrt((a.re || 0) ** 2 + (a.im || 0) ** 2);
-const phaseDeg = (a) => Math.atan2(a.im || 0, a.re || 0) * (180 / Math.PI);
-
 /* ============================
    Transfer function for Series R-L-C
    - Supports measuring voltage across R, L, C (like a divider)
@@ -92,20 +82,20 @@ function computeSeriesTransfer({ R_ohm, L_mH, C_uF, freqHz, measure = "R" }) {
   const R = Number.isFinite(R_ohm) ? R_ohm : 0;
 
   // impedances
-  const ZR = { re: R, im: 0 };
-  const ZL = { re: 0, im: w * L };
+  const ZR = impedance("R", R, w);
+  const ZL = impedance("L", L, w);
   const ZC = { re: 0, im: C > 0 ? -1 / (w * C) : 1e30 }; // open at w->0 -> large negative imag
   // total
-  const Ztot = addC(addC(ZR, ZL), ZC);
+  const Ztot = Complex.add(Complex.add(ZR, ZL), ZC);
 
   let Zout = ZR;
   if (measure === "L") Zout = ZL;
   else if (measure === "C") Zout = ZC;
   // transfer = Zout / Ztot (voltage division)
-  const H = divC(Zout, Ztot);
-  const mag = absC(H);
+  const H = Complex.div(Zout, Ztot);
+  const mag = Complex.abs(H);
   const magdB = 20 * Math.log10(Math.max(1e-30, mag));
-  const ph = phaseDeg(H);
+  const ph = Complex.argDeg(H);
   return { H, mag, magdB, ph };
 }
 
@@ -139,16 +129,16 @@ function buildTimeDomain({ R, L, C, freq, measure, Vin = 1, nSamples = 512 }) {
   const R_ohm = Number.isFinite(R) ? R : 0;
 
   // compute steady-state phasors
-  const ZR = { re: R_ohm, im: 0 };
-  const ZL = { re: 0, im: w * L_h };
+  const ZR = impedance("R", R_ohm, w);
+  const ZL = impedance("L", L_h, w);
   const ZC = { re: 0, im: C_f > 0 ? -1 / (w * C_f) : 1e30 };
-  const Ztot = addC(addC(ZR, ZL), ZC);
+  const Ztot = Complex.add(Complex.add(ZR, ZL), ZC);
   const VinPh = { re: Vin, im: 0 };
-  const Iph = divC(VinPh, Ztot); // phasor current
+  const Iph = Complex.div(VinPh, Ztot); // phasor current
   const VoutPh = (() => {
-    if (measure === "R") return mulC(Iph, ZR);
-    if (measure === "L") return mulC(Iph, ZL);
-    return mulC(Iph, ZC);
+    if (measure === "R") return Complex.mul(Iph, ZR);
+    if (measure === "L") return Complex.mul(Iph, ZL);
+    return Complex.mul(Iph, ZC);
   })();
 
   // samples: v_in(t) and v_out(t)
@@ -164,8 +154,8 @@ function buildTimeDomain({ R, L, C, freq, measure, Vin = 1, nSamples = 512 }) {
   }
   return {
     data,
-    magnitude: absC(divC(VoutPh, VinPh)),
-    phase: phaseDeg(divC(VoutPh, VinPh)),
+    magnitude: Complex.abs(Complex.div(VoutPh, VinPh)),
+    phase: Complex.argDeg(Complex.div(VoutPh, VinPh)),
     Iph,
     VoutPh,
   };
@@ -955,7 +945,7 @@ const snapshotPNG = async () => {
                   </div>
                   <div className="rounded-md p-3 bg-zinc-900/40 border border-zinc-800">
                     <div className="text-xs text-zinc-400">Irms</div>
-                    <div className="text-lg font-semibold text-[#ffd24a]">{round(Math.abs(timeDomain.Iph ? (absC(timeDomain.Iph) / Math.sqrt(2)) : 0), 6)} A</div>
+                    <div className="text-lg font-semibold text-[#ffd24a]">{round(Math.abs(timeDomain.Iph ? (Complex.abs(timeDomain.Iph) / Math.sqrt(2)) : 0), 6)} A</div>
                   </div>
                 </div>
               </div>
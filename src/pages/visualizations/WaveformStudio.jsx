@@ -20,6 +20,7 @@ import {
   FerrisWheel,
   Torus,
   CircuitBoard,
+  Upload,
 } from "lucide-react";
 
 import { Card, CardHeader, CardContent, CardTitle } from "@/components/ui/card";
@@ -37,6 +38,7 @@ import {
 import { Badge } from "@/components/ui/badge";
 import { Slider } from "@/components/ui/slider";
 import Footer from "@/components/landing/Footer"; // adjust path if needed
+import { captureFromCsv, decodeWav, resample, captureSampleAt, captureStats } from "@/lib/signal";
 
 // ------------------------ Theme variables (used inline / in-class) ------------------------
 const THEME = {
@@ -76,6 +78,32 @@ function withHarmonics(baseFunc, phase, harmonics) {
   return out / norm;
 }
 
+// ------------------------ Imported waveform (CSV / WAV) ------------------------
+// the whole capture becomes one cycle: resampled to a fixed table and normalised to ±1 peak,
+// so frequency, amplitude, phase and harmonics act on it like on the built-in shapes
+const WAVETABLE_SIZE = 2048;
+
+function captureToWavetable(capture) {
+  const { peak, duration } = captureStats(capture);
+  const n = capture.values.length;
+  // short captures are interpolated around the loop (last sample -> first), long ones decimated
+  const table =
+    n > WAVETABLE_SIZE
+      ? resample(capture.values, n, WAVETABLE_SIZE)
+      : Float32Array.from({ length: WAVETABLE_SIZE }, (_, i) => captureSampleAt(capture.values, (i * n) / WAVETABLE_SIZE));
+  const scale = peak > 0 ? 1 / peak : 0;
+  let sumSq = 0;
+  for (let i = 0; i < table.length; i++) {
+    table[i] *= scale;
+    sumSq += table[i] * table[i];
+  }
+  return { name: capture.name, samples: n, sampleRate: capture.sampleRate, duration, peak, rms: Math.sqrt(sumSq / table.length), table };
+}
+
+function wavetableSample(table) {
+  return (phase) => captureSampleAt(table, (phase / (2 * Math.PI)) * table.length);
+}
+
 // ------------------------ Oscilloscope (canvas) ------------------------
 function Oscilloscope({
   running,
@@ -84,6 +112,7 @@ function Oscilloscope({
   amplitude,
   phaseDeg,
   harmonics,
+  wavetable = null,
   timeScale = 1,
   showGrid = true,
   className = "",
@@ -103,10 +132,12 @@ function Oscilloscope({
         return triangleSample;
       case "saw":
         return sawSample;
+      case "custom":
+        return wavetable ? wavetableSample(wavetable.table) : sineSample;
       default:
         return sineSample;
     }
-  }, [waveType]);
+  }, [waveType, wavetable]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -202,7 +233,8 @@ function Oscilloscope({
       ctx.shadowBlur = 0;
       ctx.fillStyle = "rgba(255,255,255,0.82)";
       ctx.font = "12px system-ui, -apple-system, 'Segoe UI', Roboto";
-      const label = `${waveType.toUpperCase()} • ${frequency.toFixed(2)} Hz • ${amplitude.toFixed(2)} pk`;
+      const name = waveType === "custom" && wavetable ? wavetable.name : waveType.toUpperCase();
+      const label = `${name} • ${frequency.toFixed(2)} Hz • ${amplitude.toFixed(2)} pk`;
       ctx.fillText(label, 10, 18);
 
       ctx.restore();
@@ -215,7 +247,7 @@ function Oscilloscope({
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [running, waveType, frequency, amplitude, phaseDeg, harmonics, timeScale, showGrid]);
+  }, [running, waveType, baseFunc, frequency, amplitude, phaseDeg, harmonics, timeScale, showGrid]);
 
   return (
     <div className={`${classHeight} w-full rounded-md overflow-hidden border`} style={{ borderColor: THEME.border }}>
@@ -225,7 +257,7 @@ function Oscilloscope({
 }
 
 // ------------------------ Wave3D (Three.js) ------------------------
-function Wave3D({ waveType, frequency, amplitude, phaseDeg, harmonics, running, className = "" }) {
+function Wave3D({ waveType, frequency, amplitude, phaseDeg, harmonics, wavetable = null, running, className = "" }) {
   const mountRef = useRef(null);
   const threeRef = useRef({ renderer: null, scene: null, camera: null, raf: null, geom: null });
 
@@ -304,6 +336,7 @@ function Wave3D({ waveType, frequency, amplitude, phaseDeg, harmonics, running,
     let t = 0;
     let rafId = null;
 
+    const customFunc = wavetable ? wavetableSample(wavetable.table) : sineSample;
     const baseWaveFunc = (phase) => {
       switch (waveType) {
         case "sine":
@@ -314,6 +347,8 @@ function Wave3D({ waveType, frequency, amplitude, phaseDeg, harmonics, running,
           return triangleSample(phase);
         case "saw":
           return sawSample(phase);
+        case "custom":
+          return customFunc(phase);
         default:
           return sineSample(phase);
       }
@@ -392,7 +427,7 @@ function Wave3D({ waveType, frequency, amplitude, phaseDeg, harmonics, running,
   // we allow the animate loop closure to use props via refs/outer scope — keeps perf high
   useEffect(() => {
     // nothing to do; props are captured by closure on mount for perf.
-  }, [waveType, frequency, amplitude, phaseDeg, harmonics, running]);
+  }, [waveType, wavetable, frequency, amplitude, phaseDeg, harmonics, running]);
 
  return (
   <div
@@ -540,6 +575,9 @@ function ControlsPanel({
   setShow3D,
   showCircuit,
   setShowCircuit,
+  wavetable,
+  importError,
+  onImport,
 }) {
   // clamp helpers
   const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
@@ -609,12 +647,50 @@ function ControlsPanel({
       >
         Sawtooth
       </SelectItem>
+
+      <SelectItem
+        value="custom"
+        disabled={!wavetable}
+        className="text-white hover:bg-orange-500/20 
+        data-[highlighted]:text-orange-300 data-[highlighted]:bg-orange-500/30 
+        cursor-pointer rounded-sm transition-all duration-200"
+      >
+        Imported {wavetable ? `(${wavetable.name})` : ""}
+      </SelectItem>
     </SelectGroup>
   </SelectContent>
 </Select>
 
           </div>
 
+          <div className="flex flex-col w-full gap-2">
+            <label className="text-xs text-zinc-400">Import waveform (CSV time, voltage / WAV)</label>
+            <label>
+              <input
+                type="file"
+                accept=".csv,.txt,.wav,text/csv,audio/wav"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) onImport(f);
+                  e.target.value = "";
+                }}
+              />
+              <Button variant="outline" className="w-full border border-orange-500/30 text-zinc-300 cursor-pointer hover:text-orange-300" asChild>
+                <span>
+                  <Upload className="w-4 h-4 mr-2" /> Load capture
+                </span>
+              </Button>
+            </label>
+            {wavetable && (
+              <div className="text-[11px] text-zinc-400">
+                {wavetable.name}: {wavetable.samples} samples @ {wavetable.sampleRate.toFixed(0)} Hz ({(wavetable.duration * 1000).toFixed(2)} ms,{" "}
+                {wavetable.peak.toFixed(3)} V peak) — played as one cycle
+              </div>
+            )}
+            {importError && <div className="text-[11px] text-red-400">{importError}</div>}
+          </div>
+
          <div className="flex flex-col w-full gap-2">
   {/* Label */}
   <label className="text-xs text-zinc-400">Frequency (Hz)</label>
@@ -842,6 +918,26 @@ export default function WaveformStudioPage() {
   const [showOsc, setShowOsc] = useState(true);
   const [show3D, setShow3D] = useState(true);
   const [showCircuit, setShowCircuit] = useState(true);
+  const [wavetable, setWavetable] = useState(null);
+  const [importError, setImportError] = useState("");
+
+  // CSV / WAV capture -> "custom" wavetable (CSVs without a time column are read at 1 sample per ms)
+  const importWaveform = (file) => {
+    const isWav = /\.wav$/i.test(file.name) || file.type.includes("wav");
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const capture = isWav ? decodeWav(reader.result, { name: file.name }) : captureFromCsv(reader.result, { name: file.name, sampleRate: 1000 });
+        setWavetable(captureToWavetable(capture));
+        setWaveType("custom");
+        setImportError("");
+      } catch (err) {
+        setImportError(`Import failed: ${err.message}`);
+      }
+    };
+    if (isWav) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  };
 
   // prefers-reduced-motion
   const prefersReduced = typeof window !== "undefined" && window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
@@ -900,6 +996,9 @@ export default function WaveformStudioPage() {
               setShow3D={setShow3D}
               showCircuit={showCircuit}
               setShowCircuit={setShowCircuit}
+              wavetable={wavetable}
+              importError={importError}
+              onImport={importWaveform}
             />
 
 <div className="mt-6 space-y-4">
@@ -939,7 +1038,7 @@ export default function WaveformStudioPage() {
           <span>RMS (approx)</span>
         </div>
         <div className="mt-1 font-semibold text-sm sm:text-base text-orange-100">
-          {(amplitude / Math.SQRT2).toFixed(2)} V
+          {(waveType === "custom" && wavetable ? amplitude * wavetable.rms : amplitude / Math.SQRT2).toFixed(2)} V
         </div>
       </div>
 
@@ -985,6 +1084,7 @@ export default function WaveformStudioPage() {
                     amplitude={amplitude}
                     phaseDeg={phase}
                     harmonics={harmonics}
+                    wavetable={wavetable}
                     timeScale={1}
                     showGrid
                     classHeight="h-44 md:h-64 lg:h-80"
@@ -1012,6 +1112,7 @@ export default function WaveformStudioPage() {
                       amplitude={amplitude}
                       phaseDeg={phase}
                       harmonics={harmonics}
+                      wavetable={wavetable}
                       running={running}
                     />
                   </div>